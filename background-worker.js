@@ -15,9 +15,27 @@ import * as storageRepo from './scripts/platform/storage-repo.js';
 import { restoreToolbarIcon } from './scripts/platform/toolbar-icon-service.js';
 import { createBackgroundSettingsDefaults } from './scripts/platform/settings-contract.js';
 import { resolveEffectiveFrequency } from './scripts/domains/backgrounds/refresh-policy.js';
+import { SCHEDULE_ALARM, handleScheduleAlarm, syncScheduleAlarm } from './scripts/domains/backgrounds/schedule.js';
+import { buildSuggestUrl, parseSuggestResponse } from './scripts/domains/search-suggest.js';
+import {
+    BACKUP_SCHEDULE_KEY,
+    handleBackupAlarm,
+    isBackupAlarm,
+    scheduleChangeBackup,
+    syncBackupSchedule
+} from './scripts/platform/backup-scheduler.js';
+import { categorizeStorageKey } from './scripts/platform/backup-restore-plan.js';
+import { BOOKMARK_SYNC_BINDINGS_KEY, scheduleBookmarkSync } from './scripts/domains/bookmarks/bookmark-sync.js';
+import {
+    LINK_HEALTH_ALARM,
+    LINK_HEALTH_SCHEDULE_KEY,
+    handleLinkHealthAlarm,
+    syncLinkHealthAlarm
+} from './scripts/domains/quicklinks/link-health.js';
 
 const ALARM_NAME = MSG.REFRESH_BACKGROUND;
 const MAX_ICON_BYTES = 262144;
+const SUGGEST_TIMEOUT_MS = 3000;
 let autoRefreshSyncChain = Promise.resolve();
 
 // ========== Lifecycle Events ==========
@@ -43,6 +61,18 @@ chrome.runtime.onInstalled.addListener(async (details) => {
             console.error('[SW] toolbar icon restore on install:', error);
         });
 
+        syncBackupSchedule().catch(error => {
+            console.error('[SW] backup schedule sync on install:', error);
+        });
+
+        scheduleBookmarkSync();
+        syncLinkHealthAlarm().catch(error => {
+            console.error('[SW] link health alarm sync on install:', error);
+        });
+        syncScheduleAlarm().catch(error => {
+            console.error('[SW] background schedule sync on install:', error);
+        });
+
         // Trigger changelog notification broadcast after update
         if (details.reason === 'update') {
             try {
@@ -66,6 +96,16 @@ chrome.runtime.onStartup.addListener(() => {
     syncAutoRefresh().catch(error => {
         console.error('[SW] onStartup error:', error);
     });
+    syncBackupSchedule().catch(error => {
+        console.error('[SW] backup schedule sync on startup:', error);
+    });
+    scheduleBookmarkSync();
+    syncLinkHealthAlarm().catch(error => {
+        console.error('[SW] link health alarm sync on startup:', error);
+    });
+    syncScheduleAlarm().catch(error => {
+        console.error('[SW] background schedule sync on startup:', error);
+    });
 });
 
 // ========== Timer Handling ==========
@@ -81,8 +121,8 @@ chrome.alarms.onAlarm.addListener(async (alarm) => {
             backgroundSettings?.frequency || 'never'
         );
 
-        // Local images and solid colors do not need timed refresh
-        if (backgroundType === 'files' || backgroundType === 'color') {
+        // Local images, solid colors and gradients do not need timed refresh
+        if (backgroundType === 'files' || backgroundType === 'color' || backgroundType === 'gradient') {
             return;
         }
         if (effectiveFrequency === 'never' || effectiveFrequency === 'tabs') {
@@ -97,6 +137,50 @@ chrome.alarms.onAlarm.addListener(async (alarm) => {
     }
 });
 
+chrome.alarms.onAlarm.addListener(async (alarm) => {
+    if (alarm.name !== SCHEDULE_ALARM) return;
+
+    try {
+        // Open pages pick the background for the new rule themselves
+        await handleScheduleAlarm();
+        await notifyRefreshBackground();
+    } catch (error) {
+        if (!isExpectedConnectionError(error)) {
+            console.error('[SW] Schedule alarm handler error:', error);
+        }
+    }
+});
+
+chrome.alarms.onAlarm.addListener(async (alarm) => {
+    if (!isBackupAlarm(alarm.name)) return;
+
+    try {
+        const result = await handleBackupAlarm(alarm.name);
+        if (result && !result.ok) {
+            console.warn('[SW] Scheduled backup failed:', result.error);
+        }
+    } catch (error) {
+        console.error('[SW] Backup alarm handler error:', error);
+    }
+});
+
+chrome.alarms.onAlarm.addListener(async (alarm) => {
+    if (alarm.name !== LINK_HEALTH_ALARM) return;
+
+    try {
+        await handleLinkHealthAlarm();
+    } catch (error) {
+        console.error('[SW] Link health alarm handler error:', error);
+    }
+});
+
+// ========== Bookmark Sync ==========
+
+// Any change may touch a bound folder; the sync itself sorts out which bindings it affects
+for (const event of ['onCreated', 'onChanged', 'onRemoved', 'onMoved', 'onImportEnded']) {
+    chrome.bookmarks?.[event]?.addListener(() => scheduleBookmarkSync());
+}
+
 // ========== Message Handling ==========
 runtimeBus.register(MSG.FETCH_ICON, (message, sender, sendResponse) => {
     handleFetchIcon(message?.url)
@@ -105,6 +189,13 @@ runtimeBus.register(MSG.FETCH_ICON, (message, sender, sendResponse) => {
     return true; // Keep message channel open
 }, 'service-worker.icon-fetch');
 
+runtimeBus.register(MSG.FETCH_SEARCH_SUGGESTIONS, (message, sender, sendResponse) => {
+    handleFetchSearchSuggestions(message?.provider, message?.query)
+        .then(result => sendResponse(result))
+        .catch(error => sendResponse({ success: false, error: String(error) }));
+    return true; // Keep message channel open
+}, 'service-worker.search-suggest');
+
 // ========== Icon Fetch Proxy ==========
 
 /**
@@ -191,6 +282,46 @@ async function handleFetchIcon(url) {
     }
 }
 
+// ========== Search Suggest Proxy ==========
+
+/**
+ * Proxy provider suggest requests (endpoints do not allow extension-page CORS)
+ * @param {string} provider - Key of SUGGEST_PROVIDERS
+ * @param {string} query
+ * @returns {Promise<{ success: boolean, suggestions?: string[], error?: string }>}
+ */
+async function handleFetchSearchSuggestions(provider, query) {
+    const url = buildSuggestUrl(provider, query);
+    if (!url) {
+        return { success: false, error: 'Invalid suggest request' };
+    }
+
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), SUGGEST_TIMEOUT_MS);
+    try {
+        const response = await fetch(url, {
+            method: 'GET',
+            credentials: 'omit',
+            headers: {
+                'Accept': 'application/json, application/x-suggestions+json'
+            },
+            signal: controller.signal
+        });
+
+        if (!response.ok) {
+            return { success: false, error: `HTTP ${response.status}` };
+        }
+
+        // Some providers answer with a non-JSON content type; parse leniently
+        const text = await response.text();
+        return { success: true, suggestions: parseSuggestResponse(JSON.parse(text)) };
+    } catch (error) {
+        return { success: false, error: String(error) };
+    } finally {
+        clearTimeout(timeoutId);
+    }
+}
+
 // ========== Storage Change Listener ==========
 
 onStorageChange('service-worker.toolbar-icon', (changes, areaName) => {
@@ -208,6 +339,13 @@ onStorageChange('service-worker.auto-refresh', (changes, areaName) => {
     const newSettings = newValue;
     if (!newSettings || typeof newSettings !== 'object') return;
 
+    const scheduleKey = (settings) => JSON.stringify([settings?.scheduleRules, settings?.scheduleLocation]);
+    if (scheduleKey(oldValue) !== scheduleKey(newSettings)) {
+        syncScheduleAlarm().catch(error => {
+            console.error('[SW] background schedule sync on change:', error);
+        });
+    }
+
     const oldFreq = (oldValue && typeof oldValue === 'object') ? oldValue.frequency : undefined;
     const newFreq = newSettings.frequency;
     const oldType = (oldValue && typeof oldValue === 'object') ? oldValue.type : undefined;
@@ -219,6 +357,38 @@ onStorageChange('service-worker.auto-refresh', (changes, areaName) => {
     });
 });
 
+onStorageChange('service-worker.webdav-backup', (changes, areaName) => {
+    if (areaName === 'local' && changes[BACKUP_SCHEDULE_KEY]) {
+        syncBackupSchedule().catch(error => {
+            console.error('[SW] backup schedule sync on change:', error);
+        });
+        return;
+    }
+    if (areaName !== 'sync') return;
+
+    scheduleChangeBackup().catch(error => {
+        console.error('[SW] change backup scheduling error:', error);
+    });
+});
+
+onStorageChange('service-worker.link-health', (changes, areaName) => {
+    if (areaName !== 'local' || !changes[LINK_HEALTH_SCHEDULE_KEY]) return;
+    syncLinkHealthAlarm().catch(error => {
+        console.error('[SW] link health alarm sync on change:', error);
+    });
+});
+
+onStorageChange('service-worker.bookmark-sync', (changes, areaName) => {
+    if (areaName === 'local' && changes[BOOKMARK_SYNC_BINDINGS_KEY]) {
+        scheduleBookmarkSync();
+        return;
+    }
+    // Launchpad edits are written back to the bound bookmark folders
+    if (areaName === 'sync' && Object.keys(changes).some(key => categorizeStorageKey(key) === 'quicklinks')) {
+        scheduleBookmarkSync();
+    }
+});
+
 // ========== Utility Functions ==========
 
 function isExpectedConnectionError(error) {
@@ -267,7 +437,8 @@ async function applyAutoRefresh(interval, backgroundType) {
         effectiveInterval === 'never' ||
         effectiveInterval === 'tabs' ||
         backgroundType === 'files' ||
-        backgroundType === 'color'
+        backgroundType === 'color' ||
+        backgroundType === 'gradient'
     ) {
         return;
     }
@@ -6,6 +6,9 @@
     const SNAPSHOT_VERSION = 1;
     const SNAPSHOT_MAX_AGE_MS = 30 * 24 * 60 * 60 * 1000;
     const SAFE_STYLE_STRING = /^[a-zA-Z0-9%(),.\s/#-]+$/;
+    // CSS from the 'gradient' background type, e.g. linear-gradient(135deg, #1a1a2e 0%, #0f3460 100%)
+    const SAFE_GRADIENT = /^(?:linear|radial|conic)-gradient\([a-z0-9%,.\s#-]+\)$/i;
+    const GRADIENT_MAX_LENGTH = 400;
 
     function normalizeColor(input) {
         if (typeof input !== 'string') return null;
@@ -54,6 +57,13 @@
         return SAFE_STYLE_STRING.test(value) ? value : fallback;
     }
 
+    function normalizeGradient(input) {
+        if (typeof input !== 'string') return null;
+        const value = input.trim();
+        if (!value || value.length > GRADIENT_MAX_LENGTH) return null;
+        return SAFE_GRADIENT.test(value) ? value : null;
+    }
+
     function normalizePreviewDataUrl(input) {
         if (typeof input !== 'string') return null;
         const value = input.trim();
@@ -67,6 +77,7 @@
 
         const color = normalizeColor(input.color) || FALLBACK_COLOR;
         const previewDataUrl = normalizePreviewDataUrl(input.previewDataUrl);
+        const gradient = normalizeGradient(input.gradient);
         const size = normalizeStyleString(input.size, 'cover');
         const position = normalizeStyleString(input.position, '50% 50%');
         const repeat = normalizeStyleString(input.repeat, 'no-repeat');
@@ -77,6 +88,7 @@
             v: SNAPSHOT_VERSION,
             color,
             previewDataUrl,
+            gradient,
             size,
             position,
             repeat,
@@ -130,7 +142,7 @@
     }
 
     /**
-     * Create a full-screen overlay div for the first-paint snapshot image.
+     * Create a full-screen overlay div for the first-paint snapshot image or gradient.
      * Sits above #background-wrapper (z-index:-1) so it masks the wallpaper
      * system while loading. disarmFirstPaint() fades it out smoothly.
      */
@@ -156,6 +168,8 @@
                 `background-position:${snapshot.position || '50% 50%'}`,
                 `background-repeat:${snapshot.repeat || 'no-repeat'}`
             );
+        } else if (snapshot.gradient) {
+            styles.push(`background-image:${snapshot.gradient}`);
         }
 
         overlay.style.cssText = styles.join(';');
@@ -193,10 +207,10 @@
         // Solid color still goes on html/body for fastest first paint
         const appliedColor = applyColor(normalized.color, { armed });
 
-        // Snapshot image is rendered via a dedicated overlay div that sits
+        // Snapshot image or gradient is rendered via a dedicated overlay div that sits
         // above #background-wrapper (z:-1). disarmFirstPaint() fades it out
         // smoothly instead of the jarring style removal on html/body.
-        if (normalized.previewDataUrl) {
+        if (normalized.previewDataUrl || normalized.gradient) {
             createFirstPaintOverlay(normalized);
         }
 
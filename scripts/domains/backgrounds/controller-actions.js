@@ -1,10 +1,18 @@
+import { getQueryCacheKey } from './provider-query.js';
+
 const ONLINE_BACKGROUND_TYPES = new Set(['unsplash', 'pixabay', 'pexels', 'bing']);
+// Painted with CSS on the colour layer; no image to fetch, crop or preload
+const FILL_BACKGROUND_TYPES = new Set(['color', 'gradient']);
 export const SMART_CROP_STABLE_PREPARE_TIMEOUT_MS = 360;
 
 export function isOnlineBackgroundType(type) {
     return ONLINE_BACKGROUND_TYPES.has(type);
 }
 
+export function isFillBackgroundType(type) {
+    return FILL_BACKGROUND_TYPES.has(type);
+}
+
 export function getPrepareTimeoutMs(settings, defaultTimeoutMs = 140, type = settings?.type) {
     if (!settings) return defaultTimeoutMs;
     if (settings.smartCropEnabled !== false && isOnlineBackgroundType(type)) {
@@ -63,6 +71,10 @@ export class Mutex {
     }
 }
 
+/**
+ * Prefetched online background metadata, bucketed per source and query so photos
+ * fetched for one topic are never shown for another.
+ */
 export class BackgroundMetadataCache {
     constructor(maxSize = 5) {
         this._cacheBySource = new Map();
@@ -70,27 +82,28 @@ export class BackgroundMetadataCache {
         this._fetchingSources = new Set();
     }
 
-    _sourceKey(source) {
-        return typeof source === 'string' && source ? source : '__default__';
+    _sourceKey(source, query) {
+        const base = typeof source === 'string' && source ? source : '__default__';
+        const queryKey = getQueryCacheKey(query);
+        return queryKey ? `${base}#${queryKey}` : base;
     }
 
-    _getBucket(source) {
-        const key = this._sourceKey(source);
+    _getBucket(key) {
         if (!this._cacheBySource.has(key)) {
             this._cacheBySource.set(key, []);
         }
         return this._cacheBySource.get(key);
     }
 
-    async prefetch(source, provider, apiKey, count = 3) {
-        const key = this._sourceKey(source);
+    async prefetch(source, provider, apiKey, count = 3, query = undefined) {
+        const key = this._sourceKey(source, query);
         const bucket = this._getBucket(key);
         if (this._fetchingSources.has(key) || bucket.length >= this._maxSize) return;
         this._fetchingSources.add(key);
 
         try {
             const promises = Array(count).fill(null).map(() =>
-                provider.fetchRandom(apiKey).catch(() => null)
+                provider.fetchRandom(apiKey, query).catch(() => null)
             );
             const results = await Promise.allSettled(promises);
 
@@ -105,21 +118,27 @@ export class BackgroundMetadataCache {
         }
     }
 
-    pop(source) {
-        const bucket = this._cacheBySource.get(this._sourceKey(source));
+    pop(source, query) {
+        const bucket = this._cacheBySource.get(this._sourceKey(source, query));
         return bucket?.shift() || null;
     }
 
-    size(source) {
-        const bucket = this._cacheBySource.get(this._sourceKey(source));
+    size(source, query) {
+        const bucket = this._cacheBySource.get(this._sourceKey(source, query));
         return bucket?.length || 0;
     }
 
+    /**
+     * @param {string} [source] - Clears every query bucket of the source; all sources when omitted
+     */
     clear(source) {
         if (typeof source === 'string' && source) {
-            const key = this._sourceKey(source);
-            this._cacheBySource.delete(key);
-            this._fetchingSources.delete(key);
+            const base = this._sourceKey(source);
+            for (const keys of [this._cacheBySource, this._fetchingSources]) {
+                for (const key of [...keys.keys()]) {
+                    if (key === base || key.startsWith(`${base}#`)) keys.delete(key);
+                }
+            }
             return;
         }
         this._cacheBySource.clear();
@@ -19,6 +19,7 @@ import {
 import {
     getApplyOptions as getBackgroundApplyOptions,
     getPrepareTimeoutMs as getBackgroundPrepareTimeoutMs,
+    isFillBackgroundType,
     isOnlineBackgroundType,
     BackgroundMetadataCache,
     Mutex,
@@ -26,9 +27,19 @@ import {
 } from './controller-actions.js';
 import { localFilesManager } from './source-local.js';
 import { getProvider } from './source-remote.js';
+import { buildProviderQueries, getViewportOrientation } from './provider-query.js';
+import { normalizeGradient } from './gradient.js';
+import { applyPlaylistMethodsTo } from './playlist.js';
+import { applyMotionPlaybackMethodsTo } from './motion-playback.js';
+import { SCHEDULE_STATE_KEY, getActiveScheduleRule, syncScheduleTheme } from './schedule.js';
 import { DEFAULT_SETTINGS } from './types.js';
 import { resolveEffectiveFrequency } from './refresh-policy.js';
 
+// Playlists can land on a solid colour, stored as { format: 'color', color } like an image
+function isColorBackground(background) {
+    return background?.format === 'color' && typeof background.color === 'string';
+}
+
 export const RUNTIME_KEYS = {
     overlay: 'bgRuntimeOverlay',
     blur: 'bgRuntimeBlur',
@@ -69,6 +80,12 @@ class BackgroundSystem {
         this._visibilityHandler = null;
         this._startupPhaseResetTimer = null;
         this._pendingStartupRefreshOnVisible = false;
+        // Id of the schedule rule the current background was picked for
+        this._scheduleRuleId = null;
+        // Battery state for motion backgrounds (see motion-playback.js)
+        this._battery = null;
+        this._batteryManager = null;
+        this._batteryHandler = null;
         this._runtimeOwner = `background.system.${this._instanceId}`;
         this._stateMachine = createMachine('idle', {
             idle: ['loading', 'error'],
@@ -100,6 +117,7 @@ class BackgroundSystem {
         } catch { /* non-critical */ }
 
         await this.loadSettings();
+        this._syncScheduleTheme();
         // Kick off local-files metadata init early so it can overlap with startup work.
         const localFilesInitPromise = localFilesManager.init();
         if (this.settings.type === 'files') {
@@ -120,22 +138,27 @@ class BackgroundSystem {
         }
 
         textureManager.apply(this.settings.texture);
-        const startupNeedRefresh = needsBackgroundChange(this.settings.frequency, this.lastChange, this.settings.type);
-        const hasStoredStartupBackground = this.settings.type !== 'color' && Boolean(this.currentBackground);
+        const startupNeedRefresh = this._isScheduleRuleChanged() ||
+            needsBackgroundChange(this.settings.frequency, this.lastChange, this.settings.type);
+        const hasStoredStartupBackground = !isFillBackgroundType(this.settings.type) && Boolean(this.currentBackground);
         let shouldRefreshAfterInit = false;
 
         if (hasStoredStartupBackground) {
             try {
                 const startupType = this.currentBackground?.file ? 'files' : this.settings.type;
-                await runBackgroundTransition(this, {
-                    background: this.currentBackground,
-                    type: startupType,
-                    basePrepareTimeoutMs: 80,
-                    updateTimestamp: false,
-                    save: false,
-                    preload: false,
-                    phase: 'startup'
-                });
+                if (isColorBackground(this.currentBackground)) {
+                    this.applyColorBackground(this.currentBackground.color);
+                } else {
+                    await runBackgroundTransition(this, {
+                        background: this.currentBackground,
+                        type: startupType,
+                        basePrepareTimeoutMs: 80,
+                        updateTimestamp: false,
+                        save: false,
+                        preload: false,
+                        phase: 'startup'
+                    });
+                }
                 shouldRefreshAfterInit = startupNeedRefresh;
             } catch (error) {
                 logWithDedup('warn', '[Background] Startup warm background apply failed, falling back to normal load:', error, {
@@ -153,6 +176,7 @@ class BackgroundSystem {
         this.initMessageListener();
         this.initVisibilityListener();
         this.initStorageListener();
+        void this._initMotionPlayback();
 
         this.initialized = true;
         if (this._readyResolve) {
@@ -228,6 +252,14 @@ class BackgroundSystem {
                     apiKeys: {
                         ...DEFAULT_SETTINGS.apiKeys,
                         ...(backgroundSettings.apiKeys || {})
+                    },
+                    providerTopics: {
+                        ...DEFAULT_SETTINGS.providerTopics,
+                        ...(backgroundSettings.providerTopics || {})
+                    },
+                    gradient: {
+                        ...DEFAULT_SETTINGS.gradient,
+                        ...(backgroundSettings.gradient || {})
                     }
                 };
             } else {
@@ -239,8 +271,10 @@ class BackgroundSystem {
 
             const localData = await storageRepo.local.getMultiple({
                 currentBackground: null,
-                lastBackgroundChange: null
+                lastBackgroundChange: null,
+                [SCHEDULE_STATE_KEY]: null
             });
+            this._scheduleRuleId = localData[SCHEDULE_STATE_KEY]?.ruleId ?? null;
 
             if (localData.currentBackground) {
                 this.currentBackground = await this._hydrateStoredBackground(localData.currentBackground);
@@ -326,11 +360,21 @@ class BackgroundSystem {
                 blur: this.settings.blur,
                 overlay: this.settings.overlay,
                 color: this.settings.color,
+                gradient: normalizeGradient(this.settings.gradient),
                 texture: { ...this.settings.texture },
                 showRefreshButton: this.settings.showRefreshButton,
                 showPhotoInfo: this.settings.showPhotoInfo,
                 smartCropEnabled: this.settings.smartCropEnabled,
-                apiKeys: { ...this.settings.apiKeys }
+                apiKeys: { ...this.settings.apiKeys },
+                providerTopics: { ...this.settings.providerTopics },
+                unsplashCollections: [...(this.settings.unsplashCollections || [])],
+                matchOrientation: this.settings.matchOrientation === true,
+                playlist: Array.isArray(this.settings.playlist) ? this.settings.playlist.map(entry => ({ ...entry })) : [],
+                scheduleRules: Array.isArray(this.settings.scheduleRules) ? this.settings.scheduleRules.map(rule => ({ ...rule })) : [],
+                scheduleLocation: this.settings.scheduleLocation ?? null,
+                scheduleSwitchTheme: this.settings.scheduleSwitchTheme === true,
+                motionPauseHidden: this.settings.motionPauseHidden !== false,
+                motionPowerSaver: this.settings.motionPowerSaver
             };
 
             await setBackgroundSettings(settingsToSave, 'background.system.saveSettings');
@@ -397,13 +441,23 @@ class BackgroundSystem {
         await this._loadMutex.acquire();
 
         try {
-            const needNew = force || needsBackgroundChange(this.settings.frequency, this.lastChange, this.settings.type);
+            const scheduleRule = this._getActiveScheduleRule();
+            const scheduleChanged = this._isScheduleRuleChanged();
+            const needNew = force || scheduleChanged ||
+                needsBackgroundChange(this.settings.frequency, this.lastChange, this.settings.type);
 
-            if (needNew && this.settings.type !== 'color') {
+            const isFillType = isFillBackgroundType(this.settings.type);
+            if (needNew && !isFillType) {
                 this._ensurePlaceholderBackground();
             }
 
-            if (!needNew && this.currentBackground) {
+            if (!needNew && (!isFillType || scheduleRule) && isColorBackground(this.currentBackground)) {
+                this.applyColorBackground(this.currentBackground.color);
+                this._stateMachine.transition('applied', { type: 'color' });
+                return;
+            }
+
+            if (!needNew && this.currentBackground && (!isFillType || scheduleRule)) {
                 await runBackgroundTransition(this, {
                     background: this.currentBackground,
                     type: this.settings.type,
@@ -418,31 +472,67 @@ class BackgroundSystem {
             }
 
             let background = null;
+            let applyType = this.settings.type;
+            let picked = null;
 
-            switch (this.settings.type) {
-                case 'files':
-                    background = await this.getLocalFileBackground();
-                    break;
-                case 'color':
-                    this.applyColorBackground(this.settings.color);
-                    this._stateMachine.transition('applied', { type: 'color' });
-                    return;
-                case 'unsplash':
-                case 'pixabay':
-                case 'pexels':
-                case 'bing':
-                    background = await this.getProviderBackground(this.settings.type, {
-                        suppressRecoverableErrors
-                    });
-                    break;
-                default:
-                    background = await this.getLocalFileBackground();
+            if (scheduleChanged) {
+                await this._rememberScheduleRule(scheduleRule);
+            }
+            if (scheduleRule) {
+                // A rule whose source comes up empty leaves the regular source in charge
+                picked = await this._getScheduledBackground(scheduleRule);
+            }
+
+            if (!picked) {
+                switch (this.settings.type) {
+                    case 'files':
+                        background = await this.getLocalFileBackground();
+                        break;
+                    case 'color':
+                        this.applyColorBackground(this.settings.color);
+                        this._stateMachine.transition('applied', { type: 'color' });
+                        return;
+                    case 'gradient':
+                        this.applyGradientBackground(this.settings.gradient);
+                        this._stateMachine.transition('applied', { type: 'gradient' });
+                        return;
+                    case 'unsplash':
+                    case 'pixabay':
+                    case 'pexels':
+                    case 'bing':
+                        background = await this.getProviderBackground(this.settings.type, {
+                            suppressRecoverableErrors
+                        });
+                        break;
+                    case 'playlist':
+                        picked = await this.getPlaylistBackground();
+                        if (!picked) {
+                            background = await this.getLocalFileBackground();
+                            applyType = 'files';
+                        }
+                        break;
+                    default:
+                        background = await this.getLocalFileBackground();
+                }
+            }
+
+            if (isColorBackground(picked?.background)) {
+                this.applyColorBackground(picked.background.color);
+                this.currentBackground = picked.background;
+                this.lastChange = new Date().toISOString();
+                await this._saveBackgroundState(picked.background);
+                this._stateMachine.transition('applied', { type: 'color' });
+                return;
+            }
+            if (picked) {
+                background = picked.background;
+                applyType = picked.type;
             }
 
             if (background) {
                 await runBackgroundTransition(this, {
                     background,
-                    type: this.settings.type,
+                    type: applyType,
                     basePrepareTimeoutMs: 140,
                     updateTimestamp: true,
                     save: true,
@@ -527,7 +617,7 @@ class BackgroundSystem {
         }
 
         try {
-            return await provider.fetchRandom(apiKey);
+            return await provider.fetchRandom(apiKey, await this._getProviderQuery(type));
         } catch (error) {
             logWithDedup('error', `[Background] ${type} fetch error:`, error, {
                 skipIfRecoverable: true
@@ -539,6 +629,94 @@ class BackgroundSystem {
         }
     }
 
+    /**
+     * Query for the next fetch from an online provider. Topics and collections rotate
+     * through a per-source cursor in local storage, so consecutive tabs keep rotating.
+     * @param {string} type
+     * @param {{ advance?: boolean }} [options] - advance: false peeks without moving the cursor
+     * @returns {Promise<{ query?: string, collections?: string, orientation?: string }>}
+     */
+    async _getProviderQuery(type, { advance = true } = {}) {
+        const queries = buildProviderQueries(this.settings, type, {
+            orientation: getViewportOrientation(window.innerWidth, window.innerHeight)
+        });
+        if (queries.length === 1) return queries[0];
+
+        try {
+            const { backgroundQueryCursor } = await storageRepo.local.getMultiple({ backgroundQueryCursor: {} });
+            const cursor = backgroundQueryCursor && typeof backgroundQueryCursor === 'object' ? backgroundQueryCursor : {};
+            const index = Math.max(0, Math.floor(Number(cursor[type]) || 0)) % queries.length;
+            if (advance) {
+                await storageRepo.local.setMultiple({
+                    backgroundQueryCursor: { ...cursor, [type]: (index + 1) % queries.length }
+                });
+            }
+            return queries[index];
+        } catch {
+            return queries[0];
+        }
+    }
+
+    _getActiveScheduleRule() {
+        return getActiveScheduleRule(this.settings);
+    }
+
+    /**
+     * True when a schedule boundary has passed since the background was last picked
+     */
+    _isScheduleRuleChanged() {
+        return (this._getActiveScheduleRule()?.id ?? null) !== this._scheduleRuleId;
+    }
+
+    async _rememberScheduleRule(rule) {
+        this._scheduleRuleId = rule?.id ?? null;
+        try {
+            const { [SCHEDULE_STATE_KEY]: state } = await storageRepo.local.getMultiple({ [SCHEDULE_STATE_KEY]: null });
+            await storageRepo.local.setMultiple({
+                [SCHEDULE_STATE_KEY]: { ...(state && typeof state === 'object' ? state : {}), ruleId: this._scheduleRuleId }
+            });
+        } catch (error) {
+            console.warn('[Background] Failed to save schedule state:', error);
+        }
+    }
+
+    _syncScheduleTheme() {
+        syncScheduleTheme(this.settings, this._getActiveScheduleRule()).catch(error => {
+            console.warn('[Background] Failed to switch scheduled theme:', error);
+        });
+    }
+
+    /**
+     * @param {Object} rule - Active schedule rule
+     * @returns {Promise<{ background: Object, type: string }|null>}
+     */
+    async _getScheduledBackground(rule) {
+        try {
+            if (rule.source === 'playlist') {
+                return await this.getPlaylistBackground();
+            }
+            if (rule.source === 'image') {
+                await localFilesManager.init();
+                const background = await localFilesManager.getFile(rule.imageId, 'schedule-bg', { releaseOld: true });
+                return background ? { background, type: 'files' } : null;
+            }
+            const entry = { source: rule.source, colors: rule.color ? [rule.color] : [] };
+            if (rule.topic) {
+                [entry.query] = buildProviderQueries({
+                    ...this.settings,
+                    providerTopics: { [rule.source]: [rule.topic] },
+                    unsplashCollections: []
+                }, rule.source, { orientation: getViewportOrientation(window.innerWidth, window.innerHeight) });
+            }
+            return await this._getPlaylistSourceBackground(entry, new Set(this.currentBackground?.id ? [this.currentBackground.id] : []));
+        } catch (error) {
+            logWithDedup('warn', '[Background] Scheduled background failed:', error, {
+                skipIfRecoverable: true
+            });
+            return null;
+        }
+    }
+
     _getViewportAspect() {
         const width = Math.max(window.innerWidth || 1, 1);
         const height = Math.max(window.innerHeight || 1, 1);
@@ -567,7 +745,7 @@ class BackgroundSystem {
 
     async _prepareBackgroundForDisplay(background, { timeoutMs = 140 } = {}) {
         if (!background || typeof background !== 'object') return background;
-        if (this.settings.type === 'color') return background;
+        if (isFillBackgroundType(this.settings.type)) return background;
         if (this.settings.smartCropEnabled === false) return background;
 
         if (background.file?.position) return background;
@@ -639,7 +817,7 @@ class BackgroundSystem {
 
         this.settings = { ...this.settings, ...newSettings };
         const effectiveFrequency = this._getEffectiveFrequency(this.settings.type, this.settings.frequency);
-        if (this.settings.type === 'color' || effectiveFrequency !== 'tabs') {
+        if (isFillBackgroundType(this.settings.type) || effectiveFrequency !== 'tabs') {
             this._pendingStartupRefreshOnVisible = false;
         }
         await this.saveSettings();
@@ -695,6 +873,7 @@ class BackgroundSystem {
     initVisibilityListener() {
         if (this._visibilityHandler) return;
         this._visibilityHandler = () => {
+            this._syncMotionPlayback();
             if (document.visibilityState !== 'visible' || !this.initialized) {
                 return;
             }
@@ -736,7 +915,8 @@ class BackgroundSystem {
     }
 
     _shouldAutoRefreshOnVisibility() {
-        if (this.settings.type === 'color') return false;
+        if (this._isScheduleRuleChanged()) return true;
+        if (isFillBackgroundType(this.settings.type)) return false;
         const effectiveFrequency = this._getEffectiveFrequency();
         if (effectiveFrequency === 'tabs') return false;
         if (effectiveFrequency === 'never') return false;
@@ -785,6 +965,7 @@ class BackgroundSystem {
         const oldType = this.settings.type;
         const oldTexture = this.settings.texture;
         const oldColor = this.settings.color;
+        const oldGradient = JSON.stringify(normalizeGradient(this.settings.gradient));
         const oldFilters = {
             blur: this.settings.blur,
             overlay: this.settings.overlay,
@@ -792,14 +973,18 @@ class BackgroundSystem {
             fadein: this.settings.fadein
         };
 
+        const oldQueries = JSON.stringify(buildProviderQueries(this.settings, oldType));
+
         this.settings = {
             ...DEFAULT_SETTINGS,
             ...newValue,
             texture: { ...DEFAULT_SETTINGS.texture, ...(newValue.texture || {}) },
-            apiKeys: { ...DEFAULT_SETTINGS.apiKeys, ...(newValue.apiKeys || {}) }
+            apiKeys: { ...DEFAULT_SETTINGS.apiKeys, ...(newValue.apiKeys || {}) },
+            providerTopics: { ...DEFAULT_SETTINGS.providerTopics, ...(newValue.providerTopics || {}) },
+            gradient: { ...DEFAULT_SETTINGS.gradient, ...(newValue.gradient || {}) }
         };
         const effectiveFrequency = this._getEffectiveFrequency(this.settings.type, this.settings.frequency);
-        if (this.settings.type === 'color' || effectiveFrequency !== 'tabs') {
+        if (isFillBackgroundType(this.settings.type) || effectiveFrequency !== 'tabs') {
             this._pendingStartupRefreshOnVisible = false;
         }
 
@@ -820,13 +1005,36 @@ class BackgroundSystem {
 
         const typeChanged = oldType !== this.settings.type;
 
+        // A preloaded photo from the old topics should not show up after they change
+        if (!typeChanged && oldQueries !== JSON.stringify(buildProviderQueries(this.settings, oldType))) {
+            this.nextBackground = null;
+            this._metadataCache.clear(oldType);
+        }
+
+        // Editing the schedule can put a different rule in charge right away
+        this._syncScheduleTheme();
+        this._syncMotionPlayback();
+        if (this._isScheduleRuleChanged()) {
+            this.nextBackground = null;
+            this.loadBackground(true);
+            return;
+        }
+
         if (this.settings.type === 'color') {
-            if (typeChanged || oldColor !== this.settings.color) {
+            if (!this._getActiveScheduleRule() && (typeChanged || oldColor !== this.settings.color)) {
                 this.applyColorBackground(this.settings.color);
             }
             return;
         }
 
+        if (this.settings.type === 'gradient') {
+            const gradientChanged = oldGradient !== JSON.stringify(normalizeGradient(this.settings.gradient));
+            if (!this._getActiveScheduleRule() && (typeChanged || gradientChanged)) {
+                this.applyGradientBackground(this.settings.gradient);
+            }
+            return;
+        }
+
         if (typeChanged) {
             this.nextBackground = null;
             const isOnlineSource = this._isOnlineBackgroundType(this.settings.type);
@@ -841,6 +1049,10 @@ class BackgroundSystem {
             return;
         }
 
+        if (changes[SCHEDULE_STATE_KEY]) {
+            this._scheduleRuleId = changes[SCHEDULE_STATE_KEY].newValue?.ruleId ?? null;
+        }
+
         if (changes.currentBackground) {
             const hydrated = await this._hydrateStoredBackground(changes.currentBackground.newValue);
             if (!hydrated) return;
@@ -851,7 +1063,12 @@ class BackgroundSystem {
                 this.lastChange = changes.lastBackgroundChange.newValue;
             }
 
-            if (this.settings.type === 'color') return;
+            if (isFillBackgroundType(this.settings.type) && !this._getActiveScheduleRule()) return;
+
+            if (isColorBackground(hydrated)) {
+                this.applyColorBackground(hydrated.color);
+                return;
+            }
 
             try {
                 const applyType = hydrated.file ? 'files' : this.settings.type;
@@ -964,11 +1181,14 @@ class BackgroundSystem {
             this._unsubscribeStorageChange();
             this._unsubscribeStorageChange = null;
         }
+        this._destroyMotionPlayback();
         this._stateMachine.destroy();
     }
 }
 
 applyBackgroundMethodsTo(BackgroundSystem);
+applyPlaylistMethodsTo(BackgroundSystem);
+applyMotionPlaybackMethodsTo(BackgroundSystem);
 
 export const backgroundSystem = new BackgroundSystem();
 let _backgroundUnloadHookInstalled = false;
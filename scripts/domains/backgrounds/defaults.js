@@ -12,6 +12,16 @@ export const DEFAULT_SETTINGS = Object.freeze({
     blur: 0,
     overlay: 30,
     color: '#1a1a2e',
+    // Used when type is 'gradient', see gradient.js
+    gradient: Object.freeze({
+        mode: 'linear',
+        angle: 135,
+        stops: Object.freeze([
+            Object.freeze({ color: '#1a1a2e', pos: 0 }),
+            Object.freeze({ color: '#0f3460', pos: 100 })
+        ]),
+        animate: false
+    }),
     texture: Object.freeze({
         type: 'none',
         opacity: 10,
@@ -25,5 +35,22 @@ export const DEFAULT_SETTINGS = Object.freeze({
         unsplash: '',
         pixabay: '',
         pexels: ''
-    })
+    }),
+    // Search topics rotated per online provider; empty lists fetch random photos
+    providerTopics: Object.freeze({
+        unsplash: Object.freeze([]),
+        pixabay: Object.freeze([]),
+        pexels: Object.freeze([])
+    }),
+    unsplashCollections: Object.freeze([]),
+    matchOrientation: false,
+    // Weighted sources used when type is 'playlist', e.g. [{ source: 'bing', weight: 2 }]
+    playlist: Object.freeze([]),
+    // Time-of-day / weekday / date rules, see schedule.js
+    scheduleRules: Object.freeze([]),
+    scheduleLocation: null,
+    scheduleSwitchTheme: false,
+    // Local videos / animated images, see motion-playback.js
+    motionPauseHidden: true,
+    motionPowerSaver: 'low'
 });
@@ -0,0 +1,111 @@
+/**
+ * Gradient Backgrounds
+ *
+ * Linear, radial and conic gradients built from 2-6 colour stops, used by the 'gradient'
+ * background type instead of a single flat colour.
+ * - Settings are normalized here and turned into one CSS image string
+ * - The CSS string is also stored in the first-paint snapshot (boot/first-paint.js), so it
+ *   only uses characters that script accepts
+ * - The optional slow drift/hue animation lives in CSS and is off for prefers-reduced-motion
+ *
+ * Dependency-free apart from the defaults, so the settings page can import it directly.
+ */
+
+import { DEFAULT_SETTINGS } from './defaults.js';
+
+export const GRADIENT_MODES = Object.freeze(['linear', 'radial', 'conic']);
+
+export const GRADIENT_LIMITS = Object.freeze({
+    minStops: 2,
+    maxStops: 6
+});
+
+/** Preset ids double as the settingsBgGradientPreset* label suffix, e.g. settingsBgGradientPresetOcean */
+export const GRADIENT_PRESETS = Object.freeze([
+    { id: 'midnight', mode: 'linear', angle: 135, stops: [{ color: '#1a1a2e', pos: 0 }, { color: '#16213e', pos: 50 }, { color: '#0f3460', pos: 100 }] },
+    { id: 'sunset', mode: 'linear', angle: 160, stops: [{ color: '#ff7e5f', pos: 0 }, { color: '#feb47b', pos: 100 }] },
+    { id: 'ocean', mode: 'linear', angle: 200, stops: [{ color: '#2193b0', pos: 0 }, { color: '#6dd5ed', pos: 100 }] },
+    { id: 'aurora', mode: 'linear', angle: 120, stops: [{ color: '#0b3d2e', pos: 0 }, { color: '#1fa67a', pos: 45 }, { color: '#6a3093', pos: 100 }] },
+    { id: 'peach', mode: 'radial', angle: 0, stops: [{ color: '#ffecd2', pos: 0 }, { color: '#fcb69f', pos: 100 }] },
+    { id: 'spectrum', mode: 'conic', angle: 0, stops: [{ color: '#ff6b6b', pos: 0 }, { color: '#feca57', pos: 33 }, { color: '#48dbfb', pos: 66 }, { color: '#ff6b6b', pos: 100 }] }
+].map(preset => Object.freeze({ ...preset, stops: Object.freeze(preset.stops.map(stop => Object.freeze(stop))) })));
+
+const HEX_COLOR = /^#[0-9a-f]{6}$/i;
+const SHORT_HEX_COLOR = /^#[0-9a-f]{3}$/i;
+
+function normalizeStopColor(value) {
+    const color = String(value ?? '').trim().toLowerCase();
+    if (HEX_COLOR.test(color)) return color;
+    if (SHORT_HEX_COLOR.test(color)) {
+        return `#${color.slice(1).split('').map(ch => ch + ch).join('')}`;
+    }
+    return null;
+}
+
+function clampInt(value, min, max, fallback) {
+    const num = Math.round(Number(value));
+    if (!Number.isFinite(num)) return fallback;
+    return Math.min(max, Math.max(min, num));
+}
+
+/**
+ * @param {unknown} raw - backgroundSettings.gradient
+ * @returns {{ mode: string, angle: number, stops: Array<{ color: string, pos: number }>, animate: boolean }}
+ *   Stops sorted by position; falls back to the default stops when fewer than two are usable
+ */
+export function normalizeGradient(raw) {
+    const defaults = DEFAULT_SETTINGS.gradient;
+    const source = raw && typeof raw === 'object' ? raw : {};
+    const mode = GRADIENT_MODES.includes(source.mode) ? source.mode : defaults.mode;
+    const angle = ((clampInt(source.angle, -720, 720, defaults.angle) % 360) + 360) % 360;
+
+    const stops = [];
+    for (const item of Array.isArray(source.stops) ? source.stops : []) {
+        const color = normalizeStopColor(item?.color);
+        if (!color) continue;
+        stops.push({ color, pos: clampInt(item.pos, 0, 100, stops.length ? 100 : 0) });
+        if (stops.length >= GRADIENT_LIMITS.maxStops) break;
+    }
+    stops.sort((a, b) => a.pos - b.pos);
+
+    return {
+        mode,
+        angle,
+        stops: stops.length >= GRADIENT_LIMITS.minStops ? stops : defaults.stops.map(stop => ({ ...stop })),
+        animate: source.animate === true
+    };
+}
+
+/**
+ * @param {unknown} gradient - Raw or normalized gradient settings
+ * @returns {string} CSS image, e.g. "linear-gradient(135deg, #1a1a2e 0%, #0f3460 100%)"
+ */
+export function buildGradientCss(gradient) {
+    const { mode, angle, stops } = normalizeGradient(gradient);
+    const stopList = stops.map(stop => `${stop.color} ${stop.pos}%`).join(', ');
+    switch (mode) {
+        case 'radial':
+            return `radial-gradient(circle at 50% 50%, ${stopList})`;
+        case 'conic':
+            return `conic-gradient(from ${angle}deg at 50% 50%, ${stopList})`;
+        default:
+            return `linear-gradient(${angle}deg, ${stopList})`;
+    }
+}
+
+/**
+ * Average of the stop colours, used where a single colour is needed
+ * (solid fallback, first-paint colour, wallpaper tint for glass surfaces).
+ * @param {unknown} gradient
+ * @returns {string} Hex colour
+ */
+export function getGradientAverageColor(gradient) {
+    const { stops } = normalizeGradient(gradient);
+    const sum = [0, 0, 0];
+    for (const { color } of stops) {
+        for (let i = 0; i < 3; i++) {
+            sum[i] += parseInt(color.slice(1 + i * 2, 3 + i * 2), 16);
+        }
+    }
+    return `#${sum.map(value => Math.round(value / stops.length).toString(16).padStart(2, '0')).join('')}`;
+}
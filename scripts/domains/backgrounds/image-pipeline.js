@@ -8,7 +8,8 @@ import { fetchWithTimeout, runWithTimeout } from '../../shared/net.js';
 import { toast } from '../../shared/toast.js';
 import { logWithDedup } from '../../shared/error-utils.js';
 import { getProvider } from './source-remote.js';
-import { getApplyOptions, getPrepareTimeoutMs, shouldPreloadNextBackground } from './controller-actions.js';
+import { getApplyOptions, getPrepareTimeoutMs, isFillBackgroundType, shouldPreloadNextBackground } from './controller-actions.js';
+import { buildGradientCss, getGradientAverageColor, normalizeGradient } from './gradient.js';
 import { shouldRefreshBackground } from './refresh-policy.js';
 
 const FIRST_PAINT_API_KEY = '__AURA_FIRST_PAINT__';
@@ -140,6 +141,7 @@ function queueFirstPaintSnapshot(detail) {
             v: FIRST_PAINT_SNAPSHOT_VERSION,
             color,
             previewDataUrl,
+            gradient: typeof detail.gradient === 'string' ? detail.gradient : null,
             size: sanitizeStyleValue(detail.size, 'cover'),
             position: sanitizeStyleValue(detail.position, '50% 50%'),
             repeat: sanitizeStyleValue(detail.repeat, 'no-repeat'),
@@ -312,6 +314,42 @@ export function isImageFile(input) {
     return ALLOWED_IMAGE_TYPES.has(type);
 }
 
+// Muted loops; stored next to a still poster frame, see source-local.js
+const ALLOWED_VIDEO_TYPES = new Set(['video/mp4', 'video/webm']);
+
+export function isVideoFile(input) {
+    const type = typeof input === 'string' ? input : input.type;
+    return ALLOWED_VIDEO_TYPES.has(type);
+}
+
+// Frames are counted within the head of the file; more is not needed to tell a loop from a still
+const ANIMATION_SCAN_BYTES = 256 * 1024;
+
+/**
+ * Whether a GIF or WebP has more than one frame.
+ * @param {Blob} blob
+ * @returns {Promise<boolean>}
+ */
+export async function isAnimatedImage(blob) {
+    if (blob?.type !== 'image/gif' && blob?.type !== 'image/webp') return false;
+    try {
+        const bytes = new Uint8Array(await blob.slice(0, ANIMATION_SCAN_BYTES).arrayBuffer());
+        if (blob.type === 'image/webp') {
+            // Extended header: "VP8X" chunk at offset 12, animation flag in its first byte
+            const chunk = String.fromCharCode(...bytes.subarray(12, 16));
+            return chunk === 'VP8X' && (bytes[20] & 0x02) !== 0;
+        }
+        // Each GIF frame starts with a graphic control extension (21 F9 04)
+        let frames = 0;
+        for (let i = 0; i < bytes.length - 2; i++) {
+            if (bytes[i] === 0x21 && bytes[i + 1] === 0xF9 && bytes[i + 2] === 0x04 && ++frames > 1) return true;
+        }
+        return false;
+    } catch {
+        return false;
+    }
+}
+
 export function detectBackgroundSize() {
     // Always use 'full' version for final display.
     // The 'small' version (640x360, 60% quality) is too low-res for background display
@@ -381,6 +419,58 @@ export async function compressImage(objectUrl, options = {}) {
     });
 }
 
+/**
+ * Grab a still frame from a video as a JPEG, used as its poster and preview.
+ * @param {string} objectUrl
+ * @param {{ maxHeight?: number, maxWidth?: number, quality?: number, timeout?: number }} [options]
+ * @returns {Promise<Blob>}
+ */
+export async function captureVideoFrame(objectUrl, options = {}) {
+    const { maxHeight = 1440, maxWidth = 2560, quality = 0.85, timeout = 15000 } = options;
+    return new Promise((resolve, reject) => {
+        const video = document.createElement('video');
+        video.muted = true;
+        video.preload = 'auto';
+        video.playsInline = true;
+        let settled = false;
+        const timer = setTimeout(() => settle(() => reject(new Error(t('videoLoadFailed')))), timeout);
+        function settle(fn) {
+            if (settled) return;
+            settled = true;
+            clearTimeout(timer);
+            video.onloadeddata = null;
+            video.onseeked = null;
+            video.onerror = null;
+            fn();
+            video.removeAttribute('src');
+            video.load();
+        }
+        video.onloadeddata = () => {
+            // A little way in avoids black or faded-in first frames
+            const duration = Number.isFinite(video.duration) ? video.duration : 0;
+            video.currentTime = Math.min(1, duration / 10);
+        };
+        video.onseeked = () => {
+            try {
+                const { width, height } = calculateSafeCanvasSize(video.videoWidth, video.videoHeight, maxHeight, maxWidth);
+                const canvas = document.createElement('canvas');
+                canvas.width = width;
+                canvas.height = height;
+                const ctx = canvas.getContext('2d');
+                if (!ctx) { settle(() => reject(new Error(t('imageCanvasError')))); return; }
+                ctx.drawImage(video, 0, 0, width, height);
+                canvas.toBlob(
+                    blob => settle(() => blob ? resolve(blob) : reject(new Error(t('imageCompressFailed')))),
+                    'image/jpeg',
+                    quality
+                );
+            } catch (error) { settle(() => reject(error)); }
+        };
+        video.onerror = () => settle(() => reject(new Error(t('videoLoadFailed'))));
+        video.src = objectUrl;
+    });
+}
+
 export function preloadImage(url, timeout = 45000) {
     return new Promise((resolve, reject) => {
         const img = new Image();
@@ -1052,10 +1142,16 @@ export const backgroundApplyMethods = {
             }
         };
 
-        const mountLayer = (url, scope) => {
+        const mountLayer = (url, scope, { withMotion = false } = {}) => {
             const item = this.createImageElement(url, background);
             this._attachBlobMetadata(item, url, scope);
+            if (withMotion && background.urls.motion) {
+                this._attachMotionLayer(item, background);
+            }
             this._commitBackgroundLayer(item, background.color || null, phase);
+            if (withMotion) {
+                this._syncMotionPlayback();
+            }
             return item;
         };
 
@@ -1092,7 +1188,7 @@ export const backgroundApplyMethods = {
                 try { background.color = getAverageColor(img); } catch { }
             }
 
-            mountLayer(primaryBlobUrl, primaryScope);
+            mountLayer(primaryBlobUrl, primaryScope, { withMotion: true });
 
         } catch (error) {
             // If preview is already visible, keep it and suppress the error.
@@ -1151,10 +1247,11 @@ export const backgroundApplyMethods = {
             const type = payload?.type || this.wrapper?.dataset?.type || 'files';
             const el = payload?.element || null;
             const explicitColor = typeof payload?.color === 'string' ? payload.color.trim() : '';
+            const gradient = typeof payload?.gradient === 'string' ? payload.gradient : null;
             const fallbackColor = getComputedStyle(document.documentElement).getPropertyValue('--solid-background').trim();
             const detail = {
                 type,
-                image: el ? (el.style.backgroundImage || getComputedStyle(el).backgroundImage) : null,
+                image: el ? (el.style.backgroundImage || getComputedStyle(el).backgroundImage) : gradient,
                 size: el ? (el.style.backgroundSize || getComputedStyle(el).backgroundSize) : null,
                 position: el ? (el.style.backgroundPosition || getComputedStyle(el).backgroundPosition) : null,
                 repeat: el ? (el.style.backgroundRepeat || getComputedStyle(el).backgroundRepeat) : null,
@@ -1173,7 +1270,8 @@ export const backgroundApplyMethods = {
                 persistFirstPaintColor(explicitColor);
                 queueFirstPaintSnapshot({
                     ...detail,
-                    color: explicitColor
+                    color: explicitColor,
+                    gradient
                 });
             }
 
@@ -1191,6 +1289,8 @@ export const backgroundApplyMethods = {
 
             const blobUrl = oldItem.dataset.blobUrl;
             const blobScope = oldItem.dataset.blobScope;
+            const motionUrl = oldItem.dataset.motionUrl;
+            oldItem.querySelector('video.background-motion')?.pause();
 
             let cleaned = false;
             const cleanup = () => {
@@ -1200,6 +1300,9 @@ export const backgroundApplyMethods = {
                 if (blobUrl) {
                     blobUrlManager.release(blobUrl, true);
                 }
+                if (motionUrl) {
+                    blobUrlManager.release(motionUrl, true);
+                }
                 if (blobScope) {
                     blobUrlManager.releaseScope(blobScope);
                 }
@@ -1219,11 +1322,11 @@ export const backgroundApplyMethods = {
 
     _ensurePlaceholderBackground() {
         if (!this.wrapper || !this.mediaContainer) return;
-        if (this.settings.type === 'color') return;
+        if (isFillBackgroundType(this.settings.type)) return;
 
         const hasAnyMedia = this.mediaContainer.querySelector('.background-image');
         if (hasAnyMedia) {
-            if (this.wrapper.dataset.type === 'color') {
+            if (isFillBackgroundType(this.wrapper.dataset.type)) {
                 this.wrapper.dataset.type = this.settings.type;
             }
             return;
@@ -1258,13 +1361,41 @@ export const backgroundApplyMethods = {
         this.wrapper.dataset.phase = 'normal';
 
         this._emitBackgroundApplied({ type: 'color', element: null, color });
+        this._clearBackgroundMedia();
+    },
 
+    /**
+     * Paint a gradient on the colour layer. The stop average doubles as the solid
+     * fallback and first-paint colour; the CSS string goes into the first-paint snapshot.
+     * @param {import('./types.js').GradientSettings} gradient
+     */
+    applyGradientBackground(gradient) {
+        const normalized = normalizeGradient(gradient);
+        const css = buildGradientCss(normalized);
+        const color = getGradientAverageColor(normalized);
+        const root = document.documentElement;
+        root.style.setProperty('--solid-background', color);
+        root.style.setProperty('--gradient-background', css);
+        this.wrapper.dataset.type = 'gradient';
+        this.wrapper.dataset.gradientAnimate = String(normalized.animate);
+        this.wrapper.dataset.phase = 'normal';
+
+        this._emitBackgroundApplied({ type: 'gradient', element: null, color, gradient: css });
+        this._clearBackgroundMedia();
+    },
+
+    _clearBackgroundMedia() {
         const items = this.mediaContainer.querySelectorAll('.background-image');
         items.forEach(item => {
             const blobUrl = item.dataset.blobUrl;
             if (blobUrl) {
                 blobUrlManager.release(blobUrl, true);
             }
+            const motionUrl = item.dataset.motionUrl;
+            if (motionUrl) {
+                item.querySelector('video.background-motion')?.pause();
+                blobUrlManager.release(motionUrl, true);
+            }
         });
         this.mediaContainer.innerHTML = '';
     },
@@ -1282,7 +1413,12 @@ export const backgroundApplyMethods = {
     },
 
     async preloadNextBackground() {
-        if (this.settings.type === 'color') return;
+        // Playlist turns and schedule rules are resolved when the background changes, not ahead of time
+        if (isFillBackgroundType(this.settings.type) || this.settings.type === 'playlist') return;
+        if (this._getActiveScheduleRule()) {
+            this.nextBackground = null;
+            return;
+        }
         if (!shouldPreloadNextBackground(this.settings, this.settings.type)) {
             this.nextBackground = null;
             return;
@@ -1304,14 +1440,15 @@ export const backgroundApplyMethods = {
             if (this.settings.type === 'files') {
                 nextBg = await this._localFilesManager?.getRandomFile?.();
             } else {
-                nextBg = this._metadataCache.pop(this.settings.type);
-
-                if (!nextBg) {
-                    const provider = getProvider(this.settings.type);
-                    const apiKey = this.settings.apiKeys[this.settings.type];
-                    if (canFetchFromProvider(provider, apiKey)) {
-                        nextBg = await provider.fetchRandom(apiKey);
-                    }
+                const provider = getProvider(this.settings.type);
+                const apiKey = this.settings.apiKeys[this.settings.type];
+                const query = canFetchFromProvider(provider, apiKey)
+                    ? await this._getProviderQuery(this.settings.type)
+                    : undefined;
+                nextBg = this._metadataCache.pop(this.settings.type, query);
+
+                if (!nextBg && query) {
+                    nextBg = await provider.fetchRandom(apiKey, query);
                 }
             }
 
@@ -1346,15 +1483,18 @@ export const backgroundApplyMethods = {
 
     async _refillMetadataCache() {
         const source = this.settings.type;
-        if (source === 'files' || source === 'color') return;
+        if (source === 'files' || isFillBackgroundType(source)) return;
         if (!shouldPreloadNextBackground(this.settings, source)) return;
 
         const provider = getProvider(source);
         const apiKey = this.settings.apiKeys[source];
 
-        if (canFetchFromProvider(provider, apiKey) && this._metadataCache.size(source) < 3) {
+        if (!canFetchFromProvider(provider, apiKey)) return;
+        // Fill the bucket the next rotation step will read from
+        const query = await this._getProviderQuery(source, { advance: false });
+        if (this._metadataCache.size(source, query) < 3) {
             const prefetchInIdle = () => {
-                this._metadataCache.prefetch(source, provider, apiKey, 2).catch(() => { });
+                this._metadataCache.prefetch(source, provider, apiKey, 2, query).catch(() => { });
             };
             if (typeof requestIdleCallback === 'function') {
                 requestIdleCallback(() => {
@@ -1373,7 +1513,7 @@ export const backgroundApplyMethods = {
             return;
         }
 
-        if (this.settings.type !== 'color' && this.nextBackground) {
+        if (!isFillBackgroundType(this.settings.type) && this.nextBackground && !this._isScheduleRuleChanged()) {
             const { background, type } = this.nextBackground;
             if (type === this.settings.type) {
                 this._stateMachine.transition('loading', { reason: 'refresh' });
@@ -0,0 +1,132 @@
+/**
+ * Motion Backgrounds
+ *
+ * Plays local videos and animated GIF/WebP files on top of their still frame.
+ * - The still stays in the layer's background-image, so first paint, colour extraction and
+ *   the photo views never touch the video
+ * - Videos are muted loops inside the layer div and share its blur/brightness/overlay
+ * - Playback stops in hidden tabs and, in battery-saver mode, when the battery is low or
+ *   unplugged (or the browser asks to save data); the still frame is shown instead
+ */
+
+export const MOTION_POWER_SAVER_MODES = Object.freeze(['off', 'low', 'unplugged']);
+
+/** Battery level at or below which 'low' mode shows the still frame */
+const LOW_BATTERY_LEVEL = 0.2;
+const BATTERY_EVENTS = ['chargingchange', 'levelchange'];
+
+/**
+ * @param {{
+ *   hidden?: boolean,
+ *   pauseHidden?: boolean,
+ *   powerSaver?: string,
+ *   battery?: { charging: boolean, level: number } | null,
+ *   saveData?: boolean
+ * }} state
+ * @returns {boolean} Whether motion should stop and show the still frame
+ */
+export function shouldPauseMotion({ hidden = false, pauseHidden = true, powerSaver = 'low', battery = null, saveData = false } = {}) {
+    if (hidden && pauseHidden) return true;
+    if (powerSaver === 'off') return false;
+    if (saveData) return true;
+    if (!battery || battery.charging) return false;
+    return powerSaver === 'unplugged' || battery.level <= LOW_BATTERY_LEVEL;
+}
+
+export const motionPlaybackMethods = {
+    /**
+     * Add the moving version to a layer before it is committed.
+     * @param {HTMLElement} item - .background-image layer showing the still
+     * @param {object} background - Local background with urls.motion
+     */
+    _attachMotionLayer(item, background) {
+        const motionUrl = background.urls?.motion;
+        const motion = background.file?.motion;
+        if (!motionUrl || !motion) return;
+
+        item.dataset.motion = motion;
+        item.dataset.motionUrl = motionUrl;
+
+        if (motion === 'animated') {
+            item.dataset.stillImage = item.style.backgroundImage;
+            return;
+        }
+
+        const pos = background.position || background.file?.position;
+        const video = document.createElement('video');
+        video.className = 'background-motion';
+        video.muted = true;
+        video.loop = true;
+        video.playsInline = true;
+        video.preload = 'auto';
+        video.disablePictureInPicture = true;
+        video.setAttribute('aria-hidden', 'true');
+        video.style.objectFit = pos?.size === 'contain' ? 'contain' : 'cover';
+        video.style.objectPosition = pos ? `${pos.x} ${pos.y}` : '50% 50%';
+        // Fade in over the still once frames are actually coming
+        video.addEventListener('playing', () => video.classList.add('playing'), { once: true });
+        video.src = motionUrl;
+        item.appendChild(video);
+    },
+
+    /** Play the newest motion layer if allowed, pause everything else. */
+    _syncMotionPlayback() {
+        if (!this.mediaContainer) return;
+        const items = this.mediaContainer.querySelectorAll('.background-image[data-motion]');
+        if (items.length === 0) return;
+
+        const paused = shouldPauseMotion({
+            hidden: document.hidden,
+            pauseHidden: this.settings.motionPauseHidden !== false,
+            powerSaver: this.settings.motionPowerSaver,
+            battery: this._battery,
+            saveData: navigator.connection?.saveData === true
+        });
+        const current = this.mediaContainer.firstElementChild;
+
+        items.forEach(item => {
+            const play = !paused && item === current;
+            if (item.dataset.motion === 'animated') {
+                item.style.backgroundImage = play ? `url(${item.dataset.motionUrl})` : item.dataset.stillImage;
+                return;
+            }
+            const video = item.querySelector('video.background-motion');
+            if (!video) return;
+            if (play) {
+                // Autoplay of muted video is allowed; a rejection just leaves the still up
+                video.play().catch(() => { });
+            } else {
+                video.pause();
+            }
+        });
+    },
+
+    async _initMotionPlayback() {
+        if (this._batteryManager || typeof navigator.getBattery !== 'function') return;
+        try {
+            const manager = await navigator.getBattery();
+            this._batteryManager = manager;
+            this._batteryHandler = () => {
+                this._battery = { charging: manager.charging, level: manager.level };
+                this._syncMotionPlayback();
+            };
+            BATTERY_EVENTS.forEach(type => manager.addEventListener(type, this._batteryHandler));
+            this._batteryHandler();
+        } catch {
+            // No battery info: only the hidden-tab rule applies
+        }
+    },
+
+    _destroyMotionPlayback() {
+        if (this._batteryManager && this._batteryHandler) {
+            BATTERY_EVENTS.forEach(type => this._batteryManager.removeEventListener(type, this._batteryHandler));
+        }
+        this._batteryManager = null;
+        this._batteryHandler = null;
+        this._battery = null;
+    }
+};
+
+export function applyMotionPlaybackMethodsTo(BackgroundSystemClass) {
+    Object.assign(BackgroundSystemClass.prototype, motionPlaybackMethods);
+}
@@ -0,0 +1,231 @@
+/**
+ * Background Playlist
+ *
+ * Mixes several sources (local files, favorites, Bing, online providers, solid colours)
+ * instead of a single background type.
+ * - Sources take turns by smooth weighted round-robin: weights 2:1 give A B A A B A ...
+ * - Recently shown backgrounds are kept in a no-repeat history
+ * - A source that fails, lacks its API key or only has recent images hands its turn on
+ */
+
+import * as storageRepo from '../../platform/storage-repo.js';
+import { logWithDedup } from '../../shared/error-utils.js';
+import { libraryStore } from './library-store.js';
+import { localFilesManager } from './source-local.js';
+import { getProvider } from './source-remote.js';
+
+export const PLAYLIST_SOURCES = Object.freeze(['files', 'favorites', 'bing', 'unsplash', 'pixabay', 'pexels', 'color']);
+
+export const PLAYLIST_LIMITS = Object.freeze({
+    maxWeight: 5,
+    maxColors: 12,
+    historySize: 30,
+    fetchAttempts: 2
+});
+
+const PLAYLIST_STATE_KEY = 'backgroundPlaylistState';
+// Blob URL scope prefix; one scope per source so a kept repeat is not released by the next source
+const PLAYLIST_SCOPE = 'playlist-bg';
+const HEX_COLOR = /^#[0-9a-f]{6}$/i;
+
+/**
+ * @param {unknown} raw - backgroundSettings.playlist
+ * @returns {Array<{ source: string, weight: number, colors?: string[] }>} One entry per source, weight 1..maxWeight
+ */
+export function normalizePlaylist(raw) {
+    const entries = [];
+    for (const item of Array.isArray(raw) ? raw : []) {
+        const source = item?.source;
+        if (!PLAYLIST_SOURCES.includes(source) || entries.some(entry => entry.source === source)) continue;
+        const weight = Math.min(PLAYLIST_LIMITS.maxWeight, Math.floor(Number(item.weight) || 0));
+        if (weight < 1) continue;
+        const entry = { source, weight };
+        if (source === 'color') {
+            entry.colors = parsePlaylistColors(item.colors);
+        }
+        entries.push(entry);
+    }
+    return entries;
+}
+
+/**
+ * @param {string|string[]} value - "#1a1a2e, #2d3436" or an array of hex colours
+ * @returns {string[]} Lower-case, deduped
+ */
+export function parsePlaylistColors(value) {
+    const parts = Array.isArray(value) ? value : String(value ?? '').split(/[,\s]+/);
+    const colors = [];
+    for (const part of parts) {
+        const color = String(part ?? '').trim().toLowerCase();
+        if (!HEX_COLOR.test(color) || colors.includes(color)) continue;
+        colors.push(color);
+        if (colors.length >= PLAYLIST_LIMITS.maxColors) break;
+    }
+    return colors;
+}
+
+/**
+ * One smooth weighted round-robin step.
+ * @param {Array<{ source: string, weight: number }>} entries
+ * @param {Object<string, number>} [credits] - Carried over from the previous step
+ * @returns {{ order: string[], credits: Object<string, number> }} order starts with the source
+ *   whose turn it is, followed by the fallbacks closest to their next turn
+ */
+export function orderPlaylistSources(entries, credits = {}) {
+    const total = entries.reduce((sum, entry) => sum + entry.weight, 0);
+    const next = {};
+    for (const entry of entries) {
+        next[entry.source] = (Number(credits?.[entry.source]) || 0) + entry.weight;
+    }
+    const order = entries
+        .map((entry, index) => ({ source: entry.source, index }))
+        .sort((a, b) => (next[b.source] - next[a.source]) || (a.index - b.index))
+        .map(item => item.source);
+    if (order.length > 0) next[order[0]] -= total;
+    return { order, credits: next };
+}
+
+/**
+ * @param {string[]} history - Oldest first
+ * @param {string} id
+ * @returns {string[]}
+ */
+export function rememberPlaylistPick(history, id, limit = PLAYLIST_LIMITS.historySize) {
+    if (!id) return history.slice();
+    return [...history.filter(entry => entry !== id), id].slice(-limit);
+}
+
+async function readPlaylistState() {
+    try {
+        const { [PLAYLIST_STATE_KEY]: state } = await storageRepo.local.getMultiple({ [PLAYLIST_STATE_KEY]: null });
+        return {
+            credits: state?.credits && typeof state.credits === 'object' ? state.credits : {},
+            history: Array.isArray(state?.history) ? state.history.filter(id => typeof id === 'string') : []
+        };
+    } catch {
+        return { credits: {}, history: [] };
+    }
+}
+
+function pickFresh(ids, history) {
+    const fresh = ids.filter(id => !history.has(id));
+    const pool = fresh.length > 0 ? fresh : ids;
+    return pool[Math.floor(Math.random() * pool.length)] || null;
+}
+
+function toFavoriteBackground(item) {
+    const remote = item.remote || {};
+    const full = remote.downloadUrl || remote.rawUrl;
+    if (!full) return null;
+    return {
+        format: 'image',
+        id: item.id,
+        urls: {
+            full,
+            small: remote.smallUrl || (remote.thumbParams ? full + remote.thumbParams : full)
+        },
+        downloadUrl: remote.downloadUrl || full
+    };
+}
+
+export const playlistMethods = {
+    /**
+     * Next playlist background. Colour entries resolve to { format: 'color', color }.
+     * @returns {Promise<{ background: Object, type: string }|null>} type is the source used
+     *   for apply options; null when every source failed
+     */
+    async getPlaylistBackground() {
+        const entries = normalizePlaylist(this.settings.playlist);
+        if (entries.length === 0) return null;
+
+        const state = await readPlaylistState();
+        const { order, credits } = orderPlaylistSources(entries, state.credits);
+        const history = new Set(state.history);
+        let picked = null;
+        let repeat = null;
+
+        for (const source of order) {
+            try {
+                const result = await this._getPlaylistSourceBackground(entries.find(entry => entry.source === source), history);
+                if (!result?.background?.id) continue;
+                if (!history.has(result.background.id)) {
+                    picked = result;
+                    break;
+                }
+                repeat ??= result;
+            } catch (error) {
+                logWithDedup('warn', `[Background] Playlist source ${source} failed:`, error, {
+                    skipIfRecoverable: true
+                });
+            }
+        }
+
+        // Everything recent: showing a repeat beats falling back to the default image
+        picked ??= repeat;
+        try {
+            await storageRepo.local.setMultiple({
+                [PLAYLIST_STATE_KEY]: {
+                    credits,
+                    history: picked ? rememberPlaylistPick(state.history, picked.background.id) : state.history
+                }
+            });
+        } catch (error) {
+            console.warn('[Background] Failed to save playlist state:', error);
+        }
+        return picked;
+    },
+
+    /**
+     * Also used by schedule rules, which may pass a fixed provider query.
+     * @param {{ source: string, colors?: string[], query?: Object }} entry
+     * @param {Set<string>} history
+     * @returns {Promise<{ background: Object, type: string }|null>}
+     */
+    async _getPlaylistSourceBackground(entry, history) {
+        switch (entry.source) {
+            case 'files': {
+                await localFilesManager.init();
+                const id = pickFresh(Array.from(localFilesManager.files.keys()), history);
+                const background = id
+                    ? await localFilesManager.getFile(id, `${PLAYLIST_SCOPE}-files`, { releaseOld: true })
+                    : null;
+                return background ? { background, type: 'files' } : null;
+            }
+            case 'favorites': {
+                await libraryStore.init({ scheduleDownloads: false });
+                const items = libraryStore.getAll();
+                const item = libraryStore.get(pickFresh(items.map(fav => fav.id), history));
+                if (!item) return null;
+                if (item.kind === 'local') {
+                    const background = await localFilesManager.getFile(item.localFileId, `${PLAYLIST_SCOPE}-favorites`, { releaseOld: true });
+                    return background ? { background, type: 'files' } : null;
+                }
+                const background = toFavoriteBackground(item);
+                return background ? { background: { ...background, provider: item.provider }, type: item.provider || 'files' } : null;
+            }
+            case 'color': {
+                const colors = entry.colors?.length > 0 ? entry.colors : [this.settings.color];
+                const color = colors.find(value => !history.has(`color-${value}`)) || colors[0];
+                return { background: { format: 'color', id: `color-${color}`, color }, type: 'color' };
+            }
+            default: {
+                const provider = getProvider(entry.source);
+                const apiKey = this.settings.apiKeys?.[entry.source] || '';
+                if (!provider || (provider.requiresApiKey !== false && !apiKey)) return null;
+
+                // Bing has one image a day, so asking again cannot help
+                const attempts = entry.source === 'bing' ? 1 : PLAYLIST_LIMITS.fetchAttempts;
+                let background = null;
+                for (let attempt = 0; attempt < attempts; attempt++) {
+                    background = await provider.fetchRandom(apiKey, entry.query ?? await this._getProviderQuery(entry.source));
+                    if (!history.has(background?.id)) break;
+                }
+                return background ? { background: { ...background, provider: entry.source }, type: entry.source } : null;
+            }
+        }
+    }
+};
+
+export function applyPlaylistMethodsTo(BackgroundSystemClass) {
+    Object.assign(BackgroundSystemClass.prototype, playlistMethods);
+}
@@ -0,0 +1,117 @@
+/**
+ * Search queries for online background providers.
+ *
+ * Each provider keeps its own topic list; Unsplash can also draw from collections.
+ * Topics and collections are rotated one fetch at a time, so every query gets its own
+ * metadata cache bucket. With matchOrientation on, each query also asks for photos in
+ * the viewport orientation.
+ */
+
+export const QUERY_SOURCES = Object.freeze(['unsplash', 'pixabay', 'pexels']);
+
+export const QUERY_LIMITS = Object.freeze({
+    maxTopics: 20,
+    maxTopicLength: 60,
+    maxCollections: 10
+});
+
+// Viewports within this aspect range count as square
+const SQUARISH_MIN = 0.9;
+const SQUARISH_MAX = 1.1;
+
+/**
+ * @param {string|string[]} value - "mountains, architecture" or an array of topics
+ * @returns {string[]} Trimmed topics, case-insensitively deduped
+ */
+export function parseTopicList(value) {
+    const parts = Array.isArray(value) ? value : String(value ?? '').split(/[,\n]/);
+    const seen = new Set();
+    const topics = [];
+    for (const part of parts) {
+        const topic = String(part ?? '').trim().replace(/\s+/g, ' ').slice(0, QUERY_LIMITS.maxTopicLength);
+        if (!topic || seen.has(topic.toLowerCase())) continue;
+        seen.add(topic.toLowerCase());
+        topics.push(topic);
+        if (topics.length >= QUERY_LIMITS.maxTopics) break;
+    }
+    return topics;
+}
+
+/**
+ * Accepts bare ids and unsplash.com/collections/<id>/... links
+ * @param {string|string[]} value
+ * @returns {string[]}
+ */
+export function parseCollectionIds(value) {
+    const parts = Array.isArray(value) ? value : String(value ?? '').split(/[,\s]+/);
+    const ids = [];
+    for (const part of parts) {
+        const raw = String(part ?? '').trim();
+        const id = raw.match(/collections\/([A-Za-z0-9_-]+)/)?.[1] || raw;
+        if (!/^[A-Za-z0-9_-]{1,40}$/.test(id) || ids.includes(id)) continue;
+        ids.push(id);
+        if (ids.length >= QUERY_LIMITS.maxCollections) break;
+    }
+    return ids;
+}
+
+/**
+ * @param {number} width
+ * @param {number} height
+ * @returns {'landscape'|'portrait'|'squarish'}
+ */
+export function getViewportOrientation(width, height) {
+    const aspect = Math.max(Number(width) || 1, 1) / Math.max(Number(height) || 1, 1);
+    if (aspect < SQUARISH_MIN) return 'portrait';
+    if (aspect > SQUARISH_MAX) return 'landscape';
+    return 'squarish';
+}
+
+/**
+ * Queries a source rotates through, in order. An empty topic list yields one
+ * unfiltered query so the provider keeps returning random photos.
+ * @param {Object} settings - backgroundSettings
+ * @param {string} type - Background source
+ * @param {{ orientation?: string }} [options]
+ * @returns {Array<{ query?: string, collections?: string, orientation?: string }>}
+ */
+export function buildProviderQueries(settings, type, { orientation } = {}) {
+    if (!QUERY_SOURCES.includes(type)) return [{}];
+    const queries = parseTopicList(settings?.providerTopics?.[type] || []).map(query => ({ query }));
+    if (type === 'unsplash') {
+        for (const id of parseCollectionIds(settings?.unsplashCollections || [])) {
+            queries.push({ collections: id });
+        }
+    }
+    if (queries.length === 0) queries.push({});
+    if (settings?.matchOrientation && orientation) {
+        for (const query of queries) query.orientation = orientation;
+    }
+    return queries;
+}
+
+/**
+ * @param {{ query?: string, collections?: string, orientation?: string }|string} [query]
+ * @returns {string} Stable metadata cache key part ('' for an unfiltered query)
+ */
+export function getQueryCacheKey(query) {
+    const { query: text = '', collections = '', orientation = '' } = normalizeQueryOptions(query);
+    if (!text && !collections && !orientation) return '';
+    return [text.toLowerCase(), collections, orientation].join('|');
+}
+
+/**
+ * Providers accept either a plain search string or a query object
+ * @param {{ query?: string, collections?: string, orientation?: string }|string} [query]
+ * @returns {{ query: string, collections: string, orientation: string }}
+ */
+export function normalizeQueryOptions(query) {
+    const source = typeof query === 'string' ? { query } : (query && typeof query === 'object' ? query : {});
+    const clean = (value) => (typeof value === 'string' ? value.trim() : '');
+    const orientation = clean(source.orientation);
+    return {
+        query: clean(source.query),
+        collections: clean(source.collections),
+        orientation: ['landscape', 'portrait', 'squarish'].includes(orientation) ? orientation : ''
+    };
+}
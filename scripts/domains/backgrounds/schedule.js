@@ -0,0 +1,315 @@
+/**
+ * Background Schedule
+ *
+ * Time-of-day, weekday and date rules that swap the background source while they apply,
+ * e.g. "dark photos from sunset to sunrise" or "this image on 2026-12-25".
+ * - Rules are evaluated locally; sunrise/sunset use an optional coordinate pair and fall
+ *   back to fixed hours without one
+ * - Date rules win over recurring ones, otherwise the first matching rule in the list wins
+ * - The service worker sets an alarm for the next boundary; pages re-check on load
+ * - Optionally switches uiTheme while a rule with a theme is active, and restores the
+ *   previous theme once it ends
+ *
+ * Pure evaluation helpers plus storage-only theme sync, so the service worker can import it.
+ */
+
+import * as storageRepo from '../../platform/storage-repo.js';
+
+export const SCHEDULE_ALARM = 'backgroundSchedule';
+export const SCHEDULE_STATE_KEY = 'backgroundScheduleState';
+
+/** Sources a rule can switch to; 'image' shows one local file */
+export const SCHEDULE_SOURCES = Object.freeze(['files', 'favorites', 'bing', 'unsplash', 'pixabay', 'pexels', 'color', 'playlist', 'image']);
+export const SCHEDULE_SUN_EVENTS = Object.freeze(['sunrise', 'sunset']);
+
+export const SCHEDULE_LIMITS = Object.freeze({
+    maxRules: 20,
+    maxNameLength: 40,
+    maxTopicLength: 60
+});
+
+/** Used for sunrise/sunset without a location, or during polar day/night */
+const FALLBACK_SUN_MINUTES = Object.freeze({ sunrise: 7 * 60, sunset: 19 * 60 });
+/** Boundaries are looked up this many days ahead for the service worker alarm */
+const LOOKAHEAD_DAYS = 8;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const RAD = Math.PI / 180;
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const HEX_COLOR = /^#[0-9a-f]{6}$/i;
+
+// ========== Settings ==========
+
+function createRuleId() {
+    return `rule_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 8)}`;
+}
+
+function normalizeBoundary(value, fallback) {
+    if (SCHEDULE_SUN_EVENTS.includes(value)) return value;
+    return typeof value === 'string' && TIME_PATTERN.test(value) ? value : fallback;
+}
+
+/**
+ * @param {unknown} raw - One entry of backgroundSettings.scheduleRules
+ * @returns {Object|null} Rule with every field filled in, or null when unusable
+ */
+export function normalizeScheduleRule(raw) {
+    if (!raw || typeof raw !== 'object') return null;
+    const source = SCHEDULE_SOURCES.includes(raw.source) ? raw.source : null;
+    if (!source) return null;
+
+    const rule = {
+        id: typeof raw.id === 'string' && raw.id ? raw.id : createRuleId(),
+        name: String(raw.name ?? '').trim().slice(0, SCHEDULE_LIMITS.maxNameLength),
+        enabled: raw.enabled !== false,
+        days: Array.isArray(raw.days)
+            ? [...new Set(raw.days.map(Number).filter(day => Number.isInteger(day) && day >= 0 && day <= 6))].sort()
+            : [],
+        date: typeof raw.date === 'string' && DATE_PATTERN.test(raw.date) ? raw.date : '',
+        from: normalizeBoundary(raw.from, '00:00'),
+        to: normalizeBoundary(raw.to, '00:00'),
+        source,
+        theme: raw.theme === 'dark' || raw.theme === 'light' ? raw.theme : ''
+    };
+
+    if (source === 'color') {
+        if (!HEX_COLOR.test(raw.color ?? '')) return null;
+        rule.color = raw.color.toLowerCase();
+    }
+    if (source === 'image') {
+        if (typeof raw.imageId !== 'string' || !raw.imageId) return null;
+        rule.imageId = raw.imageId;
+    }
+    if (['unsplash', 'pixabay', 'pexels'].includes(source)) {
+        rule.topic = String(raw.topic ?? '').trim().replace(/\s+/g, ' ').slice(0, SCHEDULE_LIMITS.maxTopicLength);
+    }
+    return rule;
+}
+
+/**
+ * @param {unknown} raw - backgroundSettings.scheduleRules
+ * @returns {Object[]}
+ */
+export function normalizeScheduleRules(raw) {
+    const rules = [];
+    for (const item of Array.isArray(raw) ? raw : []) {
+        const rule = normalizeScheduleRule(item);
+        if (!rule || rules.some(existing => existing.id === rule.id)) continue;
+        rules.push(rule);
+        if (rules.length >= SCHEDULE_LIMITS.maxRules) break;
+    }
+    return rules;
+}
+
+/**
+ * @param {string|{lat: number, lon: number}|null} value - "52.52, 13.40" or a stored pair
+ * @returns {{ lat: number, lon: number }|null}
+ */
+export function parseScheduleLocation(value) {
+    const parts = typeof value === 'string'
+        ? value.split(/[,\s]+/).filter(Boolean).map(Number)
+        : [value?.lat, value?.lon].map(Number);
+    if (parts.length !== 2) return null;
+    const [lat, lon] = parts;
+    if (!Number.isFinite(lat) || !Number.isFinite(lon) || Math.abs(lat) > 90 || Math.abs(lon) > 180) return null;
+    return { lat: Math.round(lat * 100) / 100, lon: Math.round(lon * 100) / 100 };
+}
+
+// ========== Sun times ==========
+
+/**
+ * Sunrise and sunset for a local calendar day (sunrise equation, about a minute off).
+ * @param {Date} date
+ * @param {{ lat: number, lon: number }} location
+ * @returns {{ sunrise: number, sunset: number }|null} Timestamps; null during polar day/night
+ */
+export function getSunTimes(date, { lat, lon }) {
+    const noonUtc = Date.UTC(date.getFullYear(), date.getMonth(), date.getDate(), 12);
+    const n = Math.round(noonUtc / DAY_MS + 2440587.5 - 2451545.0);
+    const meanSolarNoon = n - lon / 360;
+    const anomaly = (357.5291 + 0.98560028 * meanSolarNoon) % 360;
+    const center = 1.9148 * Math.sin(anomaly * RAD) + 0.02 * Math.sin(2 * anomaly * RAD) + 0.0003 * Math.sin(3 * anomaly * RAD);
+    const longitude = (anomaly + center + 180 + 102.9372) % 360;
+    const transit = 2451545.0 + meanSolarNoon + 0.0053 * Math.sin(anomaly * RAD) - 0.0069 * Math.sin(2 * longitude * RAD);
+    const declination = Math.asin(Math.sin(longitude * RAD) * Math.sin(23.4397 * RAD));
+    const cosHourAngle = (Math.sin(-0.833 * RAD) - Math.sin(lat * RAD) * Math.sin(declination)) /
+        (Math.cos(lat * RAD) * Math.cos(declination));
+    if (cosHourAngle < -1 || cosHourAngle > 1) return null;
+
+    const hourAngle = Math.acos(cosHourAngle) / RAD;
+    const toTimestamp = (julian) => Math.round((julian - 2440587.5) * DAY_MS);
+    return {
+        sunrise: toTimestamp(transit - hourAngle / 360),
+        sunset: toTimestamp(transit + hourAngle / 360)
+    };
+}
+
+function startOfDay(date) {
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate());
+}
+
+function addDays(date, days) {
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+}
+
+/**
+ * @param {string} boundary - 'HH:MM', 'sunrise' or 'sunset'
+ * @param {Date} day - Local midnight
+ * @returns {number} Timestamp of the boundary on that day
+ */
+function resolveBoundary(boundary, day, location) {
+    if (SCHEDULE_SUN_EVENTS.includes(boundary)) {
+        const sun = location ? getSunTimes(day, location) : null;
+        if (sun) return sun[boundary];
+        return day.getTime() + FALLBACK_SUN_MINUTES[boundary] * 60 * 1000;
+    }
+    const [, hours, minutes] = TIME_PATTERN.exec(boundary);
+    return new Date(day.getFullYear(), day.getMonth(), day.getDate(), Number(hours), Number(minutes)).getTime();
+}
+
+function toDateKey(date) {
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+}
+
+function ruleRunsOn(rule, day) {
+    if (rule.date) return rule.date === toDateKey(day);
+    return rule.days.length === 0 || rule.days.includes(day.getDay());
+}
+
+/**
+ * Window a rule covers when it starts on a given day; equal bounds mean the whole day,
+ * an end before the start runs past midnight.
+ * @returns {{ start: number, end: number }|null}
+ */
+function getRuleWindow(rule, day, location) {
+    if (!ruleRunsOn(rule, day)) return null;
+    if (rule.from === rule.to) {
+        return { start: day.getTime(), end: addDays(day, 1).getTime() };
+    }
+    const start = resolveBoundary(rule.from, day, location);
+    let end = resolveBoundary(rule.to, day, location);
+    if (end <= start) end = resolveBoundary(rule.to, addDays(day, 1), location);
+    return { start, end };
+}
+
+// ========== Evaluation ==========
+
+function isRuleActive(rule, nowTs, location) {
+    const today = startOfDay(new Date(nowTs));
+    // Yesterday's overnight window can still be running
+    return [addDays(today, -1), today].some(day => {
+        const window = getRuleWindow(rule, day, location);
+        return Boolean(window) && nowTs >= window.start && nowTs < window.end;
+    });
+}
+
+/**
+ * @param {Object} settings - backgroundSettings
+ * @param {number} [nowTs]
+ * @returns {Object|null} The rule in charge right now
+ */
+export function getActiveScheduleRule(settings, nowTs = Date.now()) {
+    const rules = normalizeScheduleRules(settings?.scheduleRules).filter(rule => rule.enabled);
+    if (rules.length === 0) return null;
+    const location = parseScheduleLocation(settings?.scheduleLocation);
+    const ordered = [...rules.filter(rule => rule.date), ...rules.filter(rule => !rule.date)];
+    return ordered.find(rule => isRuleActive(rule, nowTs, location)) || null;
+}
+
+/**
+ * Next moment a rule starts or ends, for the service worker alarm and the settings preview.
+ * @param {Object} settings - backgroundSettings
+ * @param {number} [nowTs]
+ * @returns {number|null} Timestamp, or null without enabled rules in the coming week
+ */
+export function getNextScheduleChange(settings, nowTs = Date.now()) {
+    const rules = normalizeScheduleRules(settings?.scheduleRules).filter(rule => rule.enabled);
+    const location = parseScheduleLocation(settings?.scheduleLocation);
+    const today = startOfDay(new Date(nowTs));
+    let next = null;
+    for (let offset = -1; offset <= LOOKAHEAD_DAYS; offset++) {
+        const day = addDays(today, offset);
+        for (const rule of rules) {
+            const window = getRuleWindow(rule, day, location);
+            for (const ts of window ? [window.start, window.end] : []) {
+                if (ts > nowTs && (next === null || ts < next)) next = ts;
+            }
+        }
+    }
+    return next;
+}
+
+// ========== Theme ==========
+
+async function readScheduleState() {
+    try {
+        const { [SCHEDULE_STATE_KEY]: state } = await storageRepo.local.getMultiple({ [SCHEDULE_STATE_KEY]: null });
+        return state && typeof state === 'object' ? state : {};
+    } catch {
+        return {};
+    }
+}
+
+/**
+ * Applies the theme of the active rule when scheduleSwitchTheme is on. Only acts when the
+ * themed rule changes, so a manual theme change sticks until the next boundary.
+ * @param {Object} settings - backgroundSettings
+ * @param {Object|null} rule - getActiveScheduleRule() result
+ * @returns {Promise<string|null>} The theme written, if any
+ */
+export async function syncScheduleTheme(settings, rule) {
+    if (settings?.scheduleSwitchTheme !== true) return null;
+
+    const state = await readScheduleState();
+    const themeRuleId = rule?.theme ? rule.id : null;
+    if ((state.themeRuleId ?? null) === themeRuleId) return null;
+
+    const currentTheme = await storageRepo.sync.get('uiTheme', 'light');
+    let target = null;
+    let restoreTheme = state.restoreTheme ?? null;
+    if (themeRuleId) {
+        // Remember the theme from before the first themed rule, not from a previous rule
+        if (!state.themeRuleId) restoreTheme = currentTheme;
+        target = rule.theme;
+    } else {
+        target = restoreTheme;
+        restoreTheme = null;
+    }
+
+    await storageRepo.local.setMultiple({ [SCHEDULE_STATE_KEY]: { ...state, themeRuleId, restoreTheme } });
+    if (!target || target === currentTheme) return null;
+    await storageRepo.sync.setMultiple({ uiTheme: target });
+    return target;
+}
+
+// ========== Service worker ==========
+
+/**
+ * Points the schedule alarm at the next rule boundary, or clears it without rules.
+ */
+export async function syncScheduleAlarm() {
+    const settings = await storageRepo.sync.get('backgroundSettings', null);
+    const next = getNextScheduleChange(settings);
+    if (next === null) {
+        await chrome.alarms.clear(SCHEDULE_ALARM);
+        return;
+    }
+    const existing = await chrome.alarms.get(SCHEDULE_ALARM);
+    if (existing?.scheduledTime === next) return;
+    await chrome.alarms.create(SCHEDULE_ALARM, { when: next });
+}
+
+/**
+ * Alarm entry point for the service worker: switches the theme and re-arms the alarm.
+ * @returns {Promise<Object|null>} The rule now active; open pages are told to refresh by the caller
+ */
+export async function handleScheduleAlarm() {
+    const settings = await storageRepo.sync.get('backgroundSettings', null);
+    const rule = getActiveScheduleRule(settings);
+    await syncScheduleTheme(settings, rule);
+    await syncScheduleAlarm();
+    return rule;
+}
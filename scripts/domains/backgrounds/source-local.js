@@ -5,7 +5,10 @@ import * as storageRepo from '../../platform/storage-repo.js';
 import {
     generateFileId,
     isImageFile,
+    isVideoFile,
+    isAnimatedImage,
     compressImage,
+    captureVideoFrame,
     showNotification,
     blobUrlManager
 } from './image-pipeline.js';
@@ -45,14 +48,19 @@ async function _getEntry(id) {
     return idbRequest(db, STORE_NAME, 'readonly', (store) => store.get(id));
 }
 
-export async function saveLocalFileBlobs(id, { full, small }) {
+/**
+ * Stills live in fullBlob/smallBlob for every file. Videos and animated images keep the
+ * original in motionBlob, so everything that shows images keeps working on the still.
+ */
+export async function saveLocalFileBlobs(id, { full, small, motion = null }) {
     if (!id || !full || !small) return;
     const db = await _openDb();
     const entry = {
         id,
         fullBlob: full,
         smallBlob: small,
-        size: full.size + small.size,
+        ...(motion ? { motionBlob: motion } : {}),
+        size: full.size + small.size + (motion?.size || 0),
         updatedAt: Date.now()
     };
     await idbRequest(db, STORE_NAME, 'readwrite', (store) => store.put(entry));
@@ -63,7 +71,7 @@ export async function getLocalFileUrl(id, size = 'full', scope = 'local-files')
     const entry = await _getEntry(id);
     if (!entry) return null;
 
-    const blob = size === 'small' ? entry.smallBlob : entry.fullBlob;
+    const blob = size === 'small' ? entry.smallBlob : size === 'motion' ? entry.motionBlob : entry.fullBlob;
     if (!blob) return null;
 
     return blobUrlManager.create(blob, scope);
@@ -72,7 +80,23 @@ export async function getLocalFileUrl(id, size = 'full', scope = 'local-files')
 export async function getLocalFileBlobs(id) {
     const entry = await _getEntry(id);
     if (!entry || !entry.fullBlob || !entry.smallBlob) return null;
-    return { full: entry.fullBlob, small: entry.smallBlob, size: entry.size };
+    return {
+        full: entry.fullBlob,
+        small: entry.smallBlob,
+        ...(entry.motionBlob ? { motion: entry.motionBlob } : {}),
+        size: entry.size
+    };
+}
+
+/**
+ * Add the motion URL to a local background whose file has one. Background layers play it;
+ * other consumers keep using the still frame in urls.full/small.
+ */
+async function _attachMotionUrl(background, scope) {
+    if (!background?.file?.motion) return background;
+    const motionUrl = await getLocalFileUrl(background.id, 'motion', scope);
+    if (motionUrl) background.urls.motion = motionUrl;
+    return background;
 }
 
 export async function getLocalFileSize(id) {
@@ -152,12 +176,17 @@ class LocalFilesManager {
         const createdBlobUrls = [];
 
         for (const file of files) {
-            if (!isImageFile(file)) {
+            const isVideo = isVideoFile(file);
+            if (!isImageFile(file) && !isVideo) {
                 showNotification(t('bgInvalidFileWithName', { name: file.name }), 'error');
                 continue;
             }
 
-            if (file.size > LOCAL_FILES_CONFIG.maxSingleFileBytes) {
+            if (isVideo && file.size > LOCAL_FILES_CONFIG.maxSingleVideoBytes) {
+                showNotification(t('bgVideoTooLargeWithName', { name: file.name }), 'error');
+                continue;
+            }
+            if (!isVideo && file.size > LOCAL_FILES_CONFIG.maxSingleFileBytes) {
                 showNotification(t('bgFileTooLargeWithName', { name: file.name }), 'error');
                 continue;
             }
@@ -175,18 +204,38 @@ class LocalFilesManager {
                 objectUrl = URL.createObjectURL(file);
                 createdBlobUrls.push(objectUrl);
 
-                const fullBlob = file;
-                const smallBlob = await compressImage(objectUrl, COMPRESSION_CONFIG.small);
+                let fullBlob = file;
+                let motionBlob = null;
+                let motion = null;
+                if (isVideo) {
+                    motion = 'video';
+                } else if (await isAnimatedImage(file)) {
+                    motion = 'animated';
+                }
+                if (motion) {
+                    motionBlob = file;
+                    fullBlob = isVideo
+                        ? await captureVideoFrame(objectUrl, COMPRESSION_CONFIG.full)
+                        : await compressImage(objectUrl, COMPRESSION_CONFIG.full);
+                }
 
-                await saveLocalFileBlobs(id, { full: fullBlob, small: smallBlob });
+                let stillUrl = objectUrl;
+                if (isVideo) {
+                    stillUrl = URL.createObjectURL(fullBlob);
+                    createdBlobUrls.push(stillUrl);
+                }
+                const smallBlob = await compressImage(stillUrl, COMPRESSION_CONFIG.small);
+
+                await saveLocalFileBlobs(id, { full: fullBlob, small: smallBlob, motion: motionBlob });
 
                 const fileData = {
                     format: 'image',
                     id,
                     lastUsed: new Date().toISOString(),
                     selected: false,
-                    size: fullBlob.size + smallBlob.size,
-                    position: { size: 'cover', x: '50%', y: '50%' }
+                    size: fullBlob.size + smallBlob.size + (motionBlob?.size || 0),
+                    position: { size: 'cover', x: '50%', y: '50%' },
+                    ...(motion ? { motion } : {})
                 };
 
                 this.files.set(id, fileData);
@@ -197,12 +246,12 @@ class LocalFilesManager {
                 ]);
 
                 if (fullUrl && smallUrl) {
-                    results.push({
+                    results.push(await _attachMotionUrl({
                         format: 'image',
                         id,
                         urls: { full: fullUrl, small: smallUrl },
                         file: fileData
-                    });
+                    }, `file-${id}`));
                     showNotification(t('bgUploadSuccessWithName', { name: file.name }), 'success');
                 }
 
@@ -257,7 +306,7 @@ class LocalFilesManager {
         try {
             const blobs = await getLocalFileBlobs(id);
             if (!blobs?.full || !blobs?.small) return null;
-            return { id, file: { ...file }, blobs: { full: blobs.full, small: blobs.small } };
+            return { id, file: { ...file }, blobs: { full: blobs.full, small: blobs.small, motion: blobs.motion || null } };
         } catch (error) {
             console.error('[LocalFilesManager] exportFileForUndo error:', error);
             return null;
@@ -312,7 +361,7 @@ class LocalFilesManager {
             (!includeSmall || Boolean(smallUrl));
 
         if (hasRequired) {
-            return {
+            const background = {
                 format: 'image',
                 id,
                 urls: {
@@ -321,6 +370,7 @@ class LocalFilesManager {
                 },
                 file
             };
+            return includeFull ? _attachMotionUrl(background, scope) : background;
         }
 
         if (fullUrl) blobUrlManager.release(fullUrl, true);
@@ -401,12 +451,12 @@ class LocalFilesManager {
             ]);
 
             if (fullUrl && smallUrl) {
-                return {
+                return _attachMotionUrl({
                     format: 'image',
                     id,
                     urls: { full: fullUrl, small: smallUrl },
                     file
-                };
+                }, scope);
             }
 
             if (fullUrl) blobUrlManager.release(fullUrl, true);
@@ -441,12 +491,12 @@ class LocalFilesManager {
                 ]);
 
                 if (fullUrl && smallUrl) {
-                    return {
+                    return _attachMotionUrl({
                         format: 'image',
                         id,
                         urls: { full: fullUrl, small: smallUrl },
                         file
-                    };
+                    }, scope);
                 }
 
                 if (fullUrl) blobUrlManager.release(fullUrl, true);
@@ -10,6 +10,7 @@
 import { API_CONFIG } from './types.js';
 import { t } from '../../platform/i18n.js';
 import { fetchWithRetry } from '../../shared/net.js';
+import { normalizeQueryOptions } from './provider-query.js';
 
 const PIXABAY_PER_PAGE = 200;
 const PIXABAY_MAX_RESULTS_PER_QUERY = 500; // Pixabay docs: API returns at most 500 results per query
@@ -22,12 +23,6 @@ function randomInt(min, max) {
     return Math.floor(Math.random() * (max - min + 1)) + min;
 }
 
-function normalizeQuery(query) {
-    if (typeof query !== 'string') return '';
-    const trimmed = query.trim();
-    return trimmed.length > 0 ? trimmed : '';
-}
-
 function normalizeLocaleToMarket(locale) {
     if (typeof locale !== 'string') return '';
     const normalized = locale.trim().replace(/_/g, '-');
@@ -193,6 +188,24 @@ function pickRandomItem(items) {
     return items[Math.floor(Math.random() * items.length)] || null;
 }
 
+function matchesOrientation(width, height, orientation) {
+    if (!orientation || !(width > 0) || !(height > 0)) return true;
+    const aspect = width / height;
+    if (orientation === 'landscape') return aspect > 1.1;
+    if (orientation === 'portrait') return aspect < 0.9;
+    return aspect >= 0.8 && aspect <= 1.25;
+}
+
+/**
+ * Prefer results in the requested orientation, falling back to all of them
+ */
+function pickRandomOriented(items, orientation, getSize) {
+    const oriented = orientation
+        ? items.filter(item => matchesOrientation(...getSize(item), orientation))
+        : items;
+    return pickRandomItem(oriented.length > 0 ? oriented : items);
+}
+
 function buildUnsplashUrls(photo) {
     const baseUrl = photo?.urls?.raw || photo?.urls?.full;
 
@@ -239,16 +252,26 @@ export const unsplashProvider = {
     name: 'Unsplash',
     requiresApiKey: true,
 
+    /**
+     * @param {string} apiKey
+     * @param {string|{ query?: string, collections?: string, orientation?: string }} [query]
+     *   Unsplash does not combine collections with a search query; collections win
+     */
     async fetchRandom(apiKey, query) {
         validateApiKey(apiKey, 'Unsplash');
 
-        const normalizedQuery = normalizeQuery(query);
+        const { query: normalizedQuery, collections, orientation } = normalizeQueryOptions(query);
         const params = new URLSearchParams({
             content_filter: 'high'
         });
-        if (normalizedQuery) {
+        if (collections) {
+            params.set('collections', collections);
+        } else if (normalizedQuery) {
             params.set('query', normalizedQuery);
         }
+        if (orientation) {
+            params.set('orientation', orientation);
+        }
 
         const response = await fetchWithProviderRetry(
             `https://api.unsplash.com/photos/random?${params}`,
@@ -294,7 +317,7 @@ export const pixabayProvider = {
     async fetchRandom(apiKey, query) {
         validateApiKey(apiKey, 'Pixabay');
 
-        const normalizedQuery = normalizeQuery(query);
+        const { query: normalizedQuery, orientation } = normalizeQueryOptions(query);
         const initialPage = normalizedQuery ? 1 : randomInt(1, PIXABAY_RANDOM_PAGE_MAX);
         const params = new URLSearchParams({
             key: apiKey.trim(),
@@ -307,6 +330,10 @@ export const pixabayProvider = {
         if (normalizedQuery) {
             params.set('q', normalizedQuery);
         }
+        // Pixabay has no square filter; square viewports take any orientation
+        if (orientation === 'landscape' || orientation === 'portrait') {
+            params.set('orientation', orientation === 'landscape' ? 'horizontal' : 'vertical');
+        }
 
         let response = await fetchWithProviderRetry(`https://pixabay.com/api/?${params}`);
 
@@ -329,7 +356,8 @@ export const pixabayProvider = {
             throw new Error(t('bgNoResults'));
         }
 
-        const randomImage = pickRandomItem(data.hits);
+        const randomImage = pickRandomOriented(data.hits, orientation === 'squarish' ? orientation : '',
+            hit => [hit.imageWidth, hit.imageHeight]);
         if (!randomImage) {
             throw new Error(t('bgNoResults'));
         }
@@ -374,13 +402,16 @@ async function fetchPexelsCuratedPhotos(apiKey, page, perPage) {
     return Array.isArray(data?.photos) ? data.photos : [];
 }
 
-async function fetchPexelsSearchPhotos(apiKey, query, page, perPage) {
+async function fetchPexelsSearchPhotos(apiKey, query, page, perPage, orientation = '') {
     const params = new URLSearchParams({
         query,
         page: String(page),
         per_page: String(perPage),
         locale: 'en-US'
     });
+    if (orientation) {
+        params.set('orientation', orientation === 'squarish' ? 'square' : orientation);
+    }
 
     const response = await fetchWithProviderRetry(
         `https://api.pexels.com/v1/search?${params}`,
@@ -400,23 +431,24 @@ export const pexelsProvider = {
     async fetchRandom(apiKey, query) {
         validateApiKey(apiKey, 'Pexels');
 
-        const normalizedQuery = normalizeQuery(query);
+        const { query: normalizedQuery, orientation } = normalizeQueryOptions(query);
         const randomPage = randomInt(1, PEXELS_RANDOM_PAGE_MAX);
         const perPage = 80;
 
         let photos = normalizedQuery
-            ? await fetchPexelsSearchPhotos(apiKey, normalizedQuery, randomPage, perPage)
+            ? await fetchPexelsSearchPhotos(apiKey, normalizedQuery, randomPage, perPage, orientation)
             : await fetchPexelsCuratedPhotos(apiKey, randomPage, perPage);
 
         if (normalizedQuery && photos.length === 0 && randomPage !== 1) {
-            photos = await fetchPexelsSearchPhotos(apiKey, normalizedQuery, 1, perPage);
+            photos = await fetchPexelsSearchPhotos(apiKey, normalizedQuery, 1, perPage, orientation);
         }
 
         if (!photos || photos.length === 0) {
             throw new Error(t('bgNoResults'));
         }
 
-        const randomPhoto = pickRandomItem(photos);
+        // Curated photos cannot be filtered server-side
+        const randomPhoto = pickRandomOriented(photos, orientation, photo => [photo.width, photo.height]);
         if (!randomPhoto) {
             throw new Error(t('bgNoResults'));
         }
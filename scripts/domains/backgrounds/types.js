@@ -9,7 +9,7 @@ import { t } from '../../platform/i18n.js';
 export { DEFAULT_SETTINGS } from './defaults.js';
 
 /**
- * @typedef {'files' | 'unsplash' | 'pixabay' | 'pexels' | 'bing' | 'color'} BackgroundType
+ * @typedef {'files' | 'unsplash' | 'pixabay' | 'pexels' | 'bing' | 'color' | 'gradient' | 'playlist'} BackgroundType
  */
 
 /**
@@ -24,7 +24,7 @@ export { DEFAULT_SETTINGS } from './defaults.js';
  * @typedef {Object} BackgroundImage
  * @property {'image'} format
  * @property {string} [id]
- * @property {{full: string, small: string}} urls
+ * @property {{full: string, small: string, motion?: string}} urls - motion: video or animated image for local files with one
  * @property {string} [username]
  * @property {string} [page]
  * @property {string} [color]
@@ -43,6 +43,7 @@ export { DEFAULT_SETTINGS } from './defaults.js';
  * @property {boolean} [selected]
  * @property {number} [size]
  * @property {{size: string, x: string, y: string}} [position]
+ * @property {'video' | 'animated'} [motion] - Plays a stored video or animated GIF/WebP over the still frame
  */
 
 /**
@@ -54,10 +55,28 @@ export { DEFAULT_SETTINGS } from './defaults.js';
  * @property {number} blur
  * @property {number} overlay
  * @property {string} color
+ * @property {GradientSettings} [gradient] - Used by the 'gradient' type
  * @property {TextureSettings} texture
  * @property {ApiKeys} apiKeys
  * @property {boolean} showRefreshButton
  * @property {boolean} [smartCropEnabled]
+ * @property {Object<string, string[]>} [providerTopics] - Search topics per online provider, rotated per fetch
+ * @property {string[]} [unsplashCollections] - Unsplash collection IDs, rotated with the topics
+ * @property {boolean} [matchOrientation] - Ask providers for photos in the viewport orientation
+ * @property {Array<{source: string, weight: number, colors?: string[]}>} [playlist] - Weighted sources for the 'playlist' type
+ * @property {Object[]} [scheduleRules] - Time-of-day, weekday and date rules that swap the source
+ * @property {{lat: number, lon: number}|null} [scheduleLocation] - Coordinates for sunrise/sunset rules
+ * @property {boolean} [scheduleSwitchTheme] - Let active rules switch uiTheme
+ * @property {boolean} [motionPauseHidden] - Pause video/animated backgrounds while the tab is hidden
+ * @property {'off' | 'low' | 'unplugged'} [motionPowerSaver] - When to show the still frame to save battery
+ */
+
+/**
+ * @typedef {Object} GradientSettings
+ * @property {'linear' | 'radial' | 'conic'} mode
+ * @property {number} angle - Degrees, used by linear and conic gradients
+ * @property {Array<{color: string, pos: number}>} stops - 2-6 hex colours with a 0-100 position
+ * @property {boolean} animate - Slow drift/hue animation, skipped for prefers-reduced-motion
  */
 
 /**
@@ -126,7 +145,8 @@ export const CANVAS_MAX_AREA = 268435456; // 16384 * 16384
 export const LOCAL_FILES_CONFIG = Object.freeze({
     maxCount: 50,
     maxTotalBytes: 200 * 1024 * 1024, // 200MB
-    maxSingleFileBytes: 20 * 1024 * 1024 // 20MB
+    maxSingleFileBytes: 20 * 1024 * 1024, // 20MB
+    maxSingleVideoBytes: 100 * 1024 * 1024 // 100MB
 });
 
 // API request configuration
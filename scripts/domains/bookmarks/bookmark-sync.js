@@ -0,0 +1,519 @@
+/**
+ * Two-way sync between Chrome bookmark folders and the launchpad.
+ *
+ * A binding ties one bookmarks folder (with its subfolders) to a launchpad folder or page of
+ * the workspace that was active when the binding was made. The service worker reconciles
+ * bindings after `chrome.bookmarks` events and after quicklinks change in sync storage; the
+ * Quick Links settings panel only edits the binding list.
+ *
+ * Every binding keeps a mapping table in local storage: bookmark id ↔ link id, plus the title
+ * and URL each side had after the last sync. That is how a restarted service worker tells
+ * which side changed, and which side wins when both did (the binding's conflict rule).
+ * Bookmark ids are per-device, so bindings and mapping tables never travel in backups.
+ */
+
+import * as storageRepo from '../../platform/storage-repo.js';
+import { store } from '../quicklinks/store.js';
+import { ensureWorkerStore } from '../quicklinks/worker-store.js';
+import { canonicalUrlKey, getCanonicalUrlAliases } from '../quicklinks/link-health.js';
+
+export const BOOKMARK_SYNC_BINDINGS_KEY = 'bookmarkSyncBindings';
+export const BOOKMARK_SYNC_STATE_KEY = 'bookmarkSyncState';
+
+export const BOOKMARK_SYNC_TARGET_TYPES = Object.freeze(['folder', 'page']);
+
+/** Which side wins when a link was edited on both sides since the last sync */
+export const BOOKMARK_SYNC_CONFLICT_RULES = Object.freeze(['bookmarks', 'launchpad']);
+
+export const BOOKMARK_SYNC_MAX_BINDINGS = 10;
+
+/** Bookmark events arrive in bursts (imports, drag of many items) */
+const SYNC_DEBOUNCE_MS = 500;
+
+let _debounceTimer = null;
+let _syncChain = Promise.resolve();
+
+function isPlainObject(value) {
+    return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+function snapshot(node) {
+    return { title: String(node?.title || ''), url: String(node?.url || '') };
+}
+
+function sameLink(current, previous) {
+    return Boolean(previous) && current.title === previous.title && current.url === previous.url;
+}
+
+// ========== Bindings ==========
+
+/**
+ * @param {unknown} raw
+ * @returns {{ id: string, bookmarkFolderId: string, target: Object, workspaceId: string|null,
+ *   conflict: string, createdAt: number }|null} Null when malformed
+ */
+export function normalizeBookmarkBinding(raw) {
+    if (!isPlainObject(raw) || typeof raw.id !== 'string' || !raw.id) return null;
+    if (typeof raw.bookmarkFolderId !== 'string' || !raw.bookmarkFolderId) return null;
+
+    const target = isPlainObject(raw.target) ? raw.target : {};
+    let normalizedTarget;
+    if (target.type === 'page') {
+        const index = Math.floor(Number(target.index));
+        if (!Number.isFinite(index) || index < 0) return null;
+        normalizedTarget = { type: 'page', index };
+    } else if (target.type === 'folder') {
+        normalizedTarget = {
+            type: 'folder',
+            // Null until the first sync creates the launchpad folder
+            id: typeof target.id === 'string' && target.id ? target.id : null,
+            title: String(target.title || '')
+        };
+    } else {
+        return null;
+    }
+
+    return {
+        id: raw.id,
+        bookmarkFolderId: raw.bookmarkFolderId,
+        target: normalizedTarget,
+        workspaceId: typeof raw.workspaceId === 'string' && raw.workspaceId ? raw.workspaceId : null,
+        conflict: BOOKMARK_SYNC_CONFLICT_RULES.includes(raw.conflict) ? raw.conflict : BOOKMARK_SYNC_CONFLICT_RULES[0],
+        createdAt: Number(raw.createdAt) || 0
+    };
+}
+
+export async function getBookmarkBindings() {
+    const raw = await storageRepo.local.get(BOOKMARK_SYNC_BINDINGS_KEY, []);
+    return (Array.isArray(raw) ? raw : []).map(normalizeBookmarkBinding).filter(Boolean);
+}
+
+async function saveBookmarkBindings(bindings) {
+    await storageRepo.local.setMultiple({ [BOOKMARK_SYNC_BINDINGS_KEY]: bindings });
+}
+
+/**
+ * Bind a bookmarks folder. The service worker runs the first sync when the list changes.
+ * @param {{ bookmarkFolderId: string, target: Object, conflict?: string, workspaceId?: string|null }} options
+ * @returns {Promise<{ ok: true, binding: Object }|{ ok: false, reason: 'invalid'|'duplicate'|'limit' }>}
+ */
+export async function addBookmarkBinding({ bookmarkFolderId, target, conflict, workspaceId = null }) {
+    const binding = normalizeBookmarkBinding({
+        id: `bsync_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 8)}`,
+        bookmarkFolderId,
+        target,
+        conflict,
+        workspaceId,
+        createdAt: Date.now()
+    });
+    if (!binding) return { ok: false, reason: 'invalid' };
+
+    const bindings = await getBookmarkBindings();
+    if (bindings.length >= BOOKMARK_SYNC_MAX_BINDINGS) return { ok: false, reason: 'limit' };
+    if (bindings.some(existing => existing.bookmarkFolderId === binding.bookmarkFolderId)) {
+        return { ok: false, reason: 'duplicate' };
+    }
+
+    await saveBookmarkBindings([...bindings, binding]);
+    return { ok: true, binding };
+}
+
+/**
+ * Stop syncing. Links and bookmarks stay where they are.
+ * @param {string} id
+ */
+export async function removeBookmarkBinding(id) {
+    const bindings = await getBookmarkBindings();
+    await saveBookmarkBindings(bindings.filter(binding => binding.id !== id));
+}
+
+/**
+ * @param {string} id
+ * @param {{ conflict?: string }} patch
+ */
+export async function updateBookmarkBinding(id, patch) {
+    const bindings = await getBookmarkBindings();
+    const next = bindings.map(binding => (binding.id === id
+        ? normalizeBookmarkBinding({ ...binding, conflict: patch?.conflict ?? binding.conflict }) || binding
+        : binding));
+    await saveBookmarkBindings(next);
+}
+
+/**
+ * @returns {Promise<Record<string, { entries: Array<Object>, lastSyncAt: number|null, error: string|null }>>}
+ */
+export async function getBookmarkSyncState() {
+    const raw = await storageRepo.local.get(BOOKMARK_SYNC_STATE_KEY, {});
+    const state = {};
+    for (const [id, value] of Object.entries(isPlainObject(raw) ? raw : {})) {
+        state[id] = {
+            entries: Array.isArray(value?.entries) ? value.entries.filter(entry => entry?.bookmarkId && entry?.linkId) : [],
+            lastSyncAt: Number(value?.lastSyncAt) || null,
+            error: typeof value?.error === 'string' ? value.error : null
+        };
+    }
+    return state;
+}
+
+/**
+ * Bookmark folders for the binding picker, in tree order.
+ * @returns {Promise<Array<{ id: string, title: string, depth: number }>>}
+ */
+export async function listBookmarkFolders() {
+    const [root] = await chrome.bookmarks.getTree();
+    const folders = [];
+    const walk = (node, depth) => {
+        for (const child of node.children || []) {
+            if (child.url) continue;
+            folders.push({ id: child.id, title: child.title || '', depth });
+            walk(child, depth + 1);
+        }
+    };
+    if (root) walk(root, 0);
+    return folders;
+}
+
+// ========== Planning ==========
+
+/**
+ * Decide what to write on each side. Pure: the caller reads both sides and applies the plan.
+ * - Mapped pairs: a side that differs from its last-sync snapshot changed; when both did,
+ *   `conflict` picks the winner. A side that lost its half (deleted, or moved out of the
+ *   bound folder) removes the other half, unless the other half was edited and wins.
+ * - Unmapped bookmarks and links are paired by canonical URL first (known redirects
+ *   followed through `aliases`), then created on the other side.
+ *
+ * @param {{ bookmarks: Array<{id, title, url}>, links: Array<{id, title, url}>,
+ *   entries: Array<{bookmarkId, linkId, bookmark, link}>, conflict?: string,
+ *   aliases?: Map<string, string> }} input
+ */
+export function planBookmarkSync({ bookmarks, links, entries, conflict = 'bookmarks', aliases = null }) {
+    const bookmarkById = new Map(bookmarks.map(bookmark => [bookmark.id, bookmark]));
+    const linkById = new Map(links.map(link => [link.id, link]));
+    const launchpadWins = conflict === 'launchpad';
+    const plan = {
+        entries: [],
+        addLinks: [],
+        updateLinks: [],
+        removeLinks: [],
+        createBookmarks: [],
+        updateBookmarks: [],
+        removeBookmarks: []
+    };
+    const mappedBookmarks = new Set();
+    const mappedLinks = new Set();
+
+    for (const entry of entries) {
+        const bookmark = bookmarkById.get(entry.bookmarkId);
+        const link = linkById.get(entry.linkId);
+        if (bookmark) mappedBookmarks.add(bookmark.id);
+        if (link) mappedLinks.add(link.id);
+        if (!bookmark && !link) continue;
+
+        if (!bookmark) {
+            if (!sameLink(link, entry.link) && launchpadWins) {
+                plan.createBookmarks.push({ linkId: link.id, ...snapshot(link) });
+            } else {
+                plan.removeLinks.push(link.id);
+            }
+            continue;
+        }
+        if (!link) {
+            if (!sameLink(bookmark, entry.bookmark) && !launchpadWins) {
+                plan.addLinks.push({ bookmarkId: bookmark.id, ...snapshot(bookmark) });
+            } else {
+                plan.removeBookmarks.push(bookmark.id);
+            }
+            continue;
+        }
+
+        const bookmarkChanged = !sameLink(bookmark, entry.bookmark);
+        const linkChanged = !sameLink(link, entry.link);
+        if (bookmarkChanged && (!linkChanged || !launchpadWins)) {
+            plan.updateLinks.push({ linkId: link.id, ...snapshot(bookmark) });
+        } else if (linkChanged) {
+            plan.updateBookmarks.push({ bookmarkId: bookmark.id, ...snapshot(link) });
+        }
+        plan.entries.push({
+            bookmarkId: bookmark.id,
+            linkId: link.id,
+            bookmark: snapshot(bookmark),
+            link: snapshot(link)
+        });
+    }
+
+    const unmappedLinks = new Map();
+    for (const link of links) {
+        if (mappedLinks.has(link.id)) continue;
+        const key = canonicalUrlKey(link.url, aliases);
+        if (!unmappedLinks.has(key)) unmappedLinks.set(key, []);
+        unmappedLinks.get(key).push(link);
+    }
+
+    for (const bookmark of bookmarks) {
+        if (mappedBookmarks.has(bookmark.id)) continue;
+        const match = unmappedLinks.get(canonicalUrlKey(bookmark.url, aliases))?.shift();
+        if (match) {
+            plan.entries.push({
+                bookmarkId: bookmark.id,
+                linkId: match.id,
+                bookmark: snapshot(bookmark),
+                link: snapshot(match)
+            });
+        } else {
+            plan.addLinks.push({ bookmarkId: bookmark.id, ...snapshot(bookmark) });
+        }
+    }
+
+    for (const remaining of unmappedLinks.values()) {
+        for (const link of remaining) {
+            plan.createBookmarks.push({ linkId: link.id, ...snapshot(link) });
+        }
+    }
+
+    return plan;
+}
+
+// ========== Reading both sides ==========
+
+function collectBookmarkLinks(node, claimed, out = []) {
+    for (const child of node.children || []) {
+        if (child.url) {
+            if (!claimed.has(child.id) && store.isUrlSafe(child.url)) {
+                out.push({ id: child.id, title: child.title || '', url: child.url });
+            }
+        } else if (!claimed.has(child.id)) {
+            // Folders bound on their own are synced by their own binding
+            collectBookmarkLinks(child, claimed, out);
+        }
+    }
+    return out;
+}
+
+function toLink(item) {
+    if (!item || item.type === 'folder' || item.isSystemItem || !item.url) return null;
+    return { id: item._id, title: item.title || '', url: item.url };
+}
+
+/**
+ * Links on the launchpad side of a binding. Mapped links are tracked wherever they were moved
+ * to, so only deleting a link removes its bookmark; unmapped links are picked up as new only
+ * inside the bound folder or page.
+ */
+function collectTargetLinks(binding, entries, claimedLinks) {
+    const mapped = entries.map(entry => toLink(store.getItem(entry.linkId))).filter(Boolean);
+    const mappedIds = new Set(mapped.map(link => link.id));
+
+    let container = [];
+    if (binding.target.type === 'page') {
+        container = store.getPage(binding.target.index);
+    } else if (binding.target.id) {
+        const folder = store.getItem(binding.target.id);
+        container = folder?.type === 'folder' ? folder.children.map(id => store.getItem(id)) : [];
+    }
+
+    const fresh = container
+        .map(toLink)
+        .filter(link => link && !mappedIds.has(link.id) && !claimedLinks.has(link.id));
+    return [...mapped, ...fresh];
+}
+
+// ========== Applying ==========
+
+async function applyPlan(binding, plan) {
+    const entries = plan.entries;
+    const byBookmark = new Map(entries.map(entry => [entry.bookmarkId, entry]));
+    let { target } = binding;
+
+    if (plan.removeLinks.length > 0) {
+        await store.removeItems(plan.removeLinks);
+    }
+
+    // Two sync writes however many bookmarks changed: the new links, then edits and placement.
+    // New links go to the end of the last page, or into the bound folder there.
+    const lastPage = Math.max(0, store.getPageCount() - 1);
+    const added = [];
+    if (plan.addLinks.length > 0) {
+        const result = await store.bulkAddItems([{
+            pageIndex: 0,
+            items: plan.addLinks.map(addition => ({ title: addition.title || addition.url, url: addition.url }))
+        }]);
+        (result?.items || []).forEach((item, index) => {
+            const addition = plan.addLinks[index];
+            added.push(item._id);
+            entries.push({
+                bookmarkId: addition.bookmarkId,
+                linkId: item._id,
+                bookmark: { title: addition.title, url: addition.url },
+                link: snapshot(item)
+            });
+        });
+    }
+
+    const updates = {};
+    for (const update of plan.updateLinks) {
+        updates[update.linkId] = { title: update.title || update.url, url: update.url };
+    }
+    if (plan.updateLinks.length > 0 || added.length > 0) {
+        // A full folder leaves the rest next to it, still synced
+        const { folderIds } = await store.arrangeItems({
+            updates,
+            folders: target.type === 'folder' ? [{ key: 'target', title: target.title, folderId: target.id, children: added }] : [],
+            page: { index: target.type === 'page' ? target.index : lastPage, ids: added }
+        });
+        if (target.type === 'folder' && folderIds.target) {
+            target = { ...target, id: folderIds.target };
+        }
+        for (const update of plan.updateLinks) {
+            const item = store.getItem(update.linkId);
+            const entry = entries.find(candidate => candidate.linkId === update.linkId);
+            if (entry && item) entry.link = snapshot(item);
+        }
+    }
+
+    for (const id of plan.removeBookmarks) {
+        try {
+            await chrome.bookmarks.remove(id);
+        } catch {
+            // Already gone
+        }
+    }
+
+    for (const update of plan.updateBookmarks) {
+        const node = await chrome.bookmarks.update(update.bookmarkId, { title: update.title, url: update.url });
+        const entry = byBookmark.get(update.bookmarkId);
+        if (entry && node) entry.bookmark = snapshot(node);
+    }
+
+    for (const creation of plan.createBookmarks) {
+        const node = await chrome.bookmarks.create({
+            parentId: binding.bookmarkFolderId,
+            title: creation.title,
+            url: creation.url
+        });
+        entries.push({
+            bookmarkId: node.id,
+            linkId: creation.linkId,
+            bookmark: snapshot(node),
+            link: { title: creation.title, url: creation.url }
+        });
+    }
+
+    return { entries, target };
+}
+
+/**
+ * Reconcile one binding.
+ * @returns {Promise<{ entries: Array<Object>, target: Object, error: string|null }>}
+ */
+async function syncBinding(binding, entries, claimed) {
+    let folderNode;
+    try {
+        [folderNode] = await chrome.bookmarks.getSubTree(binding.bookmarkFolderId);
+    } catch {
+        folderNode = null;
+    }
+    // Never mirror a vanished container as "everything was deleted"
+    if (!folderNode || folderNode.url) {
+        return { entries, target: binding.target, error: 'bookmark_folder_missing' };
+    }
+    if (binding.workspaceId && store.getActiveWorkspace()?.id !== binding.workspaceId) {
+        return { entries, target: binding.target, error: 'workspace_inactive' };
+    }
+
+    // A launchpad folder that was deleted or dissolved is created again for new links
+    const folderGone = binding.target.type === 'folder' && binding.target.id
+        && store.getItem(binding.target.id)?.type !== 'folder';
+    const target = folderGone ? { ...binding.target, id: null } : binding.target;
+
+    const plan = planBookmarkSync({
+        bookmarks: collectBookmarkLinks(folderNode, claimed.bookmarks),
+        links: collectTargetLinks(binding, entries, claimed.links),
+        entries,
+        conflict: binding.conflict,
+        aliases: await getCanonicalUrlAliases()
+    });
+    const result = await applyPlan({ ...binding, target }, plan);
+    return { ...result, error: null };
+}
+
+/**
+ * Reconcile every binding now. Runs are serialized.
+ * @returns {Promise<Record<string, string|null>>} Error code per binding id
+ */
+export function runBookmarkSync() {
+    const run = () => syncAllBindings();
+    const next = _syncChain.then(run, run);
+    _syncChain = next.catch(() => {});
+    return next;
+}
+
+async function syncAllBindings() {
+    const bindings = await getBookmarkBindings();
+    const previousState = await getBookmarkSyncState();
+    if (bindings.length === 0) {
+        if (Object.keys(previousState).length > 0) {
+            await storageRepo.local.remove(BOOKMARK_SYNC_STATE_KEY);
+        }
+        return {};
+    }
+
+    await ensureWorkerStore();
+
+    const nextState = {};
+    const results = {};
+    let bindingsChanged = false;
+    const nextBindings = [];
+
+    for (const binding of bindings) {
+        const previous = previousState[binding.id] || { entries: [], lastSyncAt: null };
+        // Bookmarks, folders and links owned by the other bindings
+        const claimed = { bookmarks: new Set(), links: new Set() };
+        for (const other of bindings) {
+            if (other.id === binding.id) continue;
+            claimed.bookmarks.add(other.bookmarkFolderId);
+            for (const entry of previousState[other.id]?.entries || []) {
+                claimed.bookmarks.add(entry.bookmarkId);
+                claimed.links.add(entry.linkId);
+            }
+        }
+
+        try {
+            const { entries, target, error } = await syncBinding(binding, previous.entries, claimed);
+            nextState[binding.id] = { entries, lastSyncAt: error ? previous.lastSyncAt : Date.now(), error };
+            results[binding.id] = error;
+            if (target !== binding.target) {
+                bindingsChanged = true;
+                nextBindings.push({ ...binding, target });
+                continue;
+            }
+        } catch (error) {
+            console.error('[BookmarkSync] Sync failed:', error);
+            nextState[binding.id] = { ...previous, error: error?.message || String(error) };
+            results[binding.id] = nextState[binding.id].error;
+        }
+        nextBindings.push(binding);
+    }
+
+    await storageRepo.local.setMultiple({ [BOOKMARK_SYNC_STATE_KEY]: nextState });
+    if (bindingsChanged) {
+        // Only folder ids created by this run differ; the next run finds nothing to do
+        await saveBookmarkBindings(nextBindings);
+    }
+    return results;
+}
+
+/**
+ * Debounced runBookmarkSync(), for bookmark events and storage changes in the service worker.
+ */
+export function scheduleBookmarkSync() {
+    if (_debounceTimer !== null) {
+        clearTimeout(_debounceTimer);
+    }
+    _debounceTimer = setTimeout(() => {
+        _debounceTimer = null;
+        runBookmarkSync().catch((error) => {
+            console.error('[BookmarkSync] Scheduled sync failed:', error);
+        });
+    }, SYNC_DEBOUNCE_MS);
+}
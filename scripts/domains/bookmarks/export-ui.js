@@ -197,7 +197,7 @@ class LinkExportUI {
                     <span class="format-icon">${ICONS.json}</span>
                     <span class="format-info">
                         <span class="format-name">${t('exportFormatJson') || 'JSON Format'}</span>
-                            <span class="format-desc">${t('exportFormatJsonDesc') || 'Full export (not directly importable)'}</span>
+                            <span class="format-desc">${t('exportFormatJsonDesc') || 'Lossless: folders, tags, layout and Dock (re-importable)'}</span>
                     </span>
                 </label>
                 <label class="export-format-item">
@@ -205,7 +205,7 @@ class LinkExportUI {
                     <span class="format-icon">${ICONS.html}</span>
                     <span class="format-info">
                         <span class="format-name">${t('exportFormatHtml') || 'HTML Format'}</span>
-                        <span class="format-desc">${t('exportFormatHtmlDesc') || 'Browser-compatible bookmark format'}</span>
+                        <span class="format-desc">${t('exportFormatHtmlDesc') || 'Browser bookmark format, keeps folders'}</span>
                     </span>
                 </label>
                 <label class="export-format-item">
@@ -14,8 +14,10 @@ import { escapeHtml } from '../../shared/text.js';
 // ========== Configuration Constants ==========
 
 const CONFIG = {
-    /** Export version number */
-    EXPORT_VERSION: 1,
+    /** Export schema version (2: lossless layout, folders, tags, createdAt) */
+    EXPORT_VERSION: 2,
+    /** Format identifier written to JSON exports */
+    FORMAT_NAME: 'aura-tab-quicklinks',
     /** Source identifier */
     SOURCE_NAME: 'Aura Tab'
 };
@@ -25,25 +27,47 @@ const CONFIG = {
 class LinkExporter {
     /**
      * Export as JSON format (full backup)
-     * Includes pagination structure, metadata, Dock pins
+     * Lossless: pages split at explicit page breaks, system item slots, folders with
+     * their children, smart folder rules, tags, creation times, Dock pins and the tag library
      * @returns {string} JSON string
      */
     exportAsJson() {
-        const pages = store.pages.map((items, index) => ({
+        const payload = {
+            format: CONFIG.FORMAT_NAME,
+            version: CONFIG.EXPORT_VERSION,
+            exportedAt: new Date().toISOString(),
+            source: CONFIG.SOURCE_NAME,
+            pages: this._getExportPages(),
+            dockPins: [...store.dockPins],
+            tags: [...store.tags]
+        };
+
+        return JSON.stringify(payload, null, 2);
+    }
+
+    /**
+     * Export a single workspace as JSON
+     * Same layout as the full backup, plus background
+     * @param {Object} snapshot - Result of store.getWorkspaceSnapshot()
+     * @returns {string} JSON string
+     */
+    exportWorkspaceAsJson(snapshot) {
+        // Snapshot folders already carry resolved children
+        const pages = (snapshot?.pages || []).map((items, index) => ({
             name: `Page ${index + 1}`,
-            items: items.map(item => ({
-                title: item.title || '',
-                url: item.url || '',
-                icon: item.icon || ''
-            }))
+            items: items.map(item => this._toEntry(item, child => child)).filter(Boolean)
         }));
 
         const payload = {
+            format: CONFIG.FORMAT_NAME,
             version: CONFIG.EXPORT_VERSION,
             exportedAt: new Date().toISOString(),
             source: CONFIG.SOURCE_NAME,
+            workspace: snapshot?.workspace?.name || '',
             pages,
-            dockPins: [...store.dockPins]
+            dockPins: [...(snapshot?.dockPins || [])],
+            tags: [...(snapshot?.tags || [])],
+            background: snapshot?.backgroundSettings || null
         };
 
         return JSON.stringify(payload, null, 2);
@@ -51,7 +75,8 @@ class LinkExporter {
 
     /**
      * Export as HTML format (Netscape Bookmark File)
-     * Universal browser format, can be imported into any browser
+     * Universal browser format, can be imported into any browser.
+     * Each page becomes a folder; quick link folders and their subfolders stay nested inside it
      * @returns {string} HTML string
      */
     exportAsHtml() {
@@ -63,20 +88,18 @@ class LinkExporter {
             '<H1>Bookmarks</H1>',
             '<DL><p>'
         ];
+        const now = Math.floor(Date.now() / 1000);
 
-        store.pages.forEach((items, pageIndex) => {
-            if (items.length === 0) return;
-
-            const folderName = escapeHtml(`Page ${pageIndex + 1}`);
-            const addDate = Math.floor(Date.now() / 1000);
+        this._getExportPages().forEach(({ name, items }) => {
+            // Smart folders have no fixed members to write out
+            const links = items.filter(item => (item.type === 'folder' && !item.smart) || item.url);
+            if (links.length === 0) return;
 
-            lines.push(`    <DT><H3 ADD_DATE="${addDate}">${folderName}</H3>`);
+            lines.push(`    <DT><H3 ADD_DATE="${now}">${escapeHtml(name)}</H3>`);
             lines.push('    <DL><p>');
 
-            for (const item of items) {
-                const href = escapeHtml(item.url);
-                const title = escapeHtml(item.title || 'Untitled');
-                lines.push(`        <DT><A HREF="${href}" ADD_DATE="${addDate}">${title}</A>`);
+            for (const item of links) {
+                this._pushHtmlItem(lines, item, '        ', now);
             }
 
             lines.push('    </DL><p>');
@@ -88,24 +111,39 @@ class LinkExporter {
 
     /**
      * Export as CSV format (Excel compatible)
-     * Uses UTF-8 BOM to ensure proper encoding recognition in Excel
+     * Uses UTF-8 BOM to ensure proper encoding recognition in Excel.
+     * Folder children are listed with their folder path, e.g. "Work / Docs"
      * @returns {string} CSV string
      */
     exportAsCsv() {
         // UTF-8 BOM ensures Excel correctly recognizes the encoding
         const BOM = '\uFEFF';
-        const lines = ['Page,Title,URL'];
+        const lines = ['Page,Folder,Title,URL,Tags'];
 
-        store.pages.forEach((items, pageIndex) => {
-            const pageName = `Page ${pageIndex + 1}`;
+        const pushRow = (pageName, folderTitle, item) => {
+            lines.push([
+                this._escapeCsv(pageName),
+                this._escapeCsv(folderTitle),
+                this._escapeCsv(item.title || ''),
+                this._escapeCsv(item.url || ''),
+                this._escapeCsv((item.tags || []).join(', '))
+            ].join(','));
+        };
+
+        const pushItems = (pageName, folderPath, items) => {
             for (const item of items) {
-                lines.push([
-                    this._escapeCsv(pageName),
-                    this._escapeCsv(item.title || ''),
-                    this._escapeCsv(item.url || '')
-                ].join(','));
+                if (item.type === 'folder') {
+                    const title = item.title || '';
+                    pushItems(pageName, folderPath ? `${folderPath} / ${title}` : title, item.children);
+                } else if (item.url) {
+                    pushRow(pageName, folderPath, item);
+                }
             }
-        });
+        };
+
+        for (const { name, items } of this._getExportPages()) {
+            pushItems(name, '', items);
+        }
 
         return BOM + lines.join('\n');
     }
@@ -158,17 +196,132 @@ class LinkExporter {
     /**
      * Build export filename
      * @param {string} format - File extension
+     * @param {string} [label] - Optional workspace name, slugified into the filename
      * @returns {string}
      */
-    buildFilename(format) {
+    buildFilename(format, label = '') {
         const pad = (n) => String(n).padStart(2, '0');
         const d = new Date();
         const stamp = `${d.getFullYear()}${pad(d.getMonth() + 1)}${pad(d.getDate())}`;
-        return `aura-tab-export-${stamp}.${format}`;
+        const slug = String(label).trim().toLowerCase()
+            .replace(/[^\p{L}\p{N}]+/gu, '-')
+            .replace(/^-+|-+$/g, '')
+            .slice(0, 40);
+        return slug
+            ? `aura-tab-workspace-${slug}-${stamp}.${format}`
+            : `aura-tab-export-${stamp}.${format}`;
     }
 
     // ========== Utility Methods ==========
 
+    /**
+     * Split the stored layout at explicit page breaks
+     * @param {string[]} entries - store.getLayoutEntries()
+     * @returns {string[][]}
+     */
+    _splitLayout(entries) {
+        const pages = [[]];
+        for (const entry of entries) {
+            if (entry === store.CONFIG.PAGE_BREAK) {
+                pages.push([]);
+            } else {
+                pages[pages.length - 1].push(entry);
+            }
+        }
+        return pages.filter(page => page.length > 0);
+    }
+
+    /**
+     * Serialize one layout item. Links keep the v1 fields so older readers still work.
+     * @param {Object|null} item
+     * @param {Function} resolveChild - Maps a folder child (id or item) to the child item
+     * @returns {Object|null}
+     */
+    _toEntry(item, resolveChild) {
+        if (!item) return null;
+        if (item.isSystemItem) {
+            return { id: item._id, type: 'system' };
+        }
+        if (item.type === 'folder') {
+            const entry = {
+                id: item._id,
+                type: 'folder',
+                title: item.title || '',
+                createdAt: item.createdAt || 0,
+                children: (item.children || [])
+                    .map(resolveChild)
+                    .filter(child => child && !child.isSystemItem)
+                    .map(child => this._toEntry(child, resolveChild))
+            };
+            // Smart folders are exported as their rule; members are recomputed on import
+            if (item.smart) entry.smart = { ...item.smart };
+            return entry;
+        }
+        return {
+            id: item._id,
+            title: item.title || '',
+            url: item.url || '',
+            icon: item.icon || '',
+            tags: Array.isArray(item.tags) ? [...item.tags] : [],
+            createdAt: item.createdAt || 0
+        };
+    }
+
+    /**
+     * Pages of the active layout with folder children resolved
+     * @returns {Array<{name: string, items: Object[]}>}
+     */
+    _getExportPages() {
+        const resolve = (id) => store.getItem(id);
+        return this._splitLayout(store.getLayoutEntries()).map((ids, index) => ({
+            name: `Page ${index + 1}`,
+            items: ids.map(id => this._toEntry(resolve(id), resolve)).filter(Boolean)
+        }));
+    }
+
+    /**
+     * Append a link, or a folder with everything under it, as Netscape lines
+     * @param {string[]} lines
+     * @param {Object} item - Export entry
+     * @param {string} indent
+     * @param {number} now - Fallback ADD_DATE in seconds
+     */
+    _pushHtmlItem(lines, item, indent, now) {
+        if (item.type !== 'folder') {
+            if (item.url) lines.push(`${indent}${this._toHtmlLink(item)}`);
+            return;
+        }
+        lines.push(`${indent}<DT><H3 ADD_DATE="${this._toUnixSeconds(item.createdAt, now)}">${escapeHtml(item.title || 'Untitled')}</H3>`);
+        lines.push(`${indent}<DL><p>`);
+        for (const child of item.children) {
+            this._pushHtmlItem(lines, child, `${indent}    `, now);
+        }
+        lines.push(`${indent}</DL><p>`);
+    }
+
+    /**
+     * @param {{title: string, url: string, icon: string, tags: string[], createdAt: number}} link
+     * @returns {string} Netscape <DT><A> line
+     */
+    _toHtmlLink(link) {
+        const attrs = [
+            `HREF="${escapeHtml(link.url)}"`,
+            `ADD_DATE="${this._toUnixSeconds(link.createdAt)}"`
+        ];
+        if (/^https?:\/\//i.test(link.icon || '')) {
+            attrs.push(`ICON_URI="${escapeHtml(link.icon)}"`);
+        }
+        if (link.tags?.length > 0) {
+            attrs.push(`TAGS="${escapeHtml(link.tags.join(','))}"`);
+        }
+        return `<DT><A ${attrs.join(' ')}>${escapeHtml(link.title || 'Untitled')}</A>`;
+    }
+
+    _toUnixSeconds(ms, fallback = Math.floor(Date.now() / 1000)) {
+        const n = Number(ms);
+        return Number.isFinite(n) && n > 0 ? Math.floor(n / 1000) : fallback;
+    }
+
     /**
      * CSV field escaping
      * @param {string} str
@@ -0,0 +1,495 @@
+/**
+ * Link File Importer - Import quick links from exported files
+ *
+ * Supported formats:
+ * 1. Aura Tab JSON export (pages, folders, smart folder rules, tags, creation times, Dock pins)
+ * 2. Netscape bookmark HTML (Chrome, Firefox, Safari and other new-tab extensions)
+ * 3. CSV with a title/url header, or any CSV whose rows contain a URL cell;
+ *    with a Page column (Aura Tab exports) the Folder column holds nested folder paths
+ *
+ * Parsed links are grouped into folders the same way the browser bookmark import does,
+ * so preview, dedup and paging are shared with BookmarkImporter.
+ */
+
+import { BookmarkImporter, BOOKMARK_IMPORT_CONFIG } from './importer.js';
+import { store } from '../quicklinks/store.js';
+import { isSameSmartRule, normalizeSmartRule } from '../quicklinks/smart-folders.js';
+
+const FILE_CONFIG = {
+    /** Reject files larger than this before reading them */
+    MAX_FILE_SIZE: 10 * 1024 * 1024,
+
+    SOURCE_NAME: 'Aura Tab',
+
+    /** Written by schema v2 exports */
+    FORMAT_NAME: 'aura-tab-quicklinks'
+};
+
+export const LinkFileFormat = Object.freeze({
+    AURA_JSON: 'aura-json',
+    JSON: 'json',
+    HTML: 'html',
+    CSV: 'csv'
+});
+
+const CSV_COLUMNS = {
+    title: ['title', 'name', 'bookmark', 'label'],
+    url: ['url', 'link', 'href', 'address', 'uri'],
+    page: ['page'],
+    folder: ['folder', 'category', 'group', 'collection'],
+    tags: ['tags', 'tag', 'labels'],
+    icon: ['icon', 'favicon', 'icon_uri']
+};
+
+// Browser root folders whose contents are shown at the top level of the bookmarks UI
+const TRANSPARENT_FOLDER_ATTRS = ['personal_toolbar_folder', 'unfiled_bookmarks_folder'];
+
+function splitTags(raw) {
+    if (Array.isArray(raw)) return raw.map(tag => String(tag ?? '').trim()).filter(Boolean);
+    return String(raw ?? '').split(/[,;|]/).map(tag => tag.trim()).filter(Boolean);
+}
+
+function isHttpUrl(value) {
+    return /^https?:\/\//i.test(String(value || ''));
+}
+
+/**
+ * RFC 4180 CSV parser (quoted fields, escaped quotes, CRLF)
+ * @param {string} text
+ * @returns {string[][]}
+ */
+export function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const ch = text[i];
+        if (quoted) {
+            if (ch === '"') {
+                if (text[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else {
+                    quoted = false;
+                }
+            } else {
+                field += ch;
+            }
+            continue;
+        }
+        if (ch === '"') {
+            quoted = true;
+        } else if (ch === ',') {
+            row.push(field);
+            field = '';
+        } else if (ch === '\n' || ch === '\r') {
+            if (ch === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += ch;
+        }
+    }
+    if (field || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    return rows.filter(cells => cells.some(cell => cell.trim()));
+}
+
+export class LinkFileImporter extends BookmarkImporter {
+    constructor() {
+        super();
+
+        this._seenUrls = new Set();
+        /** @type {Array<{ title: string, rule: Object }>} */
+        this._smartFolders = [];
+    }
+
+    /**
+     * Read and parse an export file
+     * @param {File|Blob} file
+     * @returns {Promise<{format: string, folders: Map, looseBookmarks: Array, stats: Object}>}
+     */
+    async parseFile(file) {
+        if (!file) {
+            throw new Error('link_import_empty');
+        }
+        if (file.size > FILE_CONFIG.MAX_FILE_SIZE) {
+            throw new Error('link_import_too_large');
+        }
+
+        const text = await file.text();
+        this._canonicalAliases = await this._loadCanonicalAliases();
+        return this.parseText(text, file.name || '');
+    }
+
+    /**
+     * @param {string} rawText - File contents
+     * @param {string} [filename] - Used to pick the format; content is sniffed otherwise
+     */
+    parseText(rawText, filename = '') {
+        this._parsedFolders.clear();
+        this._looseBookmarks = [];
+        this._duplicateCount = 0;
+        this._seenUrls = new Set();
+        this._smartFolders = [];
+
+        this._existingUrls = new Set(
+            store.getAllItemsFlat().map(item => this._normalizeUrl(item.url))
+        );
+
+        const text = String(rawText ?? '').replace(/^\uFEFF/, '');
+        let format = this._detectFormat(text, filename);
+
+        if (format === LinkFileFormat.JSON) {
+            let data;
+            try {
+                data = JSON.parse(text);
+            } catch {
+                throw new Error('link_import_invalid_json');
+            }
+            format = this._parseJson(data);
+        } else if (format === LinkFileFormat.HTML) {
+            this._parseHtml(text);
+        } else {
+            this._parseCsv(text);
+        }
+
+        for (const [name, bookmarks] of this._parsedFolders) {
+            if (bookmarks.length === 0) this._parsedFolders.delete(name);
+        }
+
+        const stats = this._calculateStats();
+        if (stats.totalBookmarks === 0 && this._duplicateCount === 0 && this._smartFolders.length === 0) {
+            throw new Error('link_import_no_links');
+        }
+
+        return {
+            format,
+            folders: this._parsedFolders,
+            looseBookmarks: this._looseBookmarks,
+            stats
+        };
+    }
+
+    /**
+     * Import the previewed pages, then restore what bulkAddItems cannot carry:
+     * folders, smart folders and Dock pins from Aura Tab exports.
+     * `structureFailed` is set when the links were imported but their folders or pins were not.
+     */
+    async executeImport(pages, onProgress) {
+        const result = await super.executeImport(pages, onProgress);
+        if (result.status === 'failed') {
+            return result;
+        }
+
+        try {
+            await this._restoreSmartFolders();
+        } catch (error) {
+            console.error('[LinkFileImporter] Failed to restore smart folders:', error);
+        }
+        if (result.success === 0) {
+            return result;
+        }
+
+        const imported = pages
+            .flatMap(page => page.items)
+            .slice(0, BOOKMARK_IMPORT_CONFIG.MAX_IMPORT_COUNT);
+        // Partial writes cannot be matched back to their source entries
+        if (result.items.length !== imported.length) {
+            return result;
+        }
+
+        try {
+            await this._restoreStructure(imported, result.items.map(item => item._id));
+        } catch (error) {
+            console.error('[LinkFileImporter] Failed to restore folders or Dock pins:', error);
+            return { ...result, structureFailed: true };
+        }
+
+        return result;
+    }
+
+    /**
+     * Smart folders are imported as rules; one with the same rule already here is kept instead
+     */
+    async _restoreSmartFolders() {
+        for (const { title, rule } of this._smartFolders) {
+            const exists = store.getAllItems().some(item => item?.smart && isSameSmartRule(item.smart, rule));
+            if (!exists) await store.createSmartFolder(title, rule);
+        }
+    }
+
+    /**
+     * Folders and Dock pins go in one commit; tags and creation times came with bulkAddItems
+     */
+    async _restoreStructure(imported, ids) {
+        const folders = new Map();
+        const pins = [];
+
+        for (let i = 0; i < imported.length; i++) {
+            const bookmark = imported[i];
+            const id = ids[i];
+            if (!id) continue;
+            if (bookmark.folder) {
+                this._collectFolderMember(folders, bookmark.folder, id);
+            }
+            if (bookmark.dockPin) {
+                pins.push(id);
+            }
+        }
+        if (folders.size === 0 && pins.length === 0) return;
+
+        // Innermost folders first, so each parent can take its subfolders in
+        const ordered = [...folders.values()].sort((a, b) => b.depth - a.depth);
+        await store.arrangeItems({
+            folders: ordered.map(({ key, title, members }) => ({
+                key,
+                title,
+                children: members.map(member => member.id ?? member.key)
+            })),
+            dockPins: pins
+        });
+    }
+
+    /**
+     * Record a link in its folder and, the first time a folder is seen, the folder in each
+     * of its ancestors. Links arrive in file order, so members keep the exported order.
+     */
+    _collectFolderMember(folders, folder, linkId) {
+        let member = { id: linkId };
+        for (let current = folder; current; current = current.parent) {
+            const known = folders.has(current.key);
+            if (!known) {
+                let depth = 0;
+                for (let up = current.parent; up; up = up.parent) depth++;
+                folders.set(current.key, { key: current.key, title: current.title, depth, members: [] });
+            }
+            folders.get(current.key).members.push(member);
+            if (known) return;
+            member = { key: current.key };
+        }
+    }
+
+    _detectFormat(text, filename) {
+        const ext = String(filename).toLowerCase().split('.').pop();
+        if (ext === 'json') return LinkFileFormat.JSON;
+        if (ext === 'html' || ext === 'htm') return LinkFileFormat.HTML;
+        if (ext === 'csv') return LinkFileFormat.CSV;
+
+        const head = text.trimStart();
+        if (head.startsWith('{') || head.startsWith('[')) return LinkFileFormat.JSON;
+        if (/<!DOCTYPE\s+NETSCAPE-Bookmark-file/i.test(head) || /<(dl|dt|a)\b/i.test(head)) return LinkFileFormat.HTML;
+        return LinkFileFormat.CSV;
+    }
+
+    /**
+     * Add one link to its folder (or the loose list).
+     * Unsafe URLs are dropped; URLs already in the store or earlier in the file count as duplicates.
+     */
+    _addBookmark(folderName, { title, url, icon, tags, createdAt, folder = null, dockPin = false }) {
+        const safeUrl = store.getSafeUrl(String(url ?? ''));
+        if (!safeUrl) return;
+
+        const key = this._normalizeUrl(safeUrl);
+        if (this._isDuplicate(safeUrl) || this._seenUrls.has(key)) {
+            this._duplicateCount++;
+            return;
+        }
+        this._seenUrls.add(key);
+
+        const bookmark = {
+            title: String(title ?? '').trim(),
+            url: safeUrl,
+            icon: this._sanitizeIcon(icon)
+        };
+        const safeTags = splitTags(tags);
+        if (safeTags.length > 0) bookmark.tags = safeTags;
+        if (Number.isFinite(createdAt) && createdAt > 0) bookmark.createdAt = createdAt;
+        if (folder) bookmark.folder = folder;
+        if (dockPin) bookmark.dockPin = true;
+
+        if (folderName) {
+            if (!this._parsedFolders.has(folderName)) {
+                this._parsedFolders.set(folderName, []);
+            }
+            this._parsedFolders.get(folderName).push(bookmark);
+        } else {
+            this._looseBookmarks.push(bookmark);
+        }
+    }
+
+    _sanitizeIcon(icon) {
+        const value = String(icon ?? '').trim();
+        if (!value || value.length > store.CONFIG.MAX_ICON_LENGTH) return '';
+        return isHttpUrl(value) || value.startsWith('data:image/') ? value : '';
+    }
+
+    // ========== JSON ==========
+
+    _parseJson(data) {
+        if (Array.isArray(data)) {
+            for (const entry of data) {
+                this._parseJsonEntry(entry, null, null);
+            }
+            return LinkFileFormat.JSON;
+        }
+
+        if (!data || typeof data !== 'object' || !Array.isArray(data.pages)) {
+            throw new Error('link_import_unsupported');
+        }
+
+        const dockPins = new Set(Array.isArray(data.dockPins) ? data.dockPins : []);
+        data.pages.forEach((page, pageIndex) => {
+            const name = String(page?.name || '').trim() || `Page ${pageIndex + 1}`;
+            const items = Array.isArray(page?.items) ? page.items : [];
+            items.forEach((entry, itemIndex) => {
+                this._parseJsonEntry(entry, name, dockPins, `${pageIndex}:${itemIndex}`);
+            });
+        });
+
+        return data.format === FILE_CONFIG.FORMAT_NAME || data.source === FILE_CONFIG.SOURCE_NAME
+            ? LinkFileFormat.AURA_JSON
+            : LinkFileFormat.JSON;
+    }
+
+    _parseJsonEntry(entry, folderName, dockPins, folderKey = '') {
+        // System item slots (Settings, Photos) exist in every layout already
+        if (!entry || typeof entry !== 'object' || entry.type === 'system') return;
+
+        const smartRule = entry.type === 'folder' ? normalizeSmartRule(entry.smart) : null;
+        if (smartRule) {
+            this._smartFolders.push({ title: String(entry.title || ''), rule: smartRule });
+            return;
+        }
+
+        if (entry.type === 'folder' || Array.isArray(entry.children)) {
+            this._parseJsonFolder(entry, folderName, folderKey || `${folderName}:${entry.title}`, null);
+            return;
+        }
+
+        this._addBookmark(folderName, {
+            ...entry,
+            folder: null,
+            dockPin: Boolean(entry.id) && Boolean(dockPins?.has(entry.id))
+        });
+    }
+
+    /**
+     * Folder children, subfolders included; each link remembers its innermost folder,
+     * which links back to its parent through `parent`
+     */
+    _parseJsonFolder(entry, folderName, key, parent) {
+        const folder = { key, title: String(entry.title || ''), parent };
+        const children = Array.isArray(entry.children) ? entry.children : [];
+        children.forEach((child, index) => {
+            if (!child || typeof child !== 'object' || child.type === 'system') return;
+            if (child.type === 'folder' || Array.isArray(child.children)) {
+                // Smart folders only live at the top level
+                if (!normalizeSmartRule(child.smart)) {
+                    this._parseJsonFolder(child, folderName, `${key}/${index}`, folder);
+                }
+                return;
+            }
+            this._addBookmark(folderName, { ...child, folder });
+        });
+    }
+
+    // ========== Netscape HTML ==========
+
+    _parseHtml(text) {
+        const doc = new DOMParser().parseFromString(text, 'text/html');
+
+        for (const anchor of doc.querySelectorAll('a[href]')) {
+            this._addBookmark(this._getTopLevelFolder(anchor), {
+                title: anchor.textContent,
+                url: anchor.getAttribute('href'),
+                icon: isHttpUrl(anchor.getAttribute('icon_uri')) ? anchor.getAttribute('icon_uri') : '',
+                tags: anchor.getAttribute('tags')
+            });
+        }
+    }
+
+    /**
+     * Outermost folder of a link. Nested folders are flattened into it,
+     * browser root folders (toolbar, other bookmarks) are skipped.
+     */
+    _getTopLevelFolder(anchor) {
+        let topLevel = null;
+        for (let el = anchor.parentElement; el; el = el.parentElement) {
+            if (el.tagName !== 'DL') continue;
+
+            let heading = el.previousElementSibling;
+            while (heading && heading.tagName === 'P') heading = heading.previousElementSibling;
+            if (heading?.tagName !== 'H3') continue;
+            if (TRANSPARENT_FOLDER_ATTRS.some(attr => heading.getAttribute(attr) === 'true')) continue;
+
+            topLevel = heading.textContent.trim() || topLevel;
+        }
+        return topLevel;
+    }
+
+    // ========== CSV ==========
+
+    _parseCsv(text) {
+        const rows = parseCsv(text);
+        if (rows.length === 0) return;
+
+        const columns = this._mapCsvHeader(rows[0]);
+        const body = columns ? rows.slice(1) : rows;
+
+        for (const cells of body) {
+            if (columns) {
+                const cell = (index) => (index >= 0 ? cells[index] ?? '' : '');
+                const pageName = cell(columns.page).trim();
+                // Without a Page column, folders group links into pages like browser folders do
+                const folderName = columns.page >= 0 ? pageName || null : cell(columns.folder).trim() || null;
+                this._addBookmark(folderName, {
+                    title: cell(columns.title),
+                    url: cell(columns.url).trim(),
+                    icon: cell(columns.icon),
+                    tags: cell(columns.tags),
+                    folder: columns.page >= 0 ? this._parseCsvFolderPath(pageName, cell(columns.folder)) : null
+                });
+                continue;
+            }
+
+            const urlIndex = cells.findIndex(value => isHttpUrl(value.trim()));
+            if (urlIndex < 0) continue;
+            const title = cells.find((value, index) => index !== urlIndex && value.trim()) || '';
+            this._addBookmark(null, { title, url: cells[urlIndex].trim() });
+        }
+    }
+
+    /**
+     * Innermost folder of an exported "Work / Docs" path, linked to its parents like JSON
+     * folders; keys are built from the path so rows of one folder land together
+     */
+    _parseCsvFolderPath(pageName, path) {
+        let folder = null;
+        let key = `csv:${pageName}:`;
+        for (const title of String(path).split(' / ').map(part => part.trim()).filter(Boolean)) {
+            key += `/${title}`;
+            folder = { key, title, parent: folder };
+        }
+        return folder;
+    }
+
+    _mapCsvHeader(headerCells) {
+        const names = headerCells.map(cell => cell.trim().toLowerCase());
+        const find = (aliases) => names.findIndex(name => aliases.includes(name));
+
+        const columns = Object.fromEntries(
+            Object.entries(CSV_COLUMNS).map(([field, aliases]) => [field, find(aliases)])
+        );
+        return columns.url >= 0 ? columns : null;
+    }
+}
+
+export const linkFileImporter = new LinkFileImporter();
@@ -1,7 +1,7 @@
 
 import { store } from '../quicklinks/store.js';
 import { t } from '../../platform/i18n.js';
-import { normalizeUrlForDeduplication } from '../../shared/text.js';
+import { canonicalUrlKey, getCanonicalUrlAliases } from '../quicklinks/link-health.js';
 
 const CONFIG = {
     ITEMS_PER_PAGE: 24,
@@ -19,7 +19,7 @@ const CONFIG = {
     UNCATEGORIZED_PAGE_NAME: 'uncategorized'
 };
 
-class BookmarkImporter {
+export class BookmarkImporter {
     constructor() {
         this._parsedFolders = new Map();
 
@@ -27,6 +27,8 @@ class BookmarkImporter {
 
         this._existingUrls = new Set();
 
+        this._canonicalAliases = new Map();
+
         this._duplicateCount = 0;
 
         this._progressCallback = null;
@@ -37,8 +39,9 @@ class BookmarkImporter {
         this._looseBookmarks = [];
         this._duplicateCount = 0;
 
+        this._canonicalAliases = await this._loadCanonicalAliases();
         this._existingUrls = new Set(
-            store.getAllItems().map(item => this._normalizeUrl(item.url))
+            store.getAllItemsFlat().map(item => this._normalizeUrl(item.url))
         );
 
         const tree = await chrome.bookmarks.getTree();
@@ -135,7 +138,9 @@ class BookmarkImporter {
             items: page.items.map(item => ({
                 title: item.title || t('untitled'),
                 url: item.url,
-                icon: item.icon || ''
+                icon: item.icon || '',
+                ...(item.tags?.length > 0 ? { tags: item.tags } : {}),
+                ...(item.createdAt ? { createdAt: item.createdAt } : {})
             }))
         }));
 
@@ -153,6 +158,7 @@ class BookmarkImporter {
                 success,
                 failed,
                 pages: status === 'failed' ? 0 : limitedPages.length,
+                items: Array.isArray(result?.items) ? result.items : [],
                 errorCode: result?.errorCode,
                 errorMessage: result?.errorMessage
             };
@@ -279,8 +285,20 @@ class BookmarkImporter {
         }
     }
 
+    /**
+     * Known redirects, so a bookmark of a link's old address still counts as a duplicate
+     */
+    async _loadCanonicalAliases() {
+        try {
+            return await getCanonicalUrlAliases();
+        } catch (error) {
+            console.warn('[Importer] Failed to load canonical URLs:', error);
+            return new Map();
+        }
+    }
+
     _normalizeUrl(url) {
-        return normalizeUrlForDeduplication(url);
+        return canonicalUrlKey(url, this._canonicalAliases);
     }
 
     _isDuplicate(url) {
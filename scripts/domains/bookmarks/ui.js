@@ -8,6 +8,14 @@ import { escapeHtml } from '../../shared/text.js';
 
 const MODAL_ID = 'bookmark-import-modal';
 
+const FILE_ERROR_KEYS = {
+    link_import_empty: 'linkFileImportEmpty',
+    link_import_no_links: 'linkFileImportEmpty',
+    link_import_too_large: 'linkFileImportTooLarge',
+    link_import_invalid_json: 'linkFileImportInvalidJson',
+    link_import_unsupported: 'linkFileImportUnsupported'
+};
+
 const ICONS = {
     close: `<svg width="16" height="16" viewBox="0 0 16 16" fill="currentColor">
         <path d="M4.28 3.22a.75.75 0 00-1.06 1.06L6.94 8l-3.72 3.72a.75.75 0 101.06 1.06L8 9.06l3.72 3.72a.75.75 0 101.06-1.06L9.06 8l3.72-3.72a.75.75 0 00-1.06-1.06L8 6.94 4.28 3.22z"/>
@@ -76,13 +84,43 @@ class BookmarkImportUI {
         this._validationResults = null;
 
         this._boundKeydownHandler = null;
+
+        this._importer = bookmarkImporter;
     }
 
     async open() {
+        await this._openWith(
+            bookmarkImporter,
+            () => bookmarkImporter.parseBookmarkTree(),
+            t('bookmarkImportError') || 'Failed to read bookmarks'
+        );
+    }
+
+    /**
+     * Import from an exported file (Aura Tab JSON, bookmark HTML or CSV)
+     * @param {File} file
+     */
+    async openFile(file) {
+        const { linkFileImporter, LinkFileFormat } = await import('./file-importer.js');
+        await this._openWith(
+            linkFileImporter,
+            async () => {
+                const result = await linkFileImporter.parseFile(file);
+                // Our own export already has its pages laid out, keep them 1:1
+                this._smartCompact = result.format !== LinkFileFormat.AURA_JSON;
+                return result;
+            },
+            null,
+            t('linkFileImportTitle') || 'Import from File'
+        );
+    }
+
+    async _openWith(importer, parse, errorMessage, title = null) {
         if (this._modalEl) {
             this.close();
         }
 
+        this._importer = importer;
         this._state = 'idle';
         this._selectedFolders.clear();
         this._includeLoose = true;
@@ -90,7 +128,7 @@ class BookmarkImportUI {
         this._validateLinks = false;
         this._validationResults = null;
 
-        this._createModal();
+        this._createModal(title);
         document.body.appendChild(this._modalEl);
 
         modalLayer.register(
@@ -103,7 +141,7 @@ class BookmarkImportUI {
         this._showLoading();
 
         try {
-            const result = await bookmarkImporter.parseBookmarkTree();
+            const result = await parse();
             this._folders = result.folders;
             this._looseBookmarks = result.looseBookmarks;
 
@@ -118,10 +156,15 @@ class BookmarkImportUI {
             }
         } catch (error) {
             console.error('[BookmarkImportUI] Failed to parse bookmarks:', error);
-            this._showError(t('bookmarkImportError') || 'Failed to read bookmarks');
+            this._showError(errorMessage || this._resolveFileErrorMessage(error));
         }
     }
 
+    _resolveFileErrorMessage(error) {
+        const key = FILE_ERROR_KEYS[error?.message];
+        return (key && t(key)) || t('linkFileImportError') || 'Failed to read the file';
+    }
+
     close() {
         if (this._state === 'validating') {
             linkValidator.abort();
@@ -142,7 +185,7 @@ class BookmarkImportUI {
         this._state = 'idle';
     }
 
-    _createModal() {
+    _createModal(title = null) {
         this._modalEl = document.createElement('div');
         this._modalEl.className = 'bookmark-import-modal';
         this._modalEl.innerHTML = `
@@ -152,7 +195,7 @@ class BookmarkImportUI {
                     <button class="bookmark-import-close" aria-label="${t('close') || 'Close'}">
                         ${ICONS.close}
                     </button>
-                    <h2 id="bookmark-import-title" class="bookmark-import-title">${t('bookmarkImportTitle') || 'Import from Bookmarks'}</h2>
+                    <h2 id="bookmark-import-title" class="bookmark-import-title">${escapeHtml(title || t('bookmarkImportTitle') || 'Import from Bookmarks')}</h2>
                 </header>
                 <div class="bookmark-import-content">
                     <!-- Dynamic content -->
@@ -378,6 +421,9 @@ class BookmarkImportUI {
         if (result.failed > 0) {
             extraInfo += `<p class="warning">${t('importFailed', { count: result.failed }) || `${result.failed} bookmarks failed to import`}</p>`;
         }
+        if (result.structureFailed) {
+            extraInfo += `<p class="warning">${t('linkImportStructureFailed')}</p>`;
+        }
         if (result.skipped > 0) {
             extraInfo += `<p class="info">${t('skipInvalidLinks', { count: result.skipped }) || `Skipped ${result.skipped} invalid links`}</p>`;
         }
@@ -438,7 +484,7 @@ class BookmarkImportUI {
     }
 
     _updatePreview() {
-        const preview = bookmarkImporter.previewImport({
+        const preview = this._importer.previewImport({
             selectedFolders: this._selectedFolders,
             includeLoose: this._includeLoose,
             smartCompact: this._smartCompact
@@ -493,7 +539,7 @@ class BookmarkImportUI {
                 skippedCount = this._countInvalidLinks();
             }
 
-            const result = await bookmarkImporter.executeImport(
+            const result = await this._importer.executeImport(
                 pagesToImport,
                 (current, total) => this._updateProgress(current, total)
             );
@@ -515,6 +561,10 @@ class BookmarkImportUI {
 
             this._showDoneState(finalResult);
 
+            if (finalResult.structureFailed) {
+                toast(t('linkImportStructureFailed'), { type: 'warning' });
+                return;
+            }
             if (finalResult.failed > 0) {
                 toast(
                     t('bookmarkImportPartialWarning', {
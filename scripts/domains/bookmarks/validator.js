@@ -21,7 +21,10 @@ const CONFIG = {
     SUSPICIOUS_CODES: new Set([401, 403, 405, 429, 500, 502, 503, 504, 520, 521, 522, 523, 524]),
 
     /** Invalid status codes */
-    INVALID_CODES: new Set([404, 410, 451])
+    INVALID_CODES: new Set([404, 410, 451]),
+
+    /** Redirect status codes that mean the old address is gone for good */
+    PERMANENT_REDIRECT_CODES: new Set([301, 308])
 };
 
 // ========== Validation Status Enum ==========
@@ -39,7 +42,7 @@ export const ValidationStatus = {
 
 // ========== Validator Class ==========
 
-class LinkValidator {
+export class LinkValidator {
     constructor() {
         /** @type {AbortController|null} */
         this._abortController = null;
@@ -54,9 +57,11 @@ class LinkValidator {
      * Batch validate links
      * @param {Array<{url: string, [key: string]: any}>} items - Items to validate
      * @param {(progress: {current: number, total: number, valid: number, suspicious: number, invalid: number}) => void} onProgress - Progress callback
-     * @returns {Promise<Map<string, string>>} URL -> ValidationStatus mapping
+     * @param {{concurrency?: number, detailed?: boolean}} [options] - `detailed` maps each URL to
+     *   `{status, finalUrl}` instead, where `finalUrl` is set when a valid link moved permanently
+     * @returns {Promise<Map<string, string|{status: string, finalUrl: string|null}>>} URL -> ValidationStatus mapping
      */
-    async validateBatch(items, onProgress) {
+    async validateBatch(items, onProgress, { concurrency = CONFIG.CONCURRENCY, detailed = false } = {}) {
         // Fast path: return immediately for empty array
         if (!items || items.length === 0) {
             onProgress?.({ current: 0, total: 0, valid: 0, suspicious: 0, invalid: 0 });
@@ -93,13 +98,14 @@ class LinkValidator {
 
         try {
             // Create workers
-            const workers = Array(CONFIG.CONCURRENCY).fill(null).map(async () => {
+            const workers = Array(Math.max(1, concurrency)).fill(null).map(async () => {
                 while (queue.length > 0 && !signal.aborted) {
                     const item = queue.shift();
                     if (!item) break;
 
-                    const status = await this._validateOne(item.url, signal);
-                    results.set(item.url, status);
+                    const result = await this._checkOne(item.url, signal, detailed);
+                    const { status } = result;
+                    results.set(item.url, detailed ? result : status);
 
                     current++;
                     if (status === ValidationStatus.VALID) valid++;
@@ -126,14 +132,27 @@ class LinkValidator {
      * @returns {Promise<string>} ValidationStatus
      */
     async _validateOne(url, signal) {
+        return (await this._checkOne(url, signal)).status;
+    }
+
+    /**
+     * Validate single link, keeping where a valid link ended up after a permanent redirect
+     * @param {string} url - Link URL
+     * @param {AbortSignal} signal - Abort signal
+     * @param {boolean} [followRedirects] - Look up `finalUrl`; costs a second request per redirect
+     * @returns {Promise<{status: string, finalUrl: string|null}>}
+     */
+    async _checkOne(url, signal, followRedirects = false) {
+        const result = (status, finalUrl = null) => ({ status, finalUrl });
+
         // Basic check
         if (!url || typeof url !== 'string') {
-            return ValidationStatus.INVALID;
+            return result(ValidationStatus.INVALID);
         }
 
         // Offline check: return Pending if network disconnects during runtime (not counted as Valid/Invalid)
         if (!navigator.onLine) {
-            return ValidationStatus.PENDING;
+            return result(ValidationStatus.PENDING);
         }
 
         // URL format check
@@ -141,10 +160,10 @@ class LinkValidator {
             const parsed = new URL(url);
             // Only validate http/https
             if (!['http:', 'https:'].includes(parsed.protocol)) {
-                return ValidationStatus.SUSPICIOUS; // Non-standard protocols are suspicious
+                return result(ValidationStatus.SUSPICIOUS); // Non-standard protocols are suspicious
             }
         } catch {
-            return ValidationStatus.INVALID;
+            return result(ValidationStatus.INVALID);
         }
 
         try {
@@ -167,25 +186,29 @@ class LinkValidator {
                 });
 
                 if (response.ok) {
-                    return ValidationStatus.VALID;
+                    const redirectedTo = followRedirects && response.redirected && response.url !== url
+                        && await this._isPermanentRedirect(url, response.url, controller.signal)
+                        ? response.url
+                        : null;
+                    return result(ValidationStatus.VALID, redirectedTo);
                 }
 
                 // Handle common status codes
                 if (CONFIG.SUSPICIOUS_CODES.has(response.status)) {
-                    return ValidationStatus.SUSPICIOUS;
+                    return result(ValidationStatus.SUSPICIOUS);
                 }
 
                 if (CONFIG.INVALID_CODES.has(response.status)) {
-                    return ValidationStatus.INVALID;
+                    return result(ValidationStatus.INVALID);
                 }
 
                 // 400-499 range is usually client error, mark as invalid (except special cases)
                 if (response.status >= 400 && response.status < 500) {
-                    return ValidationStatus.INVALID;
+                    return result(ValidationStatus.INVALID);
                 }
 
                 // Other status codes are suspicious
-                return ValidationStatus.SUSPICIOUS;
+                return result(ValidationStatus.SUSPICIOUS);
 
             } finally {
                 clearTimeout(timeoutId);
@@ -197,9 +220,9 @@ class LinkValidator {
             if (error.name === 'AbortError') {
                 // Check if it's external abort
                 if (signal?.aborted) {
-                    return ValidationStatus.PENDING; // External abort, return pending
+                    return result(ValidationStatus.PENDING); // External abort, return pending
                 }
-                return ValidationStatus.SUSPICIOUS; // Timeout is suspicious
+                return result(ValidationStatus.SUSPICIOUS); // Timeout is suspicious
             }
 
             // Network errors (DNS, Connection Refused, etc.)
@@ -208,7 +231,7 @@ class LinkValidator {
                 // Could be CORS issue (if no permission) or real network error
                 // With host_permissions, mainly network error -> invalid
                 // But to be safe, keep suspicious for mixed content blocks
-                return ValidationStatus.INVALID;
+                return result(ValidationStatus.INVALID);
                 // Correction: Network errors should be INVALID (e.g., DNS resolution failure), but also includes connection refused
                 // To avoid false positives (e.g., temporary network outage), should it be SUSPICIOUS?
                 // Considering import is usually user-initiated, network should be normal.
@@ -218,7 +241,38 @@ class LinkValidator {
             }
 
             // Other errors are invalid
-            return ValidationStatus.INVALID;
+            return result(ValidationStatus.INVALID);
+        }
+    }
+
+    /**
+     * Whether a redirect is permanent (301/308 on the first hop). Sign-in and geo redirects are
+     * temporary and send many links to one page, so they never count. When the browser hides
+     * the status (opaque redirect), only a redirect that keeps the path counts.
+     * @param {string} url - Link URL
+     * @param {string} finalUrl - Where the followed request ended up
+     * @param {AbortSignal} signal - Abort signal
+     * @returns {Promise<boolean>}
+     */
+    async _isPermanentRedirect(url, finalUrl, signal) {
+        try {
+            const response = await fetch(url, {
+                method: 'HEAD',
+                signal,
+                redirect: 'manual',
+                cache: 'no-store'
+            });
+            if (response.type !== 'opaqueredirect') {
+                return CONFIG.PERMANENT_REDIRECT_CODES.has(response.status);
+            }
+        } catch {
+            // Fall back to comparing paths
+        }
+        try {
+            const trimPath = (value) => new URL(value).pathname.replace(/\/+$/, '');
+            return trimPath(url) === trimPath(finalUrl);
+        } catch {
+            return false;
         }
     }
 
@@ -2,6 +2,7 @@
 import { modalLayer } from '../platform/modal-layer.js';
 import { DisposableComponent } from '../platform/lifecycle.js';
 import { launchpad } from './quicklinks/launchpad.js';
+import { workspaceSwitcher } from './quicklinks/workspace-switcher.js';
 import * as storageRepo from '../platform/storage-repo.js';
 import { getSyncSettings, SYNC_SETTINGS_DEFAULTS } from '../platform/settings-contract.js';
 import { isTimeoutError, logWithDedup } from '../shared/error-utils.js';
@@ -41,7 +42,8 @@ export class LayoutManager extends DisposableComponent {
         this._isFavoriting = false;
         this._shortcuts = resolveShortcutSettings({
             [SHORTCUT_SETTING_KEYS.focusSearch]: SYNC_SETTINGS_DEFAULTS[SHORTCUT_SETTING_KEYS.focusSearch],
-            [SHORTCUT_SETTING_KEYS.openLaunchpad]: SYNC_SETTINGS_DEFAULTS[SHORTCUT_SETTING_KEYS.openLaunchpad]
+            [SHORTCUT_SETTING_KEYS.openLaunchpad]: SYNC_SETTINGS_DEFAULTS[SHORTCUT_SETTING_KEYS.openLaunchpad],
+            [SHORTCUT_SETTING_KEYS.switchWorkspace]: SYNC_SETTINGS_DEFAULTS[SHORTCUT_SETTING_KEYS.switchWorkspace]
         });
 
     }
@@ -110,10 +112,15 @@ export class LayoutManager extends DisposableComponent {
                 this._applyLaunchpadShowNames(changes.launchpadShowNames.newValue);
             }
 
-            if (changes[SHORTCUT_SETTING_KEYS.focusSearch] || changes[SHORTCUT_SETTING_KEYS.openLaunchpad]) {
+            if (
+                changes[SHORTCUT_SETTING_KEYS.focusSearch] ||
+                changes[SHORTCUT_SETTING_KEYS.openLaunchpad] ||
+                changes[SHORTCUT_SETTING_KEYS.switchWorkspace]
+            ) {
                 this._applyShortcutSettings({
                     [SHORTCUT_SETTING_KEYS.focusSearch]: changes[SHORTCUT_SETTING_KEYS.focusSearch]?.newValue,
-                    [SHORTCUT_SETTING_KEYS.openLaunchpad]: changes[SHORTCUT_SETTING_KEYS.openLaunchpad]?.newValue
+                    [SHORTCUT_SETTING_KEYS.openLaunchpad]: changes[SHORTCUT_SETTING_KEYS.openLaunchpad]?.newValue,
+                    [SHORTCUT_SETTING_KEYS.switchWorkspace]: changes[SHORTCUT_SETTING_KEYS.switchWorkspace]?.newValue
                 });
             }
 
@@ -157,6 +164,14 @@ export class LayoutManager extends DisposableComponent {
             return;
         }
 
+        if (matchesShortcutEvent(e, this._shortcuts.switchWorkspace)) {
+            if (this.checkOpenModals()) return;
+
+            e.preventDefault();
+            void workspaceSwitcher.switchToNext();
+            return;
+        }
+
         if (matchesShortcutEvent(e, this._shortcuts.focusSearch)) {
             e.preventDefault();
             this.toggleSearch(true, true, { focus: true });
@@ -178,6 +193,7 @@ export class LayoutManager extends DisposableComponent {
             launchpadShowNames: undefined,
             [SHORTCUT_SETTING_KEYS.focusSearch]: undefined,
             [SHORTCUT_SETTING_KEYS.openLaunchpad]: undefined,
+            [SHORTCUT_SETTING_KEYS.switchWorkspace]: undefined,
             backgroundSettings: undefined
         });
 
@@ -202,7 +218,9 @@ export class LayoutManager extends DisposableComponent {
             [SHORTCUT_SETTING_KEYS.focusSearch]:
                 settings[SHORTCUT_SETTING_KEYS.focusSearch] ?? this._shortcuts.focusSearch,
             [SHORTCUT_SETTING_KEYS.openLaunchpad]:
-                settings[SHORTCUT_SETTING_KEYS.openLaunchpad] ?? this._shortcuts.openLaunchpad
+                settings[SHORTCUT_SETTING_KEYS.openLaunchpad] ?? this._shortcuts.openLaunchpad,
+            [SHORTCUT_SETTING_KEYS.switchWorkspace]:
+                settings[SHORTCUT_SETTING_KEYS.switchWorkspace] ?? this._shortcuts.switchWorkspace
         });
         this._shortcuts = next;
     }
@@ -418,7 +436,9 @@ export class LayoutManager extends DisposableComponent {
                 }
 
                 const bgSettings = await getSyncSettings({ backgroundSettings: undefined });
-                const provider = bgSettings.backgroundSettings?.type || 'files';
+                const type = bgSettings.backgroundSettings?.type || 'files';
+                // Playlist backgrounds carry the provider they were picked from
+                const provider = type === 'playlist' ? (currentBg.provider || 'files') : type;
 
                 const thumbParamsByProvider = {
                     unsplash: '?w=300&q=70&auto=format',
@@ -498,7 +498,7 @@ export class PhotosWindow extends MacWindowBase {
                             ${ICONS.cloudOutline}
                             <span class="photos-header-btn-label" data-i18n="photosUploadBtn">Upload Images</span>
                         </button>
-                        <input type="file" id="photosUploadInput" accept="image/*" multiple style="display:none" />
+                        <input type="file" id="photosUploadInput" accept="image/*,video/mp4,video/webm" multiple style="display:none" />
                     </div>
                 </div>
                 <div class="mac-content-body photos-content-body">
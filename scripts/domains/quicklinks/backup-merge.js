@@ -0,0 +1,122 @@
+import { store } from './store.js';
+import { canonicalUrlKey, getCanonicalUrlAliases } from './link-health.js';
+import { isSameSmartRule } from './smart-folders.js';
+
+/**
+ * Merge quicklinks from a backup into the active workspace instead of replacing it.
+ * Links whose canonical URL already exists (anywhere, including folders) are skipped.
+ * New links land on a new page; backup folders are recreated with their subfolders, or
+ * filled when a top-level folder with the same title already exists. Smart folders are
+ * recreated unless one with the same rule exists.
+ *
+ * @param {Array<Object>} entries - Output of extractQuicklinks() from backup-restore-plan.js
+ * @param {Object} [targetStore] - Defaults to the shared quicklinks store
+ * @returns {Promise<{ added: number, skipped: number, folders: number }>}
+ */
+export async function mergeQuicklinksFromBackup(entries, targetStore = store) {
+    const aliases = await getCanonicalUrlAliases().catch(() => new Map());
+    const known = new Set();
+    for (const item of targetStore.getAllItemsFlat()) {
+        if (item?.url) known.add(canonicalUrlKey(item.url, aliases));
+    }
+
+    const links = [];
+    const folders = [];
+    let skipped = 0;
+    const take = (link) => {
+        const key = canonicalUrlKey(link?.url, aliases);
+        if (!key || known.has(key)) {
+            skipped++;
+            return -1;
+        }
+        known.add(key);
+        links.push({ title: link.title, url: link.url, icon: link.icon, tags: link.tags, createdAt: link.createdAt });
+        return links.length - 1;
+    };
+
+    // Members are link indexes or nested folders; folders left without new links are dropped
+    const collect = (entry) => {
+        const members = [];
+        for (const child of entry.children || []) {
+            if (child?.type === 'folder') {
+                if (child.smart) continue;
+                const sub = collect(child);
+                if (sub.members.length > 0) members.push({ folder: sub });
+            } else {
+                const index = take(child);
+                if (index >= 0) members.push({ index });
+            }
+        }
+        return { title: entry.title, members };
+    };
+
+    const smartFolders = [];
+    for (const entry of Array.isArray(entries) ? entries : []) {
+        if (entry?.type === 'folder' && entry.smart) {
+            smartFolders.push(entry);
+        } else if (entry?.type === 'folder') {
+            const folder = collect(entry);
+            if (folder.members.length > 0) folders.push(folder);
+        } else {
+            take(entry);
+        }
+    }
+
+    if (links.length === 0) {
+        return { added: 0, skipped, folders: await addSmartFolders(smartFolders, targetStore) };
+    }
+
+    const result = await targetStore.bulkAddItems([{ pageIndex: 0, items: links }]);
+    if (result?.status !== 'success') {
+        throw new Error(result?.errorCode || 'quicklinks_merge_failed');
+    }
+
+    const ids = result.items.map((item) => item._id);
+    let createdFolders = 0;
+    // Subfolders are created first, then taken in by their parent
+    const resolveMembers = async (folder) => {
+        const childIds = [];
+        for (const member of folder.members) {
+            if (member.folder) {
+                const sub = await targetStore.createFolder(String(member.folder.title || '').trim(), await resolveMembers(member.folder));
+                if (sub) {
+                    childIds.push(sub._id);
+                    createdFolders++;
+                }
+            } else if (ids[member.index]) {
+                childIds.push(ids[member.index]);
+            }
+        }
+        return childIds;
+    };
+    for (const folder of folders) {
+        const childIds = await resolveMembers(folder);
+        const title = String(folder.title || '').trim();
+        const existing = title
+            ? targetStore.getAllItems().find((item) => item?.type === 'folder' && !item.smart && item.title.trim().toLowerCase() === title.toLowerCase())
+            : null;
+        if (existing) {
+            // Children that do not fit stay on the new page
+            for (const id of childIds) {
+                await targetStore.addToFolder(existing._id, id);
+            }
+        } else {
+            await targetStore.createFolder(title, childIds);
+            createdFolders++;
+        }
+    }
+
+    createdFolders += await addSmartFolders(smartFolders, targetStore);
+
+    return { added: links.length, skipped, folders: createdFolders };
+}
+
+async function addSmartFolders(entries, targetStore) {
+    let created = 0;
+    for (const entry of entries) {
+        const exists = targetStore.getAllItems().some((item) => item?.smart && isSameSmartRule(item.smart, entry.smart));
+        if (exists) continue;
+        if (await targetStore.createSmartFolder(entry.title, entry.smart)) created++;
+    }
+    return created;
+}
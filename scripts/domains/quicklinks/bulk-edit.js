@@ -0,0 +1,95 @@
+/**
+ * Bulk edit planners for the link manager.
+ *
+ * Each planner turns a selection into the `updates` map of store.bulkEditItems() without
+ * writing anything, so the dialog can show a dry run first and apply it in one commit.
+ */
+
+import { store } from './store.js';
+
+/** Rows shown in the find-and-replace preview */
+export const PREVIEW_LIMIT = 20;
+
+function isLink(item) {
+    return Boolean(item?._id) && item.type !== 'folder' && !item.isSystemItem;
+}
+
+function splitTags(raw) {
+    const list = Array.isArray(raw) ? raw : String(raw || '').split(/[,，]/);
+    return [...new Set(list.map(tag => String(tag).trim()).filter(Boolean))];
+}
+
+/**
+ * Add and remove tags. Links that would go past MAX_TAGS_PER_ITEM keep their tags and are
+ * reported as skipped.
+ * @param {Array<Object>} items
+ * @param {{ add?: string[]|string, remove?: string[]|string }} edit
+ * @returns {{ updates: Record<string, { tags: string[] }>, skipped: string[] }}
+ */
+export function planTagEdit(items, { add = [], remove = [] } = {}) {
+    const maxTags = store.CONFIG.MAX_TAGS_PER_ITEM;
+    const toAdd = splitTags(add);
+    const toRemove = new Set(splitTags(remove));
+    const updates = {};
+    const skipped = [];
+
+    for (const item of items.filter(isLink)) {
+        const current = Array.isArray(item.tags) ? item.tags : [];
+        const next = current.filter(tag => !toRemove.has(tag));
+        for (const tag of toAdd) {
+            if (!next.includes(tag)) next.push(tag);
+        }
+        if (next.length > maxTags) {
+            skipped.push(item._id);
+            continue;
+        }
+        if (next.length !== current.length || next.some((tag, index) => tag !== current[index])) {
+            updates[item._id] = { tags: next };
+        }
+    }
+    return { updates, skipped };
+}
+
+/**
+ * @param {{ find: string, regex?: boolean, caseSensitive?: boolean }} options
+ * @returns {RegExp|null} Null for an empty or invalid pattern
+ */
+export function compileFindPattern({ find, regex = false, caseSensitive = false }) {
+    if (!find) return null;
+    const source = regex ? find : find.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    try {
+        return new RegExp(source, caseSensitive ? 'g' : 'gi');
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Dry run of a find-and-replace over URLs or titles. `replace` may use $1-style groups when
+ * `regex` is set. URL results the store would reject are listed but not applied.
+ * @param {Array<Object>} items
+ * @param {{ field?: 'url'|'title', find: string, replace?: string, regex?: boolean, caseSensitive?: boolean }} options
+ * @returns {{ error: 'invalid_pattern'|null, changes: Array<{ id: string, before: string, after: string, valid: boolean }>,
+ *   updates: Record<string, Object> }}
+ */
+export function planFindReplace(items, { field = 'url', find, replace = '', regex = false, caseSensitive = false }) {
+    const pattern = compileFindPattern({ find, regex, caseSensitive });
+    if (!pattern) {
+        return { error: find ? 'invalid_pattern' : null, changes: [], updates: {} };
+    }
+    const key = field === 'title' ? 'title' : 'url';
+    const replacement = regex ? replace : replace.replace(/\$/g, '$$$$');
+
+    const changes = [];
+    const updates = {};
+    for (const item of items.filter(isLink)) {
+        const before = String(item[key] || '');
+        pattern.lastIndex = 0;
+        const after = before.replace(pattern, replacement);
+        if (after === before) continue;
+        const valid = key === 'url' ? store.isUrlSafe(after) : after.trim() !== '';
+        changes.push({ id: item._id, before, after, valid });
+        if (valid) updates[item._id] = { [key]: after };
+    }
+    return { error: null, changes, updates };
+}
@@ -82,7 +82,7 @@ class ContextMenu {
 
         this.currentItem = item;
         this.callbacks = callbacks;
-        this.source = source === 'dock' ? 'dock' : 'launchpad';
+        this.source = source === 'dock' || source === 'dock-auto' ? source : 'launchpad';
 
         this._ensureContentContainer();
 
@@ -220,6 +220,8 @@ class ContextMenu {
             this.callbacks.onRemoveFromFolder(this.currentItem);
         } else if (action === 'createFolder' && this.callbacks?.onCreateFolder) {
             this.callbacks.onCreateFolder(this.currentItem);
+        } else if (action === 'updateUrl' && this.callbacks?.onUpdateUrl) {
+            this.callbacks.onUpdateUrl(this.currentItem);
         }
 
         this.close();
@@ -343,6 +345,12 @@ class ContextMenu {
                 <path d="M22 19a2 2 0 0 1-2 2H4a2 2 0 0 1-2-2V5a2 2 0 0 1 2-2h5l2 3h9a2 2 0 0 1 2 2z"/>
             </svg>
         `;
+        const ICON_REFRESH = `
+            <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+                <polyline points="23 4 23 10 17 10"/>
+                <path d="M20.49 15a9 9 0 1 1-2.12-9.36L23 10"/>
+            </svg>
+        `;
         const ICON_UNGROUP = `
             <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
                 <rect x="2" y="7" width="20" height="14" rx="2" ry="2"/>
@@ -352,18 +360,29 @@ class ContextMenu {
         `;
 
         // Folder context menu
+        if (isFolder && item.smart) {
+            // Members are computed, so there is nothing to dissolve and deleting keeps every link
+            return [
+                btn({ action: 'renameFolder', label: t('contextEditSmartFolder'), icon: ICON_EDIT }),
+                sep(),
+                btn({ action: 'deleteFolder', label: t('contextDeleteSmartFolder'), danger: true, icon: ICON_DELETE })
+            ].join('');
+        }
+
+        // Items inside a folder overlay — show "remove from folder" callback if provided
+        const hasRemoveFromFolder = typeof this.callbacks?.onRemoveFromFolder === 'function';
+
         if (isFolder) {
+            // Subfolders shown in a folder overlay can also move out one level
             return [
                 btn({ action: 'renameFolder', label: t('contextRenameFolder'), icon: ICON_EDIT }),
+                hasRemoveFromFolder ? btn({ action: 'removeFromFolder', label: t('contextMoveOutOfFolder'), icon: ICON_FOLDER }) : '',
                 sep(),
                 btn({ action: 'dissolveFolder', label: t('contextDissolveFolder'), icon: ICON_UNGROUP }),
                 btn({ action: 'deleteFolder', label: t('contextDeleteFolder'), danger: true, icon: ICON_DELETE })
             ].join('');
         }
 
-        // Items inside a folder overlay — show "remove from folder" callback if provided
-        const hasRemoveFromFolder = typeof this.callbacks?.onRemoveFromFolder === 'function';
-
         if (isSystemItem) {
             if (this.source === 'dock') {
                 return [btn({ action: 'removeFromDock', label: t('contextRemoveFromDock'), icon: ICON_X })].join('');
@@ -381,6 +400,16 @@ class ContextMenu {
             ].join('');
         }
 
+        // Dock slot filled from usage stats: not a pin yet
+        if (this.source === 'dock-auto') {
+            return [
+                btn({ action: 'addToDock', label: t('contextAddToDock'), disabled: !canPin, icon: ICON_PLUS }),
+                sep(),
+                btn({ action: 'edit', label: t('contextEdit'), icon: ICON_EDIT }),
+                btn({ action: 'delete', label: t('contextDeletePermanent'), danger: true, icon: ICON_DELETE })
+            ].join('');
+        }
+
         if (this.source === 'dock') {
             return [
                 btn({ action: 'removeFromDock', label: t('contextRemoveFromDock'), icon: ICON_X }),
@@ -402,11 +431,15 @@ class ContextMenu {
                 btn({ action: 'edit', label: t('contextEdit'), icon: ICON_EDIT })
             ];
 
+            if (typeof this.callbacks?.onUpdateUrl === 'function') {
+                items.push(btn({ action: 'updateUrl', label: t('contextUpdateUrl'), icon: ICON_REFRESH }));
+            }
+
             if (hasRemoveFromFolder) {
                 items.push(btn({ action: 'removeFromFolder', label: t('contextRemoveFromFolder'), icon: ICON_FOLDER }));
             }
 
-            if (!hasRemoveFromFolder && !isSystemItem) {
+            if (!hasRemoveFromFolder && !isSystemItem && typeof this.callbacks?.onCreateFolder === 'function') {
                 items.push(btn({ action: 'createFolder', label: t('contextCreateFolder'), icon: ICON_FOLDER }));
             }
 
@@ -75,6 +75,7 @@ class Dock extends DisposableComponent {
         this._deferredRenderPending = false;
         this._deferredRenderUnsub = null;
         this._renderedState = new Map();
+        this._autoFillIds = new Set();
     }
     init() {
         if (this.isDestroyed || this.isInitialized) return;
@@ -178,6 +179,9 @@ class Dock extends DisposableComponent {
             case 'dockChanged':
                 this._scheduleRender();
                 break;
+            case 'usageChanged':
+                if (store.settings.dockAutoFill) this._scheduleRender();
+                break;
         }
     }
     _scheduleRender() {
@@ -205,8 +209,8 @@ class Dock extends DisposableComponent {
         if (this._dragState?.isIdle) {
             this._cleanupLingeringFallback();
         }
-        const dockItems = store.getDockItems();
-        const newState = new Map(dockItems.map(item => [item._id, itemHash(item)]));
+        const dockItems = this._collectDockItems();
+        const newState = this._buildRenderedState(dockItems);
         const changes = this._computeChanges(newState, dockItems);
         if (changes.type === 'none') {
             return; // Nothing to do
@@ -219,6 +223,21 @@ class Dock extends DisposableComponent {
         this._renderedState = newState;
         this._scheduleMagnifierAnchorRefresh();
     }
+    /**
+     * Explicit pins first, then (when enabled) most used links filling the free slots.
+     */
+    _collectDockItems() {
+        const pinned = store.getDockItems();
+        const autoFill = store.settings.dockAutoFill ? store.getDockAutoFillItems() : [];
+        this._autoFillIds = new Set(autoFill.map(item => item._id));
+        return autoFill.length > 0 ? [...pinned, ...autoFill] : pinned;
+    }
+    _buildRenderedState(dockItems) {
+        return new Map(dockItems.map(item => [
+            item._id,
+            this._autoFillIds.has(item._id) ? `${itemHash(item)}|auto` : itemHash(item)
+        ]));
+    }
     _computeChanges(newState, dockItems) {
         const oldIds = [...this._renderedState.keys()];
         const newIds = [...newState.keys()];
@@ -293,10 +312,13 @@ class Dock extends DisposableComponent {
             if (!el) continue;
             updateQuicklinkTitle(el, item, 'quicklink');
             updateQuicklinkIcon(el, item, 'quicklink');
+            el.classList.toggle('is-auto-fill', this._autoFillIds.has(id));
         }
     }
     _createItemElement(item) {
-        return createQuicklinkItem(item, { classPrefix: 'quicklink', tagName: 'li' });
+        const el = createQuicklinkItem(item, { classPrefix: 'quicklink', tagName: 'li' });
+        if (this._autoFillIds.has(item._id)) el.classList.add('is-auto-fill');
+        return el;
     }
     async _initSortable() {
         if (!this.list || this.sortable || this.isDestroyed) return;
@@ -317,7 +339,7 @@ class Dock extends DisposableComponent {
                 animation: animationMs,
                 easing,
                 direction: 'horizontal',
-                draggable: '.quicklink-item',
+                draggable: '.quicklink-item:not(.is-auto-fill)',
                 ghostClass: 'sortable-ghost',
                 chosenClass: 'sortable-chosen',
                 dragClass: 'sortable-drag',
@@ -391,8 +413,7 @@ class Dock extends DisposableComponent {
                     }
                     this._timers.requestAnimationFrame('postDrag', () => {
                         this._cleanupLingeringFallback();
-                        const dockItems = store.getDockItems();
-                        this._renderedState = new Map(dockItems.map(i => [i._id, itemHash(i)]));
+                        this._renderedState = this._buildRenderedState(this._collectDockItems());
                     });
                 }
             });
@@ -496,7 +517,7 @@ class Dock extends DisposableComponent {
     }
     _syncOrderFromDom() {
         if (!this.list || this.isDestroyed) return;
-        const domOrder = Array.from(this.list.querySelectorAll('.quicklink-item'))
+        const domOrder = Array.from(this.list.querySelectorAll('.quicklink-item:not(.is-auto-fill)'))
             .map(item => item.dataset.id)
             .filter(Boolean);
         if (!domOrder.length) return;
@@ -825,6 +846,7 @@ class Dock extends DisposableComponent {
             toast(t('errorUnsafeUrl') || 'URL blocked for security reasons');
             return;
         }
+        store.recordLaunch(item._id).catch(() => { });
         if (store.settings.newTab) {
             window.open(safeUrl, '_blank', 'noopener,noreferrer');
         } else {
@@ -848,7 +870,17 @@ class Dock extends DisposableComponent {
         const id = itemEl.dataset.id;
         const item = store.getItem(id);
         if (!item) return;
-        const callbacks = {
+        const isAutoFill = itemEl.classList.contains('is-auto-fill');
+        const callbacks = isAutoFill ? {
+            onAddToDock: async () => {
+                const result = await store.pinToDock(id);
+                if (result?.ok) {
+                    toast(t('toastDockAdded'));
+                } else if (result?.reason === 'full') {
+                    toast(t('toastDockFull'));
+                }
+            }
+        } : {
             onRemoveFromDock: async () => {
                 await store.unpinFromDock(id);
                 toast(t('toastDockRemoved'));
@@ -863,7 +895,7 @@ class Dock extends DisposableComponent {
                 toast(t('toastItemDeleted'));
             };
         }
-        contextMenu.show(e, item, callbacks, 'dock');
+        contextMenu.show(e, item, callbacks, isAutoFill ? 'dock-auto' : 'dock');
     }
     show() {
         if (this.container) {
@@ -899,6 +931,7 @@ class Dock extends DisposableComponent {
         this._deferredRenderPending = false;
         this._cleanupLingeringFallback();
         this._renderedState.clear();
+        this._autoFillIds.clear();
         this._magnifierSprings.clear();
         this.container = null;
         this.list = null;
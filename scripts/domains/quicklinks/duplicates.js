@@ -0,0 +1,201 @@
+/**
+ * Duplicate finder for the link manager.
+ *
+ * Links are grouped by canonical URL (normalizeUrlForDeduplication, followed through known
+ * redirects), and optionally by same host plus a near-identical title. Folder children and
+ * Dock pins are included; merging goes through store.mergeItems() so one commit keeps the
+ * chosen title, icon and tags on one copy and moves any Dock pin onto it.
+ */
+
+import { extractHostname } from '../../shared/text.js';
+import { canonicalUrlKey } from './link-health.js';
+import { store } from './store.js';
+
+/** Bigram overlap (Dice) above which two titles on the same host count as the same link */
+const TITLE_SIMILARITY_THRESHOLD = 0.8;
+/** Shorter titles must match exactly; "Home" vs "Hose" is not a duplicate */
+const MIN_FUZZY_TITLE_LENGTH = 6;
+
+function isLink(item) {
+    return Boolean(item?._id) && item.type !== 'folder' && !item.isSystemItem && typeof item.url === 'string' && item.url !== '';
+}
+
+function normalizeTitle(title) {
+    return String(title || '')
+        .normalize('NFKC')
+        .toLowerCase()
+        .replace(/[^\p{L}\p{N}]+/gu, ' ')
+        .trim();
+}
+
+function bigrams(text) {
+    const compact = text.replace(/\s+/g, '');
+    const out = new Map();
+    for (let i = 0; i < compact.length - 1; i++) {
+        const gram = compact.slice(i, i + 2);
+        out.set(gram, (out.get(gram) || 0) + 1);
+    }
+    return out;
+}
+
+/**
+ * @param {string} a
+ * @param {string} b
+ * @returns {boolean}
+ */
+export function isSimilarTitle(a, b) {
+    const left = normalizeTitle(a);
+    const right = normalizeTitle(b);
+    if (!left || !right) return false;
+    if (left === right) return true;
+    if (left.length < MIN_FUZZY_TITLE_LENGTH || right.length < MIN_FUZZY_TITLE_LENGTH) return false;
+
+    const leftGrams = bigrams(left);
+    const rightGrams = bigrams(right);
+    let shared = 0;
+    let total = 0;
+    for (const count of leftGrams.values()) total += count;
+    for (const [gram, count] of rightGrams) {
+        total += count;
+        shared += Math.min(count, leftGrams.get(gram) || 0);
+    }
+    return total > 0 && (2 * shared) / total >= TITLE_SIMILARITY_THRESHOLD;
+}
+
+/**
+ * Group duplicate links. Pure apart from reading the items passed in.
+ * @param {Array<Object>} items - Usually store.getAllItemsFlat()
+ * @param {{ similarTitles?: boolean, aliases?: Map<string, string>|null }} [options]
+ * @returns {Array<{ key: string, reason: 'url'|'title', items: Array<Object> }>} Groups of two
+ *   or more, in layout order
+ */
+export function findDuplicateGroups(items, { similarTitles = false, aliases = null } = {}) {
+    const links = (Array.isArray(items) ? items : []).filter(isLink);
+    const parent = links.map((_, index) => index);
+    const find = (index) => {
+        while (parent[index] !== index) {
+            parent[index] = parent[parent[index]];
+            index = parent[index];
+        }
+        return index;
+    };
+    const union = (a, b) => {
+        const rootA = find(a);
+        const rootB = find(b);
+        // Keep the earliest link as the root so groups come out in layout order
+        if (rootA !== rootB) parent[Math.max(rootA, rootB)] = Math.min(rootA, rootB);
+    };
+
+    const keys = links.map(item => canonicalUrlKey(item.url, aliases));
+    const firstByKey = new Map();
+    keys.forEach((key, index) => {
+        if (!key) return;
+        if (firstByKey.has(key)) union(firstByKey.get(key), index);
+        else firstByKey.set(key, index);
+    });
+
+    if (similarTitles) {
+        const byHost = new Map();
+        links.forEach((item, index) => {
+            const host = extractHostname(item.url, { httpOnly: true });
+            if (!host) return;
+            if (!byHost.has(host)) byHost.set(host, []);
+            byHost.get(host).push(index);
+        });
+        for (const indexes of byHost.values()) {
+            for (let i = 0; i < indexes.length; i++) {
+                for (let j = i + 1; j < indexes.length; j++) {
+                    const a = indexes[i];
+                    const b = indexes[j];
+                    if (find(a) !== find(b) && isSimilarTitle(links[a].title, links[b].title)) union(a, b);
+                }
+            }
+        }
+    }
+
+    const groups = new Map();
+    links.forEach((item, index) => {
+        const root = find(index);
+        if (!groups.has(root)) groups.set(root, []);
+        groups.get(root).push(index);
+    });
+
+    const out = [];
+    for (const [root, indexes] of groups) {
+        if (indexes.length < 2) continue;
+        const sameUrl = indexes.every(index => keys[index] === keys[root]);
+        out.push({
+            key: keys[root],
+            reason: sameUrl ? 'url' : 'title',
+            items: indexes.map(index => links[index])
+        });
+    }
+    return out;
+}
+
+/**
+ * Where a copy lives. Folder children report the page of their folder.
+ * @param {{ _id: string }} item
+ * @param {Object} [targetStore]
+ * @returns {{ pageIndex: number|null, folder: string|null, pinned: boolean }}
+ */
+export function describeItemLocation(item, targetStore = store) {
+    const folder = targetStore.getFolderForItem(item._id);
+    const position = targetStore.getItemPosition(folder ? folder._id : item._id);
+    return {
+        pageIndex: position ? position.pageIndex : null,
+        folder: folder ? (folder.title || '') : null,
+        pinned: targetStore.isPinned(item._id)
+    };
+}
+
+/**
+ * Copy kept by default: a Dock pin, then a folder child (both were placed on purpose), then
+ * the oldest.
+ * @param {Array<Object>} items - One group's items
+ * @param {Object} [targetStore]
+ * @returns {Object}
+ */
+export function pickKeeper(items, targetStore = store) {
+    const rank = (item) => {
+        if (targetStore.isPinned(item._id)) return 0;
+        return targetStore.getFolderForItem(item._id) ? 1 : 2;
+    };
+    return items.slice().sort((a, b) => rank(a) - rank(b) || (a.createdAt || 0) - (b.createdAt || 0))[0];
+}
+
+/**
+ * Default merge result: the keeper's title and icon (the first non-empty icon when it has
+ * none) and the tags of every copy.
+ * @param {Array<Object>} items
+ * @param {Object} keeper
+ * @returns {{ title: string, icon: string, tags: string[] }}
+ */
+export function getMergeDefaults(items, keeper) {
+    const tags = [];
+    for (const item of [keeper, ...items]) {
+        for (const tag of item.tags || []) {
+            if (!tags.includes(tag)) tags.push(tag);
+        }
+    }
+    return {
+        title: keeper.title || '',
+        icon: keeper.icon || items.find(item => item.icon)?.icon || '',
+        tags
+    };
+}
+
+/**
+ * Merge one group into `keepId`.
+ * @param {Array<Object>} items - One group's items
+ * @param {string} keepId
+ * @param {{ title?: string, icon?: string, tags?: string[] }} [choices] - Defaults to getMergeDefaults()
+ * @param {Object} [targetStore]
+ */
+export async function mergeDuplicateGroup(items, keepId, choices = null, targetStore = store) {
+    const keeper = items.find(item => item._id === keepId);
+    if (!keeper) return null;
+    const updates = { ...getMergeDefaults(items, keeper), ...(choices || {}) };
+    const others = items.filter(item => item._id !== keepId).map(item => item._id);
+    return targetStore.mergeItems(keepId, others, updates);
+}
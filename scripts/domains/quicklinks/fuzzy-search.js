@@ -0,0 +1,234 @@
+/**
+ * Fuzzy matching for Quicklinks search
+ *
+ * Scores a query against a piece of text in the range [0, 1]:
+ * exact > prefix > word-start > substring > acronym > subsequence > typo.
+ * Acronyms treat every CJK character as its own word and map it to its
+ * pinyin initial, so "gd" finds "Google Drive" and "ydyp" finds "云端硬盘".
+ */
+
+export const DEFAULT_FUZZY_THRESHOLD = 0.5;
+
+const SCORE = Object.freeze({
+    exact: 1,
+    prefix: 0.95,
+    wordStart: 0.9,
+    substring: 0.8,
+    acronymPrefix: 0.85,
+    acronym: 0.75,
+    subsequenceBase: 0.3,
+    subsequenceRange: 0.4,
+    typo: 0.65,
+    typoStep: 0.1
+});
+
+const MIN_FUZZY_LENGTH = 2;
+const MAX_TYPO_WORD_LENGTH = 32;
+const KEY_CACHE_LIMIT = 2000;
+
+const CJK_RE = /[\u3400-\u9fff\uf900-\ufaff]/;
+const WORD_SPLIT_RE = /[\s\-_./:?#&=+,;|()[\]{}'"!@~*]+/;
+
+// Collation boundaries: the first character (in pinyin order) of each initial
+const PINYIN_BOUNDARIES = '阿八嚓哒妸发旮哈讥咔垃痳拏噢妑七呥扨它穵夕丫帀';
+const PINYIN_LETTERS = 'abcdefghjklmnopqrstwxyz';
+
+let pinyinCollator = null;
+const pinyinCache = new Map();
+const keyCache = new Map();
+
+function getPinyinCollator() {
+    if (pinyinCollator === null) {
+        try {
+            pinyinCollator = new Intl.Collator('zh-Hans-CN-u-co-pinyin');
+        } catch {
+            pinyinCollator = false;
+        }
+    }
+    return pinyinCollator;
+}
+
+/**
+ * Pinyin initial of a single CJK character ('' when unknown).
+ * @param {string} char
+ * @returns {string}
+ */
+export function getPinyinInitial(char) {
+    if (!char || !CJK_RE.test(char)) return '';
+    const cached = pinyinCache.get(char);
+    if (cached !== undefined) return cached;
+
+    const collator = getPinyinCollator();
+    let initial = '';
+    if (collator) {
+        for (let i = 0; i < PINYIN_BOUNDARIES.length; i++) {
+            if (collator.compare(char, PINYIN_BOUNDARIES[i]) < 0) break;
+            initial = PINYIN_LETTERS[i];
+        }
+    }
+    pinyinCache.set(char, initial);
+    return initial;
+}
+
+function splitWords(text) {
+    // "GitHub" -> "Git Hub", "myApp2" -> "my App2"
+    const spaced = text.replace(/([a-z\d])([A-Z])/g, '$1 $2');
+    const words = [];
+    for (const part of spaced.split(WORD_SPLIT_RE)) {
+        if (!part) continue;
+        let buffer = '';
+        for (const char of part) {
+            if (CJK_RE.test(char)) {
+                if (buffer) words.push(buffer);
+                buffer = '';
+                words.push(char);
+            } else {
+                buffer += char;
+            }
+        }
+        if (buffer) words.push(buffer);
+    }
+    return words.map((w) => w.toLowerCase());
+}
+
+/**
+ * Precomputed matching keys for a piece of text (memoized).
+ * @param {string} text
+ * @returns {{ text: string, words: string[], acronym: string }}
+ */
+export function getMatchKeys(text) {
+    const source = typeof text === 'string' ? text : '';
+    const cached = keyCache.get(source);
+    if (cached) return cached;
+
+    const words = splitWords(source);
+    let acronym = '';
+    for (const word of words) {
+        acronym += CJK_RE.test(word) ? getPinyinInitial(word) : word.charAt(0);
+    }
+
+    const keys = { text: source.toLowerCase(), words, acronym };
+    if (keyCache.size >= KEY_CACHE_LIMIT) keyCache.clear();
+    keyCache.set(source, keys);
+    return keys;
+}
+
+function scoreSubsequence(query, text) {
+    let first = -1;
+    let last = -1;
+    let qi = 0;
+    for (let i = 0; i < text.length && qi < query.length; i++) {
+        if (text[i] === query[qi]) {
+            if (first === -1) first = i;
+            last = i;
+            qi++;
+        }
+    }
+    if (qi < query.length) return 0;
+    const span = last - first + 1;
+    return SCORE.subsequenceBase + SCORE.subsequenceRange * (query.length / span);
+}
+
+// Optimal string alignment distance (Levenshtein + adjacent transpositions)
+function editDistance(a, b, max) {
+    if (Math.abs(a.length - b.length) > max) return max + 1;
+    let prevPrev = null;
+    let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+        const row = [i];
+        let rowMin = i;
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            let value = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + cost);
+            if (prevPrev && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                value = Math.min(value, prevPrev[j - 2] + 1);
+            }
+            row.push(value);
+            if (value < rowMin) rowMin = value;
+        }
+        if (rowMin > max) return max + 1;
+        prevPrev = prev;
+        prev = row;
+    }
+    return prev[b.length];
+}
+
+function scoreTypo(query, words) {
+    const allowed = query.length >= 8 ? 2 : query.length >= 4 ? 1 : 0;
+    if (allowed === 0) return 0;
+
+    let best = allowed + 1;
+    for (const word of words) {
+        if (word.length > MAX_TYPO_WORD_LENGTH || word.length < query.length - allowed) continue;
+        // Compare against the whole word and against a same-length prefix (typo while still typing)
+        best = Math.min(
+            best,
+            editDistance(query, word, allowed),
+            editDistance(query, word.slice(0, query.length), allowed)
+        );
+        if (best === 1) break;
+    }
+    return best <= allowed ? SCORE.typo - SCORE.typoStep * (best - 1) : 0;
+}
+
+/**
+ * Score a single (lower-cased, trimmed) query term against text.
+ * @param {string} query
+ * @param {string} text
+ * @param {{ fuzzy?: boolean }} [options] - `fuzzy: false` limits matching to substrings (used for URLs)
+ * @returns {number} 0 when there is no match
+ */
+export function scoreText(query, text, options = {}) {
+    if (!query || !text) return 0;
+    const { fuzzy = true } = options;
+    const keys = getMatchKeys(text);
+    const haystack = keys.text;
+
+    if (haystack === query) return SCORE.exact;
+    if (haystack.startsWith(query)) return SCORE.prefix;
+
+    if (haystack.includes(query)) {
+        return keys.words.some((word) => word.startsWith(query)) ? SCORE.wordStart : SCORE.substring;
+    }
+    if (!fuzzy || query.length < MIN_FUZZY_LENGTH) return 0;
+
+    if (keys.words.length > 1) {
+        if (keys.acronym.startsWith(query)) return SCORE.acronymPrefix;
+        if (keys.acronym.includes(query)) return SCORE.acronym;
+    }
+
+    return Math.max(scoreSubsequence(query, haystack), scoreTypo(query, [haystack, ...keys.words]));
+}
+
+/**
+ * Score a possibly multi-word query: the whole query is tried first, then
+ * every whitespace-separated term must match on its own (weakest term wins).
+ * @param {string} query - lower-cased, trimmed
+ * @param {string} text
+ * @param {{ fuzzy?: boolean }} [options]
+ * @returns {number}
+ */
+export function scoreQuery(query, text, options = {}) {
+    const whole = scoreText(query, text, options);
+    const terms = query.split(/\s+/).filter(Boolean);
+    if (terms.length < 2 || whole >= SCORE.substring) return whole;
+
+    let weakest = 1;
+    for (const term of terms) {
+        const score = scoreText(term, text, options);
+        if (score === 0) return whole;
+        weakest = Math.min(weakest, score);
+    }
+    return Math.max(whole, weakest * SCORE.prefix);
+}
+
+/**
+ * Small additive boost from launch statistics so frequently used links win ties.
+ * @param {{ count?: number } | null | undefined} usage
+ * @returns {number} in [0, 0.1]
+ */
+export function getUsageBoost(usage) {
+    const count = Number(usage?.count) || 0;
+    if (count <= 0) return 0;
+    return Math.min(0.1, Math.log10(1 + count) * 0.05);
+}
@@ -4,6 +4,7 @@ import { toast } from '../../shared/toast.js';
 import { dock } from './dock.js';
 import { launchpad } from './launchpad.js';
 import { contextMenu } from './context-menu.js';
+import { workspaceSwitcher } from './workspace-switcher.js';
 import { t } from '../../platform/i18n.js';
 import { buildIconCacheKey, getFaviconUrlCandidates, setImageSrcWithFallback } from '../../shared/favicon.js';
 import { modalLayer } from '../../platform/modal-layer.js';
@@ -48,6 +49,7 @@ class QuickLinksApp extends DisposableComponent {
         contextMenu.init();
         dock.init();
         await launchpad.init();
+        workspaceSwitcher.init();
 
         this._bindDialogElements();
         this._bindDialogEvents();
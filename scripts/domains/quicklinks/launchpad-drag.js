@@ -540,7 +540,7 @@ export const launchpadDragMethods = {
     _detectFolderDropTarget(x, y) {
         if (!this._currentDraggedId) return;
 
-        // System items and folders cannot be dragged into another folder
+        // System items cannot be dragged into a folder
         const draggedItem = store.getItem(this._currentDraggedId);
         if (!draggedItem || draggedItem.isSystemItem) {
             this._resetFolderMergeHover();
@@ -578,8 +578,9 @@ export const launchpadDragMethods = {
             return;
         }
 
-        // Folder-into-folder is not allowed
-        if (draggedItem.type === 'folder' && targetItem.type === 'folder') {
+        // Smart folders fill themselves from their rule; a folder may go into another
+        // folder unless that creates a cycle or nests too deep
+        if (targetItem.type === 'folder' && !store.canMoveIntoFolder(draggedItem._id, targetId)) {
             this._resetFolderMergeHover();
             return;
         }
@@ -6,6 +6,7 @@ import {
     createIconElement,
     getIconInitial
 } from './icon-renderer.js';
+import { USAGE_FOLDER_ID } from './launchpad-usage.js';
 
 const FOLDER_OVERLAY_MODAL_ID = 'launchpad-folder-overlay';
 const FOLDER_ROWS_PER_PAGE = 3;
@@ -80,6 +81,7 @@ function createFolderElement(folder) {
     el.className = 'launchpad-item launchpad-folder';
     el.dataset.id = folder._id;
     el.dataset.type = 'folder';
+    if (folder.smart) el.dataset.smart = folder.smart.type;
     el.tabIndex = 0;
 
     el.appendChild(createFolderGridIcon(folder, 'launchpad'));
@@ -112,7 +114,7 @@ function updateFolderElement(el, folder) {
 
 export const launchpadFolderMethods = {
     _createFolderElement(item) {
-        return createFolderElement(item);
+        return createFolderElement(this._withSmartChildren(item));
     },
 
     /**
@@ -171,6 +173,14 @@ export const launchpadFolderMethods = {
         });
     },
 
+    /**
+     * Resolve a stored folder with smart folder members filled in, or the virtual usage folder
+     */
+    _resolveOverlayFolder(folderId) {
+        if (folderId === USAGE_FOLDER_ID) return this._getUsageFolder();
+        return this._withSmartChildren(store.getItem(folderId));
+    },
+
     _getFolderPageSizeFromOverlay(overlay) {
         const n = Number.parseInt(String(overlay?.dataset?.pageSize || ''), 10);
         return Number.isFinite(n) && n > 0 ? n : store.CONFIG.MAX_FOLDER_CHILDREN;
@@ -184,7 +194,7 @@ export const launchpadFolderMethods = {
 
         this._folderGridDirty = false;
         this._folderGridNeedsFullRerender = false;
-        const folder = store.getItem(folderId);
+        const folder = this._resolveOverlayFolder(folderId);
         if (!folder || folder.type !== 'folder') return;
 
         this._state.openFolderId = folderId;
@@ -224,7 +234,7 @@ export const launchpadFolderMethods = {
 
         requestAnimationFrame(() => {
             overlay.classList.add('active');
-            const titleInput = overlay.querySelector('.launchpad-folder-title-input');
+            const titleInput = overlay.querySelector('.launchpad-folder-title-input, .launchpad-usage-tab.active');
             requestAnimationFrame(() => {
                 titleInput?.focus?.({ preventScroll: true });
             });
@@ -250,34 +260,9 @@ export const launchpadFolderMethods = {
         const panel = document.createElement('div');
         panel.className = 'launchpad-folder-panel';
 
-        // Editable title
-        const titleInput = document.createElement('input');
-        titleInput.type = 'text';
-        titleInput.className = 'launchpad-folder-title-input';
-        titleInput.value = folder.title || '';
-        titleInput.placeholder = t('folderDefaultName');
-        titleInput.maxLength = store.CONFIG.MAX_FOLDER_TITLE_LENGTH;
-        titleInput.id = 'launchpad-folder-title-input';
-
         overlay.setAttribute('role', 'dialog');
         overlay.setAttribute('aria-modal', 'true');
-        overlay.setAttribute('aria-label', t('folders'));
-        titleInput.setAttribute('aria-label', t('folderTitleField'));
-
-        titleInput.addEventListener('blur', () => {
-            const newTitle = titleInput.value.trim();
-            if (newTitle !== folder.title) {
-                store.renameFolder(folder._id, newTitle).catch(err => {
-                    console.warn('[Launchpad] Folder rename failed:', err);
-                });
-            }
-        });
-        titleInput.addEventListener('keydown', (e) => {
-            if (e.key === 'Enter') {
-                e.preventDefault();
-                titleInput.blur();
-            }
-        });
+        overlay.setAttribute('aria-label', folder.virtual ? folder.title : t('folders'));
 
         // Resolve children and grid params from launchpad settings
         const children = Array.isArray(folder.children) ? folder.children : [];
@@ -301,10 +286,15 @@ export const launchpadFolderMethods = {
 
         pagesWrapper.appendChild(pagesContainer);
 
-        panel.appendChild(titleInput);
+        panel.appendChild(this._createFolderHeader(folder));
         panel.appendChild(pagesWrapper);
         overlay.appendChild(panel);
         this._renderFolderIndicator(overlay, totalPages, 0);
+        if (folder.virtual) {
+            this._syncUsageFolderEmptyState(overlay, children.length === 0);
+        } else if (folder.smart) {
+            this._syncSmartFolderEmptyState(overlay, children.length === 0);
+        }
 
         // Click outside panel → close
         overlay.addEventListener('click', (e) => {
@@ -332,6 +322,130 @@ export const launchpadFolderMethods = {
         return overlay;
     },
 
+    _createFolderHeader(folder) {
+        if (folder.virtual) return this._createUsageFolderHeader(folder);
+
+        const header = document.createElement('div');
+        header.className = 'launchpad-folder-header';
+        const breadcrumbs = this._createFolderBreadcrumbs(folder._id);
+        if (breadcrumbs) header.appendChild(breadcrumbs);
+        header.appendChild(this._createFolderTitleInput(folder));
+        if (folder.smart) {
+            header.appendChild(this._createSmartFolderQueryInput(folder));
+        }
+        return header;
+    },
+
+    /**
+     * Path from the top-level folder down to a subfolder; null for a top-level folder
+     */
+    _createFolderBreadcrumbs(folderId) {
+        const path = store.getFolderPath(folderId);
+        if (path.length < 2) return null;
+
+        const nav = document.createElement('nav');
+        nav.className = 'launchpad-folder-breadcrumbs';
+        nav.setAttribute('aria-label', t('folderBreadcrumbs'));
+
+        path.forEach((ancestor, index) => {
+            if (index > 0) {
+                const separator = document.createElement('span');
+                separator.className = 'launchpad-folder-crumb-separator';
+                separator.setAttribute('aria-hidden', 'true');
+                separator.textContent = '›';
+                nav.appendChild(separator);
+            }
+            const crumb = document.createElement('button');
+            crumb.type = 'button';
+            crumb.className = 'launchpad-folder-crumb';
+            crumb.dataset.id = ancestor._id;
+            crumb.textContent = ancestor.title || t('folderDefaultName');
+            if (index === path.length - 1) {
+                crumb.setAttribute('aria-current', 'location');
+            } else {
+                crumb.addEventListener('click', (e) => {
+                    e.stopPropagation();
+                    this._navigateFolderOverlay(ancestor._id);
+                });
+            }
+            nav.appendChild(crumb);
+        });
+
+        return nav;
+    },
+
+    _syncFolderBreadcrumbs(overlay, folderId) {
+        const header = overlay?.querySelector('.launchpad-folder-header');
+        if (!header) return;
+        const next = this._createFolderBreadcrumbs(folderId);
+        const current = header.querySelector('.launchpad-folder-breadcrumbs');
+        if (current && next) {
+            current.replaceWith(next);
+        } else if (current) {
+            current.remove();
+        } else if (next) {
+            header.prepend(next);
+        }
+    },
+
+    /**
+     * Show another folder in the open overlay (a subfolder or a breadcrumb ancestor)
+     */
+    _navigateFolderOverlay(folderId) {
+        const overlay = document.querySelector('.launchpad-folder-overlay');
+        const folder = this._resolveOverlayFolder(folderId);
+        if (!overlay || !folder || folder.type !== 'folder' || folder.virtual) return;
+
+        this._resetFolderDragSession();
+        this._destroyFolderOverlaySortable(overlay);
+
+        overlay.dataset.folderId = folderId;
+        this._state.openFolderId = folderId;
+        this._state.folderCurrentPage = 0;
+        overlay.querySelector('.launchpad-folder-header')?.replaceWith(this._createFolderHeader(folder));
+        this._refreshFolderOverlay(folderId);
+
+        overlay.querySelector('.launchpad-folder-title-input')?.focus({ preventScroll: true });
+    },
+
+    /**
+     * Grid tile standing for a folder: the folder itself, or its top-level ancestor
+     */
+    _getFolderTileId(folderId) {
+        return store.getFolderPath(folderId)[0]?._id || folderId;
+    },
+
+    /**
+     * Editable folder title
+     */
+    _createFolderTitleInput(folder) {
+        const titleInput = document.createElement('input');
+        titleInput.type = 'text';
+        titleInput.className = 'launchpad-folder-title-input';
+        titleInput.value = folder.title || '';
+        titleInput.placeholder = t('folderDefaultName');
+        titleInput.maxLength = store.CONFIG.MAX_FOLDER_TITLE_LENGTH;
+        titleInput.id = 'launchpad-folder-title-input';
+        titleInput.setAttribute('aria-label', t('folderTitleField'));
+
+        titleInput.addEventListener('blur', () => {
+            const newTitle = titleInput.value.trim();
+            if (newTitle !== folder.title) {
+                store.renameFolder(folder._id, newTitle).catch(err => {
+                    console.warn('[Launchpad] Folder rename failed:', err);
+                });
+            }
+        });
+        titleInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                titleInput.blur();
+            }
+        });
+
+        return titleInput;
+    },
+
     /**
      * Build a single folder page content grid
      */
@@ -343,21 +457,37 @@ export const launchpadFolderMethods = {
 
         for (const childId of pageChildren) {
             const child = store.getItem(childId);
-            if (!child || child.type === 'folder') continue;
+            if (!child) continue;
+            if (child.type === 'folder') {
+                content.appendChild(this._createFolderElement(child));
+                continue;
+            }
             const itemEl = createLaunchpadItem(child, { classPrefix: 'launchpad', tagName: 'div', tabIndex: true });
-            content.appendChild(itemEl);
+            content.appendChild(this._decorateItemTags(this._decorateLinkHealth(itemEl, child), child));
         }
 
         // Delegate click
         content.addEventListener('click', (e) => {
+            const tagEl = e.target.closest('.launchpad-item-tag');
+            if (tagEl?.dataset.tag) {
+                e.preventDefault();
+                e.stopPropagation();
+                this._closeFolderOverlay();
+                this._triggerTagSearch(tagEl.dataset.tag);
+                return;
+            }
+
             const itemEl = e.target.closest('.launchpad-item');
             if (!itemEl) return;
+            if (e.target.closest('.launchpad-item-tags')) return;
             e.preventDefault();
             e.stopPropagation();
 
             const id = itemEl.dataset.id;
             const item = store.getItem(id);
-            if (item) {
+            if (item?.type === 'folder') {
+                this._navigateFolderOverlay(id);
+            } else if (item) {
                 this._closeFolderOverlay();
                 this._handleItemClick(item);
             }
@@ -375,7 +505,15 @@ export const launchpadFolderMethods = {
             if (!item) return;
 
             const { contextMenu } = this._getFolderContextMenuDeps();
-            const callbacks = this._buildFolderChildContextCallbacks(folderId, id, item);
+            // Computed folders cannot lose a child, so no "remove from folder"
+            let callbacks;
+            if (item.type === 'folder') {
+                callbacks = this._buildSubfolderContextCallbacks(folderId, id);
+            } else if (folderId === USAGE_FOLDER_ID || store.isSmartFolder(folderId)) {
+                callbacks = this._buildUsageChildContextCallbacks(id, item);
+            } else {
+                callbacks = this._buildFolderChildContextCallbacks(folderId, id, item);
+            }
             contextMenu.show(e, item, callbacks, 'launchpad');
         });
 
@@ -820,7 +958,7 @@ export const launchpadFolderMethods = {
     },
 
     _buildFolderChildContextCallbacks(folderId, itemId, item) {
-        return {
+        return this._addLinkHealthCallbacks({
             onAddToDock: async () => {
                 await store.pinToDock(itemId);
             },
@@ -838,6 +976,23 @@ export const launchpadFolderMethods = {
             onRemoveFromFolder: async () => {
                 await store.removeFromFolder(folderId, itemId);
             }
+        }, item);
+    },
+
+    _buildSubfolderContextCallbacks(parentId, folderId) {
+        return {
+            onRenameFolder: () => {
+                this._navigateFolderOverlay(folderId);
+            },
+            onDissolveFolder: async () => {
+                await store.deleteFolder(folderId, false);
+            },
+            onDeleteFolder: async () => {
+                await store.deleteFolder(folderId, true);
+            },
+            onRemoveFromFolder: async () => {
+                await store.removeFromFolder(parentId, folderId);
+            }
         };
     },
 
@@ -852,7 +1007,7 @@ export const launchpadFolderMethods = {
         const overlay = document.querySelector(`.launchpad-folder-overlay[data-folder-id="${folderId}"]`);
         if (!overlay) return;
 
-        const folder = store.getItem(folderId);
+        const folder = this._resolveOverlayFolder(folderId);
         if (!folder || folder.type !== 'folder') {
             this._closeFolderOverlay();
             this._rerenderPages();
@@ -887,6 +1042,12 @@ export const launchpadFolderMethods = {
         }
         this._renderFolderIndicator(overlay, totalPages, currentPage);
         this._updateFolderPageDataAttributes(overlay);
+        this._syncFolderBreadcrumbs(overlay, folderId);
+        if (folder.virtual) {
+            this._syncUsageFolderEmptyState(overlay, children.length === 0);
+        } else if (folder.smart) {
+            this._syncSmartFolderEmptyState(overlay, children.length === 0);
+        }
 
         this._initFolderOverlaySortable(overlay, folderId);
         this._getFolderSortableManager().preload().then((isReady) => {
@@ -925,7 +1086,7 @@ export const launchpadFolderMethods = {
         const folderId = this._state.openFolderId;
         if (folderId) {
             const folderEl = this._dom.pagesContainer?.querySelector(
-                `.launchpad-folder[data-id="${folderId}"]`
+                `.launchpad-folder[data-id="${this._getFolderTileId(folderId)}"]`
             );
             const iconEl = folderEl?.querySelector('.launchpad-folder-icon');
             const iconRect = iconEl?.getBoundingClientRect();
@@ -959,10 +1120,11 @@ export const launchpadFolderMethods = {
 
     _updateFolderElementInGrid(folderId) {
         if (!this._dom.pagesContainer) return;
-        const el = this._dom.pagesContainer.querySelector(`.launchpad-folder[data-id="${folderId}"]`);
-        const folder = store.getItem(folderId);
+        const tileId = this._getFolderTileId(folderId);
+        const el = this._dom.pagesContainer.querySelector(`.launchpad-folder[data-id="${tileId}"]`);
+        const folder = store.getItem(tileId);
         if (el && folder) {
-            updateFolderElement(el, folder);
+            updateFolderElement(el, this._withSmartChildren(folder));
         }
     },
 
@@ -972,6 +1134,8 @@ export const launchpadFolderMethods = {
     _initFolderOverlaySortable(overlay, folderId) {
         const sortableManager = this._getFolderSortableManager();
         if (!sortableManager.isReady || this._state.isDestroyed) return;
+        // The usage folder and smart folders are computed, so their order cannot be edited
+        if (folderId === USAGE_FOLDER_ID || store.isSmartFolder(folderId)) return;
 
         const pages = overlay.querySelectorAll('.launchpad-folder-content');
         for (const page of pages) {
@@ -999,6 +1163,7 @@ export const launchpadFolderMethods = {
                     if (Array.isArray(folder.children) && folder.children.includes(dragEl?.dataset?.id)) {
                         return true;
                     }
+                    if (!store.canMoveIntoFolder(dragEl?.dataset?.id, folderId)) return false;
                     return Array.isArray(folder.children) && folder.children.length < store.CONFIG.MAX_FOLDER_CHILDREN;
                 }
             },
@@ -1042,7 +1207,8 @@ export const launchpadFolderMethods = {
         const toPage = evt.to?.closest('.launchpad-page');
 
         if (fromFolder && !toFolder && toPage) {
-            await store.removeFromFolder(folderId, itemId);
+            // Dropped on the grid: straight to the top level, even from a subfolder
+            await store.removeFromFolder(folderId, itemId, { toTopLevel: true });
             return;
         }
 
@@ -1073,6 +1239,8 @@ export const launchpadFolderMethods = {
             }
             if (this._state.openFolderId) {
                 this._markFolderGridDirty({ fullRerender: true });
+                // A subfolder of the open folder may have been dissolved or deleted
+                this._refreshFolderOverlay(this._state.openFolderId);
                 return;
             }
             this._rerenderPages();
@@ -1081,7 +1249,10 @@ export const launchpadFolderMethods = {
         if (event === 'folderChanged') {
             const folderId = data?.folderId;
             const action = data?.action;
-            const isOpenFolder = this._state.openFolderId === folderId;
+            const openId = this._state.openFolderId;
+            // The open overlay shows the folder itself or, for a subfolder, its tile
+            const isOpenFolder = Boolean(openId)
+                && (openId === folderId || store.getFolderForItem(folderId)?._id === openId);
             const needsGridRerender = action === 'addChild' || action === 'removeChild' || !action;
             const needsOverlayRefresh = isOpenFolder && action !== 'reorder';
 
@@ -1093,10 +1264,10 @@ export const launchpadFolderMethods = {
             }
 
             if (this._state.openFolderId) {
-                const shouldRerender = needsGridRerender || this._state.openFolderId !== folderId;
+                const shouldRerender = needsGridRerender || openId !== folderId;
                 this._markFolderGridDirty({ fullRerender: shouldRerender });
                 if (needsOverlayRefresh) {
-                    this._refreshFolderOverlay(folderId);
+                    this._refreshFolderOverlay(openId);
                 }
                 return;
             }
@@ -79,6 +79,8 @@ export const launchpadGridMethods = {
 
         updateLaunchpadTitle(itemEl, item, 'launchpad');
         updateLaunchpadIcon(itemEl, item, 'launchpad');
+        this._decorateLinkHealth(itemEl, item);
+        if (container === this._dom.pagesContainer) this._decorateItemTags(itemEl, item);
     },
 
     _deleteItemIncremental(itemId) {
@@ -223,7 +225,8 @@ export const launchpadGridMethods = {
     _createItemElement(item) {
         // Folder items use dedicated renderer from launchpad-folder mixin
         if (item.type === 'folder') return this._createFolderElement(item);
-        return createLaunchpadItem(item, { classPrefix: 'launchpad', tagName: 'div', tabIndex: true });
+        const el = createLaunchpadItem(item, { classPrefix: 'launchpad', tagName: 'div', tabIndex: true });
+        return this._decorateItemTags(this._decorateLinkHealth(el, item), item);
     },
 
     _rerenderPages() {
@@ -0,0 +1,74 @@
+import { t } from '../../platform/i18n.js';
+import { toast } from '../../shared/toast.js';
+import { applyLinkRedirects, getCachedItemHealth, getLinkHealthBadge, watchLinkHealth } from './link-health.js';
+import { store } from './store.js';
+
+const BADGE_TITLE_KEYS = Object.freeze({
+    invalid: 'linkHealthInvalid',
+    suspicious: 'linkHealthSuspicious',
+    redirected: 'linkHealthRedirected'
+});
+
+export const launchpadHealthMethods = {
+    _setupLinkHealth() {
+        this._unwatchLinkHealth?.();
+        this._unwatchLinkHealth = watchLinkHealth(() => {
+            this._refreshLinkHealthBadges();
+            this._refreshSmartFolders();
+        });
+    },
+
+    _teardownLinkHealth() {
+        this._unwatchLinkHealth?.();
+        this._unwatchLinkHealth = null;
+    },
+
+    /**
+     * Mark an item element with its dead-link check result (badge drawn in CSS)
+     */
+    _decorateLinkHealth(el, item) {
+        const badge = getLinkHealthBadge(getCachedItemHealth(item));
+        if (badge) {
+            el.dataset.health = badge;
+            el.title = t(BADGE_TITLE_KEYS[badge]);
+        } else if (el.dataset.health) {
+            delete el.dataset.health;
+            el.removeAttribute('title');
+        }
+        return el;
+    },
+
+    /**
+     * Offer "update to new address" in the context menu of a redirected link
+     */
+    _addLinkHealthCallbacks(callbacks, item) {
+        if (getLinkHealthBadge(getCachedItemHealth(item)) !== 'redirected') return callbacks;
+        callbacks.onUpdateUrl = async () => {
+            try {
+                const { updated, undo } = await applyLinkRedirects([item._id]);
+                toast(t('linkManagerRedirectsUpdated', { count: updated }), undo ? {
+                    action: { label: t('linkManagerUndo'), onClick: () => store.restoreBulkEdit(undo) }
+                } : {});
+            } catch (error) {
+                console.error('[Launchpad] Failed to update redirected link:', error);
+                toast(t('linkManagerRedirectsFailed'));
+            }
+        };
+        return callbacks;
+    },
+
+    _refreshLinkHealthBadges() {
+        if (this._state.isDestroyed || !this._state.isOpen) return;
+        const roots = [this._dom.overlay, ...document.querySelectorAll('.launchpad-folder-overlay')].filter(Boolean);
+        for (const root of roots) {
+            for (const el of root.querySelectorAll('.launchpad-item[data-id]')) {
+                const item = store.getItem(el.dataset.id);
+                if (item && item.type !== 'folder') this._decorateLinkHealth(el, item);
+            }
+        }
+    }
+};
+
+export function installLaunchpadHealthMethods(Launchpad) {
+    Object.assign(Launchpad.prototype, launchpadHealthMethods);
+}
@@ -35,12 +35,15 @@ export const launchpadSearchMethods = {
         } else {
             this._hideSearchResults();
         }
+        this._syncTagFilterBar();
+        this._syncSmartFolderButton();
     },
 
     _showSearchResults(query) {
         this._state.isSearching = true;
 
         const results = store.search(query, {
+            ...this._getSmartRuleOptions(),
             limit: this._gridColumns * this._config.SEARCH.maxRows,
             fuzzyThreshold: this._config.SEARCH.fuzzyThreshold,
             includeScore: false
@@ -164,6 +167,7 @@ export const launchpadSearchMethods = {
                 const tagEl = document.createElement('span');
                 tagEl.className = 'launchpad-item-tag';
                 tagEl.dataset.tag = tag;
+                this._applyTagStyle(tagEl, tag);
                 if (keywords.length > 0) {
                     tagEl.innerHTML = this._highlightText(tag, keywords);
                 } else {
@@ -183,7 +187,7 @@ export const launchpadSearchMethods = {
             el.appendChild(tagsContainer);
         }
 
-        return el;
+        return this._decorateLinkHealth(el, item);
     },
 
     _highlightText(text, keywords) {
@@ -259,6 +263,8 @@ export const launchpadSearchMethods = {
         this._state.searchQuery = '';
         this._searchDebounce?.cancel();
         this._hideSearchResults();
+        this._syncTagFilterBar();
+        this._syncSmartFolderButton();
 
         if (this._needsRerenderAfterSearch) {
             this._needsRerenderAfterSearch = false;
@@ -330,6 +336,7 @@ export const launchpadSearchMethods = {
                 const tagEl = document.createElement('span');
                 tagEl.className = 'launchpad-item-tag';
                 tagEl.dataset.tag = tag;
+                this._applyTagStyle(tagEl, tag);
                 if (keywords.length > 0) {
                     tagEl.innerHTML = this._highlightText(tag, keywords);
                 } else {
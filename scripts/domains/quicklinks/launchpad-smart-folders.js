@@ -0,0 +1,175 @@
+import { store } from './store.js';
+import { t } from '../../platform/i18n.js';
+import { toast } from '../../shared/toast.js';
+import { getCachedItemHealth, getLinkHealthBadge } from './link-health.js';
+import { formatSmartQuery, parseSmartQuery } from './smart-folders.js';
+
+/** Events that can change which links a rule matches; folder events re-render on their own */
+const SMART_REFRESH_EVENTS = new Set(['itemAdded', 'itemUpdated', 'itemDeleted', 'itemsBulkAdded', 'reordered', 'tagsChanged']);
+
+const SMART_TITLE_KEYS = Object.freeze({
+    recent: 'smartFolderRecentTitle',
+    broken: 'smartFolderBrokenTitle'
+});
+
+function getHealthBadge(item) {
+    return getLinkHealthBadge(getCachedItemHealth(item));
+}
+
+/**
+ * Smart folders: a saved search query shown as a folder. The tile, the overlay and the
+ * search results all resolve members through store.getItemsBySmartRule() with the cached
+ * dead-link results, so `is:broken` matches what the badges show.
+ */
+export const launchpadSmartFolderMethods = {
+    /**
+     * "Save as smart folder" button, shown while the query is one a smart folder can keep
+     */
+    _setupSmartFolderButton() {
+        const searchBar = this._dom.container?.querySelector('.launchpad-search-bar');
+        if (!searchBar) return;
+
+        let button = searchBar.querySelector('.launchpad-smart-save-btn');
+        if (!button) {
+            button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'launchpad-smart-save-btn';
+            button.hidden = true;
+            button.title = t('smartFolderSave');
+            button.setAttribute('aria-label', t('smartFolderSave'));
+            button.innerHTML = `
+                <svg aria-hidden="true" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"
+                    stroke-linecap="round" stroke-linejoin="round">
+                    <path d="M22 19a2 2 0 0 1-2 2H4a2 2 0 0 1-2-2V5a2 2 0 0 1 2-2h5l2 3h9a2 2 0 0 1 2 2z"/>
+                    <path d="M12 11v6"/>
+                    <path d="M9 14h6"/>
+                </svg>
+            `;
+            searchBar.appendChild(button);
+        }
+        this._dom.smartSaveButton = button;
+
+        this._events.add(button, 'click', (e) => {
+            e.stopPropagation();
+            this._saveSearchAsSmartFolder();
+        });
+    },
+
+    _syncSmartFolderButton() {
+        const button = this._dom.smartSaveButton;
+        if (!button) return;
+        const visible = parseSmartQuery(this._state.searchQuery) !== null;
+        button.hidden = !visible;
+        this._dom.container?.querySelector('.launchpad-search-bar')?.classList.toggle('has-smart-save', visible);
+    },
+
+    async _saveSearchAsSmartFolder() {
+        const rule = parseSmartQuery(this._state.searchQuery);
+        if (!rule) return;
+
+        const titleKey = SMART_TITLE_KEYS[rule.type];
+        const title = titleKey ? t(titleKey, { days: rule.value }) : String(rule.value);
+        try {
+            const folder = await store.createSmartFolder(title, rule);
+            if (!folder) return;
+            this._clearSearch();
+            toast(t('toastSmartFolderCreated', { title: folder.title }));
+        } catch (error) {
+            console.error('[Launchpad] Failed to create smart folder:', error);
+            toast(t('toastSmartFolderFailed'));
+        }
+    },
+
+    /**
+     * Options for store lookups that may hit an `is:broken` rule
+     */
+    _getSmartRuleOptions() {
+        return { getHealthBadge };
+    },
+
+    /**
+     * A smart folder with its current members in `children`; other folders pass through
+     */
+    _withSmartChildren(folder) {
+        if (!folder?.smart) return folder;
+        return { ...folder, children: store.getSmartFolderChildren(folder._id, this._getSmartRuleOptions()) };
+    },
+
+    /**
+     * Editable saved query under the smart folder title
+     */
+    _createSmartFolderQueryInput(folder) {
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.className = 'launchpad-smart-folder-query';
+        input.value = formatSmartQuery(folder.smart);
+        input.placeholder = t('smartFolderQueryPlaceholder');
+        input.spellcheck = false;
+        input.autocomplete = 'off';
+        input.setAttribute('aria-label', t('smartFolderQuery'));
+
+        const commit = () => {
+            const rule = parseSmartQuery(input.value);
+            input.classList.toggle('is-invalid', !rule);
+            input.setAttribute('aria-invalid', String(!rule));
+            input.title = rule ? '' : t('smartFolderQueryInvalid');
+            if (!rule || input.value.trim() === formatSmartQuery(store.getItem(folder._id)?.smart)) return;
+            store.updateSmartFolderRule(folder._id, rule).catch(err => {
+                console.warn('[Launchpad] Smart folder rule update failed:', err);
+            });
+        };
+        input.addEventListener('blur', commit);
+        input.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                commit();
+            }
+        });
+
+        return input;
+    },
+
+    _syncSmartFolderEmptyState(overlay, isEmpty) {
+        const panel = overlay?.querySelector('.launchpad-folder-panel');
+        if (!panel) return;
+
+        let empty = panel.querySelector('.launchpad-smart-folder-empty');
+        if (!isEmpty) {
+            empty?.remove();
+            return;
+        }
+        if (!empty) {
+            empty = document.createElement('div');
+            empty.className = 'launchpad-smart-folder-empty';
+            empty.textContent = t('smartFolderEmpty');
+            panel.appendChild(empty);
+        }
+    },
+
+    /**
+     * Recompute smart folder tiles and the open smart folder overlay
+     */
+    _refreshSmartFolders() {
+        if (this._state.isDestroyed || !this._state.isOpen) return;
+        for (const el of this._dom.pagesContainer?.querySelectorAll('.launchpad-folder[data-smart]') || []) {
+            this._updateFolderElementInGrid(el.dataset.id);
+        }
+        const openId = this._state.openFolderId;
+        if (openId && store.isSmartFolder(openId)) {
+            this._refreshFolderOverlay(openId);
+        }
+    },
+
+    /**
+     * Never consumes the event; the regular handlers still run
+     */
+    _handleSmartFolderStoreEvent(event) {
+        if (SMART_REFRESH_EVENTS.has(event)) {
+            this._refreshSmartFolders();
+        }
+    }
+};
+
+export function installLaunchpadSmartFolderMethods(Launchpad) {
+    Object.assign(Launchpad.prototype, launchpadSmartFolderMethods);
+}
@@ -0,0 +1,151 @@
+import { store } from './store.js';
+import { t } from '../../platform/i18n.js';
+
+/** Chips drawn on a grid tile; the rest collapse into "+N" */
+const TILE_TAG_LIMIT = 2;
+
+const TAG_STORE_EVENTS = new Set(['tagsChanged', 'tagStylesChanged']);
+
+/**
+ * Tag chips and the tag filter bar. A filter is a `#tag` search, so the bar, tile chips and
+ * typed `#tag` queries all end up in the same search results view.
+ */
+export const launchpadTagMethods = {
+    _setupTagFilterBar() {
+        const searchBar = this._dom.container?.querySelector('.launchpad-search-bar');
+        if (!searchBar) return;
+
+        let bar = this._dom.container.querySelector('.launchpad-tag-bar');
+        if (!bar) {
+            bar = document.createElement('div');
+            bar.className = 'launchpad-tag-bar';
+            bar.setAttribute('role', 'toolbar');
+            bar.setAttribute('aria-label', t('launchpadTagFilter'));
+            searchBar.after(bar);
+        }
+        this._dom.tagBar = bar;
+
+        this._events.add(bar, 'click', (e) => {
+            const chip = e.target.closest('.launchpad-tag-chip');
+            if (!chip?.dataset.tag) return;
+            e.stopPropagation();
+            if (this._getActiveTagFilter() === chip.dataset.tag.toLowerCase()) {
+                this._clearSearch();
+                this._syncTagFilterBar();
+            } else {
+                this._triggerTagSearch(chip.dataset.tag);
+            }
+        });
+    },
+
+    /**
+     * @returns {string|null} Lowercased tag of a `#tag` query, or null
+     */
+    _getActiveTagFilter() {
+        const query = String(this._state.searchQuery || '').trim();
+        return query.startsWith('#') && query.length > 1 ? query.slice(1).toLowerCase() : null;
+    },
+
+    /**
+     * Library tags that are on at least one link, in library order
+     */
+    _renderTagFilterBar() {
+        const bar = this._dom.tagBar;
+        if (!bar) return;
+
+        const counts = store.getTagUsageCounts();
+        const tags = store.getTags().filter(tag => counts.get(tag.toLowerCase()) > 0);
+        bar.hidden = tags.length === 0;
+
+        const fragment = document.createDocumentFragment();
+        for (const tag of tags) {
+            const chip = this._createTagChip(tag, 'launchpad-tag-chip', 'button');
+            chip.type = 'button';
+            chip.title = t('launchpadTagFilterCount', { tag, count: counts.get(tag.toLowerCase()) });
+            fragment.appendChild(chip);
+        }
+        bar.replaceChildren(fragment);
+        this._syncTagFilterBar();
+    },
+
+    _syncTagFilterBar() {
+        const bar = this._dom.tagBar;
+        if (!bar) return;
+        const active = this._getActiveTagFilter();
+        for (const chip of bar.querySelectorAll('.launchpad-tag-chip')) {
+            const pressed = active !== null && chip.dataset.tag.toLowerCase() === active;
+            chip.classList.toggle('active', pressed);
+            chip.setAttribute('aria-pressed', String(pressed));
+        }
+    },
+
+    /**
+     * @param {string} tag
+     * @param {string} className
+     * @param {string} [tagName='span']
+     * @returns {HTMLElement}
+     */
+    _createTagChip(tag, className, tagName = 'span') {
+        const chip = document.createElement(tagName);
+        chip.className = className;
+        chip.dataset.tag = tag;
+        chip.textContent = tag;
+        return this._applyTagStyle(chip, tag);
+    },
+
+    /**
+     * Colour and emoji from the tag manager; safe to call again on an existing chip
+     */
+    _applyTagStyle(chip, tag) {
+        const style = store.getTagStyle(tag);
+        if (style?.color) chip.dataset.color = style.color;
+        else delete chip.dataset.color;
+        if (style?.emoji) chip.dataset.emoji = style.emoji;
+        else delete chip.dataset.emoji;
+        return chip;
+    },
+
+    /**
+     * Tag chips under a grid tile's title; clicks go to _handleContainerClick like search results
+     */
+    _decorateItemTags(el, item) {
+        el.querySelector('.launchpad-item-tags--tile')?.remove();
+        if (!Array.isArray(item?.tags) || item.tags.length === 0) return el;
+
+        const container = document.createElement('div');
+        container.className = 'launchpad-item-tags launchpad-item-tags--tile';
+        for (const tag of item.tags.slice(0, TILE_TAG_LIMIT)) {
+            container.appendChild(this._createTagChip(tag, 'launchpad-item-tag'));
+        }
+        if (item.tags.length > TILE_TAG_LIMIT) {
+            const more = document.createElement('span');
+            more.className = 'launchpad-item-tag-count';
+            more.textContent = `+${item.tags.length - TILE_TAG_LIMIT}`;
+            more.title = item.tags.slice(TILE_TAG_LIMIT).join(', ');
+            container.appendChild(more);
+        }
+        el.appendChild(container);
+        return el;
+    },
+
+    /**
+     * @returns {boolean} true when the event was a tag event
+     */
+    _handleTagStoreEvent(event) {
+        if (!TAG_STORE_EVENTS.has(event)) return false;
+        this._renderTagFilterBar();
+        if (event === 'tagStylesChanged') {
+            const roots = [this._dom.overlay, ...document.querySelectorAll('.launchpad-folder-overlay')].filter(Boolean);
+            for (const root of roots) {
+                for (const chip of root.querySelectorAll('.launchpad-item-tag[data-tag]')) {
+                    this._applyTagStyle(chip, chip.dataset.tag);
+                }
+            }
+        }
+        return true;
+    }
+};
+
+export function installLaunchpadTagMethods(Launchpad) {
+    Object.assign(Launchpad.prototype, launchpadTagMethods);
+}
@@ -0,0 +1,158 @@
+import { store } from './store.js';
+import { t } from '../../platform/i18n.js';
+import { toast } from '../../shared/toast.js';
+
+/**
+ * Virtual folder id for the "frequently used" overlay.
+ * Never persisted: children are computed from store usage stats on every render.
+ */
+export const USAGE_FOLDER_ID = '__VIRTUAL_USAGE__';
+
+const USAGE_FOLDER_MODES = Object.freeze([
+    { value: 'frequent', labelKey: 'launchpadUsageMostUsed' },
+    { value: 'recent', labelKey: 'launchpadUsageRecentlyUsed' }
+]);
+
+const USAGE_REFRESH_EVENTS = new Set(['usageChanged', 'itemUpdated', 'itemDeleted', 'reordered', 'itemsBulkAdded']);
+
+export const launchpadUsageMethods = {
+    _setupUsageButton() {
+        const button = this._dom.usageButton;
+        if (!button) return;
+
+        button.title = t('launchpadUsageFolder');
+        this._events.add(button, 'click', (e) => {
+            e.stopPropagation();
+            this._openUsageFolder();
+        });
+    },
+
+    /**
+     * Build the virtual folder for the current mode, limited to a single overlay page
+     */
+    _getUsageFolder() {
+        const mode = this._state.usageFolderMode === 'recent' ? 'recent' : 'frequent';
+        const { pageSize } = this._buildFolderPaginationMeta(store.CONFIG.MAX_FOLDER_CHILDREN);
+        const items = mode === 'recent'
+            ? store.getRecentlyUsedItems(pageSize)
+            : store.getMostUsedItems(pageSize);
+
+        return {
+            _id: USAGE_FOLDER_ID,
+            type: 'folder',
+            virtual: true,
+            mode,
+            title: t('launchpadUsageFolder'),
+            children: items.map(item => item._id)
+        };
+    },
+
+    _openUsageFolder(mode = this._state.usageFolderMode) {
+        if (this._state.isDestroyed || !this._state.isOpen) return;
+        if (this._state.openFolderId) {
+            this._closeFolderOverlay();
+        }
+        this._state.usageFolderMode = mode === 'recent' ? 'recent' : 'frequent';
+        this._openFolderOverlay(USAGE_FOLDER_ID);
+    },
+
+    _setUsageFolderMode(overlay, mode) {
+        if (this._state.usageFolderMode === mode) return;
+        this._state.usageFolderMode = mode;
+        for (const tab of overlay.querySelectorAll('.launchpad-usage-tab')) {
+            const active = tab.dataset.mode === mode;
+            tab.classList.toggle('active', active);
+            tab.setAttribute('aria-selected', String(active));
+            tab.tabIndex = active ? 0 : -1;
+        }
+        this._refreshFolderOverlay(USAGE_FOLDER_ID);
+    },
+
+    /**
+     * Segmented "Most used / Recently used" header replacing the editable folder title
+     */
+    _createUsageFolderHeader(folder) {
+        const header = document.createElement('div');
+        header.className = 'launchpad-usage-tabs';
+        header.setAttribute('role', 'tablist');
+        header.setAttribute('aria-label', folder.title);
+
+        for (const { value, labelKey } of USAGE_FOLDER_MODES) {
+            const tab = document.createElement('button');
+            const active = folder.mode === value;
+            tab.type = 'button';
+            tab.className = 'launchpad-usage-tab' + (active ? ' active' : '');
+            tab.dataset.mode = value;
+            tab.textContent = t(labelKey);
+            tab.setAttribute('role', 'tab');
+            tab.setAttribute('aria-selected', String(active));
+            tab.tabIndex = active ? 0 : -1;
+            header.appendChild(tab);
+        }
+
+        header.addEventListener('click', (e) => {
+            const tab = e.target.closest('.launchpad-usage-tab');
+            if (!tab) return;
+            e.stopPropagation();
+            this._setUsageFolderMode(header.closest('.launchpad-folder-overlay'), tab.dataset.mode);
+        });
+
+        return header;
+    },
+
+    _syncUsageFolderEmptyState(overlay, isEmpty) {
+        const panel = overlay?.querySelector('.launchpad-folder-panel');
+        if (!panel) return;
+
+        let empty = panel.querySelector('.launchpad-usage-empty');
+        if (!isEmpty) {
+            empty?.remove();
+            return;
+        }
+        if (!empty) {
+            empty = document.createElement('div');
+            empty.className = 'launchpad-usage-empty';
+            empty.textContent = t('launchpadUsageEmpty');
+            panel.appendChild(empty);
+        }
+    },
+
+    _buildUsageChildContextCallbacks(itemId, item) {
+        return {
+            onAddToDock: async () => {
+                const result = await store.pinToDock(itemId);
+                if (result?.ok) {
+                    toast(t('toastDockAdded'));
+                } else if (result?.reason === 'full') {
+                    toast(t('toastDockFull'));
+                }
+            },
+            onRemoveFromDock: async () => {
+                await store.unpinFromDock(itemId);
+                toast(t('toastDockRemoved'));
+            },
+            onEdit: () => {
+                this._closeFolderOverlay();
+                this._handleEditItem(item);
+            },
+            onDelete: async () => {
+                await store.deleteItem(itemId);
+            }
+        };
+    },
+
+    /**
+     * Keep the usage overlay in sync with store changes
+     * @returns {boolean} true when the event only concerns usage stats
+     */
+    _handleUsageStoreEvent(event) {
+        if (this._state.openFolderId === USAGE_FOLDER_ID && USAGE_REFRESH_EVENTS.has(event)) {
+            this._refreshFolderOverlay(USAGE_FOLDER_ID);
+        }
+        return event === 'usageChanged';
+    }
+};
+
+export function installLaunchpadUsageMethods(Launchpad) {
+    Object.assign(Launchpad.prototype, launchpadUsageMethods);
+}
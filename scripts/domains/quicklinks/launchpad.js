@@ -9,6 +9,10 @@ import { installLaunchpadGridMethods } from './launchpad-grid.js';
 import { installLaunchpadSearchMethods } from './launchpad-search.js';
 import { installLaunchpadDragMethods } from './launchpad-drag.js';
 import { installLaunchpadFolderMethods, setFolderContextMenuRef } from './launchpad-folder.js';
+import { installLaunchpadUsageMethods } from './launchpad-usage.js';
+import { installLaunchpadHealthMethods } from './launchpad-health.js';
+import { installLaunchpadTagMethods } from './launchpad-tags.js';
+import { installLaunchpadSmartFolderMethods } from './launchpad-smart-folders.js';
 import {
     DragStateMachine,
     AsyncTaskTracker,
@@ -179,7 +183,8 @@ export class Launchpad {
             isDestroyed: false,
             isSettled: false,
             isPaused: false,
-            openFolderId: null
+            openFolderId: null,
+            usageFolderMode: 'frequent'
         };
 
         this._dom = {
@@ -189,7 +194,10 @@ export class Launchpad {
             pagesContainer: null,
             indicator: null,
             searchInput: null,
-            searchResults: null
+            searchResults: null,
+            usageButton: null,
+            tagBar: null,
+            smartSaveButton: null
         };
 
         this._dragState = new DragStateMachine(this._config.MOTION.justDraggedLockMs);
@@ -254,6 +262,7 @@ export class Launchpad {
         this._gridColumns = 6;
         this._gridRows = 4;
         this._unsubscribeStore = null;
+        this._unwatchLinkHealth = null;
 
         this._boundHandlers = {
             keydown: this._handleKeydown.bind(this),
@@ -312,12 +321,16 @@ export class Launchpad {
         );
 
         this._setupSearchInput();
+        this._setupUsageButton();
+        this._setupTagFilterBar();
+        this._setupSmartFolderButton();
         this._bindEvents();
         this._bindDelegatedItemEvents();
 
         this._unsubscribeStore = store.subscribe((event, data) => {
             this._handleStoreEvent(event, data);
         });
+        this._setupLinkHealth();
 
         this._state.isInitialized = true;
         this._quicklinksUiMachine.transition('ready', { reason: 'init' });
@@ -335,6 +348,7 @@ export class Launchpad {
             this._unsubscribeStore();
             this._unsubscribeStore = null;
         }
+        this._teardownLinkHealth();
 
         this._deferredRerenderExecutor?.cancel();
         this._deferredRerenderExecutor = null;
@@ -360,7 +374,10 @@ export class Launchpad {
             pagesContainer: null,
             indicator: null,
             searchInput: null,
-            searchResults: null
+            searchResults: null,
+            usageButton: null,
+            tagBar: null,
+            smartSaveButton: null
         };
 
         this._state.isInitialized = false;
@@ -391,6 +408,7 @@ export class Launchpad {
         this._dom.indicator = document.getElementById('launchpadIndicator');
         this._dom.searchInput = document.getElementById('launchpadSearchInput');
         this._dom.searchResults = document.getElementById('launchpadSearchResults');
+        this._dom.usageButton = document.getElementById('launchpadUsageBtn');
     }
 
     _bindEvents() {
@@ -420,6 +438,9 @@ export class Launchpad {
 
     _handleStoreEvent(event, data) {
         if (this._state.isDestroyed || !this._state.isOpen) return;
+        this._handleSmartFolderStoreEvent(event);
+        if (this._handleUsageStoreEvent(event)) return;
+        if (this._handleTagStoreEvent(event)) return;
 
         if (event === 'settingsChanged') {
             const cols = Number.isFinite(Number(data?.launchpadGridColumns)) ? Number(data.launchpadGridColumns) : undefined;
@@ -442,6 +463,7 @@ export class Launchpad {
 
         const relevantEvents = ['itemAdded', 'itemUpdated', 'itemDeleted', 'itemMoved', 'reordered', 'pageAdded', 'pageRemoved', 'itemsBulkAdded'];
         if (!relevantEvents.includes(event)) return;
+        this._renderTagFilterBar();
 
         if (this._state.isPaused && event === 'itemUpdated') {
             this._updateItemIncremental(data?.item);
@@ -522,6 +544,7 @@ export class Launchpad {
         this._syncConfigFromCss();
         this._renderPages();
         this._renderIndicator();
+        this._renderTagFilterBar();
         this._goToPage(0, { force: true, animate: false });
 
         document.body.classList.add('launchpad-open');
@@ -779,6 +802,7 @@ export class Launchpad {
     _getFocusableElements() {
         const list = [];
         if (this._dom.searchInput) list.push(this._dom.searchInput);
+        if (this._dom.usageButton) list.push(this._dom.usageButton);
 
         if (this._state.isSearching && this._dom.searchResults) {
             const items = Array.from(this._dom.searchResults.querySelectorAll('.launchpad-item'));
@@ -825,6 +849,7 @@ export class Launchpad {
             return;
         }
 
+        store.recordLaunch(item._id).catch(() => { });
         if (store.settings.newTab) {
             window.open(safeUrl, '_blank', 'noopener,noreferrer');
         } else {
@@ -973,6 +998,7 @@ export class Launchpad {
                 this._rerenderPages();
                 toast(t('toastFolderCreated'));
             };
+            this._addLinkHealthCallbacks(callbacks, item);
         }
 
         contextMenu.show(e, item, callbacks, 'launchpad');
@@ -983,6 +1009,10 @@ installLaunchpadGridMethods(Launchpad);
 installLaunchpadSearchMethods(Launchpad);
 installLaunchpadDragMethods(Launchpad);
 installLaunchpadFolderMethods(Launchpad);
+installLaunchpadUsageMethods(Launchpad);
+installLaunchpadHealthMethods(Launchpad);
+installLaunchpadTagMethods(Launchpad);
+installLaunchpadSmartFolderMethods(Launchpad);
 
 // Inject contextMenu reference to folder mixin (avoids circular import)
 setFolderContextMenuRef(contextMenu);
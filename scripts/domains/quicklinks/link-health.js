@@ -0,0 +1,367 @@
+/**
+ * Dead-link health check for saved quicklinks.
+ *
+ * The service worker checks a small batch of links every hour while the check is enabled,
+ * oldest result first, using the same LinkValidator rules as the bookmark import. Results are
+ * keyed by item id and remember the URL that was checked, so an edited link counts as
+ * unchecked again. Pages read them through watchLinkHealth() for the launchpad badges and the
+ * link manager filter. Results and the on/off switch are per-device and live in local storage.
+ *
+ * Only permanent redirects earn the "redirected" badge; sign-in and geo redirects are temporary.
+ * Each one is also remembered as a canonical URL alias (normalized old URL → final URL). The
+ * aliases outlive the fix, so imports, backup merges and bookmark sync keep recognising the old
+ * address as the same link via canonicalUrlKey().
+ */
+
+import * as storageRepo from '../../platform/storage-repo.js';
+import { onStorageChange, storageDispatcher } from '../../platform/storage-runtime.js';
+import { normalizeUrlForDeduplication } from '../../shared/text.js';
+import { LinkValidator, ValidationStatus } from '../bookmarks/validator.js';
+import { store } from './store.js';
+import { ensureWorkerStore } from './worker-store.js';
+
+export const LINK_HEALTH_KEY = 'linkHealth';
+export const LINK_HEALTH_SCHEDULE_KEY = 'linkHealthSchedule';
+export const LINK_HEALTH_ALARM = 'linkHealthCheck';
+export const LINK_CANONICAL_KEY = 'linkCanonicalUrls';
+
+/** Badge kinds, in the order the link manager filter lists them */
+export const LINK_HEALTH_BADGES = Object.freeze(['invalid', 'suspicious', 'redirected']);
+
+const CHECK_PERIOD_MINUTES = 60;
+
+/** Links checked per alarm run; keeps background traffic to a trickle */
+const BATCH_LIMIT = 25;
+const CONCURRENCY = 2;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+/** Healthy links are re-checked weekly, failing ones daily in case they recover */
+const RECHECK_AFTER_MS = Object.freeze({
+    [ValidationStatus.VALID]: 7 * DAY_MS,
+    [ValidationStatus.SUSPICIOUS]: DAY_MS,
+    [ValidationStatus.INVALID]: DAY_MS
+});
+
+/** Oldest aliases are dropped past this size */
+const MAX_CANONICAL_ALIASES = 1000;
+/** Alias chains (a → b → c) are followed at most this far */
+const MAX_ALIAS_HOPS = 5;
+
+const RECORDED_STATUSES = new Set([ValidationStatus.VALID, ValidationStatus.SUSPICIOUS, ValidationStatus.INVALID]);
+const WATCH_LISTENER_ID = 'quicklinks.link-health';
+
+let _checkChain = Promise.resolve();
+let _cache = null;
+const _watchers = new Set();
+
+// ========== Results ==========
+
+function isCheckable(item) {
+    if (!item || item.type === 'folder' || item.isSystemItem || typeof item.url !== 'string') return false;
+    return /^https?:\/\//i.test(item.url);
+}
+
+/**
+ * @param {unknown} raw
+ * @returns {Record<string, { url: string, status: string, checkedAt: number, finalUrl: string|null }>}
+ */
+export function normalizeLinkHealth(raw) {
+    const out = {};
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) return out;
+    for (const [id, entry] of Object.entries(raw)) {
+        if (!entry || typeof entry.url !== 'string' || !RECORDED_STATUSES.has(entry.status)) continue;
+        out[id] = {
+            url: entry.url,
+            status: entry.status,
+            checkedAt: Number(entry.checkedAt) || 0,
+            finalUrl: typeof entry.finalUrl === 'string' && entry.finalUrl ? entry.finalUrl : null
+        };
+    }
+    return out;
+}
+
+export async function getLinkHealth() {
+    return normalizeLinkHealth(await storageRepo.local.get(LINK_HEALTH_KEY, null));
+}
+
+/**
+ * Result for an item, or null when it was never checked at its current URL.
+ * @param {Record<string, Object>} health
+ * @param {{ _id: string, url?: string }} item
+ */
+export function getItemHealth(health, item) {
+    const entry = item?._id ? health?.[item._id] : null;
+    return entry && entry.url === item.url ? entry : null;
+}
+
+/**
+ * @param {Object|null} entry - From getItemHealth()
+ * @returns {'invalid'|'suspicious'|'redirected'|null}
+ */
+export function getLinkHealthBadge(entry) {
+    if (!entry) return null;
+    if (entry.status === ValidationStatus.INVALID) return 'invalid';
+    if (entry.status === ValidationStatus.SUSPICIOUS) return 'suspicious';
+    return entry.finalUrl ? 'redirected' : null;
+}
+
+function isDue(entry, now) {
+    if (!entry) return true;
+    return now - entry.checkedAt >= (RECHECK_AFTER_MS[entry.status] ?? DAY_MS);
+}
+
+/**
+ * Check links and record the results. Runs are serialized.
+ * @param {{ ids?: Iterable<string>|null, force?: boolean, limit?: number, onProgress?: Function }} [options] -
+ *   `force` re-checks links whose result is still fresh; `limit` 0 checks every candidate
+ * @returns {Promise<{ checked: number, invalid: number, suspicious: number, redirected: number }>}
+ */
+export function runLinkHealthCheck(options = {}) {
+    const run = () => checkLinks(options);
+    const next = _checkChain.then(run, run);
+    _checkChain = next.catch(() => {});
+    return next;
+}
+
+async function checkLinks({ ids = null, force = false, limit = BATCH_LIMIT, onProgress } = {}) {
+    const wanted = ids ? new Set(ids) : null;
+    const items = store.getAllItemsFlat().filter(isCheckable);
+    const health = await getLinkHealth();
+    const now = Date.now();
+
+    let candidates = items.filter(item => (!wanted || wanted.has(item._id))
+        && (force || isDue(getItemHealth(health, item), now)));
+    candidates.sort((a, b) => (getItemHealth(health, a)?.checkedAt || 0) - (getItemHealth(health, b)?.checkedAt || 0));
+    if (limit > 0) candidates = candidates.slice(0, limit);
+
+    const summary = { checked: 0, invalid: 0, suspicious: 0, redirected: 0 };
+    const results = candidates.length > 0
+        ? await new LinkValidator().validateBatch(candidates, onProgress, { concurrency: CONCURRENCY, detailed: true })
+        : new Map();
+
+    // Drop results of deleted links; re-read so a concurrent redirect fix is kept
+    const live = new Set(items.map(item => item._id));
+    const next = {};
+    for (const [id, entry] of Object.entries(await getLinkHealth())) {
+        if (live.has(id)) next[id] = entry;
+    }
+
+    const aliases = await getCanonicalUrlRecords();
+    let aliasesChanged = false;
+    const checkedAt = Date.now();
+    for (const item of candidates) {
+        const result = results.get(item.url);
+        // Offline or aborted: keep the previous result
+        if (!result || !RECORDED_STATUSES.has(result.status)) continue;
+        const finalUrl = isCanonicalRedirect(item.url, result.finalUrl) ? result.finalUrl : null;
+        const entry = { url: item.url, status: result.status, checkedAt, finalUrl };
+        next[item._id] = entry;
+        if (finalUrl) {
+            // Re-insert so the alias counts as recent when trimming
+            const key = normalizeUrlForDeduplication(item.url);
+            delete aliases[key];
+            aliases[key] = finalUrl;
+            aliasesChanged = true;
+        }
+        summary.checked++;
+        const badge = getLinkHealthBadge(entry);
+        if (badge) summary[badge]++;
+    }
+
+    const writes = { [LINK_HEALTH_KEY]: next };
+    if (aliasesChanged) writes[LINK_CANONICAL_KEY] = trimAliases(aliases);
+    await storageRepo.local.setMultiple(writes);
+    return summary;
+}
+
+/**
+ * Links applyLinkRedirects() would change, for a preview before anything is written.
+ * @param {Iterable<string>} ids
+ * @returns {Promise<Array<{ id: string, title: string, before: string, after: string }>>}
+ */
+export async function planLinkRedirects(ids) {
+    const health = await getLinkHealth();
+    const changes = [];
+    for (const id of ids) {
+        const item = store.getItem(id);
+        const entry = getItemHealth(health, item);
+        if (!entry?.finalUrl || !store.isUrlSafe(entry.finalUrl)) continue;
+        changes.push({ id, title: item.title || '', before: item.url, after: entry.finalUrl });
+    }
+    return changes;
+}
+
+/**
+ * Point redirected links at the URL they redirect to, in one commit.
+ * @param {Iterable<string>} ids
+ * @returns {Promise<{ updated: number, undo: Object|null }>} `undo` goes to store.restoreBulkEdit()
+ */
+export async function applyLinkRedirects(ids) {
+    const changes = await planLinkRedirects(ids);
+    if (changes.length === 0) return { updated: 0, undo: null };
+
+    const updates = Object.fromEntries(changes.map(change => [change.id, { url: change.after }]));
+    const { undo } = await store.bulkEditItems(Object.keys(updates), { updates });
+    // Re-read so results recorded while the commit ran are kept
+    const health = await getLinkHealth();
+    let updated = 0;
+    for (const { id, after } of changes) {
+        const item = store.getItem(id);
+        if (item?.url !== after) continue;
+        health[id] = { url: item.url, status: ValidationStatus.VALID, checkedAt: Date.now(), finalUrl: null };
+        updated++;
+    }
+    if (updated > 0) {
+        await storageRepo.local.setMultiple({ [LINK_HEALTH_KEY]: health });
+    }
+    return { updated, undo };
+}
+
+/**
+ * Redirects that only add a trailing slash, a query or a fragment keep the link's identity
+ * and are not worth a fix.
+ */
+function isCanonicalRedirect(url, finalUrl) {
+    if (!finalUrl || !/^https?:\/\//i.test(finalUrl)) return false;
+    return normalizeUrlForDeduplication(finalUrl) !== normalizeUrlForDeduplication(url);
+}
+
+// ========== Canonical URLs ==========
+
+async function getCanonicalUrlRecords() {
+    const raw = await storageRepo.local.get(LINK_CANONICAL_KEY, null);
+    const out = {};
+    if (!raw || typeof raw !== 'object' || Array.isArray(raw)) return out;
+    for (const [key, finalUrl] of Object.entries(raw)) {
+        if (key && typeof finalUrl === 'string' && finalUrl) out[key] = finalUrl;
+    }
+    return out;
+}
+
+function trimAliases(aliases) {
+    const entries = Object.entries(aliases);
+    return Object.fromEntries(entries.slice(Math.max(0, entries.length - MAX_CANONICAL_ALIASES)));
+}
+
+/**
+ * Known redirects as normalized old URL → normalized final URL, for canonicalUrlKey().
+ * A target reached from different URLs (a home or landing page) says nothing about which
+ * link is which, so those URLs get no alias.
+ * @returns {Promise<Map<string, string>>}
+ */
+export async function getCanonicalUrlAliases() {
+    const targets = new Map();
+    for (const [key, finalUrl] of Object.entries(await getCanonicalUrlRecords())) {
+        const target = normalizeUrlForDeduplication(finalUrl);
+        if (target !== key) targets.set(target, [...(targets.get(target) || []), key]);
+    }
+    const aliases = new Map();
+    for (const [target, keys] of targets) {
+        if (keys.length === 1) aliases.set(keys[0], target);
+    }
+    return aliases;
+}
+
+/**
+ * Dedupe key of a URL: its normalized form, followed through known redirects.
+ * @param {string} url
+ * @param {Map<string, string>|null} [aliases] - From getCanonicalUrlAliases()
+ * @returns {string}
+ */
+export function canonicalUrlKey(url, aliases = null) {
+    let key = normalizeUrlForDeduplication(url);
+    if (!aliases || aliases.size === 0) return key;
+    for (let hop = 0; hop < MAX_ALIAS_HOPS && aliases.has(key); hop++) {
+        const next = aliases.get(key);
+        if (next === key) break;
+        key = next;
+    }
+    return key;
+}
+
+// ========== Schedule ==========
+
+export async function isLinkHealthCheckEnabled() {
+    const schedule = await storageRepo.local.get(LINK_HEALTH_SCHEDULE_KEY, null);
+    return schedule?.enabled === true;
+}
+
+/**
+ * The service worker arms or clears its alarm when this changes.
+ * @param {boolean} enabled
+ */
+export async function setLinkHealthCheckEnabled(enabled) {
+    await storageRepo.local.setMultiple({ [LINK_HEALTH_SCHEDULE_KEY]: { enabled: enabled === true } });
+}
+
+export async function syncLinkHealthAlarm() {
+    if (!(await isLinkHealthCheckEnabled())) {
+        await chrome.alarms.clear(LINK_HEALTH_ALARM);
+        return;
+    }
+    const existing = await chrome.alarms.get(LINK_HEALTH_ALARM);
+    if (existing?.periodInMinutes === CHECK_PERIOD_MINUTES) return;
+    await chrome.alarms.create(LINK_HEALTH_ALARM, { delayInMinutes: 1, periodInMinutes: CHECK_PERIOD_MINUTES });
+}
+
+/**
+ * Alarm entry point for the service worker: checks the next batch of due links.
+ */
+export async function handleLinkHealthAlarm() {
+    if (!(await isLinkHealthCheckEnabled())) return null;
+    await ensureWorkerStore();
+    return runLinkHealthCheck();
+}
+
+// ========== Page-side cache ==========
+
+function notifyWatchers() {
+    for (const listener of _watchers) {
+        try {
+            listener(_cache);
+        } catch (error) {
+            console.error('[LinkHealth] Listener error:', error);
+        }
+    }
+}
+
+/**
+ * Results as last loaded by watchLinkHealth(); empty until the first load finishes.
+ * @param {{ _id: string, url?: string }} item
+ */
+export function getCachedItemHealth(item) {
+    return _cache ? getItemHealth(_cache, item) : null;
+}
+
+/**
+ * Follow result changes. The listener also runs once the current results are loaded.
+ * @param {(health: Record<string, Object>) => void} listener
+ * @returns {() => void} Unsubscribe
+ */
+export function watchLinkHealth(listener) {
+    _watchers.add(listener);
+    if (_watchers.size === 1) {
+        onStorageChange(WATCH_LISTENER_ID, (changes, areaName) => {
+            if (areaName !== 'local' || !changes[LINK_HEALTH_KEY]) return;
+            _cache = normalizeLinkHealth(changes[LINK_HEALTH_KEY].newValue);
+            notifyWatchers();
+        });
+    }
+    if (_cache) {
+        queueMicrotask(() => _watchers.has(listener) && listener(_cache));
+    } else {
+        getLinkHealth().then((health) => {
+            _cache = health;
+            notifyWatchers();
+        }).catch((error) => {
+            console.error('[LinkHealth] Failed to load results:', error);
+        });
+    }
+
+    return () => {
+        _watchers.delete(listener);
+        if (_watchers.size === 0) {
+            storageDispatcher.unregister(WATCH_LISTENER_ID);
+        }
+    };
+}
@@ -0,0 +1,328 @@
+import { store } from './store.js';
+import { t } from '../../platform/i18n.js';
+import { toast } from '../../shared/toast.js';
+import { escapeHtml } from '../../shared/text.js';
+import { PREVIEW_LIMIT, planFindReplace, planTagEdit } from './bulk-edit.js';
+
+const BULK_ACTIONS = Object.freeze([
+    { value: 'addTags', label: 'bulkEditAddTags' },
+    { value: 'removeTags', label: 'bulkEditRemoveTags' },
+    { value: 'moveFolder', label: 'bulkEditMoveFolder' },
+    { value: 'movePage', label: 'bulkEditMovePage' },
+    { value: 'pin', label: 'bulkEditPin' },
+    { value: 'unpin', label: 'bulkEditUnpin' },
+    { value: 'replace', label: 'bulkEditReplace' }
+]);
+
+const SELECT_ARROW = `
+    <span class="mac-select-arrow">
+        <svg viewBox="0 0 12 12"><path d="M3 5l3 3 3-3" stroke="currentColor" fill="none" stroke-width="1.5"/></svg>
+    </span>
+`;
+
+function selectField(name, label, options) {
+    return `
+        <label class="bulk-edit-field">
+            <span>${escapeHtml(label)}</span>
+            <div class="mac-select">
+                <select class="mac-select-input" name="${name}">${options}</select>
+                ${SELECT_ARROW}
+            </div>
+        </label>
+    `;
+}
+
+function textField(name, label, placeholder = '') {
+    return `
+        <label class="bulk-edit-field">
+            <span>${escapeHtml(label)}</span>
+            <input type="text" class="mac-input" name="${name}" placeholder="${escapeHtml(placeholder)}" autocomplete="off" spellcheck="false">
+        </label>
+    `;
+}
+
+function checkboxField(name, label) {
+    return `
+        <label class="bulk-edit-field bulk-edit-field--inline">
+            <input type="checkbox" name="${name}">
+            <span>${escapeHtml(label)}</span>
+        </label>
+    `;
+}
+
+/**
+ * Bulk edit of the link manager selection: tags, moves, Dock pins, find-and-replace and
+ * redirect fixes. Every action is one store.bulkEditItems() commit and undoes in one step.
+ */
+export const linkManagerBulkEditMethods = {
+    _getSelectedItems() {
+        return Array.from(this._selection)
+            .map(id => store.getItem(id))
+            .filter(Boolean);
+    },
+
+    async _handleBulkEdit() {
+        if (this._isProcessing || this._selection.size === 0) return;
+        const items = this._getSelectedItems();
+        const edit = await this._promptBulkEdit(items);
+        if (!edit) return;
+
+        this._isProcessing = true;
+        this._renderList();
+        try {
+            const result = await store.bulkEditItems(items.map(item => item._id), edit);
+            const message = (result.skipped > 0
+                ? t('bulkEditDoneSkipped', { count: result.changed, skipped: result.skipped })
+                : t('bulkEditDone', { count: result.changed })) || `Updated ${result.changed} links`;
+            if (result.undo) {
+                this._undoData = { bulkEdit: result.undo };
+                this._showUndoToast(result.changed, message);
+            } else {
+                toast(message, { type: 'info' });
+            }
+        } catch (error) {
+            console.error('[LinkManager] Bulk edit failed:', error);
+            toast(t('bulkEditFailed') || 'Bulk edit failed', { type: 'error' });
+        } finally {
+            this._isProcessing = false;
+            this._renderList();
+            this._renderPagination();
+        }
+    },
+
+    /**
+     * @param {Array<Object>} items - Selected items
+     * @returns {Promise<Object|null>} Edit for store.bulkEditItems(), or null when cancelled
+     */
+    _promptBulkEdit(items) {
+        const folders = store.getAllItemsFlat().filter(item => item.type === 'folder' && !item.smart);
+        const pageCount = Math.max(1, store.getPageCount());
+
+        const actionOptions = BULK_ACTIONS.map(action =>
+            `<option value="${action.value}">${escapeHtml(t(action.label))}</option>`).join('');
+        const folderOptions = folders.map(folder =>
+            `<option value="${escapeHtml(folder._id)}">${'\u00A0\u00A0'.repeat(store.getFolderPath(folder._id).length - 1)}${escapeHtml(folder.title || t('folderDefaultName'))}</option>`).join('');
+        const pageOptions = [
+            ...Array.from({ length: pageCount }, (_, index) =>
+                `<option value="${index}">${escapeHtml(t('linkDuplicatesPage', { page: index + 1 }))}</option>`),
+            `<option value="${pageCount}">${escapeHtml(t('bulkEditNewPage') || 'New page')}</option>`
+        ].join('');
+        const fieldOptions = [
+            `<option value="url">${escapeHtml(t('bulkEditFieldUrl') || 'URL')}</option>`,
+            `<option value="title">${escapeHtml(t('bulkEditFieldTitle') || 'Title')}</option>`
+        ].join('');
+
+        const overlay = document.createElement('div');
+        overlay.className = 'backup-dialog-overlay';
+        overlay.innerHTML = `
+            <form class="backup-dialog bulk-edit-dialog" role="dialog" aria-modal="true" aria-labelledby="bulkEditTitle">
+                <h3 class="backup-dialog-title" id="bulkEditTitle">${escapeHtml(t('bulkEditTitle', { count: items.length }) || `Edit ${items.length} links`)}</h3>
+                ${selectField('action', t('bulkEditAction') || 'Action', actionOptions)}
+                <div class="bulk-edit-section" data-for="addTags removeTags">
+                    ${textField('tags', t('bulkEditTags') || 'Tags', t('bulkEditTagsHint', { max: store.CONFIG.MAX_TAGS_PER_ITEM }))}
+                </div>
+                <div class="bulk-edit-section" data-for="moveFolder">
+                    ${folders.length > 0
+                ? selectField('folderId', t('bulkEditFolder') || 'Folder', folderOptions)
+                : `<p class="backup-dialog-desc">${escapeHtml(t('bulkEditNoFolders') || 'There are no folders yet')}</p>`}
+                </div>
+                <div class="bulk-edit-section" data-for="movePage">
+                    ${selectField('pageIndex', t('bulkEditPage') || 'Page', pageOptions)}
+                </div>
+                <div class="bulk-edit-section" data-for="replace">
+                    ${selectField('field', t('bulkEditField') || 'Field', fieldOptions)}
+                    ${textField('find', t('bulkEditFind') || 'Find', 'jira.old.corp')}
+                    ${textField('replace', t('bulkEditReplaceWith') || 'Replace with', 'jira.new.corp')}
+                    <div class="bulk-edit-options">
+                        ${checkboxField('regex', t('bulkEditRegex') || 'Regular expression')}
+                        ${checkboxField('caseSensitive', t('bulkEditCaseSensitive') || 'Match case')}
+                    </div>
+                    <div class="bulk-edit-preview" aria-live="polite"></div>
+                </div>
+                <div class="backup-dialog-error" role="alert"></div>
+                <div class="backup-dialog-actions">
+                    <button type="button" class="mac-button" data-action="cancel">${escapeHtml(t('cancel') || 'Cancel')}</button>
+                    <button type="submit" class="mac-button mac-button--primary">${escapeHtml(t('bulkEditApply') || 'Apply')}</button>
+                </div>
+            </form>
+        `;
+        const form = overlay.querySelector('form');
+        const errorEl = form.querySelector('.backup-dialog-error');
+
+        const readReplace = () => ({
+            field: form.elements.field.value,
+            find: form.elements.find.value,
+            replace: form.elements.replace.value,
+            regex: form.elements.regex.checked,
+            caseSensitive: form.elements.caseSensitive.checked
+        });
+        const showSections = () => {
+            const action = form.elements.action.value;
+            for (const section of form.querySelectorAll('.bulk-edit-section')) {
+                section.hidden = !section.dataset.for.split(' ').includes(action);
+            }
+            errorEl.textContent = '';
+            if (action === 'replace') this._renderBulkEditPreview(form, items, readReplace());
+        };
+
+        return new Promise((resolve) => {
+            const close = (value) => {
+                overlay.remove();
+                resolve(value);
+            };
+            overlay.querySelector('[data-action="cancel"]').addEventListener('click', () => close(null));
+            overlay.addEventListener('keydown', (e) => {
+                if (e.key === 'Escape') {
+                    e.preventDefault();
+                    e.stopPropagation();
+                    close(null);
+                }
+            });
+            form.elements.action.addEventListener('change', showSections);
+            form.querySelector('[data-for="replace"]').addEventListener('input', () => {
+                this._renderBulkEditPreview(form, items, readReplace());
+            });
+
+            form.addEventListener('submit', (e) => {
+                e.preventDefault();
+                const edit = this._readBulkEdit(form, items, readReplace);
+                if (edit.error) {
+                    errorEl.textContent = edit.error;
+                    return;
+                }
+                close(edit.edit);
+            });
+
+            document.body.appendChild(overlay);
+            showSections();
+            form.elements.action.focus();
+        });
+    },
+
+    /**
+     * @returns {{ edit?: Object, error?: string }}
+     */
+    _readBulkEdit(form, items, readReplace) {
+        const action = form.elements.action.value;
+        switch (action) {
+            case 'addTags':
+            case 'removeTags': {
+                const tags = form.elements.tags.value;
+                if (!tags.trim()) return { error: t('bulkEditTagsRequired') || 'Enter at least one tag' };
+                const { updates, skipped } = planTagEdit(items, action === 'addTags' ? { add: tags } : { remove: tags });
+                if (Object.keys(updates).length === 0) {
+                    return {
+                        error: skipped.length > 0
+                            ? t('bulkEditTagLimit', { max: store.CONFIG.MAX_TAGS_PER_ITEM })
+                            : t('bulkEditNothingToChange') || 'Nothing to change'
+                    };
+                }
+                return { edit: { updates } };
+            }
+            case 'moveFolder':
+                if (!form.elements.folderId) return { error: t('bulkEditNoFolders') || 'There are no folders yet' };
+                return { edit: { folderId: form.elements.folderId.value } };
+            case 'movePage':
+                return { edit: { pageIndex: Number(form.elements.pageIndex.value) } };
+            case 'pin':
+            case 'unpin':
+                return { edit: { dock: action } };
+            case 'replace': {
+                const plan = planFindReplace(items, readReplace());
+                if (plan.error) return { error: t('bulkEditInvalidPattern') || 'Invalid regular expression' };
+                if (Object.keys(plan.updates).length === 0) return { error: t('bulkEditNothingToChange') || 'Nothing to change' };
+                return { edit: { updates: plan.updates } };
+            }
+            default:
+                return { error: t('bulkEditNothingToChange') || 'Nothing to change' };
+        }
+    },
+
+    /**
+     * Dry run: show what find-and-replace would change before anything is written
+     */
+    _renderBulkEditPreview(form, items, options) {
+        const preview = form.querySelector('.bulk-edit-preview');
+        if (!preview) return;
+        if (!options.find) {
+            preview.innerHTML = '';
+            return;
+        }
+
+        const plan = planFindReplace(items, options);
+        if (plan.error) {
+            preview.innerHTML = `<p class="bulk-edit-preview-summary is-error">${escapeHtml(t('bulkEditInvalidPattern') || 'Invalid regular expression')}</p>`;
+            return;
+        }
+        const applied = Object.keys(plan.updates).length;
+        preview.innerHTML = `
+            <p class="bulk-edit-preview-summary">${escapeHtml(t('bulkEditPreviewSummary', { count: applied, total: items.length }) || `${applied} of ${items.length} links change`)}</p>
+            ${this._renderPreviewRows(plan.changes)}
+        `;
+    },
+
+    /**
+     * Before → after rows, capped at PREVIEW_LIMIT
+     * @param {Array<{ before: string, after: string, valid?: boolean }>} changes
+     */
+    _renderPreviewRows(changes) {
+        const rows = changes.slice(0, PREVIEW_LIMIT).map(change => `
+            <li class="bulk-edit-preview-row${change.valid === false ? ' is-invalid' : ''}">
+                <span class="bulk-edit-preview-before">${escapeHtml(change.before)}</span>
+                <span class="bulk-edit-preview-after">${escapeHtml(change.after)}</span>
+            </li>
+        `).join('');
+        const more = changes.length - PREVIEW_LIMIT;
+        return `
+            ${rows ? `<ul class="bulk-edit-preview-list">${rows}</ul>` : ''}
+            ${more > 0 ? `<p class="bulk-edit-preview-summary">${escapeHtml(t('bulkEditPreviewMore', { count: more }) || `and ${more} more`)}</p>` : ''}
+        `;
+    },
+
+    /**
+     * List the old and new address of each redirected link before any of them is rewritten
+     * @param {Array<{ before: string, after: string }>} changes - From planLinkRedirects()
+     * @returns {Promise<boolean>} Whether the user applied the changes
+     */
+    _confirmRedirects(changes) {
+        const overlay = document.createElement('div');
+        overlay.className = 'backup-dialog-overlay';
+        overlay.innerHTML = `
+            <form class="backup-dialog bulk-edit-dialog" role="dialog" aria-modal="true" aria-labelledby="redirectPreviewTitle">
+                <h3 class="backup-dialog-title" id="redirectPreviewTitle">${escapeHtml(t('linkRedirectsPreviewTitle', { count: changes.length }) || `Update ${changes.length} links to their new address?`)}</h3>
+                <div class="bulk-edit-preview">${this._renderPreviewRows(changes)}</div>
+                <div class="backup-dialog-actions">
+                    <button type="button" class="mac-button" data-action="cancel">${escapeHtml(t('cancel') || 'Cancel')}</button>
+                    <button type="submit" class="mac-button mac-button--primary">${escapeHtml(t('bulkEditApply') || 'Apply')}</button>
+                </div>
+            </form>
+        `;
+        const form = overlay.querySelector('form');
+
+        return new Promise((resolve) => {
+            const close = (value) => {
+                overlay.remove();
+                resolve(value);
+            };
+            overlay.querySelector('[data-action="cancel"]').addEventListener('click', () => close(false));
+            overlay.addEventListener('keydown', (e) => {
+                if (e.key === 'Escape') {
+                    e.preventDefault();
+                    e.stopPropagation();
+                    close(false);
+                }
+            });
+            form.addEventListener('submit', (e) => {
+                e.preventDefault();
+                close(true);
+            });
+
+            document.body.appendChild(overlay);
+            form.querySelector('button[type="submit"]').focus();
+        });
+    }
+};
+
+export function installLinkManagerBulkEditMethods(LinkManagerComponent) {
+    Object.assign(LinkManagerComponent.prototype, linkManagerBulkEditMethods);
+}
@@ -0,0 +1,335 @@
+import { store } from './store.js';
+import { t } from '../../platform/i18n.js';
+import { toast } from '../../shared/toast.js';
+import { escapeHtml } from '../../shared/text.js';
+import { getCanonicalUrlAliases } from './link-health.js';
+import {
+    describeItemLocation,
+    findDuplicateGroups,
+    getMergeDefaults,
+    mergeDuplicateGroup,
+    pickKeeper
+} from './duplicates.js';
+
+const GROUPS_PER_PAGE = 4;
+
+/**
+ * "Find duplicates" mode of the link manager: the list shows groups of copies instead of
+ * links. Each group picks the copy to keep (its page, folder and Dock slot survive) plus the
+ * title, icon and tags of the merged link. The other copies leave their folders, which the
+ * group spells out before merging; launch counts move to the kept copy.
+ */
+export const linkManagerDuplicateMethods = {
+    async _setDuplicateMode(enabled) {
+        if (this._isProcessing || this._duplicateMode === enabled) return;
+        this._duplicateMode = enabled;
+        this._selection.clear();
+        this._container.querySelector('.link-manager')?.classList.toggle('link-manager--duplicates', enabled);
+        const toggleBtn = this._container.querySelector('.link-manager-duplicates-btn');
+        if (toggleBtn) {
+            toggleBtn.textContent = enabled
+                ? (t('linkDuplicatesExit') || 'All links')
+                : (t('linkDuplicatesFind') || 'Find duplicates');
+        }
+
+        if (enabled) {
+            try {
+                this._canonicalAliases = await getCanonicalUrlAliases();
+            } catch (error) {
+                console.warn('[LinkManager] Failed to load canonical URLs:', error);
+                this._canonicalAliases = null;
+            }
+        }
+        this._refreshDuplicateView({ resetPage: true });
+    },
+
+    _refreshDuplicateView({ resetPage = false } = {}) {
+        this._applyFilter({ resetPage });
+        this._renderList();
+        this._renderPagination();
+        this._updateHeader();
+        requestAnimationFrame(() => this._loadIcons());
+    },
+
+    _applyDuplicateFilter({ resetPage = false } = {}) {
+        const groups = findDuplicateGroups(store.getAllItemsFlat(), {
+            similarTitles: this._similarTitles,
+            aliases: this._canonicalAliases
+        });
+        const query = this._searchQuery.toLowerCase().trim();
+        this._duplicateGroups = query
+            ? groups.filter(group => group.items.some(item =>
+                (item.title || '').toLowerCase().includes(query) || (item.url || '').toLowerCase().includes(query)))
+            : groups;
+        this._searchRegex = query
+            ? new RegExp(`(${query.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')})`, 'gi')
+            : null;
+
+        const liveGroups = new Set(this._duplicateGroups.map(group => group.items[0]._id));
+        for (const groupId of this._duplicateChoices.keys()) {
+            if (!liveGroups.has(groupId)) this._duplicateChoices.delete(groupId);
+        }
+
+        const maxPage = this._getDuplicatePageCount();
+        if (resetPage || this._currentPage < 1) {
+            this._currentPage = 1;
+        } else if (this._currentPage > maxPage) {
+            this._currentPage = maxPage;
+        }
+    },
+
+    _getDuplicatePageCount() {
+        return Math.ceil(this._duplicateGroups.length / GROUPS_PER_PAGE) || 1;
+    },
+
+    _getDuplicatePageGroups() {
+        const start = (this._currentPage - 1) * GROUPS_PER_PAGE;
+        return this._duplicateGroups.slice(start, start + GROUPS_PER_PAGE);
+    },
+
+    _findDuplicateGroup(groupId) {
+        return this._duplicateGroups.find(group => group.items[0]._id === groupId) || null;
+    },
+
+    /**
+     * Current merge choices of a group, falling back to the defaults for its keeper
+     * @returns {{ keepId: string, title: string, icon: string, mergeTags: boolean }}
+     */
+    _getDuplicateChoice(group) {
+        const groupId = group.items[0]._id;
+        const saved = this._duplicateChoices.get(groupId);
+        if (saved && group.items.some(item => item._id === saved.keepId)) return saved;
+
+        const keeper = pickKeeper(group.items);
+        const defaults = getMergeDefaults(group.items, keeper);
+        const choice = { keepId: keeper._id, title: defaults.title, icon: defaults.icon, mergeTags: true };
+        this._duplicateChoices.set(groupId, choice);
+        return choice;
+    },
+
+    _describeDuplicateLocation(item) {
+        const { pageIndex, folder, pinned } = describeItemLocation(item);
+        const parts = [];
+        if (pageIndex !== null) parts.push(t('linkDuplicatesPage', { page: pageIndex + 1 }) || `Page ${pageIndex + 1}`);
+        if (folder !== null) parts.push(t('linkDuplicatesFolder', { name: folder || t('folderDefaultName') }) || `Folder ${folder}`);
+        if (pinned) parts.push(t('linkDuplicatesDock') || 'Dock');
+        return parts.join(' · ');
+    },
+
+    /**
+     * Folders that lose a copy when `keepId` is kept, and which of them end up empty and are removed
+     * @returns {string} Empty when no other copy sits in a folder of its own
+     */
+    _describeDuplicateFolderLoss(group, keepId) {
+        const keptFolderId = store.getFolderForItem(keepId)?._id ?? null;
+        const removing = new Set(group.items.filter(item => item._id !== keepId).map(item => item._id));
+        const left = [];
+        const emptied = [];
+        const seen = new Set();
+        for (const id of removing) {
+            const folder = store.getFolderForItem(id);
+            if (!folder || folder._id === keptFolderId || seen.has(folder._id)) continue;
+            seen.add(folder._id);
+            const name = t('linkDuplicatesFolder', { name: folder.title || t('folderDefaultName') }) || `Folder ${folder.title}`;
+            (folder.children.every(childId => removing.has(childId)) ? emptied : left).push(name);
+        }
+        const notes = [];
+        if (left.length > 0) {
+            notes.push(t('linkDuplicatesLeavesFolders', { folders: left.join(', ') }) || `The other copies are taken out of ${left.join(', ')}.`);
+        }
+        if (emptied.length > 0) {
+            notes.push(t('linkDuplicatesRemovesFolders', { folders: emptied.join(', ') }) || `${emptied.join(', ')} will be empty and removed.`);
+        }
+        return notes.join(' ');
+    },
+
+    _renderDuplicateList(listEl) {
+        const groups = this._getDuplicatePageGroups();
+        if (groups.length === 0) {
+            listEl.innerHTML = `
+                <li class="link-manager-empty-state">
+                    <span class="empty-state-text">
+                        ${escapeHtml(this._searchQuery
+                ? (t('linkManagerNoResults') || 'No search results')
+                : (t('linkDuplicatesNone') || 'No duplicates found'))}
+                    </span>
+                </li>
+            `;
+            this._updateHeader();
+            return;
+        }
+
+        listEl.innerHTML = groups.map(group => this._renderDuplicateGroup(group)).join('');
+        this._updateHeader();
+    },
+
+    _renderDuplicateGroup(group) {
+        const groupId = group.items[0]._id;
+        const choice = this._getDuplicateChoice(group);
+        const disabled = this._isProcessing ? ' disabled' : '';
+        const reason = group.reason === 'url'
+            ? (t('linkDuplicatesSameUrl') || 'Same address')
+            : (t('linkDuplicatesSimilarTitle') || 'Similar title');
+
+        const copies = group.items.map(item => `
+            <li class="mac-list-item link-duplicate-copy${item._id === choice.keepId ? ' selected' : ''}">
+                <label class="link-duplicate-keep">
+                    <input type="radio" name="keep-${escapeHtml(groupId)}" value="${escapeHtml(item._id)}"
+                           class="link-duplicate-keep-input"${item._id === choice.keepId ? ' checked' : ''}${disabled}>
+                </label>
+                <div class="list-item-icon-area">
+                    <div class="mac-app-icon" data-url="${escapeHtml(item.url)}"${item.icon ? ` data-custom-icon="${escapeHtml(item.icon)}"` : ''}></div>
+                </div>
+                <div class="list-item-content">
+                    <div class="list-item-title">${this._highlightMatch(item.title || this._getHostname(item.url), this._searchQuery)}</div>
+                    <div class="list-item-subtitle">${this._highlightMatch(this._truncateUrl(item.url, 60), this._searchQuery)}</div>
+                    <div class="link-duplicate-location">${escapeHtml(this._describeDuplicateLocation(item))}</div>
+                </div>
+            </li>
+        `).join('');
+
+        const titles = [...new Set(group.items.map(item => item.title || '').filter(Boolean))];
+        const icons = [...new Set(group.items.map(item => item.icon || ''))];
+        const tagSets = new Set(group.items.map(item => (item.tags || []).slice().sort().join('\u0000')));
+
+        const fields = [];
+        if (titles.length > 1) {
+            fields.push(`
+                <label class="link-duplicate-field">
+                    <span>${escapeHtml(t('linkDuplicatesTitle') || 'Title')}</span>
+                    <select class="mac-select-input link-duplicate-title"${disabled}>
+                        ${titles.map(title => `<option value="${escapeHtml(title)}"${title === choice.title ? ' selected' : ''}>${escapeHtml(title)}</option>`).join('')}
+                    </select>
+                </label>
+            `);
+        }
+        if (icons.length > 1) {
+            fields.push(`
+                <label class="link-duplicate-field">
+                    <span>${escapeHtml(t('linkDuplicatesIcon') || 'Icon')}</span>
+                    <select class="mac-select-input link-duplicate-icon"${disabled}>
+                        ${icons.map(icon => `<option value="${escapeHtml(icon)}"${icon === choice.icon ? ' selected' : ''}>${escapeHtml(icon ? this._truncateUrl(icon, 40) : (t('linkDuplicatesAutoIcon') || 'Automatic icon'))}</option>`).join('')}
+                    </select>
+                </label>
+            `);
+        }
+        const folderLoss = this._describeDuplicateFolderLoss(group, choice.keepId);
+        if (tagSets.size > 1) {
+            fields.push(`
+                <label class="link-duplicate-field link-duplicate-field--inline">
+                    <input type="checkbox" class="link-duplicate-tags"${choice.mergeTags ? ' checked' : ''}${disabled}>
+                    <span>${escapeHtml(t('linkDuplicatesMergeTags') || 'Combine tags from all copies')}</span>
+                </label>
+            `);
+        }
+
+        return `
+            <li class="link-duplicate-group" data-group="${escapeHtml(groupId)}">
+                <div class="link-duplicate-header">
+                    <span class="link-duplicate-summary">${escapeHtml(t('linkDuplicatesCopies', { count: group.items.length }) || `${group.items.length} copies`)} · ${escapeHtml(reason)}</span>
+                    <button type="button" class="mac-button mac-button--small link-duplicate-merge-btn"${disabled}>
+                        ${escapeHtml(t('linkDuplicatesMerge') || 'Merge')}
+                    </button>
+                </div>
+                <ul class="link-duplicate-copies" role="list">${copies}</ul>
+                ${folderLoss ? `<p class="link-duplicate-warning">${escapeHtml(folderLoss)}</p>` : ''}
+                ${fields.length > 0 ? `<div class="link-duplicate-fields">${fields.join('')}</div>` : ''}
+            </li>
+        `;
+    },
+
+    /**
+     * Clicks inside the duplicate list
+     * @returns {boolean} Whether the event was handled
+     */
+    _handleDuplicateClick(e) {
+        const mergeBtn = e.target.closest('.link-duplicate-merge-btn');
+        if (!mergeBtn) return false;
+        const group = this._findDuplicateGroup(mergeBtn.closest('.link-duplicate-group')?.dataset.group);
+        if (group) this._mergeDuplicateGroups([group]);
+        return true;
+    },
+
+    _handleDuplicateChange(e) {
+        const groupEl = e.target.closest('.link-duplicate-group');
+        const group = this._findDuplicateGroup(groupEl?.dataset.group);
+        if (!group) return;
+        const choice = this._getDuplicateChoice(group);
+
+        if (e.target.classList.contains('link-duplicate-keep-input')) {
+            const keeper = group.items.find(item => item._id === e.target.value);
+            if (!keeper) return;
+            // A new keeper brings its own title and icon; the selects can still override them
+            const defaults = getMergeDefaults(group.items, keeper);
+            Object.assign(choice, { keepId: keeper._id, title: defaults.title, icon: defaults.icon });
+            groupEl.outerHTML = this._renderDuplicateGroup(group);
+            requestAnimationFrame(() => this._loadIcons());
+        } else if (e.target.classList.contains('link-duplicate-title')) {
+            choice.title = e.target.value;
+        } else if (e.target.classList.contains('link-duplicate-icon')) {
+            choice.icon = e.target.value;
+        } else if (e.target.classList.contains('link-duplicate-tags')) {
+            choice.mergeTags = e.target.checked;
+        }
+    },
+
+    async _mergeDuplicateGroups(groups) {
+        if (this._isProcessing || groups.length === 0) return;
+
+        this._isProcessing = true;
+        this._renderList();
+
+        const undo = { snapshots: [], folders: [], kept: [], usage: {}, dockPins: store.dockPins.slice() };
+        let merged = 0;
+        try {
+            for (const group of groups) {
+                const choice = this._getDuplicateChoice(group);
+                const keeper = group.items.find(item => item._id === choice.keepId);
+                const others = group.items.filter(item => item._id !== choice.keepId).map(item => item._id);
+                undo.snapshots.push(...store.captureRestoreSnapshot(others));
+                for (const id of others) {
+                    const folder = store.getFolderForItem(id);
+                    if (folder) undo.folders.push({ id, folderId: folder._id });
+                }
+                undo.kept.push({ id: keeper._id, title: keeper.title, icon: keeper.icon, tags: keeper.tags || [] });
+                for (const item of group.items) undo.usage[item._id] = store.getUsage(item._id);
+
+                const result = await mergeDuplicateGroup(group.items, choice.keepId, {
+                    title: choice.title,
+                    icon: choice.icon,
+                    ...(choice.mergeTags ? {} : { tags: keeper.tags || [] })
+                });
+                if (result) merged += result.removedIds.filter(id => others.includes(id)).length;
+                this._duplicateChoices.delete(group.items[0]._id);
+            }
+            this._undoData = { snapshots: undo.snapshots, merge: undo };
+            this._showUndoToast(merged, t('linkDuplicatesMerged', { count: merged }) || `Merged ${merged} duplicates`);
+        } catch (error) {
+            console.error('[LinkManager] Failed to merge duplicates:', error);
+            toast(t('linkDuplicatesMergeFailed') || 'Failed to merge duplicates', { type: 'error' });
+        } finally {
+            this._isProcessing = false;
+            this._refreshDuplicateView();
+        }
+    },
+
+    /**
+     * Second half of undoing a merge, after the removed copies are restored: put them back
+     * in their folders, give the kept links their old fields and launch counts and restore
+     * the Dock order.
+     */
+    async _undoDuplicateMerge({ folders, kept, usage, dockPins }) {
+        for (const { id, folderId } of folders) {
+            await store.addToFolder(folderId, id);
+        }
+        for (const { id, ...fields } of kept) {
+            if (store.getItem(id)) await store.updateItem(id, fields);
+        }
+        await store.restoreUsage(usage);
+        await store.reorderDock(dockPins);
+    }
+};
+
+export function installLinkManagerDuplicateMethods(LinkManagerComponent) {
+    Object.assign(LinkManagerComponent.prototype, linkManagerDuplicateMethods);
+}
@@ -5,6 +5,17 @@ import { toast } from '../../shared/toast.js';
 import { buildIconCacheKey, getFaviconUrlCandidates, setImageSrcWithFallback } from '../../shared/favicon.js';
 import { extractHostname } from '../../shared/text.js';
 import { escapeHtml, getInitial } from '../../shared/text.js';
+import {
+    LINK_HEALTH_BADGES,
+    applyLinkRedirects,
+    getCachedItemHealth,
+    getLinkHealthBadge,
+    planLinkRedirects,
+    runLinkHealthCheck,
+    watchLinkHealth
+} from './link-health.js';
+import { installLinkManagerDuplicateMethods } from './link-manager-duplicates.js';
+import { installLinkManagerBulkEditMethods } from './link-manager-bulk-edit.js';
 
 const CONFIG = {
     ITEMS_PER_PAGE: 10,
@@ -12,6 +23,12 @@ const CONFIG = {
     UNDO_TIMEOUT_MS: 5000
 };
 
+const HEALTH_LABEL_KEYS = {
+    invalid: 'linkHealthFilterInvalid',
+    suspicious: 'linkHealthFilterSuspicious',
+    redirected: 'linkHealthFilterRedirected'
+};
+
 export class LinkManagerComponent {
     constructor(container) {
         this._container = container;
@@ -26,7 +43,15 @@ export class LinkManagerComponent {
         this._searchDebounceTimer = null;
         this._searchRegex = null; // Cache pre-compiled regex
         this._unsubscribe = null;
+        this._unwatchHealth = null;
+        this._healthFilter = 'all';
         this._isProcessing = false;
+        this._isChecking = false;
+        this._duplicateMode = false;
+        this._similarTitles = false;
+        this._duplicateGroups = [];
+        this._duplicateChoices = new Map();
+        this._canonicalAliases = null;
 
         this._init();
     }
@@ -38,7 +63,7 @@ export class LinkManagerComponent {
         this._bindEvents();
 
         this._unsubscribe = store.subscribe((event) => {
-            if (['itemUpdated', 'itemDeleted', 'itemAdded', 'itemsBulkDeleted', 'reordered'].includes(event)) {
+            if (['itemUpdated', 'itemDeleted', 'itemAdded', 'itemsBulkDeleted', 'reordered', 'folderChanged', 'dockChanged'].includes(event)) {
                 this._loadItems();
                 this._applyFilter({ resetPage: false });
                 this._renderList();
@@ -46,6 +71,14 @@ export class LinkManagerComponent {
                 requestAnimationFrame(() => this._loadIcons());
             }
         });
+
+        this._unwatchHealth = watchLinkHealth(() => {
+            this._applyFilter({ resetPage: false });
+            this._renderList();
+            this._renderPagination();
+            this._updateHealthFilter();
+            requestAnimationFrame(() => this._loadIcons());
+        });
     }
 
     _loadItems() {
@@ -53,6 +86,11 @@ export class LinkManagerComponent {
     }
 
     _applyFilter({ resetPage = false } = {}) {
+        if (this._duplicateMode) {
+            this._applyDuplicateFilter({ resetPage });
+            return;
+        }
+
         if (this._items.length === 0) {
             this._filteredItems = [];
             this._searchRegex = null;
@@ -61,11 +99,14 @@ export class LinkManagerComponent {
         }
 
         const query = this._searchQuery.toLowerCase().trim();
+        const candidates = this._healthFilter === 'all'
+            ? this._items
+            : this._items.filter(item => this._getHealthBadge(item) === this._healthFilter);
         if (!query) {
-            this._filteredItems = [...this._items];
+            this._filteredItems = [...candidates];
             this._searchRegex = null;
         } else {
-            this._filteredItems = this._items.filter(item => {
+            this._filteredItems = candidates.filter(item => {
                 const title = (item.title || '').toLowerCase();
                 const url = (item.url || '').toLowerCase();
                 return title.includes(query) || url.includes(query);
@@ -88,7 +129,17 @@ export class LinkManagerComponent {
         }
     }
 
+    _getHealthBadge(item) {
+        return getLinkHealthBadge(getCachedItemHealth(item));
+    }
+
+    _getPageCount() {
+        if (this._duplicateMode) return this._getDuplicatePageCount();
+        return Math.ceil(this._filteredItems.length / this._itemsPerPage) || 1;
+    }
+
     _getCurrentPageItems() {
+        if (this._duplicateMode) return [];
         const startIndex = (this._currentPage - 1) * this._itemsPerPage;
         return this._filteredItems.slice(startIndex, startIndex + this._itemsPerPage);
     }
@@ -115,11 +166,48 @@ export class LinkManagerComponent {
                             <button type="button" class="mac-button mac-button--small link-manager-clear-btn">
                                 ${t('linkManagerClearSelection') || 'Clear selection'}
                             </button>
+                            <button type="button" class="mac-button mac-button--small link-manager-open-btn">
+                                ${t('linkManagerOpenSelected') || 'Open'}
+                            </button>
+                            <button type="button" class="mac-button mac-button--small link-manager-redirect-btn">
+                                ${t('linkManagerUpdateRedirects') || 'Update URL'}
+                            </button>
+                            <button type="button" class="mac-button mac-button--small link-manager-edit-btn">
+                                ${t('bulkEditOpen') || 'Edit…'}
+                            </button>
                             <button type="button" class="mac-button mac-button--small mac-button--danger link-manager-delete-btn">
                                 ${t('linkManagerDeleteSelected') || 'Delete selected'}
                             </button>
                         </div>
 
+                        <!-- Duplicate Finder -->
+                        <div class="link-manager-duplicate-tools">
+                            <label class="link-manager-similar-toggle">
+                                <input type="checkbox" class="link-manager-similar-input">
+                                <span>${t('linkDuplicatesSimilarToggle') || 'Similar titles'}</span>
+                            </label>
+                            <button type="button" class="mac-button mac-button--small link-manager-merge-all-btn">
+                                ${t('linkDuplicatesMergeAll') || 'Merge all'}
+                            </button>
+                        </div>
+                        <button type="button" class="mac-button mac-button--small link-manager-duplicates-btn">
+                            ${t('linkDuplicatesFind') || 'Find duplicates'}
+                        </button>
+
+                        <!-- Dead-link Check -->
+                        <button type="button" class="mac-button mac-button--small link-manager-check-btn">
+                            ${t('linkHealthCheckNow') || 'Check links'}
+                        </button>
+                        <div class="mac-select link-manager-health-filter">
+                            <select class="mac-select-input" aria-label="${escapeHtml(t('linkHealthFilterLabel') || 'Link status')}">
+                                <option value="all">${escapeHtml(t('linkHealthFilterAll') || 'All links')}</option>
+                                ${LINK_HEALTH_BADGES.map(badge => `<option value="${badge}"></option>`).join('')}
+                            </select>
+                            <span class="mac-select-arrow">
+                                <svg viewBox="0 0 12 12"><path d="M3 5l3 3 3-3" stroke="currentColor" fill="none" stroke-width="1.5"/></svg>
+                            </span>
+                        </div>
+
                         <!-- Search Box -->
                         <div class="mac-search-wrapper">
                             <svg class="mac-search-icon" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
@@ -168,6 +256,43 @@ export class LinkManagerComponent {
 
         this._renderList();
         this._renderPagination();
+        this._updateHealthFilter();
+    }
+
+    /**
+     * Refresh per-status counts in the filter and the state of the fix buttons
+     */
+    _updateHealthFilter() {
+        const select = this._container.querySelector('.link-manager-health-filter select');
+        if (select) {
+            const counts = Object.fromEntries(LINK_HEALTH_BADGES.map(badge => [badge, 0]));
+            for (const item of this._items) {
+                const badge = this._getHealthBadge(item);
+                if (badge) counts[badge]++;
+            }
+            for (const badge of LINK_HEALTH_BADGES) {
+                const option = select.querySelector(`option[value="${badge}"]`);
+                if (option) option.textContent = `${t(HEALTH_LABEL_KEYS[badge])} (${counts[badge]})`;
+            }
+            select.value = this._healthFilter;
+        }
+
+        const checkBtn = this._container.querySelector('.link-manager-check-btn');
+        if (checkBtn) checkBtn.disabled = this._isChecking || this._isProcessing;
+
+        const mergeAllBtn = this._container.querySelector('.link-manager-merge-all-btn');
+        if (mergeAllBtn) mergeAllBtn.disabled = this._isProcessing || this._duplicateGroups.length === 0;
+        const duplicatesBtn = this._container.querySelector('.link-manager-duplicates-btn');
+        if (duplicatesBtn) duplicatesBtn.disabled = this._isProcessing;
+
+        const editBtn = this._container.querySelector('.link-manager-edit-btn');
+        if (editBtn) editBtn.disabled = this._isProcessing;
+
+        const redirectBtn = this._container.querySelector('.link-manager-redirect-btn');
+        if (redirectBtn) {
+            redirectBtn.disabled = this._isProcessing || !Array.from(this._selection)
+                .some(id => this._getHealthBadge(this._items.find(item => item._id === id)) === 'redirected');
+        }
     }
 
     _updateHeader() {
@@ -176,7 +301,9 @@ export class LinkManagerComponent {
         const bulkActionsEl = this._container.querySelector('.link-manager-bulk-actions');
 
         if (totalCountEl) {
-            totalCountEl.textContent = t('itemCount', { count: this._items.length }) || `${this._items.length} items`;
+            totalCountEl.textContent = this._duplicateMode
+                ? (t('linkDuplicatesGroupCount', { count: this._duplicateGroups.length }) || `${this._duplicateGroups.length} groups`)
+                : (t('itemCount', { count: this._items.length }) || `${this._items.length} items`);
             totalCountEl.classList.toggle('hidden', this._selection.size > 0);
         }
 
@@ -188,6 +315,7 @@ export class LinkManagerComponent {
         if (bulkActionsEl) {
             bulkActionsEl.classList.toggle('hidden', !hasSelection || this._isProcessing);
         }
+        this._updateHealthFilter();
     }
 
     _updateSelectAllCheckbox() {
@@ -206,6 +334,11 @@ export class LinkManagerComponent {
         const listEl = this._container.querySelector('.link-manager-list');
         if (!listEl) return;
 
+        if (this._duplicateMode) {
+            this._renderDuplicateList(listEl);
+            return;
+        }
+
         const displayItems = this._getCurrentPageItems();
 
         if (displayItems.length === 0) {
@@ -218,7 +351,7 @@ export class LinkManagerComponent {
                         </svg>
                     </div>
                     <span class="empty-state-text">
-                        ${this._searchQuery
+                        ${this._searchQuery || this._healthFilter !== 'all'
                     ? (t('linkManagerNoResults') || 'No search results')
                     : (t('linkManagerEmpty') || 'No links')}
                     </span>
@@ -233,8 +366,7 @@ export class LinkManagerComponent {
     }
 
     _renderPagination() {
-        const totalItems = this._filteredItems.length;
-        const totalPages = Math.ceil(totalItems / this._itemsPerPage) || 1;
+        const totalPages = this._getPageCount();
 
         const prevBtn = this._container.querySelector('.pagination-prev');
         const nextBtn = this._container.querySelector('.pagination-next');
@@ -250,6 +382,11 @@ export class LinkManagerComponent {
         const title = item.title || this._getHostname(item.url);
         const displayUrl = this._truncateUrl(item.url, 60);
         const customIconAttr = item.icon ? ` data-custom-icon="${escapeHtml(item.icon)}"` : '';
+        const badge = this._getHealthBadge(item);
+        const finalUrl = getCachedItemHealth(item)?.finalUrl;
+        const badgeHtml = badge
+            ? `<span class="link-health-badge link-health-badge--${badge}"${badge === 'redirected' && finalUrl ? ` title="${escapeHtml(finalUrl)}"` : ''}>${escapeHtml(t(HEALTH_LABEL_KEYS[badge]))}</span>`
+            : '';
 
         return `
             <li class="mac-list-item${isSelected ? ' selected' : ''}" data-id="${item._id}">
@@ -265,11 +402,18 @@ export class LinkManagerComponent {
                 </div>
 
                 <div class="list-item-content">
-                    <div class="list-item-title">${this._highlightMatch(title, this._searchQuery)}</div>
+                    <div class="list-item-title">${this._highlightMatch(title, this._searchQuery)}${badgeHtml}</div>
                     <div class="list-item-subtitle">${this._highlightMatch(displayUrl, this._searchQuery)}</div>
                 </div>
 
                 <div class="list-item-actions">
+                    ${badge === 'redirected' && finalUrl ? `
+                    <button type="button" class="mac-icon-button update-url-btn" title="${escapeHtml(t('linkHealthUpdateUrl', { url: finalUrl }) || `Update to ${finalUrl}`)}"${this._isProcessing ? ' disabled' : ''}>
+                        <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                            <polyline points="23 4 23 10 17 10"></polyline>
+                            <path d="M20.49 15a9 9 0 1 1-2.12-9.36L23 10"></path>
+                        </svg>
+                    </button>` : ''}
                     <button type="button" class="mac-icon-button edit-btn" title="${t('contextEdit') || 'Edit'}"${this._isProcessing ? ' disabled' : ''}>
                         <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
                             <path d="M11 4H4a2 2 0 0 0-2 2v14a2 2 0 0 0 2 2h14a2 2 0 0 0 2-2v-7"></path>
@@ -323,6 +467,8 @@ export class LinkManagerComponent {
             listEl.addEventListener('change', (e) => {
                 if (e.target.classList.contains('item-checkbox')) {
                     this._handleCheckboxChange(e);
+                } else if (this._duplicateMode) {
+                    this._handleDuplicateChange(e);
                 }
             });
         }
@@ -341,8 +487,7 @@ export class LinkManagerComponent {
         });
 
         nextBtn?.addEventListener('click', () => {
-            const totalPage = Math.ceil(this._filteredItems.length / this._itemsPerPage) || 1;
-            if (this._currentPage < totalPage) {
+            if (this._currentPage < this._getPageCount()) {
                 this._currentPage++;
                 this._renderList();
                 this._renderPagination();
@@ -363,10 +508,41 @@ export class LinkManagerComponent {
 
         deleteBtn?.addEventListener('click', () => this._handleBulkDelete());
 
+        this._container.querySelector('.link-manager-open-btn')
+            ?.addEventListener('click', () => this._handleBulkOpen());
+        this._container.querySelector('.link-manager-redirect-btn')
+            ?.addEventListener('click', () => this._handleBulkUpdateRedirects());
+        this._container.querySelector('.link-manager-edit-btn')
+            ?.addEventListener('click', () => this._handleBulkEdit());
+        this._container.querySelector('.link-manager-check-btn')
+            ?.addEventListener('click', () => this._handleCheckLinks());
+        this._container.querySelector('.link-manager-duplicates-btn')
+            ?.addEventListener('click', () => this._setDuplicateMode(!this._duplicateMode));
+        this._container.querySelector('.link-manager-similar-input')
+            ?.addEventListener('change', (e) => {
+                this._similarTitles = e.target.checked;
+                this._refreshDuplicateView({ resetPage: true });
+            });
+        this._container.querySelector('.link-manager-merge-all-btn')
+            ?.addEventListener('click', () => this._mergeDuplicateGroups(this._duplicateGroups.slice()));
+        this._container.querySelector('.link-manager-health-filter select')
+            ?.addEventListener('change', (e) => {
+                this._healthFilter = e.target.value;
+                this._applyFilter({ resetPage: true });
+                this._renderList();
+                this._renderPagination();
+                requestAnimationFrame(() => this._loadIcons());
+            });
+
         requestAnimationFrame(() => this._loadIcons());
     }
 
     _handleListClick(e) {
+        if (this._duplicateMode) {
+            this._handleDuplicateClick(e);
+            return;
+        }
+
         if (e.target.closest('.edit-btn')) {
             const itemEl = e.target.closest('.mac-list-item');
             if (itemEl) {
@@ -386,6 +562,12 @@ export class LinkManagerComponent {
             return;
         }
 
+        if (e.target.closest('.update-url-btn')) {
+            const itemEl = e.target.closest('.mac-list-item');
+            if (itemEl) this._applyRedirects([itemEl.dataset.id]);
+            return;
+        }
+
         if (!e.target.closest('.list-item-checkbox-area') && !e.target.closest('.list-item-actions')) {
             const itemEl = e.target.closest('.mac-list-item');
             if (itemEl && !this._isProcessing) {
@@ -452,9 +634,89 @@ export class LinkManagerComponent {
         }
     }
 
-    _showUndoToast(count) {
+    _handleBulkOpen() {
+        const urls = Array.from(this._selection)
+            .map(id => this._items.find(item => item._id === id))
+            .map(item => (item?.url ? store.getSafeUrl(item.url) : null))
+            .filter(Boolean);
+        for (const url of urls) {
+            // Opened in the background so the settings window stays in front
+            if (chrome.tabs?.create) {
+                chrome.tabs.create({ url, active: false });
+            } else {
+                window.open(url, '_blank', 'noopener,noreferrer');
+            }
+        }
+    }
+
+    _handleBulkUpdateRedirects() {
+        if (this._selection.size === 0) return;
+        return this._applyRedirects(Array.from(this._selection));
+    }
+
+    async _applyRedirects(ids) {
+        if (this._isProcessing) return;
+        const changes = await planLinkRedirects(ids);
+        if (changes.length === 0 || !(await this._confirmRedirects(changes))) return;
+
+        this._isProcessing = true;
+        this._renderList();
+
+        try {
+            const { updated, undo } = await applyLinkRedirects(changes.map(change => change.id));
+            const message = t('linkManagerRedirectsUpdated', { count: updated }) || `Updated ${updated} links`;
+            if (undo) {
+                this._undoData = { bulkEdit: undo };
+                this._showUndoToast(updated, message);
+            } else {
+                toast(message, { type: 'success' });
+            }
+        } catch (error) {
+            console.error('[LinkManager] Failed to update redirected links:', error);
+            toast(t('linkManagerRedirectsFailed') || 'Failed to update links', { type: 'error' });
+        } finally {
+            this._isProcessing = false;
+            this._renderList();
+            this._renderPagination();
+        }
+    }
+
+    async _handleCheckLinks() {
+        if (this._isChecking || this._isProcessing) return;
+        if (!navigator.onLine) {
+            toast(t('linkHealthOffline') || 'You are offline', { type: 'info' });
+            return;
+        }
+
+        const checkBtn = this._container.querySelector('.link-manager-check-btn');
+        const label = checkBtn?.textContent;
+        this._isChecking = true;
+        this._updateHealthFilter();
+
+        try {
+            const summary = await runLinkHealthCheck({
+                ids: this._items.map(item => item._id),
+                force: true,
+                limit: 0,
+                onProgress: ({ current, total }) => {
+                    if (checkBtn) checkBtn.textContent = `${current} / ${total}`;
+                }
+            });
+            toast(t('linkHealthCheckDone', summary) || `Checked ${summary.checked} links`, {
+                type: summary.invalid > 0 ? 'info' : 'success'
+            });
+        } catch (error) {
+            console.error('[LinkManager] Link check failed:', error);
+            toast(t('linkHealthCheckFailed') || 'Link check failed', { type: 'error' });
+        } finally {
+            this._isChecking = false;
+            if (checkBtn?.isConnected) checkBtn.textContent = label;
+            this._updateHealthFilter();
+        }
+    }
+
+    _showUndoToast(count, message = t('linkManagerDeletedCount', { count }) || `Deleted ${count} links`) {
         clearTimeout(this._undoTimer);
-        const message = t('linkManagerDeletedCount', { count }) || `Deleted ${count} links`;
 
         toast(message, {
             type: 'success',
@@ -469,15 +731,17 @@ export class LinkManagerComponent {
     }
 
     async _handleUndo() {
-        if (this._isProcessing || !this._undoData?.snapshots?.length) return;
+        if (this._isProcessing || !(this._undoData?.snapshots?.length || this._undoData?.bulkEdit)) return;
         clearTimeout(this._undoTimer);
-        const snapshots = this._undoData.snapshots;
+        const { snapshots, merge, bulkEdit } = this._undoData;
         this._undoData = null;
         this._isProcessing = true;
         this._renderList();
 
         try {
-            await store.restoreItemsFromSnapshot(snapshots);
+            if (bulkEdit) await store.restoreBulkEdit(bulkEdit);
+            else await store.restoreItemsFromSnapshot(snapshots);
+            if (merge) await this._undoDuplicateMerge(merge);
             toast(t('linkManagerUndoSuccess') || 'Restored', { type: 'success' });
         } finally {
             this._isProcessing = false;
@@ -539,8 +803,12 @@ export class LinkManagerComponent {
 
     destroy() {
         if (this._unsubscribe) { this._unsubscribe(); this._unsubscribe = null; }
+        if (this._unwatchHealth) { this._unwatchHealth(); this._unwatchHealth = null; }
         clearTimeout(this._searchDebounceTimer);
         clearTimeout(this._undoTimer);
         this._container.innerHTML = '';
     }
 }
+
+installLinkManagerDuplicateMethods(LinkManagerComponent);
+installLinkManagerBulkEditMethods(LinkManagerComponent);
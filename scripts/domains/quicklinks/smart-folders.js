@@ -0,0 +1,148 @@
+/**
+ * Smart folder rules.
+ *
+ * A smart folder is a stored folder whose `smart` rule replaces its `children` list: members
+ * are computed from the current links every time the folder is read, so they never go stale
+ * and never need saving. A rule is one saved search query:
+ *
+ *   #tag            links carrying the tag
+ *   site:pattern    links whose host matches (`github.com` also covers subdomains, `*` is a wildcard)
+ *   added:7d        links created in the last N days, newest first
+ *   is:broken       links the dead-link check marked invalid
+ *
+ * This module is pure; QuickLinksStore owns the folder records and supplies the links.
+ */
+
+import { extractHostname } from '../../shared/text.js';
+
+export const SMART_RULE_TYPES = Object.freeze(['tag', 'host', 'recent', 'broken']);
+
+export const SMART_RECENT_MAX_DAYS = 365;
+
+const MAX_RULE_VALUE_LENGTH = 100;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * @param {*} raw - Stored or imported rule
+ * @returns {{ type: string, value: string|number }|null} null when the rule cannot match anything
+ */
+export function normalizeSmartRule(raw) {
+    if (!raw || typeof raw !== 'object' || !SMART_RULE_TYPES.includes(raw.type)) return null;
+    switch (raw.type) {
+        case 'tag': {
+            const value = String(raw.value ?? '').trim().replace(/^#/, '').slice(0, MAX_RULE_VALUE_LENGTH);
+            return value ? { type: 'tag', value } : null;
+        }
+        case 'host': {
+            const value = normalizeHostPattern(raw.value);
+            return value ? { type: 'host', value } : null;
+        }
+        case 'recent': {
+            const days = Math.floor(Number(raw.value));
+            return days >= 1 ? { type: 'recent', value: Math.min(days, SMART_RECENT_MAX_DAYS) } : null;
+        }
+        default:
+            return { type: 'broken', value: '' };
+    }
+}
+
+/**
+ * Host pattern without scheme, port, path or a leading `www.`
+ */
+function normalizeHostPattern(raw) {
+    return String(raw ?? '').trim().toLowerCase()
+        .replace(/^[a-z][a-z0-9+.-]*:\/\//, '')
+        .replace(/[/:?#].*$/, '')
+        .replace(/^www\./, '')
+        .replace(/[^a-z0-9.*-]/g, '')
+        .replace(/\*{2,}/g, '*')
+        .slice(0, MAX_RULE_VALUE_LENGTH);
+}
+
+function matchesHost(pattern, host) {
+    if (!host) return false;
+    if (!pattern.includes('*')) {
+        return host === pattern || host.endsWith(`.${pattern}`);
+    }
+    const source = pattern.split('*').map(part => part.replace(/[.-]/g, '\\$&')).join('.*');
+    return new RegExp(`^${source}$`).test(host);
+}
+
+/**
+ * Parse a search query into a rule
+ * @param {string} query
+ * @returns {{ type: string, value: string|number }|null}
+ */
+export function parseSmartQuery(query) {
+    const q = String(query ?? '').trim();
+    if (q.startsWith('#')) return normalizeSmartRule({ type: 'tag', value: q.slice(1) });
+
+    const match = /^(site|added|is):\s*(\S+)$/i.exec(q);
+    if (!match) return null;
+    const [, key, value] = match;
+    switch (key.toLowerCase()) {
+        case 'site':
+            return normalizeSmartRule({ type: 'host', value });
+        case 'added': {
+            const days = /^(\d+)d?$/i.exec(value);
+            return days ? normalizeSmartRule({ type: 'recent', value: days[1] }) : null;
+        }
+        default:
+            return value.toLowerCase() === 'broken' ? { type: 'broken', value: '' } : null;
+    }
+}
+
+/**
+ * Inverse of parseSmartQuery()
+ * @param {{ type: string, value: string|number }|null} rule
+ * @returns {string}
+ */
+export function formatSmartQuery(rule) {
+    const normalized = normalizeSmartRule(rule);
+    if (!normalized) return '';
+    switch (normalized.type) {
+        case 'tag': return `#${normalized.value}`;
+        case 'host': return `site:${normalized.value}`;
+        case 'recent': return `added:${normalized.value}d`;
+        default: return 'is:broken';
+    }
+}
+
+/**
+ * Links matching a rule, in the given order (newest first for `recent`)
+ * @param {{ type: string, value: string|number }} rule - A normalized rule
+ * @param {Array<Object>} items - Links only; folders and system items are skipped
+ * @param {{ now?: number, getHealthBadge?: (item: Object) => string|null }} [options]
+ * @returns {Array<Object>}
+ */
+export function filterBySmartRule(rule, items, { now = Date.now(), getHealthBadge = () => null } = {}) {
+    const links = (Array.isArray(items) ? items : [])
+        .filter(item => item?._id && item.type !== 'folder' && !item.isSystemItem);
+
+    switch (rule?.type) {
+        case 'tag': {
+            const tag = String(rule.value).toLowerCase();
+            return links.filter(item => Array.isArray(item.tags) && item.tags.some(t => t.toLowerCase() === tag));
+        }
+        case 'host':
+            return links.filter(item => matchesHost(rule.value, extractHostname(item.url, { httpOnly: true })));
+        case 'recent': {
+            const since = now - rule.value * DAY_MS;
+            return links
+                .filter(item => Number(item.createdAt) >= since)
+                .sort((a, b) => b.createdAt - a.createdAt);
+        }
+        case 'broken':
+            return links.filter(item => getHealthBadge(item) === 'invalid');
+        default:
+            return [];
+    }
+}
+
+/**
+ * @returns {boolean} true when both rules select the same links
+ */
+export function isSameSmartRule(a, b) {
+    const query = formatSmartQuery(a);
+    return query !== '' && query.toLowerCase() === formatSmartQuery(b).toLowerCase();
+}
@@ -2,6 +2,8 @@ import { StorageListenerManager } from '../../platform/lifecycle.js';
 import { t } from '../../platform/i18n.js';
 import { setStorageInChunks } from '../../shared/storage.js';
 import { clamp } from '../../shared/text.js';
+import { DEFAULT_FUZZY_THRESHOLD, getUsageBoost, scoreQuery } from './fuzzy-search.js';
+import { filterBySmartRule, normalizeSmartRule, parseSmartQuery } from './smart-folders.js';
 import * as storageRepo from '../../platform/storage-repo.js';
 
 export const QUICKLINKS_SYNC_KEYS = Object.freeze({
@@ -12,7 +14,8 @@ export const QUICKLINKS_SYNC_KEYS = Object.freeze({
     magnifyScale: 'quicklinksMagnifyScale',
     showBackdrop: 'quicklinksShowBackdrop',
     gridColumns: 'launchpadGridColumns',
-    gridRows: 'launchpadGridRows'
+    gridRows: 'launchpadGridRows',
+    dockAutoFill: 'quicklinksDockAutoFill'
 });
 
 export const QUICKLINKS_ALLOWED_STYLES = Object.freeze(['large', 'medium', 'small']);
@@ -32,7 +35,8 @@ export const QUICKLINKS_STORE_DEFAULTS = Object.freeze({
     magnifyScale: QUICKLINKS_BOUNDS.magnifyScale.default,
     showBackdrop: true,
     launchpadGridColumns: QUICKLINKS_BOUNDS.gridColumns.default,
-    launchpadGridRows: QUICKLINKS_BOUNDS.gridRows.default
+    launchpadGridRows: QUICKLINKS_BOUNDS.gridRows.default,
+    dockAutoFill: false
 });
 
 export const QUICKLINKS_SYNC_DEFAULTS = Object.freeze({
@@ -43,7 +47,8 @@ export const QUICKLINKS_SYNC_DEFAULTS = Object.freeze({
     [QUICKLINKS_SYNC_KEYS.magnifyScale]: QUICKLINKS_STORE_DEFAULTS.magnifyScale,
     [QUICKLINKS_SYNC_KEYS.showBackdrop]: QUICKLINKS_STORE_DEFAULTS.showBackdrop,
     [QUICKLINKS_SYNC_KEYS.gridColumns]: QUICKLINKS_STORE_DEFAULTS.launchpadGridColumns,
-    [QUICKLINKS_SYNC_KEYS.gridRows]: QUICKLINKS_STORE_DEFAULTS.launchpadGridRows
+    [QUICKLINKS_SYNC_KEYS.gridRows]: QUICKLINKS_STORE_DEFAULTS.launchpadGridRows,
+    [QUICKLINKS_SYNC_KEYS.dockAutoFill]: QUICKLINKS_STORE_DEFAULTS.dockAutoFill
 });
 
 export function normalizeQuicklinksStyle(value) {
@@ -158,6 +163,9 @@ const CONFIG = {
     MAX_TAG_LENGTH: 10,
     MAX_TOTAL_TAGS: 100,
     DEFAULT_TAG: '__UNCATEGORIZED__',
+    TAG_STYLES_KEY: 'quicklinksTagStyles',
+    TAG_COLORS: ['red', 'orange', 'yellow', 'green', 'teal', 'blue', 'purple', 'pink', 'gray'],
+    MAX_TAG_EMOJI_LENGTH: 16,
     GRID_DENSITY: {
         COL_MIN: QUICKLINKS_BOUNDS.gridColumns.min,
         COL_MAX: QUICKLINKS_BOUNDS.gridColumns.max,
@@ -169,13 +177,24 @@ const CONFIG = {
     CHUNK_MAX_BYTES: 7600,
     FOLDER_PREFIX: 'qfolder_',
     MAX_FOLDER_CHILDREN: 24,
+    MAX_FOLDER_DEPTH: 4,
     MAX_FOLDER_TITLE_LENGTH: 50,
-    SYNC_QUOTA_BYTES_FALLBACK: 102400
+    SYNC_QUOTA_BYTES_FALLBACK: 102400,
+    USAGE_KEY: 'quicklinksUsage',
+    MAX_USAGE_ENTRIES: 500,
+    WORKSPACES_KEY: 'quicklinksWorkspaces',
+    WORKSPACE_PREFIX: 'quicklinksWorkspace_',
+    // Parked background settings stay on this device; they outgrow the 8 KB sync item limit
+    WORKSPACE_BACKGROUND_PREFIX: 'quicklinksWorkspaceBackground_',
+    DEFAULT_WORKSPACE_ID: 'default',
+    MAX_WORKSPACES: 8,
+    MAX_WORKSPACE_NAME_LENGTH: 30
 };
 const ALLOWED_URL_PROTOCOLS = new Set([
     'http:', 'https:', 'chrome:', 'chrome-extension:', 'edge:', 'about:'
 ]);
 const DANGEROUS_PROTOCOLS = ['javascript', 'data', 'vbscript', 'blob'];
+const SEARCH_FIELD_WEIGHTS = Object.freeze({ tags: 0.9, url: 0.8 });
 class Store {
     constructor() {
         Object.defineProperty(this, 'CONFIG', {
@@ -190,6 +209,8 @@ class Store {
         this._pagesCache = [[]];
         this.dockPins = [];
         this.tags = [];
+        // Tag colour/emoji by lowercased tag name, shared by all workspaces
+        this._tagStyles = new Map();
         this.settings = {
             ...QUICKLINKS_STORE_DEFAULTS
         };
@@ -199,6 +220,12 @@ class Store {
         this._lastLocalStorageRevision = null;
         this._dockCleanupScheduled = false;
         this._pendingDockCleanup = null;
+        // Launch stats (id -> { count, lastUsedAt }), mirrored from chrome.storage.local
+        this._usageStats = new Map();
+        // Workspace registry ({ activeId, list }); the active workspace always lives in the v6 keys
+        this._workspaces = this._normalizeWorkspaceRegistry(null);
+        // Links of parked workspaces, so their usage stats survive cleanup
+        this._parkedItemIds = new Set();
         this._destroyed = false;
     }
     _dedupeTagsRaw(raw, maxCount) {
@@ -318,12 +345,15 @@ class Store {
         return normalizeStoreStructure(items, CONFIG.PAGE_BREAK);
     }
     getPages(pageSize = CONFIG.DEFAULT_ITEMS_PER_PAGE) {
+        return this._paginateEntries(this._items, this._itemsCache, pageSize);
+    }
+    _paginateEntries(entries, itemsById, pageSize) {
         const safePageSize = Number.isFinite(Number(pageSize)) && Number(pageSize) > 0
             ? Number(pageSize)
             : CONFIG.DEFAULT_ITEMS_PER_PAGE;
         const pages = [[]];
         let currentPage = pages[0];
-        for (const entry of this._items) {
+        for (const entry of entries) {
             if (entry === CONFIG.PAGE_BREAK) {
                 pages.push([]);
                 currentPage = pages[pages.length - 1];
@@ -334,7 +364,7 @@ class Store {
                 currentPage = pages[pages.length - 1];
             }
             if (typeof entry === 'string') {
-                const item = this._itemsCache.get(entry);
+                const item = itemsById.get(entry);
                 if (item) {
                     currentPage.push(item);
                 }
@@ -384,9 +414,13 @@ class Store {
                 this._itemsCache.set(id, item);
             }
         }
-        // Second pass: load folder children not yet in cache
-        const missingChildIds = this._collectMissingFolderChildIds();
-        if (missingChildIds.length > 0) {
+        // Further passes: load folder children not yet in cache, one nesting level per pass
+        const attempted = new Set(idsToLoad);
+        let missingChildIds = this._collectMissingFolderChildIds();
+        let hadMissingChildren = false;
+        while (missingChildIds.length > 0) {
+            hadMissingChildren = true;
+            missingChildIds.forEach(id => attempted.add(id));
             const { itemsById: childItemsById } = await this._readItemsByIds(missingChildIds);
             for (const childId of missingChildIds) {
                 const rawChild = childItemsById[childId];
@@ -395,6 +429,9 @@ class Store {
                     this._itemsCache.set(childId, child);
                 }
             }
+            missingChildIds = this._collectMissingFolderChildIds().filter(id => !attempted.has(id));
+        }
+        if (hadMissingChildren) {
             // Prune invalid children references from folders
             this._pruneInvalidFolderChildren();
         }
@@ -402,6 +439,7 @@ class Store {
             if (entry === CONFIG.PAGE_BREAK) return true;
             return typeof entry === 'string' && this._itemsCache.has(entry);
         });
+        this._pruneFolderNesting(filteredItems);
         this._items = this._normalizeItemsStructure(filteredItems);
         this._rebuildPagesCache();
     }
@@ -426,6 +464,28 @@ class Store {
             item.children = item.children.filter(childId => this._itemsCache.has(childId));
         }
     }
+    /**
+     * Drop subfolder references that would let a folder contain itself, sit in two places
+     * or nest deeper than MAX_FOLDER_DEPTH. Stored data from another tab or an older build
+     * may carry any of these; the top level wins, then the first reference in layout order.
+     */
+    _pruneFolderNesting(topLevelIds) {
+        const placed = new Set(topLevelIds.filter(id => this._isFolderId(id)));
+        const visit = (folder, depth) => {
+            folder.children = folder.children.filter(childId => {
+                const child = this._itemsCache.get(childId);
+                if (child?.type !== 'folder') return true;
+                if (placed.has(childId) || child.smart || depth >= CONFIG.MAX_FOLDER_DEPTH) return false;
+                placed.add(childId);
+                visit(child, depth + 1);
+                return true;
+            });
+        };
+        for (const id of topLevelIds) {
+            const item = this._itemsCache.get(id);
+            if (item?.type === 'folder') visit(item, 1);
+        }
+    }
     _estimateSize(data) {
         try {
             return new Blob([JSON.stringify(data)]).size;
@@ -694,17 +754,19 @@ class Store {
     }
     async _collectObsoleteStorageKeys(activeSetId, extraKeys = []) {
         const all = await storageRepo.sync.getAll();
+        const parkedSetIds = this._collectParkedChunkSetIds(all);
         const obsolete = new Set(extraKeys.filter(Boolean));
         for (const key of Object.keys(all)) {
             const setId = this._extractChunkSetId(key);
-            if (setId && setId !== activeSetId) {
+            if (setId && setId !== activeSetId && !parkedSetIds.has(setId)) {
                 obsolete.add(key);
             }
         }
         if (!activeSetId) {
-            return Array.from(obsolete);
+            return Array.from(obsolete).filter((key) => !parkedSetIds.has(this._extractChunkSetId(key)));
         }
         return Array.from(obsolete).filter((key) => {
+            if (parkedSetIds.has(this._extractChunkSetId(key))) return false;
             if (key === this._chunkSetIndexKey(activeSetId)) return false;
             if (this._isChunkSetChunkKey(key, activeSetId)) return false;
             return true;
@@ -748,17 +810,21 @@ class Store {
     }
     _normalizeFolderData(item) {
         if (!item || !item._id) return null;
-        const rawChildren = Array.isArray(item.children) ? item.children : [];
+        // Smart folders compute their members; a stored children list would only go stale
+        const smart = normalizeSmartRule(item.smart);
+        const rawChildren = !smart && Array.isArray(item.children) ? item.children : [];
         const children = rawChildren
             .filter(id => typeof id === 'string' && id)
             .slice(0, CONFIG.MAX_FOLDER_CHILDREN);
-        return {
+        const folder = {
             _id: item._id,
             type: 'folder',
             title: String(item.title || '').slice(0, CONFIG.MAX_FOLDER_TITLE_LENGTH),
             children,
             createdAt: item.createdAt || Date.now()
         };
+        if (smart) folder.smart = smart;
+        return folder;
     }
     _isFolderId(id) {
         return typeof id === 'string' && id.startsWith(CONFIG.FOLDER_PREFIX);
@@ -767,6 +833,10 @@ class Store {
         const item = this._itemsCache.get(id);
         return Boolean(item && item.type === 'folder');
     }
+    isSmartFolder(id) {
+        const item = this._itemsCache.get(id);
+        return Boolean(item && item.type === 'folder' && item.smart);
+    }
     getFolderForItem(itemId) {
         if (!itemId) return null;
         for (const [id, item] of this._itemsCache) {
@@ -776,6 +846,50 @@ class Store {
         }
         return null;
     }
+    /**
+     * Folders from the top level down to the given folder, both ends included
+     * @param {string} folderId
+     * @returns {Object[]} empty when the folder is unknown
+     */
+    getFolderPath(folderId) {
+        const path = [];
+        let current = this._itemsCache.get(folderId);
+        while (current?.type === 'folder' && !path.includes(current)) {
+            path.unshift(current);
+            current = this.getFolderForItem(current._id);
+        }
+        return path;
+    }
+    _getFolderHeight(folder, seen = new Set()) {
+        if (folder?.type !== 'folder' || seen.has(folder._id)) return 0;
+        seen.add(folder._id);
+        let height = 0;
+        for (const childId of folder.children) {
+            height = Math.max(height, this._getFolderHeight(this._itemsCache.get(childId), seen));
+        }
+        return height + 1;
+    }
+    _getDescendantIds(folderId) {
+        const out = [];
+        this._appendFolderDescendants(this._itemsCache.get(folderId) || {}, out, new Set([folderId]));
+        return out.map(item => item._id);
+    }
+    /**
+     * Whether an item may become a child of a folder: not into itself or its own subfolders,
+     * never into a smart folder, and the result stays within MAX_FOLDER_DEPTH
+     * @returns {boolean}
+     */
+    canMoveIntoFolder(itemId, folderId) {
+        const folder = this._itemsCache.get(folderId);
+        const item = this._itemsCache.get(itemId);
+        if (!folder || folder.type !== 'folder' || folder.smart) return false;
+        if (!item || item.isSystemItem || itemId === folderId) return false;
+        if (item.type !== 'folder') return true;
+        if (item.smart) return false;
+        const targetPath = this.getFolderPath(folderId);
+        if (targetPath.some(ancestor => ancestor._id === itemId)) return false;
+        return targetPath.length + this._getFolderHeight(item) <= CONFIG.MAX_FOLDER_DEPTH;
+    }
     _generateFolderId() {
         if (globalThis.crypto?.randomUUID) {
             return `${CONFIG.FOLDER_PREFIX}${globalThis.crypto.randomUUID()}`;
@@ -846,7 +960,8 @@ class Store {
     getItemsByTag(tagQuery) {
         const normalizedQuery = this._normalizeTag(tagQuery).toLowerCase();
         if (!normalizedQuery && tagQuery !== CONFIG.DEFAULT_TAG) return [];
-        const allItems = this.getAllItems();
+        // Folder children count like plain search; folders themselves carry no tags
+        const allItems = this.getAllItemsFlat().filter(item => item.type !== 'folder' && !item.isSystemItem);
         if (tagQuery === CONFIG.DEFAULT_TAG) {
             return allItems.filter(item => !item.tags || item.tags.length === 0);
         }
@@ -855,6 +970,195 @@ class Store {
             item.tags.some(t => t.toLowerCase() === normalizedQuery)
         );
     }
+    /**
+     * Links matching a smart folder rule, folder children included
+     * @param {Object} rule - { type, value }; see smart-folders.js
+     * @param {{ now?: number, getHealthBadge?: Function }} [options] - getHealthBadge is needed for `broken`
+     */
+    getItemsBySmartRule(rule, options = {}) {
+        const normalized = normalizeSmartRule(rule);
+        return normalized ? filterBySmartRule(normalized, this.getAllItemsFlat(), options) : [];
+    }
+    /**
+     * Current member ids of a smart folder, capped like a regular folder
+     */
+    getSmartFolderChildren(folderId, options = {}) {
+        const folder = this._itemsCache.get(folderId);
+        if (!folder?.smart) return [];
+        return this.getItemsBySmartRule(folder.smart, options)
+            .slice(0, CONFIG.MAX_FOLDER_CHILDREN)
+            .map(item => item._id);
+    }
+    _normalizeTagStyle(raw) {
+        if (!raw || typeof raw !== 'object') return null;
+        const color = CONFIG.TAG_COLORS.includes(raw.color) ? raw.color : '';
+        const text = String(raw.emoji || '').trim();
+        // One grapheme, so ZWJ sequences and flags survive intact
+        const first = typeof Intl.Segmenter === 'function'
+            ? new Intl.Segmenter().segment(text)[Symbol.iterator]().next().value?.segment
+            : Array.from(text)[0];
+        const emoji = String(first || '').slice(0, CONFIG.MAX_TAG_EMOJI_LENGTH);
+        return color || emoji ? { color, emoji } : null;
+    }
+    _normalizeTagStyles(raw) {
+        const styles = new Map();
+        if (!raw || typeof raw !== 'object' || Array.isArray(raw)) return styles;
+        for (const [tag, value] of Object.entries(raw)) {
+            const key = this._normalizeTag(tag).toLowerCase();
+            const style = this._normalizeTagStyle(value);
+            if (key && style && styles.size < CONFIG.MAX_TOTAL_TAGS) styles.set(key, style);
+        }
+        return styles;
+    }
+    async _loadTagStyles() {
+        try {
+            this._tagStyles = this._normalizeTagStyles(await storageRepo.sync.get(CONFIG.TAG_STYLES_KEY, {}));
+        } catch {
+            this._tagStyles = new Map();
+        }
+    }
+    async _saveTagStyles(styles) {
+        this._tagStyles = styles;
+        this._notify('tagStylesChanged', { source: 'local' });
+        await storageRepo.sync.setMultiple({ [CONFIG.TAG_STYLES_KEY]: Object.fromEntries(styles) });
+    }
+    /**
+     * @param {string} tag
+     * @returns {{ color: string, emoji: string }|null}
+     */
+    getTagStyle(tag) {
+        const style = this._tagStyles.get(this._normalizeTag(tag).toLowerCase());
+        return style ? { ...style } : null;
+    }
+    /**
+     * @param {string} tag
+     * @param {{ color?: string, emoji?: string }|null} style - null or empty fields clear it
+     */
+    async setTagStyle(tag, style) {
+        this._assertNotDestroyed();
+        const key = this._normalizeTag(tag).toLowerCase();
+        if (!key) return false;
+        const next = new Map(this._tagStyles);
+        const normalized = this._normalizeTagStyle(style);
+        if (normalized) next.set(key, normalized);
+        else next.delete(key);
+        await this._saveTagStyles(next);
+        return true;
+    }
+    /**
+     * Item counts per library tag (folder children included), keyed by lowercased tag.
+     * @returns {Map<string, number>}
+     */
+    getTagUsageCounts() {
+        const counts = new Map();
+        for (const item of this._itemsCache.values()) {
+            if (item.type === 'folder' || item.isSystemItem || !Array.isArray(item.tags)) continue;
+            for (const tag of item.tags) {
+                const key = tag.toLowerCase();
+                counts.set(key, (counts.get(key) || 0) + 1);
+            }
+        }
+        return counts;
+    }
+    /**
+     * Rewrite tags on every item and in the library in one commit.
+     * @param {Map<string, string|null>} mapping - Lowercased source tag -> replacement (null drops it)
+     * @returns {Promise<number>} Items changed
+     */
+    async _retagItems(mapping) {
+        const itemsToSet = {};
+        for (const item of this._itemsCache.values()) {
+            if (item.type === 'folder' || item.isSystemItem || !Array.isArray(item.tags)) continue;
+            if (!item.tags.some(tag => mapping.has(tag.toLowerCase()))) continue;
+            const next = item.tags.map(tag => (mapping.has(tag.toLowerCase()) ? mapping.get(tag.toLowerCase()) : tag));
+            itemsToSet[item._id] = { ...item, tags: this._normalizeTags(next) };
+        }
+        const targets = [...mapping.values()].filter(Boolean);
+        const committed = await this._enqueueWrite(async () => {
+            return this._commit({
+                itemsToSet: Object.keys(itemsToSet).length > 0 ? itemsToSet : null,
+                apply: ({ items, dockPins, tags }) => ({
+                    items,
+                    dockPins,
+                    tags: this._normalizeTagLibrary([
+                        ...(tags || []).filter(tag => !mapping.has(String(tag).toLowerCase())),
+                        ...targets
+                    ])
+                })
+            });
+        });
+        await this._applyCommittedStateToMemory(committed);
+
+        // Styles follow the tag; a merge target keeps its own
+        const styles = new Map(this._tagStyles);
+        let stylesChanged = false;
+        for (const [source, target] of mapping) {
+            const style = styles.get(source);
+            if (!style) continue;
+            styles.delete(source);
+            const targetKey = target ? target.toLowerCase() : '';
+            if (targetKey && (!styles.has(targetKey) || targetKey === source)) styles.set(targetKey, style);
+            stylesChanged = true;
+        }
+        if (stylesChanged) await this._saveTagStyles(styles);
+
+        this._notify('tagsChanged', this.getTags());
+        const changed = Object.keys(itemsToSet).length;
+        if (changed > 0) {
+            this._notify('reordered', { pages: this.pages, dockPins: this.dockPins, source: 'tags' });
+        }
+        return changed;
+    }
+    /**
+     * Rename a tag on every item. Renaming onto an existing tag merges the two.
+     * @param {string} from
+     * @param {string} to
+     * @returns {Promise<{ ok: boolean, changed?: number, reason?: 'invalid'|'not_found' }>}
+     */
+    async renameTag(from, to) {
+        return this.mergeTags([from], to);
+    }
+    /**
+     * Merge tags into `target`. Items carrying several of them keep one copy.
+     * @param {string[]} sources
+     * @param {string} target - Existing or new tag
+     * @returns {Promise<{ ok: boolean, changed?: number, reason?: 'invalid'|'not_found' }>}
+     */
+    async mergeTags(sources, target) {
+        this._assertNotDestroyed();
+        const normalizedTarget = this._normalizeTag(target);
+        if (!normalizedTarget) return { ok: false, reason: 'invalid' };
+        const mapping = this._buildTagMapping(sources, normalizedTarget);
+        if (!mapping) return { ok: false, reason: 'not_found' };
+        if (mapping.size === 1 && mapping.get(normalizedTarget.toLowerCase()) === normalizedTarget &&
+            this.tags.includes(normalizedTarget)) {
+            return { ok: true, changed: 0 };
+        }
+        return { ok: true, changed: await this._retagItems(mapping) };
+    }
+    /**
+     * Delete a tag from the library and every item, optionally moving its items to another tag.
+     * @param {string} tag
+     * @param {{ reassignTo?: string|null }} [options]
+     * @returns {Promise<{ ok: boolean, changed?: number, reason?: 'invalid'|'not_found' }>}
+     */
+    async deleteTag(tag, { reassignTo = null } = {}) {
+        this._assertNotDestroyed();
+        const replacement = reassignTo ? this._normalizeTag(reassignTo) : null;
+        if (reassignTo && !replacement) return { ok: false, reason: 'invalid' };
+        const mapping = this._buildTagMapping([tag], replacement);
+        if (!mapping) return { ok: false, reason: 'not_found' };
+        return { ok: true, changed: await this._retagItems(mapping) };
+    }
+    _buildTagMapping(sources, target) {
+        const known = new Set([...this.tags.map(tag => tag.toLowerCase()), ...this.getTagUsageCounts().keys()]);
+        const mapping = new Map();
+        for (const source of Array.isArray(sources) ? sources : []) {
+            const key = this._normalizeTag(source).toLowerCase();
+            if (key && known.has(key)) mapping.set(key, target);
+        }
+        return mapping.size > 0 ? mapping : null;
+    }
     async _commit({ apply, itemsToSet = null, itemIdsToRemove = null, includeItemsMap = false, _retryCount = 0 }) {
         this._assertNotDestroyed();
         try {
@@ -983,6 +1287,9 @@ class Store {
         await this._ensureSystemItemsPersisted();
         const { quicklinksTags } = await storageRepo.sync.getMultiple({ quicklinksTags: [] });
         this.tags = this._normalizeTagLibrary(quicklinksTags);
+        await this._loadTagStyles();
+        await this._loadUsage();
+        await this._loadWorkspaces();
         const dockLimit = this._getDockLimit();
         if ((!Array.isArray(this.dockPins) || this.dockPins.length === 0) && this.getAllItems().length > 0) {
             this.dockPins = this.getAllItems().slice(0, dockLimit).map(item => item._id);
@@ -1003,7 +1310,22 @@ class Store {
         });
     }
     _handleStorageChange(changes, areaName) {
-        if (this._destroyed || areaName !== 'sync') return;
+        if (this._destroyed) return;
+        if (areaName === 'local' && changes[CONFIG.USAGE_KEY]) {
+            this._usageStats = this._normalizeUsage(changes[CONFIG.USAGE_KEY].newValue);
+            this._notify('usageChanged', { source: 'storage' });
+            return;
+        }
+        if (areaName !== 'sync') return;
+        if (changes[CONFIG.WORKSPACES_KEY]) {
+            this._workspaces = this._normalizeWorkspaceRegistry(changes[CONFIG.WORKSPACES_KEY].newValue);
+            this._notify('workspacesChanged', { workspaces: this.getWorkspaces(), source: 'storage' });
+            void this._loadParkedItemIds();
+        }
+        if (changes[CONFIG.TAG_STYLES_KEY]) {
+            this._tagStyles = this._normalizeTagStyles(changes[CONFIG.TAG_STYLES_KEY].newValue);
+            this._notify('tagStylesChanged', { source: 'storage' });
+        }
         if (this._isOwnRevision(changes)) return;
         this._handleSettingsChange(changes);
         const changeKeys = Object.keys(changes);
@@ -1048,6 +1370,7 @@ class Store {
         if (changes[keys.showBackdrop]) settingsPatch.showBackdrop = changes[keys.showBackdrop].newValue;
         if (changes[keys.gridColumns]) settingsPatch.launchpadGridColumns = clampLaunchpadGridColumns(changes[keys.gridColumns].newValue);
         if (changes[keys.gridRows]) settingsPatch.launchpadGridRows = clampLaunchpadGridRows(changes[keys.gridRows].newValue);
+        if (changes[keys.dockAutoFill]) settingsPatch.dockAutoFill = changes[keys.dockAutoFill].newValue === true;
         if (Object.keys(settingsPatch).length === 0) return;
         Object.assign(this.settings, settingsPatch);
         if (typeof settingsPatch.launchpadGridColumns !== 'undefined' || typeof settingsPatch.launchpadGridRows !== 'undefined') {
@@ -1099,7 +1422,8 @@ class Store {
                 magnifyScale: clampQuicklinksMagnifyScale(data[keys.magnifyScale]),
                 showBackdrop: data[keys.showBackdrop],
                 launchpadGridColumns: clampLaunchpadGridColumns(data[keys.gridColumns]),
-                launchpadGridRows: clampLaunchpadGridRows(data[keys.gridRows])
+                launchpadGridRows: clampLaunchpadGridRows(data[keys.gridRows]),
+                dockAutoFill: data[keys.dockAutoFill] === true
             };
             this._syncPageSizeHint();
         } catch {
@@ -1166,18 +1490,29 @@ class Store {
             if (!item || !item._id || seen.has(item._id)) continue;
             seen.add(item._id);
             out.push(item);
-            // Expand folder children inline
-            if (item.type === 'folder' && Array.isArray(item.children)) {
-                for (const childId of item.children) {
-                    if (seen.has(childId)) continue;
-                    seen.add(childId);
-                    const child = this._itemsCache.get(childId);
-                    if (child) out.push(child);
-                }
-            }
+            this._appendFolderDescendants(item, out, seen);
         }
         return out;
     }
+    _appendFolderDescendants(folder, out, seen) {
+        if (folder.type !== 'folder' || !Array.isArray(folder.children)) return;
+        // Expand folder children inline, subfolders depth-first
+        for (const childId of folder.children) {
+            if (seen.has(childId)) continue;
+            seen.add(childId);
+            const child = this._itemsCache.get(childId);
+            if (!child) continue;
+            out.push(child);
+            this._appendFolderDescendants(child, out, seen);
+        }
+    }
+    /**
+     * Top-level layout as stored: item ids, explicit page breaks and system item slots.
+     * @returns {string[]}
+     */
+    getLayoutEntries() {
+        return Array.isArray(this._items) ? this._items.slice() : [];
+    }
     getPageCount(pageSize) {
         if (pageSize !== undefined) {
             return this.getPages(pageSize).length;
@@ -1323,6 +1658,20 @@ class Store {
         }
         return displayItems;
     }
+    /**
+     * Most used links that fill the dock slots left free by explicit pins.
+     * Only active when the `quicklinksDockAutoFill` setting is on; never persisted as pins.
+     */
+    getDockAutoFillItems() {
+        if (!this.settings?.dockAutoFill) return [];
+        const pinned = this.getDockItems();
+        const free = this._getDockLimit() - pinned.length;
+        if (free <= 0) return [];
+        const pinnedIds = new Set(this.dockPins);
+        return this.getMostUsedItems(free + pinnedIds.size)
+            .filter(item => !pinnedIds.has(item._id))
+            .slice(0, free);
+    }
     _scheduleDockCleanup(validPins) {
         if (this._destroyed) return;
         this._pendingDockCleanup = validPins;
@@ -1459,12 +1808,20 @@ class Store {
             }
         }
         if (!hasItemsMap) return candidates;
-        for (const folderId of topLevelIds) {
-            if (!this._isFolderId(folderId)) continue;
+        const folderIds = topLevelIds.filter(id => this._isFolderId(id));
+        const visitedFolders = new Set();
+        while (folderIds.length > 0) {
+            const folderId = folderIds.shift();
+            if (visitedFolders.has(folderId)) continue;
+            visitedFolders.add(folderId);
             const folder = this._normalizeItemData(itemsById.get(folderId));
             if (!folder || folder.type !== 'folder') continue;
             for (const childId of folder.children) {
-                if (!childId || this._isSystemItemId(childId) || this._isFolderId(childId)) continue;
+                if (!childId || this._isSystemItemId(childId)) continue;
+                if (this._isFolderId(childId)) {
+                    folderIds.push(childId);
+                    continue;
+                }
                 const child = this._normalizeItemData(itemsById.get(childId));
                 if (child && child.type !== 'folder') {
                     candidates.add(childId);
@@ -1565,6 +1922,55 @@ class Store {
         }
         return true;
     }
+    /**
+     * Index in the top-level entries at which an item lands on `pageIndex`: at `itemIndex`
+     * when given, otherwise after the page's last item.
+     */
+    _findPageInsertPosition(items, pageIndex, itemIndex = null) {
+        const pageSize = Number.isFinite(this._pageSizeHint) && this._pageSizeHint > 0
+            ? this._pageSizeHint
+            : CONFIG.DEFAULT_ITEMS_PER_PAGE;
+        const targetPageIndex = Number(pageIndex);
+        const hasTargetIndex = itemIndex !== null && Number.isFinite(Number(itemIndex));
+        const targetItemIndex = hasTargetIndex ? Math.max(0, Number(itemIndex)) : null;
+        let insertPosition = items.length;
+        let currentPage = 0;
+        let posInPage = 0;
+        for (let i = 0; i < items.length; i++) {
+            const entry = items[i];
+            if (entry === CONFIG.PAGE_BREAK) {
+                if (currentPage === targetPageIndex && !hasTargetIndex) {
+                    insertPosition = i;
+                    break;
+                }
+                currentPage++;
+                posInPage = 0;
+                if (currentPage > targetPageIndex && !hasTargetIndex) {
+                    insertPosition = i;
+                    break;
+                }
+                continue;
+            }
+            if (hasTargetIndex && currentPage === targetPageIndex && posInPage === targetItemIndex) {
+                insertPosition = i;
+                break;
+            }
+            if (!hasTargetIndex && currentPage === targetPageIndex) {
+                insertPosition = i + 1;
+            }
+            if (isConcreteStoreEntry(entry, CONFIG.PAGE_BREAK)) {
+                posInPage++;
+            }
+            if (posInPage >= pageSize) {
+                currentPage++;
+                posInPage = 0;
+                if (!hasTargetIndex && currentPage > targetPageIndex) {
+                    break;
+                }
+            }
+        }
+        return insertPosition;
+    }
     async addItem(itemData, pageIndex = null, itemIndex = null) {
         this._assertNotDestroyed();
         const item = {
@@ -1579,51 +1985,10 @@ class Store {
             return this._commit({
                 itemsToSet: { [item._id]: item },
                 apply: ({ items, dockPins, tags }) => {
-                    let nextItems = items.filter(entry => entry !== item._id);
-                    let insertPosition = nextItems.length;
-                    if (pageIndex !== null) {
-                        const pageSize = Number.isFinite(this._pageSizeHint) && this._pageSizeHint > 0
-                            ? this._pageSizeHint
-                            : CONFIG.DEFAULT_ITEMS_PER_PAGE;
-                        const targetPageIndex = Number(pageIndex);
-                        const hasTargetIndex = itemIndex !== null && Number.isFinite(Number(itemIndex));
-                        const targetItemIndex = hasTargetIndex ? Math.max(0, Number(itemIndex)) : null;
-                        let currentPage = 0;
-                        let posInPage = 0;
-                        for (let i = 0; i < nextItems.length; i++) {
-                            const entry = nextItems[i];
-                            if (entry === CONFIG.PAGE_BREAK) {
-                                if (currentPage === targetPageIndex && !hasTargetIndex) {
-                                    insertPosition = i;
-                                    break;
-                                }
-                                currentPage++;
-                                posInPage = 0;
-                                if (currentPage > targetPageIndex && !hasTargetIndex) {
-                                    insertPosition = i;
-                                    break;
-                                }
-                                continue;
-                            }
-                            if (hasTargetIndex && currentPage === targetPageIndex && posInPage === targetItemIndex) {
-                                insertPosition = i;
-                                break;
-                            }
-                            if (!hasTargetIndex && currentPage === targetPageIndex) {
-                                insertPosition = i + 1;
-                            }
-                            if (isConcreteStoreEntry(entry, CONFIG.PAGE_BREAK)) {
-                                posInPage++;
-                            }
-                            if (posInPage >= pageSize) {
-                                currentPage++;
-                                posInPage = 0;
-                                if (!hasTargetIndex && currentPage > targetPageIndex) {
-                                    break;
-                                }
-                            }
-                        }
-                    }
+                    const nextItems = items.filter(entry => entry !== item._id);
+                    const insertPosition = pageIndex !== null
+                        ? this._findPageInsertPosition(nextItems, pageIndex, itemIndex)
+                        : nextItems.length;
                     nextItems.splice(insertPosition, 0, item._id);
                     const mergedTags = new Set(tags);
                     if (item.tags && Array.isArray(item.tags)) {
@@ -1735,6 +2100,7 @@ class Store {
         }
         const allItems = [];
         const itemsToSet = {};
+        const addedTags = new Set();
         const pageItemsMap = new Map(); // pageIndex -> [item ids]
         for (const pageData of pagesData) {
             const { items, pageIndex } = pageData;
@@ -1744,13 +2110,20 @@ class Store {
                 pageItemsMap.set(targetPage, []);
             }
             for (const itemData of items) {
+                // Imports and restores keep the original tags and creation time
+                const createdAt = Number(itemData.createdAt);
                 const item = {
                     _id: this._generateId(),
                     title: String(itemData.title || '').slice(0, CONFIG.MAX_TITLE_LENGTH),
                     url: String(itemData.url || '').slice(0, CONFIG.MAX_URL_LENGTH),
                     icon: String(itemData.icon || '').slice(0, CONFIG.MAX_ICON_LENGTH),
-                    createdAt: Date.now()
+                    createdAt: Number.isFinite(createdAt) && createdAt > 0 ? createdAt : Date.now()
                 };
+                const itemTags = this._normalizeTags(itemData.tags);
+                if (itemTags.length > 0) {
+                    item.tags = itemTags;
+                    itemTags.forEach(tag => addedTags.add(tag));
+                }
                 allItems.push(item);
                 itemsToSet[item._id] = item;
                 pageItemsMap.get(targetPage).push(item._id);
@@ -1763,10 +2136,11 @@ class Store {
             .sort((a, b) => a[0] - b[0])
             .map(([, itemIds]) => itemIds)
             .filter(group => Array.isArray(group) && group.length > 0);
-        const applyBulkItems = ({ items, dockPins }) => {
+        const applyBulkItems = ({ items, dockPins, tags }) => {
             const nextItems = Array.isArray(items) ? items.slice() : [];
+            const nextTags = addedTags.size > 0 ? [...(tags || []), ...addedTags] : tags;
             if (orderedGroups.length === 0) {
-                return { items: nextItems, dockPins };
+                return { items: nextItems, dockPins, tags: nextTags };
             }
             const hasTrailingBreak = nextItems.length > 0 && nextItems[nextItems.length - 1] === CONFIG.PAGE_BREAK;
             if (nextItems.length > 0 && !hasTrailingBreak) {
@@ -1791,7 +2165,7 @@ class Store {
             while (normalized.length > 0 && normalized[normalized.length - 1] === CONFIG.PAGE_BREAK) {
                 normalized.pop();
             }
-            return { items: normalized, dockPins };
+            return { items: normalized, dockPins, tags: nextTags };
         };
         const quotaCheck = await this._precheckBulkAddSyncQuota({ itemsToSet, apply: applyBulkItems });
         if (!quotaCheck.ok) {
@@ -1859,7 +2233,7 @@ class Store {
         });
         return this.getItem(id);
     }
-    async _removeItemsAtomic(itemIds, { reason = 'delete' } = {}) {
+    async _removeItemsAtomic(itemIds, { reason = 'delete', itemsToSet: extraItemsToSet = null, mapDockPins = null, addTags = null } = {}) {
         this._assertNotDestroyed();
         const ids = this._dedupeIdsPreserveOrder(
             (Array.isArray(itemIds) ? itemIds : [])
@@ -1869,44 +2243,48 @@ class Store {
             return { committed: false, removedIds: [], dockChanged: false };
         }
         const idsSet = new Set(ids);
-        const dockBefore = this.dockPins.length;
-        // Collect folders that need children pruned (removing a child from a folder)
+        const dockBefore = this.dockPins.join('|');
+        // Prune removed items from their folders; a folder left empty is removed as well,
+        // which in turn prunes it from its own parent
         const folderUpdates = {};
-        for (const id of ids) {
-            if (this._isFolderId(id)) continue; // Folder itself being removed
+        const queue = ids.slice();
+        while (queue.length > 0) {
+            const id = queue.shift();
             const parentFolder = this.getFolderForItem(id);
-            if (parentFolder && !idsSet.has(parentFolder._id)) {
-                if (!folderUpdates[parentFolder._id]) {
-                    folderUpdates[parentFolder._id] = { ...parentFolder, children: [...parentFolder.children] };
-                }
-                folderUpdates[parentFolder._id].children = folderUpdates[parentFolder._id].children.filter(cid => cid !== id);
+            if (!parentFolder || idsSet.has(parentFolder._id)) continue;
+            if (!folderUpdates[parentFolder._id]) {
+                folderUpdates[parentFolder._id] = { ...parentFolder, children: [...parentFolder.children] };
             }
-        }
-        // Folders that become empty should be dissolved
-        const foldersToDissolve = [];
-        for (const [fid, updated] of Object.entries(folderUpdates)) {
+            const updated = folderUpdates[parentFolder._id];
+            updated.children = updated.children.filter(cid => cid !== id);
             if (updated.children.length === 0) {
-                foldersToDissolve.push(fid);
-                idsSet.add(fid);
-                delete folderUpdates[fid];
+                delete folderUpdates[parentFolder._id];
+                idsSet.add(parentFolder._id);
+                queue.push(parentFolder._id);
             }
         }
-        const itemsToSet = Object.keys(folderUpdates).length > 0 ? folderUpdates : null;
+        const mergedItemsToSet = { ...folderUpdates, ...(extraItemsToSet || {}) };
+        const itemsToSet = Object.keys(mergedItemsToSet).length > 0 ? mergedItemsToSet : null;
         const allIdsToRemove = Array.from(idsSet);
         const committed = await this._enqueueWrite(async () => {
             return this._commit({
                 itemIdsToRemove: allIdsToRemove,
                 itemsToSet,
-                apply: ({ items, dockPins }) => {
+                apply: ({ items, dockPins, tags }) => {
                     const removeSet = new Set(allIdsToRemove);
                     const nextItems = items.filter(entry => !removeSet.has(entry));
-                    const nextDock = this._normalizeDockPins(dockPins).filter(x => !removeSet.has(x));
-                    return { items: nextItems, dockPins: nextDock };
+                    const basePins = this._normalizeDockPins(dockPins);
+                    const nextDock = this._dedupeIdsPreserveOrder(mapDockPins ? mapDockPins(basePins) : basePins)
+                        .filter(x => !removeSet.has(x));
+                    const nextTags = Array.isArray(addTags) && addTags.length > 0
+                        ? Array.from(new Set([...tags, ...addTags]))
+                        : tags;
+                    return { items: nextItems, dockPins: nextDock, tags: nextTags };
                 }
             });
         });
         await this._applyCommittedStateToMemory(committed);
-        const dockChanged = this.dockPins.length !== dockBefore;
+        const dockChanged = this.dockPins.join('|') !== dockBefore;
         if (dockChanged) {
             this._notify('dockChanged', { dockPins: this.dockPins, reason });
         }
@@ -1929,6 +2307,367 @@ class Store {
         });
         return true;
     }
+    /**
+     * Fold duplicate links into one. The kept link takes `updates` (title, icon, tags), the
+     * Dock slot of any pinned copy and the launch counts of every copy; the other copies are
+     * removed, leaving their folders as a delete would. The kept link stays where it is.
+     * @param {string} keepId
+     * @param {string[]} duplicateIds
+     * @param {{ title?: string, icon?: string, tags?: string[] }} [updates]
+     * @returns {Promise<{ item: Object, removedIds: string[] }|null>}
+     */
+    async mergeItems(keepId, duplicateIds, updates = {}) {
+        this._assertNotDestroyed();
+        const keep = this.getItem(keepId);
+        if (!keep || keep.type === 'folder' || keep.isSystemItem) return null;
+        const removeIds = this._dedupeIdsPreserveOrder(
+            (Array.isArray(duplicateIds) ? duplicateIds : []).filter((id) => {
+                const item = id && id !== keepId ? this.getItem(id) : null;
+                return Boolean(item) && item.type !== 'folder' && !item.isSystemItem;
+            })
+        );
+        const next = { ...keep };
+        if (typeof updates.title === 'string') next.title = updates.title.slice(0, CONFIG.MAX_TITLE_LENGTH);
+        if (typeof updates.icon === 'string') next.icon = updates.icon.slice(0, CONFIG.MAX_ICON_LENGTH);
+        if (Array.isArray(updates.tags)) next.tags = this._normalizeTags(updates.tags);
+        if (removeIds.length === 0) {
+            const item = await this.updateItem(keepId, next);
+            return item ? { item, removedIds: [] } : null;
+        }
+
+        const removedItems = removeIds.map(id => ({ ...this.getItem(id) }));
+        const pinnedCopies = new Set(removeIds.filter(id => this.isPinned(id)));
+        const { removedIds } = await this._removeItemsAtomic(removeIds, {
+            reason: 'merge',
+            itemsToSet: { [keepId]: { ...next, _id: keepId } },
+            // The first pinned copy hands its slot to the kept link
+            mapDockPins: pins => pins.map(pid => (pinnedCopies.has(pid) ? keepId : pid)),
+            addTags: next.tags
+        });
+        this._notify('itemsBulkDeleted', { items: removedItems, count: removedItems.length });
+        const position = this.getItemPosition(keepId);
+        this._notify('itemUpdated', {
+            item: this.getItem(keepId),
+            ...(position || { pageIndex: 0, itemIndex: 0 })
+        });
+        await this._mergeUsage(keepId, removedIds);
+        return { item: this.getItem(keepId), removedIds };
+    }
+    /**
+     * Bulk edit in one commit: field updates (title, url, tags), a move into a folder or onto a
+     * page, and Dock pin/unpin. Folders emptied by the move are removed like a dissolve.
+     * Returns an undo token for restoreBulkEdit().
+     * @param {string[]} ids
+     * @param {{ updates?: Record<string, { title?: string, url?: string, tags?: string[] }>,
+     *   folderId?: string|null, pageIndex?: number|null, dock?: 'pin'|'unpin'|null }} edit -
+     *   `pageIndex` at or past the last page opens a new page
+     * @returns {Promise<{ changed: number, skipped: number, undo: Object|null }>}
+     */
+    async bulkEditItems(ids, { updates = null, folderId = null, pageIndex = null, dock = null } = {}) {
+        this._assertNotDestroyed();
+        const targets = this._dedupeIdsPreserveOrder(Array.isArray(ids) ? ids : [])
+            .map(id => this.getItem(id))
+            .filter(item => item && !item.isSystemItem);
+        const undo = {
+            items: this.getLayoutEntries(),
+            dockPins: Array.isArray(this.dockPins) ? this.dockPins.slice() : [],
+            records: {}
+        };
+        const itemsToSet = {};
+        const remember = (record) => {
+            if (!(record._id in undo.records)) undo.records[record._id] = { ...record };
+        };
+        const stage = (record) => {
+            remember(this.getItem(record._id) || record);
+            itemsToSet[record._id] = record;
+        };
+        const changed = new Set();
+        let skipped = 0;
+
+        if (updates) {
+            for (const item of targets) {
+                const patch = updates[item._id];
+                if (!patch || item.type === 'folder') continue;
+                const next = { ...(itemsToSet[item._id] || item) };
+                if (typeof patch.title === 'string') next.title = patch.title.slice(0, CONFIG.MAX_TITLE_LENGTH);
+                if (Array.isArray(patch.tags)) next.tags = this._normalizeTags(patch.tags);
+                if (typeof patch.url === 'string') {
+                    const url = patch.url.slice(0, CONFIG.MAX_URL_LENGTH);
+                    if (!this.isUrlSafe(url)) {
+                        skipped++;
+                        continue;
+                    }
+                    next.url = url;
+                }
+                stage(next);
+                changed.add(item._id);
+            }
+        }
+
+        // Moves: detach from source folders first; a folder left empty goes away
+        const folderTarget = folderId ? this.getItem(folderId) : null;
+        const target = folderTarget?.type === 'folder' && !folderTarget.smart ? folderTarget : null;
+        const moving = [];
+        if (target || (pageIndex !== null && pageIndex !== undefined)) {
+            let room = target ? CONFIG.MAX_FOLDER_CHILDREN - target.children.length : Infinity;
+            for (const item of targets) {
+                if (target && (item.type === 'folder' || target.children.includes(item._id))) continue;
+                if (room <= 0) {
+                    skipped++;
+                    continue;
+                }
+                room--;
+                moving.push(item._id);
+            }
+        }
+        const movingSet = new Set(moving);
+        const emptiedFolders = [];
+        for (const id of moving) {
+            const source = this.getFolderForItem(id);
+            if (!source) continue;
+            const staged = itemsToSet[source._id] || { ...source, children: source.children.slice() };
+            staged.children = staged.children.filter(childId => childId !== id);
+            stage(staged);
+        }
+        for (const record of Object.values(itemsToSet)) {
+            if (record.type === 'folder' && record._id !== folderId && record.children.length === 0) {
+                emptiedFolders.push(record._id);
+                delete itemsToSet[record._id];
+            }
+        }
+        // A removed subfolder leaves its parent, which may be emptied in turn
+        for (let i = 0; i < emptiedFolders.length; i++) {
+            const parent = this.getFolderForItem(emptiedFolders[i]);
+            if (!parent || emptiedFolders.includes(parent._id)) continue;
+            const staged = itemsToSet[parent._id] || { ...parent, children: parent.children.slice() };
+            staged.children = staged.children.filter(childId => childId !== emptiedFolders[i]);
+            if (staged.children.length === 0 && parent._id !== folderId) {
+                remember(parent);
+                delete itemsToSet[parent._id];
+                emptiedFolders.push(parent._id);
+            } else {
+                stage(staged);
+            }
+        }
+        if (target && moving.length > 0) {
+            const staged = itemsToSet[target._id] || { ...target, children: target.children.slice() };
+            staged.children = [...staged.children, ...moving];
+            stage(staged);
+        }
+        for (const id of moving) changed.add(id);
+
+        const pinnable = dock === 'pin'
+            ? targets.filter(item => item.type !== 'folder' && !this.isPinned(item._id) && !(target && movingSet.has(item._id)))
+            : [];
+        const dockLimit = this._getDockLimit();
+        const addTags = Object.values(itemsToSet).flatMap(record => record.tags || []);
+        const removeSet = new Set(emptiedFolders);
+        const startPage = pageIndex !== null && pageIndex !== undefined && !target ? Number(pageIndex) : null;
+        const newPage = startPage !== null && startPage >= this.getPageCount();
+
+        const committed = await this._enqueueWrite(async () => {
+            return this._commit({
+                itemsToSet: Object.keys(itemsToSet).length > 0 ? itemsToSet : null,
+                itemIdsToRemove: emptiedFolders,
+                apply: ({ items, dockPins, tags }) => {
+                    let nextItems = items.filter(entry => !removeSet.has(entry) && !movingSet.has(entry));
+                    if (startPage !== null && moving.length > 0) {
+                        if (newPage) {
+                            nextItems = [...nextItems, CONFIG.PAGE_BREAK, ...moving];
+                        } else {
+                            nextItems.splice(this._findPageInsertPosition(nextItems, startPage), 0, ...moving);
+                        }
+                    }
+                    let nextDock = this._normalizeDockPins(dockPins).filter(pid => !removeSet.has(pid));
+                    // Matches addToFolder(): links moved into a folder leave the Dock
+                    if (target) nextDock = nextDock.filter(pid => !movingSet.has(pid));
+                    if (dock === 'unpin') {
+                        const unpin = new Set(targets.map(item => item._id));
+                        nextDock = nextDock.filter(pid => !unpin.has(pid));
+                    } else if (dock === 'pin') {
+                        for (const item of pinnable) {
+                            if (nextDock.length >= dockLimit) break;
+                            nextDock.push(item._id);
+                        }
+                    }
+                    const nextTags = addTags.length > 0 ? Array.from(new Set([...tags, ...addTags])) : tags;
+                    return { items: nextItems, dockPins: nextDock, tags: nextTags };
+                }
+            });
+        });
+        await this._applyCommittedStateToMemory(committed);
+
+        if (dock) {
+            for (const item of targets) {
+                if (undo.dockPins.includes(item._id) !== this.isPinned(item._id)) changed.add(item._id);
+            }
+            if (dock === 'pin') skipped += pinnable.filter(item => !this.isPinned(item._id)).length;
+        }
+        this._notify('reordered', { pages: this.pages, dockPins: this.dockPins, source: 'bulk-edit' });
+        if (undo.dockPins.join('|') !== this.dockPins.join('|')) {
+            this._notify('dockChanged', { dockPins: this.dockPins, reason: 'bulk-edit' });
+        }
+        return { changed: changed.size, skipped, undo: changed.size > 0 ? undo : null };
+    }
+    /**
+     * Undo a bulkEditItems() call in one commit. Links added since stay, at the end.
+     * @param {{ items: string[], dockPins: string[], records: Record<string, Object> }} undo
+     */
+    async restoreBulkEdit(undo) {
+        this._assertNotDestroyed();
+        if (!undo || !Array.isArray(undo.items)) return false;
+        const records = undo.records || {};
+        const committed = await this._enqueueWrite(async () => {
+            return this._commit({
+                itemsToSet: Object.keys(records).length > 0 ? records : null,
+                apply: ({ items, dockPins, tags }) => {
+                    const restored = new Set(undo.items);
+                    for (const record of Object.values(records)) {
+                        if (record.type === 'folder') record.children.forEach(id => restored.add(id));
+                    }
+                    const added = items.filter(entry => entry !== CONFIG.PAGE_BREAK && !restored.has(entry));
+                    return {
+                        items: [...undo.items, ...added],
+                        dockPins: Array.isArray(undo.dockPins) ? undo.dockPins : dockPins,
+                        tags
+                    };
+                }
+            });
+        });
+        await this._applyCommittedStateToMemory(committed);
+        this._notify('reordered', { pages: this.pages, dockPins: this.dockPins, source: 'bulk-edit' });
+        this._notify('dockChanged', { dockPins: this.dockPins, reason: 'restore' });
+        return true;
+    }
+    /**
+     * Edit links, move them to a page, group them into folders and pin them to the Dock in one
+     * commit, so a large import or bookmark sync is a single sync write.
+     * `folders` are `{ key, title, children, folderId? }`, innermost first; `children` are
+     * top-level link ids or keys of earlier folders. A folder with a `folderId` takes them in,
+     * any other one is created where its first child was. Children that do not fit stay put.
+     * @param {{ updates?: Record<string, Object>, folders?: Object[], page?: { index: number, ids: string[] }, dockPins?: string[] }} plan
+     * @returns {Promise<{ folderIds: Record<string, string>, pinned: number }>}
+     */
+    async arrangeItems({ updates = null, folders = [], page = null, dockPins = [] } = {}) {
+        this._assertNotDestroyed();
+        const itemsToSet = {};
+        const addTags = [];
+        for (const [id, patch] of Object.entries(updates || {})) {
+            const item = this.getItem(id);
+            if (!patch || !item || item.isSystemItem || item.type === 'folder') continue;
+            const next = { ...item };
+            if (typeof patch.title === 'string') next.title = patch.title.slice(0, CONFIG.MAX_TITLE_LENGTH);
+            if (typeof patch.url === 'string') {
+                const url = patch.url.slice(0, CONFIG.MAX_URL_LENGTH);
+                if (this.isUrlSafe(url)) next.url = url;
+            }
+            if (Array.isArray(patch.tags)) {
+                next.tags = this._normalizeTags(patch.tags);
+                addTags.push(...next.tags);
+            }
+            const createdAt = Number(patch.createdAt);
+            if (Number.isFinite(createdAt) && createdAt > 0) next.createdAt = createdAt;
+            itemsToSet[id] = next;
+        }
+
+        const isLooseLink = (id) => {
+            const item = this.getItem(id);
+            return Boolean(item) && item.type !== 'folder' && !item.isSystemItem && !this.getFolderForItem(id);
+        };
+        const folderIds = new Map(); // Spec key -> folder id
+        const heights = new Map(); // Created folder id -> height
+        const taken = new Set();
+        const placements = [];
+        for (const spec of Array.isArray(folders) ? folders : []) {
+            const existing = spec?.folderId ? this.getItem(spec.folderId) : null;
+            const target = existing?.type === 'folder' && !existing.smart ? existing : null;
+            const folderId = target ? target._id : this._generateFolderId();
+            const maxChildHeight = CONFIG.MAX_FOLDER_DEPTH - (target ? this.getFolderPath(folderId).length : 1);
+            let room = CONFIG.MAX_FOLDER_CHILDREN - (target ? target.children.length : 0);
+            const children = [];
+            let height = 1;
+            for (const child of Array.isArray(spec?.children) ? spec.children : []) {
+                if (room <= 0) break;
+                const id = folderIds.get(child) ?? child;
+                if (taken.has(id) || children.includes(id)) continue;
+                if (heights.has(id) ? heights.get(id) > maxChildHeight : !isLooseLink(id)) continue;
+                height = Math.max(height, (heights.get(id) ?? 0) + 1);
+                children.push(id);
+                room--;
+            }
+            if (children.length === 0) continue;
+            children.forEach(id => taken.add(id));
+            if (spec.key !== undefined) folderIds.set(spec.key, folderId);
+            if (target) {
+                itemsToSet[folderId] = { ...target, children: [...target.children, ...children] };
+            } else {
+                heights.set(folderId, height);
+                itemsToSet[folderId] = {
+                    _id: folderId,
+                    type: 'folder',
+                    title: String(spec.title || '').trim().slice(0, CONFIG.MAX_FOLDER_TITLE_LENGTH),
+                    children,
+                    createdAt: Date.now()
+                };
+            }
+            placements.push({ folderId, children, created: !target });
+        }
+
+        const pageIds = page ? (page.ids || []).filter(isLooseLink) : [];
+        const newPage = pageIds.length > 0 && Number(page.index) >= this.getPageCount();
+        const pins = (Array.isArray(dockPins) ? dockPins : [])
+            .filter(id => !taken.has(id) && isLooseLink(id) && !this.isPinned(id));
+        if (Object.keys(itemsToSet).length === 0 && pageIds.length === 0 && pins.length === 0) {
+            return { folderIds: Object.fromEntries(folderIds), pinned: 0 };
+        }
+        const dockBefore = Array.isArray(this.dockPins) ? this.dockPins.join('|') : '';
+        const dockLimit = this._getDockLimit();
+
+        const committed = await this._enqueueWrite(async () => {
+            return this._commit({
+                itemsToSet: Object.keys(itemsToSet).length > 0 ? itemsToSet : null,
+                apply: ({ items, dockPins: currentPins, tags }) => {
+                    let nextItems = items.slice();
+                    if (pageIds.length > 0) {
+                        const moving = new Set(pageIds);
+                        nextItems = nextItems.filter(entry => !moving.has(entry));
+                        if (newPage) {
+                            nextItems = [...nextItems, CONFIG.PAGE_BREAK, ...pageIds];
+                        } else {
+                            nextItems.splice(this._findPageInsertPosition(nextItems, page.index), 0, ...pageIds);
+                        }
+                        // The page the links were added on may be empty now
+                        while (nextItems[nextItems.length - 1] === CONFIG.PAGE_BREAK) nextItems.pop();
+                    }
+                    for (const { folderId, children, created } of placements) {
+                        const childSet = new Set(children);
+                        // Entries before the first child stay, so its index is the folder's slot
+                        const slot = nextItems.findIndex(entry => childSet.has(entry));
+                        nextItems = nextItems.filter(entry => !childSet.has(entry));
+                        if (created) nextItems.splice(slot >= 0 ? slot : nextItems.length, 0, folderId);
+                    }
+                    // Matches addToFolder(): links moved into a folder leave the Dock
+                    const nextDock = this._normalizeDockPins(currentPins).filter(pid => !taken.has(pid));
+                    for (const id of pins) {
+                        if (nextDock.length >= dockLimit) break;
+                        if (!nextDock.includes(id)) nextDock.push(id);
+                    }
+                    const nextTags = addTags.length > 0 ? Array.from(new Set([...tags, ...addTags])) : tags;
+                    return { items: nextItems, dockPins: nextDock, tags: nextTags };
+                }
+            });
+        });
+        await this._applyCommittedStateToMemory(committed);
+
+        for (const { folderId, created } of placements) {
+            if (created) this._notify('folderCreated', { folder: this.getItem(folderId) });
+        }
+        this._notify('reordered', { pages: this.pages, dockPins: this.dockPins, source: 'arrange' });
+        if (dockBefore !== this.dockPins.join('|')) {
+            this._notify('dockChanged', { dockPins: this.dockPins, reason: 'arrange' });
+        }
+        return { folderIds: Object.fromEntries(folderIds), pinned: pins.filter(id => this.isPinned(id)).length };
+    }
     async removeItems(itemIds) {
         this._assertNotDestroyed();
         if (!Array.isArray(itemIds) || itemIds.length === 0) {
@@ -2239,35 +2978,499 @@ class Store {
         if (!query || typeof query !== 'string') return [];
         let q = query.trim();
         if (!q) return [];
+        const { limit = 50, fuzzyThreshold = DEFAULT_FUZZY_THRESHOLD, includeScore = false } = options;
         if (q.startsWith('#')) {
-            return this.getItemsByTag(q.slice(1));
+            const tagged = this.getItemsByTag(q.slice(1));
+            return includeScore ? tagged.map(item => ({ item, score: 1 })) : tagged;
+        }
+        // site:, added: and is: queries are the ones a smart folder can save
+        const rule = parseSmartQuery(q);
+        if (rule) {
+            const matched = this.getItemsBySmartRule(rule, options).slice(0, limit);
+            return includeScore ? matched.map(item => ({ item, score: 1 })) : matched;
         }
         q = q.toLowerCase();
-        const { limit = 50 } = options;
+        const threshold = Number.isFinite(fuzzyThreshold) ? clamp(fuzzyThreshold, 0, 1) : DEFAULT_FUZZY_THRESHOLD;
         // Search all items including folder children; folders match by title only
         const items = this.getAllItemsFlat();
         if (items.length === 0) return [];
-        const titleMatches = [];
-        const urlMatches = [];
-        const tagMatches = [];
-        for (const item of items) {
-            const title = (item.title || '').toLowerCase();
-            if (item.type === 'folder') {
-                if (title.includes(q)) titleMatches.push(item);
-                continue;
-            }
-            const url = (item.url || '').toLowerCase();
-            const tags = (item.tags || []).join(' ').toLowerCase();
-            if (title.includes(q)) {
-                titleMatches.push(item);
-            } else if (tags.includes(q)) {
-                tagMatches.push(item);
-            } else if (url.includes(q)) {
-                urlMatches.push(item);
+        const scored = [];
+        items.forEach((item, index) => {
+            let score = scoreQuery(q, item.title || '');
+            if (item.type !== 'folder') {
+                // Tags and URLs rank below an equally good title match; URLs only match as substrings
+                const tagScore = (item.tags || []).reduce((best, tag) => Math.max(best, scoreQuery(q, tag)), 0);
+                const urlScore = scoreQuery(q, this._getSearchableUrl(item.url), { fuzzy: false });
+                score = Math.max(score, tagScore * SEARCH_FIELD_WEIGHTS.tags, urlScore * SEARCH_FIELD_WEIGHTS.url);
+            }
+            if (score <= 0 || score < threshold) return;
+            const rank = score + getUsageBoost(this._usageStats.get(item._id));
+            scored.push({ item, score, rank, index });
+        });
+        scored.sort((a, b) => (b.rank - a.rank) || (a.index - b.index));
+        const top = scored.slice(0, limit);
+        return includeScore ? top.map(({ item, score }) => ({ item, score })) : top.map(entry => entry.item);
+    }
+    // ─── Usage Tracking ──────────────────────────────────────
+    _normalizeUsage(raw) {
+        const usage = new Map();
+        if (!raw || typeof raw !== 'object' || Array.isArray(raw)) return usage;
+        for (const [id, entry] of Object.entries(raw)) {
+            if (typeof id !== 'string' || !id.startsWith(CONFIG.LINK_PREFIX)) continue;
+            const count = Math.floor(Number(entry?.count));
+            const lastUsedAt = Number(entry?.lastUsedAt);
+            if (!Number.isFinite(count) || count <= 0) continue;
+            usage.set(id, { count, lastUsedAt: Number.isFinite(lastUsedAt) ? lastUsedAt : 0 });
+        }
+        return usage;
+    }
+    async _loadUsage() {
+        try {
+            this._usageStats = this._normalizeUsage(await storageRepo.local.get(CONFIG.USAGE_KEY, {}));
+        } catch {
+            this._usageStats = new Map();
+        }
+    }
+    /**
+     * Record a launch of a link. Stats live in chrome.storage.local so launches never touch sync quota.
+     * @param {string} id
+     * @returns {Promise<boolean>} false when the id is not a trackable link
+     */
+    async recordLaunch(id) {
+        this._assertNotDestroyed();
+        const item = this.getItem(id);
+        if (!item || item.isSystemItem || item.type === 'folder') return false;
+        const previous = this._usageStats.get(id);
+        this._usageStats.set(id, { count: (previous?.count || 0) + 1, lastUsedAt: Date.now() });
+        await this._saveUsage(id);
+        return true;
+    }
+    async _saveUsage(id = null) {
+        // Drop stats of deleted links (links parked in other workspaces are kept),
+        // then keep only the most recent entries
+        const entries = [...this._usageStats.entries()]
+            .filter(([entryId]) => this._itemsCache.has(entryId) || this._parkedItemIds.has(entryId))
+            .sort((a, b) => b[1].lastUsedAt - a[1].lastUsedAt)
+            .slice(0, CONFIG.MAX_USAGE_ENTRIES);
+        this._usageStats = new Map(entries);
+        this._notify('usageChanged', { id, source: 'local' });
+        try {
+            await storageRepo.local.setMultiple({ [CONFIG.USAGE_KEY]: Object.fromEntries(entries) });
+        } catch (error) {
+            console.warn('[Store] Failed to persist usage stats:', error);
+        }
+    }
+    /**
+     * Move the launch stats of merged-away copies onto the kept link: counts add up and the
+     * latest launch wins.
+     */
+    async _mergeUsage(keepId, fromIds) {
+        const moved = fromIds.map(id => this._usageStats.get(id)).filter(Boolean);
+        if (moved.length === 0) return;
+        const kept = this._usageStats.get(keepId);
+        const merged = [kept, ...moved].filter(Boolean);
+        for (const id of fromIds) this._usageStats.delete(id);
+        this._usageStats.set(keepId, {
+            count: merged.reduce((sum, usage) => sum + usage.count, 0),
+            lastUsedAt: Math.max(...merged.map(usage => usage.lastUsedAt))
+        });
+        await this._saveUsage(keepId);
+    }
+    getUsage(id) {
+        const usage = this._usageStats.get(id);
+        return usage ? { ...usage } : null;
+    }
+    /**
+     * Put back stats read with getUsage(), e.g. when a merge is undone
+     * @param {Record<string, { count: number, lastUsedAt: number }|null>} stats - null clears a link's stats
+     */
+    async restoreUsage(stats) {
+        this._assertNotDestroyed();
+        for (const [id, usage] of Object.entries(stats || {})) {
+            if (usage?.count > 0) this._usageStats.set(id, { count: usage.count, lastUsedAt: usage.lastUsedAt || 0 });
+            else this._usageStats.delete(id);
+        }
+        await this._saveUsage();
+    }
+    _getUsedItems(compare, limit) {
+        const out = [];
+        for (const [id, usage] of this._usageStats) {
+            const item = this._itemsCache.get(id);
+            if (!item || item.type === 'folder' || item.isSystemItem) continue;
+            out.push({ item, usage });
+        }
+        out.sort((a, b) => compare(a.usage, b.usage));
+        return out.slice(0, Math.max(0, limit)).map(entry => entry.item);
+    }
+    getMostUsedItems(limit = CONFIG.MAX_FOLDER_CHILDREN) {
+        return this._getUsedItems((a, b) => (b.count - a.count) || (b.lastUsedAt - a.lastUsedAt), limit);
+    }
+    getRecentlyUsedItems(limit = CONFIG.MAX_FOLDER_CHILDREN) {
+        return this._getUsedItems((a, b) => b.lastUsedAt - a.lastUsedAt, limit);
+    }
+    async clearUsage() {
+        this._assertNotDestroyed();
+        this._usageStats = new Map();
+        this._notify('usageChanged', { source: 'local' });
+        await storageRepo.local.remove(CONFIG.USAGE_KEY);
+    }
+    // ─── End Usage Tracking ──────────────────────────────────
+    // ─── Workspaces ──────────────────────────────────────────
+    // The active workspace always occupies the v6 keys (quicklinksItems, quicklinksDockPins,
+    // quicklinksTags, quicklinksActiveSet). Inactive workspaces are parked under
+    // quicklinksWorkspace_<id> and keep pointing at their own chunk set, so switching only
+    // swaps pointers and never copies item data.
+    _workspaceRecordKey(id) {
+        return `${CONFIG.WORKSPACE_PREFIX}${id}`;
+    }
+    _workspaceItemsKey(id) {
+        return `${CONFIG.WORKSPACE_PREFIX}${id}_items`;
+    }
+    _workspaceBackgroundKey(id) {
+        return `${CONFIG.WORKSPACE_BACKGROUND_PREFIX}${id}`;
+    }
+    /**
+     * Parked background settings; records written before they moved to local storage
+     * still carry them in sync.
+     */
+    async _readWorkspaceBackground(id, record) {
+        const local = await storageRepo.local.get(this._workspaceBackgroundKey(id), null);
+        return this._normalizeWorkspaceBackground(local) ?? this._normalizeWorkspaceBackground(record?.backgroundSettings);
+    }
+    _generateWorkspaceId() {
+        return `ws_${this._generateChunkSetId().slice(0, 12)}`;
+    }
+    _normalizeWorkspaceName(name) {
+        return String(name ?? '').trim().slice(0, CONFIG.MAX_WORKSPACE_NAME_LENGTH);
+    }
+    _normalizeWorkspaceRegistry(raw) {
+        const list = [];
+        const seen = new Set();
+        for (const entry of Array.isArray(raw?.list) ? raw.list : []) {
+            const id = typeof entry?.id === 'string' ? entry.id : '';
+            if (!/^[\w-]+$/.test(id) || seen.has(id)) continue;
+            seen.add(id);
+            const createdAt = Number(entry.createdAt);
+            list.push({
+                id,
+                name: this._normalizeWorkspaceName(entry.name),
+                createdAt: Number.isFinite(createdAt) ? createdAt : 0
+            });
+            if (list.length >= CONFIG.MAX_WORKSPACES) break;
+        }
+        if (list.length === 0) {
+            list.push({ id: CONFIG.DEFAULT_WORKSPACE_ID, name: '', createdAt: 0 });
+        }
+        const activeId = list.some(ws => ws.id === raw?.activeId) ? raw.activeId : list[0].id;
+        return { activeId, list };
+    }
+    _normalizeWorkspaceBackground(raw) {
+        if (!raw || typeof raw !== 'object' || Array.isArray(raw)) return null;
+        // API keys are account-level credentials, not part of a workspace look
+        const { apiKeys: _apiKeys, ...rest } = raw;
+        return rest;
+    }
+    /**
+     * Chunk sets owned by parked workspaces; cleanup must never reclaim them.
+     * @param {Object} syncData - Full chrome.storage.sync snapshot
+     * @returns {Set<string>}
+     */
+    _collectParkedChunkSetIds(syncData) {
+        const setIds = new Set();
+        const registry = this._normalizeWorkspaceRegistry(syncData?.[CONFIG.WORKSPACES_KEY]);
+        for (const { id } of registry.list) {
+            if (id === registry.activeId) continue;
+            const setId = syncData?.[this._workspaceRecordKey(id)]?.activeSet;
+            if (typeof setId === 'string' && setId) setIds.add(setId);
+        }
+        return setIds;
+    }
+    async _readChunkSetItemsMap(setId) {
+        const itemsById = new Map();
+        if (typeof setId !== 'string' || !setId) return itemsById;
+        const indexKey = this._chunkSetIndexKey(setId);
+        const indexData = await storageRepo.sync.getMultiple({ [indexKey]: [] });
+        const chunkKeys = (Array.isArray(indexData?.[indexKey]) ? indexData[indexKey] : [])
+            .filter((key) => this._isChunkSetChunkKey(key, setId));
+        if (chunkKeys.length === 0) return itemsById;
+        const chunks = await storageRepo.sync.getMultiple(Object.fromEntries(chunkKeys.map(key => [key, {}])));
+        for (const key of chunkKeys) {
+            const obj = chunks?.[key];
+            if (!obj || typeof obj !== 'object') continue;
+            for (const [id, raw] of Object.entries(obj)) {
+                const item = this._normalizeItemData(raw);
+                if (item) itemsById.set(id, item);
+            }
+        }
+        return itemsById;
+    }
+    async _loadWorkspaces() {
+        this._workspaces = this._normalizeWorkspaceRegistry(await storageRepo.sync.get(CONFIG.WORKSPACES_KEY, null));
+        await this._loadParkedItemIds();
+    }
+    async _loadParkedItemIds() {
+        const ids = new Set();
+        try {
+            for (const { id } of this._workspaces.list) {
+                if (id === this._workspaces.activeId) continue;
+                const record = await storageRepo.sync.get(this._workspaceRecordKey(id), null);
+                for (const itemId of (await this._readChunkSetItemsMap(record?.activeSet)).keys()) {
+                    ids.add(itemId);
+                }
             }
+        } catch (error) {
+            console.warn('[Store] Failed to read parked workspace links:', error);
         }
-        const merged = [...titleMatches, ...tagMatches, ...urlMatches];
-        return merged.slice(0, limit);
+        this._parkedItemIds = ids;
+    }
+    _notifyWorkspacesChanged(source) {
+        this._notify('workspacesChanged', { workspaces: this.getWorkspaces(), source });
+    }
+    /**
+     * @returns {Array<{ id: string, name: string, createdAt: number, active: boolean }>}
+     */
+    getWorkspaces() {
+        return this._workspaces.list.map(ws => ({
+            ...ws,
+            name: ws.name || t('workspaceDefaultName'),
+            active: ws.id === this._workspaces.activeId
+        }));
+    }
+    getActiveWorkspace() {
+        return this.getWorkspaces().find(ws => ws.active) ?? null;
+    }
+    async createWorkspace(name) {
+        this._assertNotDestroyed();
+        return this._enqueueWrite(async () => {
+            const registry = this._normalizeWorkspaceRegistry(await storageRepo.sync.get(CONFIG.WORKSPACES_KEY, null));
+            if (registry.list.length >= CONFIG.MAX_WORKSPACES) return { ok: false, reason: 'limit' };
+            const workspace = {
+                id: this._generateWorkspaceId(),
+                name: this._normalizeWorkspaceName(name) || t('workspaceNewName', { n: registry.list.length + 1 }),
+                createdAt: Date.now()
+            };
+            const next = { ...registry, list: [...registry.list, workspace] };
+            await storageRepo.sync.setMultiple({ [CONFIG.WORKSPACES_KEY]: next });
+            this._workspaces = next;
+            this._notifyWorkspacesChanged('local');
+            return { ok: true, id: workspace.id };
+        });
+    }
+    async renameWorkspace(id, name) {
+        this._assertNotDestroyed();
+        const safeName = this._normalizeWorkspaceName(name);
+        if (!safeName) return { ok: false, reason: 'invalid' };
+        return this._enqueueWrite(async () => {
+            const registry = this._normalizeWorkspaceRegistry(await storageRepo.sync.get(CONFIG.WORKSPACES_KEY, null));
+            if (!registry.list.some(ws => ws.id === id)) return { ok: false, reason: 'missing' };
+            const next = {
+                ...registry,
+                list: registry.list.map(ws => ws.id === id ? { ...ws, name: safeName } : ws)
+            };
+            await storageRepo.sync.setMultiple({ [CONFIG.WORKSPACES_KEY]: next });
+            this._workspaces = next;
+            this._notifyWorkspacesChanged('local');
+            return { ok: true };
+        });
+    }
+    /**
+     * Delete an inactive workspace together with its parked chunk set.
+     * @param {string} id
+     * @returns {Promise<{ ok: boolean, reason?: string }>}
+     */
+    async deleteWorkspace(id) {
+        this._assertNotDestroyed();
+        return this._enqueueWrite(async () => {
+            const registry = this._normalizeWorkspaceRegistry(await storageRepo.sync.get(CONFIG.WORKSPACES_KEY, null));
+            if (!registry.list.some(ws => ws.id === id)) return { ok: false, reason: 'missing' };
+            if (registry.activeId === id) return { ok: false, reason: 'active' };
+            const next = { ...registry, list: registry.list.filter(ws => ws.id !== id) };
+            await storageRepo.sync.setMultiple({ [CONFIG.WORKSPACES_KEY]: next });
+            await storageRepo.sync.removeMultiple([this._workspaceRecordKey(id), this._workspaceItemsKey(id)]);
+            await storageRepo.local.remove(this._workspaceBackgroundKey(id));
+            this._workspaces = next;
+            await this._loadParkedItemIds();
+            const activeSetId = await storageRepo.sync.get(CONFIG.ACTIVE_SET_KEY, null);
+            await this._cleanupObsoleteStorage(typeof activeSetId === 'string' ? activeSetId : null);
+            this._notifyWorkspacesChanged('local');
+            return { ok: true };
+        });
+    }
+    /**
+     * Park the active workspace and move another one into the v6 keys.
+     * Background settings travel with the workspace (in local storage); a workspace that was
+     * never opened here starts with the system items and inherits the current background.
+     * Fails with reason 'quota' when the parked record or the sync total would not fit.
+     * @param {string} id
+     * @returns {Promise<{ ok: boolean, reason?: string }>}
+     */
+    async switchWorkspace(id) {
+        this._assertNotDestroyed();
+        const result = await this._enqueueWrite(async () => {
+            const registry = this._normalizeWorkspaceRegistry(await storageRepo.sync.get(CONFIG.WORKSPACES_KEY, null));
+            if (!registry.list.some(ws => ws.id === id)) return { ok: false, reason: 'missing' };
+            if (registry.activeId === id) return { ok: true, reason: 'already' };
+            const recordKey = this._workspaceRecordKey(id);
+            const itemsKey = this._workspaceItemsKey(id);
+            const current = await storageRepo.sync.getMultiple({
+                quicklinksItems: [],
+                quicklinksDockPins: [],
+                quicklinksTags: [],
+                [CONFIG.ACTIVE_SET_KEY]: null,
+                backgroundSettings: null,
+                [recordKey]: null,
+                [itemsKey]: null
+            });
+            const record = current[recordKey] && typeof current[recordKey] === 'object' ? current[recordKey] : null;
+            const parkedRecordKey = this._workspaceRecordKey(registry.activeId);
+            const parkedItemsKey = this._workspaceItemsKey(registry.activeId);
+            const updates = {
+                [parkedRecordKey]: {
+                    activeSet: current[CONFIG.ACTIVE_SET_KEY],
+                    dockPins: this._normalizeDockPins(current.quicklinksDockPins),
+                    tags: this._normalizeTagLibrary(current.quicklinksTags),
+                    savedAt: Date.now()
+                },
+                [parkedItemsKey]: this._normalizeItems(current.quicklinksItems)
+            };
+            for (const key of [parkedRecordKey, parkedItemsKey]) {
+                const size = this._estimateSize({ [key]: updates[key] });
+                if (size > CONFIG.QUOTA_BYTES_PER_ITEM) {
+                    console.warn(`[Store] Workspace ${key} exceeds quota (${size} > ${CONFIG.QUOTA_BYTES_PER_ITEM})`);
+                    return { ok: false, reason: 'quota' };
+                }
+            }
+            let next;
+            if (record && typeof record.activeSet === 'string' && record.activeSet) {
+                next = {
+                    items: this._normalizeItems(current[itemsKey]),
+                    dockPins: this._normalizeDockPins(record.dockPins),
+                    tags: this._normalizeTagLibrary(record.tags),
+                    setId: record.activeSet
+                };
+                const background = await this._readWorkspaceBackground(id, record);
+                if (background) {
+                    updates.backgroundSettings = { ...background, apiKeys: current.backgroundSettings?.apiKeys ?? {} };
+                }
+            } else {
+                const items = [PHOTOS_ITEM_ID, SETTINGS_ITEM_ID];
+                next = {
+                    items,
+                    dockPins: items.slice(0, this._getDockLimit()),
+                    tags: [],
+                    setId: this._generateChunkSetId()
+                };
+                updates[this._chunkSetIndexKey(next.setId)] = [];
+            }
+            const quotaBytes = this._getSyncQuotaBytes();
+            if (Number.isFinite(quotaBytes) && quotaBytes > 0) {
+                const projected = { ...(await storageRepo.sync.getAll()), ...updates };
+                delete projected[recordKey];
+                delete projected[itemsKey];
+                const projectedBytes = this._estimateSize(projected);
+                if (projectedBytes > quotaBytes) {
+                    console.warn(`[Store] Workspace switch exceeds sync quota (${projectedBytes}/${quotaBytes})`);
+                    return { ok: false, reason: 'quota' };
+                }
+            }
+            const parkedBackground = this._normalizeWorkspaceBackground(current.backgroundSettings);
+            if (parkedBackground) {
+                await storageRepo.local.setMultiple({ [this._workspaceBackgroundKey(registry.activeId)]: parkedBackground });
+            }
+            const revision = this._generateStorageRevision();
+            this._lastLocalStorageRevision = revision;
+            const nextRegistry = { ...registry, activeId: id };
+            await storageRepo.sync.setMultiple({
+                ...updates,
+                storageVersion: CONFIG.STORAGE_VERSION,
+                quicklinksItems: next.items,
+                quicklinksDockPins: next.dockPins,
+                quicklinksTags: next.tags,
+                [CONFIG.ACTIVE_SET_KEY]: next.setId,
+                [CONFIG.STORAGE_REVISION_KEY]: revision,
+                [CONFIG.WORKSPACES_KEY]: nextRegistry
+            });
+            await storageRepo.sync.removeMultiple([recordKey, itemsKey]);
+            await storageRepo.local.remove(this._workspaceBackgroundKey(id));
+            this._workspaces = nextRegistry;
+            this.tags = next.tags;
+            await this._applyCommittedStateToMemory(next);
+            await this._loadParkedItemIds();
+            return { ok: true };
+        });
+        if (result?.ok && result.reason !== 'already') {
+            this._notify('tagsChanged', this.getTags());
+            this._notify('reordered', { pages: this.pages, dockPins: this.dockPins, source: 'workspace' });
+            this._notifyWorkspacesChanged('local');
+        }
+        return result ?? { ok: false, reason: 'destroyed' };
+    }
+    /**
+     * Switch to the workspace after the active one (wrapping around).
+     * @returns {Promise<{ ok: boolean, reason?: string, id?: string }>}
+     */
+    async switchToNextWorkspace() {
+        const { list, activeId } = this._workspaces;
+        if (list.length < 2) return { ok: false, reason: 'single' };
+        const index = list.findIndex(ws => ws.id === activeId);
+        const target = list[(index + 1) % list.length];
+        const result = await this.switchWorkspace(target.id);
+        return { ...result, id: target.id };
+    }
+    /**
+     * Resolve a workspace's links (active or parked) for export.
+     * @param {string} id
+     * @returns {Promise<{ workspace: Object, pages: Object[][], dockPins: string[], tags: string[], backgroundSettings: Object|null }|null>}
+     */
+    async getWorkspaceSnapshot(id) {
+        this._assertNotDestroyed();
+        const workspace = this.getWorkspaces().find(ws => ws.id === id);
+        if (!workspace) return null;
+        let entries;
+        let itemsById;
+        let dockPins;
+        let tags;
+        let backgroundSettings;
+        if (workspace.active) {
+            entries = this._items;
+            itemsById = this._itemsCache;
+            dockPins = this.dockPins.slice();
+            tags = this.tags.slice();
+            backgroundSettings = await storageRepo.sync.get('backgroundSettings', null);
+        } else {
+            const recordKey = this._workspaceRecordKey(id);
+            const itemsKey = this._workspaceItemsKey(id);
+            const data = await storageRepo.sync.getMultiple({ [recordKey]: null, [itemsKey]: [] });
+            const record = data[recordKey] && typeof data[recordKey] === 'object' ? data[recordKey] : {};
+            entries = this._normalizeItems(data[itemsKey]);
+            itemsById = await this._readChunkSetItemsMap(record.activeSet);
+            dockPins = this._normalizeDockPins(record.dockPins);
+            tags = this._normalizeTagLibrary(record.tags);
+            backgroundSettings = await this._readWorkspaceBackground(id, record);
+        }
+        const concrete = entries.filter(entry => entry === CONFIG.PAGE_BREAK || !this._isSystemItemId(entry));
+        const resolve = (item, seen) => {
+            if (item.type !== 'folder' || seen.has(item._id)) return { ...item };
+            seen.add(item._id);
+            const children = (item.children || [])
+                .map(childId => itemsById.get(childId))
+                .filter(Boolean)
+                .map(child => resolve(child, seen));
+            return { ...item, children };
+        };
+        const pages = this._paginateEntries(concrete, itemsById, this._pageSizeHint)
+            .map(page => page.map(item => resolve(item, new Set())));
+        return {
+            workspace,
+            pages,
+            dockPins,
+            tags,
+            backgroundSettings: this._normalizeWorkspaceBackground(backgroundSettings)
+        };
+    }
+    // ─── End Workspaces ──────────────────────────────────────
+    _getSearchableUrl(url) {
+        return typeof url === 'string' ? url.replace(/^[a-z][a-z\d+.-]*:\/\/(www\.)?/i, '') : '';
     }
     _generateId() {
         if (globalThis.crypto?.randomUUID) {
@@ -2284,8 +3487,10 @@ class Store {
         this._assertNotDestroyed();
         const folderId = this._generateFolderId();
         const safeTitle = String(title || '').trim().slice(0, CONFIG.MAX_FOLDER_TITLE_LENGTH);
+        // Subfolders are allowed as long as the new folder stays within MAX_FOLDER_DEPTH
         const validChildIds = (Array.isArray(childIds) ? childIds : [])
-            .filter(id => typeof id === 'string' && id && !this._isSystemItemId(id) && !this._isFolderId(id))
+            .filter(id => typeof id === 'string' && id && !this._isSystemItemId(id))
+            .filter(id => !this._isFolderId(id) || this._canNestAtTopLevel(id))
             .slice(0, CONFIG.MAX_FOLDER_CHILDREN);
 
         const folderData = {
@@ -2295,12 +3500,87 @@ class Store {
             children: validChildIds,
             createdAt: Date.now()
         };
+        return this._insertFolder(folderData, pageIndex, itemIndex);
+    }
 
+    /**
+     * Create a folder whose members come from a rule instead of a children list
+     * @param {string} title
+     * @param {Object} rule - { type, value }; see smart-folders.js
+     * @returns {Promise<Object|null>} The folder, or null when the rule is invalid
+     */
+    async createSmartFolder(title, rule, pageIndex = null, itemIndex = null) {
+        this._assertNotDestroyed();
+        const smart = normalizeSmartRule(rule);
+        if (!smart) return null;
+        const folderData = {
+            _id: this._generateFolderId(),
+            type: 'folder',
+            title: String(title || '').trim().slice(0, CONFIG.MAX_FOLDER_TITLE_LENGTH),
+            children: [],
+            smart,
+            createdAt: Date.now()
+        };
+        return this._insertFolder(folderData, pageIndex, itemIndex);
+    }
+
+    /**
+     * @returns {Promise<Object|null>} The updated folder, or null for an invalid rule or a regular folder
+     */
+    async updateSmartFolderRule(folderId, rule) {
+        this._assertNotDestroyed();
+        const folder = folderId ? this.getItem(folderId) : null;
+        const smart = normalizeSmartRule(rule);
+        if (!folder?.smart || !smart) return null;
+
+        const updatedFolder = { ...folder, smart };
+        const committed = await this._enqueueWrite(async () => {
+            return this._commit({
+                itemsToSet: { [folderId]: updatedFolder },
+                apply: ({ items, dockPins, tags }) => ({ items, dockPins, tags })
+            });
+        });
+        await this._applyCommittedStateToMemory(committed);
+        this._notify('folderChanged', { folderId, action: 'rule', rule: smart });
+        return this.getItem(folderId);
+    }
+
+    _canNestAtTopLevel(folderId) {
+        const folder = this._itemsCache.get(folderId);
+        return folder?.type === 'folder' && !folder.smart
+            && this._getFolderHeight(folder) < CONFIG.MAX_FOLDER_DEPTH;
+    }
+    /**
+     * Stage taking an item out of its parent folder. A parent left empty is removed and
+     * taken out of its own parent in turn, except `keepId`, which is about to receive items.
+     */
+    _stageDetachFromFolder(itemId, itemsToSet, idsToRemove, keepId = null) {
+        let childId = itemId;
+        let parent = this.getFolderForItem(childId);
+        while (parent) {
+            const staged = itemsToSet[parent._id] || { ...parent, children: parent.children.slice() };
+            staged.children = staged.children.filter(id => id !== childId);
+            if (staged.children.length > 0 || parent._id === keepId) {
+                itemsToSet[parent._id] = staged;
+                return;
+            }
+            delete itemsToSet[parent._id];
+            idsToRemove.push(parent._id);
+            childId = parent._id;
+            parent = this.getFolderForItem(childId);
+        }
+    }
+    /**
+     * Write a new folder record and place it in the layout, taking its children off the grid
+     */
+    async _insertFolder(folderData, pageIndex, itemIndex) {
+        const folderId = folderData._id;
+        const childIds = folderData.children;
         const committed = await this._enqueueWrite(async () => {
             return this._commit({
                 itemsToSet: { [folderId]: folderData },
                 apply: ({ items, dockPins, tags }) => {
-                    const childSet = new Set(validChildIds);
+                    const childSet = new Set(childIds);
                     // Remove children from top-level _items
                     let nextItems = items.filter(entry => !childSet.has(entry));
 
@@ -2357,22 +3637,27 @@ class Store {
         this._assertNotDestroyed();
         if (!folderId || !itemId) return false;
         const folder = this.getItem(folderId);
-        if (!folder || folder.type !== 'folder') return false;
-        if (this._isSystemItemId(itemId) || this._isFolderId(itemId)) return false;
+        if (!folder || folder.type !== 'folder' || folder.smart) return false;
         if (folder.children.includes(itemId)) return true; // Already in folder
+        if (!this.canMoveIntoFolder(itemId, folderId)) return false;
         if (folder.children.length >= CONFIG.MAX_FOLDER_CHILDREN) return false;
 
-        const updatedFolder = {
-            ...folder,
-            children: [...folder.children, itemId]
-        };
+        // Items can arrive from another folder, e.g. a subfolder moved up or across
+        const itemsToSet = {};
+        const idsToRemove = [];
+        this._stageDetachFromFolder(itemId, itemsToSet, idsToRemove, folderId);
+        const updatedFolder = itemsToSet[folderId] || { ...folder, children: folder.children.slice() };
+        updatedFolder.children.push(itemId);
+        itemsToSet[folderId] = updatedFolder;
 
         const committed = await this._enqueueWrite(async () => {
             return this._commit({
-                itemsToSet: { [folderId]: updatedFolder },
+                itemsToSet,
+                itemIdsToRemove: idsToRemove.length > 0 ? idsToRemove : null,
                 apply: ({ items, dockPins, tags }) => {
-                    // Remove item from top-level
-                    const nextItems = items.filter(entry => entry !== itemId);
+                    const removeSet = new Set([itemId, ...idsToRemove]);
+                    // Remove item (and emptied source folders) from top-level
+                    const nextItems = items.filter(entry => !removeSet.has(entry));
                     // Remove item from dock
                     const nextDock = dockPins.filter(x => x !== itemId);
                     return { items: nextItems, dockPins: nextDock, tags };
@@ -2384,7 +3669,11 @@ class Store {
         return true;
     }
 
-    async removeFromFolder(folderId, itemId) {
+    /**
+     * Take an item out of a folder. From a subfolder it moves one level up unless
+     * `toTopLevel` is set (dropped on the grid) or the parent is full.
+     */
+    async removeFromFolder(folderId, itemId, { toTopLevel: forceTopLevel = false } = {}) {
         this._assertNotDestroyed();
         if (!folderId || !itemId) return false;
         const folder = this.getItem(folderId);
@@ -2394,20 +3683,30 @@ class Store {
         const newChildren = folder.children.filter(id => id !== itemId);
         // Auto-dissolve when folder becomes empty (0 children)
         if (newChildren.length === 0) {
-            return this._dissolveFolder(folderId, [itemId]);
+            return this._dissolveFolder(folderId, [itemId], { toTopLevel: forceTopLevel });
         }
 
-        const updatedFolder = { ...folder, children: newChildren };
+        const itemsToSet = { [folderId]: { ...folder, children: newChildren } };
+        // A subfolder releases one level up; a full parent sends the item to the top level instead
+        const parent = this.getFolderForItem(folderId);
+        if (parent && !forceTopLevel && parent.children.length < CONFIG.MAX_FOLDER_CHILDREN) {
+            const siblings = parent.children.slice();
+            siblings.splice(siblings.indexOf(folderId) + 1, 0, itemId);
+            itemsToSet[parent._id] = { ...parent, children: siblings };
+        }
+        const anchorId = parent ? this.getFolderPath(folderId)[0]._id : folderId;
+        const toTopLevel = !itemsToSet[parent?._id];
 
         const committed = await this._enqueueWrite(async () => {
             return this._commit({
-                itemsToSet: { [folderId]: updatedFolder },
+                itemsToSet,
                 apply: ({ items, dockPins, tags }) => {
-                    // Insert released item right after the folder
-                    const folderIdx = items.indexOf(folderId);
+                    if (!toTopLevel) return { items, dockPins, tags };
+                    // Insert released item right after the folder (or its top-level ancestor)
+                    const anchorIdx = items.indexOf(anchorId);
                     const nextItems = items.slice();
-                    if (folderIdx >= 0) {
-                        nextItems.splice(folderIdx + 1, 0, itemId);
+                    if (anchorIdx >= 0) {
+                        nextItems.splice(anchorIdx + 1, 0, itemId);
                     } else {
                         nextItems.push(itemId);
                     }
@@ -2430,7 +3729,8 @@ class Store {
 
         // Case 1: Target is already a folder → add dragged item into it
         if (targetItem.type === 'folder') {
-            if (this._isFolderId(draggedId)) return null; // No folder-into-folder
+            // Smart folders fill themselves; subfolders must not create a cycle or nest too deep
+            if (!this.canMoveIntoFolder(draggedId, targetId)) return null;
             const ok = await this.addToFolder(targetId, draggedId);
             return ok ? this.getItem(targetId) : null;
         }
@@ -2455,8 +3755,8 @@ class Store {
         if (!folder || folder.type !== 'folder') return false;
 
         if (deleteChildren) {
-            // Delete folder and all children
-            const idsToRemove = [folderId, ...folder.children];
+            // Delete folder and everything under it, subfolders included
+            const idsToRemove = [folderId, ...this._getDescendantIds(folderId)];
             await this._removeItemsAtomic(idsToRemove, { reason: 'delete-folder' });
             this._notify('folderDeleted', { folderId, children: folder.children, dissolved: false });
             return true;
@@ -2466,16 +3766,43 @@ class Store {
         return this._dissolveFolder(folderId, folder.children);
     }
 
-    async _dissolveFolder(folderId, childIdsToRelease) {
+    async _dissolveFolder(folderId, childIdsToRelease, { toTopLevel: forceTopLevel = false } = {}) {
+        const released = (Array.isArray(childIdsToRelease) ? childIdsToRelease : []).filter(Boolean);
+        // A subfolder hands its children to its parent, in its place; whatever does not
+        // fit goes to the top level after the outermost folder
+        const parent = this.getFolderForItem(folderId);
+        const itemsToSet = {};
+        const idsToRemove = [folderId];
+        let toTopLevel = released;
+        let anchorId = folderId;
+        if (parent) {
+            const room = forceTopLevel ? 0 : CONFIG.MAX_FOLDER_CHILDREN - parent.children.length + 1;
+            const kept = released.slice(0, room);
+            if (kept.length > 0) {
+                const siblings = parent.children.slice();
+                siblings.splice(siblings.indexOf(folderId), 1, ...kept);
+                itemsToSet[parent._id] = { ...parent, children: siblings };
+            } else {
+                this._stageDetachFromFolder(folderId, itemsToSet, idsToRemove);
+            }
+            toTopLevel = released.slice(kept.length);
+            anchorId = this.getFolderPath(parent._id)[0]._id;
+        }
         const committed = await this._enqueueWrite(async () => {
             return this._commit({
-                itemIdsToRemove: [folderId],
+                itemIdsToRemove: idsToRemove,
+                itemsToSet: Object.keys(itemsToSet).length > 0 ? itemsToSet : null,
                 apply: ({ items, dockPins, tags }) => {
-                    const folderIdx = items.indexOf(folderId);
-                    let nextItems = items.filter(entry => entry !== folderId);
-                    // Insert released children where the folder was
-                    const insertAt = folderIdx >= 0 ? Math.min(folderIdx, nextItems.length) : nextItems.length;
-                    const childrenToInsert = (Array.isArray(childIdsToRelease) ? childIdsToRelease : [])
+                    const removeSet = new Set(idsToRemove);
+                    const anchorIdx = items.indexOf(anchorId);
+                    let nextItems = items.filter(entry => !removeSet.has(entry));
+                    // Insert released children where the folder was, or after its top-level ancestor
+                    let insertAt = nextItems.length;
+                    if (anchorIdx >= 0) {
+                        const before = items.slice(0, anchorIdx).filter(entry => !removeSet.has(entry)).length;
+                        insertAt = removeSet.has(anchorId) ? before : before + 1;
+                    }
+                    const childrenToInsert = toTopLevel
                         .filter(id => id && !nextItems.includes(id));
                     nextItems.splice(insertAt, 0, ...childrenToInsert);
                     return { items: nextItems, dockPins, tags };
@@ -2511,7 +3838,7 @@ class Store {
         this._assertNotDestroyed();
         if (!folderId || !Array.isArray(newChildIds)) return false;
         const folder = this.getItem(folderId);
-        if (!folder || folder.type !== 'folder') return false;
+        if (!folder || folder.type !== 'folder' || folder.smart) return false;
 
         // Only keep IDs that are actually in the folder
         const currentSet = new Set(folder.children);
@@ -2573,6 +3900,7 @@ class Store {
                 [keys.dockCount]: clampQuicklinksDockCount(this.settings.dockCount),
                 [keys.magnifyScale]: this.settings.magnifyScale,
                 [keys.showBackdrop]: this.settings.showBackdrop,
+                [keys.dockAutoFill]: this.settings.dockAutoFill === true,
                 [CONFIG.STORAGE_REVISION_KEY]: revision
             };
             if (typeof this.settings.launchpadGridColumns !== 'undefined') {
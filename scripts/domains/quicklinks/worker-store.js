@@ -0,0 +1,39 @@
+/**
+ * Quicklinks store access for service worker tasks.
+ *
+ * Pages init the store when they load; the worker has no such lifecycle and may sleep through
+ * edits made in pages, so each background task calls ensureWorkerStore() before touching it.
+ */
+
+import { store } from './store.js';
+
+let _ready = null;
+
+function applyLaunchpadPageSize() {
+    const grid = store.CONFIG?.GRID_DENSITY;
+    if (!grid || typeof store.setPageSizeHint !== 'function') return;
+    const cols = Number(store.settings?.launchpadGridColumns) || grid.DEFAULT_COLS;
+    const rows = Number(store.settings?.launchpadGridRows) || grid.DEFAULT_ROWS;
+    store.setPageSizeHint(
+        Math.max(grid.COL_MIN, Math.min(grid.COL_MAX, cols)) * Math.max(grid.ROW_MIN, Math.min(grid.ROW_MAX, rows))
+    );
+}
+
+/**
+ * Init the store on first use, reload it afterwards.
+ * @returns {Promise<typeof store>}
+ */
+export async function ensureWorkerStore() {
+    if (!_ready) {
+        _ready = store.init().catch((error) => {
+            _ready = null;
+            throw error;
+        });
+        await _ready;
+    } else {
+        await _ready;
+        await store.loadData();
+    }
+    applyLaunchpadPageSize();
+    return store;
+}
@@ -0,0 +1,238 @@
+import { store } from './store.js';
+import { t } from '../../platform/i18n.js';
+import { toast } from '../../shared/toast.js';
+import { escapeHtml } from '../../shared/text.js';
+import { modalLayer } from '../../platform/modal-layer.js';
+import { DisposableComponent } from '../../platform/lifecycle.js';
+
+const MODAL_ID = 'workspace-menu';
+const MENU_GAP = 8;
+
+const ICON_CHECK = `
+    <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+        <polyline points="20 6 9 17 4 12"/>
+    </svg>
+`;
+const ICON_PLUS = `
+    <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">
+        <line x1="12" y1="5" x2="12" y2="19"/>
+        <line x1="5" y1="12" x2="19" y2="12"/>
+    </svg>
+`;
+
+/**
+ * Corner button + menu for switching quicklinks workspaces.
+ * The button only shows up once a second workspace exists.
+ */
+class WorkspaceSwitcher extends DisposableComponent {
+    constructor() {
+        super();
+        this._button = null;
+        this._label = null;
+        this._menu = null;
+        this._switching = false;
+    }
+
+    init() {
+        if (this.isDestroyed || this.isInitialized) return;
+
+        this._button = document.getElementById('workspaceBtn');
+        this._label = this._button?.querySelector('.workspace-btn-label') ?? null;
+        if (this._button) {
+            this._events.add(this._button, 'click', (e) => {
+                e.stopPropagation();
+                this.toggleMenu();
+            });
+        }
+
+        this._events.add(document, 'click', (e) => {
+            if (this.isMenuOpen && !this._menu.contains(e.target)) {
+                this.closeMenu();
+            }
+        });
+        this._events.add(document, 'keydown', (e) => this._handleMenuKeydown(e));
+
+        const unsubscribe = store.subscribe((event) => {
+            if (event === 'workspacesChanged') this._render();
+        });
+        this._addDisposable(unsubscribe);
+        this._addDisposable(() => {
+            this.closeMenu();
+            this._menu?.remove();
+            this._menu = null;
+        });
+
+        this._render();
+        this._markInitialized();
+    }
+
+    get isMenuOpen() {
+        return this._menu?.classList.contains('active') ?? false;
+    }
+
+    /**
+     * Cycle to the next workspace (keyboard shortcut).
+     */
+    async switchToNext() {
+        if (this._switching) return;
+        if (store.getWorkspaces().length < 2) {
+            toast(t('workspaceSwitchSingle'));
+            return;
+        }
+        this._switching = true;
+        try {
+            const result = await store.switchToNextWorkspace();
+            this._toastResult(result);
+        } finally {
+            this._switching = false;
+        }
+    }
+
+    async switchTo(id) {
+        if (this._switching) return;
+        this._switching = true;
+        try {
+            const result = await store.switchWorkspace(id);
+            if (result?.reason !== 'already') this._toastResult(result);
+        } finally {
+            this._switching = false;
+        }
+    }
+
+    toggleMenu() {
+        if (this.isMenuOpen) {
+            this.closeMenu();
+        } else {
+            this.openMenu();
+        }
+    }
+
+    openMenu() {
+        if (!this._button || this.isDestroyed) return;
+        const menu = this._ensureMenu();
+        menu.querySelector('.context-menu-content').innerHTML = this._buildMenuHtml();
+
+        menu.style.visibility = 'hidden';
+        menu.classList.add('active');
+        const anchor = this._button.getBoundingClientRect();
+        const { width, height } = menu.getBoundingClientRect();
+        const left = Math.max(MENU_GAP, Math.min(anchor.left, window.innerWidth - width - MENU_GAP));
+        const top = Math.max(MENU_GAP, anchor.top - height - MENU_GAP);
+        menu.style.left = `${left}px`;
+        menu.style.top = `${top}px`;
+        menu.style.transformOrigin = 'left bottom';
+        menu.style.visibility = '';
+        menu.setAttribute('aria-hidden', 'false');
+        this._button.setAttribute('aria-expanded', 'true');
+
+        modalLayer.register(MODAL_ID, modalLayer.constructor.LEVEL.CONTEXT_MENU, menu, () => this.closeMenu());
+
+        requestAnimationFrame(() => {
+            const current = menu.querySelector('.context-menu-item[aria-checked="true"]')
+                ?? menu.querySelector('.context-menu-item');
+            current?.focus({ preventScroll: true });
+        });
+    }
+
+    closeMenu() {
+        if (!this.isMenuOpen) return;
+        this._menu.classList.remove('active');
+        this._menu.setAttribute('aria-hidden', 'true');
+        this._button?.setAttribute('aria-expanded', 'false');
+        modalLayer.unregister(MODAL_ID);
+    }
+
+    _ensureMenu() {
+        if (this._menu) return this._menu;
+        const menu = document.createElement('div');
+        menu.className = 'context-menu workspace-menu';
+        menu.dataset.modal = 'true';
+        menu.setAttribute('role', 'menu');
+        menu.setAttribute('aria-hidden', 'true');
+        menu.innerHTML = '<div class="context-menu-content"></div>';
+        menu.addEventListener('click', (e) => {
+            const item = e.target.closest('.context-menu-item');
+            if (!item || item.classList.contains('disabled')) return;
+            e.stopPropagation();
+            this.closeMenu();
+            if (item.dataset.action === 'create') {
+                void this._createAndSwitch();
+            } else if (item.dataset.id) {
+                void this.switchTo(item.dataset.id);
+            }
+        });
+        document.body.appendChild(menu);
+        this._menu = menu;
+        return menu;
+    }
+
+    _buildMenuHtml() {
+        const workspaces = store.getWorkspaces();
+        const items = workspaces.map((ws) => `
+            <button class="context-menu-item" data-id="${escapeHtml(ws.id)}"
+                    role="menuitemradio" aria-checked="${ws.active}" tabindex="-1">
+                <span class="workspace-menu-check" aria-hidden="true">${ws.active ? ICON_CHECK : ''}</span>
+                <span>${escapeHtml(ws.name)}</span>
+            </button>
+        `).join('');
+        const canCreate = workspaces.length < store.CONFIG.MAX_WORKSPACES;
+        return `
+            ${items}
+            <div class="context-menu-separator"></div>
+            <button class="context-menu-item${canCreate ? '' : ' disabled'}" data-action="create"
+                    role="menuitem" tabindex="-1" ${canCreate ? '' : 'aria-disabled="true"'}>
+                ${ICON_PLUS}
+                <span>${t('workspaceCreate')}</span>
+            </button>
+        `;
+    }
+
+    async _createAndSwitch() {
+        const created = await store.createWorkspace('');
+        if (!created?.ok) {
+            toast(t('workspaceLimitReached', { max: store.CONFIG.MAX_WORKSPACES }), { type: 'error' });
+            return;
+        }
+        await this.switchTo(created.id);
+    }
+
+    _handleMenuKeydown(e) {
+        if (!this.isMenuOpen) return;
+        const items = Array.from(this._menu.querySelectorAll('.context-menu-item:not(.disabled)'));
+        if (items.length === 0) return;
+        const index = items.indexOf(document.activeElement);
+
+        if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+            e.preventDefault();
+            const step = e.key === 'ArrowDown' ? 1 : -1;
+            items[(index + step + items.length) % items.length]?.focus();
+        } else if (e.key === 'Tab') {
+            e.preventDefault();
+            this.closeMenu();
+        }
+    }
+
+    _toastResult(result) {
+        if (result?.ok) {
+            toast(t('workspaceSwitched', { name: store.getActiveWorkspace()?.name ?? '' }));
+        } else if (result?.reason === 'quota') {
+            toast(t('workspaceSwitchQuota'), { type: 'error' });
+        } else if (result?.reason !== 'single') {
+            toast(t('workspaceSwitchFailed'), { type: 'error' });
+        }
+    }
+
+    _render() {
+        if (!this._button) return;
+        const workspaces = store.getWorkspaces();
+        const active = workspaces.find((ws) => ws.active);
+        this._button.classList.toggle('hidden', workspaces.length < 2);
+        if (this._label) this._label.textContent = active?.name ?? '';
+        this._button.title = t('workspaceSwitcherTitle', { name: active?.name ?? '' });
+        if (this.isMenuOpen) {
+            this._menu.querySelector('.context-menu-content').innerHTML = this._buildMenuHtml();
+        }
+    }
+}
+
+export const workspaceSwitcher = new WorkspaceSwitcher();
@@ -0,0 +1,270 @@
+/**
+ * Search Engines - Built-in engine table and user-defined engines
+ *
+ * Custom engines are stored in sync storage (`searchCustomEngines`) as an
+ * ordered array of `{ id, label, template, icon }`. The template is a URL
+ * containing `%s`, which is replaced by the encoded query.
+ *
+ * Keyword prefixes (`!gh react` / `w berlin`) route a single query to an
+ * engine. Built-ins ship default keywords; user overrides for any engine
+ * live in `searchEngineKeywords` as `{ [engineId]: keyword }` ('' disables).
+ * Built-in keywords need the `!`, so "y combinator" stays a normal search;
+ * only keywords the user set up also work without it.
+ */
+
+import * as storageRepo from '../platform/storage-repo.js';
+
+export const CUSTOM_ENGINES_KEY = 'searchCustomEngines';
+export const ENGINE_KEYWORDS_KEY = 'searchEngineKeywords';
+export const CUSTOM_ENGINE_ID_PREFIX = 'custom_';
+export const QUERY_PLACEHOLDER = '%s';
+
+export const CUSTOM_ENGINE_LIMITS = Object.freeze({
+    // Keeps the whole list well below the 8 KB sync per-item quota
+    maxEngines: 12,
+    maxLabelLength: 32,
+    maxTemplateLength: 256,
+    maxIconLength: 256
+});
+
+// Note: 'default' label uses i18n, others are brand names
+export const BUILTIN_SEARCH_ENGINES = Object.freeze({
+    default: { labelKey: 'searchEngineDefault', searchUrl: '' },
+    google: { label: 'Google', searchUrl: 'https://www.google.com/search?q=' },
+    bing: { label: 'Bing', searchUrl: 'https://www.bing.com/search?q=' },
+    baidu: { label: 'Baidu', searchUrl: 'https://www.baidu.com/s?wd=' },
+    duckduckgo: { label: 'DuckDuckGo', searchUrl: 'https://duckduckgo.com/?q=' },
+    yahoo: { label: 'Yahoo', searchUrl: 'https://search.yahoo.com/search?p=' },
+    yandex: { label: 'Yandex', searchUrl: 'https://yandex.com/search/?text=' },
+    ecosia: { label: 'Ecosia', searchUrl: 'https://www.ecosia.org/search?q=' },
+    brave: { label: 'Brave', searchUrl: 'https://search.brave.com/search?q=' },
+    naver: { label: 'Naver', searchUrl: 'https://search.naver.com/search.naver?query=' },
+    sogou: { label: 'Sogou', searchUrl: 'https://www.sogou.com/web?query=' }
+});
+
+export const DEFAULT_ENGINE_KEYWORDS = Object.freeze({
+    google: 'g',
+    bing: 'b',
+    baidu: 'bd',
+    duckduckgo: 'ddg',
+    yahoo: 'y',
+    yandex: 'ya',
+    ecosia: 'eco',
+    brave: 'br',
+    naver: 'nv',
+    sogou: 'sg'
+});
+
+const KEYWORD_PATTERN = /^[\p{L}\p{N}_.-]{1,16}$/u;
+
+export function isCustomEngineId(id) {
+    return typeof id === 'string' && id.startsWith(CUSTOM_ENGINE_ID_PREFIX);
+}
+
+export function createCustomEngineId() {
+    return `${CUSTOM_ENGINE_ID_PREFIX}${crypto.randomUUID().replace(/-/g, '').slice(0, 12)}`;
+}
+
+/**
+ * Validate a `%s` URL template.
+ * @param {string} template
+ * @returns {{ valid: boolean, error?: string }}
+ */
+export function validateEngineTemplate(template) {
+    const value = typeof template === 'string' ? template.trim() : '';
+    if (!value || value.length > CUSTOM_ENGINE_LIMITS.maxTemplateLength) {
+        return { valid: false, error: 'searchEngineInvalidTemplate' };
+    }
+    if (!value.includes(QUERY_PLACEHOLDER)) {
+        return { valid: false, error: 'searchEngineMissingPlaceholder' };
+    }
+
+    try {
+        const url = new URL(value.replaceAll(QUERY_PLACEHOLDER, 'test'));
+        if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+            return { valid: false, error: 'searchEngineInvalidTemplate' };
+        }
+    } catch {
+        return { valid: false, error: 'searchEngineInvalidTemplate' };
+    }
+
+    return { valid: true };
+}
+
+/**
+ * Icons are rendered as <img>, so only sources allowed by the page CSP are kept.
+ */
+function normalizeIcon(icon) {
+    const value = typeof icon === 'string' ? icon.trim() : '';
+    if (!value || value.length > CUSTOM_ENGINE_LIMITS.maxIconLength) return '';
+    if (value.startsWith('https://') || value.startsWith('data:image/')) return value;
+    return '';
+}
+
+/**
+ * @param {any} raw
+ * @returns {{ id: string, label: string, template: string, icon: string } | null}
+ */
+export function normalizeCustomEngine(raw) {
+    if (!raw || typeof raw !== 'object') return null;
+
+    const id = isCustomEngineId(raw.id) ? raw.id : '';
+    const label = typeof raw.label === 'string'
+        ? raw.label.trim().slice(0, CUSTOM_ENGINE_LIMITS.maxLabelLength)
+        : '';
+    const template = typeof raw.template === 'string' ? raw.template.trim() : '';
+
+    if (!id || !label || !validateEngineTemplate(template).valid) return null;
+
+    return { id, label, template, icon: normalizeIcon(raw.icon) };
+}
+
+/**
+ * Drop invalid entries and duplicate ids, keep order, cap the list length.
+ * @param {any} list
+ */
+export function normalizeCustomEngines(list) {
+    if (!Array.isArray(list)) return [];
+
+    const seen = new Set();
+    const result = [];
+    for (const raw of list) {
+        const engine = normalizeCustomEngine(raw);
+        if (!engine || seen.has(engine.id)) continue;
+        seen.add(engine.id);
+        result.push(engine);
+        if (result.length >= CUSTOM_ENGINE_LIMITS.maxEngines) break;
+    }
+    return result;
+}
+
+/**
+ * Built-in engines followed by custom engines, keyed by engine id.
+ * Custom entries expose `template` and `icon` in addition to `label`.
+ */
+export function buildEngineMap(customEngines = []) {
+    const map = { ...BUILTIN_SEARCH_ENGINES };
+    for (const engine of normalizeCustomEngines(customEngines)) {
+        map[engine.id] = { label: engine.label, template: engine.template, icon: engine.icon, custom: true };
+    }
+    return map;
+}
+
+/**
+ * @param {{ searchUrl?: string, template?: string }} engine
+ * @param {string} query
+ * @returns {string}
+ */
+export function buildSearchUrl(engine, query) {
+    const encoded = encodeURIComponent(query);
+    if (engine?.template) {
+        return engine.template.replaceAll(QUERY_PLACEHOLDER, encoded);
+    }
+    return (engine?.searchUrl || '') + encoded;
+}
+
+export async function getCustomEngines() {
+    const list = await storageRepo.sync.get(CUSTOM_ENGINES_KEY, []);
+    return normalizeCustomEngines(list);
+}
+
+export async function saveCustomEngines(list) {
+    const normalized = normalizeCustomEngines(list);
+    await storageRepo.sync.setMultiple({ [CUSTOM_ENGINES_KEY]: normalized });
+    return normalized;
+}
+
+// ========== Keywords ==========
+
+/**
+ * Lower-case a keyword and strip a leading `!`.
+ * @returns {string} normalized keyword, or '' when invalid
+ */
+export function normalizeKeyword(keyword) {
+    if (typeof keyword !== 'string') return '';
+    const value = keyword.trim().replace(/^!/, '').toLowerCase();
+    return KEYWORD_PATTERN.test(value) ? value : '';
+}
+
+/**
+ * Effective keyword per engine: user override when present, otherwise the built-in default.
+ * The 'default' engine has no URL and therefore no keyword.
+ * @param {Record<string, object>} engineMap
+ * @param {Record<string, string>} [overrides]
+ * @returns {Record<string, string>} engineId -> keyword ('' when unbound)
+ */
+export function getEffectiveKeywords(engineMap, overrides = {}) {
+    const safeOverrides = overrides && typeof overrides === 'object' ? overrides : {};
+    const result = {};
+    for (const id of Object.keys(engineMap || {})) {
+        if (id === 'default') continue;
+        const raw = Object.prototype.hasOwnProperty.call(safeOverrides, id)
+            ? safeOverrides[id]
+            : DEFAULT_ENGINE_KEYWORDS[id];
+        result[id] = normalizeKeyword(raw);
+    }
+    return result;
+}
+
+/**
+ * Build the keyword -> engineId lookup. On conflicts the first engine in map order wins.
+ * @returns {Map<string, string>}
+ */
+export function buildKeywordMap(engineMap, overrides = {}) {
+    const map = new Map();
+    for (const [id, keyword] of Object.entries(getEffectiveKeywords(engineMap, overrides))) {
+        if (keyword && !map.has(keyword)) {
+            map.set(keyword, id);
+        }
+    }
+    return map;
+}
+
+/**
+ * Detect a keyword-routed query.
+ * Supports `!kw query`, a trailing `query !kw` and, for keywords the user set up, `kw query`.
+ * @param {string} input
+ * @param {Map<string, string>} keywordMap
+ * @param {Record<string, string>} [overrides] - User keywords, the only ones usable without `!`
+ * @returns {{ engineId: string, query: string } | null}
+ */
+export function parseKeywordQuery(input, keywordMap, overrides = {}) {
+    const text = typeof input === 'string' ? input.trim() : '';
+    if (!text || !keywordMap?.size) return null;
+
+    const leading = /^(!?)(\S+)\s+([\s\S]+)$/.exec(text);
+    if (leading) {
+        const keyword = normalizeKeyword(leading[2]);
+        const engineId = keywordMap.get(keyword);
+        const userKeyword = engineId && overrides && typeof overrides === 'object'
+            && Object.prototype.hasOwnProperty.call(overrides, engineId)
+            && normalizeKeyword(overrides[engineId]) === keyword;
+        if (engineId && (leading[1] || userKeyword)) return { engineId, query: leading[3].trim() };
+    }
+
+    const trailing = /^([\s\S]+?)\s+!(\S+)$/.exec(text);
+    if (trailing) {
+        const engineId = keywordMap.get(normalizeKeyword(trailing[2]));
+        if (engineId) return { engineId, query: trailing[1].trim() };
+    }
+
+    return null;
+}
+
+export async function getEngineKeywordOverrides() {
+    const value = await storageRepo.sync.get(ENGINE_KEYWORDS_KEY, {});
+    return value && typeof value === 'object' && !Array.isArray(value) ? value : {};
+}
+
+/**
+ * @param {Record<string, string>} overrides - engineId -> keyword ('' disables the default)
+ */
+export async function saveEngineKeywordOverrides(overrides) {
+    const normalized = {};
+    for (const [id, keyword] of Object.entries(overrides || {})) {
+        if (typeof id !== 'string' || !id) continue;
+        normalized[id] = normalizeKeyword(keyword);
+    }
+    await storageRepo.sync.setMultiple({ [ENGINE_KEYWORDS_KEY]: normalized });
+    return normalized;
+}
@@ -0,0 +1,81 @@
+/**
+ * Search History - opt-in recent queries kept in local storage only
+ *
+ * Recording is gated by the `searchHistoryEnabled` sync setting; the list
+ * itself never leaves the device (`searchHistory` in chrome.storage.local).
+ */
+
+import * as storageRepo from '../platform/storage-repo.js';
+
+export const SEARCH_HISTORY_KEY = 'searchHistory';
+export const SEARCH_HISTORY_LIMIT = 50;
+const MAX_QUERY_LENGTH = 200;
+
+function normalizeEntries(list) {
+    if (!Array.isArray(list)) return [];
+    return list
+        .filter((entry) => entry && typeof entry.query === 'string' && entry.query.trim())
+        .map((entry) => ({ query: entry.query.trim(), ts: Number(entry.ts) || 0 }))
+        .slice(0, SEARCH_HISTORY_LIMIT);
+}
+
+/**
+ * @returns {Promise<Array<{ query: string, ts: number }>>} newest first
+ */
+export async function getSearchHistory() {
+    return normalizeEntries(await storageRepo.local.get(SEARCH_HISTORY_KEY, []));
+}
+
+/**
+ * Move (or insert) a query to the front of the history.
+ * @param {string} query
+ */
+export async function recordSearchQuery(query) {
+    const value = typeof query === 'string' ? query.trim().slice(0, MAX_QUERY_LENGTH) : '';
+    if (!value) return;
+
+    const key = value.toLowerCase();
+    const history = (await getSearchHistory()).filter((entry) => entry.query.toLowerCase() !== key);
+    history.unshift({ query: value, ts: Date.now() });
+    await storageRepo.local.setMultiple({ [SEARCH_HISTORY_KEY]: history.slice(0, SEARCH_HISTORY_LIMIT) });
+}
+
+/**
+ * @param {string} query
+ */
+export async function removeSearchQuery(query) {
+    const key = typeof query === 'string' ? query.trim().toLowerCase() : '';
+    if (!key) return;
+    const history = await getSearchHistory();
+    const next = history.filter((entry) => entry.query.toLowerCase() !== key);
+    if (next.length !== history.length) {
+        await storageRepo.local.setMultiple({ [SEARCH_HISTORY_KEY]: next });
+    }
+}
+
+export async function clearSearchHistory() {
+    await storageRepo.local.remove(SEARCH_HISTORY_KEY);
+}
+
+/**
+ * Prefix matches first, then substring matches; an empty input returns the most recent entries.
+ * @param {Array<{ query: string }>} history
+ * @param {string} input
+ * @param {number} [limit]
+ * @returns {string[]}
+ */
+export function matchSearchHistory(history, input, limit = 3) {
+    const q = typeof input === 'string' ? input.trim().toLowerCase() : '';
+    const list = Array.isArray(history) ? history : [];
+    if (!q) return list.slice(0, limit).map((entry) => entry.query);
+
+    const prefix = [];
+    const contains = [];
+    for (const entry of list) {
+        const text = entry.query.toLowerCase();
+        if (text === q) continue;
+        if (text.startsWith(q)) prefix.push(entry.query);
+        else if (text.includes(q)) contains.push(entry.query);
+    }
+    return [...prefix, ...contains].slice(0, limit);
+}
@@ -0,0 +1,66 @@
+/**
+ * Search Suggest - provider suggest endpoints
+ *
+ * Shared by the page (request side) and the service worker (fetch side):
+ * pages cannot call these endpoints directly because of CORS, so the
+ * request is proxied through MSG.FETCH_SEARCH_SUGGESTIONS.
+ */
+
+import { MSG } from '../platform/runtime-bus.js';
+import { sendRuntimeMessageSafe } from '../platform/icon-fetch-bridge.js';
+
+export const SUGGEST_MAX_RESULTS = 6;
+export const SUGGEST_MAX_QUERY_LENGTH = 200;
+
+// All three return OpenSearch JSON: [query, [suggestion, ...], ...]
+export const SUGGEST_PROVIDERS = Object.freeze({
+    google: 'https://suggestqueries.google.com/complete/search?client=firefox&q=',
+    bing: 'https://api.bing.com/osjson.aspx?query=',
+    duckduckgo: 'https://duckduckgo.com/ac/?type=list&q='
+});
+
+export function isSuggestProvider(provider) {
+    return typeof provider === 'string' && Object.hasOwn(SUGGEST_PROVIDERS, provider);
+}
+
+/**
+ * @param {string} provider
+ * @param {string} query
+ * @returns {string} request URL, or '' when the input is not acceptable
+ */
+export function buildSuggestUrl(provider, query) {
+    if (!isSuggestProvider(provider)) return '';
+    const value = typeof query === 'string' ? query.trim() : '';
+    if (!value || value.length > SUGGEST_MAX_QUERY_LENGTH) return '';
+    return SUGGEST_PROVIDERS[provider] + encodeURIComponent(value);
+}
+
+/**
+ * @param {any} payload - parsed JSON body
+ * @returns {string[]}
+ */
+export function parseSuggestResponse(payload) {
+    const list = Array.isArray(payload) && Array.isArray(payload[1]) ? payload[1] : [];
+    const seen = new Set();
+    const result = [];
+    for (const entry of list) {
+        if (typeof entry !== 'string') continue;
+        const value = entry.trim();
+        const key = value.toLowerCase();
+        if (!value || seen.has(key)) continue;
+        seen.add(key);
+        result.push(value);
+        if (result.length >= SUGGEST_MAX_RESULTS) break;
+    }
+    return result;
+}
+
+/**
+ * Page side: ask the service worker for suggestions.
+ * @returns {Promise<string[]>}
+ */
+export async function fetchSuggestionsViaBackground(provider, query) {
+    if (!buildSuggestUrl(provider, query)) return [];
+    const response = await sendRuntimeMessageSafe({ type: MSG.FETCH_SEARCH_SUGGESTIONS, provider, query });
+    return response?.success && Array.isArray(response.suggestions) ? response.suggestions : [];
+}
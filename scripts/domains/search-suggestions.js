@@ -0,0 +1,406 @@
+/**
+ * Search Suggestions - as-you-type dropdown for #searchInput
+ *
+ * Sources (in display order):
+ * 1. Matching quicklinks from store.search()
+ * 2. Recent queries (opt-in, local only)
+ * 3. Provider suggestions fetched through the service worker (opt-in)
+ *
+ * Implements the ARIA 1.2 combobox pattern: the input keeps focus and
+ * points at the active option through aria-activedescendant.
+ */
+
+import { DisposableComponent, createDebounce } from '../platform/lifecycle.js';
+import { t } from '../platform/i18n.js';
+import { toast } from '../shared/toast.js';
+import { getFaviconUrlCandidates } from '../shared/favicon.js';
+import { store } from './quicklinks/store.js';
+import { getSearchHistory, matchSearchHistory } from './search-history.js';
+import { fetchSuggestionsViaBackground, isSuggestProvider } from './search-suggest.js';
+
+const LISTBOX_ID = 'searchSuggestions';
+const QUICKLINK_LIMIT = 4;
+const HISTORY_LIMIT = 3;
+const HISTORY_EMPTY_INPUT_LIMIT = 6;
+const PROVIDER_LIMIT = 5;
+const PROVIDER_DEBOUNCE_MS = 150;
+const PROVIDER_CACHE_SIZE = 30;
+
+export class SearchSuggestions extends DisposableComponent {
+    /**
+     * @param {object} options
+     * @param {HTMLInputElement} options.input
+     * @param {HTMLElement} options.anchor - Positioned container the listbox is appended to
+     * @param {(query: string) => void} options.onSearch
+     */
+    constructor({ input, anchor, onSearch }) {
+        super();
+        this.input = input;
+        this.anchor = anchor;
+        this.onSearch = onSearch;
+        this.listbox = null;
+
+        this.historyEnabled = false;
+        this.provider = 'off';
+
+        /** @type {Array<{ kind: 'quicklink'|'history'|'suggest', label: string, query?: string, url?: string, detail?: string }>} */
+        this.options = [];
+        this.activeIndex = -1;
+        this.isOpen = false;
+
+        this._history = null;
+        this._providerCache = new Map();
+        this._providerResults = [];
+        this._requestSeq = 0;
+        this._debouncedFetch = createDebounce((query) => this._fetchProvider(query), PROVIDER_DEBOUNCE_MS);
+    }
+
+    init() {
+        if (this.isDestroyed || this.isInitialized || !this.input || !this.anchor) return;
+
+        this.listbox = document.createElement('div');
+        this.listbox.id = LISTBOX_ID;
+        this.listbox.className = 'search-suggestions';
+        this.listbox.setAttribute('role', 'listbox');
+        this.listbox.setAttribute('aria-label', t('searchSuggestionsLabel'));
+        this.listbox.hidden = true;
+        this.anchor.appendChild(this.listbox);
+
+        this.input.setAttribute('role', 'combobox');
+        this.input.setAttribute('aria-autocomplete', 'list');
+        this.input.setAttribute('aria-controls', LISTBOX_ID);
+        this.input.setAttribute('aria-expanded', 'false');
+        this.input.setAttribute('autocomplete', 'off');
+
+        this._events.add(this.input, 'input', () => this.update());
+        this._events.add(this.input, 'focus', () => this.update());
+        this._events.add(this.input, 'blur', () => this.close());
+        // Keep focus in the input while clicking options
+        this._events.add(this.listbox, 'mousedown', (e) => e.preventDefault());
+        this._events.add(this.listbox, 'click', (e) => {
+            const el = e.target.closest('[role="option"]');
+            if (!el) return;
+            this._activate(Number(el.dataset.index));
+        });
+        this._events.add(this.listbox, 'mousemove', (e) => {
+            const el = e.target.closest('[role="option"]');
+            if (el) this._setActive(Number(el.dataset.index));
+        });
+
+        this._markInitialized();
+    }
+
+    /**
+     * @param {{ historyEnabled?: boolean, provider?: string }} options
+     */
+    setOptions({ historyEnabled, provider } = {}) {
+        if (typeof historyEnabled === 'boolean') {
+            this.historyEnabled = historyEnabled;
+            this._history = null;
+        }
+        if (typeof provider === 'string') {
+            this.provider = isSuggestProvider(provider) ? provider : 'off';
+            this._providerCache.clear();
+            this._providerResults = [];
+        }
+    }
+
+    /** Drop cached history so the next render re-reads storage. */
+    invalidateHistory() {
+        this._history = null;
+    }
+
+    /**
+     * Recompute and render options for the current input.
+     * @param {{ showRecent?: boolean }} [options] - list recent history for an empty input
+     */
+    async update({ showRecent = false } = {}) {
+        if (this.isDestroyed || !this.input) return;
+        if (document.activeElement !== this.input) return;
+
+        const query = this.input.value.trim();
+        // Avoid popping the list on every new tab (the input is autofocused)
+        if (!query && !showRecent) {
+            this.close();
+            return;
+        }
+        if (this.historyEnabled && this._history === null) {
+            try {
+                this._history = await getSearchHistory();
+            } catch (error) {
+                // Keep suggesting without history; [] avoids repeating the toast on every keystroke
+                console.error('[SearchSuggestions] Failed to load search history:', error);
+                toast(t('searchHistoryLoadFailed'));
+                this._history = [];
+            }
+        }
+
+        // Input may have changed while history was loading
+        if (this.isDestroyed || this.input.value.trim() !== query) return;
+
+        const cached = this._providerCache.get(query.toLowerCase());
+        this._providerResults = cached || [];
+        this._render(query);
+
+        if (query && this.provider !== 'off' && !cached) {
+            this._debouncedFetch.call(query);
+        } else {
+            this._debouncedFetch.cancel();
+        }
+    }
+
+    /**
+     * Handle a keydown on the input.
+     * @param {KeyboardEvent} e
+     * @returns {boolean} true when the event was consumed
+     */
+    handleKeydown(e) {
+        if (e.isComposing) return false;
+
+        switch (e.key) {
+            case 'ArrowDown':
+            case 'ArrowUp': {
+                if (!this.isOpen) {
+                    if (e.key === 'ArrowDown') {
+                        e.preventDefault();
+                        void this.update({ showRecent: true });
+                        return true;
+                    }
+                    return false;
+                }
+                e.preventDefault();
+                const count = this.options.length;
+                const step = e.key === 'ArrowDown' ? 1 : -1;
+                // -1 means "back in the input" so wrap through it
+                const next = ((this.activeIndex + 1 + step + count + 1) % (count + 1)) - 1;
+                this._setActive(next);
+                return true;
+            }
+            case 'Enter':
+                if (!this.isOpen || this.activeIndex < 0) {
+                    this.close();
+                    return false;
+                }
+                e.preventDefault();
+                this._activate(this.activeIndex);
+                return true;
+            case 'Escape':
+                if (!this.isOpen) return false;
+                e.preventDefault();
+                e.stopPropagation();
+                this.close();
+                return true;
+            case 'Tab':
+                this.close();
+                return false;
+            default:
+                return false;
+        }
+    }
+
+    close() {
+        this._debouncedFetch.cancel();
+        this._requestSeq++;
+        if (!this.isOpen) return;
+
+        this.isOpen = false;
+        this.activeIndex = -1;
+        if (this.listbox) this.listbox.hidden = true;
+        this.anchor?.classList.remove('has-suggestions');
+        this.input?.setAttribute('aria-expanded', 'false');
+        this.input?.removeAttribute('aria-activedescendant');
+    }
+
+    // ========== Data ==========
+
+    _collect(query) {
+        const options = [];
+        const seenQueries = new Set([query.toLowerCase()]);
+
+        if (query) {
+            const links = store.search(query, { limit: QUICKLINK_LIMIT * 3 })
+                .filter((item) => item && item.type !== 'folder' && !item.isSystemItem && store.getSafeUrl(item.url))
+                .slice(0, QUICKLINK_LIMIT);
+            for (const item of links) {
+                options.push({
+                    kind: 'quicklink',
+                    id: item._id,
+                    label: item.title || item.url,
+                    url: item.url,
+                    detail: this._displayUrl(item.url)
+                });
+            }
+        }
+
+        if (this.historyEnabled && this._history) {
+            const limit = query ? HISTORY_LIMIT : HISTORY_EMPTY_INPUT_LIMIT;
+            for (const text of matchSearchHistory(this._history, query, limit)) {
+                seenQueries.add(text.toLowerCase());
+                options.push({ kind: 'history', label: text, query: text });
+            }
+        }
+
+        if (query) {
+            let added = 0;
+            for (const text of this._providerResults) {
+                const key = text.toLowerCase();
+                if (seenQueries.has(key)) continue;
+                seenQueries.add(key);
+                options.push({ kind: 'suggest', label: text, query: text });
+                if (++added >= PROVIDER_LIMIT) break;
+            }
+        }
+
+        return options;
+    }
+
+    async _fetchProvider(query) {
+        const seq = ++this._requestSeq;
+        const provider = this.provider;
+        const results = await fetchSuggestionsViaBackground(provider, query);
+
+        if (this.isDestroyed || seq !== this._requestSeq || provider !== this.provider) return;
+
+        this._providerCache.set(query.toLowerCase(), results);
+        if (this._providerCache.size > PROVIDER_CACHE_SIZE) {
+            this._providerCache.delete(this._providerCache.keys().next().value);
+        }
+
+        if (this.input?.value.trim() === query) {
+            this._providerResults = results;
+            this._render(query);
+        }
+    }
+
+    _displayUrl(url) {
+        try {
+            const parsed = new URL(url);
+            return parsed.hostname.replace(/^www\./i, '') + (parsed.pathname === '/' ? '' : parsed.pathname);
+        } catch {
+            return String(url || '');
+        }
+    }
+
+    // ========== Rendering ==========
+
+    _render(query) {
+        if (!this.listbox) return;
+
+        const previous = this.options[this.activeIndex];
+        this.options = this._collect(query);
+
+        if (this.options.length === 0) {
+            this.close();
+            return;
+        }
+
+        this.listbox.replaceChildren(...this.options.map((option, index) => this._renderOption(option, index)));
+
+        this.isOpen = true;
+        this.listbox.hidden = false;
+        this.anchor.classList.add('has-suggestions');
+        this.input.setAttribute('aria-expanded', 'true');
+
+        // Keep keyboard selection stable when async results arrive
+        const keepIndex = previous
+            ? this.options.findIndex((o) => o.kind === previous.kind && o.label === previous.label)
+            : -1;
+        this._setActive(keepIndex);
+    }
+
+    _renderOption(option, index) {
+        const el = document.createElement('div');
+        el.id = `${LISTBOX_ID}-${index}`;
+        el.className = `search-suggestion search-suggestion--${option.kind}`;
+        el.setAttribute('role', 'option');
+        el.setAttribute('aria-selected', 'false');
+        el.dataset.index = String(index);
+
+        const icon = document.createElement('span');
+        icon.className = 'search-suggestion-icon';
+        icon.setAttribute('aria-hidden', 'true');
+        if (option.kind === 'quicklink') {
+            const img = document.createElement('img');
+            img.alt = '';
+            img.width = 16;
+            img.height = 16;
+            img.src = getFaviconUrlCandidates(option.url, { size: 32 })[0] || '';
+            img.addEventListener('error', () => img.remove(), { once: true });
+            icon.appendChild(img);
+        } else {
+            icon.innerHTML = option.kind === 'history'
+                ? '<svg viewBox="0 0 24 24" width="14" height="14" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><circle cx="12" cy="12" r="9"/><polyline points="12 7 12 12 15 14"/></svg>'
+                : '<svg viewBox="0 0 24 24" width="14" height="14" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><circle cx="11" cy="11" r="7"/><line x1="16.5" y1="16.5" x2="21" y2="21"/></svg>';
+        }
+
+        const label = document.createElement('span');
+        label.className = 'search-suggestion-label';
+        label.textContent = option.label;
+
+        el.append(icon, label);
+
+        if (option.detail) {
+            const detail = document.createElement('span');
+            detail.className = 'search-suggestion-detail';
+            detail.textContent = option.detail;
+            el.appendChild(detail);
+        }
+
+        return el;
+    }
+
+    _setActive(index) {
+        this.activeIndex = index >= 0 && index < this.options.length ? index : -1;
+
+        const nodes = this.listbox ? this.listbox.children : [];
+        for (let i = 0; i < nodes.length; i++) {
+            const on = i === this.activeIndex;
+            nodes[i].classList.toggle('active', on);
+            nodes[i].setAttribute('aria-selected', on ? 'true' : 'false');
+        }
+
+        if (this.activeIndex >= 0) {
+            const active = nodes[this.activeIndex];
+            this.input.setAttribute('aria-activedescendant', active.id);
+            active.scrollIntoView?.({ block: 'nearest' });
+        } else {
+            this.input.removeAttribute('aria-activedescendant');
+        }
+    }
+
+    _activate(index) {
+        const option = this.options[index];
+        if (!option) return;
+
+        this.close();
+
+        if (option.kind === 'quicklink') {
+            const safeUrl = store.getSafeUrl(option.url);
+            if (!safeUrl) return;
+            store.recordLaunch(option.id).catch(() => { });
+            if (store.settings?.newTab) {
+                window.open(safeUrl, '_blank', 'noopener,noreferrer');
+            } else {
+                window.location.href = safeUrl;
+            }
+            return;
+        }
+
+        this.input.value = option.query;
+        this.onSearch?.(option.query);
+    }
+
+    destroy() {
+        if (this.isDestroyed) return;
+
+        this._debouncedFetch.cancel();
+        this.listbox?.remove();
+        this.listbox = null;
+        this.input = null;
+        this.anchor = null;
+        this.options = [];
+        this._providerCache.clear();
+
+        super.destroy();
+    }
+}
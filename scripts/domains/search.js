@@ -19,6 +19,15 @@ import {
 import { t } from '../platform/i18n.js';
 import * as storageRepo from '../platform/storage-repo.js';
 import { SYNC_SETTINGS_DEFAULTS, getSyncSettings } from '../platform/settings-contract.js';
+import {
+    BUILTIN_SEARCH_ENGINES,
+    buildEngineMap,
+    buildKeywordMap,
+    buildSearchUrl,
+    parseKeywordQuery
+} from './search-engines.js';
+import { recordSearchQuery } from './search-history.js';
+import { SearchSuggestions } from './search-suggestions.js';
 
 const MODAL_ID = 'engine-switcher';
 
@@ -41,27 +50,22 @@ class Search extends DisposableComponent {
         this.currentEngine = 'default';
         this.useDefaultEngine = true;
         this.openInNewTab = false;
+        this.historyEnabled = false;
         this.selectedIndex = 0;
         this.isOpen = false;
 
         // Storage listener manager
         this._storageManager = null;
 
-        // Search engine configurations
-        // Note: 'default' label uses i18n, others are brand names
-        this.searchEngines = {
-            default: { labelKey: 'searchEngineDefault', searchUrl: '' },
-            google: { label: 'Google', searchUrl: 'https://www.google.com/search?q=' },
-            bing: { label: 'Bing', searchUrl: 'https://www.bing.com/search?q=' },
-            baidu: { label: 'Baidu', searchUrl: 'https://www.baidu.com/s?wd=' },
-            duckduckgo: { label: 'DuckDuckGo', searchUrl: 'https://duckduckgo.com/?q=' },
-            yahoo: { label: 'Yahoo', searchUrl: 'https://search.yahoo.com/search?p=' },
-            yandex: { label: 'Yandex', searchUrl: 'https://yandex.com/search/?text=' },
-            ecosia: { label: 'Ecosia', searchUrl: 'https://www.ecosia.org/search?q=' },
-            brave: { label: 'Brave', searchUrl: 'https://search.brave.com/search?q=' },
-            naver: { label: 'Naver', searchUrl: 'https://search.naver.com/search.naver?query=' },
-            sogou: { label: 'Sogou', searchUrl: 'https://www.sogou.com/web?query=' }
-        };
+        // As-you-type dropdown (quicklinks, history, provider suggestions)
+        this.suggestions = null;
+
+        // Search engine configurations: built-ins first, then user-defined engines
+        this.searchEngines = { ...BUILTIN_SEARCH_ENGINES };
+
+        // Keyword prefixes (`!g foo`, `w foo`) -> engine id
+        this.keywordOverrides = {};
+        this.engineKeywords = buildKeywordMap(this.searchEngines);
     }
 
     /**
@@ -78,6 +82,12 @@ class Search extends DisposableComponent {
         if (this.isDestroyed || this.isInitialized) return;
 
         this.renderEngineButtons();
+        this.suggestions = new SearchSuggestions({
+            input: this.searchInput,
+            anchor: this.searchContainer,
+            onSearch: (query) => this.submitQuery(query)
+        });
+        this.suggestions.init();
         this.loadSavedPreferences();
         this._bindEvents();
         this._initStorageListener();
@@ -98,7 +108,15 @@ class Search extends DisposableComponent {
             btn.dataset.engine = key;
             btn.tabIndex = 0;
             btn.type = 'button';
-            btn.textContent = this._getEngineLabel(engine);
+            if (engine.icon) {
+                const icon = document.createElement('img');
+                icon.className = 'engine-btn-icon';
+                icon.src = engine.icon;
+                icon.alt = '';
+                icon.draggable = false;
+                btn.appendChild(icon);
+            }
+            btn.appendChild(document.createTextNode(this._getEngineLabel(engine)));
             this.engineButtonsContainer.appendChild(btn);
             return btn;
         });
@@ -114,7 +132,10 @@ class Search extends DisposableComponent {
 
     _bindEvents() {
         // Search input events - all managed via _events
-        this._events.add(this.searchInput, 'keydown', (e) => this.handleSearch(e));
+        this._events.add(this.searchInput, 'keydown', (e) => {
+            if (this.suggestions?.handleKeydown(e)) return;
+            this.handleSearch(e);
+        });
         this._events.add(this.searchInput, 'focus', () => {
             this.searchContainer.classList.add('focused');
         });
@@ -167,8 +188,27 @@ class Search extends DisposableComponent {
         this._storageManager = this._getStorageManager();
 
         this._storageManager.register('search-sync', (changes, areaName) => {
+            if (areaName === 'local') {
+                if (changes.searchHistory) this.suggestions?.invalidateHistory();
+                return;
+            }
             if (areaName !== 'sync') return;
 
+            if (changes.searchHistoryEnabled || changes.searchSuggestProvider) {
+                this._applySuggestionSettings({
+                    historyEnabled: changes.searchHistoryEnabled?.newValue,
+                    provider: changes.searchSuggestProvider?.newValue
+                });
+            }
+
+            if (changes.searchCustomEngines) {
+                this.setCustomEngines(changes.searchCustomEngines.newValue);
+            }
+
+            if (changes.searchEngineKeywords) {
+                this.setKeywordOverrides(changes.searchEngineKeywords.newValue);
+            }
+
             if (changes.searchOpenInNewTab) {
                 this.setOpenInNewTab(Boolean(changes.searchOpenInNewTab.newValue), false);
             }
@@ -187,8 +227,18 @@ class Search extends DisposableComponent {
             const settings = await getSyncSettings({
                 preferredSearchEngine: SYNC_SETTINGS_DEFAULTS.preferredSearchEngine,
                 useDefaultEngine: SYNC_SETTINGS_DEFAULTS.useDefaultEngine,
-                searchOpenInNewTab: SYNC_SETTINGS_DEFAULTS.searchOpenInNewTab
+                searchOpenInNewTab: SYNC_SETTINGS_DEFAULTS.searchOpenInNewTab,
+                searchCustomEngines: SYNC_SETTINGS_DEFAULTS.searchCustomEngines,
+                searchEngineKeywords: SYNC_SETTINGS_DEFAULTS.searchEngineKeywords,
+                searchHistoryEnabled: SYNC_SETTINGS_DEFAULTS.searchHistoryEnabled,
+                searchSuggestProvider: SYNC_SETTINGS_DEFAULTS.searchSuggestProvider
+            });
+            this._applySuggestionSettings({
+                historyEnabled: settings.searchHistoryEnabled,
+                provider: settings.searchSuggestProvider
             });
+            this._applyCustomEngines(settings.searchCustomEngines);
+            this.setKeywordOverrides(settings.searchEngineKeywords);
             this.useDefaultEngine = settings.useDefaultEngine;
             this.openInNewTab = settings.searchOpenInNewTab;
 
@@ -198,12 +248,49 @@ class Search extends DisposableComponent {
             if (savedIndex !== -1) {
                 this.selectedIndex = savedIndex;
                 this.setSearchEngine(settings.preferredSearchEngine);
+            } else {
+                // Saved engine no longer exists (e.g. a deleted custom engine)
+                this.useDefaultEngine = this.currentEngine === 'default';
             }
         } catch {
             // Ignore storage errors
         }
     }
 
+    _applyCustomEngines(customEngines) {
+        this.searchEngines = buildEngineMap(customEngines);
+        this.engineKeywords = buildKeywordMap(this.searchEngines, this.keywordOverrides);
+        this.renderEngineButtons();
+    }
+
+    _applySuggestionSettings({ historyEnabled, provider }) {
+        const options = {};
+        if (typeof historyEnabled !== 'undefined') {
+            this.historyEnabled = historyEnabled === true;
+            options.historyEnabled = this.historyEnabled;
+        }
+        if (typeof provider !== 'undefined') {
+            options.provider = String(provider);
+        }
+        this.suggestions?.setOptions(options);
+    }
+
+    setKeywordOverrides(overrides) {
+        this.keywordOverrides = (overrides && typeof overrides === 'object') ? overrides : {};
+        this.engineKeywords = buildKeywordMap(this.searchEngines, this.keywordOverrides);
+    }
+
+    /**
+     * Replace user-defined engines (e.g. after editing in settings).
+     * Falls back to the default engine when the selected one was removed.
+     */
+    setCustomEngines(customEngines) {
+        this._applyCustomEngines(customEngines);
+        if (!this.searchEngines[this.currentEngine]) {
+            this.setSearchEngine('default');
+        }
+    }
+
     setOpenInNewTab(openInNewTab, persist = false) {
         this.openInNewTab = Boolean(openInNewTab);
 
@@ -355,12 +442,39 @@ class Search extends DisposableComponent {
         this.engineBtns[prevIndex].focus();
     }
 
+    _openSearchUrl(searchUrl) {
+        if (this.openInNewTab) {
+            window.open(searchUrl, '_blank');
+        } else {
+            window.location.href = searchUrl;
+        }
+    }
+
     async handleSearch(e) {
         if (e.key !== 'Enter') return;
 
-        const query = this.searchInput.value.trim();
+        await this.submitQuery(this.searchInput.value);
+    }
+
+    async submitQuery(rawQuery) {
+        const query = String(rawQuery || '').trim();
         if (!query) return;
 
+        if (this.historyEnabled) {
+            try {
+                await recordSearchQuery(query);
+            } catch {
+                // History is best-effort
+            }
+        }
+
+        // Keyword prefix routes this one query without touching the selected engine
+        const routed = parseKeywordQuery(query, this.engineKeywords, this.keywordOverrides);
+        if (routed && this.searchEngines[routed.engineId]) {
+            this._openSearchUrl(buildSearchUrl(this.searchEngines[routed.engineId], routed.query));
+            return;
+        }
+
         if (this.useDefaultEngine) {
             try {
                 await chrome.search.query({
@@ -369,20 +483,10 @@ class Search extends DisposableComponent {
                 });
             } catch {
                 // Fallback to Google
-                const searchUrl = this.searchEngines.google.searchUrl + encodeURIComponent(query);
-                if (this.openInNewTab) {
-                    window.open(searchUrl, '_blank');
-                } else {
-                    window.location.href = searchUrl;
-                }
+                this._openSearchUrl(buildSearchUrl(this.searchEngines.google, query));
             }
         } else {
-            const searchUrl = this.searchEngines[this.currentEngine].searchUrl + encodeURIComponent(query);
-            if (this.openInNewTab) {
-                window.open(searchUrl, '_blank');
-            } else {
-                window.location.href = searchUrl;
-            }
+            this._openSearchUrl(buildSearchUrl(this.searchEngines[this.currentEngine], query));
         }
     }
 
@@ -395,6 +499,9 @@ class Search extends DisposableComponent {
             this.closeSwitcher(false);
         }
 
+        this.suggestions?.destroy();
+        this.suggestions = null;
+
         // Clear DOM references
         this.searchInput = null;
         this.searchEngineBtn = null;
@@ -1,9 +1,29 @@
 
-import { t } from '../../platform/i18n.js';
+import { getLocale, t } from '../../platform/i18n.js';
 import { backgroundSystem } from '../backgrounds/controller.js';
 import { toast } from '../../shared/toast.js';
 import { SYNC_SETTINGS_DEFAULTS, createBackgroundSettingsDefaults, getSyncSettings } from '../../platform/settings-contract.js';
 import { patchBackgroundSettings, patchSyncSettings } from '../../platform/settings-repo.js';
+import { parseCollectionIds, parseTopicList } from '../backgrounds/provider-query.js';
+import { PLAYLIST_LIMITS, PLAYLIST_SOURCES, normalizePlaylist, parsePlaylistColors } from '../backgrounds/playlist.js';
+import {
+    GRADIENT_LIMITS,
+    GRADIENT_MODES,
+    GRADIENT_PRESETS,
+    buildGradientCss,
+    getGradientAverageColor,
+    normalizeGradient
+} from '../backgrounds/gradient.js';
+import {
+    SCHEDULE_SOURCES,
+    getActiveScheduleRule,
+    getNextScheduleChange,
+    normalizeScheduleRule,
+    normalizeScheduleRules,
+    parseScheduleLocation
+} from '../backgrounds/schedule.js';
+import { MOTION_POWER_SAVER_MODES } from '../backgrounds/motion-playback.js';
+import { escapeHtml } from '../../shared/text.js';
 import { mountToolbarIconSection } from './content-icon.js';
 
 let _activeAppearanceContainer = null;
@@ -33,6 +53,24 @@ const API_KEY_SOURCES = ['unsplash', 'pixabay', 'pexels'];
 const ONLINE_SOURCES = [...API_KEY_SOURCES, 'bing'];
 const BACKGROUND_APPEARANCE_DEFAULTS = createBackgroundSettingsDefaults();
 
+const PLAYLIST_SOURCE_LABELS = {
+    files: { i18n: 'settingsBgSourceLocal' },
+    favorites: { i18n: 'settingsBgPlaylistFavorites' },
+    bing: { i18n: 'settingsBgSourceBing' },
+    unsplash: { text: 'Unsplash' },
+    pixabay: { text: 'Pixabay' },
+    pexels: { text: 'Pexels' },
+    color: { i18n: 'settingsBgSourceColor' },
+    playlist: { i18n: 'settingsBgSourcePlaylist' },
+    image: { i18n: 'settingsScheduleSourceImage' }
+};
+
+const SELECT_ARROW = `
+    <span class="mac-select-arrow">
+        <svg viewBox="0 0 12 12"><path d="M3 5l3 3 3-3" stroke="currentColor" fill="none" stroke-width="1.5"/></svg>
+    </span>
+`;
+
 const API_LINKS = {
     unsplash: 'https://unsplash.com/developers',
     pixabay: 'https://pixabay.com/api/docs/',
@@ -78,6 +116,8 @@ export function registerAppearanceContent(window) {
                                     <option value="pexels">Pexels</option>
                                     <option value="bing" data-i18n="settingsBgSourceBing"></option>
                                     <option value="color" data-i18n="settingsBgSourceColor"></option>
+                                    <option value="gradient" data-i18n="settingsBgSourceGradient"></option>
+                                    <option value="playlist" data-i18n="settingsBgSourcePlaylist"></option>
                                 </select>
                                 <span class="mac-select-arrow">
                                     <svg viewBox="0 0 12 12"><path d="M3 5l3 3 3-3" stroke="currentColor" fill="none" stroke-width="1.5"/></svg>
@@ -171,6 +211,92 @@ export function registerAppearanceContent(window) {
                 </div>
             </div>
 
+            <!-- Search Topics (shown for API key sources) -->
+            <div class="mac-settings-section hidden" id="macBgQuerySection">
+                <h3 class="mac-settings-section-title" data-i18n="settingsBgQuerySection"></h3>
+                <div class="mac-settings-section-content">
+                    <div class="mac-settings-row">
+                        <div class="mac-settings-row-label">
+                            <span class="mac-settings-row-title" data-i18n="settingsBgTopics"></span>
+                            <span class="mac-settings-row-desc" data-i18n="settingsBgTopicsDesc"></span>
+                        </div>
+                        <div class="mac-settings-row-control">
+                            <input type="text" class="mac-input" id="macBgTopics" data-i18n="settingsBgTopicsPlaceholder"
+                                   data-i18n-attr="placeholder" placeholder="" style="width: 240px;">
+                        </div>
+                    </div>
+                    <div class="mac-settings-row hidden" id="macUnsplashCollectionsRow">
+                        <div class="mac-settings-row-label">
+                            <span class="mac-settings-row-title" data-i18n="settingsBgCollections"></span>
+                            <span class="mac-settings-row-desc" data-i18n="settingsBgCollectionsDesc"></span>
+                        </div>
+                        <div class="mac-settings-row-control">
+                            <input type="text" class="mac-input" id="macUnsplashCollections" placeholder="317099, 1065976" style="width: 240px;">
+                        </div>
+                    </div>
+                    <div class="mac-settings-row">
+                        <div class="mac-settings-row-label">
+                            <span class="mac-settings-row-title" data-i18n="settingsBgMatchOrientation"></span>
+                            <span class="mac-settings-row-desc" data-i18n="settingsBgMatchOrientationDesc"></span>
+                        </div>
+                        <div class="mac-settings-row-control">
+                            <label class="mac-toggle">
+                                <input type="checkbox" class="mac-toggle-input" id="macBgMatchOrientation">
+                                <span class="mac-toggle-track"></span>
+                                <span class="mac-toggle-thumb"></span>
+                            </label>
+                        </div>
+                    </div>
+                </div>
+            </div>
+
+            <!-- Playlist Sources (shown for playlist source) -->
+            <div class="mac-settings-section hidden" id="macPlaylistSection">
+                <h3 class="mac-settings-section-title" data-i18n="settingsBgPlaylistSection"></h3>
+                <div class="mac-settings-section-content">
+                    ${PLAYLIST_SOURCES.map(_renderPlaylistRow).join('')}
+                </div>
+            </div>
+
+            <!-- Background Schedule -->
+            <div class="mac-settings-section" id="macScheduleSection">
+                <h3 class="mac-settings-section-title" data-i18n="settingsScheduleSection"></h3>
+                <div class="mac-settings-section-content">
+                    <div class="mac-settings-row">
+                        <div class="mac-settings-row-label">
+                            <span class="mac-settings-row-title" data-i18n="settingsScheduleRules"></span>
+                            <span class="mac-settings-row-desc" id="macScheduleStatus"></span>
+                        </div>
+                        <div class="mac-settings-row-control">
+                            <button class="mac-button" id="macScheduleAdd" data-i18n="settingsScheduleAdd"></button>
+                        </div>
+                    </div>
+                    <div class="bookmark-sync-list" id="macScheduleList"></div>
+                    <div class="mac-settings-row">
+                        <div class="mac-settings-row-label">
+                            <span class="mac-settings-row-title" data-i18n="settingsScheduleLocation"></span>
+                            <span class="mac-settings-row-desc" data-i18n="settingsScheduleLocationDesc"></span>
+                        </div>
+                        <div class="mac-settings-row-control">
+                            <input type="text" class="mac-input" id="macScheduleLocation" placeholder="52.52, 13.40" style="width: 150px;">
+                        </div>
+                    </div>
+                    <div class="mac-settings-row">
+                        <div class="mac-settings-row-label">
+                            <span class="mac-settings-row-title" data-i18n="settingsScheduleTheme"></span>
+                            <span class="mac-settings-row-desc" data-i18n="settingsScheduleThemeDesc"></span>
+                        </div>
+                        <div class="mac-settings-row-control">
+                            <label class="mac-toggle">
+                                <input type="checkbox" class="mac-toggle-input" id="macScheduleSwitchTheme">
+                                <span class="mac-toggle-track"></span>
+                                <span class="mac-toggle-thumb"></span>
+                            </label>
+                        </div>
+                    </div>
+                </div>
+            </div>
+
             <!-- Local Image Upload Area (shown for local source) -->
             <div class="mac-settings-section hidden" id="macLocalFilesSection">
                 <h3 class="mac-settings-section-title" data-i18n="settingsBgUpload"></h3>
@@ -178,7 +304,7 @@ export function registerAppearanceContent(window) {
                     <div class="mac-settings-row" style="flex-direction: column; align-items: stretch; gap: 12px;">
                         <!-- Upload Area -->
                         <div class="mac-local-upload" id="macLocalUpload">
-                            <input type="file" id="macLocalFileInput" accept="image/*" multiple style="display: none;">
+                            <input type="file" id="macLocalFileInput" accept="image/*,video/mp4,video/webm" multiple style="display: none;">
                             <div class="mac-local-upload-icon">
                                 <svg width="28" height="28" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="1.5" stroke-linecap="round" stroke-linejoin="round">
                                     <path d="M21 15v4a2 2 0 01-2 2H5a2 2 0 01-2-2v-4"/>
@@ -214,6 +340,76 @@ export function registerAppearanceContent(window) {
                 </div>
             </div>
 
+            <!-- Gradient Background Editor -->
+            <div class="mac-settings-section hidden" id="macGradientSection">
+                <h3 class="mac-settings-section-title" data-i18n="settingsBgGradientSection"></h3>
+                <div class="mac-settings-section-content">
+                    <div class="mac-settings-row" style="flex-direction: column; align-items: stretch; gap: 12px;">
+                        <div class="gradient-preview" id="macGradientPreview"></div>
+                    </div>
+                    <div class="mac-settings-row">
+                        <div class="mac-settings-row-label">
+                            <span class="mac-settings-row-title" data-i18n="settingsBgGradientPresets"></span>
+                        </div>
+                        <div class="mac-settings-row-control gradient-presets" id="macGradientPresets">
+                            ${GRADIENT_PRESETS.map(preset => `
+                            <button class="gradient-preset" data-preset="${preset.id}"
+                                    data-i18n="settingsBgGradientPreset${_capitalize(preset.id)}" data-i18n-attr="title" title=""></button>`).join('')}
+                        </div>
+                    </div>
+                    <div class="mac-settings-row">
+                        <div class="mac-settings-row-label">
+                            <span class="mac-settings-row-title" data-i18n="settingsBgGradientMode"></span>
+                        </div>
+                        <div class="mac-settings-row-control">
+                            <div class="mac-select">
+                                <select class="mac-select-input" id="macGradientMode">
+                                    ${GRADIENT_MODES.map(mode => `<option value="${mode}" data-i18n="settingsBgGradient${_capitalize(mode)}"></option>`).join('')}
+                                </select>
+                                ${SELECT_ARROW}
+                            </div>
+                        </div>
+                    </div>
+                    <div class="mac-settings-row" id="macGradientAngleRow">
+                        <div class="mac-settings-row-label">
+                            <span class="mac-settings-row-title" data-i18n="settingsBgGradientAngle"></span>
+                        </div>
+                        <div class="mac-settings-row-control" style="flex: 1; max-width: 200px;">
+                            <div class="mac-slider">
+                                <div class="mac-slider-track-container">
+                                    <div class="mac-slider-fill" id="macGradientAngleFill"></div>
+                                    <input type="range" class="mac-slider-input" id="macGradientAngleSlider" min="0" max="359" value="135" step="1">
+                                </div>
+                                <span class="mac-slider-value" id="macGradientAngleValue">135°</span>
+                            </div>
+                        </div>
+                    </div>
+                    <div class="mac-settings-row">
+                        <div class="mac-settings-row-label">
+                            <span class="mac-settings-row-title" data-i18n="settingsBgGradientStops"></span>
+                            <span class="mac-settings-row-desc" data-i18n="settingsBgGradientStopsDesc"></span>
+                        </div>
+                        <div class="mac-settings-row-control">
+                            <button class="mac-button" id="macGradientAddStop" data-i18n="settingsBgGradientAddStop"></button>
+                        </div>
+                    </div>
+                    <div class="gradient-stops" id="macGradientStops"></div>
+                    <div class="mac-settings-row">
+                        <div class="mac-settings-row-label">
+                            <span class="mac-settings-row-title" data-i18n="settingsBgGradientAnimate"></span>
+                            <span class="mac-settings-row-desc" data-i18n="settingsBgGradientAnimateDesc"></span>
+                        </div>
+                        <div class="mac-settings-row-control">
+                            <label class="mac-toggle">
+                                <input type="checkbox" class="mac-toggle-input" id="macGradientAnimate">
+                                <span class="mac-toggle-track"></span>
+                                <span class="mac-toggle-thumb"></span>
+                            </label>
+                        </div>
+                    </div>
+                </div>
+            </div>
+
             <!-- Effect Settings -->
             <div class="mac-settings-section">
                 <h3 class="mac-settings-section-title" data-i18n="settingsBgEffects"></h3>
@@ -265,6 +461,35 @@ export function registerAppearanceContent(window) {
                             </div>
                         </div>
                     </div>
+
+                    <!-- Video / animated backgrounds -->
+                    <div class="mac-settings-row">
+                        <div class="mac-settings-row-label">
+                            <span class="mac-settings-row-title" data-i18n="settingsBgMotionPauseHidden"></span>
+                            <span class="mac-settings-row-desc" data-i18n="settingsBgMotionPauseHiddenDesc"></span>
+                        </div>
+                        <div class="mac-settings-row-control">
+                            <label class="mac-toggle">
+                                <input type="checkbox" class="mac-toggle-input" id="macMotionPauseHidden">
+                                <span class="mac-toggle-track"></span>
+                                <span class="mac-toggle-thumb"></span>
+                            </label>
+                        </div>
+                    </div>
+                    <div class="mac-settings-row">
+                        <div class="mac-settings-row-label">
+                            <span class="mac-settings-row-title" data-i18n="settingsBgMotionPowerSaver"></span>
+                            <span class="mac-settings-row-desc" data-i18n="settingsBgMotionPowerSaverDesc"></span>
+                        </div>
+                        <div class="mac-settings-row-control">
+                            <div class="mac-select">
+                                <select class="mac-select-input" id="macMotionPowerSaver">
+                                    ${MOTION_POWER_SAVER_MODES.map(mode => `<option value="${mode}" data-i18n="settingsBgMotionPowerSaver${_capitalize(mode)}"></option>`).join('')}
+                                </select>
+                                ${SELECT_ARROW}
+                            </div>
+                        </div>
+                    </div>
                 </div>
             </div>
 
@@ -340,8 +565,9 @@ function _bindAppearanceEvents(container) {
             const patch = source === 'bing'
                 ? { type: source, frequency: 'day' }
                 : { type: source };
-            await patchBackgroundSettings(patch, 'mac-settings.appearance.source');
+            const next = await patchBackgroundSettings(patch, 'mac-settings.appearance.source');
             _updateSourceUI(container, source);
+            _loadProviderQueries(container, next);
         });
     }
 
@@ -354,6 +580,14 @@ function _bindAppearanceEvents(container) {
 
     _bindApiKeyEvents(container);
 
+    _bindProviderQueryEvents(container);
+
+    _bindPlaylistEvents(container);
+
+    _bindScheduleEvents(container);
+
+    _bindGradientEvents(container);
+
     _bindLocalFilesEvents(container);
 
     const colorPicker = container.querySelector('#macBgColorPicker');
@@ -379,6 +613,19 @@ function _bindAppearanceEvents(container) {
     _bindSliderEvents(container, 'macBlurSlider', 'macBlurValue', 'macBlurFill', 'px', 30, 'blur');
     _bindSliderEvents(container, 'macBrightnessSlider', 'macBrightnessValue', 'macBrightnessFill', '%', 150, 'brightness', 20);
 
+    const motionPauseToggle = container.querySelector('#macMotionPauseHidden');
+    if (motionPauseToggle) {
+        motionPauseToggle.addEventListener('change', async (e) => {
+            await patchBackgroundSettings({ motionPauseHidden: e.target.checked }, 'mac-settings.appearance.motionPauseHidden');
+        });
+    }
+    const motionPowerSelect = container.querySelector('#macMotionPowerSaver');
+    if (motionPowerSelect) {
+        motionPowerSelect.addEventListener('change', async (e) => {
+            await patchBackgroundSettings({ motionPowerSaver: e.target.value }, 'mac-settings.appearance.motionPowerSaver');
+        });
+    }
+
     const textureSelector = container.querySelector('#macTextureSelector');
     if (textureSelector) {
         textureSelector.addEventListener('click', async (e) => {
@@ -394,6 +641,448 @@ function _bindAppearanceEvents(container) {
     }
 }
 
+function _renderPlaylistRow(source) {
+    const label = PLAYLIST_SOURCE_LABELS[source];
+    const title = label.i18n
+        ? `<span class="mac-settings-row-title" data-i18n="${label.i18n}"></span>`
+        : `<span class="mac-settings-row-title">${label.text}</span>`;
+    const weights = Array.from({ length: PLAYLIST_LIMITS.maxWeight }, (_, i) => `<option value="${i + 1}">×${i + 1}</option>`).join('');
+    const colors = source === 'color'
+        ? `<input type="text" class="mac-input" id="macPlaylistColors" data-i18n="settingsBgPlaylistColorsPlaceholder"
+                   data-i18n-attr="placeholder" placeholder="" style="width: 150px;">`
+        : '';
+    return `
+                    <div class="mac-settings-row">
+                        <div class="mac-settings-row-label">
+                            ${title}
+                        </div>
+                        <div class="mac-settings-row-control" style="gap: 8px;">
+                            ${colors}
+                            <div class="mac-select">
+                                <select class="mac-select-input mac-playlist-weight" data-source="${source}">
+                                    <option value="0" data-i18n="settingsBgPlaylistOff"></option>
+                                    ${weights}
+                                </select>
+                                <span class="mac-select-arrow">
+                                    <svg viewBox="0 0 12 12"><path d="M3 5l3 3 3-3" stroke="currentColor" fill="none" stroke-width="1.5"/></svg>
+                                </span>
+                            </div>
+                        </div>
+                    </div>`;
+}
+
+function _bindPlaylistEvents(container) {
+    const section = container.querySelector('#macPlaylistSection');
+    if (!section) return;
+
+    const save = async () => {
+        const colorsInput = section.querySelector('#macPlaylistColors');
+        const colors = parsePlaylistColors(colorsInput?.value);
+        if (colorsInput) colorsInput.value = colors.join(', ');
+        const playlist = normalizePlaylist(Array.from(section.querySelectorAll('.mac-playlist-weight'), select => ({
+            source: select.dataset.source,
+            weight: Number(select.value),
+            ...(select.dataset.source === 'color' ? { colors } : {})
+        })));
+        await patchBackgroundSettings({ playlist }, 'mac-settings.appearance.playlist');
+    };
+
+    section.addEventListener('change', (e) => {
+        if (e.target.matches('.mac-playlist-weight, #macPlaylistColors')) void save();
+    });
+}
+
+function _loadPlaylist(container, backgroundSettings) {
+    const entries = normalizePlaylist(backgroundSettings?.playlist);
+    container.querySelectorAll('.mac-playlist-weight').forEach(select => {
+        const entry = entries.find(item => item.source === select.dataset.source);
+        select.value = String(entry?.weight || 0);
+    });
+    const colorsInput = container.querySelector('#macPlaylistColors');
+    if (colorsInput) {
+        colorsInput.value = (entries.find(item => item.source === 'color')?.colors || []).join(', ');
+    }
+}
+
+// ========== Gradient ==========
+
+function _renderGradientStops(section, stops) {
+    const list = section.querySelector('#macGradientStops');
+    if (!list) return;
+    const canRemove = stops.length > GRADIENT_LIMITS.minStops;
+    list.innerHTML = stops.map(stop => `
+        <div class="gradient-stop">
+            <div class="mac-color-swatch">
+                <input type="color" class="gradient-stop-color" value="${stop.color}">
+            </div>
+            <input type="number" class="mac-input gradient-stop-pos" min="0" max="100" step="1" value="${stop.pos}"
+                   title="${escapeHtml(t('settingsBgGradientStopPosition'))}">
+            <span class="gradient-stop-unit">%</span>
+            <button class="mac-button gradient-stop-remove" title="${escapeHtml(t('settingsBgGradientRemoveStop'))}"
+                    aria-label="${escapeHtml(t('settingsBgGradientRemoveStop'))}" ${canRemove ? '' : 'disabled'}>×</button>
+        </div>`).join('');
+    const addButton = section.querySelector('#macGradientAddStop');
+    if (addButton) addButton.disabled = stops.length >= GRADIENT_LIMITS.maxStops;
+}
+
+function _readGradientForm(section) {
+    return normalizeGradient({
+        mode: section.querySelector('#macGradientMode')?.value,
+        angle: section.querySelector('#macGradientAngleSlider')?.value,
+        stops: Array.from(section.querySelectorAll('.gradient-stop'), row => ({
+            color: row.querySelector('.gradient-stop-color')?.value,
+            pos: row.querySelector('.gradient-stop-pos')?.value
+        })),
+        animate: section.querySelector('#macGradientAnimate')?.checked === true
+    });
+}
+
+function _updateGradientPreview(section, gradient) {
+    const preview = section.querySelector('#macGradientPreview');
+    if (preview) preview.style.backgroundImage = buildGradientCss(gradient);
+
+    // Radial gradients have no direction
+    section.querySelector('#macGradientAngleRow')?.classList.toggle('hidden', gradient.mode === 'radial');
+    const percent = (gradient.angle / 359) * 100;
+    const slider = section.querySelector('#macGradientAngleSlider');
+    if (slider) slider.style.setProperty('--mac-slider-percent', `${percent}%`);
+    const fill = section.querySelector('#macGradientAngleFill');
+    if (fill) fill.style.width = `${percent}%`;
+    const value = section.querySelector('#macGradientAngleValue');
+    if (value) value.textContent = `${gradient.angle}°`;
+}
+
+function _loadGradient(container, backgroundSettings) {
+    const section = container.querySelector('#macGradientSection');
+    if (!section) return;
+    const gradient = normalizeGradient(backgroundSettings?.gradient);
+
+    const modeSelect = section.querySelector('#macGradientMode');
+    if (modeSelect) modeSelect.value = gradient.mode;
+    const slider = section.querySelector('#macGradientAngleSlider');
+    if (slider) slider.value = String(gradient.angle);
+    const animateToggle = section.querySelector('#macGradientAnimate');
+    if (animateToggle) animateToggle.checked = gradient.animate;
+    section.querySelectorAll('.gradient-preset').forEach(button => {
+        const preset = GRADIENT_PRESETS.find(item => item.id === button.dataset.preset);
+        if (preset) button.style.backgroundImage = buildGradientCss(preset);
+    });
+
+    _renderGradientStops(section, gradient.stops);
+    _updateGradientPreview(section, gradient);
+}
+
+function _bindGradientEvents(container) {
+    const section = container.querySelector('#macGradientSection');
+    if (!section) return;
+
+    const save = async (gradient) => {
+        _updateGradientPreview(section, gradient);
+        await patchBackgroundSettings({ gradient }, 'mac-settings.appearance.gradient');
+    };
+
+    // Colour pickers and the angle slider preview live; the setting is saved on change
+    section.addEventListener('input', (e) => {
+        if (e.target.matches('.gradient-stop-color, #macGradientAngleSlider')) {
+            _updateGradientPreview(section, _readGradientForm(section));
+        }
+    });
+
+    section.addEventListener('change', (e) => {
+        if (!e.target.matches('.gradient-stop-color, .gradient-stop-pos, #macGradientMode, #macGradientAngleSlider, #macGradientAnimate')) return;
+        const gradient = _readGradientForm(section);
+        if (e.target.matches('.gradient-stop-pos')) {
+            // Re-render so the rows follow the sorted, clamped positions
+            _renderGradientStops(section, gradient.stops);
+        }
+        void save(gradient);
+    });
+
+    section.addEventListener('click', (e) => {
+        const presetButton = e.target.closest('.gradient-preset');
+        if (presetButton) {
+            const preset = GRADIENT_PRESETS.find(item => item.id === presetButton.dataset.preset);
+            if (!preset) return;
+            const gradient = normalizeGradient({ ...preset, animate: section.querySelector('#macGradientAnimate')?.checked === true });
+            _loadGradient(container, { gradient });
+            void save(gradient);
+            return;
+        }
+
+        const removeButton = e.target.closest('.gradient-stop-remove');
+        if (removeButton) {
+            removeButton.closest('.gradient-stop')?.remove();
+            const gradient = _readGradientForm(section);
+            _renderGradientStops(section, gradient.stops);
+            void save(gradient);
+            return;
+        }
+
+        if (e.target.closest('#macGradientAddStop')) {
+            const gradient = _readGradientForm(section);
+            if (gradient.stops.length >= GRADIENT_LIMITS.maxStops) return;
+            // New stop goes into the widest gap, blended from its neighbours
+            let index = 1;
+            for (let i = 1; i < gradient.stops.length; i++) {
+                const gap = gradient.stops[i].pos - gradient.stops[i - 1].pos;
+                if (gap > gradient.stops[index].pos - gradient.stops[index - 1].pos) index = i;
+            }
+            const [before, after] = [gradient.stops[index - 1], gradient.stops[index]];
+            gradient.stops.splice(index, 0, {
+                color: getGradientAverageColor({ stops: [before, after] }),
+                pos: Math.round((before.pos + after.pos) / 2)
+            });
+            _renderGradientStops(section, gradient.stops);
+            void save(gradient);
+        }
+    });
+}
+
+// ========== Schedule ==========
+
+function _formatScheduleBoundary(boundary) {
+    if (boundary === 'sunrise') return t('settingsScheduleSunrise');
+    if (boundary === 'sunset') return t('settingsScheduleSunset');
+    return boundary;
+}
+
+function _getWeekdayNames() {
+    // 2023-01-01 was a Sunday, matching Date#getDay() numbering
+    return Array.from({ length: 7 }, (_, day) =>
+        new Date(2023, 0, 1 + day).toLocaleDateString(getLocale(), { weekday: 'short' }));
+}
+
+function _describeScheduleRule(rule) {
+    const weekdays = _getWeekdayNames();
+    const when = rule.date || (rule.days.length === 0 || rule.days.length === 7
+        ? t('settingsScheduleEveryDay')
+        : rule.days.map(day => weekdays[day]).join(', '));
+    const hours = rule.from === rule.to
+        ? t('settingsScheduleAllDay')
+        : `${_formatScheduleBoundary(rule.from)}–${_formatScheduleBoundary(rule.to)}`;
+    const label = PLAYLIST_SOURCE_LABELS[rule.source];
+    let what = label.i18n ? t(label.i18n) : label.text;
+    if (rule.topic) what += ` “${rule.topic}”`;
+    if (rule.color) what += ` ${rule.color}`;
+    const parts = [`${when} ${hours}`, what];
+    if (rule.theme) parts.push(t(rule.theme === 'dark' ? 'settingsScheduleThemeDark' : 'settingsScheduleThemeLight'));
+    return parts.join(' · ');
+}
+
+function _loadSchedule(container, backgroundSettings) {
+    const rules = normalizeScheduleRules(backgroundSettings?.scheduleRules);
+    const active = getActiveScheduleRule(backgroundSettings);
+
+    const listEl = container.querySelector('#macScheduleList');
+    if (listEl) {
+        listEl.innerHTML = rules.map(rule => {
+            const meta = [
+                ...(rule.name ? [_describeScheduleRule(rule)] : []),
+                ...(rule.id === active?.id ? [t('settingsScheduleActiveBadge')] : [])
+            ].join(' · ');
+            return `
+            <div class="bookmark-sync-item schedule-rule-item${rule.enabled ? '' : ' is-disabled'}" data-id="${escapeHtml(rule.id)}">
+                <div class="webdav-version-info">
+                    <span class="webdav-version-name">${escapeHtml(rule.name || _describeScheduleRule(rule))}</span>
+                    <span class="bookmark-sync-meta">${escapeHtml(meta)}</span>
+                </div>
+                <div class="webdav-version-actions">
+                    <button class="mac-button mac-button--small" data-action="toggle" data-id="${escapeHtml(rule.id)}">
+                        ${escapeHtml(t(rule.enabled ? 'settingsScheduleDisable' : 'settingsScheduleEnable'))}
+                    </button>
+                    <button class="mac-button mac-button--small" data-action="remove" data-id="${escapeHtml(rule.id)}">
+                        ${escapeHtml(t('settingsScheduleRemove'))}
+                    </button>
+                </div>
+            </div>
+        `;
+        }).join('');
+    }
+
+    const statusEl = container.querySelector('#macScheduleStatus');
+    if (statusEl) {
+        const next = getNextScheduleChange(backgroundSettings);
+        const parts = [active
+            ? t('settingsScheduleActive', { name: active.name || _describeScheduleRule(active) })
+            : t(rules.length > 0 ? 'settingsScheduleNone' : 'settingsScheduleEmpty')];
+        if (next !== null) {
+            const time = new Date(next).toLocaleString(getLocale(), { weekday: 'short', hour: '2-digit', minute: '2-digit' });
+            parts.push(t('settingsScheduleNext', { time }));
+        }
+        statusEl.textContent = parts.join(' · ');
+    }
+
+    const locationInput = container.querySelector('#macScheduleLocation');
+    if (locationInput) {
+        const location = parseScheduleLocation(backgroundSettings?.scheduleLocation);
+        locationInput.value = location ? `${location.lat}, ${location.lon}` : '';
+    }
+    const themeToggle = container.querySelector('#macScheduleSwitchTheme');
+    if (themeToggle) themeToggle.checked = backgroundSettings?.scheduleSwitchTheme === true;
+}
+
+async function _updateScheduleRules(container, mutate, source) {
+    const { backgroundSettings } = await getSyncSettings({ backgroundSettings: undefined });
+    const rules = mutate(normalizeScheduleRules(backgroundSettings?.scheduleRules));
+    const next = await patchBackgroundSettings({ scheduleRules: rules }, source);
+    _loadSchedule(container, next);
+}
+
+function _bindScheduleEvents(container) {
+    container.querySelector('#macScheduleAdd')?.addEventListener('click', async () => {
+        const rule = await _promptScheduleRule();
+        if (!rule) return;
+        await _updateScheduleRules(container, rules => [...rules, rule], 'mac-settings.appearance.schedule.add');
+    });
+
+    container.querySelector('#macScheduleList')?.addEventListener('click', async (e) => {
+        const button = e.target.closest('button[data-action]');
+        if (!button) return;
+        const { action, id } = button.dataset;
+        await _updateScheduleRules(container, rules => (action === 'remove'
+            ? rules.filter(rule => rule.id !== id)
+            : rules.map(rule => (rule.id === id ? { ...rule, enabled: !rule.enabled } : rule))
+        ), `mac-settings.appearance.schedule.${action}`);
+    });
+
+    const locationInput = container.querySelector('#macScheduleLocation');
+    locationInput?.addEventListener('change', async () => {
+        const location = parseScheduleLocation(locationInput.value);
+        if (!location && locationInput.value.trim()) {
+            toast(t('settingsScheduleLocationInvalid'));
+            return;
+        }
+        const next = await patchBackgroundSettings({ scheduleLocation: location }, 'mac-settings.appearance.schedule.location');
+        _loadSchedule(container, next);
+    });
+
+    const themeToggle = container.querySelector('#macScheduleSwitchTheme');
+    themeToggle?.addEventListener('change', async () => {
+        await patchBackgroundSettings({ scheduleSwitchTheme: themeToggle.checked }, 'mac-settings.appearance.schedule.theme');
+    });
+}
+
+/**
+ * Rule editor dialog. The 'image' source captures the local image shown right now.
+ * @returns {Promise<Object|null>} Normalized rule; null when cancelled
+ */
+function _promptScheduleRule() {
+    const field = (labelKey, control, attrs = '') => `
+        <label class="bookmark-sync-field" ${attrs}>
+            <span>${escapeHtml(t(labelKey))}</span>
+            ${control}
+        </label>
+    `;
+    const select = (name, options) => `
+        <div class="mac-select">
+            <select class="mac-select-input" name="${name}">${options}</select>
+            ${SELECT_ARROW}
+        </div>
+    `;
+    const boundaryControl = (name, time) => `
+        <span class="schedule-rule-boundary">
+            ${select(`${name}Kind`, ['time', 'sunrise', 'sunset'].map(kind =>
+                `<option value="${kind}">${escapeHtml(kind === 'time' ? t('settingsScheduleAtTime') : _formatScheduleBoundary(kind))}</option>`).join(''))}
+            <input type="time" class="mac-input" name="${name}Time" value="${time}">
+        </span>
+    `;
+    const sourceOptions = SCHEDULE_SOURCES.map(source => {
+        const label = PLAYLIST_SOURCE_LABELS[source];
+        return `<option value="${source}">${escapeHtml(label.i18n ? t(label.i18n) : label.text)}</option>`;
+    }).join('');
+    const dayBoxes = _getWeekdayNames().map((name, day) => `
+        <label class="schedule-rule-day"><input type="checkbox" name="days" value="${day}">${escapeHtml(name)}</label>
+    `).join('');
+    const themeOptions = [['', 'settingsScheduleThemeKeep'], ['dark', 'settingsScheduleThemeDark'], ['light', 'settingsScheduleThemeLight']]
+        .map(([value, key]) => `<option value="${value}">${escapeHtml(t(key))}</option>`).join('');
+
+    const overlay = document.createElement('div');
+    overlay.className = 'backup-dialog-overlay';
+    overlay.innerHTML = `
+        <form class="backup-dialog schedule-rule-dialog" role="dialog" aria-modal="true" aria-labelledby="scheduleDialogTitle">
+            <h3 class="backup-dialog-title" id="scheduleDialogTitle">${escapeHtml(t('settingsScheduleAdd'))}</h3>
+            ${field('settingsScheduleName', `<input type="text" class="mac-input" name="name" maxlength="40">`)}
+            ${field('settingsScheduleFrom', boundaryControl('from', '18:00'))}
+            ${field('settingsScheduleTo', boundaryControl('to', '07:00'))}
+            <div class="schedule-rule-days">${dayBoxes}</div>
+            ${field('settingsScheduleDate', `<input type="date" class="mac-input" name="date">`)}
+            ${field('settingsScheduleSource', select('source', sourceOptions))}
+            ${field('settingsBgTopics', `<input type="text" class="mac-input" name="topic" maxlength="60">`, 'data-for="topic" hidden')}
+            ${field('settingsBgColor', `<input type="color" name="color" value="#1a1a2e">`, 'data-for="color" hidden')}
+            ${field('settingsScheduleThemeLabel', select('theme', themeOptions))}
+            <p class="backup-dialog-desc">${escapeHtml(t('settingsScheduleDialogDesc'))}</p>
+            <div class="backup-dialog-error" role="alert"></div>
+            <div class="backup-dialog-actions">
+                <button type="button" class="mac-button" data-action="cancel">${escapeHtml(t('cancel') || 'Cancel')}</button>
+                <button type="submit" class="mac-button mac-button--primary">${escapeHtml(t('settingsScheduleSave'))}</button>
+            </div>
+        </form>
+    `;
+    const form = overlay.querySelector('form');
+    const errorEl = form.querySelector('.backup-dialog-error');
+
+    const syncFields = () => {
+        const source = form.elements.source.value;
+        form.querySelector('[data-for="topic"]').hidden = !API_KEY_SOURCES.includes(source);
+        form.querySelector('[data-for="color"]').hidden = source !== 'color';
+        for (const name of ['from', 'to']) {
+            form.elements[`${name}Time`].hidden = form.elements[`${name}Kind`].value !== 'time';
+        }
+    };
+    form.addEventListener('change', syncFields);
+    syncFields();
+
+    return new Promise((resolve) => {
+        const close = (value) => {
+            overlay.remove();
+            resolve(value);
+        };
+        overlay.querySelector('[data-action="cancel"]').addEventListener('click', () => close(null));
+        overlay.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+                e.preventDefault();
+                e.stopPropagation();
+                close(null);
+            }
+        });
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            const elements = form.elements;
+            const boundary = (name) => (elements[`${name}Kind`].value === 'time'
+                ? elements[`${name}Time`].value
+                : elements[`${name}Kind`].value);
+            const raw = {
+                name: elements.name.value,
+                from: boundary('from'),
+                to: boundary('to'),
+                days: Array.from(form.querySelectorAll('input[name="days"]:checked'), box => Number(box.value)),
+                date: elements.date.value,
+                source: elements.source.value,
+                topic: elements.topic.value,
+                color: elements.color.value,
+                theme: elements.theme.value
+            };
+            if (raw.source === 'image') {
+                const current = backgroundSystem.getCurrentBackground?.();
+                if (!current?.file || !current.id) {
+                    errorEl.textContent = t('settingsScheduleImageUnavailable');
+                    return;
+                }
+                raw.imageId = current.id;
+            }
+            const rule = normalizeScheduleRule(raw);
+            if (!rule) {
+                errorEl.textContent = t('settingsScheduleInvalid');
+                return;
+            }
+            close(rule);
+        });
+
+        document.body.appendChild(overlay);
+        form.elements.name.focus();
+    });
+}
+
 function _bindApiKeyEvents(container) {
     const apiInputs = container.querySelectorAll('.mac-api-input');
     const toggleButtons = container.querySelectorAll('.mac-api-toggle-btn');
@@ -452,6 +1141,35 @@ async function _saveApiKey(input, apiType) {
     toast(t('settingsApiKeySaved'));
 }
 
+function _bindProviderQueryEvents(container) {
+    const topicsInput = container.querySelector('#macBgTopics');
+    if (topicsInput) {
+        topicsInput.addEventListener('change', async () => {
+            const source = container.querySelector('#macBgSource')?.value;
+            if (!API_KEY_SOURCES.includes(source)) return;
+            const topics = parseTopicList(topicsInput.value);
+            topicsInput.value = topics.join(', ');
+            await patchBackgroundSettings({ providerTopics: { [source]: topics } }, 'mac-settings.appearance.topics');
+        });
+    }
+
+    const collectionsInput = container.querySelector('#macUnsplashCollections');
+    if (collectionsInput) {
+        collectionsInput.addEventListener('change', async () => {
+            const collections = parseCollectionIds(collectionsInput.value);
+            collectionsInput.value = collections.join(', ');
+            await patchBackgroundSettings({ unsplashCollections: collections }, 'mac-settings.appearance.collections');
+        });
+    }
+
+    const orientationToggle = container.querySelector('#macBgMatchOrientation');
+    if (orientationToggle) {
+        orientationToggle.addEventListener('change', async (e) => {
+            await patchBackgroundSettings({ matchOrientation: e.target.checked }, 'mac-settings.appearance.orientation');
+        });
+    }
+}
+
 function _bindLocalFilesEvents(container) {
     const uploadArea = container.querySelector('#macLocalUpload');
     const fileInput = container.querySelector('#macLocalFileInput');
@@ -560,6 +1278,13 @@ async function _loadLocalFiles(container) {
 
             item.appendChild(img);
 
+            if (file.file?.motion) {
+                const badge = document.createElement('span');
+                badge.className = 'mac-local-file-motion';
+                badge.textContent = t('settingsBgMotionBadge');
+                item.appendChild(badge);
+            }
+
             if (!file.isSystem) {
                 const deleteBtn = document.createElement('button');
                 deleteBtn.className = 'mac-local-file-delete';
@@ -648,6 +1373,7 @@ function _updateSourceUI(container, source) {
     const isLocalSource = source === 'files';
     const isColorSource = source === 'color';
     const isBingSource = source === 'bing';
+    const isPlaylistSource = source === 'playlist';
     const requiresApiKey = API_KEY_SOURCES.includes(source);
 
     const localFilesSection = container.querySelector('#macLocalFilesSection');
@@ -657,16 +1383,28 @@ function _updateSourceUI(container, source) {
 
     const apiKeySection = container.querySelector('#macApiKeySection');
     if (apiKeySection) {
-        apiKeySection.classList.toggle('hidden', !isOnlineSource || !requiresApiKey);
+        apiKeySection.classList.toggle('hidden', !isPlaylistSource && (!isOnlineSource || !requiresApiKey));
+    }
+
+    const playlistSection = container.querySelector('#macPlaylistSection');
+    if (playlistSection) {
+        playlistSection.classList.toggle('hidden', !isPlaylistSource);
+    }
+
+    const querySection = container.querySelector('#macBgQuerySection');
+    if (querySection) {
+        querySection.classList.toggle('hidden', !requiresApiKey);
     }
+    container.querySelector('#macUnsplashCollectionsRow')?.classList.toggle('hidden', source !== 'unsplash');
 
     const unsplashRow = container.querySelector('#macUnsplashApiRow');
     const pixabayRow = container.querySelector('#macPixabayApiRow');
     const pexelsRow = container.querySelector('#macPexelsApiRow');
 
-    if (unsplashRow) unsplashRow.classList.toggle('hidden', source !== 'unsplash');
-    if (pixabayRow) pixabayRow.classList.toggle('hidden', source !== 'pixabay');
-    if (pexelsRow) pexelsRow.classList.toggle('hidden', source !== 'pexels');
+    // The playlist can draw from every provider, so all keys are editable there
+    if (unsplashRow) unsplashRow.classList.toggle('hidden', source !== 'unsplash' && !isPlaylistSource);
+    if (pixabayRow) pixabayRow.classList.toggle('hidden', source !== 'pixabay' && !isPlaylistSource);
+    if (pexelsRow) pexelsRow.classList.toggle('hidden', source !== 'pexels' && !isPlaylistSource);
 
     const autoRefreshSelect = container.querySelector('#macAutoRefresh');
     if (autoRefreshSelect) {
@@ -680,6 +1418,11 @@ function _updateSourceUI(container, source) {
     if (colorSection) {
         colorSection.classList.toggle('hidden', !isColorSource);
     }
+
+    const gradientSection = container.querySelector('#macGradientSection');
+    if (gradientSection) {
+        gradientSection.classList.toggle('hidden', source !== 'gradient');
+    }
 }
 
 async function _loadAppearanceSettings(container) {
@@ -714,6 +1457,10 @@ async function _loadAppearanceSettings(container) {
         }
 
         _loadApiKeys(container, backgroundSettings.apiKeys || {});
+        _loadProviderQueries(container, backgroundSettings);
+        _loadPlaylist(container, backgroundSettings);
+        _loadSchedule(container, backgroundSettings);
+        _loadGradient(container, backgroundSettings);
 
         if (currentSource === 'files') {
             await _loadLocalFiles(container);
@@ -728,6 +1475,15 @@ async function _loadAppearanceSettings(container) {
         _loadSlider(container, 'macBlurSlider', 'macBlurValue', 'macBlurFill', backgroundSettings.blur ?? BACKGROUND_APPEARANCE_DEFAULTS.blur, 'px', 30);
         _loadSlider(container, 'macBrightnessSlider', 'macBrightnessValue', 'macBrightnessFill', backgroundSettings.brightness ?? BACKGROUND_APPEARANCE_DEFAULTS.brightness, '%', 150, 20);
 
+        const motionPauseToggle = container.querySelector('#macMotionPauseHidden');
+        if (motionPauseToggle) motionPauseToggle.checked = backgroundSettings.motionPauseHidden !== false;
+        const motionPowerSelect = container.querySelector('#macMotionPowerSaver');
+        if (motionPowerSelect) {
+            motionPowerSelect.value = MOTION_POWER_SAVER_MODES.includes(backgroundSettings.motionPowerSaver)
+                ? backgroundSettings.motionPowerSaver
+                : BACKGROUND_APPEARANCE_DEFAULTS.motionPowerSaver;
+        }
+
         const textureSelector = container.querySelector('#macTextureSelector');
         if (textureSelector) {
             const activeTexture = backgroundSettings.texture?.type || BACKGROUND_APPEARANCE_DEFAULTS.texture.type;
@@ -756,6 +1512,20 @@ function _loadApiKeys(container, apiKeys) {
     });
 }
 
+function _loadProviderQueries(container, backgroundSettings) {
+    const source = container.querySelector('#macBgSource')?.value;
+    const topicsInput = container.querySelector('#macBgTopics');
+    if (topicsInput) {
+        topicsInput.value = parseTopicList(backgroundSettings?.providerTopics?.[source] || []).join(', ');
+    }
+    const collectionsInput = container.querySelector('#macUnsplashCollections');
+    if (collectionsInput) {
+        collectionsInput.value = parseCollectionIds(backgroundSettings?.unsplashCollections || []).join(', ');
+    }
+    const orientationToggle = container.querySelector('#macBgMatchOrientation');
+    if (orientationToggle) orientationToggle.checked = backgroundSettings?.matchOrientation === true;
+}
+
 function _capitalize(str) {
     return str.charAt(0).toUpperCase() + str.slice(1);
 }
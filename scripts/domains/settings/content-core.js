@@ -10,6 +10,7 @@ import {
     resolveShortcutSettings
 } from '../../platform/shortcut-manager.js';
 import { createSettingsBuilder } from './builder.js';
+import { mountSearchEnginesSection } from './content-search.js';
 import { normalizeLocaleForChangelog, loadChangelogData } from '../changelog/utils.js';
 import { escapeHtml } from '../../shared/text.js';
 
@@ -17,12 +18,14 @@ const ONLINE_BACKGROUND_SOURCES = ['unsplash', 'pixabay', 'pexels', 'bing'];
 const BACKGROUND_UI_DEFAULTS = createBackgroundSettingsDefaults();
 const SHORTCUT_EDITABLE_ACTIONS = Object.freeze([
     SHORTCUT_ACTIONS.focusSearch,
-    SHORTCUT_ACTIONS.openLaunchpad
+    SHORTCUT_ACTIONS.openLaunchpad,
+    SHORTCUT_ACTIONS.switchWorkspace
 ]);
 
 const SHORTCUT_ACTION_TO_SETTING_KEY = Object.freeze({
     [SHORTCUT_ACTIONS.focusSearch]: SHORTCUT_SETTING_KEYS.focusSearch,
-    [SHORTCUT_ACTIONS.openLaunchpad]: SHORTCUT_SETTING_KEYS.openLaunchpad
+    [SHORTCUT_ACTIONS.openLaunchpad]: SHORTCUT_SETTING_KEYS.openLaunchpad,
+    [SHORTCUT_ACTIONS.switchWorkspace]: SHORTCUT_SETTING_KEYS.switchWorkspace
 });
 
 export function registerGeneralContent(window) {
@@ -82,6 +85,51 @@ export function registerGeneralContent(window) {
                             storageKey: 'searchOpenInNewTab',
                             defaultValue: SYNC_SETTINGS_DEFAULTS.searchOpenInNewTab,
                             source: 'mac-settings.general.toggle'
+                        },
+                        {
+                            type: 'select',
+                            id: 'macSearchSuggestProvider',
+                            labelKey: 'settingsSearchSuggestProvider',
+                            descKey: 'settingsSearchSuggestProviderDesc',
+                            storageKey: 'searchSuggestProvider',
+                            defaultValue: SYNC_SETTINGS_DEFAULTS.searchSuggestProvider,
+                            options: [
+                                { value: 'off', labelKey: 'settingsSearchSuggestOff' },
+                                { value: 'google', label: 'Google' },
+                                { value: 'bing', label: 'Bing' },
+                                { value: 'duckduckgo', label: 'DuckDuckGo' }
+                            ],
+                            source: 'mac-settings.general.select'
+                        },
+                        {
+                            type: 'toggle',
+                            id: 'macSearchHistoryEnabled',
+                            labelKey: 'settingsSearchHistory',
+                            descKey: 'settingsSearchHistoryDesc',
+                            storageKey: 'searchHistoryEnabled',
+                            defaultValue: SYNC_SETTINGS_DEFAULTS.searchHistoryEnabled,
+                            source: 'mac-settings.general.toggle'
+                        },
+                        {
+                            type: 'custom',
+                            labelKey: 'settingsSearchHistoryClear',
+                            controlHtml: `
+                                <button type="button" class="mac-button mac-button--small" id="macSearchHistoryClear">
+                                    ${escapeHtml(t('settingsSearchHistoryClearBtn') || 'Clear')}
+                                </button>
+                            `,
+                            bind: ({ builder }) => {
+                                builder.getById('macSearchHistoryClear')?.addEventListener('click', async () => {
+                                    try {
+                                        const { clearSearchHistory } = await import('../search-history.js');
+                                        await clearSearchHistory();
+                                        toast(t('settingsSearchHistoryCleared'));
+                                    } catch (error) {
+                                        console.error('[MacSettings] Failed to clear search history:', error);
+                                        toast(t('settingsSearchHistoryClearFailed'));
+                                    }
+                                });
+                            }
                         }
                     ]
                 },
@@ -155,6 +203,9 @@ export function registerGeneralContent(window) {
         });
 
         void builder.init();
+
+        // Rendered synchronously by init(), so the custom section lands after the builder sections
+        mountSearchEnginesSection(container);
     });
 }
 
@@ -318,6 +369,17 @@ export function registerAboutContent(window) {
                                 </button>
                             `
                         },
+                        {
+                            type: 'custom',
+                            labelKey: 'shortcutSwitchWorkspace',
+                            label: 'Switch Workspace',
+                            controlHtml: `
+                                <button type="button"
+                                        class="mac-button mac-button--small mac-shortcut-btn"
+                                        data-shortcut-action="${SHORTCUT_ACTIONS.switchWorkspace}">
+                                </button>
+                            `
+                        },
                         {
                             type: 'custom',
                             labelKey: 'macSettingsOpenSettings',
@@ -423,7 +485,8 @@ export function registerAboutContent(window) {
 function _buildShortcutSettingsRequest() {
     return {
         [SHORTCUT_SETTING_KEYS.focusSearch]: undefined,
-        [SHORTCUT_SETTING_KEYS.openLaunchpad]: undefined
+        [SHORTCUT_SETTING_KEYS.openLaunchpad]: undefined,
+        [SHORTCUT_SETTING_KEYS.switchWorkspace]: undefined
     };
 }
 
@@ -454,7 +517,8 @@ async function _initShortcutEditors(container) {
     const base = resolveShortcutSettings(stored);
     const shortcuts = {
         [SHORTCUT_ACTIONS.focusSearch]: base.focusSearch,
-        [SHORTCUT_ACTIONS.openLaunchpad]: base.openLaunchpad
+        [SHORTCUT_ACTIONS.openLaunchpad]: base.openLaunchpad,
+        [SHORTCUT_ACTIONS.switchWorkspace]: base.switchWorkspace
     };
 
     _renderShortcutButtons(container, shortcuts);
@@ -2,6 +2,7 @@
 import { t } from '../../platform/i18n.js';
 import { escapeHtml } from '../../shared/text.js';
 import * as storageRepo from '../../platform/storage-repo.js';
+import { onStorageChange, storageDispatcher } from '../../platform/storage-runtime.js';
 
 let _linkManagerInstance = null;
 let _backupProtectionCount = 0;
@@ -47,7 +48,34 @@ export function registerDataContent(window) {
                         </div>
                         <div class="mac-settings-row-control" style="display: flex; gap: 8px;">
                             <button class="mac-button" id="macExportLinks" data-i18n="linkExportBtn"></button>
+                            <button class="mac-button" id="macImportLinksFile" data-i18n="linkFileImportBtn"></button>
                             <button class="mac-button mac-button--primary" id="macImportBookmarks" data-i18n="bookmarkImportBtn"></button>
+                            <input type="file" id="macImportLinksFileInput" accept=".json,.html,.htm,.csv,application/json,text/html,text/csv" style="display: none;">
+                        </div>
+                    </div>
+                    <!-- Bookmark Sync -->
+                    <div class="mac-settings-row">
+                        <div class="mac-settings-row-label">
+                            <span class="mac-settings-row-title" data-i18n="bookmarkSyncTitle"></span>
+                            <span class="mac-settings-row-desc" data-i18n="bookmarkSyncDesc"></span>
+                        </div>
+                        <div class="mac-settings-row-control">
+                            <button class="mac-button" id="bookmarkSyncAdd" data-i18n="bookmarkSyncAdd"></button>
+                        </div>
+                    </div>
+                    <div class="bookmark-sync-list" id="bookmarkSyncList"></div>
+                    <!-- Dead-link Check -->
+                    <div class="mac-settings-row">
+                        <div class="mac-settings-row-label">
+                            <span class="mac-settings-row-title" data-i18n="linkHealthScheduleTitle"></span>
+                            <span class="mac-settings-row-desc" data-i18n="linkHealthScheduleDesc"></span>
+                        </div>
+                        <div class="mac-settings-row-control">
+                            <label class="mac-toggle">
+                                <input type="checkbox" class="mac-toggle-input" id="linkHealthEnabled">
+                                <span class="mac-toggle-track"></span>
+                                <span class="mac-toggle-thumb"></span>
+                            </label>
                         </div>
                     </div>
                 </div>
@@ -112,9 +140,77 @@ export function registerDataContent(window) {
                             </div>
                         </div>
                     </div>
+                    <!-- Encryption Passphrase -->
+                    <div class="mac-settings-row">
+                        <div class="mac-settings-row-label">
+                            <span class="mac-settings-row-title" data-i18n="webdavPassphrase"></span>
+                            <span class="mac-settings-row-desc" data-i18n="webdavPassphraseDesc"></span>
+                        </div>
+                        <div class="mac-settings-row-control">
+                            <input type="password" class="mac-input" id="webdavPassphrase"
+                                   autocomplete="new-password" placeholder="" style="width: 200px;">
+                        </div>
+                    </div>
+                    <!-- Automatic Backup -->
+                    <div class="mac-settings-row">
+                        <div class="mac-settings-row-label">
+                            <span class="mac-settings-row-title" data-i18n="webdavScheduleMode"></span>
+                            <span class="mac-settings-row-desc" data-i18n="webdavScheduleModeDesc"></span>
+                        </div>
+                        <div class="mac-settings-row-control">
+                            <div class="mac-select">
+                                <select class="mac-select-input" id="webdavScheduleMode">
+                                    <option value="off" data-i18n="webdavScheduleOff"></option>
+                                    <option value="daily" data-i18n="webdavScheduleDaily"></option>
+                                    <option value="weekly" data-i18n="webdavScheduleWeekly"></option>
+                                    <option value="change" data-i18n="webdavScheduleOnChange"></option>
+                                </select>
+                                <span class="mac-select-arrow">
+                                    <svg viewBox="0 0 12 12"><path d="M3 5l3 3 3-3" stroke="currentColor" fill="none" stroke-width="1.5"/></svg>
+                                </span>
+                            </div>
+                        </div>
+                    </div>
+                    <!-- Retention -->
+                    <div class="mac-settings-row webdav-retention-row">
+                        <div class="mac-settings-row-label">
+                            <span class="mac-settings-row-title" data-i18n="webdavRetention"></span>
+                            <span class="mac-settings-row-desc" data-i18n="webdavRetentionDesc"></span>
+                        </div>
+                        <div class="mac-settings-row-control webdav-retention-control">
+                            <label class="webdav-retention-field">
+                                <span data-i18n="webdavKeepLast"></span>
+                                <input type="number" class="mac-input" id="webdavKeepLast" step="1">
+                            </label>
+                            <label class="webdav-retention-field">
+                                <span data-i18n="webdavKeepWeekly"></span>
+                                <input type="number" class="mac-input" id="webdavKeepWeekly" step="1">
+                            </label>
+                        </div>
+                    </div>
+                    <!-- Incremental Backups -->
+                    <div class="mac-settings-row">
+                        <div class="mac-settings-row-label">
+                            <span class="mac-settings-row-title" data-i18n="webdavIncremental"></span>
+                            <span class="mac-settings-row-desc" data-i18n="webdavIncrementalDesc"></span>
+                        </div>
+                        <div class="mac-settings-row-control webdav-retention-control">
+                            <label class="webdav-retention-field">
+                                <span data-i18n="webdavFullEvery"></span>
+                                <input type="number" class="mac-input" id="webdavFullEvery" step="1">
+                            </label>
+                            <label class="mac-toggle">
+                                <input type="checkbox" class="mac-toggle-input" id="webdavIncremental">
+                                <span class="mac-toggle-track"></span>
+                                <span class="mac-toggle-thumb"></span>
+                            </label>
+                        </div>
+                    </div>
                     <!-- Action Buttons -->
                     <div class="mac-settings-row webdav-actions">
-                        <div class="mac-settings-row-label"></div>
+                        <div class="mac-settings-row-label">
+                            <span class="mac-settings-row-desc webdav-backup-status" id="webdavBackupStatus" aria-live="polite"></span>
+                        </div>
                         <div class="mac-settings-row-control" style="display: flex; gap: 10px;">
                             <button class="mac-button" id="webdavTestConnection" data-i18n="webdavTestConnection"></button>
                             <button class="mac-button mac-button--primary" id="webdavBackupNow" data-i18n="webdavBackupNow"></button>
@@ -217,6 +313,25 @@ function _bindDataEvents(container, macWindow) {
         });
     }
 
+    const importLinksFileBtn = container.querySelector('#macImportLinksFile');
+    const importLinksFileInput = container.querySelector('#macImportLinksFileInput');
+    if (importLinksFileBtn && importLinksFileInput) {
+        importLinksFileBtn.addEventListener('click', () => {
+            importLinksFileInput.value = '';
+            importLinksFileInput.click();
+        });
+
+        importLinksFileInput.addEventListener('change', async () => {
+            const file = importLinksFileInput.files?.[0];
+            if (!file) return;
+            macWindow.close();
+            const { bookmarkImportUI } = await import('../bookmarks/ui.js');
+            bookmarkImportUI.openFile(file);
+        });
+    }
+
+    _bindBookmarkSyncEvents(container);
+    _bindLinkHealthEvents(container);
     _bindWebDAVEvents(container);
 }
 
@@ -276,25 +391,10 @@ async function _handleImportData(e) {
         return;
     }
 
-    const confirmed = globalThis.confirm(t('importConfirm'));
-    if (!confirmed) return;
-
     try {
-        toast(t('webdavRestoring') || 'Restoring...', { type: 'info', duration: 5000 });
-
-        const { getBackupManager } = await import('../../platform/backup-manager.js');
-        const backupManager = getBackupManager();
-
-        await _withBackupProtection(async () => {
-            const result = await backupManager.restoreFromBackup(file);
-
-            if (result.success) {
-                toast(t('settingsImportComplete'));
-                backupManager.triggerReload();
-            } else {
-                const errorKey = result.error ? `import_${result.error}` : 'settingsImportFailed';
-                toast(t(errorKey) || t('settingsImportFailed'), { type: 'error' });
-            }
+        await _restoreWithPreview(file, {
+            successMessage: t('settingsImportComplete'),
+            failureKey: 'settingsImportFailed'
         });
     } catch (error) {
         console.error('[DataSettings] Import failed:', error);
@@ -342,10 +442,149 @@ function _bindWebDAVEvents(container) {
         });
     }
 
-    const inputs = container.querySelectorAll('#webdavServerUrl, #webdavRemoteDir, #webdavUsername, #webdavPassword');
+    const inputs = container.querySelectorAll('#webdavServerUrl, #webdavRemoteDir, #webdavUsername, #webdavPassword, #webdavPassphrase');
     for (const input of inputs) {
         input.addEventListener('change', () => _saveWebDAVConfig(container));
     }
+
+    _bindBackupScheduleEvents(container);
+}
+
+// ========== Automatic Backup ==========
+
+const BACKUP_ERROR_KEYS = {
+    not_configured: 'webdavBackupErrorNotConfigured',
+    dir_create_failed: 'webdavDirCreateFailed',
+    upload_failed: 'webdavBackupErrorUpload',
+    backup_too_large: 'settingsBackupTooLarge'
+};
+
+function _bindBackupScheduleEvents(container) {
+    void _loadBackupSchedule(container);
+
+    const controls = container.querySelectorAll(
+        '#webdavScheduleMode, #webdavKeepLast, #webdavKeepWeekly, #webdavIncremental, #webdavFullEvery'
+    );
+    for (const control of controls) {
+        control.addEventListener('change', () => _saveBackupSchedule(container));
+    }
+
+    onStorageChange('mac-settings.data.webdav-backup-status', (changes, areaName) => {
+        if (!container.isConnected) {
+            storageDispatcher.unregister('mac-settings.data.webdav-backup-status');
+            return;
+        }
+        if (areaName !== 'local') return;
+        if (changes.webdavBackupStatus || changes.webdavBackupSchedule || changes[WEBDAV_CONFIG_KEY]) {
+            void _renderBackupStatus(container);
+        }
+    });
+}
+
+async function _loadBackupSchedule(container) {
+    try {
+        const { BACKUP_RETENTION_BOUNDS, getBackupSchedule } = await import('../../platform/backup-scheduler.js');
+        const schedule = await getBackupSchedule();
+
+        const modeSelect = container.querySelector('#webdavScheduleMode');
+        const keepLastInput = container.querySelector('#webdavKeepLast');
+        const keepWeeklyInput = container.querySelector('#webdavKeepWeekly');
+
+        if (modeSelect) modeSelect.value = schedule.mode;
+        if (keepLastInput) {
+            keepLastInput.min = String(BACKUP_RETENTION_BOUNDS.keepLast.min);
+            keepLastInput.max = String(BACKUP_RETENTION_BOUNDS.keepLast.max);
+            keepLastInput.value = String(schedule.keepLast);
+        }
+        if (keepWeeklyInput) {
+            keepWeeklyInput.min = String(BACKUP_RETENTION_BOUNDS.keepWeekly.min);
+            keepWeeklyInput.max = String(BACKUP_RETENTION_BOUNDS.keepWeekly.max);
+            keepWeeklyInput.value = String(schedule.keepWeekly);
+        }
+        const incrementalToggle = container.querySelector('#webdavIncremental');
+        const fullEveryInput = container.querySelector('#webdavFullEvery');
+        if (incrementalToggle) incrementalToggle.checked = schedule.incremental;
+        if (fullEveryInput) {
+            fullEveryInput.min = String(BACKUP_RETENTION_BOUNDS.fullEvery.min);
+            fullEveryInput.max = String(BACKUP_RETENTION_BOUNDS.fullEvery.max);
+            fullEveryInput.value = String(schedule.fullEvery);
+            fullEveryInput.disabled = !schedule.incremental;
+        }
+        _syncRetentionVisibility(container, schedule.mode);
+    } catch (error) {
+        console.error('[DataSettings] Failed to load backup schedule:', error);
+    }
+    await _renderBackupStatus(container);
+}
+
+async function _saveBackupSchedule(container) {
+    try {
+        const { saveBackupSchedule } = await import('../../platform/backup-scheduler.js');
+        const schedule = await saveBackupSchedule({
+            mode: container.querySelector('#webdavScheduleMode')?.value,
+            keepLast: container.querySelector('#webdavKeepLast')?.value,
+            keepWeekly: container.querySelector('#webdavKeepWeekly')?.value,
+            incremental: container.querySelector('#webdavIncremental')?.checked === true,
+            fullEvery: container.querySelector('#webdavFullEvery')?.value
+        });
+
+        // Reflect clamped values back into the form
+        container.querySelector('#webdavKeepLast').value = String(schedule.keepLast);
+        container.querySelector('#webdavKeepWeekly').value = String(schedule.keepWeekly);
+        container.querySelector('#webdavFullEvery').value = String(schedule.fullEvery);
+        container.querySelector('#webdavFullEvery').disabled = !schedule.incremental;
+        _syncRetentionVisibility(container, schedule.mode);
+    } catch (error) {
+        console.error('[DataSettings] Failed to save backup schedule:', error);
+        const { toast } = await import('../../shared/toast.js');
+        toast(t('webdavScheduleSaveFailed') || 'Failed to save backup schedule', { type: 'error' });
+    }
+}
+
+function _syncRetentionVisibility(container, mode) {
+    const row = container.querySelector('.webdav-retention-row');
+    if (row) row.style.display = mode === 'off' ? 'none' : '';
+}
+
+async function _renderBackupStatus(container) {
+    const statusEl = container.querySelector('#webdavBackupStatus');
+    if (!statusEl) return;
+
+    try {
+        const { getBackupSchedule, getBackupStatus, isWebDAVConfigComplete } = await import('../../platform/backup-scheduler.js');
+        const { formatDateTime } = await import('../../shared/webdav-client.js');
+        const [schedule, status, config] = await Promise.all([
+            getBackupSchedule(),
+            getBackupStatus(),
+            storageRepo.local.get(WEBDAV_CONFIG_KEY, null)
+        ]);
+
+        const { lastSuccess, lastFailure } = status;
+        const failedLast = lastFailure && (!lastSuccess || lastFailure.at > lastSuccess.at);
+        const missingConfig = schedule.mode !== 'off' && !isWebDAVConfigComplete(config);
+        let text;
+        if (failedLast) {
+            const errorKey = BACKUP_ERROR_KEYS[lastFailure.error];
+            const reason = errorKey ? t(errorKey) : (lastFailure.error || '');
+            text = t('webdavBackupStatusFailed', { time: formatDateTime(lastFailure.at), reason });
+        } else if (lastSuccess) {
+            text = t(lastSuccess.incremental ? 'webdavBackupStatusSuccessIncremental' : 'webdavBackupStatusSuccess', {
+                time: formatDateTime(lastSuccess.at)
+            });
+        } else if (schedule.mode !== 'off') {
+            text = t('webdavBackupStatusNever');
+        } else {
+            text = '';
+        }
+        if (missingConfig) {
+            text = t('webdavBackupErrorNotConfigured');
+        }
+
+        statusEl.textContent = text;
+        statusEl.classList.toggle('error', Boolean(failedLast) || missingConfig);
+    } catch (error) {
+        console.error('[DataSettings] Failed to render backup status:', error);
+    }
 }
 
 async function _loadWebDAVConfig(container) {
@@ -358,11 +597,13 @@ async function _loadWebDAVConfig(container) {
         const remoteDirInput = container.querySelector('#webdavRemoteDir');
         const usernameInput = container.querySelector('#webdavUsername');
         const passwordInput = container.querySelector('#webdavPassword');
+        const passphraseInput = container.querySelector('#webdavPassphrase');
 
         if (serverUrlInput && config.baseUrl) serverUrlInput.value = config.baseUrl;
         if (remoteDirInput && config.remoteDir) remoteDirInput.value = config.remoteDir;
         if (usernameInput && config.username) usernameInput.value = config.username;
         if (passwordInput && config.password) passwordInput.value = config.password;
+        if (passphraseInput && config.encryptionPassphrase) passphraseInput.value = config.encryptionPassphrase;
     } catch (error) {
         console.error('[DataSettings] Failed to load WebDAV config:', error);
     }
@@ -382,7 +623,8 @@ function _getWebDAVConfigFromForm(container) {
         baseUrl: container.querySelector('#webdavServerUrl')?.value?.trim() || '',
         remoteDir: container.querySelector('#webdavRemoteDir')?.value?.trim() || 'AuraTabBackups',
         username: container.querySelector('#webdavUsername')?.value?.trim() || '',
-        password: container.querySelector('#webdavPassword')?.value || ''
+        password: container.querySelector('#webdavPassword')?.value || '',
+        encryptionPassphrase: container.querySelector('#webdavPassphrase')?.value || ''
     };
 }
 
@@ -475,10 +717,10 @@ async function _handleWebDAVBackup(container) {
 
     try {
         await _withBackupProtection(async () => {
-            const { getBackupManager } = await import('../../platform/backup-manager.js');
-            const backupManager = getBackupManager();
-
-            const { blob: zipBlob, cleanup } = await backupManager.createBackupForUpload({
+            const { runWebDAVBackup } = await import('../../platform/backup-scheduler.js');
+            const result = await runWebDAVBackup({
+                trigger: 'manual',
+                config,
                 onProgress: ({ percent }) => {
                     if (backupBtn) {
                         backupBtn.textContent = `${t('webdavBackingUp') || 'Backing up...'} ${Math.round(percent)}%`;
@@ -486,33 +728,19 @@ async function _handleWebDAVBackup(container) {
                 }
             });
 
-            const { WebDAVClient, generateBackupFilename } = await import('../../shared/webdav-client.js');
-            const client = new WebDAVClient(config);
-            await client.ensureDir();
-
-            const filename = generateBackupFilename();
-            let uploadOk = false;
-            try {
-                uploadOk = await client.putFile(filename, zipBlob);
-            } finally {
-                await cleanup?.();
-            }
-
-            if (uploadOk) {
+            if (result.ok) {
                 toast(t('webdavBackupSuccess') || 'Backup successful', { type: 'success' });
                 _showVersionsSection(container);
                 await _handleWebDAVRefreshList(container);
+            } else if (result.error === 'backup_too_large') {
+                toast(t('settingsBackupTooLarge'), { type: 'error' });
             } else {
                 toast(t('webdavBackupFailed') || 'Backup failed', { type: 'error' });
             }
         });
     } catch (error) {
         console.error('[DataSettings] WebDAV backup error:', error);
-        if (error?.message === 'backup_too_large') {
-            toast(t('settingsBackupTooLarge'), { type: 'error' });
-        } else {
-            toast(t('webdavBackupFailed') || 'Backup failed', { type: 'error' });
-        }
+        toast(t('webdavBackupFailed') || 'Backup failed', { type: 'error' });
     } finally {
         if (backupBtn) {
             backupBtn.disabled = false;
@@ -577,16 +805,24 @@ function _renderVersionsList(container, files) {
 
     if (!listContainer) return;
 
-    import('../../shared/webdav-client.js').then(({ formatFileSize, formatDateTime }) => {
-        listContainer.innerHTML = files.map(file => `
+    Promise.all([
+        import('../../shared/webdav-client.js'),
+        import('../../platform/backup-scheduler.js')
+    ]).then(([{ formatFileSize, formatDateTime }, { parseBackupFilename }]) => {
+        listContainer.innerHTML = files.map(file => {
+            const incremental = parseBackupFilename(file.filename)?.incremental === true;
+            return `
             <div class="webdav-version-item" data-filename="${escapeHtml(file.filename)}">
                 <div class="webdav-version-info">
                     <span class="webdav-version-name">${escapeHtml(file.filename)}</span>
                     <span class="webdav-version-meta">
-                        ${formatDateTime(file.lastModified)} · ${formatFileSize(file.contentLength)}
+                        ${formatDateTime(file.lastModified)} · ${formatFileSize(file.contentLength)}${incremental ? ` · ${escapeHtml(t('webdavIncrementalBadge'))}` : ''}
                     </span>
                 </div>
                 <div class="webdav-version-actions">
+                    ${incremental ? `<button class="mac-button mac-button--small webdav-compact-btn" data-filename="${escapeHtml(file.filename)}">
+                        ${t('webdavCompact') || 'Compact'}
+                    </button>` : ''}
                     <button class="mac-button mac-button--small webdav-restore-btn" data-filename="${escapeHtml(file.filename)}">
                         ${t('webdavRestore') || 'Restore'}
                     </button>
@@ -595,7 +831,15 @@ function _renderVersionsList(container, files) {
                     </button>
                 </div>
             </div>
-        `).join('');
+        `;
+        }).join('');
+
+        listContainer.querySelectorAll('.webdav-compact-btn').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                const filename = e.target.dataset.filename;
+                _handleWebDAVCompact(container, filename);
+            });
+        });
 
         listContainer.querySelectorAll('.webdav-restore-btn').forEach(btn => {
             btn.addEventListener('click', (e) => {
@@ -616,9 +860,6 @@ function _renderVersionsList(container, files) {
 async function _handleWebDAVRestore(container, filename) {
     const { toast } = await import('../../shared/toast.js');
 
-    const confirmed = globalThis.confirm(t('webdavRestoreConfirm') || 'Restore will overwrite all current data, continue?');
-    if (!confirmed) return;
-
     const config = _getWebDAVConfigFromForm(container);
     const validation = _validateWebDAVConfig(config);
     if (!validation.valid) {
@@ -631,37 +872,63 @@ async function _handleWebDAVRestore(container, filename) {
     _setVersionButtonsDisabled(container, true);
 
     try {
-        toast(t('webdavRestoring') || 'Restoring...', { type: 'info', duration: 5000 });
+        const { WebDAVClient } = await import('../../shared/webdav-client.js');
+        const client = new WebDAVClient(config);
 
-        await _withBackupProtection(async () => {
-            const { WebDAVClient } = await import('../../shared/webdav-client.js');
-            const client = new WebDAVClient(config);
+        const zipBlob = await client.getFile(filename);
+        if (!zipBlob) {
+            toast(t('webdavRestoreFailed') || 'Restore failed', { type: 'error' });
+            return;
+        }
 
-            const zipBlob = await client.getFile(filename);
-            if (!zipBlob) {
-                toast(t('webdavRestoreFailed') || 'Restore failed', { type: 'error' });
-                return;
-            }
+        await _restoreWithPreview(zipBlob, {
+            knownPassphrase: config.encryptionPassphrase,
+            resolveArchive: (name) => client.getFile(name),
+            successMessage: t('webdavRestoreSuccess') || 'Restore successful, reloading...',
+            failureKey: 'webdavRestoreFailed'
+        });
+    } catch (error) {
+        console.error('[DataSettings] WebDAV restore error:', error);
+        toast(t('webdavRestoreFailed') || 'Restore failed', { type: 'error' });
+    } finally {
+        _setVersionButtonsDisabled(container, false);
+    }
+}
 
-            const { getBackupManager } = await import('../../platform/backup-manager.js');
-            const backupManager = getBackupManager();
+async function _handleWebDAVCompact(container, filename) {
+    const { toast } = await import('../../shared/toast.js');
 
-            const result = await backupManager.restoreFromBackup(zipBlob, {
-                onProgress: ({ stage, percent }) => {
-                }
-            });
+    const config = _getWebDAVConfigFromForm(container);
+    const validation = _validateWebDAVConfig(config);
+    if (!validation.valid) {
+        toast(t(validation.error) || validation.error, { type: 'error' });
+        return;
+    }
 
-            if (result.success) {
-                toast(t('webdavRestoreSuccess') || 'Restore successful, reloading...', { type: 'success' });
-                backupManager.triggerReload();
-            } else {
-                const errorKey = result.error ? `import_${result.error}` : 'webdavRestoreFailed';
-                toast(t(errorKey) || t('webdavRestoreFailed') || 'Restore failed', { type: 'error' });
-            }
+    await _saveWebDAVConfig(container);
+
+    _setVersionButtonsDisabled(container, true);
+    toast(t('webdavCompacting') || 'Compacting backup...', { type: 'info', duration: 5000 });
+
+    try {
+        let result = null;
+        await _withBackupProtection(async () => {
+            const { compactWebDAVBackup } = await import('../../platform/backup-scheduler.js');
+            result = await compactWebDAVBackup(filename, { config });
         });
+
+        if (result.ok) {
+            toast(t('webdavCompactSuccess', { filename: result.filename }) || 'Backup compacted', { type: 'success' });
+            await _handleWebDAVRefreshList(container);
+        } else {
+            // Failures come from the download/upload steps or from reading the chain
+            const errorKey = BACKUP_ERROR_KEYS[result.error] || `import_${result.error}`;
+            const message = t(errorKey) !== errorKey ? t(errorKey) : t('webdavCompactFailed');
+            toast(message || 'Compaction failed', { type: 'error' });
+        }
     } catch (error) {
-        console.error('[DataSettings] WebDAV restore error:', error);
-        toast(t('webdavRestoreFailed') || 'Restore failed', { type: 'error' });
+        console.error('[DataSettings] WebDAV compact error:', error);
+        toast(t('webdavCompactFailed') || 'Compaction failed', { type: 'error' });
     } finally {
         _setVersionButtonsDisabled(container, false);
     }
@@ -700,8 +967,505 @@ async function _handleWebDAVDelete(container, filename) {
     }
 }
 
+// ========== Encrypted Backups ==========
+
+/**
+ * Find the passphrase for a backup before restoring it. Plain archives resolve immediately;
+ * encrypted ones try the configured passphrase first, then prompt until it unlocks or the user cancels.
+ * @param {Blob} blob
+ * @param {string} [knownPassphrase]
+ * @returns {Promise<{ passphrase: string }|null>} null when cancelled
+ */
+async function _resolveBackupPassphrase(blob, knownPassphrase = '') {
+    const { isEncryptedBackup, verifyBackupPassphrase } = await import('../../platform/backup-crypto.js');
+    if (!await isEncryptedBackup(blob)) {
+        return { passphrase: '' };
+    }
+
+    if (knownPassphrase && await verifyBackupPassphrase(blob, knownPassphrase)) {
+        return { passphrase: knownPassphrase };
+    }
+
+    let error = '';
+    while (true) {
+        const passphrase = await _promptBackupPassphrase(error);
+        if (passphrase === null) return null;
+        if (passphrase && await verifyBackupPassphrase(blob, passphrase)) {
+            return { passphrase };
+        }
+        error = t('import_backup_wrong_passphrase') || 'Wrong passphrase';
+    }
+}
+
+/**
+ * Modal passphrase prompt. Resolves to the entered text, or null when cancelled.
+ * @param {string} [error] - Shown under the input (e.g. after a wrong attempt)
+ * @returns {Promise<string|null>}
+ */
+function _promptBackupPassphrase(error = '') {
+    return new Promise((resolve) => {
+        const { overlay, form, close } = _openBackupDialog(`
+            <h3 class="backup-dialog-title" id="backupDialogTitle">${escapeHtml(t('backupPassphrasePromptTitle') || 'Encrypted backup')}</h3>
+            <p class="backup-dialog-desc">${escapeHtml(t('backupPassphrasePromptDesc') || 'Enter the passphrase used to encrypt this backup.')}</p>
+            <input type="password" class="mac-input" name="passphrase" autocomplete="off"
+                   aria-label="${escapeHtml(t('webdavPassphrase') || 'Encryption passphrase')}">
+            <div class="backup-dialog-error" role="alert">${escapeHtml(error)}</div>
+            <div class="backup-dialog-actions">
+                <button type="button" class="mac-button" data-action="cancel">${escapeHtml(t('cancel') || 'Cancel')}</button>
+                <button type="submit" class="mac-button mac-button--primary">${escapeHtml(t('backupDialogContinue') || 'Continue')}</button>
+            </div>
+        `, resolve);
+
+        const input = overlay.querySelector('input');
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            close(input.value);
+        });
+        input.focus();
+    });
+}
+
+/**
+ * Overlay + form shell shared by the backup dialogs. Cancel button and Escape resolve null.
+ * @param {string} innerHtml
+ * @param {(value: unknown) => void} resolve
+ */
+function _openBackupDialog(innerHtml, resolve) {
+    const overlay = document.createElement('div');
+    overlay.className = 'backup-dialog-overlay';
+    overlay.innerHTML = `<form class="backup-dialog" role="dialog" aria-modal="true" aria-labelledby="backupDialogTitle">${innerHtml}</form>`;
+
+    const form = overlay.querySelector('form');
+    const close = (value) => {
+        overlay.remove();
+        resolve(value);
+    };
+
+    overlay.querySelector('[data-action="cancel"]')?.addEventListener('click', () => close(null));
+    overlay.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape') {
+            e.preventDefault();
+            e.stopPropagation();
+            close(null);
+        }
+    });
+
+    document.body.appendChild(overlay);
+    return { overlay, form, close };
+}
+
+// ========== Dead-link Check ==========
+
+function _bindLinkHealthEvents(container) {
+    const toggle = container.querySelector('#linkHealthEnabled');
+    if (!toggle) return;
+
+    import('../quicklinks/link-health.js')
+        .then(({ isLinkHealthCheckEnabled }) => isLinkHealthCheckEnabled())
+        .then((enabled) => { toggle.checked = enabled; })
+        .catch((error) => console.error('[DataSettings] Failed to load link check setting:', error));
+
+    toggle.addEventListener('change', async () => {
+        try {
+            const { setLinkHealthCheckEnabled } = await import('../quicklinks/link-health.js');
+            await setLinkHealthCheckEnabled(toggle.checked);
+        } catch (error) {
+            console.error('[DataSettings] Failed to save link check setting:', error);
+            toggle.checked = !toggle.checked;
+        }
+    });
+}
+
+// ========== Bookmark Sync ==========
+
+const BOOKMARK_SYNC_ERROR_KEYS = {
+    bookmark_folder_missing: 'bookmarkSyncErrorFolderMissing',
+    workspace_inactive: 'bookmarkSyncErrorWorkspace'
+};
+
+const BOOKMARK_SYNC_ADD_ERROR_KEYS = {
+    invalid: 'bookmarkSyncAddFailed',
+    duplicate: 'bookmarkSyncErrorDuplicate',
+    limit: 'bookmarkSyncErrorLimit'
+};
+
+function _bindBookmarkSyncEvents(container) {
+    container.querySelector('#bookmarkSyncAdd')?.addEventListener('click', () => _handleBookmarkSyncAdd(container));
+    void _renderBookmarkSyncList(container);
+
+    onStorageChange('mac-settings.data.bookmark-sync', (changes, areaName) => {
+        if (!container.isConnected) {
+            storageDispatcher.unregister('mac-settings.data.bookmark-sync');
+            return;
+        }
+        if (areaName !== 'local') return;
+        if (changes.bookmarkSyncBindings || changes.bookmarkSyncState) {
+            void _renderBookmarkSyncList(container);
+        }
+    });
+}
+
+/**
+ * @param {Object} target - Binding target
+ * @param {import('../quicklinks/store.js').store} store
+ */
+function _formatBookmarkSyncTarget(target, store) {
+    if (target.type === 'page') {
+        return t('bookmarkSyncTargetPage', { page: target.index + 1 });
+    }
+    const folder = target.id ? store.getItem(target.id) : null;
+    return folder?.title || target.title;
+}
+
+async function _renderBookmarkSyncList(container) {
+    const listEl = container.querySelector('#bookmarkSyncList');
+    if (!listEl) return;
+
+    try {
+        const [{ getBookmarkBindings, getBookmarkSyncState }, { store }, { formatDateTime }] = await Promise.all([
+            import('../bookmarks/bookmark-sync.js'),
+            import('../quicklinks/store.js'),
+            import('../../shared/webdav-client.js')
+        ]);
+        const [bindings, state] = await Promise.all([getBookmarkBindings(), getBookmarkSyncState()]);
+        const folderTitles = new Map();
+        if (bindings.length > 0 && chrome.bookmarks?.get) {
+            for (const binding of bindings) {
+                try {
+                    const [node] = await chrome.bookmarks.get(binding.bookmarkFolderId);
+                    folderTitles.set(binding.bookmarkFolderId, node?.title || '');
+                } catch {
+                    // Shown through the binding's error status
+                }
+            }
+        }
+
+        listEl.innerHTML = bindings.map((binding) => {
+            const status = state[binding.id];
+            const errorKey = BOOKMARK_SYNC_ERROR_KEYS[status?.error];
+            let meta;
+            if (status?.error) {
+                meta = errorKey ? t(errorKey) : status.error;
+            } else if (status?.lastSyncAt) {
+                meta = t('bookmarkSyncLastSync', { time: formatDateTime(status.lastSyncAt), count: status.entries.length });
+            } else {
+                meta = t('bookmarkSyncPending');
+            }
+            const name = `${folderTitles.get(binding.bookmarkFolderId) || binding.bookmarkFolderId} → ${_formatBookmarkSyncTarget(binding.target, store)}`;
+            return `
+            <div class="bookmark-sync-item" data-id="${escapeHtml(binding.id)}">
+                <div class="webdav-version-info">
+                    <span class="webdav-version-name">${escapeHtml(name)}</span>
+                    <span class="bookmark-sync-meta${status?.error ? ' error' : ''}">${escapeHtml(meta)}</span>
+                </div>
+                <div class="webdav-version-actions">
+                    <button class="mac-button mac-button--small bookmark-sync-remove-btn" data-id="${escapeHtml(binding.id)}">
+                        ${escapeHtml(t('bookmarkSyncRemove') || 'Stop syncing')}
+                    </button>
+                </div>
+            </div>
+        `;
+        }).join('');
+
+        listEl.querySelectorAll('.bookmark-sync-remove-btn').forEach(btn => {
+            btn.addEventListener('click', async (e) => {
+                const { removeBookmarkBinding } = await import('../bookmarks/bookmark-sync.js');
+                await removeBookmarkBinding(e.currentTarget.dataset.id);
+            });
+        });
+    } catch (error) {
+        console.error('[DataSettings] Failed to render bookmark sync:', error);
+    }
+}
+
+async function _handleBookmarkSyncAdd(container) {
+    const { toast } = await import('../../shared/toast.js');
+
+    let folders;
+    let store;
+    try {
+        const [{ listBookmarkFolders }, storeModule] = await Promise.all([
+            import('../bookmarks/bookmark-sync.js'),
+            import('../quicklinks/store.js')
+        ]);
+        folders = await listBookmarkFolders();
+        store = storeModule.store;
+    } catch (error) {
+        console.error('[DataSettings] Failed to read bookmark folders:', error);
+        toast(t('bookmarkSyncAddFailed') || 'Failed to set up bookmark sync', { type: 'error' });
+        return;
+    }
+
+    const selection = await _promptBookmarkSyncBinding(folders, store);
+    if (!selection) return;
+
+    const { addBookmarkBinding } = await import('../bookmarks/bookmark-sync.js');
+    const result = await addBookmarkBinding({
+        ...selection,
+        workspaceId: store.getActiveWorkspace?.()?.id ?? null
+    });
+    if (!result.ok) {
+        toast(t(BOOKMARK_SYNC_ADD_ERROR_KEYS[result.reason]) || 'Failed to set up bookmark sync', { type: 'error' });
+        return;
+    }
+    toast(t('bookmarkSyncAdded') || 'Bookmark sync enabled', { type: 'success' });
+    void _renderBookmarkSyncList(container);
+}
+
+/**
+ * @param {Array<{ id: string, title: string, depth: number }>} folders
+ * @param {import('../quicklinks/store.js').store} store
+ * @returns {Promise<{ bookmarkFolderId: string, target: Object, conflict: string }|null>}
+ */
+function _promptBookmarkSyncBinding(folders, store) {
+    const selectHtml = (name, label, options) => `
+        <label class="bookmark-sync-field">
+            <span>${escapeHtml(label)}</span>
+            <div class="mac-select">
+                <select class="mac-select-input" name="${name}">${options}</select>
+                <span class="mac-select-arrow">
+                    <svg viewBox="0 0 12 12"><path d="M3 5l3 3 3-3" stroke="currentColor" fill="none" stroke-width="1.5"/></svg>
+                </span>
+            </div>
+        </label>
+    `;
+
+    const folderOptions = folders.map(folder =>
+        `<option value="${escapeHtml(folder.id)}">${'\u00A0\u00A0'.repeat(folder.depth)}${escapeHtml(folder.title || folder.id)}</option>`
+    ).join('');
+
+    const launchpadFolders = store.getAllItemsFlat().filter(item => item.type === 'folder' && !item.smart);
+    const targetOptions = [
+        `<option value="new">${escapeHtml(t('bookmarkSyncTargetNewFolder') || 'New launchpad folder')}</option>`,
+        ...launchpadFolders.map(folder =>
+            `<option value="folder:${escapeHtml(folder._id)}">${'\u00A0\u00A0'.repeat(store.getFolderPath(folder._id).length - 1)}${escapeHtml(folder.title)}</option>`),
+        ...Array.from({ length: Math.max(1, store.getPageCount()) }, (_, index) =>
+            `<option value="page:${index}">${escapeHtml(t('bookmarkSyncTargetPage', { page: index + 1 }))}</option>`)
+    ].join('');
+
+    const conflictOptions = ['bookmarks', 'launchpad'].map(rule =>
+        `<option value="${rule}">${escapeHtml(t(rule === 'bookmarks' ? 'bookmarkSyncConflictBookmarks' : 'bookmarkSyncConflictLaunchpad'))}</option>`
+    ).join('');
+
+    return new Promise((resolve) => {
+        const { form, close } = _openBackupDialog(`
+            <h3 class="backup-dialog-title" id="backupDialogTitle">${escapeHtml(t('bookmarkSyncTitle') || 'Bookmark sync')}</h3>
+            <p class="backup-dialog-desc">${escapeHtml(t('bookmarkSyncDialogDesc'))}</p>
+            ${selectHtml('folder', t('bookmarkSyncFolderLabel'), folderOptions)}
+            ${selectHtml('target', t('bookmarkSyncTargetLabel'), targetOptions)}
+            ${selectHtml('conflict', t('bookmarkSyncConflictLabel'), conflictOptions)}
+            <div class="backup-dialog-error" role="alert"></div>
+            <div class="backup-dialog-actions">
+                <button type="button" class="mac-button" data-action="cancel">${escapeHtml(t('cancel') || 'Cancel')}</button>
+                <button type="submit" class="mac-button mac-button--primary">${escapeHtml(t('bookmarkSyncAdd') || 'Sync folder')}</button>
+            </div>
+        `, resolve);
+
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            const folderId = form.elements.folder.value;
+            if (!folderId) {
+                form.querySelector('.backup-dialog-error').textContent = t('bookmarkSyncNoFolders');
+                return;
+            }
+            const [kind, value] = form.elements.target.value.split(':');
+            let target;
+            if (kind === 'page') {
+                target = { type: 'page', index: Number(value) };
+            } else if (kind === 'folder') {
+                target = { type: 'folder', id: value, title: store.getItem(value)?.title || '' };
+            } else {
+                const folder = folders.find(candidate => candidate.id === folderId);
+                target = { type: 'folder', id: null, title: folder?.title || t('bookmarkSyncTitle') };
+            }
+            close({ bookmarkFolderId: folderId, target, conflict: form.elements.conflict.value });
+        });
+        form.querySelector('select')?.focus();
+    });
+}
+
+// ========== Selective Restore ==========
+
+const RESTORE_CATEGORY_LABELS = {
+    quicklinks: 'backupCategoryQuicklinks',
+    settings: 'backupCategorySettings',
+    favorites: 'backupCategoryFavorites',
+    localBackgrounds: 'backupCategoryLocalBackgrounds',
+    iconCache: 'backupCategoryIconCache'
+};
+
+const RESTORE_MODE_LABELS = {
+    replace: 'backupModeReplace',
+    merge: 'backupModeMerge',
+    skip: 'backupModeSkip'
+};
+
+/**
+ * Unlock, preview and restore an archive. Only the categories the user picks are touched;
+ * the page reloads afterwards.
+ * @param {Blob} blob
+ * @param {{ knownPassphrase?: string, resolveArchive?: Function, successMessage: string, failureKey: string }} options -
+ *   `resolveArchive` fetches earlier archives of an incremental chain by filename
+ */
+async function _restoreWithPreview(blob, { knownPassphrase = '', resolveArchive, successMessage, failureKey }) {
+    const { toast } = await import('../../shared/toast.js');
+
+    const unlocked = await _resolveBackupPassphrase(blob, knownPassphrase);
+    if (!unlocked) return;
+
+    toast(t('backupReading') || 'Reading backup...', { type: 'info' });
+
+    const { getBackupManager } = await import('../../platform/backup-manager.js');
+    const backupManager = getBackupManager();
+    const prepared = await backupManager.prepareRestore(blob, { passphrase: unlocked.passphrase, resolveArchive });
+    if (!prepared.success) {
+        const errorKey = prepared.error ? `import_${prepared.error}` : failureKey;
+        toast(t(errorKey) || t(failureKey), { type: 'error' });
+        return;
+    }
+
+    let restored = false;
+    try {
+        const selection = await _promptRestoreSelection(prepared.preview);
+        if (!selection) return;
+
+        toast(t('webdavRestoring') || 'Restoring...', { type: 'info', duration: 5000 });
+
+        await _withBackupProtection(async () => {
+            const { mergeQuicklinksFromBackup } = await import('../quicklinks/backup-merge.js');
+            const result = await prepared.apply(selection, {
+                mergeQuicklinks: (entries) => mergeQuicklinksFromBackup(entries)
+            });
+
+            if (result.success) {
+                restored = true;
+                const merged = result.quicklinks;
+                toast(merged
+                    ? `${successMessage} ${t('backupMergeResult', { added: merged.added, skipped: merged.skipped })}`
+                    : successMessage, { type: 'success' });
+            } else {
+                const errorKey = result.error ? `import_${result.error}` : failureKey;
+                toast(t(errorKey) || t(failureKey), { type: 'error' });
+            }
+        });
+    } finally {
+        await prepared.discard();
+    }
+
+    if (restored) {
+        backupManager.triggerReload();
+    }
+}
+
+function _formatRestoreSide(category, side, formatFileSize) {
+    const data = side?.[category] || {};
+    switch (category) {
+        case 'quicklinks':
+            return t('backupPreviewQuicklinks', { links: data.links || 0, folders: data.folders || 0 });
+        case 'settings':
+            return t('backupPreviewSettings', { count: data.keys || 0 });
+        case 'favorites':
+            return t('backupPreviewFavorites', { count: data.items || 0, cached: data.cached || 0 });
+        default:
+            return t('backupPreviewFiles', { count: data.entries || 0, size: formatFileSize(data.totalSize || 0) });
+    }
+}
+
+function _formatRestoreHint(category, preview) {
+    if (category === 'quicklinks') {
+        const { workspaces } = preview.backup.quicklinks;
+        const hint = t('backupPreviewNewLinks', { count: preview.diff.quicklinks.newByUrl });
+        return workspaces > 1 ? `${hint} · ${t('backupPreviewWorkspaces', { count: workspaces })}` : hint;
+    }
+    if (category === 'settings') {
+        const { added, changed, removed } = preview.diff.settings;
+        return t('backupPreviewSettingsDiff', { count: added + changed + removed });
+    }
+    return '';
+}
+
+/**
+ * Show what the archive contains next to current data and let the user pick a mode per category.
+ * @param {Object} preview - BackupManager.prepareRestore() preview
+ * @returns {Promise<Object|null>} `{ [category]: 'replace'|'merge'|'skip' }`, or null when cancelled
+ */
+async function _promptRestoreSelection(preview) {
+    const { formatFileSize, formatDateTime } = await import('../../shared/webdav-client.js');
+    const { RESTORE_CATEGORIES, RESTORE_MODES } = await import('../../platform/backup-restore-plan.js');
+
+    const rows = RESTORE_CATEGORIES.map((category) => {
+        const hint = _formatRestoreHint(category, preview);
+        const options = RESTORE_MODES.map((mode) =>
+            `<option value="${mode}">${escapeHtml(t(RESTORE_MODE_LABELS[mode]))}</option>`
+        ).join('');
+        return `
+            <tr>
+                <th scope="row">
+                    <span>${escapeHtml(t(RESTORE_CATEGORY_LABELS[category]))}</span>
+                    ${hint ? `<span class="backup-restore-hint">${escapeHtml(hint)}</span>` : ''}
+                </th>
+                <td>${escapeHtml(_formatRestoreSide(category, preview.backup, formatFileSize))}</td>
+                <td>${escapeHtml(_formatRestoreSide(category, preview.current, formatFileSize))}</td>
+                <td>
+                    <div class="mac-select">
+                        <select class="mac-select-input" name="${category}" aria-label="${escapeHtml(t(RESTORE_CATEGORY_LABELS[category]))}">${options}</select>
+                        <span class="mac-select-arrow">
+                            <svg viewBox="0 0 12 12"><path d="M3 5l3 3 3-3" stroke="currentColor" fill="none" stroke-width="1.5"/></svg>
+                        </span>
+                    </div>
+                </td>
+            </tr>
+        `;
+    }).join('');
+
+    let source = preview.exportedAt
+        ? t('backupPreviewSource', { time: formatDateTime(preview.exportedAt), version: preview.extensionVersion || '?' })
+        : '';
+    if (preview.archives > 1) {
+        source = [source, t('backupPreviewChain', { count: preview.archives })].filter(Boolean).join(' · ');
+    }
+
+    return new Promise((resolve) => {
+        const { overlay, form, close } = _openBackupDialog(`
+            <h3 class="backup-dialog-title" id="backupDialogTitle">${escapeHtml(t('backupPreviewTitle') || 'Restore backup')}</h3>
+            <p class="backup-dialog-desc">${escapeHtml(source)}</p>
+            <table class="backup-restore-table">
+                <thead>
+                    <tr>
+                        <th scope="col"></th>
+                        <th scope="col">${escapeHtml(t('backupPreviewColumnBackup'))}</th>
+                        <th scope="col">${escapeHtml(t('backupPreviewColumnCurrent'))}</th>
+                        <th scope="col">${escapeHtml(t('backupPreviewColumnAction'))}</th>
+                    </tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+            <p class="backup-dialog-desc">${escapeHtml(t('backupPreviewMergeHint'))}</p>
+            <div class="backup-dialog-error" role="alert"></div>
+            <div class="backup-dialog-actions">
+                <button type="button" class="mac-button" data-action="cancel">${escapeHtml(t('cancel') || 'Cancel')}</button>
+                <button type="submit" class="mac-button mac-button--primary">${escapeHtml(t('webdavRestore') || 'Restore')}</button>
+            </div>
+        `, resolve);
+        overlay.querySelector('.backup-dialog').classList.add('backup-restore-dialog');
+
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            const selection = Object.fromEntries(
+                RESTORE_CATEGORIES.map((category) => [category, form.elements[category].value])
+            );
+            if (Object.values(selection).every((mode) => mode === 'skip')) {
+                form.querySelector('.backup-dialog-error').textContent = t('backupPreviewNothingSelected');
+                return;
+            }
+            close(selection);
+        });
+        form.querySelector('select')?.focus();
+    });
+}
+
 function _setVersionButtonsDisabled(container, disabled) {
-    const buttons = container.querySelectorAll('.webdav-restore-btn, .webdav-delete-btn');
+    const buttons = container.querySelectorAll('.webdav-restore-btn, .webdav-delete-btn, .webdav-compact-btn');
     for (const btn of buttons) {
         btn.disabled = disabled;
     }
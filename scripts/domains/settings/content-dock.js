@@ -8,6 +8,8 @@ import {
     QUICKLINKS_SYNC_KEYS
 } from '../quicklinks/store.js';
 import { createSettingsBuilder } from './builder.js';
+import { mountWorkspacesSection } from './content-workspaces.js';
+import { mountTagsSection } from './content-tags.js';
 
 const DOCK_COUNT_MIN = QUICKLINKS_BOUNDS.dockCount.min;
 const DOCK_COUNT_MAX = QUICKLINKS_BOUNDS.dockCount.max;
@@ -62,6 +64,9 @@ export function registerDockContent(window) {
             sections: createSections()
         });
         void builder.init();
+
+        mountWorkspacesSection(container);
+        mountTagsSection(container);
     });
 }
 
@@ -86,6 +91,13 @@ function createSections() {
             createStepperRow(STEPPER_CONFIGS[0]),
             createToggleRow('macQuicklinksShowBackdrop', 'settingsQuicklinksShowBackdrop', KEYS.showBackdrop)
         ]),
+        section('settingsQuicklinksUsageSection', [
+            {
+                ...createToggleRow('macQuicklinksDockAutoFill', 'settingsQuicklinksDockAutoFill', KEYS.dockAutoFill),
+                descKey: 'settingsQuicklinksDockAutoFillDesc'
+            },
+            createUsageClearRow()
+        ]),
         section('settingsQuicklinksMagnify', [
             {
                 type: 'slider',
@@ -140,6 +152,34 @@ function createIconCacheTTLRow() {
     };
 }
 
+function createUsageClearRow() {
+    return {
+        type: 'custom',
+        labelKey: 'settingsQuicklinksUsageClear',
+        descKey: 'settingsQuicklinksUsageClearDesc',
+        controlHtml: `<button class="mac-button" id="macClearQuicklinksUsage">${t('settingsQuicklinksUsageClearBtn') || ''}</button>`,
+        bind: ({ builder }) => {
+            const clearButton = builder.getById('macClearQuicklinksUsage');
+            if (!clearButton) return;
+            clearButton.addEventListener('click', () => {
+                void clearQuicklinksUsage();
+            });
+        }
+    };
+}
+
+async function clearQuicklinksUsage() {
+    const { toast } = await import('../../shared/toast.js');
+    try {
+        const { store: quicklinksStore } = await import('../quicklinks/store.js');
+        await quicklinksStore.clearUsage();
+        toast(t('settingsQuicklinksUsageCleared'));
+    } catch (error) {
+        console.error('[MacSettings] Failed to clear quicklinks usage:', error);
+        toast(t('settingsQuicklinksUsageClearFailed'), { type: 'error' });
+    }
+}
+
 function createIconCacheStatsRow() {
     const controlLabel = t('iconCacheClearBtn') || '';
     return {
@@ -0,0 +1,329 @@
+/**
+ * Custom search engines section for the General settings panel.
+ *
+ * Features:
+ * - List user-defined engines (label, %s template, optional icon)
+ * - Add / edit via inline form, reorder with up/down, delete
+ * - Keyword bindings (`!g foo`) for built-in and custom engines
+ * - Persists to sync storage through search-engines.js
+ */
+
+import { t } from '../../platform/i18n.js';
+import { toast } from '../../shared/toast.js';
+import { escapeHtml } from '../../shared/text.js';
+import {
+    BUILTIN_SEARCH_ENGINES,
+    CUSTOM_ENGINE_LIMITS,
+    DEFAULT_ENGINE_KEYWORDS,
+    buildEngineMap,
+    createCustomEngineId,
+    getCustomEngines,
+    getEffectiveKeywords,
+    getEngineKeywordOverrides,
+    normalizeKeyword,
+    saveCustomEngines,
+    saveEngineKeywordOverrides,
+    validateEngineTemplate
+} from '../search-engines.js';
+
+/**
+ * Mount the custom search engines and keyword sections into a settings container.
+ * @param {HTMLElement} container
+ */
+export function mountSearchEnginesSection(container) {
+    const section = document.createElement('div');
+    section.className = 'mac-settings-section';
+    section.innerHTML = _buildSectionHtml();
+    container.appendChild(section);
+
+    const keywordSection = document.createElement('div');
+    keywordSection.className = 'mac-settings-section';
+    keywordSection.innerHTML = _buildKeywordSectionHtml();
+    container.appendChild(keywordSection);
+
+    const state = { engines: [], editingId: null, keywordOverrides: {}, keywordSection };
+    _bindEvents(section, state);
+    _bindKeywordEvents(keywordSection, state);
+    void _reload(section, state);
+}
+
+// ========== HTML ==========
+
+function _buildSectionHtml() {
+    return `
+        <h3 class="mac-settings-section-title" data-i18n="searchEnginesCustomTitle">${t('searchEnginesCustomTitle') || 'Custom Search Engines'}</h3>
+        <div class="mac-settings-section-content">
+            <div class="search-engines-list" id="searchEnginesList"></div>
+            <div class="mac-settings-row search-engines-form" style="flex-direction: column; align-items: stretch; gap: 8px;">
+                <div class="search-engines-form-fields">
+                    <input type="text" class="mac-input" id="searchEngineLabelInput"
+                           maxlength="${CUSTOM_ENGINE_LIMITS.maxLabelLength}"
+                           placeholder="${escapeHtml(t('searchEngineLabelPlaceholder') || 'Name')}">
+                    <input type="url" class="mac-input" id="searchEngineTemplateInput"
+                           maxlength="${CUSTOM_ENGINE_LIMITS.maxTemplateLength}"
+                           placeholder="https://example.com/search?q=%s">
+                    <input type="url" class="mac-input" id="searchEngineIconInput"
+                           maxlength="${CUSTOM_ENGINE_LIMITS.maxIconLength}"
+                           placeholder="${escapeHtml(t('searchEngineIconPlaceholder') || 'Icon URL (optional)')}">
+                </div>
+                <div class="search-engines-form-actions">
+                    <span class="mac-settings-row-desc" data-i18n="searchEngineTemplateHint">${t('searchEngineTemplateHint') || 'Use %s where the search terms should go.'}</span>
+                    <button class="mac-button" id="searchEngineCancelBtn" type="button" style="display: none;">${t('searchEngineCancel') || 'Cancel'}</button>
+                    <button class="mac-button mac-button--primary" id="searchEngineSubmitBtn" type="button">${t('searchEngineAdd') || 'Add'}</button>
+                </div>
+            </div>
+        </div>
+    `;
+}
+
+function _buildKeywordSectionHtml() {
+    return `
+        <h3 class="mac-settings-section-title" data-i18n="searchKeywordsTitle">${t('searchKeywordsTitle') || 'Search Keywords'}</h3>
+        <div class="mac-settings-section-content">
+            <div class="mac-settings-row">
+                <span class="mac-settings-row-desc" data-i18n="searchKeywordsDesc">${t('searchKeywordsDesc') || 'Type a keyword before your query (e.g. !g cats or g cats) to search with that engine once.'}</span>
+            </div>
+            <div class="search-engines-list" id="searchKeywordsList"></div>
+        </div>
+    `;
+}
+
+function _renderKeywords(state) {
+    const list = state.keywordSection?.querySelector('#searchKeywordsList');
+    if (!list) return;
+
+    const engineMap = buildEngineMap(state.engines);
+    const keywords = getEffectiveKeywords(engineMap, state.keywordOverrides);
+
+    list.innerHTML = Object.entries(keywords).map(([id, keyword]) => `
+        <div class="search-engine-item search-keyword-item">
+            <div class="search-engine-item-info">
+                <span class="search-engine-item-name">${escapeHtml(engineMap[id].label)}</span>
+            </div>
+            <span class="search-keyword-bang" aria-hidden="true">!</span>
+            <input type="text" class="mac-input search-keyword-input" data-id="${escapeHtml(id)}"
+                   value="${escapeHtml(keyword)}" maxlength="16" spellcheck="false"
+                   placeholder="${escapeHtml(t('searchKeywordNone') || 'None')}"
+                   aria-label="${escapeHtml(engineMap[id].label)}">
+        </div>
+    `).join('');
+}
+
+function _renderList(section, state) {
+    const list = section.querySelector('#searchEnginesList');
+    if (!list) return;
+
+    if (state.engines.length === 0) {
+        list.innerHTML = `<div class="search-engines-empty">${t('searchEnginesEmpty') || 'No custom search engines'}</div>`;
+        return;
+    }
+
+    const last = state.engines.length - 1;
+    list.innerHTML = state.engines.map((engine, index) => `
+        <div class="search-engine-item${engine.id === state.editingId ? ' editing' : ''}" data-id="${escapeHtml(engine.id)}">
+            <div class="search-engine-item-icon">
+                ${engine.icon ? `<img src="${escapeHtml(engine.icon)}" alt="" width="16" height="16">` : escapeHtml(engine.label.charAt(0).toUpperCase())}
+            </div>
+            <div class="search-engine-item-info">
+                <span class="search-engine-item-name">${escapeHtml(engine.label)}</span>
+                <span class="search-engine-item-template">${escapeHtml(engine.template)}</span>
+            </div>
+            <div class="search-engine-item-actions">
+                <button class="mac-button mac-button--small" type="button" data-action="up" ${index === 0 ? 'disabled' : ''} title="${escapeHtml(t('searchEngineMoveUp') || 'Move up')}">↑</button>
+                <button class="mac-button mac-button--small" type="button" data-action="down" ${index === last ? 'disabled' : ''} title="${escapeHtml(t('searchEngineMoveDown') || 'Move down')}">↓</button>
+                <button class="mac-button mac-button--small" type="button" data-action="edit">${t('searchEngineEdit') || 'Edit'}</button>
+                <button class="mac-button mac-button--small mac-button--danger" type="button" data-action="delete">${t('searchEngineDelete') || 'Delete'}</button>
+            </div>
+        </div>
+    `).join('');
+}
+
+// ========== Events ==========
+
+function _bindEvents(section, state) {
+    const list = section.querySelector('#searchEnginesList');
+    const submitBtn = section.querySelector('#searchEngineSubmitBtn');
+    const cancelBtn = section.querySelector('#searchEngineCancelBtn');
+
+    list?.addEventListener('click', (e) => {
+        const btn = e.target.closest('button[data-action]');
+        const item = btn?.closest('.search-engine-item');
+        if (!btn || !item) return;
+        void _handleAction(section, state, btn.dataset.action, item.dataset.id);
+    });
+
+    submitBtn?.addEventListener('click', () => _handleSubmit(section, state));
+    cancelBtn?.addEventListener('click', () => _resetForm(section, state));
+
+    section.querySelector('.search-engines-form-fields')?.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') {
+            e.preventDefault();
+            void _handleSubmit(section, state);
+        }
+    });
+}
+
+async function _handleAction(section, state, action, id) {
+    const index = state.engines.findIndex((engine) => engine.id === id);
+    if (index === -1) return;
+
+    if (action === 'edit') {
+        _fillForm(section, state, state.engines[index]);
+        return;
+    }
+
+    const next = state.engines.slice();
+    if (action === 'up' && index > 0) {
+        [next[index - 1], next[index]] = [next[index], next[index - 1]];
+    } else if (action === 'down' && index < next.length - 1) {
+        [next[index + 1], next[index]] = [next[index], next[index + 1]];
+    } else if (action === 'delete') {
+        const confirmed = globalThis.confirm(t('deleteConfirm', { name: state.engines[index].label }));
+        if (!confirmed) return;
+        next.splice(index, 1);
+        if (state.editingId === id) _resetForm(section, state);
+    } else {
+        return;
+    }
+
+    await _persist(section, state, next);
+}
+
+async function _handleSubmit(section, state) {
+    const label = section.querySelector('#searchEngineLabelInput')?.value?.trim() || '';
+    const template = section.querySelector('#searchEngineTemplateInput')?.value?.trim() || '';
+    const icon = section.querySelector('#searchEngineIconInput')?.value?.trim() || '';
+
+    if (!label) {
+        toast(t('searchEngineNameRequired') || 'Please enter a name', { type: 'error' });
+        return;
+    }
+
+    const validation = validateEngineTemplate(template);
+    if (!validation.valid) {
+        toast(t(validation.error) || 'Invalid URL template', { type: 'error' });
+        return;
+    }
+
+    if (icon && !icon.startsWith('https://') && !icon.startsWith('data:image/')) {
+        toast(t('searchEngineInvalidIcon') || 'Icon must be an https:// URL', { type: 'error' });
+        return;
+    }
+
+    let next;
+    if (state.editingId) {
+        next = state.engines.map((engine) => engine.id === state.editingId
+            ? { ...engine, label, template, icon }
+            : engine);
+    } else {
+        if (state.engines.length >= CUSTOM_ENGINE_LIMITS.maxEngines) {
+            toast(t('searchEngineLimitReached', { max: CUSTOM_ENGINE_LIMITS.maxEngines }) || 'Too many custom engines', { type: 'error' });
+            return;
+        }
+        next = [...state.engines, { id: createCustomEngineId(), label, template, icon }];
+    }
+
+    if (await _persist(section, state, next)) {
+        _resetForm(section, state);
+    }
+}
+
+async function _persist(section, state, next) {
+    try {
+        state.engines = await saveCustomEngines(next);
+        _renderList(section, state);
+        _renderKeywords(state);
+        return true;
+    } catch (error) {
+        console.error('[content-search] Failed to save custom engines:', error);
+        toast(t('searchEngineSaveFailed') || 'Failed to save search engines', { type: 'error' });
+        return false;
+    }
+}
+
+// ========== Form ==========
+
+function _fillForm(section, state, engine) {
+    state.editingId = engine.id;
+    section.querySelector('#searchEngineLabelInput').value = engine.label;
+    section.querySelector('#searchEngineTemplateInput').value = engine.template;
+    section.querySelector('#searchEngineIconInput').value = engine.icon || '';
+    section.querySelector('#searchEngineSubmitBtn').textContent = t('searchEngineSave') || 'Save';
+    section.querySelector('#searchEngineCancelBtn').style.display = '';
+    section.querySelector('#searchEngineLabelInput').focus();
+    _renderList(section, state);
+}
+
+function _resetForm(section, state) {
+    state.editingId = null;
+    for (const input of section.querySelectorAll('.search-engines-form-fields input')) {
+        input.value = '';
+    }
+    section.querySelector('#searchEngineSubmitBtn').textContent = t('searchEngineAdd') || 'Add';
+    section.querySelector('#searchEngineCancelBtn').style.display = 'none';
+    _renderList(section, state);
+}
+
+async function _reload(section, state) {
+    try {
+        [state.engines, state.keywordOverrides] = await Promise.all([
+            getCustomEngines(),
+            getEngineKeywordOverrides()
+        ]);
+    } catch (error) {
+        console.error('[content-search] Failed to load custom engines:', error);
+        state.engines = [];
+        state.keywordOverrides = {};
+    }
+    _renderList(section, state);
+    _renderKeywords(state);
+}
+
+// ========== Keywords ==========
+
+function _bindKeywordEvents(keywordSection, state) {
+    keywordSection.addEventListener('change', (e) => {
+        const input = e.target.closest('.search-keyword-input');
+        if (!input) return;
+        void _handleKeywordChange(state, input);
+    });
+}
+
+async function _handleKeywordChange(state, input) {
+    const id = input.dataset.id;
+    const raw = input.value.trim();
+    const keyword = normalizeKeyword(raw);
+
+    if (raw && !keyword) {
+        toast(t('searchKeywordInvalid') || 'Keywords may only contain letters, digits, ".", "-" or "_"', { type: 'error' });
+        _renderKeywords(state);
+        return;
+    }
+
+    const engineMap = buildEngineMap(state.engines);
+    const current = getEffectiveKeywords(engineMap, state.keywordOverrides);
+    const conflictId = keyword
+        ? Object.keys(current).find((otherId) => otherId !== id && current[otherId] === keyword)
+        : null;
+    if (conflictId) {
+        toast(t('searchKeywordConflict', { name: engineMap[conflictId].label }) || 'Keyword already in use', { type: 'error' });
+        _renderKeywords(state);
+        return;
+    }
+
+    // Only keep overrides for engines that still exist and differ from the built-in default
+    const next = {};
+    for (const [otherId, value] of Object.entries({ ...state.keywordOverrides, [id]: keyword })) {
+        if (!engineMap[otherId] || otherId === 'default') continue;
+        if (BUILTIN_SEARCH_ENGINES[otherId] && value === DEFAULT_ENGINE_KEYWORDS[otherId]) continue;
+        next[otherId] = value;
+    }
+
+    try {
+        state.keywordOverrides = await saveEngineKeywordOverrides(next);
+    } catch (error) {
+        console.error('[content-search] Failed to save keywords:', error);
+        toast(t('searchEngineSaveFailed') || 'Failed to save search engines', { type: 'error' });
+    }
+    _renderKeywords(state);
+}
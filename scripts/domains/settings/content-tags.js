@@ -0,0 +1,342 @@
+/**
+ * Tags section for the Dock & Launchpad settings panel.
+ *
+ * Features:
+ * - List library tags with link counts, colour and emoji
+ * - Add, rename (inline; renaming onto an existing tag merges), merge into another tag,
+ *   delete with optional reassignment
+ * - Stays in sync with store 'tagsChanged' / 'tagStylesChanged' events
+ */
+
+import { t } from '../../platform/i18n.js';
+import { toast } from '../../shared/toast.js';
+import { escapeHtml } from '../../shared/text.js';
+import { store } from '../quicklinks/store.js';
+
+const REFRESH_EVENTS = new Set(['tagsChanged', 'tagStylesChanged', 'reordered', 'itemUpdated', 'itemsBulkDeleted']);
+
+const SELECT_ARROW = `
+    <span class="mac-select-arrow">
+        <svg viewBox="0 0 12 12"><path d="M3 5l3 3 3-3" stroke="currentColor" fill="none" stroke-width="1.5"/></svg>
+    </span>
+`;
+
+/**
+ * Mount the tags section into a settings container.
+ * @param {HTMLElement} container
+ */
+export function mountTagsSection(container) {
+    const section = document.createElement('div');
+    section.className = 'mac-settings-section';
+    section.innerHTML = _buildSectionHtml();
+    container.appendChild(section);
+
+    const state = { renamingTag: null, busy: false };
+    _bindEvents(section, state);
+    _renderList(section, state);
+
+    const unsubscribe = store.subscribe((event) => {
+        if (!REFRESH_EVENTS.has(event)) return;
+        if (!section.isConnected) {
+            unsubscribe();
+            return;
+        }
+        // Keep an open inline rename alive
+        if (state.renamingTag) return;
+        _renderList(section, state);
+    });
+}
+
+// ========== HTML ==========
+
+function _buildSectionHtml() {
+    return `
+        <h3 class="mac-settings-section-title" data-i18n="settingsTagsSection">${t('settingsTagsSection') || 'Tags'}</h3>
+        <div class="mac-settings-section-content">
+            <div class="mac-settings-row">
+                <span class="mac-settings-row-desc" data-i18n="settingsTagsDesc">${t('settingsTagsDesc') || 'Rename, merge or delete tags across all links, and give them a colour or emoji.'}</span>
+            </div>
+            <div class="search-engines-list tags-list" id="tagsList"></div>
+            <div class="mac-settings-row tags-form">
+                <input type="text" class="mac-input" id="tagNameInput"
+                       maxlength="${store.CONFIG.MAX_TAG_LENGTH}"
+                       placeholder="${escapeHtml(t('tagNamePlaceholder') || 'Tag name')}">
+                <button class="mac-button mac-button--primary" id="tagAddBtn" type="button">${t('tagAdd') || 'Add'}</button>
+            </div>
+        </div>
+    `;
+}
+
+function _colorOptions(selected) {
+    const none = `<option value=""${selected ? '' : ' selected'}>${escapeHtml(t('tagColorNone') || 'No colour')}</option>`;
+    return none + store.CONFIG.TAG_COLORS.map((color) => {
+        const label = t(`tagColor_${color}`) || color;
+        return `<option value="${color}"${color === selected ? ' selected' : ''}>${escapeHtml(label)}</option>`;
+    }).join('');
+}
+
+function _renderList(section, state) {
+    const list = section.querySelector('#tagsList');
+    if (!list) return;
+
+    const tags = store.getTags();
+    const counts = store.getTagUsageCounts();
+    if (tags.length === 0) {
+        list.innerHTML = `<div class="tags-empty">${escapeHtml(t('tagsEmpty') || 'No tags yet')}</div>`;
+    } else {
+        list.innerHTML = tags.map((tag) => {
+            const name = escapeHtml(tag);
+            const style = store.getTagStyle(tag) || { color: '', emoji: '' };
+            const count = counts.get(tag.toLowerCase()) || 0;
+            const info = tag === state.renamingTag
+                ? `<input type="text" class="mac-input tag-rename-input" data-tag="${name}" value="${name}"
+                          maxlength="${store.CONFIG.MAX_TAG_LENGTH}" aria-label="${escapeHtml(t('tagRename') || 'Rename')}">`
+                : `<span class="tag-chip"${style.color ? ` data-color="${style.color}"` : ''}${style.emoji ? ` data-emoji="${escapeHtml(style.emoji)}"` : ''}>${name}</span>
+                   <span class="search-engine-item-template">${escapeHtml(t('tagLinkCount', { count }) || `${count} links`)}</span>`;
+            return `
+                <div class="search-engine-item tag-item" data-tag="${name}">
+                    <div class="search-engine-item-info">${info}</div>
+                    <div class="search-engine-item-actions">
+                        <input type="text" class="mac-input tag-emoji-input" value="${escapeHtml(style.emoji)}"
+                               placeholder="${escapeHtml(t('tagEmojiPlaceholder') || 'Emoji')}"
+                               aria-label="${escapeHtml(t('tagEmoji') || 'Emoji')}">
+                        <div class="mac-select tag-color-select">
+                            <select class="mac-select-input" aria-label="${escapeHtml(t('tagColor') || 'Colour')}">${_colorOptions(style.color)}</select>
+                            ${SELECT_ARROW}
+                        </div>
+                        <button class="mac-button mac-button--small" type="button" data-action="rename">${t('tagRename') || 'Rename'}</button>
+                        <button class="mac-button mac-button--small" type="button" data-action="merge" ${tags.length < 2 ? 'disabled' : ''}>${t('tagMerge') || 'Merge…'}</button>
+                        <button class="mac-button mac-button--small mac-button--danger" type="button" data-action="delete">${t('tagDelete') || 'Delete…'}</button>
+                    </div>
+                </div>
+            `;
+        }).join('');
+    }
+
+    const addBtn = section.querySelector('#tagAddBtn');
+    if (addBtn) addBtn.disabled = tags.length >= store.CONFIG.MAX_TOTAL_TAGS;
+
+    const renameInput = list.querySelector('.tag-rename-input');
+    if (renameInput) {
+        renameInput.focus();
+        renameInput.select();
+    }
+}
+
+// ========== Events ==========
+
+function _bindEvents(section, state) {
+    const list = section.querySelector('#tagsList');
+    const input = section.querySelector('#tagNameInput');
+
+    list?.addEventListener('click', (e) => {
+        const btn = e.target.closest('button[data-action]');
+        const item = btn?.closest('.tag-item');
+        if (!btn || !item) return;
+        void _handleAction(section, state, btn.dataset.action, item.dataset.tag);
+    });
+
+    list?.addEventListener('change', (e) => {
+        const item = e.target.closest('.tag-item');
+        if (!item) return;
+        if (e.target.matches('.tag-color-select select, .tag-emoji-input')) {
+            void _saveStyle(item);
+        }
+    });
+
+    list?.addEventListener('keydown', (e) => {
+        const renameInput = e.target.closest('.tag-rename-input');
+        if (renameInput) {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                void _commitRename(section, state, renameInput);
+            } else if (e.key === 'Escape') {
+                e.preventDefault();
+                e.stopPropagation();
+                state.renamingTag = null;
+                _renderList(section, state);
+            }
+            return;
+        }
+        if (e.key === 'Enter' && e.target.closest('.tag-emoji-input')) {
+            e.preventDefault();
+            e.target.blur();
+        }
+    });
+
+    list?.addEventListener('focusout', (e) => {
+        const renameInput = e.target.closest('.tag-rename-input');
+        if (renameInput) void _commitRename(section, state, renameInput);
+    });
+
+    section.querySelector('#tagAddBtn')?.addEventListener('click', () => _handleAdd(section, state));
+    input?.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') {
+            e.preventDefault();
+            void _handleAdd(section, state);
+        }
+    });
+}
+
+async function _saveStyle(item) {
+    const tag = item.dataset.tag;
+    const color = item.querySelector('.tag-color-select select')?.value || '';
+    const emoji = item.querySelector('.tag-emoji-input')?.value || '';
+    try {
+        await store.setTagStyle(tag, { color, emoji });
+    } catch (error) {
+        console.error('[content-tags] Failed to save tag style:', error);
+        toast(t('tagSaveFailed') || 'Failed to save tags', { type: 'error' });
+    }
+}
+
+async function _handleAction(section, state, action, tag) {
+    if (!tag || state.busy) return;
+
+    if (action === 'rename') {
+        state.renamingTag = tag;
+        _renderList(section, state);
+        return;
+    }
+
+    const others = store.getTags().filter((other) => other !== tag);
+    const choice = action === 'merge'
+        ? await _promptTagTarget({
+            title: t('tagMergeTitle', { tag }) || `Merge "${tag}" into…`,
+            desc: t('tagMergeDesc') || 'Links tagged with it get the chosen tag instead.',
+            options: others,
+            confirmLabel: t('tagMergeConfirm') || 'Merge'
+        })
+        : await _promptTagTarget({
+            title: t('tagDeleteTitle', { tag }) || `Delete "${tag}"?`,
+            desc: t('tagDeleteDesc', { count: store.getTagUsageCounts().get(tag.toLowerCase()) || 0 }) || '',
+            options: others,
+            noneLabel: t('tagReassignNone') || 'Just remove it',
+            confirmLabel: t('tagDeleteConfirm') || 'Delete',
+            danger: true
+        });
+    if (!choice) return;
+
+    state.busy = true;
+    try {
+        const result = action === 'merge'
+            ? await store.mergeTags([tag], choice.target)
+            : await store.deleteTag(tag, { reassignTo: choice.target || null });
+        if (result?.ok) {
+            toast(action === 'merge'
+                ? t('tagMerged', { tag, target: choice.target, count: result.changed })
+                : t('tagDeleted', { tag, count: result.changed }), { type: 'success' });
+        } else {
+            toast(t('tagSaveFailed') || 'Failed to save tags', { type: 'error' });
+        }
+    } catch (error) {
+        console.error('[content-tags] Tag action failed:', error);
+        toast(t('tagSaveFailed') || 'Failed to save tags', { type: 'error' });
+    } finally {
+        state.busy = false;
+        _renderList(section, state);
+    }
+}
+
+async function _handleAdd(section, state) {
+    const input = section.querySelector('#tagNameInput');
+    const name = input?.value?.trim() || '';
+    if (!name || state.busy) return;
+
+    state.busy = true;
+    try {
+        const ok = await store.addTag(name);
+        if (ok) {
+            if (input) input.value = '';
+        } else {
+            toast(t('tagLimitReached', { max: store.CONFIG.MAX_TOTAL_TAGS }) || 'Too many tags', { type: 'error' });
+        }
+    } catch (error) {
+        console.error('[content-tags] Failed to add tag:', error);
+        toast(t('tagSaveFailed') || 'Failed to save tags', { type: 'error' });
+    } finally {
+        state.busy = false;
+        _renderList(section, state);
+    }
+}
+
+async function _commitRename(section, state, input) {
+    const tag = input.dataset.tag;
+    if (state.renamingTag !== tag) return;
+    state.renamingTag = null;
+
+    const name = input.value.trim();
+    if (name && name !== tag) {
+        const merging = store.getTags().some((other) => other !== tag && other.toLowerCase() === name.toLowerCase());
+        try {
+            const result = await store.renameTag(tag, name);
+            if (!result?.ok) {
+                toast(t('tagSaveFailed') || 'Failed to save tags', { type: 'error' });
+            } else if (merging) {
+                toast(t('tagMerged', { tag, target: name, count: result.changed }), { type: 'success' });
+            }
+        } catch (error) {
+            console.error('[content-tags] Failed to rename tag:', error);
+            toast(t('tagSaveFailed') || 'Failed to save tags', { type: 'error' });
+        }
+    }
+    _renderList(section, state);
+}
+
+/**
+ * Pick another tag for a merge or a delete.
+ * @param {{ title: string, desc: string, options: string[], noneLabel?: string, confirmLabel: string, danger?: boolean }} config -
+ *   `noneLabel` adds an empty choice
+ * @returns {Promise<{ target: string }|null>} null when cancelled
+ */
+function _promptTagTarget({ title, desc, options, noneLabel = '', confirmLabel, danger = false }) {
+    const choices = [
+        ...(noneLabel ? [`<option value="">${escapeHtml(noneLabel)}</option>`] : []),
+        ...options.map((tag) => `<option value="${escapeHtml(tag)}">${escapeHtml(tag)}</option>`)
+    ].join('');
+
+    const overlay = document.createElement('div');
+    overlay.className = 'backup-dialog-overlay';
+    overlay.innerHTML = `
+        <form class="backup-dialog" role="dialog" aria-modal="true" aria-labelledby="tagDialogTitle">
+            <h3 class="backup-dialog-title" id="tagDialogTitle">${escapeHtml(title)}</h3>
+            ${desc ? `<p class="backup-dialog-desc">${escapeHtml(desc)}</p>` : ''}
+            <label class="bookmark-sync-field">
+                <span>${escapeHtml(noneLabel ? (t('tagReassignTo') || 'Move links to') : (t('tagMergeInto') || 'Merge into'))}</span>
+                <div class="mac-select">
+                    <select class="mac-select-input" name="target" ${options.length === 0 && !noneLabel ? 'disabled' : ''}>${choices}</select>
+                    ${SELECT_ARROW}
+                </div>
+            </label>
+            <div class="backup-dialog-actions">
+                <button type="button" class="mac-button" data-action="cancel">${escapeHtml(t('cancel') || 'Cancel')}</button>
+                <button type="submit" class="mac-button ${danger ? 'mac-button--danger' : 'mac-button--primary'}">${escapeHtml(confirmLabel)}</button>
+            </div>
+        </form>
+    `;
+    const form = overlay.querySelector('form');
+
+    return new Promise((resolve) => {
+        const close = (value) => {
+            overlay.remove();
+            resolve(value);
+        };
+        overlay.querySelector('[data-action="cancel"]').addEventListener('click', () => close(null));
+        overlay.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+                e.preventDefault();
+                e.stopPropagation();
+                close(null);
+            }
+        });
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            const target = form.elements.target.value;
+            if (!target && !noneLabel) return;
+            close({ target });
+        });
+
+        document.body.appendChild(overlay);
+        form.elements.target.focus();
+    });
+}
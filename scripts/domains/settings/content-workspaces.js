@@ -0,0 +1,236 @@
+/**
+ * Workspaces section for the Dock & Launchpad settings panel.
+ *
+ * Features:
+ * - List workspaces with the active one marked
+ * - Add, rename (inline), switch, export as JSON, delete
+ * - Stays in sync with store 'workspacesChanged' events (other tabs, switcher, shortcut)
+ */
+
+import { t } from '../../platform/i18n.js';
+import { toast } from '../../shared/toast.js';
+import { escapeHtml } from '../../shared/text.js';
+import { store } from '../quicklinks/store.js';
+import { linkExporter } from '../bookmarks/exporter.js';
+
+/**
+ * Mount the workspaces section into a settings container.
+ * @param {HTMLElement} container
+ */
+export function mountWorkspacesSection(container) {
+    const section = document.createElement('div');
+    section.className = 'mac-settings-section';
+    section.innerHTML = _buildSectionHtml();
+    container.appendChild(section);
+
+    const state = { renamingId: null, busy: false };
+    _bindEvents(section, state);
+    _renderList(section, state);
+
+    const unsubscribe = store.subscribe((event) => {
+        if (event !== 'workspacesChanged') return;
+        if (!section.isConnected) {
+            unsubscribe();
+            return;
+        }
+        _renderList(section, state);
+    });
+}
+
+// ========== HTML ==========
+
+function _buildSectionHtml() {
+    return `
+        <h3 class="mac-settings-section-title" data-i18n="settingsWorkspacesSection">${t('settingsWorkspacesSection') || 'Workspaces'}</h3>
+        <div class="mac-settings-section-content">
+            <div class="mac-settings-row">
+                <span class="mac-settings-row-desc" data-i18n="settingsWorkspacesDesc">${t('settingsWorkspacesDesc') || 'Each workspace keeps its own links, dock, tags and background.'}</span>
+            </div>
+            <div class="search-engines-list workspaces-list" id="workspacesList"></div>
+            <div class="mac-settings-row workspaces-form">
+                <input type="text" class="mac-input" id="workspaceNameInput"
+                       maxlength="${store.CONFIG.MAX_WORKSPACE_NAME_LENGTH}"
+                       placeholder="${escapeHtml(t('workspaceNamePlaceholder') || 'Workspace name')}">
+                <button class="mac-button mac-button--primary" id="workspaceAddBtn" type="button">${t('workspaceAdd') || 'Add'}</button>
+            </div>
+        </div>
+    `;
+}
+
+function _renderList(section, state) {
+    const list = section.querySelector('#workspacesList');
+    if (!list) return;
+
+    const workspaces = store.getWorkspaces();
+    list.innerHTML = workspaces.map((ws) => {
+        const id = escapeHtml(ws.id);
+        const name = escapeHtml(ws.name);
+        const info = ws.id === state.renamingId
+            ? `<input type="text" class="mac-input workspace-rename-input" data-id="${id}" value="${name}"
+                      maxlength="${store.CONFIG.MAX_WORKSPACE_NAME_LENGTH}" aria-label="${escapeHtml(t('workspaceRename') || 'Rename')}">`
+            : `<span class="search-engine-item-name">${name}</span>
+               ${ws.active ? `<span class="search-engine-item-template">${t('workspaceActive') || 'Active'}</span>` : ''}`;
+        return `
+            <div class="search-engine-item${ws.active ? ' editing' : ''}" data-id="${id}">
+                <div class="search-engine-item-info">${info}</div>
+                <div class="search-engine-item-actions">
+                    <button class="mac-button mac-button--small" type="button" data-action="switch" ${ws.active ? 'disabled' : ''}>${t('workspaceSwitch') || 'Switch'}</button>
+                    <button class="mac-button mac-button--small" type="button" data-action="rename">${t('workspaceRename') || 'Rename'}</button>
+                    <button class="mac-button mac-button--small" type="button" data-action="export">${t('workspaceExport') || 'Export'}</button>
+                    <button class="mac-button mac-button--small mac-button--danger" type="button" data-action="delete" ${ws.active ? 'disabled' : ''}>${t('workspaceDelete') || 'Delete'}</button>
+                </div>
+            </div>
+        `;
+    }).join('');
+
+    const addBtn = section.querySelector('#workspaceAddBtn');
+    if (addBtn) addBtn.disabled = workspaces.length >= store.CONFIG.MAX_WORKSPACES;
+
+    const renameInput = list.querySelector('.workspace-rename-input');
+    if (renameInput) {
+        renameInput.focus();
+        renameInput.select();
+    }
+}
+
+// ========== Events ==========
+
+function _bindEvents(section, state) {
+    const list = section.querySelector('#workspacesList');
+    const input = section.querySelector('#workspaceNameInput');
+
+    list?.addEventListener('click', (e) => {
+        const btn = e.target.closest('button[data-action]');
+        const item = btn?.closest('.search-engine-item');
+        if (!btn || !item) return;
+        void _handleAction(section, state, btn.dataset.action, item.dataset.id);
+    });
+
+    list?.addEventListener('keydown', (e) => {
+        const renameInput = e.target.closest('.workspace-rename-input');
+        if (!renameInput) return;
+        if (e.key === 'Enter') {
+            e.preventDefault();
+            void _commitRename(section, state, renameInput);
+        } else if (e.key === 'Escape') {
+            e.preventDefault();
+            e.stopPropagation();
+            state.renamingId = null;
+            _renderList(section, state);
+        }
+    });
+
+    list?.addEventListener('focusout', (e) => {
+        const renameInput = e.target.closest('.workspace-rename-input');
+        if (renameInput) void _commitRename(section, state, renameInput);
+    });
+
+    section.querySelector('#workspaceAddBtn')?.addEventListener('click', () => _handleAdd(section, state));
+    input?.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') {
+            e.preventDefault();
+            void _handleAdd(section, state);
+        }
+    });
+}
+
+async function _handleAction(section, state, action, id) {
+    const workspace = store.getWorkspaces().find((ws) => ws.id === id);
+    if (!workspace || state.busy) return;
+
+    if (action === 'rename') {
+        state.renamingId = id;
+        _renderList(section, state);
+        return;
+    }
+
+    if (action === 'export') {
+        await _exportWorkspace(workspace);
+        return;
+    }
+
+    state.busy = true;
+    try {
+        if (action === 'switch') {
+            const result = await store.switchWorkspace(id);
+            if (result?.ok) {
+                toast(t('workspaceSwitched', { name: workspace.name }));
+            } else if (result?.reason === 'quota') {
+                toast(t('workspaceSwitchQuota'), { type: 'error' });
+            } else {
+                toast(t('workspaceSwitchFailed') || 'Failed to switch workspace', { type: 'error' });
+            }
+        } else if (action === 'delete') {
+            const confirmed = globalThis.confirm(t('workspaceDeleteConfirm', { name: workspace.name }));
+            if (!confirmed) return;
+            const result = await store.deleteWorkspace(id);
+            if (!result?.ok) {
+                toast(t('workspaceSaveFailed') || 'Failed to save workspaces', { type: 'error' });
+            }
+        }
+    } catch (error) {
+        console.error('[content-workspaces] Workspace action failed:', error);
+        toast(t('workspaceSaveFailed') || 'Failed to save workspaces', { type: 'error' });
+    } finally {
+        state.busy = false;
+        _renderList(section, state);
+    }
+}
+
+async function _handleAdd(section, state) {
+    const input = section.querySelector('#workspaceNameInput');
+    if (state.busy) return;
+
+    state.busy = true;
+    try {
+        const result = await store.createWorkspace(input?.value?.trim() || '');
+        if (result?.ok) {
+            if (input) input.value = '';
+        } else if (result?.reason === 'limit') {
+            toast(t('workspaceLimitReached', { max: store.CONFIG.MAX_WORKSPACES }) || 'Too many workspaces', { type: 'error' });
+        }
+    } catch (error) {
+        console.error('[content-workspaces] Failed to create workspace:', error);
+        toast(t('workspaceSaveFailed') || 'Failed to save workspaces', { type: 'error' });
+    } finally {
+        state.busy = false;
+        _renderList(section, state);
+    }
+}
+
+async function _commitRename(section, state, input) {
+    const id = input.dataset.id;
+    if (state.renamingId !== id) return;
+    state.renamingId = null;
+
+    const name = input.value.trim();
+    const current = store.getWorkspaces().find((ws) => ws.id === id);
+    if (name && current && name !== current.name) {
+        try {
+            const result = await store.renameWorkspace(id, name);
+            if (!result?.ok) {
+                toast(t('workspaceSaveFailed') || 'Failed to save workspaces', { type: 'error' });
+            }
+        } catch (error) {
+            console.error('[content-workspaces] Failed to rename workspace:', error);
+            toast(t('workspaceSaveFailed') || 'Failed to save workspaces', { type: 'error' });
+        }
+    }
+    _renderList(section, state);
+}
+
+async function _exportWorkspace(workspace) {
+    try {
+        const snapshot = await store.getWorkspaceSnapshot(workspace.id);
+        if (!snapshot) return;
+        linkExporter.downloadFile(
+            linkExporter.exportWorkspaceAsJson(snapshot),
+            linkExporter.buildFilename('json', workspace.name),
+            'application/json'
+        );
+        toast(t('workspaceExported', { name: workspace.name }), { type: 'success' });
+    } catch (error) {
+        console.error('[content-workspaces] Failed to export workspace:', error);
+        toast(t('workspaceExportFailed') || 'Failed to export workspace', { type: 'error' });
+    }
+}
@@ -0,0 +1,363 @@
+/**
+ * Passphrase encryption for backup archives (WebCrypto, works in pages and the service worker).
+ *
+ * Container layout:
+ *   MAGIC (8 bytes) | header length (uint32 BE) | header JSON (UTF-8) | records...
+ *   record = flags (uint8, 1 = final) | ciphertext length (uint32 BE) | AES-GCM ciphertext + tag
+ *
+ * The ZIP is sealed in fixed-size plaintext chunks so neither side ever buffers the whole archive.
+ * Each chunk nonce is `noncePrefix | counter | final flag` and the header bytes are bound as
+ * additional data, so reordered, truncated or re-headered files fail authentication.
+ */
+
+const MAGIC = new TextEncoder().encode('AURA-ENC');
+const PREFIX_SIZE = MAGIC.length + 4;
+const RECORD_HEADER_SIZE = 5;
+const GCM_TAG_SIZE = 16;
+const MAX_HEADER_SIZE = 64 * 1024;
+const CHECK_PLAINTEXT = 'aura-tab-backup-passphrase-check';
+
+export const ENCRYPTION_VERSION = 1;
+
+export const ENCRYPTION_DEFAULTS = Object.freeze({
+    iterations: 600000,
+    chunkSize: 1024 * 1024
+});
+
+const ITERATION_BOUNDS = Object.freeze({ min: 1000, max: 10000000 });
+const CHUNK_SIZE_BOUNDS = Object.freeze({ min: 1024, max: 16 * 1024 * 1024 });
+
+// ========== Encoding Helpers ==========
+
+function toBase64(bytes) {
+    let binary = '';
+    for (const byte of bytes) binary += String.fromCharCode(byte);
+    return btoa(binary);
+}
+
+function fromBase64(text) {
+    const binary = atob(String(text || ''));
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+    return bytes;
+}
+
+function randomBytes(length) {
+    return crypto.getRandomValues(new Uint8Array(length));
+}
+
+function concatBytes(parts, totalLength) {
+    const out = new Uint8Array(totalLength);
+    let offset = 0;
+    for (const part of parts) {
+        out.set(part, offset);
+        offset += part.length;
+    }
+    return out;
+}
+
+/**
+ * FIFO of byte chunks that only copies when a read spans several chunks.
+ */
+class ByteQueue {
+    constructor() {
+        this._chunks = [];
+        this.length = 0;
+    }
+
+    push(chunk) {
+        if (!chunk?.length) return;
+        this._chunks.push(chunk);
+        this.length += chunk.length;
+    }
+
+    read(size) {
+        const parts = [];
+        let remaining = size;
+        while (remaining > 0) {
+            const head = this._chunks[0];
+            if (head.length <= remaining) {
+                parts.push(this._chunks.shift());
+                remaining -= head.length;
+            } else {
+                parts.push(head.subarray(0, remaining));
+                this._chunks[0] = head.subarray(remaining);
+                remaining = 0;
+            }
+        }
+        this.length -= size;
+        return parts.length === 1 ? parts[0] : concatBytes(parts, size);
+    }
+}
+
+// ========== Key Derivation ==========
+
+async function deriveKey(passphrase, kdf) {
+    const material = await crypto.subtle.importKey(
+        'raw',
+        new TextEncoder().encode(String(passphrase)),
+        'PBKDF2',
+        false,
+        ['deriveKey']
+    );
+    return crypto.subtle.deriveKey(
+        { name: 'PBKDF2', hash: 'SHA-256', salt: fromBase64(kdf.salt), iterations: kdf.iterations },
+        material,
+        { name: 'AES-GCM', length: 256 },
+        false,
+        ['encrypt', 'decrypt']
+    );
+}
+
+function chunkNonce(prefix, index, final) {
+    const nonce = new Uint8Array(12);
+    nonce.set(prefix, 0);
+    new DataView(nonce.buffer).setUint32(7, index);
+    nonce[11] = final ? 1 : 0;
+    return nonce;
+}
+
+// ========== Encrypt ==========
+
+/**
+ * Create a chunked encryptor. Write `prefix` first, then every array returned by `push()`,
+ * then the record returned by `finish()`.
+ * @param {string} passphrase
+ * @param {{ meta?: Object, iterations?: number, chunkSize?: number }} [options]
+ *   `meta` is stored in the clear header (e.g. schema name and version)
+ * @returns {Promise<{ prefix: Uint8Array, push: (chunk: Uint8Array) => Promise<Uint8Array[]>, finish: () => Promise<Uint8Array> }>}
+ */
+export async function createBackupEncryptor(passphrase, options = {}) {
+    if (!passphrase) throw new Error('backup_passphrase_required');
+    const { meta = {}, iterations = ENCRYPTION_DEFAULTS.iterations, chunkSize = ENCRYPTION_DEFAULTS.chunkSize } = options;
+
+    const kdf = { name: 'PBKDF2', hash: 'SHA-256', iterations, salt: toBase64(randomBytes(16)) };
+    const noncePrefix = randomBytes(7);
+    const key = await deriveKey(passphrase, kdf);
+
+    const checkIv = randomBytes(12);
+    const check = await crypto.subtle.encrypt(
+        { name: 'AES-GCM', iv: checkIv },
+        key,
+        new TextEncoder().encode(CHECK_PLAINTEXT)
+    );
+
+    const header = {
+        ...meta,
+        encryption: {
+            version: ENCRYPTION_VERSION,
+            kdf,
+            cipher: { name: 'AES-GCM', chunkSize, noncePrefix: toBase64(noncePrefix) },
+            check: { iv: toBase64(checkIv), data: toBase64(new Uint8Array(check)) }
+        }
+    };
+    const headerBytes = new TextEncoder().encode(JSON.stringify(header));
+    const prefix = new Uint8Array(PREFIX_SIZE + headerBytes.length);
+    prefix.set(MAGIC, 0);
+    new DataView(prefix.buffer).setUint32(MAGIC.length, headerBytes.length);
+    prefix.set(headerBytes, PREFIX_SIZE);
+
+    const queue = new ByteQueue();
+    let index = 0;
+    let finished = false;
+
+    const seal = async (plain, final) => {
+        const sealed = new Uint8Array(await crypto.subtle.encrypt(
+            { name: 'AES-GCM', iv: chunkNonce(noncePrefix, index++, final), additionalData: headerBytes },
+            key,
+            plain
+        ));
+        const record = new Uint8Array(RECORD_HEADER_SIZE + sealed.length);
+        record[0] = final ? 1 : 0;
+        new DataView(record.buffer).setUint32(1, sealed.length);
+        record.set(sealed, RECORD_HEADER_SIZE);
+        return record;
+    };
+
+    return {
+        prefix,
+        async push(chunk) {
+            if (finished) throw new Error('backup_encryptor_finished');
+            queue.push(chunk);
+            const records = [];
+            while (queue.length >= chunkSize) {
+                records.push(await seal(queue.read(chunkSize), false));
+            }
+            return records;
+        },
+        async finish() {
+            if (finished) throw new Error('backup_encryptor_finished');
+            finished = true;
+            return seal(queue.read(queue.length), true);
+        }
+    };
+}
+
+// ========== Decrypt ==========
+
+/**
+ * Cheap sniff for the encrypted container magic.
+ * @param {Blob} blob
+ * @returns {Promise<boolean>}
+ */
+export async function isEncryptedBackup(blob) {
+    if (!blob || blob.size < PREFIX_SIZE) return false;
+    const head = new Uint8Array(await blob.slice(0, MAGIC.length).arrayBuffer());
+    return MAGIC.every((byte, i) => head[i] === byte);
+}
+
+/**
+ * Parse and validate the clear header of an encrypted archive.
+ * @param {Blob} blob
+ * @returns {Promise<{ header: Object, headerBytes: Uint8Array, dataOffset: number }>}
+ */
+export async function readEncryptedBackupHeader(blob) {
+    if (!await isEncryptedBackup(blob)) {
+        throw new Error('invalid_backup_encryption_header');
+    }
+    const prefix = new Uint8Array(await blob.slice(0, PREFIX_SIZE).arrayBuffer());
+    const headerLength = new DataView(prefix.buffer).getUint32(MAGIC.length);
+    if (headerLength === 0 || headerLength > MAX_HEADER_SIZE || PREFIX_SIZE + headerLength > blob.size) {
+        throw new Error('invalid_backup_encryption_header');
+    }
+
+    const headerBytes = new Uint8Array(await blob.slice(PREFIX_SIZE, PREFIX_SIZE + headerLength).arrayBuffer());
+    let header;
+    try {
+        header = JSON.parse(new TextDecoder().decode(headerBytes));
+    } catch {
+        throw new Error('invalid_backup_encryption_header');
+    }
+
+    const encryption = header?.encryption;
+    if (!encryption || typeof encryption !== 'object') {
+        throw new Error('invalid_backup_encryption_header');
+    }
+    if (encryption.version > ENCRYPTION_VERSION) {
+        throw new Error('backup_version_too_new');
+    }
+    const { kdf, cipher, check } = encryption;
+    const valid = kdf?.name === 'PBKDF2' && kdf.hash === 'SHA-256'
+        && Number.isInteger(kdf.iterations)
+        && kdf.iterations >= ITERATION_BOUNDS.min && kdf.iterations <= ITERATION_BOUNDS.max
+        && cipher?.name === 'AES-GCM'
+        && Number.isInteger(cipher.chunkSize)
+        && cipher.chunkSize >= CHUNK_SIZE_BOUNDS.min && cipher.chunkSize <= CHUNK_SIZE_BOUNDS.max
+        && typeof cipher.noncePrefix === 'string'
+        && typeof check?.iv === 'string' && typeof check?.data === 'string';
+    if (!valid) {
+        throw new Error('invalid_backup_encryption_header');
+    }
+
+    return { header, headerBytes, dataOffset: PREFIX_SIZE + headerLength };
+}
+
+async function unlock(parsed, passphrase) {
+    if (!passphrase) throw new Error('backup_passphrase_required');
+    const { kdf, check } = parsed.header.encryption;
+    const key = await deriveKey(passphrase, kdf);
+    try {
+        const plain = await crypto.subtle.decrypt(
+            { name: 'AES-GCM', iv: fromBase64(check.iv) },
+            key,
+            fromBase64(check.data)
+        );
+        if (new TextDecoder().decode(plain) !== CHECK_PLAINTEXT) throw new Error('mismatch');
+    } catch {
+        throw new Error('backup_wrong_passphrase');
+    }
+    return key;
+}
+
+/**
+ * @param {Blob} blob - Encrypted archive
+ * @param {string} passphrase
+ * @returns {Promise<boolean>} False when the passphrase does not unlock the archive
+ */
+export async function verifyBackupPassphrase(blob, passphrase) {
+    const parsed = await readEncryptedBackupHeader(blob);
+    try {
+        await unlock(parsed, passphrase);
+        return true;
+    } catch (error) {
+        if (error?.message === 'backup_wrong_passphrase' || error?.message === 'backup_passphrase_required') {
+            return false;
+        }
+        throw error;
+    }
+}
+
+/**
+ * Unlock an encrypted archive and expose the plaintext ZIP as a stream source.
+ * Throws 'backup_wrong_passphrase' before any data is read when the passphrase is wrong;
+ * the stream errors with 'backup_decrypt_failed' on tampered or truncated data.
+ * @param {Blob} blob
+ * @param {string} passphrase
+ * @returns {Promise<{ header: Object, size: number, stream: () => ReadableStream<Uint8Array> }>}
+ */
+export async function openEncryptedBackup(blob, passphrase) {
+    const parsed = await readEncryptedBackupHeader(blob);
+    const key = await unlock(parsed, passphrase);
+    const { cipher } = parsed.header.encryption;
+    const noncePrefix = fromBase64(cipher.noncePrefix);
+    const maxRecordSize = cipher.chunkSize + GCM_TAG_SIZE;
+    const body = blob.slice(parsed.dataOffset);
+
+    const createDecryptStream = () => {
+        const queue = new ByteQueue();
+        let record = null;
+        let index = 0;
+        let finished = false;
+
+        return new TransformStream({
+            async transform(chunk, controller) {
+                queue.push(chunk);
+                while (true) {
+                    if (finished) {
+                        if (queue.length > 0) throw new Error('backup_decrypt_failed');
+                        return;
+                    }
+                    if (!record) {
+                        if (queue.length < RECORD_HEADER_SIZE) return;
+                        const head = queue.read(RECORD_HEADER_SIZE);
+                        const length = new DataView(head.buffer, head.byteOffset, head.length).getUint32(1);
+                        if (head[0] > 1 || length < GCM_TAG_SIZE || length > maxRecordSize) {
+                            throw new Error('backup_decrypt_failed');
+                        }
+                        record = { final: head[0] === 1, length };
+                    }
+                    if (queue.length < record.length) return;
+
+                    const sealed = queue.read(record.length);
+                    let plain;
+                    try {
+                        plain = await crypto.subtle.decrypt(
+                            {
+                                name: 'AES-GCM',
+                                iv: chunkNonce(noncePrefix, index, record.final),
+                                additionalData: parsed.headerBytes
+                            },
+                            key,
+                            sealed
+                        );
+                    } catch {
+                        throw new Error('backup_decrypt_failed');
+                    }
+                    index++;
+                    finished = record.final;
+                    record = null;
+                    if (plain.byteLength > 0) controller.enqueue(new Uint8Array(plain));
+                }
+            },
+            flush() {
+                if (!finished) throw new Error('backup_decrypt_failed');
+            }
+        });
+    };
+
+    return {
+        header: parsed.header,
+        size: body.size,
+        stream: () => body.stream().pipeThrough(createDecryptStream())
+    };
+}
@@ -3,7 +3,26 @@ import { idbCursorAll } from '../shared/storage.js';
 import { setStorageInChunks } from '../shared/storage.js';
 import { buildIconCacheKey, normalizeIconCacheUrl } from '../shared/text.js';
 import * as storageRepo from './storage-repo.js';
+import { createBackupEncryptor, isEncryptedBackup, openEncryptedBackup } from './backup-crypto.js';
+import {
+    BACKUP_MANIFEST_PATH,
+    createManifestBuilder,
+    hashBytes,
+    normalizeBackupManifest,
+    planChainReads
+} from './backup-manifest.js';
+import {
+    DEVICE_LOCAL_KEYS,
+    IDB_RESTORE_CATEGORIES,
+    diffStorage,
+    extractQuicklinks,
+    normalizeRestoreSelection,
+    planStorageRestore,
+    summarizeStorage
+} from './backup-restore-plan.js';
 const SCHEMA_VERSION = 1;
+// Incremental archives borrow blobs from earlier archives; older releases must refuse them
+const INCREMENTAL_SCHEMA_VERSION = 2;
 const SCHEMA_NAME = 'aura-tab-webdav-backup';
 const MAX_IN_MEMORY_BACKUP_SIZE = 500 * 1024 * 1024;
 const STAGING_DB_CONFIG = {
@@ -63,40 +82,112 @@ const IDB_PATH_MAP = {
 };
 export class BackupManager {
     async createBackup(options = {}) {
+        const { blob } = await this._writeArchiveToMemory(options, (zipper) => (
+            this._appendBackupDataToZipper(zipper, options, 'Memory backup')
+        ));
+        return blob;
+    }
+    /**
+     * Zip (and optionally encrypt) whatever `fill` appends, in memory.
+     * @param {{ passphrase?: string, schemaVersion?: number, onProgress?: Function }} options
+     * @param {(zipper: Zip) => Promise<Object|null>} fill - Returns the archive manifest, if any
+     * @returns {Promise<{ blob: Blob, manifest: Object|null }>}
+     */
+    async _writeArchiveToMemory(options, fill) {
         const { onProgress } = options;
+        const encryptor = await this._createEncryptor(options.passphrase, options.schemaVersion);
         const chunks = [];
         let totalSize = 0;
+        let plainSize = 0;
+        let encryptChain = Promise.resolve();
+        const collect = (chunk) => {
+            totalSize += chunk.length;
+            if (totalSize > MAX_IN_MEMORY_BACKUP_SIZE) {
+                throw new Error('backup_too_large');
+            }
+            chunks.push(chunk);
+        };
+        if (encryptor) {
+            collect(encryptor.prefix);
+        }
         const zipper = new Zip((err, chunk) => {
             if (err) throw err;
             if (chunk && chunk.length) {
-                totalSize += chunk.length;
-                if (totalSize > MAX_IN_MEMORY_BACKUP_SIZE) {
+                if (!encryptor) {
+                    collect(chunk);
+                    return;
+                }
+                plainSize += chunk.length;
+                if (plainSize > MAX_IN_MEMORY_BACKUP_SIZE) {
                     throw new Error('backup_too_large');
                 }
-                chunks.push(chunk);
+                encryptChain = encryptChain
+                    .then(() => encryptor.push(chunk))
+                    .then((records) => records.forEach(collect));
             }
         });
-        await this._appendBackupDataToZipper(zipper, options, 'Memory backup');
+        const manifest = await fill(zipper);
         onProgress?.({ stage: 'zip', percent: 95 });
         zipper.end();
+        if (encryptor) {
+            await encryptChain;
+            collect(await encryptor.finish());
+        }
         onProgress?.({ stage: 'done', percent: 100 });
-        return new Blob(chunks, { type: 'application/zip' });
+        return {
+            blob: new Blob(chunks, { type: encryptor ? 'application/octet-stream' : 'application/zip' }),
+            manifest
+        };
     }
     async restoreFromBackup(zipBlob, options = {}) {
+        const prepared = await this.prepareRestore(zipBlob, { ...options, preview: false });
+        if (!prepared.success) {
+            return prepared;
+        }
+        try {
+            return await prepared.apply(options.categories, options);
+        } finally {
+            await prepared.discard();
+        }
+    }
+    /**
+     * Unpack and validate an archive into the staging DB without touching live data.
+     * Incremental archives are reassembled by reading the blobs they reference from earlier
+     * archives of their chain through `resolveArchive(filename)`.
+     * The caller must call `discard()` (after `apply()` / `compact()` or instead of them).
+     * @param {Blob} zipBlob
+     * @param {{ passphrase?: string, preview?: boolean, onProgress?: Function,
+     *   resolveArchive?: (filename: string) => Promise<Blob|null> }} [options]
+     * @returns {Promise<{ success: false, error: string }
+     *   | { success: true, preview: Object|null, apply: Function, compact: Function, discard: Function }>}
+     */
+    async prepareRestore(zipBlob, options = {}) {
         const { onProgress } = options;
         try {
             if (zipBlob?.size > 2 * 1024 * 1024 * 1024) {
                 return { success: false, error: 'backup_too_large' };
             }
+            let source = zipBlob;
+            if (await isEncryptedBackup(zipBlob)) {
+                if (!options.passphrase) {
+                    return { success: false, error: 'backup_passphrase_required' };
+                }
+                onProgress?.({ stage: 'decrypt', percent: 0 });
+                source = await openEncryptedBackup(zipBlob, options.passphrase);
+                if (source.header.schema !== SCHEMA_NAME) {
+                    return { success: false, error: 'invalid_backup_wrong_schema' };
+                }
+            }
             onProgress?.({ stage: 'unzip', percent: 0 });
             const stagingDb = await this._openDatabase(
                 STAGING_DB_CONFIG.dbName,
                 STAGING_DB_CONFIG.version,
                 STAGING_DB_CONFIG.storeName
             );
+            let session = null;
             try {
                 await this._clearStagingDb(stagingDb);
-                await this._streamUnzipToStaging(zipBlob, stagingDb, (percent) => {
+                await this._streamUnzipToStaging(source, stagingDb, (percent) => {
                     onProgress?.({ stage: 'unzip', percent: percent * 0.5 });
                 });
                 onProgress?.({ stage: 'unzip', percent: 50 });
@@ -109,53 +200,247 @@ export class BackupManager {
                 if (meta.schema !== SCHEMA_NAME) {
                     return { success: false, error: 'invalid_backup_wrong_schema' };
                 }
-                if (meta.schemaVersion > SCHEMA_VERSION) {
+                if (meta.schemaVersion > INCREMENTAL_SCHEMA_VERSION) {
                     return { success: false, error: 'backup_version_too_new' };
                 }
+                const manifest = normalizeBackupManifest(
+                    await this._parseStagingJsonFile(stagingDb, BACKUP_MANIFEST_PATH)
+                );
+                if (manifest?.kind === 'incremental') {
+                    onProgress?.({ stage: 'chain', percent: 50 });
+                    await this._reassembleFromChain(stagingDb, manifest, options);
+                }
                 const integrityValid = await this._validateStagingIntegrity(stagingDb);
                 if (!integrityValid) {
                     return { success: false, error: 'backup_integrity_check_failed' };
                 }
                 onProgress?.({ stage: 'validate', percent: 55 });
-                onProgress?.({ stage: 'restoreStorage', percent: 55 });
-                const syncData = await this._parseRequiredStagingJsonObject(stagingDb, 'storage/sync.json');
-                const localData = await this._parseRequiredStagingJsonObject(stagingDb, 'storage/local.json');
-                const currentWebdavConfig = await this._getCurrentWebdavConfig();
-                if (currentWebdavConfig) {
-                    localData.webdavConfig = currentWebdavConfig;
-                }
-                await this._smartRestoreStorage('sync', syncData);
-                await this._smartRestoreStorage('local', localData, ['webdavConfig']);
-                const iconCacheLookup = this._buildIconCacheRestoreLookup(syncData);
-                onProgress?.({ stage: 'restoreStorage', percent: 65 });
-                onProgress?.({ stage: 'restoreIconCache', percent: 65 });
-                await this._importIDBFromStaging('iconCache', stagingDb, 'idb/icon-cache', (p) => {
-                    onProgress?.({ stage: 'restoreIconCache', percent: 65 + p * 0.05 });
-                }, { iconCacheLookup });
-                onProgress?.({ stage: 'restoreToolbarIcon', percent: 70 });
-                await this._importIDBFromStaging('toolbarIcon', stagingDb, 'idb/toolbar-icon', (p) => {
-                    onProgress?.({ stage: 'restoreToolbarIcon', percent: 70 + p * 0.05 });
-                });
-                onProgress?.({ stage: 'restoreAssets', percent: 75 });
-                await this._importIDBFromStaging('assets', stagingDb, 'idb/assets', (p) => {
-                    onProgress?.({ stage: 'restoreAssets', percent: 75 + p * 0.1 });
-                });
-                onProgress?.({ stage: 'restoreLocalFiles', percent: 85 });
-                await this._importIDBFromStaging('localFiles', stagingDb, 'idb/local-files', (p) => {
-                    onProgress?.({ stage: 'restoreLocalFiles', percent: 85 + p * 0.1 });
-                });
-                onProgress?.({ stage: 'done', percent: 100 });
-                return { success: true };
+                session = {
+                    stagingDb,
+                    closed: false,
+                    meta,
+                    manifest,
+                    syncData: await this._parseRequiredStagingJsonObject(stagingDb, 'storage/sync.json'),
+                    localData: await this._parseRequiredStagingJsonObject(stagingDb, 'storage/local.json')
+                };
+                const preview = options.preview === false
+                    ? null
+                    : await this._buildRestorePreview(session, meta, source !== zipBlob);
+                return {
+                    success: true,
+                    preview,
+                    apply: (selection, applyOptions) => this._applyRestore(session, selection, applyOptions),
+                    compact: (compactOptions) => this._compactRestore(session, compactOptions),
+                    discard: () => this._discardRestore(session)
+                };
             } finally {
-                stagingDb.close();
-                await this._deleteStagingDb();
+                if (!session) {
+                    stagingDb.close();
+                    await this._deleteStagingDb();
+                }
             }
         } catch (error) {
-            console.error('[BackupManager] restoreFromBackup error:', error);
+            console.error('[BackupManager] prepareRestore error:', error);
             try { await this._deleteStagingDb(); } catch { /* ignore */ }
             return { success: false, error: error.message || 'restore_failed' };
         }
     }
+    async _applyRestore(session, selection, options = {}) {
+        const { onProgress, mergeQuicklinks } = options;
+        if (session.closed) {
+            return { success: false, error: 'restore_failed' };
+        }
+        const modes = normalizeRestoreSelection(selection);
+        try {
+            if (modes.quicklinks === 'merge' && typeof mergeQuicklinks !== 'function') {
+                throw new Error('quicklinks_merge_unavailable');
+            }
+            const { stagingDb, syncData, localData } = session;
+            onProgress?.({ stage: 'restoreStorage', percent: 55 });
+            const [currentSync, currentLocal] = await Promise.all([
+                storageRepo.sync.getAll(),
+                storageRepo.local.getAll()
+            ]);
+            await this._applyStoragePlan('sync', planStorageRestore(currentSync, syncData, modes));
+            await this._applyStoragePlan('local', planStorageRestore(currentLocal, localData, modes));
+            let quicklinks = null;
+            if (modes.quicklinks === 'merge') {
+                quicklinks = await mergeQuicklinks(extractQuicklinks(syncData));
+            }
+            const iconCacheLookup = this._buildIconCacheRestoreLookup(syncData);
+            onProgress?.({ stage: 'restoreStorage', percent: 65 });
+            const idbSteps = [
+                { key: 'iconCache', stage: 'restoreIconCache', from: 65, span: 5, extra: { iconCacheLookup } },
+                { key: 'toolbarIcon', stage: 'restoreToolbarIcon', from: 70, span: 5 },
+                { key: 'assets', stage: 'restoreAssets', from: 75, span: 10 },
+                { key: 'localFiles', stage: 'restoreLocalFiles', from: 85, span: 10 }
+            ];
+            for (const { key, stage, from, span, extra } of idbSteps) {
+                onProgress?.({ stage, percent: from });
+                const mode = modes[IDB_RESTORE_CATEGORIES[key]];
+                if (mode === 'skip') continue;
+                await this._importIDBFromStaging(key, stagingDb, `idb/${IDB_PATH_MAP[key]}`, (p) => {
+                    onProgress?.({ stage, percent: from + p * (span / 100) });
+                }, { ...extra, merge: mode === 'merge' });
+            }
+            onProgress?.({ stage: 'done', percent: 100 });
+            return { success: true, quicklinks };
+        } catch (error) {
+            console.error('[BackupManager] restore apply error:', error);
+            return { success: false, error: error.message || 'restore_failed' };
+        }
+    }
+    /**
+     * Stage the blobs an incremental archive only references.
+     * @param {IDBDatabase} stagingDb
+     * @param {Object} manifest - Normalized manifest of the staged archive
+     * @param {{ passphrase?: string, resolveArchive?: Function }} options
+     */
+    async _reassembleFromChain(stagingDb, manifest, options) {
+        const missing = [];
+        for (const [key, config] of Object.entries(IDB_CONFIGS)) {
+            const basePath = `idb/${IDB_PATH_MAP[key]}`;
+            const index = await this._parseStagingJsonFile(stagingDb, `${basePath}/index.json`);
+            for (const entry of Array.isArray(index) ? index : []) {
+                for (const blobField of config.blobFields) {
+                    const blobRef = entry?.[blobField];
+                    if (!blobRef?._blobRef || !blobRef.hash) continue;
+                    const target = `${basePath}/${blobRef._blobRef}`;
+                    if (!await this._getStagingFile(stagingDb, target)) {
+                        missing.push({ hash: blobRef.hash, target });
+                    }
+                }
+            }
+        }
+        for (const [archive, paths] of planChainReads(manifest, missing)) {
+            if (archive === manifest.archive || typeof options.resolveArchive !== 'function') {
+                throw new Error('backup_chain_incomplete');
+            }
+            const archiveBlob = await options.resolveArchive(archive);
+            if (!archiveBlob) {
+                throw new Error('backup_chain_incomplete');
+            }
+            const source = await isEncryptedBackup(archiveBlob)
+                ? await openEncryptedBackup(archiveBlob, options.passphrase || '')
+                : archiveBlob;
+            await this._streamUnzipToStaging(source, stagingDb, null, paths);
+        }
+    }
+    /**
+     * Write the staged snapshot out as a self-contained full archive.
+     * @param {Object} session
+     * @param {{ archive: string, passphrase?: string, onProgress?: Function }} options -
+     *   `archive` is the filename the result will be uploaded as
+     * @returns {Promise<{ blob: Blob, cleanup: Function|null, manifest: Object }>}
+     */
+    async _compactRestore(session, options) {
+        if (session.closed) {
+            throw new Error('restore_failed');
+        }
+        const { stagingDb, meta } = session;
+        const archiveOptions = { ...options, schemaVersion: SCHEMA_VERSION };
+        return this._writeArchiveForUpload(archiveOptions, async (zipper) => {
+            const manifestBuilder = createManifestBuilder({ archive: options.archive });
+            for (const [key, config] of Object.entries(IDB_CONFIGS)) {
+                const basePath = `idb/${IDB_PATH_MAP[key]}`;
+                const index = await this._parseStagingJsonFile(stagingDb, `${basePath}/index.json`);
+                for (const entry of Array.isArray(index) ? index : []) {
+                    for (const blobField of config.blobFields) {
+                        const blobRef = entry?.[blobField];
+                        if (blobRef?._blobRef && blobRef.hash) {
+                            manifestBuilder.add(blobRef.hash, `${basePath}/${blobRef._blobRef}`);
+                        }
+                    }
+                }
+            }
+            const files = await idbCursorAll(stagingDb, STAGING_DB_CONFIG.storeName);
+            for (const { path, blob } of files) {
+                if (path === 'meta.json' || path === BACKUP_MANIFEST_PATH) continue;
+                if (path.endsWith('.json')) {
+                    this._addFileToZip(zipper, path, new Uint8Array(await blob.arrayBuffer()));
+                } else {
+                    await this._addBlobToZip(zipper, path, blob);
+                }
+            }
+            const manifest = manifestBuilder.build();
+            const compactedMeta = {
+                ...meta,
+                schemaVersion: SCHEMA_VERSION,
+                notes: `Compacted from ${session.manifest?.archive || 'backup'}`
+            };
+            this._addFileToZip(zipper, BACKUP_MANIFEST_PATH, strToU8(JSON.stringify(manifest)));
+            this._addFileToZip(zipper, 'meta.json', strToU8(JSON.stringify(compactedMeta, null, 2)));
+            return manifest;
+        });
+    }
+    async _discardRestore(session) {
+        if (session.closed) return;
+        session.closed = true;
+        session.stagingDb.close();
+        await this._deleteStagingDb();
+    }
+    async _buildRestorePreview(session, meta, encrypted) {
+        const [currentSync, currentLocal] = await Promise.all([
+            storageRepo.sync.getAll(),
+            storageRepo.local.getAll()
+        ]);
+        const backupSide = summarizeStorage(session.syncData, session.localData);
+        const currentSide = summarizeStorage(currentSync, currentLocal);
+        const idbCategories = { localBackgrounds: 'localFiles', iconCache: 'iconCache' };
+        for (const [category, key] of Object.entries(idbCategories)) {
+            backupSide[category] = await this._getStagingIDBStats(session.stagingDb, key);
+            currentSide[category] = await this._getLiveIDBStats(key);
+        }
+        backupSide.favorites.cached = (await this._getStagingIDBStats(session.stagingDb, 'assets')).entries;
+        currentSide.favorites.cached = (await this._getLiveIDBStats('assets')).entries;
+        return {
+            exportedAt: meta.exportedAt || null,
+            extensionVersion: meta.extensionVersion || '',
+            encrypted,
+            archives: session.manifest?.chain.length || 1,
+            backup: backupSide,
+            current: currentSide,
+            diff: diffStorage(
+                { sync: currentSync, local: currentLocal },
+                { sync: session.syncData, local: session.localData }
+            )
+        };
+    }
+    async _getStagingIDBStats(stagingDb, configKey) {
+        const config = IDB_CONFIGS[configKey];
+        const index = await this._parseStagingJsonFile(stagingDb, `idb/${IDB_PATH_MAP[configKey]}/index.json`);
+        const stats = { entries: 0, totalSize: 0 };
+        for (const entry of Array.isArray(index) ? index : []) {
+            stats.entries++;
+            for (const field of config.blobFields) {
+                stats.totalSize += Number(entry?.[field]?.size) || 0;
+            }
+        }
+        return stats;
+    }
+    async _getLiveIDBStats(configKey) {
+        const config = IDB_CONFIGS[configKey];
+        const stats = { entries: 0, totalSize: 0 };
+        try {
+            if (await this._databaseExists(config.dbName) === false) {
+                return stats;
+            }
+            const db = await this._openDatabase(config.dbName, config.version, config.storeName);
+            try {
+                for (const entry of await idbCursorAll(db, config.storeName)) {
+                    stats.entries++;
+                    for (const field of config.blobFields) {
+                        if (entry?.[field] instanceof Blob) stats.totalSize += entry[field].size;
+                    }
+                }
+            } finally {
+                db.close();
+            }
+        } catch (error) {
+            console.warn(`[BackupManager] Failed to read ${configKey} stats:`, error);
+        }
+        return stats;
+    }
     triggerReload() {
         setTimeout(() => {
             try {
@@ -246,12 +531,34 @@ export class BackupManager {
             return { success: false, error: error.message, usedStreaming: true };
         }
     }
+    /**
+     * Build an archive for WebDAV upload, streamed through OPFS where possible.
+     * With `options.manifest` every blob is hashed and a manifest is written; passing the previous
+     * archive's manifest as `manifest.base` makes the archive incremental.
+     * @param {{ passphrase?: string, manifest?: { archive: string, base?: Object|null }, onProgress?: Function }} [options]
+     * @returns {Promise<{ blob: Blob, cleanup: Function|null, usedStreaming: boolean, manifest: Object|null }>}
+     */
     async createBackupForUpload(options = {}) {
-        if (typeof navigator === 'undefined' || !navigator.storage?.getDirectory) {
-            const blob = await this.createBackup(options);
-            return { blob, cleanup: null, usedStreaming: false };
+        const archiveOptions = {
+            ...options,
+            schemaVersion: options.manifest?.base ? INCREMENTAL_SCHEMA_VERSION : SCHEMA_VERSION
+        };
+        return this._writeArchiveForUpload(archiveOptions, (zipper) => (
+            this._appendBackupDataToZipper(zipper, archiveOptions, 'WebDAV streaming backup (OPFS)')
+        ));
+    }
+    async _writeArchiveForUpload(options, fill) {
+        // Service workers expose OPFS but not writable file streams
+        if (
+            typeof navigator === 'undefined' ||
+            !navigator.storage?.getDirectory ||
+            typeof globalThis.FileSystemFileHandle?.prototype?.createWritable !== 'function'
+        ) {
+            const { blob, manifest } = await this._writeArchiveToMemory(options, fill);
+            return { blob, cleanup: null, usedStreaming: false, manifest };
         }
         const { onProgress } = options;
+        const encryptor = await this._createEncryptor(options.passphrase, options.schemaVersion);
         const fileName = this._generateLocalFilename();
         const opfsRoot = await navigator.storage.getDirectory();
         const tmpDir = await opfsRoot.getDirectoryHandle('aura-tab-tmp', { create: true });
@@ -260,28 +567,42 @@ export class BackupManager {
         const writableStream = await fileHandle.createWritable();
         let writeChain = Promise.resolve();
         let zipStreamError = null;
+        const writeChunk = encryptor
+            ? async (chunk) => {
+                for (const record of await encryptor.push(chunk)) {
+                    await writableStream.write(record);
+                }
+            }
+            : (chunk) => writableStream.write(chunk);
         const zipper = new Zip((err, chunk) => {
             if (err) {
                 zipStreamError = err;
                 return;
             }
             if (!chunk || chunk.length === 0) return;
-            writeChain = writeChain.then(() => writableStream.write(chunk));
+            writeChain = writeChain.then(() => writeChunk(chunk));
         });
         try {
-            await this._appendBackupDataToZipper(zipper, options, 'WebDAV streaming backup (OPFS)');
+            if (encryptor) {
+                await writableStream.write(encryptor.prefix);
+            }
+            const manifest = await fill(zipper);
             onProgress?.({ stage: 'zip', percent: 95 });
             zipper.end();
             await writeChain;
             if (zipStreamError) {
                 throw zipStreamError;
             }
+            if (encryptor) {
+                await writableStream.write(await encryptor.finish());
+            }
             await writableStream.close();
             onProgress?.({ stage: 'done', percent: 100 });
             const file = await fileHandle.getFile();
             return {
                 blob: file,
                 usedStreaming: true,
+                manifest,
                 cleanup: async () => {
                     try { await tmpDir.removeEntry(tmpFileName); } catch { /* cleanup: ignore if entry already removed */ }
                 }
@@ -292,6 +613,12 @@ export class BackupManager {
             throw error;
         }
     }
+    async _createEncryptor(passphrase, schemaVersion = SCHEMA_VERSION) {
+        if (!passphrase) return null;
+        return createBackupEncryptor(passphrase, {
+            meta: { schema: SCHEMA_NAME, schemaVersion }
+        });
+    }
     _addFileToZip(zipper, path, data, level = 6) {
         if (level === 0) {
             const file = new ZipPassThrough(path);
@@ -344,9 +671,9 @@ export class BackupManager {
         } catch { /* indexedDB.databases() not supported in all browsers */ }
         return candidates[0];
     }
-    async _exportIDBToZipStream(configKey, zipper, basePath, onProgress) {
+    async _exportIDBToZipStream(configKey, zipper, basePath, onProgress, manifestBuilder = null) {
         const config = IDB_CONFIGS[configKey];
-        const stats = { entries: 0, totalSize: 0 };
+        const stats = { entries: 0, totalSize: 0, storedSize: 0 };
         const indexEntries = [];
         try {
             let dbNameForExport = config.dbName;
@@ -379,14 +706,22 @@ export class BackupManager {
                 for (const blobField of config.blobFields) {
                     const blob = entry[blobField];
                     if (blob instanceof Blob && blob.size > 0) {
-                        const blobPath = `${basePath}/blobs/${entryId}/${blobField}.bin`;
-                        await this._addBlobToZip(zipper, blobPath, blob);
+                        const blobRef = `blobs/${entryId}/${blobField}.bin`;
+                        const blobPath = `${basePath}/${blobRef}`;
+                        indexEntry[blobField] = { _blobRef: blobRef, type: blob.type, size: blob.size };
+                        if (manifestBuilder) {
+                            const bytes = new Uint8Array(await blob.arrayBuffer());
+                            const hash = await hashBytes(bytes);
+                            indexEntry[blobField].hash = hash;
+                            if (manifestBuilder.add(hash, blobPath)) {
+                                this._addFileToZip(zipper, blobPath, bytes, 0);
+                                stats.storedSize += blob.size;
+                            }
+                        } else {
+                            await this._addBlobToZip(zipper, blobPath, blob);
+                            stats.storedSize += blob.size;
+                        }
                         stats.totalSize += blob.size;
-                        indexEntry[blobField] = {
-                            _blobRef: `blobs/${entryId}/${blobField}.bin`,
-                            type: blob.type,
-                            size: blob.size
-                        };
                     } else {
                         delete indexEntry[blobField];
                     }
@@ -413,18 +748,21 @@ export class BackupManager {
         const stats = {
             storageSync: { keys: 0 },
             storageLocal: { keys: 0 },
-            iconCache: { entries: 0, totalSize: 0 },
-            toolbarIcon: { entries: 0, totalSize: 0 },
-            assets: { entries: 0, totalSize: 0 },
-            localFiles: { entries: 0, totalSize: 0 }
+            iconCache: { entries: 0, totalSize: 0, storedSize: 0 },
+            toolbarIcon: { entries: 0, totalSize: 0, storedSize: 0 },
+            assets: { entries: 0, totalSize: 0, storedSize: 0 },
+            localFiles: { entries: 0, totalSize: 0, storedSize: 0 }
         };
+        const manifestBuilder = options?.manifest ? createManifestBuilder(options.manifest) : null;
         onProgress?.({ stage: 'storage', percent: 0 });
         const [syncData, localData] = await Promise.all([
             storageRepo.sync.getAll(),
             storageRepo.local.getAll()
         ]);
         const filteredLocalData = { ...localData };
-        delete filteredLocalData.webdavConfig;
+        for (const key of DEVICE_LOCAL_KEYS) {
+            delete filteredLocalData[key];
+        }
         stats.storageSync.keys = Object.keys(syncData).length;
         stats.storageLocal.keys = Object.keys(filteredLocalData).length;
         this._addFileToZip(zipper, 'storage/sync.json', strToU8(JSON.stringify(syncData, null, 2)));
@@ -433,29 +771,34 @@ export class BackupManager {
         onProgress?.({ stage: 'iconCache', percent: 10 });
         stats.iconCache = await this._exportIDBToZipStream('iconCache', zipper, 'idb/icon-cache', (p) => {
             onProgress?.({ stage: 'iconCache', percent: 10 + p * 0.2 });
-        });
+        }, manifestBuilder);
         onProgress?.({ stage: 'toolbarIcon', percent: 30 });
         stats.toolbarIcon = await this._exportIDBToZipStream('toolbarIcon', zipper, 'idb/toolbar-icon', (p) => {
             onProgress?.({ stage: 'toolbarIcon', percent: 30 + p * 0.05 });
-        });
+        }, manifestBuilder);
         onProgress?.({ stage: 'assets', percent: 35 });
         stats.assets = await this._exportIDBToZipStream('assets', zipper, 'idb/assets', (p) => {
             onProgress?.({ stage: 'assets', percent: 35 + p * 0.3 });
-        });
+        }, manifestBuilder);
         onProgress?.({ stage: 'localFiles', percent: 65 });
         stats.localFiles = await this._exportIDBToZipStream('localFiles', zipper, 'idb/local-files', (p) => {
             onProgress?.({ stage: 'localFiles', percent: 65 + p * 0.25 });
-        });
+        }, manifestBuilder);
         onProgress?.({ stage: 'meta', percent: 90 });
+        const manifest = manifestBuilder?.build() ?? null;
         const meta = {
             schema: SCHEMA_NAME,
-            schemaVersion: SCHEMA_VERSION,
+            schemaVersion: manifest?.kind === 'incremental' ? INCREMENTAL_SCHEMA_VERSION : SCHEMA_VERSION,
             exportedAt: new Date().toISOString(),
             extensionVersion: chrome.runtime.getManifest().version,
             dataStats: stats,
             notes: note
         };
+        if (manifest) {
+            this._addFileToZip(zipper, BACKUP_MANIFEST_PATH, strToU8(JSON.stringify(manifest)));
+        }
         this._addFileToZip(zipper, 'meta.json', strToU8(JSON.stringify(meta, null, 2)));
+        return manifest;
     }
     _generateLocalFilename() {
         const now = new Date();
@@ -574,29 +917,23 @@ export class BackupManager {
         }
         return db;
     }
-    async _getCurrentWebdavConfig() {
-        try {
-            const webdavConfig = await storageRepo.local.get('webdavConfig', null);
-            return webdavConfig || null;
-        } catch {
-            return null;
-        }
-    }
-    async _smartRestoreStorage(areaName, newData, preservedKeys = []) {
+    async _applyStoragePlan(areaName, plan) {
         const repo = areaName === 'sync' ? storageRepo.sync : storageRepo.local;
-        const currentData = await repo.getAll();
-        const currentKeys = Object.keys(currentData);
-        await setStorageInChunks(areaName, newData);
-        const newKeysSet = new Set(Object.keys(newData));
-        const preservedSet = new Set(preservedKeys);
-        const keysToRemove = currentKeys.filter(key =>
-            !newKeysSet.has(key) && !preservedSet.has(key)
-        );
-        if (keysToRemove.length > 0) {
-            await repo.removeMultiple(keysToRemove);
+        if (Object.keys(plan.set).length > 0) {
+            await setStorageInChunks(areaName, plan.set);
+        }
+        if (plan.remove.length > 0) {
+            await repo.removeMultiple(plan.remove);
         }
     }
-    async _streamUnzipToStaging(zipBlob, stagingDb, onProgress) {
+    /**
+     * @param {Blob|{ size: number, stream: Function }} zipBlob
+     * @param {IDBDatabase} stagingDb
+     * @param {Function|null} onProgress
+     * @param {Map<string, string[]>|null} [pathMap] - Only stage these archive paths, under the
+     *   mapped staging paths; everything else is skipped
+     */
+    async _streamUnzipToStaging(zipBlob, stagingDb, onProgress, pathMap = null) {
         const totalSize = zipBlob.size;
         let processedSize = 0;
         return new Promise((resolve, reject) => {
@@ -623,6 +960,8 @@ export class BackupManager {
                     console.warn('[BackupManager] Skipping unsafe path:', file.name);
                     return;
                 }
+                const targets = pathMap ? pathMap.get(file.name) : [file.name];
+                if (!targets) return;
                 const chunks = [];
                 file.ondata = (err, chunk, final) => {
                     if (err) {
@@ -635,7 +974,7 @@ export class BackupManager {
                     }
                     if (final) {
                         const blob = new Blob(chunks, { type: 'application/octet-stream' });
-                        const writePromise = this._putStagingFile(stagingDb, file.name, blob);
+                        const writePromise = Promise.all(targets.map((target) => this._putStagingFile(stagingDb, target, blob)));
                         pendingWrites.add(writePromise);
                         writePromise
                             .catch((e) => {
@@ -776,12 +1115,18 @@ export class BackupManager {
         }
         return true;
     }
-    async _importIDBFromStaging(configKey, stagingDb, basePath, onProgress, legacyCompatOptions = {}) {
+    async _importIDBFromStaging(configKey, stagingDb, basePath, onProgress, importOptions = {}) {
         const config = IDB_CONFIGS[configKey];
+        // Merge keeps existing entries and lets archive entries with the same key win
+        const merge = importOptions.merge === true;
         try {
             const indexData = await this._getStagingFile(stagingDb, `${basePath}/index.json`);
             if (!indexData) {
                 if (config.required) throw new Error('backup_integrity_check_failed');
+                if (merge) {
+                    onProgress?.(100);
+                    return;
+                }
                 const db = await this._openDatabase(config.dbName, config.version, config.storeName);
                 try {
                     await new Promise((resolve, reject) => {
@@ -802,13 +1147,15 @@ export class BackupManager {
             const db = await this._openDatabase(config.dbName, config.version, config.storeName);
             const total = index.length;
             try {
-                await new Promise((resolve, reject) => {
-                    const tx = db.transaction(config.storeName, 'readwrite');
-                    const store = tx.objectStore(config.storeName);
-                    const req = store.clear();
-                    req.onsuccess = () => resolve();
-                    req.onerror = () => reject(req.error);
-                });
+                if (!merge) {
+                    await new Promise((resolve, reject) => {
+                        const tx = db.transaction(config.storeName, 'readwrite');
+                        const store = tx.objectStore(config.storeName);
+                        const req = store.clear();
+                        req.onsuccess = () => resolve();
+                        req.onerror = () => reject(req.error);
+                    });
+                }
                 if (index.length === 0) {
                     onProgress?.(100);
                     return;
@@ -831,7 +1178,7 @@ export class BackupManager {
                     }
 
                     const entriesToImport = this._normalizeEntriesForImport(configKey, entry, {
-                        iconCacheLookup: legacyCompatOptions.iconCacheLookup
+                        iconCacheLookup: importOptions.iconCacheLookup
                     });
                     for (const normalizedEntry of entriesToImport) {
                         try {
@@ -1033,14 +1380,22 @@ export class BackupManager {
             addItem(id, inlineEntry);
         }
 
-        const activeSetId = typeof syncData.quicklinksActiveSet === 'string'
-            ? syncData.quicklinksActiveSet
-            : '';
-        if (activeSetId) {
-            const indexKey = `quicklinksChunkSet_${activeSetId}_index`;
+        // Active chunk set plus the ones parked by inactive workspaces
+        const setIds = new Set();
+        if (typeof syncData.quicklinksActiveSet === 'string' && syncData.quicklinksActiveSet) {
+            setIds.add(syncData.quicklinksActiveSet);
+        }
+        for (const [key, value] of Object.entries(syncData)) {
+            if (!key.startsWith('quicklinksWorkspace_') || key.endsWith('_items')) continue;
+            if (typeof value?.activeSet === 'string' && value.activeSet) {
+                setIds.add(value.activeSet);
+            }
+        }
+        for (const setId of setIds) {
+            const indexKey = `quicklinksChunkSet_${setId}_index`;
             const chunkKeys = Array.isArray(syncData[indexKey]) ? syncData[indexKey] : [];
             for (const chunkKey of chunkKeys) {
-                if (typeof chunkKey !== 'string' || !chunkKey.startsWith(`quicklinksChunkSet_${activeSetId}_`)) {
+                if (typeof chunkKey !== 'string' || !chunkKey.startsWith(`quicklinksChunkSet_${setId}_`)) {
                     continue;
                 }
                 const chunk = syncData[chunkKey];
@@ -0,0 +1,116 @@
+/**
+ * Content-hash manifests for incremental backups.
+ *
+ * Blobs are addressed by SHA-256. An incremental archive stores only the blobs that no
+ * earlier archive of its chain already holds, and its `manifest.json` tells restore which
+ * archive and path to read every referenced blob from. A chain always starts with a full archive.
+ */
+
+export const BACKUP_MANIFEST_VERSION = 1;
+export const BACKUP_MANIFEST_PATH = 'manifest.json';
+
+const HASH_PATTERN = /^[0-9a-f]{64}$/;
+
+function isPlainObject(value) {
+    return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * @param {ArrayBuffer|Uint8Array} bytes
+ * @returns {Promise<string>} Lowercase hex SHA-256
+ */
+export async function hashBytes(bytes) {
+    const digest = await crypto.subtle.digest('SHA-256', bytes);
+    return Array.from(new Uint8Array(digest), (b) => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * @param {unknown} raw
+ * @returns {{ version: number, kind: 'full'|'incremental', archive: string, chain: string[],
+ *   blobs: Record<string, { archive: string, path: string }> }|null} Null when malformed
+ */
+export function normalizeBackupManifest(raw) {
+    if (!isPlainObject(raw) || typeof raw.archive !== 'string' || !raw.archive) return null;
+    if (!Array.isArray(raw.chain) || raw.chain.length === 0 || raw.chain.at(-1) !== raw.archive) return null;
+    if (!raw.chain.every((name) => typeof name === 'string' && name)) return null;
+    if (!isPlainObject(raw.blobs)) return null;
+
+    const blobs = {};
+    for (const [hash, location] of Object.entries(raw.blobs)) {
+        if (!HASH_PATTERN.test(hash)) return null;
+        if (typeof location?.archive !== 'string' || typeof location?.path !== 'string') return null;
+        if (!raw.chain.includes(location.archive)) return null;
+        blobs[hash] = { archive: location.archive, path: location.path };
+    }
+
+    return {
+        version: Number(raw.version) || BACKUP_MANIFEST_VERSION,
+        kind: raw.chain.length > 1 ? 'incremental' : 'full',
+        archive: raw.archive,
+        chain: raw.chain.slice(),
+        blobs
+    };
+}
+
+/**
+ * Collects blob locations while an archive is written.
+ * `add()` answers whether the blob must be stored in this archive: blobs held anywhere in the
+ * base chain are only referenced. Repeats within one archive are stored again so every entry
+ * keeps its own path and full archives stay readable without the manifest.
+ * Only blobs referenced by this snapshot end up in the manifest, so deleted data drops out.
+ *
+ * @param {{ archive: string, base?: Object|null }} options - `base` is the manifest of the
+ *   previous archive of the chain; omit it for a full archive
+ */
+export function createManifestBuilder({ archive, base = null }) {
+    const baseManifest = normalizeBackupManifest(base);
+    const chain = baseManifest ? [...baseManifest.chain, archive] : [archive];
+    const blobs = {};
+
+    return {
+        /**
+         * @param {string} hash
+         * @param {string} path - Path inside this archive if the blob gets stored here
+         * @returns {boolean} True when the blob bytes must be written to this archive
+         */
+        add(hash, path) {
+            const known = baseManifest?.blobs[hash];
+            if (known) {
+                blobs[hash] = known;
+                return false;
+            }
+            blobs[hash] ??= { archive, path };
+            return true;
+        },
+        build() {
+            return {
+                version: BACKUP_MANIFEST_VERSION,
+                kind: chain.length > 1 ? 'incremental' : 'full',
+                archive,
+                chain,
+                blobs
+            };
+        }
+    };
+}
+
+/**
+ * Group blob reads needed to reassemble an archive.
+ * @param {Object} manifest - Normalized manifest of the archive being restored
+ * @param {{ hash: string, target: string }[]} missing - Blob references without staged bytes
+ * @returns {Map<string, Map<string, string[]>>} archive → (path in that archive → target paths)
+ */
+export function planChainReads(manifest, missing) {
+    const reads = new Map();
+    for (const { hash, target } of missing) {
+        const location = manifest.blobs[hash];
+        if (!location) {
+            throw new Error('backup_chain_incomplete');
+        }
+        if (!reads.has(location.archive)) reads.set(location.archive, new Map());
+        const paths = reads.get(location.archive);
+        if (!paths.has(location.path)) paths.set(location.path, []);
+        paths.get(location.path).push(target);
+    }
+    return reads;
+}
@@ -0,0 +1,273 @@
+/**
+ * Restore categories for backup archives.
+ *
+ * Splits storage keys and IndexedDB stores into user-facing categories, summarizes a data set
+ * for the restore preview, and plans per-category storage writes (replace / merge / skip).
+ * Pure functions only; BackupManager performs the actual I/O.
+ */
+
+import { normalizeUrlForDeduplication } from '../shared/text.js';
+
+export const RESTORE_CATEGORIES = Object.freeze(['quicklinks', 'settings', 'favorites', 'localBackgrounds', 'iconCache']);
+
+export const RESTORE_MODES = Object.freeze(['replace', 'merge', 'skip']);
+
+// Per-device WebDAV, bookmark sync and link health state: never exported, and kept as-is on restore
+export const DEVICE_LOCAL_KEYS = Object.freeze([
+    'webdavConfig',
+    'webdavBackupSchedule',
+    'webdavBackupStatus',
+    'webdavBackupManifest',
+    'bookmarkSyncBindings',
+    'bookmarkSyncState',
+    'linkHealth',
+    'linkHealthSchedule',
+    'linkCanonicalUrls'
+]);
+
+/** IndexedDB stores (BackupManager IDB_CONFIGS keys) by restore category */
+export const IDB_RESTORE_CATEGORIES = Object.freeze({
+    iconCache: 'iconCache',
+    toolbarIcon: 'settings',
+    assets: 'favorites',
+    localFiles: 'localBackgrounds'
+});
+
+const PAGE_BREAK = '__PAGE_BREAK__';
+const SYSTEM_ITEM_PREFIX = '__SYSTEM_';
+
+const QUICKLINKS_DATA_KEYS = new Set([
+    'storageVersion',
+    'quicklinksItems',
+    'quicklinksDockPins',
+    'quicklinksTags',
+    'quicklinksActiveSet',
+    'quicklinksRevision',
+    'quicklinksWorkspaces',
+    'quicklinksUsage',
+    'quicklinksTagStyles'
+]);
+const QUICKLINKS_DATA_PREFIXES = ['quicklinksChunkSet_', 'quicklinksWorkspace_', 'quicklinksWorkspaceBackground_', 'qlink_', 'qfolder_'];
+
+const FAVORITES_KEYS = new Set(['libraryItems', 'libraryItemsWriteId', 'libraryDownloadQueueV1']);
+const FAVORITES_ITEMS_KEY = 'libraryItems';
+
+function isPlainObject(value) {
+    return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * @param {unknown} raw - Partial `{ [category]: mode }` map
+ * @returns {Record<string, 'replace'|'merge'|'skip'>} Missing or unknown entries default to 'replace'
+ */
+export function normalizeRestoreSelection(raw) {
+    const source = isPlainObject(raw) ? raw : {};
+    return Object.fromEntries(RESTORE_CATEGORIES.map((category) => [
+        category,
+        RESTORE_MODES.includes(source[category]) ? source[category] : 'replace'
+    ]));
+}
+
+/**
+ * @param {string} key - chrome.storage key (sync or local)
+ * @returns {'device'|'quicklinks'|'favorites'|'settings'}
+ */
+export function categorizeStorageKey(key) {
+    if (DEVICE_LOCAL_KEYS.includes(key)) return 'device';
+    if (QUICKLINKS_DATA_KEYS.has(key) || QUICKLINKS_DATA_PREFIXES.some((prefix) => key.startsWith(prefix))) {
+        return 'quicklinks';
+    }
+    if (FAVORITES_KEYS.has(key)) return 'favorites';
+    return 'settings';
+}
+
+/**
+ * Plan the writes for one storage area.
+ * - replace: write the backup keys of the category, remove current ones it lacks
+ * - merge: settings keep keys missing from the backup; favorites are merged by id;
+ *   quicklinks are merged through the store afterwards, so nothing is written here
+ * - skip: leave the category untouched
+ * @param {Object} current - Current area contents
+ * @param {Object} backup - Area contents from the archive
+ * @param {Object} selection - Output of normalizeRestoreSelection()
+ * @returns {{ set: Object, remove: string[] }}
+ */
+export function planStorageRestore(current, backup, selection) {
+    const modes = normalizeRestoreSelection(selection);
+    const currentData = isPlainObject(current) ? current : {};
+    const backupData = isPlainObject(backup) ? backup : {};
+    const set = {};
+    const remove = [];
+
+    for (const [key, value] of Object.entries(backupData)) {
+        const category = categorizeStorageKey(key);
+        if (category === 'device') continue;
+        const mode = modes[category];
+        if (mode === 'replace' || (mode === 'merge' && category === 'settings')) {
+            set[key] = value;
+        }
+    }
+
+    for (const key of Object.keys(currentData)) {
+        const category = categorizeStorageKey(key);
+        if (category === 'device' || modes[category] !== 'replace') continue;
+        if (!Object.prototype.hasOwnProperty.call(backupData, key)) {
+            remove.push(key);
+        }
+    }
+
+    if (modes.favorites === 'merge' && isPlainObject(backupData[FAVORITES_ITEMS_KEY])) {
+        set[FAVORITES_ITEMS_KEY] = {
+            ...(isPlainObject(currentData[FAVORITES_ITEMS_KEY]) ? currentData[FAVORITES_ITEMS_KEY] : {}),
+            ...backupData[FAVORITES_ITEMS_KEY]
+        };
+    }
+
+    return { set, remove };
+}
+
+// ========== Quicklinks ==========
+
+function readActiveItemsMap(syncData) {
+    const itemsById = new Map();
+    const setId = syncData.quicklinksActiveSet;
+    if (typeof setId === 'string' && setId) {
+        const prefix = `quicklinksChunkSet_${setId}_`;
+        const chunkKeys = Array.isArray(syncData[`${prefix}index`]) ? syncData[`${prefix}index`] : [];
+        for (const chunkKey of chunkKeys) {
+            if (typeof chunkKey !== 'string' || !chunkKey.startsWith(prefix)) continue;
+            const chunk = syncData[chunkKey];
+            if (!isPlainObject(chunk)) continue;
+            for (const [id, item] of Object.entries(chunk)) {
+                if (isPlainObject(item)) itemsById.set(id, item);
+            }
+        }
+    }
+    return itemsById;
+}
+
+function toLinkEntry(item) {
+    return {
+        title: String(item.title || ''),
+        url: String(item.url || ''),
+        icon: String(item.icon || ''),
+        tags: Array.isArray(item.tags) ? item.tags.slice() : [],
+        ...(Number.isFinite(item.createdAt) ? { createdAt: item.createdAt } : {})
+    };
+}
+
+/**
+ * Quicklinks of the active workspace in display order. Folders carry their child links
+ * and subfolders.
+ * @param {Object} syncData
+ * @returns {Array<{ title: string, url: string, icon: string, tags: string[], createdAt?: number }
+ *   | { type: 'folder', title: string, children: Array<Object>, smart?: Object }>}
+ */
+export function extractQuicklinks(syncData) {
+    if (!isPlainObject(syncData) || !Array.isArray(syncData.quicklinksItems)) return [];
+    const itemsById = readActiveItemsMap(syncData);
+    // Pre-chunk (v5 and older) archives keep items under their own keys
+    const getItem = (id) => itemsById.get(id) ?? (isPlainObject(syncData[id]) ? syncData[id] : null);
+
+    const entries = [];
+    for (const id of syncData.quicklinksItems) {
+        if (typeof id !== 'string' || id === PAGE_BREAK || id.startsWith(SYSTEM_ITEM_PREFIX)) continue;
+        const item = getItem(id);
+        if (!item) continue;
+        if (item.type === 'folder' && isPlainObject(item.smart)) {
+            // Smart folders carry a rule instead of children
+            entries.push({ type: 'folder', title: String(item.title || ''), children: [], smart: { ...item.smart } });
+        } else if (item.type === 'folder') {
+            entries.push(toFolderEntry(item, getItem, new Set([id])));
+        } else if (item.url) {
+            entries.push(toLinkEntry(item));
+        }
+    }
+    return entries;
+}
+
+/**
+ * @param {Set<string>} seen - Folder ids on the way down; a folder listed inside itself is skipped
+ */
+function toFolderEntry(folder, getItem, seen) {
+    const children = [];
+    for (const childId of Array.isArray(folder.children) ? folder.children : []) {
+        const child = typeof childId === 'string' && !seen.has(childId) ? getItem(childId) : null;
+        if (child?.type === 'folder' && !isPlainObject(child.smart)) {
+            children.push(toFolderEntry(child, getItem, new Set([...seen, childId])));
+        } else if (child && child.type !== 'folder' && child.url) {
+            children.push(toLinkEntry(child));
+        }
+    }
+    return { type: 'folder', title: String(folder.title || ''), children };
+}
+
+function flattenLinks(entries) {
+    return entries.flatMap((entry) => (entry.type === 'folder' ? flattenLinks(entry.children) : [entry]));
+}
+
+function countFolders(entries) {
+    return entries.reduce((count, entry) => (
+        entry.type === 'folder' ? count + 1 + countFolders(entry.children) : count
+    ), 0);
+}
+
+// ========== Preview ==========
+
+function countWorkspaces(syncData) {
+    const registry = syncData?.quicklinksWorkspaces;
+    return Array.isArray(registry?.list) && registry.list.length > 0 ? registry.list.length : 1;
+}
+
+/**
+ * Storage-backed part of the restore preview for one side (backup or current).
+ * @param {Object} syncData
+ * @param {Object} localData
+ */
+export function summarizeStorage(syncData, localData) {
+    const entries = extractQuicklinks(syncData);
+    const settingsKeys = [
+        ...Object.keys(isPlainObject(syncData) ? syncData : {}),
+        ...Object.keys(isPlainObject(localData) ? localData : {})
+    ].filter((key) => categorizeStorageKey(key) === 'settings');
+    const favorites = localData?.[FAVORITES_ITEMS_KEY];
+
+    return {
+        quicklinks: {
+            links: flattenLinks(entries).length,
+            folders: countFolders(entries),
+            workspaces: countWorkspaces(syncData)
+        },
+        settings: { keys: settingsKeys.length },
+        favorites: { items: isPlainObject(favorites) ? Object.keys(favorites).length : 0 }
+    };
+}
+
+/**
+ * Differences the restore would bring, per category.
+ * @param {{ sync: Object, local: Object }} current
+ * @param {{ sync: Object, local: Object }} backup
+ * @returns {{ quicklinks: { newByUrl: number }, settings: { added: number, changed: number, removed: number } }}
+ */
+export function diffStorage(current, backup) {
+    const known = new Set(flattenLinks(extractQuicklinks(current.sync)).map((link) => normalizeUrlForDeduplication(link.url)));
+    const incoming = new Set(flattenLinks(extractQuicklinks(backup.sync))
+        .map((link) => normalizeUrlForDeduplication(link.url))
+        .filter((url) => url && !known.has(url)));
+
+    const settings = { added: 0, changed: 0, removed: 0 };
+    for (const area of ['sync', 'local']) {
+        const before = isPlainObject(current[area]) ? current[area] : {};
+        const after = isPlainObject(backup[area]) ? backup[area] : {};
+        for (const key of new Set([...Object.keys(before), ...Object.keys(after)])) {
+            if (categorizeStorageKey(key) !== 'settings') continue;
+            const inBefore = Object.prototype.hasOwnProperty.call(before, key);
+            const inAfter = Object.prototype.hasOwnProperty.call(after, key);
+            if (!inBefore) settings.added++;
+            else if (!inAfter) settings.removed++;
+            else if (JSON.stringify(before[key]) !== JSON.stringify(after[key])) settings.changed++;
+        }
+    }
+
+    return { quicklinks: { newByUrl: incoming.size }, settings };
+}
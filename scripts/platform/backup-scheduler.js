@@ -0,0 +1,458 @@
+/**
+ * Automatic WebDAV backups.
+ *
+ * Shared by the service worker (alarms, data-change debounce) and the Data settings panel
+ * (manual "Backup now", schedule form, status line). Schedule and status are per-device and
+ * live in local storage next to `webdavConfig`; none of them travel inside a backup archive.
+ *
+ * Incremental archives are named `aura-backup_<time>_inc_<chain start>.zip`, where the chain
+ * start is the time of the full archive they build on, so retention can keep whole chains
+ * from file names alone.
+ */
+
+import * as storageRepo from './storage-repo.js';
+import { getBackupManager } from './backup-manager.js';
+import { hashBytes, normalizeBackupManifest } from './backup-manifest.js';
+import { WebDAVClient, generateBackupFilename } from '../shared/webdav-client.js';
+
+export const WEBDAV_CONFIG_KEY = 'webdavConfig';
+export const BACKUP_SCHEDULE_KEY = 'webdavBackupSchedule';
+export const BACKUP_STATUS_KEY = 'webdavBackupStatus';
+/** Manifest of the last uploaded archive: the base of the next incremental one */
+export const BACKUP_MANIFEST_KEY = 'webdavBackupManifest';
+
+export const BACKUP_SCHEDULE_ALARM = 'webdavScheduledBackup';
+export const BACKUP_CHANGE_ALARM = 'webdavChangeBackup';
+
+export const BACKUP_SCHEDULE_MODES = Object.freeze(['off', 'daily', 'weekly', 'change']);
+
+export const BACKUP_RETENTION_BOUNDS = Object.freeze({
+    keepLast: Object.freeze({ min: 1, max: 100 }),
+    keepWeekly: Object.freeze({ min: 0, max: 52 }),
+    fullEvery: Object.freeze({ min: 1, max: 30 })
+});
+
+export const BACKUP_SCHEDULE_DEFAULTS = Object.freeze({
+    mode: 'off',
+    keepLast: 10,
+    keepWeekly: 4,
+    incremental: false,
+    // Incremental archives allowed after a full one before the next full backup
+    fullEvery: 6
+});
+
+const PERIOD_MINUTES = Object.freeze({
+    daily: 24 * 60,
+    weekly: 7 * 24 * 60
+});
+
+/** Quiet period after the last data change before an on-change backup runs */
+const CHANGE_DEBOUNCE_MINUTES = 10;
+
+const STAMP_SOURCE = '(\\d{4})-(\\d{2})-(\\d{2})_(\\d{2})-(\\d{2})-(\\d{2})';
+const BACKUP_FILENAME_PATTERN = new RegExp(`^aura-backup_${STAMP_SOURCE}(?:_inc_${STAMP_SOURCE})?\\.zip$`);
+
+let _inFlight = null;
+
+// ========== Schedule ==========
+
+function clampInt(value, { min, max }, fallback) {
+    const num = Math.round(Number(value));
+    if (!Number.isFinite(num)) return fallback;
+    return Math.min(max, Math.max(min, num));
+}
+
+/**
+ * @param {unknown} raw
+ * @returns {{ mode: string, keepLast: number, keepWeekly: number, incremental: boolean, fullEvery: number }}
+ */
+export function normalizeBackupSchedule(raw) {
+    const source = raw && typeof raw === 'object' ? raw : {};
+    return {
+        mode: BACKUP_SCHEDULE_MODES.includes(source.mode) ? source.mode : BACKUP_SCHEDULE_DEFAULTS.mode,
+        keepLast: clampInt(source.keepLast, BACKUP_RETENTION_BOUNDS.keepLast, BACKUP_SCHEDULE_DEFAULTS.keepLast),
+        keepWeekly: clampInt(source.keepWeekly, BACKUP_RETENTION_BOUNDS.keepWeekly, BACKUP_SCHEDULE_DEFAULTS.keepWeekly),
+        incremental: source.incremental === true,
+        fullEvery: clampInt(source.fullEvery, BACKUP_RETENTION_BOUNDS.fullEvery, BACKUP_SCHEDULE_DEFAULTS.fullEvery)
+    };
+}
+
+export async function getBackupSchedule() {
+    return normalizeBackupSchedule(await storageRepo.local.get(BACKUP_SCHEDULE_KEY, null));
+}
+
+/**
+ * Merge a partial schedule into storage. The service worker re-arms its alarms on change.
+ * @param {Object} patch
+ */
+export async function saveBackupSchedule(patch) {
+    const next = normalizeBackupSchedule({ ...(await getBackupSchedule()), ...patch });
+    await storageRepo.local.setMultiple({ [BACKUP_SCHEDULE_KEY]: next });
+    return next;
+}
+
+/**
+ * @param {unknown} config
+ * @returns {boolean}
+ */
+export function isWebDAVConfigComplete(config) {
+    if (!config || typeof config !== 'object' || !config.username) return false;
+    try {
+        return ['http:', 'https:'].includes(new URL(config.baseUrl).protocol);
+    } catch {
+        return false;
+    }
+}
+
+// ========== Status ==========
+
+/**
+ * @returns {Promise<{ lastSuccess: Object|null, lastFailure: Object|null }>}
+ */
+export async function getBackupStatus() {
+    const raw = await storageRepo.local.get(BACKUP_STATUS_KEY, null);
+    return {
+        lastSuccess: raw?.lastSuccess && typeof raw.lastSuccess === 'object' ? raw.lastSuccess : null,
+        lastFailure: raw?.lastFailure && typeof raw.lastFailure === 'object' ? raw.lastFailure : null
+    };
+}
+
+async function recordStatus(ok, entry) {
+    try {
+        const status = await getBackupStatus();
+        await storageRepo.local.setMultiple({
+            [BACKUP_STATUS_KEY]: ok ? { ...status, lastSuccess: entry } : { ...status, lastFailure: entry }
+        });
+    } catch (error) {
+        console.error('[BackupScheduler] Failed to record status:', error);
+    }
+    return { ok, ...entry };
+}
+
+// ========== Retention ==========
+
+function stampToTime(parts) {
+    const [y, mo, d, h, mi, s] = parts.map(Number);
+    const time = new Date(y, mo - 1, d, h, mi, s).getTime();
+    return Number.isFinite(time) ? time : null;
+}
+
+/**
+ * Parse an Aura Tab archive name. Files we did not name ourselves are never pruned.
+ * @param {string} filename
+ * @returns {{ time: number, chainTime: number, incremental: boolean }|null} `chainTime` is the
+ *   time of the full archive the file builds on (its own time for a full archive)
+ */
+export function parseBackupFilename(filename) {
+    const match = BACKUP_FILENAME_PATTERN.exec(String(filename || ''));
+    if (!match) return null;
+    const time = stampToTime(match.slice(1, 7));
+    if (time === null) return null;
+    const incremental = match[7] !== undefined;
+    const chainTime = incremental ? stampToTime(match.slice(7, 13)) : time;
+    if (chainTime === null || chainTime > time) return null;
+    return { time, chainTime, incremental };
+}
+
+/**
+ * Timestamp encoded in an Aura Tab archive name, or null for any other file.
+ * @param {string} filename
+ * @returns {number|null}
+ */
+export function parseBackupFilenameTime(filename) {
+    return parseBackupFilename(filename)?.time ?? null;
+}
+
+/**
+ * Name of an incremental archive building on the chain that starts at `fullFilename`.
+ * @param {string} filename - Fresh name from generateBackupFilename()
+ * @param {string} fullFilename - First (full) archive of the chain
+ */
+export function toIncrementalFilename(filename, fullFilename) {
+    const stamp = /^aura-backup_(.+?)(?:_inc_.+)?\.zip$/.exec(fullFilename)?.[1];
+    return stamp ? filename.replace(/\.zip$/, `_inc_${stamp}.zip`) : filename;
+}
+
+function weekStart(time) {
+    const date = new Date(time);
+    date.setHours(0, 0, 0, 0);
+    date.setDate(date.getDate() - ((date.getDay() + 6) % 7));
+    return date.getTime();
+}
+
+/**
+ * Pick archives to delete: keep the newest `keepLast`, plus the newest archive of each of
+ * the `keepWeekly` most recent weeks (Monday-based, local time). A kept incremental archive
+ * also keeps every earlier archive of its chain, since it may read blobs from any of them.
+ * @param {{ filename: string }[]} files - Result of WebDAVClient.listFiles()
+ * @param {{ keepLast?: number, keepWeekly?: number }} policy
+ * @returns {{ filename: string }[]}
+ */
+export function selectBackupsToPrune(files, policy) {
+    const { keepLast, keepWeekly } = normalizeBackupSchedule(policy);
+    const dated = (Array.isArray(files) ? files : [])
+        .map(file => ({ file, ...parseBackupFilename(file?.filename) }))
+        .filter(entry => entry.time !== undefined)
+        .sort((a, b) => b.time - a.time);
+
+    const keep = new Set(dated.slice(0, keepLast).map(entry => entry.file.filename));
+    const weeks = new Set();
+    for (const entry of dated) {
+        if (weeks.size >= keepWeekly) break;
+        const week = weekStart(entry.time);
+        if (weeks.has(week)) continue;
+        weeks.add(week);
+        keep.add(entry.file.filename);
+    }
+
+    for (const kept of dated.filter(entry => entry.incremental && keep.has(entry.file.filename))) {
+        for (const entry of dated) {
+            if (entry.chainTime === kept.chainTime && entry.time < kept.time) {
+                keep.add(entry.file.filename);
+            }
+        }
+    }
+
+    return dated.filter(entry => !keep.has(entry.file.filename)).map(entry => entry.file);
+}
+
+/**
+ * @param {WebDAVClient} client
+ * @param {Object} policy
+ * @returns {Promise<string[]>} Deleted filenames
+ */
+export async function applyRetentionPolicy(client, policy) {
+    const files = await client.listFiles();
+    const deleted = [];
+    for (const file of selectBackupsToPrune(files, policy)) {
+        if (await client.deleteFile(file.filename)) {
+            deleted.push(file.filename);
+        }
+    }
+    return deleted;
+}
+
+// ========== Incremental Chain ==========
+
+async function passphraseFingerprint(passphrase) {
+    return passphrase ? hashBytes(new TextEncoder().encode(passphrase)) : '';
+}
+
+/**
+ * Manifest the next archive can build on, or null when a full backup is due: incremental mode
+ * off, chain long enough, passphrase changed, or an archive of the chain gone from the server.
+ * @param {WebDAVClient} client
+ * @param {Object} schedule - Normalized schedule
+ * @param {string} fingerprint
+ */
+async function resolveIncrementalBase(client, schedule, fingerprint) {
+    if (!schedule.incremental) return null;
+    const stored = await storageRepo.local.get(BACKUP_MANIFEST_KEY, null);
+    const base = normalizeBackupManifest(stored);
+    if (!base || stored.fingerprint !== fingerprint) return null;
+    if (base.chain.length > schedule.fullEvery) return null;
+
+    const remote = new Set((await client.listFiles()).map(file => file.filename));
+    return base.chain.every(name => remote.has(name)) ? base : null;
+}
+
+async function rememberManifest(manifest, fingerprint) {
+    if (!manifest) {
+        await storageRepo.local.remove(BACKUP_MANIFEST_KEY);
+        return;
+    }
+    await storageRepo.local.setMultiple({ [BACKUP_MANIFEST_KEY]: { ...manifest, fingerprint } });
+}
+
+// ========== Backup Run ==========
+
+/**
+ * Create an archive (encrypted when the config has a passphrase; incremental when enabled and a
+ * usable base exists), upload it and prune old ones (only while a schedule is active).
+ * Concurrent calls in the same context share one run.
+ * @param {{ trigger?: 'manual'|'schedule'|'change', config?: Object, onProgress?: Function }} [options]
+ * @returns {Promise<{ ok: boolean, at: number, trigger: string, filename?: string, incremental?: boolean, error?: string }>}
+ */
+export function runWebDAVBackup(options = {}) {
+    if (!_inFlight) {
+        _inFlight = _runWebDAVBackup(options).finally(() => {
+            _inFlight = null;
+        });
+    }
+    return _inFlight;
+}
+
+async function _runWebDAVBackup({ trigger = 'manual', config = null, onProgress } = {}) {
+    const resolvedConfig = config ?? await storageRepo.local.get(WEBDAV_CONFIG_KEY, null);
+    if (!isWebDAVConfigComplete(resolvedConfig)) {
+        return recordStatus(false, { at: Date.now(), trigger, error: 'not_configured' });
+    }
+
+    let cleanup = null;
+    try {
+        const passphrase = resolvedConfig.encryptionPassphrase || '';
+        const schedule = await getBackupSchedule();
+        const client = new WebDAVClient(resolvedConfig);
+        if (!await client.ensureDir()) {
+            throw new Error('dir_create_failed');
+        }
+
+        const fingerprint = await passphraseFingerprint(passphrase);
+        const base = await resolveIncrementalBase(client, schedule, fingerprint);
+        const filename = base
+            ? toIncrementalFilename(generateBackupFilename(), base.chain[0])
+            : generateBackupFilename();
+
+        const backup = await getBackupManager().createBackupForUpload({
+            onProgress,
+            passphrase,
+            manifest: schedule.incremental ? { archive: filename, base } : undefined
+        });
+        cleanup = backup.cleanup;
+
+        if (!await client.putFile(filename, backup.blob)) {
+            throw new Error('upload_failed');
+        }
+        await rememberManifest(backup.manifest, fingerprint);
+
+        const pruned = schedule.mode === 'off' ? [] : await applyRetentionPolicy(client, schedule);
+
+        return recordStatus(true, {
+            at: Date.now(),
+            trigger,
+            filename,
+            size: backup.blob?.size || 0,
+            encrypted: Boolean(passphrase),
+            incremental: Boolean(base),
+            pruned: pruned.length
+        });
+    } catch (error) {
+        console.error('[BackupScheduler] Backup failed:', error);
+        return recordStatus(false, { at: Date.now(), trigger, error: error?.message || String(error) });
+    } finally {
+        try { await cleanup?.(); } catch { /* best-effort temp file cleanup */ }
+    }
+}
+
+/**
+ * Rewrite an incremental archive as a self-contained full archive with the same timestamp.
+ * The incremental original is deleted unless a later archive of its chain may still read from it.
+ * @param {string} filename
+ * @param {{ config?: Object, onProgress?: Function }} [options]
+ * @returns {Promise<{ ok: boolean, filename?: string, removed?: boolean, error?: string }>}
+ */
+export async function compactWebDAVBackup(filename, { config = null, onProgress } = {}) {
+    const parsed = parseBackupFilename(filename);
+    if (!parsed?.incremental) {
+        return { ok: false, error: 'not_incremental' };
+    }
+    const resolvedConfig = config ?? await storageRepo.local.get(WEBDAV_CONFIG_KEY, null);
+    if (!isWebDAVConfigComplete(resolvedConfig)) {
+        return { ok: false, error: 'not_configured' };
+    }
+
+    const client = new WebDAVClient(resolvedConfig);
+    const passphrase = resolvedConfig.encryptionPassphrase || '';
+    const fullFilename = filename.replace(/_inc_.+\.zip$/, '.zip');
+    let prepared = null;
+    let cleanup = null;
+    try {
+        const source = await client.getFile(filename);
+        if (!source) throw new Error('download_failed');
+
+        prepared = await getBackupManager().prepareRestore(source, {
+            passphrase,
+            preview: false,
+            onProgress,
+            resolveArchive: name => client.getFile(name)
+        });
+        if (!prepared.success) throw new Error(prepared.error);
+
+        const compacted = await prepared.compact({ archive: fullFilename, passphrase, onProgress });
+        cleanup = compacted.cleanup;
+        if (!await client.putFile(fullFilename, compacted.blob)) {
+            throw new Error('upload_failed');
+        }
+
+        const fingerprint = await passphraseFingerprint(passphrase);
+        const stored = await storageRepo.local.get(BACKUP_MANIFEST_KEY, null);
+        if (stored?.archive === filename && stored.fingerprint === fingerprint) {
+            await rememberManifest(compacted.manifest, fingerprint);
+        }
+
+        const files = await client.listFiles();
+        const hasDependents = files.some(file => {
+            const other = parseBackupFilename(file.filename);
+            return other?.chainTime === parsed.chainTime && other.time > parsed.time;
+        });
+        const removed = !hasDependents && await client.deleteFile(filename);
+
+        return { ok: true, filename: fullFilename, removed };
+    } catch (error) {
+        console.error('[BackupScheduler] Compaction failed:', error);
+        return { ok: false, error: error?.message || String(error) };
+    } finally {
+        try { await cleanup?.(); } catch { /* best-effort temp file cleanup */ }
+        await prepared?.discard?.();
+    }
+}
+
+// ========== Alarms (service worker) ==========
+
+/**
+ * Arm or clear the periodic alarm to match the stored schedule.
+ * An existing alarm with the same period is kept so service worker restarts do not postpone it.
+ */
+export async function syncBackupSchedule() {
+    const schedule = await getBackupSchedule();
+    const period = PERIOD_MINUTES[schedule.mode];
+
+    if (schedule.mode !== 'change') {
+        await chrome.alarms.clear(BACKUP_CHANGE_ALARM);
+    }
+    if (!period) {
+        await chrome.alarms.clear(BACKUP_SCHEDULE_ALARM);
+        return;
+    }
+
+    const existing = await chrome.alarms.get(BACKUP_SCHEDULE_ALARM);
+    if (existing?.periodInMinutes === period) return;
+
+    // First run is due one period after the last success (at least a minute from now)
+    const { lastSuccess } = await getBackupStatus();
+    const dueInMinutes = Math.ceil(((lastSuccess?.at || 0) + period * 60000 - Date.now()) / 60000);
+    await chrome.alarms.create(BACKUP_SCHEDULE_ALARM, {
+        delayInMinutes: Math.min(period, Math.max(1, dueInMinutes)),
+        periodInMinutes: period
+    });
+}
+
+/**
+ * Debounce an on-change backup after synced data changed. No-op unless the mode is 'change'.
+ */
+export async function scheduleChangeBackup() {
+    const schedule = await getBackupSchedule();
+    if (schedule.mode !== 'change') return false;
+    // Re-creating an alarm replaces it, which restarts the quiet period
+    await chrome.alarms.create(BACKUP_CHANGE_ALARM, { delayInMinutes: CHANGE_DEBOUNCE_MINUTES });
+    return true;
+}
+
+/**
+ * @param {string} alarmName
+ * @returns {boolean}
+ */
+export function isBackupAlarm(alarmName) {
+    return alarmName === BACKUP_SCHEDULE_ALARM || alarmName === BACKUP_CHANGE_ALARM;
+}
+
+/**
+ * Alarm entry point for the service worker.
+ * @param {string} alarmName
+ */
+export async function handleBackupAlarm(alarmName) {
+    if (!isBackupAlarm(alarmName)) return null;
+    const schedule = await getBackupSchedule();
+    if (schedule.mode === 'off') return null;
+    return runWebDAVBackup({ trigger: alarmName === BACKUP_CHANGE_ALARM ? 'change' : 'schedule' });
+}
@@ -9,6 +9,7 @@
 
 export const MSG = {
     FETCH_ICON: 'fetchIcon',
+    FETCH_SEARCH_SUGGESTIONS: 'fetchSearchSuggestions',
     REFRESH_BACKGROUND: 'refreshBackground',
     SHOW_CHANGELOG: 'showChangelog'
 };
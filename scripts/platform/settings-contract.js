@@ -16,6 +16,8 @@ export function createBackgroundSettingsDefaults(overrides = {}) {
     const safeOverrides = isPlainObject(overrides) ? overrides : {};
     const textureOverrides = isPlainObject(safeOverrides.texture) ? safeOverrides.texture : {};
     const apiKeysOverrides = isPlainObject(safeOverrides.apiKeys) ? safeOverrides.apiKeys : {};
+    const topicsOverrides = isPlainObject(safeOverrides.providerTopics) ? safeOverrides.providerTopics : {};
+    const gradientOverrides = isPlainObject(safeOverrides.gradient) ? safeOverrides.gradient : {};
 
     return {
         ...BACKGROUND_DEFAULT_SETTINGS,
@@ -27,6 +29,14 @@ export function createBackgroundSettingsDefaults(overrides = {}) {
         apiKeys: {
             ...(BACKGROUND_DEFAULT_SETTINGS.apiKeys || {}),
             ...apiKeysOverrides
+        },
+        providerTopics: {
+            ...(BACKGROUND_DEFAULT_SETTINGS.providerTopics || {}),
+            ...topicsOverrides
+        },
+        gradient: {
+            ...(BACKGROUND_DEFAULT_SETTINGS.gradient || {}),
+            ...gradientOverrides
         }
     };
 }
@@ -38,12 +48,17 @@ export const SYNC_SETTINGS_DEFAULTS = Object.freeze({
     preferredSearchEngine: 'default',
     useDefaultEngine: true,
     searchOpenInNewTab: false,
+    searchCustomEngines: Object.freeze([]),
+    searchEngineKeywords: Object.freeze({}),
+    searchHistoryEnabled: false,
+    searchSuggestProvider: 'off',
     searchActive: false,
     showSettingsBtn: true,
     showSearchBtn: true,
     launchpadShowNames: true,
     [SHORTCUT_SETTING_KEYS.focusSearch]: SHORTCUT_DEFAULTS[SHORTCUT_SETTING_KEYS.focusSearch],
     [SHORTCUT_SETTING_KEYS.openLaunchpad]: SHORTCUT_DEFAULTS[SHORTCUT_SETTING_KEYS.openLaunchpad],
+    [SHORTCUT_SETTING_KEYS.switchWorkspace]: SHORTCUT_DEFAULTS[SHORTCUT_SETTING_KEYS.switchWorkspace],
     macSettingsDismissOnOutsideClick: false,
     uiTheme: 'light',
     interfaceLanguage: 'auto',
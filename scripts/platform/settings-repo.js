@@ -4,7 +4,7 @@
  * Keep storage I/O centralized and stable:
  * - Single read path
  * - Single patch merge path
- * - Deep merge for nested texture/apiKeys
+ * - Deep merge for nested texture/apiKeys/providerTopics/gradient
  */
 
 import { createMachine } from './ui-state-machine.js';
@@ -82,7 +82,9 @@ export async function getBackgroundSettings() {
         return {
             ...backgroundSettings,
             texture: { ...(backgroundSettings.texture || {}) },
-            apiKeys: { ...(backgroundSettings.apiKeys || {}) }
+            apiKeys: { ...(backgroundSettings.apiKeys || {}) },
+            providerTopics: { ...(backgroundSettings.providerTopics || {}) },
+            gradient: { ...(backgroundSettings.gradient || {}) }
         };
     } catch (error) {
         console.error('[settings-repo] getBackgroundSettings failed:', error);
@@ -103,6 +105,12 @@ export async function setBackgroundSettings(next, source = 'unknown') {
     if (isPlainObject(safe.apiKeys)) {
         safe.apiKeys = { ...safe.apiKeys };
     }
+    if (isPlainObject(safe.providerTopics)) {
+        safe.providerTopics = { ...safe.providerTopics };
+    }
+    if (isPlainObject(safe.gradient)) {
+        safe.gradient = { ...safe.gradient };
+    }
 
     markSaving(source);
     try {
@@ -137,6 +145,14 @@ export async function patchBackgroundSettings(patch, source = 'unknown') {
         apiKeys: {
             ...(current.apiKeys || {}),
             ...((patch.apiKeys && typeof patch.apiKeys === 'object') ? patch.apiKeys : {})
+        },
+        providerTopics: {
+            ...(current.providerTopics || {}),
+            ...(isPlainObject(patch.providerTopics) ? patch.providerTopics : {})
+        },
+        gradient: {
+            ...(current.gradient || {}),
+            ...(isPlainObject(patch.gradient) ? patch.gradient : {})
         }
     };
 
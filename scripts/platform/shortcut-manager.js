@@ -62,17 +62,20 @@ const INVALID_IME_KEYS = new Set(['Process', 'Dead', 'Unidentified']);
 
 export const SHORTCUT_ACTIONS = Object.freeze({
     focusSearch: 'focusSearch',
-    openLaunchpad: 'openLaunchpad'
+    openLaunchpad: 'openLaunchpad',
+    switchWorkspace: 'switchWorkspace'
 });
 
 export const SHORTCUT_SETTING_KEYS = Object.freeze({
     focusSearch: 'shortcuts.focusSearch',
-    openLaunchpad: 'shortcuts.openLaunchpad'
+    openLaunchpad: 'shortcuts.openLaunchpad',
+    switchWorkspace: 'shortcuts.switchWorkspace'
 });
 
 export const SHORTCUT_DEFAULTS = Object.freeze({
     [SHORTCUT_SETTING_KEYS.focusSearch]: 'Mod+KeyK',
-    [SHORTCUT_SETTING_KEYS.openLaunchpad]: 'Mod+Period'
+    [SHORTCUT_SETTING_KEYS.openLaunchpad]: 'Mod+Period',
+    [SHORTCUT_SETTING_KEYS.switchWorkspace]: 'Alt+KeyW'
 });
 
 function safePlatformString(platform) {
@@ -173,7 +176,8 @@ export function normalizeShortcut(shortcut) {
 function toActionShortcuts(raw = {}) {
     return {
         focusSearch: raw?.[SHORTCUT_SETTING_KEYS.focusSearch],
-        openLaunchpad: raw?.[SHORTCUT_SETTING_KEYS.openLaunchpad]
+        openLaunchpad: raw?.[SHORTCUT_SETTING_KEYS.openLaunchpad],
+        switchWorkspace: raw?.[SHORTCUT_SETTING_KEYS.switchWorkspace]
     };
 }
 
@@ -205,9 +209,19 @@ export function resolveShortcutSettings(raw = {}) {
         }
     }
 
+    let switchWorkspace = normalizeActionShortcut(
+        incoming.switchWorkspace,
+        SHORTCUT_DEFAULTS[SHORTCUT_SETTING_KEYS.switchWorkspace]
+    );
+
+    if (switchWorkspace === focusSearch || switchWorkspace === openLaunchpad) {
+        switchWorkspace = SHORTCUT_DEFAULTS[SHORTCUT_SETTING_KEYS.switchWorkspace];
+    }
+
     return {
         focusSearch,
-        openLaunchpad
+        openLaunchpad,
+        switchWorkspace
     };
 }
 
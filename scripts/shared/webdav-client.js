@@ -228,44 +228,27 @@ export class WebDAVClient {
 
     _parseListResponse(xmlText) {
         try {
-            const parser = new DOMParser();
-            const doc = parser.parseFromString(xmlText, 'application/xml');
-
-            const parseError = doc.querySelector('parsererror');
-            if (parseError) {
-                console.error('[WebDAVClient] XML parse error:', parseError.textContent);
-                return [];
-            }
+            // Service workers have no DOMParser; fall back to a tag scanner there
+            const entries = typeof DOMParser === 'undefined'
+                ? this._extractEntriesFromText(xmlText)
+                : this._extractEntriesFromDom(xmlText);
+            if (!entries) return [];
 
             const files = [];
 
-            const responses = doc.querySelectorAll('response, D\\:response, d\\:response');
-
-            for (const response of responses) {
-                const hrefEl = response.querySelector('href, D\\:href, d\\:href');
-                const href = hrefEl?.textContent || '';
+            for (const entry of entries) {
+                if (entry.isCollection) continue;
 
-                const resourceType = response.querySelector('resourcetype, D\\:resourcetype, d\\:resourcetype');
-                const isCollection = resourceType?.querySelector('collection, D\\:collection, d\\:collection') !== null;
+                if (!entry.href.toLowerCase().endsWith('.zip')) continue;
 
-                if (isCollection) continue;
-
-                if (!href.toLowerCase().endsWith('.zip')) continue;
-
-                const decodedHref = decodeURIComponent(href);
+                const decodedHref = decodeURIComponent(entry.href);
                 const filename = decodedHref.split('/').filter(Boolean).pop() || '';
 
-                const lastModifiedEl = response.querySelector('getlastmodified, D\\:getlastmodified, d\\:getlastmodified');
-                const lastModified = lastModifiedEl?.textContent || '';
-
-                const contentLengthEl = response.querySelector('getcontentlength, D\\:getcontentlength, d\\:getcontentlength');
-                const contentLength = parseInt(contentLengthEl?.textContent || '0', 10);
-
                 files.push({
                     filename,
                     href: decodedHref,
-                    lastModified,
-                    contentLength
+                    lastModified: entry.lastModified,
+                    contentLength: parseInt(entry.contentLength || '0', 10)
                 });
             }
 
@@ -281,6 +264,63 @@ export class WebDAVClient {
             return [];
         }
     }
+
+    _extractEntriesFromDom(xmlText) {
+        const parser = new DOMParser();
+        const doc = parser.parseFromString(xmlText, 'application/xml');
+
+        const parseError = doc.querySelector('parsererror');
+        if (parseError) {
+            console.error('[WebDAVClient] XML parse error:', parseError.textContent);
+            return null;
+        }
+
+        const entries = [];
+        const responses = doc.querySelectorAll('response, D\\:response, d\\:response');
+
+        for (const response of responses) {
+            const hrefEl = response.querySelector('href, D\\:href, d\\:href');
+            const resourceType = response.querySelector('resourcetype, D\\:resourcetype, d\\:resourcetype');
+            const lastModifiedEl = response.querySelector('getlastmodified, D\\:getlastmodified, d\\:getlastmodified');
+            const contentLengthEl = response.querySelector('getcontentlength, D\\:getcontentlength, d\\:getcontentlength');
+
+            entries.push({
+                href: hrefEl?.textContent || '',
+                isCollection: resourceType?.querySelector('collection, D\\:collection, d\\:collection') !== null,
+                lastModified: lastModifiedEl?.textContent || '',
+                contentLength: contentLengthEl?.textContent || '0'
+            });
+        }
+
+        return entries;
+    }
+
+    _extractEntriesFromText(xmlText) {
+        const ns = '(?:[\\w.-]+:)?';
+        const readTag = (block, name) => {
+            const match = block.match(new RegExp(`<${ns}${name}\\b[^>]*>([\\s\\S]*?)</${ns}${name}>`, 'i'));
+            return match ? this._decodeXmlEntities(match[1].trim()) : '';
+        };
+
+        const blocks = String(xmlText || '').match(new RegExp(`<${ns}response\\b[\\s\\S]*?</${ns}response>`, 'gi')) || [];
+        return blocks.map(block => ({
+            href: readTag(block, 'href'),
+            isCollection: new RegExp(`<${ns}collection\\b`, 'i').test(block),
+            lastModified: readTag(block, 'getlastmodified'),
+            contentLength: readTag(block, 'getcontentlength') || '0'
+        }));
+    }
+
+    _decodeXmlEntities(text) {
+        return text
+            .replace(/&lt;/g, '<')
+            .replace(/&gt;/g, '>')
+            .replace(/&quot;/g, '"')
+            .replace(/&apos;/g, "'")
+            .replace(/&#(\d+);/g, (_, code) => String.fromCodePoint(Number(code)))
+            .replace(/&#x([0-9a-f]+);/gi, (_, code) => String.fromCodePoint(parseInt(code, 16)))
+            .replace(/&amp;/g, '&');
+    }
 }
 
 export function generateBackupFilename() {
@@ -0,0 +1,89 @@
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import {
+    GRADIENT_PRESETS,
+    buildGradientCss,
+    getGradientAverageColor,
+    normalizeGradient
+} from '../scripts/domains/backgrounds/gradient.js';
+import { backgroundApplyMethods } from '../scripts/domains/backgrounds/image-pipeline.js';
+import { backgroundSystem } from '../scripts/domains/backgrounds/controller.js';
+
+describe('gradient settings', () => {
+    it('normalizes mode, angle and stops', () => {
+        expect(normalizeGradient({
+            mode: 'conic',
+            angle: -90,
+            stops: [{ color: '#FFF', pos: 80 }, { color: 'red', pos: 10 }, { color: '#112233', pos: 140 }, { color: '#000000', pos: -5 }],
+            animate: 'yes'
+        })).toEqual({
+            mode: 'conic',
+            angle: 270,
+            stops: [{ color: '#000000', pos: 0 }, { color: '#ffffff', pos: 80 }, { color: '#112233', pos: 100 }],
+            animate: false
+        });
+
+        const fallback = normalizeGradient({ mode: 'diamond', stops: [{ color: '#123456', pos: 0 }], animate: true });
+        expect(fallback.mode).toBe('linear');
+        expect(fallback.stops).toEqual([{ color: '#1a1a2e', pos: 0 }, { color: '#0f3460', pos: 100 }]);
+        expect(fallback.animate).toBe(true);
+
+        const many = Array.from({ length: 9 }, (_, i) => ({ color: '#abcdef', pos: i * 10 }));
+        expect(normalizeGradient({ stops: many }).stops).toHaveLength(6);
+    });
+
+    it('builds CSS for each mode and averages the stops', () => {
+        const stops = [{ color: '#000000', pos: 0 }, { color: '#ffffff', pos: 100 }];
+        expect(buildGradientCss({ mode: 'linear', angle: 45, stops })).toBe('linear-gradient(45deg, #000000 0%, #ffffff 100%)');
+        expect(buildGradientCss({ mode: 'radial', angle: 45, stops })).toBe('radial-gradient(circle at 50% 50%, #000000 0%, #ffffff 100%)');
+        expect(buildGradientCss({ mode: 'conic', angle: 45, stops })).toBe('conic-gradient(from 45deg at 50% 50%, #000000 0%, #ffffff 100%)');
+        expect(getGradientAverageColor({ stops })).toBe('#808080');
+
+        for (const preset of GRADIENT_PRESETS) {
+            expect(normalizeGradient(preset).stops).toEqual(preset.stops);
+        }
+    });
+});
+
+describe('gradient backgrounds', () => {
+    afterEach(() => {
+        backgroundSystem.destroy();
+        document.documentElement.style.removeProperty('--gradient-background');
+        vi.restoreAllMocks();
+    });
+
+    it('paints the gradient on the colour layer and reports its average colour', () => {
+        const wrapper = document.createElement('div');
+        const mediaContainer = document.createElement('div');
+        mediaContainer.innerHTML = '<div class="background-image ready"></div>';
+        const ctx = { wrapper, mediaContainer, _emitBackgroundApplied: vi.fn(), _clearBackgroundMedia: backgroundApplyMethods._clearBackgroundMedia };
+
+        backgroundApplyMethods.applyGradientBackground.call(ctx, {
+            mode: 'linear',
+            angle: 90,
+            stops: [{ color: '#000000', pos: 0 }, { color: '#ffffff', pos: 100 }],
+            animate: true
+        });
+
+        const css = 'linear-gradient(90deg, #000000 0%, #ffffff 100%)';
+        expect(document.documentElement.style.getPropertyValue('--gradient-background')).toBe(css);
+        expect(document.documentElement.style.getPropertyValue('--solid-background')).toBe('#808080');
+        expect(wrapper.dataset.type).toBe('gradient');
+        expect(wrapper.dataset.gradientAnimate).toBe('true');
+        expect(mediaContainer.children).toHaveLength(0);
+        expect(ctx._emitBackgroundApplied).toHaveBeenCalledWith({ type: 'gradient', element: null, color: '#808080', gradient: css });
+    });
+
+    it('applies the gradient type without reusing the stored photo', async () => {
+        const gradient = { mode: 'radial', angle: 0, stops: [{ color: '#ffecd2', pos: 0 }, { color: '#fcb69f', pos: 100 }], animate: false };
+        backgroundSystem.settings = { ...backgroundSystem.settings, type: 'gradient', frequency: 'never', gradient, scheduleRules: [] };
+        backgroundSystem.currentBackground = { format: 'image', id: 'old', urls: { full: 'https://example.com/a.jpg' } };
+        backgroundSystem.lastChange = new Date().toISOString();
+        const gradientSpy = vi.spyOn(backgroundSystem, 'applyGradientBackground').mockImplementation(() => { });
+        const applySpy = vi.spyOn(backgroundSystem, '_applyBackgroundInternal');
+
+        await backgroundSystem.loadBackground(false);
+
+        expect(gradientSpy).toHaveBeenCalledWith(gradient);
+        expect(applySpy).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,93 @@
+// jsdom's Blob has no arrayBuffer(); the extension runs against the platform Blob
+import { Blob } from 'node:buffer';
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import { motionPlaybackMethods, shouldPauseMotion } from '../scripts/domains/backgrounds/motion-playback.js';
+import { isAnimatedImage, isVideoFile } from '../scripts/domains/backgrounds/image-pipeline.js';
+
+const gif = (frames) => {
+    const frame = [0x21, 0xF9, 0x04, 0x00, 0x0A, 0x00, 0x00, 0x00, 0x2C];
+    return new Blob([new Uint8Array([0x47, 0x49, 0x46, 0x38, 0x39, 0x61, ...Array(frames).fill(frame).flat(), 0x3B])], { type: 'image/gif' });
+};
+
+const webp = (chunk, flags = 0) => {
+    const bytes = new Uint8Array(30);
+    bytes.set([...'RIFF'].map(ch => ch.charCodeAt(0)), 0);
+    bytes.set([...'WEBP'].map(ch => ch.charCodeAt(0)), 8);
+    bytes.set([...chunk].map(ch => ch.charCodeAt(0)), 12);
+    bytes[20] = flags;
+    return new Blob([bytes], { type: 'image/webp' });
+};
+
+describe('motion file detection', () => {
+    it('accepts mp4/webm videos and spots animated GIF/WebP files', async () => {
+        expect(isVideoFile({ type: 'video/mp4' })).toBe(true);
+        expect(isVideoFile('video/webm')).toBe(true);
+        expect(isVideoFile({ type: 'video/quicktime' })).toBe(false);
+
+        expect(await isAnimatedImage(gif(3))).toBe(true);
+        expect(await isAnimatedImage(gif(1))).toBe(false);
+        expect(await isAnimatedImage(webp('VP8X', 0x02))).toBe(true);
+        expect(await isAnimatedImage(webp('VP8X', 0x10))).toBe(false);
+        expect(await isAnimatedImage(webp('VP8 '))).toBe(false);
+        expect(await isAnimatedImage(new Blob([], { type: 'image/png' }))).toBe(false);
+    });
+});
+
+describe('motion playback', () => {
+    afterEach(() => {
+        vi.restoreAllMocks();
+    });
+
+    it('pauses for hidden tabs and battery saver modes', () => {
+        expect(shouldPauseMotion({})).toBe(false);
+        expect(shouldPauseMotion({ hidden: true })).toBe(true);
+        expect(shouldPauseMotion({ hidden: true, pauseHidden: false })).toBe(false);
+
+        const low = { charging: false, level: 0.15 };
+        const half = { charging: false, level: 0.5 };
+        expect(shouldPauseMotion({ battery: low })).toBe(true);
+        expect(shouldPauseMotion({ battery: half })).toBe(false);
+        expect(shouldPauseMotion({ battery: { ...low, charging: true } })).toBe(false);
+        expect(shouldPauseMotion({ battery: half, powerSaver: 'unplugged' })).toBe(true);
+        expect(shouldPauseMotion({ battery: low, powerSaver: 'off' })).toBe(false);
+        expect(shouldPauseMotion({ saveData: true })).toBe(true);
+    });
+
+    it('plays only the newest layer and falls back to the still when paused', () => {
+        const play = vi.spyOn(HTMLMediaElement.prototype, 'play').mockImplementation(() => Promise.resolve());
+        const pause = vi.spyOn(HTMLMediaElement.prototype, 'pause').mockImplementation(() => { });
+        const mediaContainer = document.createElement('div');
+        const ctx = { ...motionPlaybackMethods, mediaContainer, settings: { motionPauseHidden: true, motionPowerSaver: 'low' }, _battery: null };
+
+        const animated = document.createElement('div');
+        animated.className = 'background-image';
+        animated.style.backgroundImage = 'url(blob:still-a)';
+        ctx._attachMotionLayer(animated, { urls: { motion: 'blob:motion-a' }, file: { motion: 'animated' } });
+        mediaContainer.prepend(animated);
+        ctx._syncMotionPlayback();
+        expect(animated.style.backgroundImage).toBe('url("blob:motion-a")');
+
+        const video = document.createElement('div');
+        video.className = 'background-image';
+        ctx._attachMotionLayer(video, {
+            urls: { motion: 'blob:motion-b' },
+            file: { motion: 'video', position: { size: 'contain', x: '20%', y: '80%' } }
+        });
+        const el = video.querySelector('video.background-motion');
+        expect(el.muted).toBe(true);
+        expect(el.loop).toBe(true);
+        expect(el.style.objectFit).toBe('contain');
+        expect(el.style.objectPosition).toBe('20% 80%');
+        expect(video.dataset.motionUrl).toBe('blob:motion-b');
+
+        mediaContainer.prepend(video);
+        ctx._syncMotionPlayback();
+        expect(play).toHaveBeenCalledTimes(1);
+        expect(animated.style.backgroundImage).toBe('url("blob:still-a")');
+
+        ctx._battery = { charging: false, level: 0.1 };
+        ctx._syncMotionPlayback();
+        expect(pause).toHaveBeenCalled();
+        expect(play).toHaveBeenCalledTimes(1);
+    });
+});
@@ -0,0 +1,127 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { getStorageData, setStorageData } from './setup.js';
+import {
+    normalizePlaylist,
+    orderPlaylistSources,
+    parsePlaylistColors,
+    rememberPlaylistPick
+} from '../scripts/domains/backgrounds/playlist.js';
+import { bingProvider, unsplashProvider } from '../scripts/domains/backgrounds/source-remote.js';
+import { localFilesManager } from '../scripts/domains/backgrounds/source-local.js';
+import { backgroundSystem } from '../scripts/domains/backgrounds/controller.js';
+
+describe('playlist settings', () => {
+    it('keeps one weighted entry per known source', () => {
+        expect(normalizePlaylist([
+            { source: 'bing', weight: 2 },
+            { source: 'bing', weight: 5 },
+            { source: 'files', weight: 9 },
+            { source: 'pexels', weight: 0 },
+            { source: 'nope', weight: 1 },
+            { source: 'color', weight: '1', colors: '#AABBCC, red, #aabbcc #112233' }
+        ])).toEqual([
+            { source: 'bing', weight: 2 },
+            { source: 'files', weight: 5 },
+            { source: 'color', weight: 1, colors: ['#aabbcc', '#112233'] }
+        ]);
+        expect(normalizePlaylist(null)).toEqual([]);
+        expect(parsePlaylistColors(Array.from({ length: 20 }, (_, i) => `#0000${String(i).padStart(2, '0')}`))).toHaveLength(12);
+    });
+
+    it('spreads turns by weight and remembers recent picks', () => {
+        const entries = [{ source: 'files', weight: 2 }, { source: 'bing', weight: 1 }];
+        let credits = {};
+        const turns = [];
+        for (let i = 0; i < 6; i++) {
+            const step = orderPlaylistSources(entries, credits);
+            turns.push(step.order[0]);
+            credits = step.credits;
+        }
+        expect(turns).toEqual(['files', 'bing', 'files', 'files', 'bing', 'files']);
+        expect(orderPlaylistSources(entries, {}).order).toEqual(['files', 'bing']);
+
+        expect(rememberPlaylistPick(['a', 'b', 'c'], 'a', 3)).toEqual(['b', 'c', 'a']);
+        expect(rememberPlaylistPick(['a', 'b', 'c'], 'd', 3)).toEqual(['b', 'c', 'd']);
+    });
+});
+
+describe('playlist picks', () => {
+    beforeEach(() => {
+        setStorageData({}, 'local');
+        vi.spyOn(localFilesManager, 'init').mockResolvedValue();
+        localFilesManager.files = new Map([['local-1', { id: 'local-1' }]]);
+        vi.spyOn(localFilesManager, 'getFile').mockImplementation(async (id) => ({
+            format: 'image',
+            id,
+            file: { id },
+            urls: { full: `blob:${id}`, small: `blob:${id}` }
+        }));
+    });
+
+    afterEach(() => {
+        localFilesManager.files = new Map();
+        backgroundSystem.destroy();
+        vi.restoreAllMocks();
+    });
+
+    function usePlaylist(playlist, apiKeys = {}) {
+        backgroundSystem.settings = {
+            ...backgroundSystem.settings,
+            type: 'playlist',
+            apiKeys: { unsplash: '', pixabay: '', pexels: '', ...apiKeys },
+            providerTopics: {},
+            playlist
+        };
+    }
+
+    it('hands the turn on when a provider has no key or fails', async () => {
+        vi.spyOn(console, 'warn').mockImplementation(() => { });
+        usePlaylist([{ source: 'unsplash', weight: 3 }, { source: 'bing', weight: 2 }, { source: 'files', weight: 1 }]);
+        const unsplashSpy = vi.spyOn(unsplashProvider, 'fetchRandom');
+        const bingSpy = vi.spyOn(bingProvider, 'fetchRandom').mockRejectedValue(new Error('offline'));
+
+        const picked = await backgroundSystem.getPlaylistBackground();
+
+        expect(unsplashSpy).not.toHaveBeenCalled();
+        expect(bingSpy).toHaveBeenCalledTimes(1);
+        expect(picked).toMatchObject({ type: 'files', background: { id: 'local-1' } });
+        expect(getStorageData('local').backgroundPlaylistState).toEqual({
+            credits: { unsplash: -3, bing: 2, files: 1 },
+            history: ['local-1']
+        });
+    });
+
+    it('skips recent photos and stamps the provider on remote picks', async () => {
+        usePlaylist([{ source: 'unsplash', weight: 1 }, { source: 'files', weight: 1 }], { unsplash: '1234567890abcdef' });
+        setStorageData({ backgroundPlaylistState: { credits: {}, history: ['u-1', 'local-1'] } }, 'local');
+        const unsplashSpy = vi.spyOn(unsplashProvider, 'fetchRandom')
+            .mockResolvedValueOnce({ format: 'image', id: 'u-1', urls: {} })
+            .mockResolvedValueOnce({ format: 'image', id: 'u-2', urls: {} });
+
+        const picked = await backgroundSystem.getPlaylistBackground();
+
+        expect(unsplashSpy).toHaveBeenCalledTimes(2);
+        expect(picked).toEqual({ type: 'unsplash', background: { format: 'image', id: 'u-2', urls: {}, provider: 'unsplash' } });
+        expect(getStorageData('local').backgroundPlaylistState.history).toEqual(['u-1', 'local-1', 'u-2']);
+    });
+
+    it('repeats a recent background rather than showing nothing', async () => {
+        usePlaylist([{ source: 'files', weight: 1 }]);
+        setStorageData({ backgroundPlaylistState: { credits: {}, history: ['local-1'] } }, 'local');
+
+        const picked = await backgroundSystem.getPlaylistBackground();
+
+        expect(picked?.background.id).toBe('local-1');
+    });
+
+    it('applies colour entries as a solid background', async () => {
+        usePlaylist([{ source: 'color', weight: 1, colors: ['#112233', '#445566'] }]);
+        setStorageData({ backgroundPlaylistState: { credits: {}, history: ['color-#112233'] } }, 'local');
+        const colorSpy = vi.spyOn(backgroundSystem, 'applyColorBackground').mockImplementation(() => { });
+
+        await backgroundSystem.loadBackground(true);
+
+        expect(colorSpy).toHaveBeenCalledWith('#445566');
+        expect(backgroundSystem.currentBackground).toEqual({ format: 'color', id: 'color-#445566', color: '#445566' });
+    });
+});
@@ -0,0 +1,167 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { getStorageData, setStorageData } from './setup.js';
+import {
+    buildProviderQueries,
+    getQueryCacheKey,
+    getViewportOrientation,
+    parseCollectionIds,
+    parseTopicList
+} from '../scripts/domains/backgrounds/provider-query.js';
+import { pexelsProvider, pixabayProvider, unsplashProvider } from '../scripts/domains/backgrounds/source-remote.js';
+import { BackgroundMetadataCache } from '../scripts/domains/backgrounds/controller-actions.js';
+import { backgroundSystem } from '../scripts/domains/backgrounds/controller.js';
+
+const jsonResponse = (body) => new Response(JSON.stringify(body), {
+    status: 200,
+    headers: { 'Content-Type': 'application/json' }
+});
+
+describe('provider query settings', () => {
+    it('parses topic lists and collection ids', () => {
+        expect(parseTopicList(' mountains,  Architecture ,\nmountains, , city  lights')).toEqual(['mountains', 'Architecture', 'city lights']);
+        expect(parseTopicList(['a', 'A', ' b '])).toEqual(['a', 'b']);
+        expect(parseTopicList(Array.from({ length: 30 }, (_, i) => `t${i}`))).toHaveLength(20);
+
+        expect(parseCollectionIds('317099, https://unsplash.com/collections/1065976/wallpapers bad/id 317099'))
+            .toEqual(['317099', '1065976']);
+    });
+
+    it('builds the rotation list per source with the viewport orientation', () => {
+        const settings = {
+            providerTopics: { unsplash: ['mountains', 'architecture'], pexels: [] },
+            unsplashCollections: ['317099'],
+            matchOrientation: false
+        };
+
+        expect(buildProviderQueries(settings, 'unsplash', { orientation: 'portrait' })).toEqual([
+            { query: 'mountains' },
+            { query: 'architecture' },
+            { collections: '317099' }
+        ]);
+        expect(buildProviderQueries(settings, 'pexels')).toEqual([{}]);
+        expect(buildProviderQueries(settings, 'bing', { orientation: 'portrait' })).toEqual([{}]);
+        expect(buildProviderQueries({ ...settings, matchOrientation: true }, 'pixabay', { orientation: 'portrait' }))
+            .toEqual([{ orientation: 'portrait' }]);
+
+        expect(getViewportOrientation(1920, 1080)).toBe('landscape');
+        expect(getViewportOrientation(800, 1280)).toBe('portrait');
+        expect(getViewportOrientation(1000, 960)).toBe('squarish');
+
+        expect(getQueryCacheKey({})).toBe('');
+        expect(getQueryCacheKey('Mountains')).toBe(getQueryCacheKey({ query: 'mountains ' }));
+        expect(getQueryCacheKey({ query: 'mountains', orientation: 'portrait' })).not.toBe(getQueryCacheKey('mountains'));
+    });
+});
+
+describe('provider query requests', () => {
+    let originalFetch;
+
+    beforeEach(() => {
+        originalFetch = global.fetch;
+    });
+
+    afterEach(() => {
+        global.fetch = originalFetch;
+        vi.restoreAllMocks();
+    });
+
+    it('passes collections and orientation to Unsplash, and topic and orientation to Pixabay', async () => {
+        const fetchMock = vi.fn(async (url) => (String(url).includes('unsplash')
+            ? jsonResponse({ id: 'u-1', urls: { raw: 'https://images.unsplash.com/photo-1' } })
+            : jsonResponse({ hits: [{ id: 7, largeImageURL: 'https://cdn.pixabay.com/7.jpg', imageWidth: 900, imageHeight: 1600 }] })));
+        global.fetch = fetchMock;
+
+        await unsplashProvider.fetchRandom('1234567890abcdef', { query: 'ignored', collections: '317099', orientation: 'portrait' });
+        const unsplashUrl = new URL(String(fetchMock.mock.calls[0][0]));
+        expect(unsplashUrl.searchParams.get('collections')).toBe('317099');
+        expect(unsplashUrl.searchParams.get('query')).toBeNull();
+        expect(unsplashUrl.searchParams.get('orientation')).toBe('portrait');
+
+        fetchMock.mockClear();
+        await pixabayProvider.fetchRandom('1234567890abcdef', { query: 'mountains', orientation: 'portrait' });
+        const pixabayUrl = new URL(String(fetchMock.mock.calls[0][0]));
+        expect(pixabayUrl.searchParams.get('q')).toBe('mountains');
+        expect(pixabayUrl.searchParams.get('orientation')).toBe('vertical');
+    });
+
+    it('filters Pexels search server-side and curated photos client-side', async () => {
+        vi.spyOn(Math, 'random').mockReturnValue(0);
+        const photos = [
+            { id: 1, width: 3000, height: 2000, src: { original: 'https://images.pexels.com/1.jpeg' } },
+            { id: 2, width: 2000, height: 3000, src: { original: 'https://images.pexels.com/2.jpeg' } }
+        ];
+        const fetchMock = vi.fn(async () => jsonResponse({ photos }));
+        global.fetch = fetchMock;
+
+        await pexelsProvider.fetchRandom('1234567890abcdef', { query: 'city', orientation: 'squarish' });
+        const searchUrl = new URL(String(fetchMock.mock.calls[0][0]));
+        expect(searchUrl.pathname).toBe('/v1/search');
+        expect(searchUrl.searchParams.get('orientation')).toBe('square');
+
+        fetchMock.mockClear();
+        const curated = await pexelsProvider.fetchRandom('1234567890abcdef', { orientation: 'portrait' });
+        expect(new URL(String(fetchMock.mock.calls[0][0])).pathname).toBe('/v1/curated');
+        expect(curated.id).toBe('2');
+    });
+});
+
+describe('per-query metadata cache and topic rotation', () => {
+    afterEach(() => {
+        backgroundSystem.destroy();
+        vi.restoreAllMocks();
+    });
+
+    it('keeps a separate bucket per query and clears them per source', async () => {
+        const cache = new BackgroundMetadataCache();
+        const provider = { fetchRandom: vi.fn(async (apiKey, query) => ({ id: query?.query || 'random' })) };
+
+        await cache.prefetch('unsplash', provider, 'key', 2, { query: 'mountains' });
+        await cache.prefetch('unsplash', provider, 'key', 1);
+        expect(provider.fetchRandom).toHaveBeenCalledWith('key', { query: 'mountains' });
+        expect(cache.size('unsplash', { query: 'mountains' })).toBe(2);
+        expect(cache.size('unsplash', { query: 'architecture' })).toBe(0);
+        expect(cache.pop('unsplash', { query: 'architecture' })).toBeNull();
+        expect(cache.pop('unsplash')).toEqual({ id: 'random' });
+
+        await cache.prefetch('pexels', provider, 'key', 1, 'city');
+        cache.clear('unsplash');
+        expect(cache.size('unsplash', { query: 'mountains' })).toBe(0);
+        expect(cache.size('pexels', 'city')).toBe(1);
+    });
+
+    it('rotates topics across fetches through a stored cursor', async () => {
+        setStorageData({}, 'local');
+        backgroundSystem.settings = {
+            ...backgroundSystem.settings,
+            type: 'pixabay',
+            apiKeys: { ...backgroundSystem.settings.apiKeys, pixabay: '1234567890abcdef' },
+            providerTopics: { pixabay: ['mountains', 'architecture'] },
+            matchOrientation: true
+        };
+        const fetchSpy = vi.spyOn(pixabayProvider, 'fetchRandom').mockResolvedValue({ format: 'image', urls: {} });
+
+        await backgroundSystem.getProviderBackground('pixabay');
+        await backgroundSystem.getProviderBackground('pixabay');
+        await backgroundSystem.getProviderBackground('pixabay');
+
+        expect(fetchSpy.mock.calls.map(([, query]) => query)).toEqual([
+            { query: 'mountains', orientation: 'landscape' },
+            { query: 'architecture', orientation: 'landscape' },
+            { query: 'mountains', orientation: 'landscape' }
+        ]);
+        expect(getStorageData('local').backgroundQueryCursor).toEqual({ pixabay: 1 });
+        expect(await backgroundSystem._getProviderQuery('pixabay', { advance: false })).toEqual({ query: 'architecture', orientation: 'landscape' });
+        expect(getStorageData('local').backgroundQueryCursor).toEqual({ pixabay: 1 });
+    });
+
+    it('drops preloaded photos when the topics change', () => {
+        backgroundSystem.settings = { ...backgroundSystem.settings, type: 'unsplash', providerTopics: { unsplash: ['a'] } };
+        backgroundSystem.nextBackground = { type: 'unsplash', background: { id: 'old' } };
+        const clearSpy = vi.spyOn(backgroundSystem._metadataCache, 'clear');
+
+        backgroundSystem._handleSettingsChange({ ...backgroundSystem.settings, providerTopics: { unsplash: ['b'] } });
+
+        expect(backgroundSystem.nextBackground).toBeNull();
+        expect(clearSpy).toHaveBeenCalledWith('unsplash');
+    });
+});
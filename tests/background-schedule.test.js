@@ -0,0 +1,124 @@
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import { getStorageData, setStorageData } from './setup.js';
+import {
+    SCHEDULE_STATE_KEY,
+    getActiveScheduleRule,
+    getNextScheduleChange,
+    getSunTimes,
+    normalizeScheduleRule,
+    parseScheduleLocation,
+    syncScheduleTheme
+} from '../scripts/domains/backgrounds/schedule.js';
+import { backgroundSystem } from '../scripts/domains/backgrounds/controller.js';
+
+// Monday 2026-10-19, local time
+const at = (hours, minutes = 0, day = 19) => new Date(2026, 9, day, hours, minutes).getTime();
+
+const evenings = { id: 'evenings', from: 'sunset', to: 'sunrise', source: 'unsplash', topic: 'night sky', theme: 'dark' };
+const office = { id: 'office', days: [1, 2, 3, 4, 5], from: '09:00', to: '18:00', source: 'files' };
+const holiday = { id: 'holiday', date: '2026-10-19', from: '00:00', to: '00:00', source: 'color', color: '#AA0000' };
+
+describe('schedule rules', () => {
+    it('normalizes rules and drops unusable ones', () => {
+        expect(normalizeScheduleRule({ ...office, days: [5, 1, 1, 9], from: '25:00', extra: true })).toEqual({
+            id: 'office',
+            name: '',
+            enabled: true,
+            days: [1, 5],
+            date: '',
+            from: '00:00',
+            to: '18:00',
+            source: 'files',
+            theme: ''
+        });
+        expect(normalizeScheduleRule(holiday).color).toBe('#aa0000');
+        expect(normalizeScheduleRule({ source: 'color', color: 'red' })).toBeNull();
+        expect(normalizeScheduleRule({ source: 'image' })).toBeNull();
+        expect(normalizeScheduleRule({ source: 'nope' })).toBeNull();
+        expect(normalizeScheduleRule({ source: 'files' }).id).toMatch(/^rule_/);
+
+        expect(parseScheduleLocation('52.5200, 13.4050')).toEqual({ lat: 52.52, lon: 13.41 });
+        expect(parseScheduleLocation('95, 10')).toBeNull();
+        expect(parseScheduleLocation('')).toBeNull();
+    });
+
+    it('matches weekday windows, overnight windows and dated rules first', () => {
+        const settings = { scheduleRules: [office, evenings] };
+
+        expect(getActiveScheduleRule(settings, at(10))?.id).toBe('office');
+        expect(getActiveScheduleRule(settings, at(18, 30))).toBeNull();
+        // Without a location sunset/sunrise fall back to 19:00/07:00
+        expect(getActiveScheduleRule(settings, at(23))?.id).toBe('evenings');
+        expect(getActiveScheduleRule(settings, at(6, 59, 20))?.id).toBe('evenings');
+        // Saturday is outside the office days
+        expect(getActiveScheduleRule(settings, at(10, 0, 24))).toBeNull();
+
+        const withHoliday = { scheduleRules: [office, evenings, holiday] };
+        expect(getActiveScheduleRule(withHoliday, at(10))?.id).toBe('holiday');
+        expect(getActiveScheduleRule(withHoliday, at(10, 0, 20))?.id).toBe('office');
+        expect(getActiveScheduleRule({ scheduleRules: [{ ...office, enabled: false }] }, at(10))).toBeNull();
+    });
+
+    it('computes sun times and the next boundary', () => {
+        const sun = getSunTimes(new Date(2026, 5, 21), { lat: 52.52, lon: 13.4 });
+        expect(Math.abs(sun.sunrise - Date.UTC(2026, 5, 21, 2, 43))).toBeLessThan(5 * 60 * 1000);
+        expect(Math.abs(sun.sunset - Date.UTC(2026, 5, 21, 19, 33))).toBeLessThan(5 * 60 * 1000);
+        expect(getSunTimes(new Date(2026, 11, 21), { lat: 80, lon: 0 })).toBeNull();
+
+        const settings = { scheduleRules: [office, evenings] };
+        expect(getNextScheduleChange(settings, at(10))).toBe(at(18));
+        expect(getNextScheduleChange(settings, at(18, 30))).toBe(at(19));
+        expect(getNextScheduleChange(settings, at(23))).toBe(at(7, 0, 20));
+        expect(getNextScheduleChange({ scheduleRules: [] }, at(10))).toBeNull();
+    });
+
+    it('switches the theme for themed rules and restores it afterwards', async () => {
+        setStorageData({ uiTheme: 'light' }, 'sync');
+        setStorageData({}, 'local');
+        const settings = { scheduleRules: [evenings], scheduleSwitchTheme: true };
+        const rule = getActiveScheduleRule(settings, at(23));
+
+        expect(await syncScheduleTheme(settings, rule)).toBe('dark');
+        expect(getStorageData('sync').uiTheme).toBe('dark');
+        // Only boundaries switch, so a manual change in between sticks
+        expect(await syncScheduleTheme(settings, rule)).toBeNull();
+
+        expect(await syncScheduleTheme(settings, null)).toBe('light');
+        expect(getStorageData('sync').uiTheme).toBe('light');
+        expect(await syncScheduleTheme({ ...settings, scheduleSwitchTheme: false }, rule)).toBeNull();
+    });
+});
+
+describe('scheduled backgrounds', () => {
+    afterEach(() => {
+        backgroundSystem.destroy();
+        vi.useRealTimers();
+        vi.restoreAllMocks();
+    });
+
+    it('picks a new background when a rule starts, even if the refresh interval has not passed', async () => {
+        vi.useFakeTimers({ toFake: ['Date'] });
+        vi.setSystemTime(at(10));
+        setStorageData({}, 'local');
+        backgroundSystem.settings = {
+            ...backgroundSystem.settings,
+            type: 'color',
+            frequency: 'never',
+            scheduleRules: [holiday]
+        };
+        backgroundSystem.lastChange = new Date(at(9)).toISOString();
+        const colorSpy = vi.spyOn(backgroundSystem, 'applyColorBackground').mockImplementation(() => { });
+
+        await backgroundSystem.loadBackground(false);
+
+        expect(colorSpy).toHaveBeenCalledWith('#aa0000');
+        expect(getStorageData('local')[SCHEDULE_STATE_KEY]).toEqual({ ruleId: 'holiday' });
+        expect(backgroundSystem._isScheduleRuleChanged()).toBe(false);
+
+        vi.setSystemTime(at(10, 0, 20));
+        expect(backgroundSystem._isScheduleRuleChanged()).toBe(true);
+        await backgroundSystem.loadBackground(false);
+        expect(colorSpy).toHaveBeenLastCalledWith(backgroundSystem.settings.color);
+        expect(getStorageData('local')[SCHEDULE_STATE_KEY]).toEqual({ ruleId: null });
+    });
+});
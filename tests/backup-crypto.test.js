@@ -0,0 +1,105 @@
+/**
+ * Encrypted backup container tests
+ *
+ * Focus:
+ * - chunked AES-GCM round trip with the schema header kept in the clear
+ * - wrong passphrase is reported before any data is read
+ * - tampered and truncated archives fail authentication
+ * - BackupManager asks for a passphrase instead of treating the file as a broken ZIP
+ */
+
+// jsdom's Blob has no arrayBuffer()/stream(); the extension runs against the platform Blob
+import { Blob } from 'node:buffer';
+import { describe, expect, it } from 'vitest';
+import {
+    createBackupEncryptor,
+    isEncryptedBackup,
+    openEncryptedBackup,
+    readEncryptedBackupHeader,
+    verifyBackupPassphrase
+} from '../scripts/platform/backup-crypto.js';
+import { BackupManager } from '../scripts/platform/backup-manager.js';
+
+const TEST_OPTIONS = {
+    meta: { schema: 'aura-tab-webdav-backup', schemaVersion: 1 },
+    iterations: 1000,
+    chunkSize: 1024
+};
+
+function samplePayload(size) {
+    const bytes = new Uint8Array(size);
+    for (let i = 0; i < size; i++) bytes[i] = (i * 31 + 7) % 251;
+    return bytes;
+}
+
+async function encrypt(payload, passphrase = 'correct horse') {
+    const encryptor = await createBackupEncryptor(passphrase, TEST_OPTIONS);
+    const parts = [encryptor.prefix];
+    // Uneven pushes exercise chunk re-buffering
+    for (let offset = 0; offset < payload.length; offset += 700) {
+        parts.push(...await encryptor.push(payload.subarray(offset, offset + 700)));
+    }
+    parts.push(await encryptor.finish());
+    return new Blob(parts);
+}
+
+async function readAll(stream) {
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+describe('backup encryption', () => {
+    it('round-trips a multi-chunk archive', async () => {
+        const payload = samplePayload(5000);
+        const blob = await encrypt(payload);
+
+        expect(await isEncryptedBackup(blob)).toBe(true);
+        expect(await isEncryptedBackup(new Blob(['PK\u0003\u0004 plain zip']))).toBe(false);
+
+        const { header } = await readEncryptedBackupHeader(blob);
+        expect(header).toMatchObject({
+            schema: 'aura-tab-webdav-backup',
+            schemaVersion: 1,
+            encryption: { version: 1, kdf: { name: 'PBKDF2', iterations: 1000 }, cipher: { name: 'AES-GCM', chunkSize: 1024 } }
+        });
+
+        const opened = await openEncryptedBackup(blob, 'correct horse');
+        expect(await readAll(opened.stream())).toEqual(payload);
+    });
+
+    it('rejects a wrong passphrase with a dedicated error', async () => {
+        const blob = await encrypt(samplePayload(100));
+
+        expect(await verifyBackupPassphrase(blob, 'correct horse')).toBe(true);
+        expect(await verifyBackupPassphrase(blob, 'wrong')).toBe(false);
+        await expect(openEncryptedBackup(blob, 'wrong')).rejects.toThrow('backup_wrong_passphrase');
+    });
+
+    it('fails authentication on tampered or truncated data', async () => {
+        const blob = await encrypt(samplePayload(3000));
+        const bytes = new Uint8Array(await blob.arrayBuffer());
+
+        const tampered = bytes.slice();
+        tampered[tampered.length - 20] ^= 0xff;
+        const openedTampered = await openEncryptedBackup(new Blob([tampered]), 'correct horse');
+        await expect(readAll(openedTampered.stream())).rejects.toThrow('backup_decrypt_failed');
+
+        // Drop the final record: every remaining chunk is valid but the stream must not end cleanly
+        const truncated = bytes.slice(0, bytes.length - (3000 % 1024) - 16 - 5);
+        const openedTruncated = await openEncryptedBackup(new Blob([truncated]), 'correct horse');
+        await expect(readAll(openedTruncated.stream())).rejects.toThrow('backup_decrypt_failed');
+    });
+
+    it('asks for a passphrase when restoring an encrypted archive', async () => {
+        const blob = await encrypt(samplePayload(10));
+        const manager = new BackupManager();
+
+        expect(await manager.restoreFromBackup(blob)).toEqual({
+            success: false,
+            error: 'backup_passphrase_required'
+        });
+        expect(await manager.restoreFromBackup(blob, { passphrase: 'nope' })).toEqual({
+            success: false,
+            error: 'backup_wrong_passphrase'
+        });
+    });
+});
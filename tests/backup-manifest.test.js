@@ -0,0 +1,135 @@
+/**
+ * Incremental backup manifest tests
+ *
+ * Focus:
+ * - blobs already held by the base chain are referenced instead of stored
+ * - malformed manifests are rejected
+ * - restore reads referenced blobs from earlier archives into the staged paths
+ */
+
+// jsdom's Blob has no arrayBuffer()/stream(); the extension runs against the platform Blob
+import { Blob } from 'node:buffer';
+import { describe, expect, it, vi } from 'vitest';
+import { strToU8, zipSync } from '../scripts/libs/fflate.esm.js';
+import {
+    createManifestBuilder,
+    hashBytes,
+    normalizeBackupManifest,
+    planChainReads
+} from '../scripts/platform/backup-manifest.js';
+import { BackupManager } from '../scripts/platform/backup-manager.js';
+
+// TextEncoder output comes from another realm than the fflate (and test) Uint8Array
+const bytesOf = (text) => Uint8Array.from(strToU8(text));
+
+// Blobs staged by the manager are jsdom Blobs, which only FileReader can read
+function readText(blob) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsText(blob);
+    });
+}
+
+const FULL = 'aura-backup_2026-03-02_09-00-00.zip';
+const INC = 'aura-backup_2026-03-03_09-00-00_inc_2026-03-02_09-00-00.zip';
+
+describe('backup manifest', () => {
+    it('stores only blobs the base chain does not hold', async () => {
+        const oldHash = await hashBytes(bytesOf('old image'));
+        const newHash = await hashBytes(bytesOf('new image'));
+        const goneHash = await hashBytes(bytesOf('deleted image'));
+        expect(oldHash).toMatch(/^[0-9a-f]{64}$/);
+
+        const full = createManifestBuilder({ archive: FULL });
+        expect(full.add(oldHash, 'idb/assets/blobs/a/fullBlob.bin')).toBe(true);
+        expect(full.add(goneHash, 'idb/assets/blobs/b/fullBlob.bin')).toBe(true);
+        const base = full.build();
+        expect(base).toMatchObject({ kind: 'full', chain: [FULL] });
+
+        const inc = createManifestBuilder({ archive: INC, base });
+        expect(inc.add(oldHash, 'idb/assets/blobs/a2/fullBlob.bin')).toBe(false);
+        expect(inc.add(newHash, 'idb/assets/blobs/c/fullBlob.bin')).toBe(true);
+        // Repeats inside one archive are stored again under their own path
+        expect(inc.add(newHash, 'idb/assets/blobs/d/fullBlob.bin')).toBe(true);
+
+        const manifest = inc.build();
+        expect(manifest).toMatchObject({ kind: 'incremental', archive: INC, chain: [FULL, INC] });
+        expect(manifest.blobs).toEqual({
+            [oldHash]: { archive: FULL, path: 'idb/assets/blobs/a/fullBlob.bin' },
+            [newHash]: { archive: INC, path: 'idb/assets/blobs/c/fullBlob.bin' }
+        });
+        expect(normalizeBackupManifest(manifest)).toEqual(manifest);
+    });
+
+    it('rejects malformed manifests and unknown hashes', () => {
+        expect(normalizeBackupManifest(null)).toBeNull();
+        expect(normalizeBackupManifest({ archive: INC, chain: [INC, FULL], blobs: {} })).toBeNull();
+        expect(normalizeBackupManifest({
+            archive: INC,
+            chain: [FULL, INC],
+            blobs: { ['a'.repeat(64)]: { archive: 'elsewhere.zip', path: 'x.bin' } }
+        })).toBeNull();
+
+        const manifest = normalizeBackupManifest({ archive: INC, chain: [FULL, INC], blobs: {} });
+        expect(() => planChainReads(manifest, [{ hash: 'b'.repeat(64), target: 'x' }]))
+            .toThrow('backup_chain_incomplete');
+    });
+});
+
+describe('BackupManager chain reassembly', () => {
+    function stagedManager(files) {
+        const manager = new BackupManager();
+        const staged = new Map(Object.entries(files));
+        manager._getStagingFile = vi.fn(async (_db, path) => staged.get(path) ?? null);
+        manager._putStagingFile = vi.fn(async (_db, path, blob) => { staged.set(path, blob); });
+        manager._parseStagingJsonFile = vi.fn(async (_db, path) => {
+            const blob = staged.get(path);
+            return blob ? JSON.parse(await blob.text()) : null;
+        });
+        return { manager, staged };
+    }
+
+    it('stages referenced blobs from earlier archives', async () => {
+        const bytes = bytesOf('background pixels');
+        const hash = await hashBytes(bytes);
+        const index = [{ id: 'bg1', fullBlob: { _blobRef: 'blobs/bg1/fullBlob.bin', hash, type: 'image/png', size: bytes.length } }];
+        const { manager, staged } = stagedManager({
+            'idb/local-files/index.json': new Blob([JSON.stringify(index)])
+        });
+        const fullArchive = new Blob([zipSync({
+            'idb/local-files/blobs/old-id/fullBlob.bin': bytes,
+            'idb/local-files/blobs/other/fullBlob.bin': bytesOf('not needed')
+        })]);
+        const resolveArchive = vi.fn(async (name) => (name === FULL ? fullArchive : null));
+        const manifest = normalizeBackupManifest({
+            archive: INC,
+            chain: [FULL, INC],
+            blobs: { [hash]: { archive: FULL, path: 'idb/local-files/blobs/old-id/fullBlob.bin' } }
+        });
+
+        await manager._reassembleFromChain(null, manifest, { resolveArchive });
+
+        expect(resolveArchive).toHaveBeenCalledTimes(1);
+        expect(await readText(staged.get('idb/local-files/blobs/bg1/fullBlob.bin'))).toBe('background pixels');
+        expect(staged.has('idb/local-files/blobs/other/fullBlob.bin')).toBe(false);
+    });
+
+    it('reports a broken chain when an archive cannot be fetched', async () => {
+        const hash = 'c'.repeat(64);
+        const index = [{ id: 'bg1', fullBlob: { _blobRef: 'blobs/bg1/fullBlob.bin', hash, size: 1 } }];
+        const { manager } = stagedManager({
+            'idb/local-files/index.json': new Blob([JSON.stringify(index)])
+        });
+        const manifest = normalizeBackupManifest({
+            archive: INC,
+            chain: [FULL, INC],
+            blobs: { [hash]: { archive: FULL, path: 'idb/local-files/blobs/bg1/fullBlob.bin' } }
+        });
+
+        await expect(manager._reassembleFromChain(null, manifest, {})).rejects.toThrow('backup_chain_incomplete');
+        await expect(manager._reassembleFromChain(null, manifest, { resolveArchive: async () => null }))
+            .rejects.toThrow('backup_chain_incomplete');
+    });
+});
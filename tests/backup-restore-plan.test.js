@@ -0,0 +1,191 @@
+/**
+ * Selective restore tests
+ *
+ * Focus:
+ * - storage keys are split into quicklinks / favorites / settings / device categories
+ * - replace / merge / skip plans per category, device-local WebDAV state untouched
+ * - preview summary and diff against current data
+ * - quicklinks merge by normalized URL through the store
+ */
+
+import { describe, expect, it, vi } from 'vitest';
+import { setStorageData } from './setup.js';
+import {
+    categorizeStorageKey,
+    diffStorage,
+    extractQuicklinks,
+    normalizeRestoreSelection,
+    planStorageRestore,
+    summarizeStorage
+} from '../scripts/platform/backup-restore-plan.js';
+
+function quicklinksSync(setId, items, order, extra = {}) {
+    const chunk = {};
+    for (const item of items) {
+        chunk[item._id] = { icon: '', tags: [], createdAt: 1, ...item };
+    }
+    return {
+        storageVersion: 6,
+        quicklinksItems: order ?? items.map(item => item._id),
+        quicklinksDockPins: [],
+        quicklinksTags: [],
+        quicklinksActiveSet: setId,
+        [`quicklinksChunkSet_${setId}_index`]: [`quicklinksChunkSet_${setId}_0`],
+        [`quicklinksChunkSet_${setId}_0`]: chunk,
+        ...extra
+    };
+}
+
+const BACKUP_SYNC = quicklinksSync('bak', [
+    { _id: 'qlink_a', title: 'A', url: 'https://a.example/' },
+    { _id: 'qlink_b', title: 'B', url: 'https://b.example' },
+    { _id: 'qlink_c', title: 'C', url: 'https://c.example' },
+    { _id: 'qfolder_f', type: 'folder', title: 'Work', children: ['qlink_c'] }
+], ['qlink_a', '__PAGE_BREAK__', 'qlink_b', 'qfolder_f', '__SYSTEM_SETTINGS__'], {
+    uiTheme: 'dark',
+    clockFormat: '24h'
+});
+
+describe('restore plan', () => {
+    it('categorizes storage keys', () => {
+        expect(categorizeStorageKey('quicklinksChunkSet_x_0')).toBe('quicklinks');
+        expect(categorizeStorageKey('quicklinksWorkspace_w1_items')).toBe('quicklinks');
+        expect(categorizeStorageKey('quicklinksWorkspaceBackground_w1')).toBe('quicklinks');
+        expect(categorizeStorageKey('quicklinksUsage')).toBe('quicklinks');
+        expect(categorizeStorageKey('libraryItems')).toBe('favorites');
+        expect(categorizeStorageKey('webdavConfig')).toBe('device');
+        expect(categorizeStorageKey('uiTheme')).toBe('settings');
+        expect(normalizeRestoreSelection({ quicklinks: 'merge', settings: 'nope' })).toEqual({
+            quicklinks: 'merge',
+            settings: 'replace',
+            favorites: 'replace',
+            localBackgrounds: 'replace',
+            iconCache: 'replace'
+        });
+    });
+
+    it('replaces selected categories and leaves skipped ones alone', () => {
+        const current = {
+            ...quicklinksSync('cur', [{ _id: 'qlink_x', title: 'X', url: 'https://x.example' }]),
+            quicklinksWorkspaceBackground_w1: { type: 'color', value: '#123456' },
+            uiTheme: 'light',
+            searchEngine: 'bing'
+        };
+
+        // A settings restore leaves workspace backgrounds alone
+        const plan = planStorageRestore(current, BACKUP_SYNC, { quicklinks: 'skip', settings: 'replace' });
+        expect(plan.set).toEqual({ uiTheme: 'dark', clockFormat: '24h' });
+        expect(plan.remove).toEqual(['searchEngine']);
+
+        const quicklinksOnly = planStorageRestore(current, BACKUP_SYNC, { settings: 'skip' });
+        expect(Object.keys(quicklinksOnly.set)).toContain('quicklinksChunkSet_bak_0');
+        expect(quicklinksOnly.set).not.toHaveProperty('uiTheme');
+        expect(quicklinksOnly.remove).toEqual(['quicklinksChunkSet_cur_index', 'quicklinksChunkSet_cur_0', 'quicklinksWorkspaceBackground_w1']);
+    });
+
+    it('merges settings and favorites without touching device-local keys', () => {
+        const current = {
+            webdavConfig: { baseUrl: 'https://dav.local' },
+            searchEngine: 'bing',
+            libraryItems: { p1: { id: 'p1' }, p2: { id: 'p2', note: 'mine' } }
+        };
+        const backup = {
+            webdavConfig: { baseUrl: 'https://dav.other' },
+            uiTheme: 'dark',
+            libraryItems: { p2: { id: 'p2' }, p3: { id: 'p3' } },
+            quicklinksUsage: { qlink_a: { count: 3 } }
+        };
+
+        const plan = planStorageRestore(current, backup, { quicklinks: 'merge', settings: 'merge', favorites: 'merge' });
+
+        expect(plan.remove).toEqual([]);
+        expect(plan.set).toEqual({
+            uiTheme: 'dark',
+            libraryItems: { p1: { id: 'p1' }, p2: { id: 'p2' }, p3: { id: 'p3' } }
+        });
+        expect(planStorageRestore(current, backup, {}).remove).toEqual(['searchEngine']);
+    });
+
+    it('extracts active quicklinks, summarizes and diffs both sides', () => {
+        expect(extractQuicklinks(BACKUP_SYNC)).toEqual([
+            { title: 'A', url: 'https://a.example/', icon: '', tags: [], createdAt: 1 },
+            { title: 'B', url: 'https://b.example', icon: '', tags: [], createdAt: 1 },
+            { type: 'folder', title: 'Work', children: [{ title: 'C', url: 'https://c.example', icon: '', tags: [], createdAt: 1 }] }
+        ]);
+
+        const currentSync = {
+            ...quicklinksSync('cur', [{ _id: 'qlink_x', title: 'A again', url: 'https://A.example' }]),
+            uiTheme: 'light',
+            searchEngine: 'bing'
+        };
+
+        expect(summarizeStorage(BACKUP_SYNC, { libraryItems: { p1: {} } })).toEqual({
+            quicklinks: { links: 3, folders: 1, workspaces: 1 },
+            settings: { keys: 2 },
+            favorites: { items: 1 }
+        });
+        expect(diffStorage({ sync: currentSync, local: {} }, { sync: BACKUP_SYNC, local: {} })).toEqual({
+            quicklinks: { newByUrl: 2 },
+            settings: { added: 1, changed: 1, removed: 1 }
+        });
+    });
+});
+
+describe('mergeQuicklinksFromBackup', () => {
+    it('adds only new URLs and rebuilds folders', async () => {
+        setStorageData(quicklinksSync('cur', [
+            { _id: 'qlink_x', title: 'A', url: 'https://a.example' },
+            { _id: 'qlink_y', title: 'Y', url: 'https://y.example' },
+            { _id: 'qfolder_w', type: 'folder', title: 'work', children: ['qlink_y'] }
+        ], ['qlink_x', 'qfolder_w']), 'sync');
+
+        vi.resetModules();
+        const { store } = await import('../scripts/domains/quicklinks/store.js');
+        const { mergeQuicklinksFromBackup } = await import('../scripts/domains/quicklinks/backup-merge.js');
+        await store.init();
+
+        const entries = [
+            ...extractQuicklinks(BACKUP_SYNC),
+            { type: 'folder', title: 'Reading', children: [{ title: 'D', url: 'https://d.example' }, { title: 'B dup', url: 'https://b.example/' }] }
+        ];
+        const result = await mergeQuicklinksFromBackup(entries, store);
+
+        expect(result).toEqual({ added: 3, skipped: 2, folders: 1 });
+
+        const urls = store.getAllItemsFlat().map(item => item.url).filter(Boolean).sort();
+        expect(urls).toEqual([
+            'https://a.example',
+            'https://b.example',
+            'https://c.example',
+            'https://d.example',
+            'https://y.example'
+        ]);
+
+        const folders = store.getAllItems().filter(item => item.type === 'folder');
+        const work = folders.find(folder => folder.title === 'work');
+        const reading = folders.find(folder => folder.title === 'Reading');
+        expect(work.children).toHaveLength(2);
+        expect(reading.children).toHaveLength(1);
+    });
+
+    it('keeps the tags and creation time of merged links', async () => {
+        setStorageData(quicklinksSync('cur', [{ _id: 'qlink_x', title: 'X', url: 'https://x.example' }]), 'sync');
+
+        vi.resetModules();
+        const { store } = await import('../scripts/domains/quicklinks/store.js');
+        const { mergeQuicklinksFromBackup } = await import('../scripts/domains/quicklinks/backup-merge.js');
+        await store.init();
+
+        const backup = quicklinksSync('bak', [
+            { _id: 'qlink_t', title: 'T', url: 'https://t.example', tags: ['work', 'docs'], createdAt: 1234 },
+            { _id: 'qlink_u', title: 'U', url: 'https://u.example' }
+        ], undefined, { quicklinksTags: ['docs', 'work'] });
+        expect(await mergeQuicklinksFromBackup(extractQuicklinks(backup), store)).toEqual({ added: 2, skipped: 0, folders: 0 });
+
+        const merged = store.getAllItemsFlat().find(item => item.url === 'https://t.example');
+        expect(merged.tags).toEqual(['work', 'docs']);
+        expect(merged.createdAt).toBe(1234);
+        expect(store.getAllItemsFlat().find(item => item.url === 'https://u.example').tags ?? []).toEqual([]);
+        expect(store.getTags()).toEqual(expect.arrayContaining(['docs', 'work']));
+    });
+});
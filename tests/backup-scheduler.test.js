@@ -0,0 +1,309 @@
+/**
+ * Automatic WebDAV backup tests
+ *
+ * Focus:
+ * - schedule normalization and retention selection (keep last N + one per week)
+ * - retention keeps every earlier archive of a kept incremental chain
+ * - runWebDAVBackup records status and prunes only while a schedule is active
+ * - incremental runs build on the stored manifest and fall back to a full backup
+ * - alarm arming for daily/weekly/on-change modes
+ * - DOMParser-free PROPFIND parsing used by the service worker
+ */
+
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+import { getStorageData, resetMocks, setStorageData } from './setup.js';
+
+const mocks = vi.hoisted(() => ({
+    createBackupForUpload: vi.fn(),
+    ensureDir: vi.fn(),
+    putFile: vi.fn(),
+    listFiles: vi.fn(),
+    deleteFile: vi.fn()
+}));
+
+vi.mock('../scripts/platform/backup-manager.js', () => ({
+    getBackupManager: () => ({ createBackupForUpload: mocks.createBackupForUpload })
+}));
+
+vi.mock('../scripts/shared/webdav-client.js', async (importOriginal) => {
+    const actual = await importOriginal();
+    return {
+        ...actual,
+        WebDAVClient: class {
+            ensureDir() { return mocks.ensureDir(); }
+            putFile(name, blob) { return mocks.putFile(name, blob); }
+            listFiles() { return mocks.listFiles(); }
+            deleteFile(name) { return mocks.deleteFile(name); }
+        }
+    };
+});
+
+import {
+    BACKUP_CHANGE_ALARM,
+    BACKUP_SCHEDULE_ALARM,
+    BACKUP_MANIFEST_KEY,
+    normalizeBackupSchedule,
+    parseBackupFilename,
+    parseBackupFilenameTime,
+    runWebDAVBackup,
+    scheduleChangeBackup,
+    selectBackupsToPrune,
+    syncBackupSchedule,
+    toIncrementalFilename
+} from '../scripts/platform/backup-scheduler.js';
+
+const CONFIG = { baseUrl: 'https://dav.example.com', username: 'me', password: 'pw', remoteDir: 'AuraTabBackups' };
+
+function archive(y, mo, d, h = 9) {
+    const pad = (n) => String(n).padStart(2, '0');
+    return { filename: `aura-backup_${y}-${pad(mo)}-${pad(d)}_${pad(h)}-00-00.zip` };
+}
+
+describe('backup schedule and retention', () => {
+    it('normalizes modes and clamps retention counts', () => {
+        expect(normalizeBackupSchedule(null))
+            .toEqual({ mode: 'off', keepLast: 10, keepWeekly: 4, incremental: false, fullEvery: 6 });
+        expect(normalizeBackupSchedule({ mode: 'hourly', keepLast: 0, keepWeekly: 99, fullEvery: 0 }))
+            .toEqual({ mode: 'off', keepLast: 1, keepWeekly: 52, incremental: false, fullEvery: 1 });
+        expect(normalizeBackupSchedule({ mode: 'change', keepLast: '3', keepWeekly: 'x', incremental: true }))
+            .toEqual({ mode: 'change', keepLast: 3, keepWeekly: 4, incremental: true, fullEvery: 6 });
+    });
+
+    it('only recognizes archive names produced by the extension', () => {
+        expect(parseBackupFilenameTime('aura-backup_2026-03-02_08-30-00.zip'))
+            .toBe(new Date(2026, 2, 2, 8, 30, 0).getTime());
+        expect(parseBackupFilenameTime('my-notes.zip')).toBeNull();
+        expect(parseBackupFilenameTime('aura-tab-backup_2026-03-02_08-30-00.zip')).toBeNull();
+        expect(parseBackupFilename('aura-backup_2026-03-04_08-30-00_inc_2026-03-02_08-30-00.zip')).toEqual({
+            time: new Date(2026, 2, 4, 8, 30, 0).getTime(),
+            chainTime: new Date(2026, 2, 2, 8, 30, 0).getTime(),
+            incremental: true
+        });
+        // A chain cannot start after its own member
+        expect(parseBackupFilename('aura-backup_2026-03-01_08-30-00_inc_2026-03-02_08-30-00.zip')).toBeNull();
+        expect(toIncrementalFilename('aura-backup_2026-03-04_08-30-00.zip', 'aura-backup_2026-03-02_08-30-00.zip'))
+            .toBe('aura-backup_2026-03-04_08-30-00_inc_2026-03-02_08-30-00.zip');
+    });
+
+    it('keeps the latest N plus the newest archive of recent weeks', () => {
+        const files = [
+            archive(2026, 3, 12), // Thu, week of Mar 9
+            archive(2026, 3, 11), // Wed, week of Mar 9
+            archive(2026, 3, 10), // Tue, week of Mar 9
+            archive(2026, 3, 6), // Fri, week of Mar 2
+            archive(2026, 3, 3), // Tue, week of Mar 2
+            archive(2026, 2, 26), // Thu, week of Feb 23
+            archive(2026, 2, 10), // Tue, week of Feb 9
+            { filename: 'manual-export.zip' }
+        ];
+
+        const pruned = selectBackupsToPrune(files, { keepLast: 2, keepWeekly: 3 }).map(f => f.filename);
+
+        expect(pruned).toEqual([
+            archive(2026, 3, 10).filename,
+            archive(2026, 3, 3).filename,
+            archive(2026, 2, 10).filename
+        ]);
+        expect(selectBackupsToPrune(files, { keepLast: 100, keepWeekly: 0 })).toEqual([]);
+    });
+
+    it('keeps the archives a kept incremental archive builds on', () => {
+        const full = archive(2026, 3, 2);
+        const inc = (d) => ({ filename: archive(2026, 3, d).filename.replace('.zip', '_inc_2026-03-02_09-00-00.zip') });
+        const files = [inc(5), inc(4), inc(3), full, archive(2026, 2, 20)];
+
+        const pruned = selectBackupsToPrune(files, { keepLast: 1, keepWeekly: 0 }).map(f => f.filename);
+
+        expect(pruned).toEqual([archive(2026, 2, 20).filename]);
+    });
+});
+
+describe('runWebDAVBackup', () => {
+    beforeEach(() => {
+        resetMocks();
+        mocks.createBackupForUpload.mockResolvedValue({ blob: new Blob(['zip']), cleanup: null });
+        mocks.ensureDir.mockResolvedValue(true);
+        mocks.putFile.mockResolvedValue(true);
+        mocks.listFiles.mockResolvedValue([]);
+        mocks.deleteFile.mockResolvedValue(true);
+    });
+
+    it('records a failure when WebDAV is not configured', async () => {
+        const result = await runWebDAVBackup({ trigger: 'schedule' });
+
+        expect(result).toMatchObject({ ok: false, trigger: 'schedule', error: 'not_configured' });
+        expect(mocks.createBackupForUpload).not.toHaveBeenCalled();
+        expect(getStorageData('local').webdavBackupStatus.lastFailure.error).toBe('not_configured');
+    });
+
+    it('uploads, prunes while scheduled and records the last success', async () => {
+        setStorageData({
+            webdavConfig: { ...CONFIG, encryptionPassphrase: 'secret' },
+            webdavBackupSchedule: { mode: 'daily', keepLast: 1, keepWeekly: 0 }
+        }, 'local');
+        mocks.listFiles.mockResolvedValue([archive(2026, 3, 12), archive(2026, 3, 11)]);
+
+        const result = await runWebDAVBackup({ trigger: 'schedule' });
+
+        expect(result.ok).toBe(true);
+        expect(mocks.createBackupForUpload).toHaveBeenCalledWith(expect.objectContaining({ passphrase: 'secret' }));
+        expect(mocks.putFile).toHaveBeenCalledWith(expect.stringMatching(/^aura-backup_.*\.zip$/), expect.any(Blob));
+        expect(mocks.deleteFile).toHaveBeenCalledWith(archive(2026, 3, 11).filename);
+        expect(getStorageData('local').webdavBackupStatus.lastSuccess).toMatchObject({
+            trigger: 'schedule',
+            encrypted: true,
+            pruned: 1
+        });
+    });
+
+    it('does not prune manual backups while the schedule is off', async () => {
+        setStorageData({ webdavConfig: CONFIG }, 'local');
+        mocks.putFile.mockResolvedValueOnce(false);
+
+        const failed = await runWebDAVBackup({ trigger: 'manual' });
+        expect(failed).toMatchObject({ ok: false, error: 'upload_failed' });
+
+        const result = await runWebDAVBackup({ trigger: 'manual' });
+        expect(result.ok).toBe(true);
+        expect(mocks.listFiles).not.toHaveBeenCalled();
+
+        const status = getStorageData('local').webdavBackupStatus;
+        expect(status.lastFailure.error).toBe('upload_failed');
+        expect(status.lastSuccess.at).toBeGreaterThanOrEqual(status.lastFailure.at);
+    });
+});
+
+describe('incremental WebDAV backups', () => {
+    const FULL = 'aura-backup_2026-03-02_09-00-00.zip';
+    const BASE = { version: 1, kind: 'full', archive: FULL, chain: [FULL], blobs: {}, fingerprint: '' };
+
+    beforeEach(() => {
+        resetMocks();
+        mocks.createBackupForUpload.mockImplementation(async ({ manifest }) => ({
+            blob: new Blob(['zip']),
+            cleanup: null,
+            manifest: manifest
+                ? { version: 1, archive: manifest.archive, chain: [...(manifest.base?.chain || []), manifest.archive], blobs: {} }
+                : null
+        }));
+        mocks.ensureDir.mockResolvedValue(true);
+        mocks.putFile.mockResolvedValue(true);
+        mocks.listFiles.mockResolvedValue([{ filename: FULL }]);
+    });
+
+    it('builds on the stored manifest and remembers the new one', async () => {
+        setStorageData({
+            webdavConfig: CONFIG,
+            webdavBackupSchedule: { mode: 'off', incremental: true },
+            [BACKUP_MANIFEST_KEY]: BASE
+        }, 'local');
+
+        const result = await runWebDAVBackup({ trigger: 'manual' });
+
+        expect(result).toMatchObject({ ok: true, incremental: true });
+        expect(result.filename).toMatch(/^aura-backup_.*_inc_2026-03-02_09-00-00\.zip$/);
+        const { manifest } = mocks.createBackupForUpload.mock.calls[0][0];
+        expect(manifest.archive).toBe(result.filename);
+        expect(manifest.base.chain).toEqual([FULL]);
+        expect(getStorageData('local')[BACKUP_MANIFEST_KEY].chain).toEqual([FULL, result.filename]);
+    });
+
+    it('starts a new full backup when the chain is broken, too long or re-keyed', async () => {
+        const cases = [
+            { listed: [], stored: BASE },
+            { listed: [{ filename: FULL }], stored: BASE, fullEvery: 1, chain: [FULL, 'aura-backup_2026-03-03_09-00-00_inc_2026-03-02_09-00-00.zip'] },
+            { listed: [{ filename: FULL }], stored: { ...BASE, fingerprint: 'other-key' } }
+        ];
+        for (const { listed, stored, fullEvery, chain } of cases) {
+            const manifest = chain ? { ...stored, archive: chain.at(-1), chain } : stored;
+            setStorageData({
+                webdavConfig: CONFIG,
+                webdavBackupSchedule: { mode: 'off', incremental: true, fullEvery },
+                [BACKUP_MANIFEST_KEY]: manifest
+            }, 'local');
+            mocks.listFiles.mockResolvedValue(chain ? chain.map(filename => ({ filename })) : listed);
+            mocks.createBackupForUpload.mockClear();
+
+            const result = await runWebDAVBackup({ trigger: 'manual' });
+
+            expect(result).toMatchObject({ ok: true, incremental: false });
+            expect(result.filename).not.toContain('_inc_');
+            expect(mocks.createBackupForUpload.mock.calls[0][0].manifest).toEqual({ archive: result.filename, base: null });
+        }
+    });
+
+    it('drops the stored manifest once incremental backups are turned off', async () => {
+        setStorageData({ webdavConfig: CONFIG, [BACKUP_MANIFEST_KEY]: BASE }, 'local');
+
+        const result = await runWebDAVBackup({ trigger: 'manual' });
+
+        expect(result.ok).toBe(true);
+        expect(mocks.createBackupForUpload.mock.calls[0][0].manifest).toBeUndefined();
+        expect(getStorageData('local')).not.toHaveProperty(BACKUP_MANIFEST_KEY);
+    });
+});
+
+describe('backup alarms', () => {
+    beforeEach(() => {
+        resetMocks();
+        global.chrome.alarms = {
+            get: vi.fn(async () => undefined),
+            create: vi.fn(async () => {}),
+            clear: vi.fn(async () => true)
+        };
+    });
+
+    it('arms a periodic alarm for daily backups and clears it when turned off', async () => {
+        setStorageData({ webdavBackupSchedule: { mode: 'daily' } }, 'local');
+        await syncBackupSchedule();
+
+        expect(chrome.alarms.create).toHaveBeenCalledWith(BACKUP_SCHEDULE_ALARM, {
+            delayInMinutes: 1,
+            periodInMinutes: 1440
+        });
+
+        chrome.alarms.get.mockResolvedValue({ name: BACKUP_SCHEDULE_ALARM, periodInMinutes: 1440 });
+        chrome.alarms.create.mockClear();
+        await syncBackupSchedule();
+        expect(chrome.alarms.create).not.toHaveBeenCalled();
+
+        setStorageData({ webdavBackupSchedule: { mode: 'off' } }, 'local');
+        await syncBackupSchedule();
+        expect(chrome.alarms.clear).toHaveBeenCalledWith(BACKUP_SCHEDULE_ALARM);
+        expect(chrome.alarms.clear).toHaveBeenCalledWith(BACKUP_CHANGE_ALARM);
+    });
+
+    it('debounces data changes only in on-change mode', async () => {
+        setStorageData({ webdavBackupSchedule: { mode: 'weekly' } }, 'local');
+        expect(await scheduleChangeBackup()).toBe(false);
+
+        setStorageData({ webdavBackupSchedule: { mode: 'change' } }, 'local');
+        expect(await scheduleChangeBackup()).toBe(true);
+        expect(chrome.alarms.create).toHaveBeenCalledWith(BACKUP_CHANGE_ALARM, { delayInMinutes: 10 });
+    });
+});
+
+describe('WebDAVClient listing without DOMParser', () => {
+    it('extracts archive entries from a PROPFIND response', async () => {
+        const { WebDAVClient } = await vi.importActual('../scripts/shared/webdav-client.js');
+        const client = new WebDAVClient(CONFIG);
+        const xml = `<?xml version="1.0"?>
+<d:multistatus xmlns:d="DAV:">
+  <d:response><d:href>/dav/AuraTabBackups/</d:href><d:propstat><d:prop><d:resourcetype><d:collection/></d:resourcetype></d:prop></d:propstat></d:response>
+  <d:response><d:href>/dav/AuraTabBackups/aura-backup_2026-03-12_09-00-00.zip</d:href><d:propstat><d:prop>
+    <d:getlastmodified>Thu, 12 Mar 2026 09:00:00 GMT</d:getlastmodified><d:getcontentlength>2048</d:getcontentlength><d:resourcetype/>
+  </d:prop></d:propstat></d:response>
+  <D:response xmlns:D="DAV:"><D:href>/dav/AuraTabBackups/a%20b&amp;c.zip</D:href><D:propstat><D:prop><D:resourcetype/></D:prop></D:propstat></D:response>
+</d:multistatus>`;
+
+        const entries = client._extractEntriesFromText(xml);
+        expect(entries).toHaveLength(3);
+        expect(entries[0].isCollection).toBe(true);
+        expect(entries[1]).toMatchObject({
+            href: '/dav/AuraTabBackups/aura-backup_2026-03-12_09-00-00.zip',
+            isCollection: false,
+            contentLength: '2048'
+        });
+        expect(entries[2].href).toBe('/dav/AuraTabBackups/a%20b&c.zip');
+    });
+});
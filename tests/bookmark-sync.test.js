@@ -0,0 +1,265 @@
+/**
+ * Bookmark folder ↔ launchpad sync tests
+ *
+ * Focus:
+ * - planBookmarkSync: one-sided edits, conflict rule, removals, URL pairing
+ * - runBookmarkSync against the real store and an in-memory chrome.bookmarks tree
+ * - mapping table persisted in local storage; missing bookmark folders never delete links
+ */
+
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+import { getStorageData, setStorageData } from './setup.js';
+
+// ========== In-memory chrome.bookmarks ==========
+
+function createBookmarksAPI() {
+    const nodes = new Map();
+    let nextId = 100;
+
+    const add = (parentId, title, url) => {
+        const node = { id: String(nextId++), parentId, title, ...(url ? { url } : { children: [] }) };
+        nodes.set(node.id, node);
+        nodes.get(parentId)?.children.push(node.id);
+        return node;
+    };
+    const view = (node) => ({
+        id: node.id,
+        parentId: node.parentId,
+        title: node.title,
+        ...(node.url ? { url: node.url } : { children: node.children.map(id => view(nodes.get(id))) })
+    });
+    const detach = (id) => {
+        const node = nodes.get(id);
+        const parent = nodes.get(node?.parentId);
+        if (parent) parent.children = parent.children.filter(childId => childId !== id);
+    };
+
+    nodes.set('0', { id: '0', title: '', children: [] });
+    return {
+        add,
+        nodes,
+        getTree: vi.fn(async () => [view(nodes.get('0'))]),
+        getSubTree: vi.fn(async (id) => {
+            if (!nodes.has(id)) throw new Error("Can't find bookmark for id.");
+            return [view(nodes.get(id))];
+        }),
+        get: vi.fn(async (id) => [view(nodes.get(id))]),
+        create: vi.fn(async ({ parentId, title, url }) => view(add(parentId, title, url))),
+        update: vi.fn(async (id, changes) => {
+            Object.assign(nodes.get(id), changes);
+            return view(nodes.get(id));
+        }),
+        remove: vi.fn(async (id) => {
+            detach(id);
+            nodes.delete(id);
+        })
+    };
+}
+
+async function freshSync() {
+    setStorageData({ storageVersion: 6, quicklinksItems: [], quicklinksDockPins: [], quicklinksTags: [] }, 'sync');
+    setStorageData({}, 'local');
+
+    vi.resetModules();
+    const sync = await import('../scripts/domains/bookmarks/bookmark-sync.js');
+    const { store } = await import('../scripts/domains/quicklinks/store.js');
+    return { ...sync, store };
+}
+
+const link = (id, title, url) => ({ id, title, url });
+const entry = (bookmarkId, linkId, bookmark, linkSnapshot = bookmark) => ({
+    bookmarkId,
+    linkId,
+    bookmark,
+    link: linkSnapshot
+});
+
+describe('planBookmarkSync', () => {
+    it('mirrors one-sided edits and applies the conflict rule', async () => {
+        const { planBookmarkSync } = await freshSync();
+        const before = { title: 'A', url: 'https://a.example' };
+        const entries = [
+            entry('b1', 'l1', before),
+            entry('b2', 'l2', { title: 'B', url: 'https://b.example' }),
+            entry('b3', 'l3', { title: 'C', url: 'https://c.example' })
+        ];
+        const bookmarks = [
+            link('b1', 'A renamed', 'https://a.example'),
+            link('b2', 'B', 'https://b.example'),
+            link('b3', 'C (bookmark)', 'https://c.example')
+        ];
+        const links = [
+            link('l1', 'A', 'https://a.example'),
+            link('l2', 'B', 'https://b2.example'),
+            link('l3', 'C (launchpad)', 'https://c.example')
+        ];
+
+        const bookmarksWin = planBookmarkSync({ bookmarks, links, entries, conflict: 'bookmarks' });
+        expect(bookmarksWin.updateLinks).toEqual([
+            { linkId: 'l1', title: 'A renamed', url: 'https://a.example' },
+            { linkId: 'l3', title: 'C (bookmark)', url: 'https://c.example' }
+        ]);
+        expect(bookmarksWin.updateBookmarks).toEqual([{ bookmarkId: 'b2', title: 'B', url: 'https://b2.example' }]);
+        expect(bookmarksWin.entries).toHaveLength(3);
+
+        const launchpadWins = planBookmarkSync({ bookmarks, links, entries, conflict: 'launchpad' });
+        expect(launchpadWins.updateLinks).toEqual([{ linkId: 'l1', title: 'A renamed', url: 'https://a.example' }]);
+        expect(launchpadWins.updateBookmarks.map(update => update.bookmarkId)).toEqual(['b2', 'b3']);
+    });
+
+    it('removes the other half unless an edit there wins', async () => {
+        const { planBookmarkSync } = await freshSync();
+        const entries = [
+            entry('b1', 'l1', { title: 'A', url: 'https://a.example' }),
+            entry('b2', 'l2', { title: 'B', url: 'https://b.example' }),
+            entry('b3', 'l3', { title: 'C', url: 'https://c.example' })
+        ];
+
+        const plan = planBookmarkSync({
+            bookmarks: [link('b2', 'B', 'https://b.example'), link('b3', 'C edited', 'https://c.example')],
+            links: [link('l1', 'A edited', 'https://a.example'), link('l2', 'B', 'https://b.example')],
+            entries,
+            conflict: 'launchpad'
+        });
+
+        // l1 was edited and the launchpad wins: its bookmark comes back
+        expect(plan.createBookmarks).toEqual([{ linkId: 'l1', title: 'A edited', url: 'https://a.example' }]);
+        expect(plan.removeLinks).toEqual([]);
+        // b3 was edited but loses: removed along with its deleted link
+        expect(plan.removeBookmarks).toEqual(['b3']);
+        expect(plan.addLinks).toEqual([]);
+        expect(plan.entries.map(item => item.bookmarkId)).toEqual(['b2']);
+    });
+
+    it('pairs unmapped items by URL before creating them', async () => {
+        const { planBookmarkSync } = await freshSync();
+
+        const plan = planBookmarkSync({
+            bookmarks: [link('b1', 'Docs', 'https://docs.example/'), link('b2', 'New', 'https://new.example')],
+            links: [link('l1', 'Docs', 'https://DOCS.example'), link('l2', 'Mine', 'https://mine.example')],
+            entries: []
+        });
+
+        expect(plan.entries).toEqual([
+            entry('b1', 'l1', { title: 'Docs', url: 'https://docs.example/' }, { title: 'Docs', url: 'https://DOCS.example' })
+        ]);
+        expect(plan.addLinks).toEqual([{ bookmarkId: 'b2', title: 'New', url: 'https://new.example' }]);
+        expect(plan.createBookmarks).toEqual([{ linkId: 'l2', title: 'Mine', url: 'https://mine.example' }]);
+    });
+});
+
+describe('runBookmarkSync', () => {
+    let bookmarks;
+    let folder;
+
+    beforeEach(() => {
+        bookmarks = createBookmarksAPI();
+        global.chrome.bookmarks = bookmarks;
+        const bar = bookmarks.add('0', 'Bookmarks bar');
+        folder = bookmarks.add(bar.id, 'Reading');
+        bookmarks.add(folder.id, 'A', 'https://a.example');
+        const nested = bookmarks.add(folder.id, 'Later');
+        bookmarks.add(nested.id, 'B', 'https://b.example');
+        bookmarks.add(folder.id, 'Script', 'javascript:void(0)');
+    });
+
+    it('creates the launchpad folder and mirrors edits both ways', async () => {
+        const sync = await freshSync();
+        const { store } = sync;
+        const added = await sync.addBookmarkBinding({
+            bookmarkFolderId: folder.id,
+            target: { type: 'folder', title: 'Reading' }
+        });
+        expect(added.ok).toBe(true);
+
+        expect(await sync.runBookmarkSync()).toEqual({ [added.binding.id]: null });
+
+        const [binding] = await sync.getBookmarkBindings();
+        const launchpadFolder = store.getItem(binding.target.id);
+        expect(launchpadFolder).toMatchObject({ type: 'folder', title: 'Reading' });
+        expect(launchpadFolder.children.map(id => store.getItem(id).url)).toEqual(['https://a.example', 'https://b.example']);
+        expect(getStorageData('local').bookmarkSyncState[binding.id].entries).toHaveLength(2);
+
+        // Launchpad → bookmarks
+        const linkA = store.getAllItemsFlat().find(item => item.url === 'https://a.example');
+        await store.updateItem(linkA._id, { title: 'A (edited)' });
+        const linkC = await store.addItem({ title: 'C', url: 'https://c.example' });
+        await store.addToFolder(binding.target.id, linkC._id);
+        await sync.runBookmarkSync();
+
+        const bookmarkA = [...bookmarks.nodes.values()].find(node => node.url === 'https://a.example');
+        expect(bookmarkA.title).toBe('A (edited)');
+        expect(bookmarks.create).toHaveBeenCalledWith({ parentId: folder.id, title: 'C', url: 'https://c.example' });
+
+        // Bookmarks → launchpad
+        await bookmarks.remove(bookmarkA.id);
+        await sync.runBookmarkSync();
+        expect(store.getItem(linkA._id)).toBeNull();
+        expect(store.getItem(binding.target.id).children.map(id => store.getItem(id).url))
+            .toEqual(['https://b.example', 'https://c.example']);
+
+        // A later run has nothing left to write
+        bookmarks.create.mockClear();
+        bookmarks.update.mockClear();
+        await sync.runBookmarkSync();
+        expect(bookmarks.create).not.toHaveBeenCalled();
+        expect(bookmarks.update).not.toHaveBeenCalled();
+    });
+
+    it('syncs a large folder in a couple of writes instead of one per bookmark', async () => {
+        const big = bookmarks.add('0', 'Big');
+        for (let i = 0; i < 40; i++) bookmarks.add(big.id, `L${i}`, `https://l${i}.example`);
+        const sync = await freshSync();
+        const { store } = sync;
+        await sync.addBookmarkBinding({ bookmarkFolderId: big.id, target: { type: 'folder', title: 'Big' } });
+        await store.init();
+
+        chrome.storage.sync.set.mockClear();
+        await sync.runBookmarkSync();
+        expect(chrome.storage.sync.set.mock.calls.length).toBeLessThanOrEqual(4);
+
+        const [binding] = await sync.getBookmarkBindings();
+        const launchpadFolder = store.getItem(binding.target.id);
+        expect(launchpadFolder.children).toHaveLength(store.CONFIG.MAX_FOLDER_CHILDREN);
+        // The rest stays next to the full folder and is still synced
+        expect(store.getAllItemsFlat().filter(item => item.url)).toHaveLength(40);
+        expect((await sync.getBookmarkSyncState())[binding.id].entries).toHaveLength(40);
+
+        for (const node of bookmarks.nodes.values()) {
+            if (node.parentId === big.id) node.title = `${node.title} (edited)`;
+        }
+        chrome.storage.sync.set.mockClear();
+        await sync.runBookmarkSync();
+        expect(chrome.storage.sync.set.mock.calls.length).toBeLessThanOrEqual(2);
+        expect(store.getAllItemsFlat().filter(item => item.title.endsWith('(edited)'))).toHaveLength(40);
+    });
+
+    it('keeps links when the bookmarks folder disappears', async () => {
+        const sync = await freshSync();
+        const { binding } = await sync.addBookmarkBinding({
+            bookmarkFolderId: folder.id,
+            target: { type: 'page', index: 0 }
+        });
+        await sync.runBookmarkSync();
+        const pageUrls = () => sync.store.getPage(0).filter(item => item.url).map(item => item.url);
+        expect(pageUrls()).toEqual(['https://a.example', 'https://b.example']);
+
+        bookmarks.nodes.delete(folder.id);
+        expect(await sync.runBookmarkSync()).toEqual({ [binding.id]: 'bookmark_folder_missing' });
+        expect(pageUrls()).toHaveLength(2);
+
+        const state = await sync.getBookmarkSyncState();
+        expect(state[binding.id]).toMatchObject({ error: 'bookmark_folder_missing' });
+        expect(state[binding.id].entries).toHaveLength(2);
+    });
+
+    it('rejects duplicate bindings', async () => {
+        const sync = await freshSync();
+        const target = { type: 'page', index: 0 };
+
+        expect((await sync.addBookmarkBinding({ bookmarkFolderId: folder.id, target })).ok).toBe(true);
+        expect(await sync.addBookmarkBinding({ bookmarkFolderId: folder.id, target })).toEqual({ ok: false, reason: 'duplicate' });
+        expect(await sync.addBookmarkBinding({ bookmarkFolderId: folder.id, target: { type: 'shelf' } }))
+            .toEqual({ ok: false, reason: 'invalid' });
+    });
+});
@@ -129,6 +129,18 @@ describe('first paint boot script', () => {
         expect(document.getElementById('first-paint-overlay')).toBeNull();
     });
 
+    it('renders a stored gradient on the overlay and drops unsafe ones', async () => {
+        const gradient = 'linear-gradient(135deg, #1a1a2e 0%, #0f3460 100%)';
+        localStorage.setItem('aura:firstPaintSnapshot', JSON.stringify({ v: 1, color: '#152745', gradient, ts: Date.now() }));
+
+        const api = await loadFirstPaintScript();
+
+        expect(document.getElementById('first-paint-overlay').style.backgroundImage).toBe(gradient);
+        expect(document.documentElement.style.getPropertyValue('--solid-background')).toBe('#152745');
+        expect(api.normalizeSnapshot({ color: '#000000', gradient: 'linear-gradient(red, url(x))' }).gradient).toBeNull();
+        expect(api.normalizeSnapshot({ color: '#000000', gradient: 'paint(worklet)' }).gradient).toBeNull();
+    });
+
     it('disarmFirstPaint with overlay enters disarming state and schedules cleanup', async () => {
         const snapshot = {
             v: 1,
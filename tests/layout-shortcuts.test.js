@@ -1,7 +1,8 @@
 import { beforeEach, describe, expect, it, vi } from 'vitest';
 
 const mocks = vi.hoisted(() => ({
-    launchpadToggle: vi.fn()
+    launchpadToggle: vi.fn(),
+    switchToNext: vi.fn()
 }));
 
 vi.mock('../scripts/domains/quicklinks/launchpad.js', () => ({
@@ -10,6 +11,12 @@ vi.mock('../scripts/domains/quicklinks/launchpad.js', () => ({
     }
 }));
 
+vi.mock('../scripts/domains/quicklinks/workspace-switcher.js', () => ({
+    workspaceSwitcher: {
+        switchToNext: mocks.switchToNext
+    }
+}));
+
 import { LayoutManager } from '../scripts/domains/layout.js';
 
 function setupDom() {
@@ -32,6 +39,7 @@ describe('layout shortcuts', () => {
     beforeEach(() => {
         setupDom();
         mocks.launchpadToggle.mockReset();
+        mocks.switchToNext.mockReset();
     });
 
     it('opens launchpad with configured shortcut', () => {
@@ -62,4 +70,19 @@ describe('layout shortcuts', () => {
         expect(event.defaultPrevented).toBe(true);
         expect(toggleSearchSpy).toHaveBeenCalledWith(true, true, { focus: true });
     });
+
+    it('switches workspace with configured shortcut', () => {
+        const manager = new LayoutManager();
+        manager._shortcuts = {
+            focusSearch: 'Alt+KeyL',
+            openLaunchpad: 'Alt+Period',
+            switchWorkspace: 'Alt+KeyW'
+        };
+
+        const event = createKeyEvent({ key: 'w', code: 'KeyW', altKey: true });
+        manager._handleKeydown(event);
+
+        expect(event.defaultPrevented).toBe(true);
+        expect(mocks.switchToNext).toHaveBeenCalledTimes(1);
+    });
 });
@@ -0,0 +1,147 @@
+/**
+ * Link manager bulk edit tests
+ *
+ * Focus:
+ * - tag edits stay within MAX_TAGS_PER_ITEM
+ * - find-and-replace dry run (literal, regex groups, invalid pattern, unsafe URL)
+ * - folder/page moves and Dock pin/unpin commit atomically and undo in one step
+ */
+
+import { describe, expect, it, vi } from 'vitest';
+import { getStorageData, setStorageData } from './setup.js';
+
+const ITEMS = [
+    { _id: 'qlink_a', title: 'Jira board', url: 'https://jira.old.corp/board/1', tags: ['work'] },
+    { _id: 'qlink_b', title: 'Jira search', url: 'https://jira.old.corp/issues/?jql=me', tags: ['a', 'b', 'c', 'd', 'e'] },
+    { _id: 'qfolder_w', type: 'folder', title: 'Work', children: ['qlink_c'] },
+    { _id: 'qlink_c', title: 'Wiki', url: 'https://wiki.corp/', tags: [] },
+    { _id: 'qlink_d', title: 'Mail', url: 'https://mail.example/', tags: [] }
+];
+
+async function freshBulkEdit() {
+    const chunk = {};
+    for (const item of ITEMS) {
+        chunk[item._id] = { icon: '', createdAt: 1, ...item };
+    }
+    setStorageData({
+        storageVersion: 6,
+        quicklinksItems: ['qlink_a', 'qlink_b', 'qfolder_w', '__PAGE_BREAK__', 'qlink_d'],
+        quicklinksDockPins: ['qlink_d'],
+        quicklinksTags: ['work', 'a', 'b', 'c', 'd', 'e'],
+        quicklinksActiveSet: 'cur',
+        quicklinksChunkSet_cur_index: ['quicklinksChunkSet_cur_0'],
+        quicklinksChunkSet_cur_0: chunk
+    }, 'sync');
+    setStorageData({}, 'local');
+
+    vi.resetModules();
+    const { store } = await import('../scripts/domains/quicklinks/store.js');
+    const bulkEdit = await import('../scripts/domains/quicklinks/bulk-edit.js');
+    await store.init();
+    store.settings.dockCount = 5;
+    return { store, ...bulkEdit };
+}
+
+const all = (store) => ['qlink_a', 'qlink_b', 'qlink_c', 'qlink_d'].map(id => store.getItem(id));
+const layout = (store) => store.getLayoutEntries().filter(id => !id.startsWith('__SYSTEM_'));
+
+function storedItem(id) {
+    const sync = getStorageData('sync');
+    const chunkKeys = sync[`quicklinksChunkSet_${sync.quicklinksActiveSet}_index`] || [];
+    return chunkKeys.map(key => sync[key]?.[id]).find(Boolean) || null;
+}
+
+describe('bulk edit planners', () => {
+    it('skips links that would go past the tag limit', async () => {
+        const { store, planTagEdit } = await freshBulkEdit();
+
+        const added = planTagEdit(all(store), { add: 'jira, work' });
+        expect(added.updates).toEqual({
+            qlink_a: { tags: ['work', 'jira'] },
+            qlink_c: { tags: ['jira', 'work'] },
+            qlink_d: { tags: ['jira', 'work'] }
+        });
+        expect(added.skipped).toEqual(['qlink_b']);
+
+        const removed = planTagEdit(all(store), { remove: ['a', 'work'] });
+        expect(Object.keys(removed.updates)).toEqual(['qlink_a', 'qlink_b']);
+        expect(removed.updates.qlink_b.tags).toEqual(['b', 'c', 'd', 'e']);
+    });
+
+    it('previews literal and regex replacements and rejects bad results', async () => {
+        const { store, planFindReplace } = await freshBulkEdit();
+
+        const literal = planFindReplace(all(store), { find: 'JIRA.old.corp', replace: 'jira.new.corp' });
+        expect(literal.error).toBeNull();
+        expect(literal.changes.map(change => change.after)).toEqual([
+            'https://jira.new.corp/board/1',
+            'https://jira.new.corp/issues/?jql=me'
+        ]);
+        expect(planFindReplace(all(store), { find: 'JIRA.old.corp', replace: 'x', caseSensitive: true }).changes).toEqual([]);
+
+        const grouped = planFindReplace(all(store), { field: 'title', find: '^Jira (\\w+)$', replace: '$1 (Jira)', regex: true });
+        expect(grouped.updates).toEqual({ qlink_a: { title: 'board (Jira)' }, qlink_b: { title: 'search (Jira)' } });
+
+        expect(planFindReplace(all(store), { find: '(', regex: true }).error).toBe('invalid_pattern');
+
+        const unsafe = planFindReplace(all(store), { find: 'https://wiki', replace: 'javascript:alert(1)//' });
+        expect(unsafe.changes).toEqual([expect.objectContaining({ id: 'qlink_c', valid: false })]);
+        expect(unsafe.updates).toEqual({});
+    });
+});
+
+describe('store.bulkEditItems', () => {
+    it('applies a replacement in one commit and undoes it', async () => {
+        const { store, planFindReplace } = await freshBulkEdit();
+        const { updates } = planFindReplace(all(store), { find: 'jira.old.corp', replace: 'jira.new.corp' });
+
+        const result = await store.bulkEditItems(['qlink_a', 'qlink_b'], { updates });
+        expect(result).toMatchObject({ changed: 2, skipped: 0 });
+        expect(store.getItem('qlink_b').url).toBe('https://jira.new.corp/issues/?jql=me');
+        expect(storedItem('qlink_a').url).toBe('https://jira.new.corp/board/1');
+
+        await store.restoreBulkEdit(result.undo);
+        expect(store.getItem('qlink_a').url).toBe('https://jira.old.corp/board/1');
+        expect(store.getItem('qlink_b').url).toBe('https://jira.old.corp/issues/?jql=me');
+    });
+
+    it('moves into a folder, leaving the Dock, and restores the old layout', async () => {
+        const { store } = await freshBulkEdit();
+
+        const result = await store.bulkEditItems(['qlink_a', 'qlink_d'], { folderId: 'qfolder_w' });
+        expect(result.changed).toBe(2);
+        expect(store.getItem('qfolder_w').children).toEqual(['qlink_c', 'qlink_a', 'qlink_d']);
+        expect(layout(store)).toEqual(['qlink_b', 'qfolder_w']);
+        expect(store.dockPins).toEqual([]);
+
+        await store.restoreBulkEdit(result.undo);
+        expect(store.getItem('qfolder_w').children).toEqual(['qlink_c']);
+        expect(layout(store)).toEqual(['qlink_a', 'qlink_b', 'qfolder_w', '__PAGE_BREAK__', 'qlink_d']);
+        expect(store.dockPins).toEqual(['qlink_d']);
+    });
+
+    it('moves folder children onto a new page and removes the emptied folder', async () => {
+        const { store } = await freshBulkEdit();
+
+        const result = await store.bulkEditItems(['qlink_c', 'qlink_a'], { pageIndex: 2 });
+        expect(store.getItem('qfolder_w')).toBeNull();
+        expect(layout(store)).toEqual(['qlink_b', '__PAGE_BREAK__', 'qlink_d', '__PAGE_BREAK__', 'qlink_c', 'qlink_a']);
+
+        await store.restoreBulkEdit(result.undo);
+        expect(store.getItem('qfolder_w').children).toEqual(['qlink_c']);
+        expect(store.getFolderForItem('qlink_c')?._id).toBe('qfolder_w');
+    });
+
+    it('pins up to the Dock limit and unpins', async () => {
+        const { store } = await freshBulkEdit();
+        store.settings.dockCount = 2;
+
+        const pinned = await store.bulkEditItems(['qlink_a', 'qlink_b', 'qlink_c'], { dock: 'pin' });
+        expect(pinned).toMatchObject({ changed: 1, skipped: 2 });
+        expect(store.dockPins).toEqual(['qlink_d', 'qlink_a']);
+
+        const unpinned = await store.bulkEditItems(['qlink_a', 'qlink_d'], { dock: 'unpin' });
+        expect(unpinned.changed).toBe(2);
+        expect(getStorageData('sync').quicklinksDockPins).toEqual([]);
+    });
+});
@@ -0,0 +1,133 @@
+/**
+ * Duplicate finder and merge tests
+ *
+ * Focus:
+ * - groups by normalized URL across pages and folders, following known redirects
+ * - optional same-host + similar-title grouping
+ * - merge keeps the chosen copy's place, takes the chosen fields and inherits Dock pins
+ * - merge names the folders losing a copy and carries launch counts over to the kept copy
+ */
+
+import { describe, expect, it, vi } from 'vitest';
+import { getStorageData, setStorageData } from './setup.js';
+
+const ITEMS = [
+    { _id: 'qlink_a', title: 'Docs', url: 'https://docs.example/guide/', tags: ['dev'], createdAt: 1 },
+    { _id: 'qlink_b', title: 'Guide', url: 'http://docs.example/old-guide', icon: 'https://docs.example/icon.png', tags: ['read'], createdAt: 2 },
+    { _id: 'qfolder_w', type: 'folder', title: 'Work', children: ['qlink_c', 'qlink_d'], createdAt: 3 },
+    { _id: 'qlink_c', title: 'Docs (work)', url: 'HTTPS://docs.example/guide', tags: [], createdAt: 4 },
+    { _id: 'qlink_d', title: 'Mail', url: 'https://mail.example/', tags: [], createdAt: 5 },
+    { _id: 'qlink_e', title: 'Example Mail Inbox', url: 'https://mail.example/inbox', tags: [], createdAt: 6 },
+    { _id: 'qlink_f', title: 'Example Mail Inbox!', url: 'https://mail.example/u/0', tags: [], createdAt: 7 }
+];
+
+async function freshDuplicates(local = {}) {
+    const chunk = {};
+    for (const item of ITEMS) {
+        chunk[item._id] = { icon: '', ...item };
+    }
+    setStorageData({
+        storageVersion: 6,
+        quicklinksItems: ['qlink_a', 'qlink_b', 'qfolder_w', '__PAGE_BREAK__', 'qlink_e', 'qlink_f'],
+        quicklinksDockPins: ['qlink_b'],
+        quicklinksTags: ['dev', 'read'],
+        quicklinksActiveSet: 'cur',
+        quicklinksChunkSet_cur_index: ['quicklinksChunkSet_cur_0'],
+        quicklinksChunkSet_cur_0: chunk
+    }, 'sync');
+    setStorageData(local, 'local');
+
+    vi.resetModules();
+    const { store } = await import('../scripts/domains/quicklinks/store.js');
+    const duplicates = await import('../scripts/domains/quicklinks/duplicates.js');
+    await store.init();
+    store.settings.dockCount = 5;
+    return { store, ...duplicates };
+}
+
+const ids = (group) => group.items.map(item => item._id);
+
+describe('findDuplicateGroups', () => {
+    it('groups copies by URL across pages and folders', async () => {
+        const { store, findDuplicateGroups, describeItemLocation } = await freshDuplicates();
+        const groups = findDuplicateGroups(store.getAllItemsFlat());
+
+        expect(groups.map(ids)).toEqual([['qlink_a', 'qlink_c']]);
+        expect(groups[0].reason).toBe('url');
+        expect(describeItemLocation(store.getItem('qlink_c'))).toEqual({ pageIndex: 0, folder: 'Work', pinned: false });
+        expect(describeItemLocation(store.getItem('qlink_b'))).toEqual({ pageIndex: 0, folder: null, pinned: true });
+    });
+
+    it('follows known redirects and optionally matches similar titles', async () => {
+        const { store, findDuplicateGroups } = await freshDuplicates();
+        const aliases = new Map([['http://docs.example/old-guide', 'https://docs.example/guide']]);
+
+        const groups = findDuplicateGroups(store.getAllItemsFlat(), { aliases, similarTitles: true });
+        expect(groups.map(ids)).toEqual([['qlink_a', 'qlink_b', 'qlink_c'], ['qlink_e', 'qlink_f']]);
+        expect(groups.map(group => group.reason)).toEqual(['url', 'title']);
+    });
+
+    it('only treats near-identical titles as similar', async () => {
+        const { isSimilarTitle } = await freshDuplicates();
+        expect(isSimilarTitle('GitHub - Home', 'github home')).toBe(true);
+        expect(isSimilarTitle('Example Mail Inbox', 'Example Mail Inbox (2)')).toBe(true);
+        expect(isSimilarTitle('Home', 'Hose')).toBe(false);
+        expect(isSimilarTitle('Project Alpha board', 'Project Omega notes')).toBe(false);
+    });
+});
+
+describe('mergeDuplicateGroup', () => {
+    it('keeps the chosen copy in its folder and moves the Dock pin onto it', async () => {
+        const { store, findDuplicateGroups, mergeDuplicateGroup, getMergeDefaults, pickKeeper } = await freshDuplicates();
+        const aliases = new Map([['http://docs.example/old-guide', 'https://docs.example/guide']]);
+        const [group] = findDuplicateGroups(store.getAllItemsFlat(), { aliases });
+
+        // The pinned copy wins by default
+        expect(pickKeeper(group.items)._id).toBe('qlink_b');
+        expect(getMergeDefaults(group.items, store.getItem('qlink_c'))).toEqual({
+            title: 'Docs (work)',
+            icon: 'https://docs.example/icon.png',
+            tags: ['dev', 'read']
+        });
+
+        const result = await mergeDuplicateGroup(group.items, 'qlink_c', { title: 'Docs' });
+        expect(result.removedIds.sort()).toEqual(['qlink_a', 'qlink_b']);
+
+        const kept = store.getItem('qlink_c');
+        expect(kept).toMatchObject({ title: 'Docs', icon: 'https://docs.example/icon.png', tags: ['dev', 'read'] });
+        expect(store.getFolderForItem('qlink_c')?._id).toBe('qfolder_w');
+        expect(store.getItem('qlink_a')).toBeNull();
+        expect(store.dockPins).toEqual(['qlink_c']);
+        expect(getStorageData('sync').quicklinksDockPins).toEqual(['qlink_c']);
+    });
+
+    it('names the folders that lose a copy and carries launch counts over', async () => {
+        const { store, findDuplicateGroups, mergeDuplicateGroup } = await freshDuplicates({
+            quicklinksUsage: {
+                qlink_a: { count: 2, lastUsedAt: 100 },
+                qlink_c: { count: 5, lastUsedAt: 50 }
+            }
+        });
+        const { linkManagerDuplicateMethods } = await import('../scripts/domains/quicklinks/link-manager-duplicates.js');
+        const [group] = findDuplicateGroups(store.getAllItemsFlat());
+        const folderLoss = (keepId) => linkManagerDuplicateMethods._describeDuplicateFolderLoss.call({}, group, keepId);
+
+        // qlink_d stays behind, so the folder survives (messages read as their keys here)
+        expect(folderLoss('qlink_a')).toBe('linkDuplicatesLeavesFolders');
+        expect(folderLoss('qlink_c')).toBe('');
+        await store.deleteItem('qlink_d');
+        expect(folderLoss('qlink_a')).toBe('linkDuplicatesRemovesFolders');
+
+        const before = { qlink_a: store.getUsage('qlink_a'), qlink_c: store.getUsage('qlink_c') };
+        await mergeDuplicateGroup(group.items, 'qlink_a');
+        expect(store.getUsage('qlink_a')).toEqual({ count: 7, lastUsedAt: 100 });
+        expect(store.getUsage('qlink_c')).toBeNull();
+        expect(getStorageData('local').quicklinksUsage).toEqual({ qlink_a: { count: 7, lastUsedAt: 100 } });
+
+        // Undo puts the counts back once the copy is restored
+        await store.restoreItemsFromSnapshot([{ item: ITEMS[3], itemsIndex: 2, dockIndex: -1 }]);
+        await store.restoreUsage(before);
+        expect(store.getUsage('qlink_a')).toEqual({ count: 2, lastUsedAt: 100 });
+        expect(store.getUsage('qlink_c')).toEqual({ count: 5, lastUsedAt: 50 });
+    });
+});
@@ -0,0 +1,138 @@
+/**
+ * Quick links export tests
+ *
+ * Focus:
+ * - JSON schema v2 keeps page breaks, system item slots, folders, tags, createdAt and Dock pins
+ * - Netscape HTML nests folders inside their page folder
+ * - CSV lists folder children with their folder title
+ * - JSON export re-imports losslessly through LinkFileImporter
+ */
+
+import { describe, expect, it, vi } from 'vitest';
+import { setStorageData } from './setup.js';
+
+const ITEMS = [
+    { _id: 'qlink_a', title: 'A', url: 'https://a.example', icon: 'https://a.example/icon.png', tags: ['news'], createdAt: 1700000000000 },
+    { _id: 'qlink_b', title: 'B, "quoted"', url: 'https://b.example', tags: ['dev', 'docs'], createdAt: 1700000001000 },
+    { _id: 'qlink_c', title: 'C', url: 'https://c.example', createdAt: 1700000002000 },
+    { _id: 'qfolder_w', type: 'folder', title: 'Work', children: ['qlink_b', 'qlink_c'], createdAt: 1700000003000 },
+    { _id: 'qlink_d', title: 'D', url: 'https://d.example', createdAt: 1700000004000 }
+];
+
+async function freshExporter() {
+    const chunk = {};
+    for (const item of ITEMS) {
+        chunk[item._id] = { icon: '', tags: [], ...item };
+    }
+    setStorageData({
+        storageVersion: 6,
+        quicklinksItems: ['__SYSTEM_SETTINGS__', 'qlink_a', 'qfolder_w', '__PAGE_BREAK__', 'qlink_d', '__SYSTEM_PHOTOS__'],
+        quicklinksDockPins: ['qlink_d'],
+        quicklinksTags: ['dev', 'docs', 'news'],
+        quicklinksActiveSet: 'cur',
+        quicklinksChunkSet_cur_index: ['quicklinksChunkSet_cur_0'],
+        quicklinksChunkSet_cur_0: chunk
+    }, 'sync');
+
+    vi.resetModules();
+    const { store } = await import('../scripts/domains/quicklinks/store.js');
+    const { linkExporter } = await import('../scripts/domains/bookmarks/exporter.js');
+    await store.init();
+    return { store, linkExporter };
+}
+
+describe('LinkExporter', () => {
+    it('exports the full quicklinks graph as versioned JSON', async () => {
+        const { linkExporter } = await freshExporter();
+        const data = JSON.parse(linkExporter.exportAsJson());
+
+        expect(data).toMatchObject({ format: 'aura-tab-quicklinks', version: 2, source: 'Aura Tab' });
+        expect(data.dockPins).toContain('qlink_d');
+        expect(data.tags).toEqual(['dev', 'docs', 'news']);
+        expect(data.pages).toEqual([
+            {
+                name: 'Page 1',
+                items: [
+                    { id: '__SYSTEM_SETTINGS__', type: 'system' },
+                    { id: 'qlink_a', title: 'A', url: 'https://a.example', icon: 'https://a.example/icon.png', tags: ['news'], createdAt: 1700000000000 },
+                    {
+                        id: 'qfolder_w',
+                        type: 'folder',
+                        title: 'Work',
+                        createdAt: 1700000003000,
+                        children: [
+                            { id: 'qlink_b', title: 'B, "quoted"', url: 'https://b.example', icon: '', tags: ['dev', 'docs'], createdAt: 1700000001000 },
+                            { id: 'qlink_c', title: 'C', url: 'https://c.example', icon: '', tags: [], createdAt: 1700000002000 }
+                        ]
+                    }
+                ]
+            },
+            {
+                name: 'Page 2',
+                items: [
+                    { id: 'qlink_d', title: 'D', url: 'https://d.example', icon: '', tags: [], createdAt: 1700000004000 },
+                    { id: '__SYSTEM_PHOTOS__', type: 'system' }
+                ]
+            }
+        ]);
+    });
+
+    it('nests folders in the Netscape HTML export', async () => {
+        const { linkExporter } = await freshExporter();
+        const doc = new DOMParser().parseFromString(linkExporter.exportAsHtml(), 'text/html');
+
+        const pageFolders = [...doc.querySelectorAll('body > dl > dt > h3')].map(h3 => h3.textContent);
+        expect(pageFolders).toEqual(['Page 1', 'Page 2']);
+
+        const work = [...doc.querySelectorAll('h3')].find(h3 => h3.textContent === 'Work');
+        expect(work.getAttribute('add_date')).toBe('1700000003');
+        const workLinks = [...work.nextElementSibling.querySelectorAll('a')];
+        expect(workLinks.map(a => a.getAttribute('href'))).toEqual(['https://b.example', 'https://c.example']);
+        expect(workLinks[0].getAttribute('tags')).toBe('dev,docs');
+
+        const a = doc.querySelector('a[href="https://a.example"]');
+        expect(a.getAttribute('icon_uri')).toBe('https://a.example/icon.png');
+        expect(a.getAttribute('add_date')).toBe('1700000000');
+        expect(doc.querySelectorAll('a')).toHaveLength(4);
+    });
+
+    it('lists folder children in the CSV export', async () => {
+        const { linkExporter } = await freshExporter();
+        const lines = linkExporter.exportAsCsv().replace(/^\uFEFF/, '').split('\n');
+
+        expect(lines).toEqual([
+            'Page,Folder,Title,URL,Tags',
+            'Page 1,"",A,https://a.example,news',
+            'Page 1,Work,"B, ""quoted""",https://b.example,"dev, docs"',
+            'Page 1,Work,C,https://c.example,""',
+            'Page 2,"",D,https://d.example,""'
+        ]);
+    });
+
+    it('re-imports its own JSON export losslessly', async () => {
+        const { store, linkExporter } = await freshExporter();
+        const json = linkExporter.exportAsJson();
+
+        // Import into an empty layout
+        setStorageData({ storageVersion: 6, quicklinksItems: [], quicklinksDockPins: [], quicklinksTags: [] }, 'sync');
+        vi.resetModules();
+        const { store: target } = await import('../scripts/domains/quicklinks/store.js');
+        const { LinkFileImporter } = await import('../scripts/domains/bookmarks/file-importer.js');
+        await target.init();
+        target.settings.dockCount = 5;
+        expect(target).not.toBe(store);
+
+        const importer = new LinkFileImporter();
+        const parsed = importer.parseText(json, 'export.json');
+        expect(parsed.format).toBe('aura-json');
+        const preview = importer.previewImport({ selectedFolders: new Set(parsed.folders.keys()), smartCompact: false });
+        const result = await importer.executeImport(preview.pages);
+        expect(result).toMatchObject({ status: 'success', success: 4 });
+
+        const flat = target.getAllItemsFlat();
+        const byUrl = (url) => flat.find(item => item.url === url);
+        expect(byUrl('https://b.example')).toMatchObject({ tags: ['dev', 'docs'], createdAt: 1700000001000 });
+        expect(target.getFolderForItem(byUrl('https://c.example')._id)?.title).toBe('Work');
+        expect(target.dockPins).toContain(byUrl('https://d.example')._id);
+    });
+});
@@ -0,0 +1,202 @@
+/**
+ * Link file import tests
+ *
+ * Focus:
+ * - Aura Tab JSON round trip (pages, folders, tags, Dock pins)
+ * - Netscape bookmark HTML: browser root folders skipped, nested folders flattened
+ * - CSV with and without a header
+ * - dedup against the store and within the file, unsafe URLs dropped
+ */
+
+import { File } from 'node:buffer';
+import { describe, expect, it, vi } from 'vitest';
+import { setStorageData } from './setup.js';
+
+async function freshImporter(existing = []) {
+    const chunk = {};
+    for (const item of existing) {
+        chunk[item._id] = { icon: '', tags: [], createdAt: 1, ...item };
+    }
+    setStorageData({
+        storageVersion: 6,
+        quicklinksItems: existing.map(item => item._id),
+        quicklinksDockPins: [],
+        quicklinksTags: [],
+        quicklinksActiveSet: 'cur',
+        quicklinksChunkSet_cur_index: ['quicklinksChunkSet_cur_0'],
+        quicklinksChunkSet_cur_0: chunk
+    }, 'sync');
+
+    vi.resetModules();
+    const { store } = await import('../scripts/domains/quicklinks/store.js');
+    const { LinkFileImporter, LinkFileFormat, parseCsv } = await import('../scripts/domains/bookmarks/file-importer.js');
+    await store.init();
+    return { store, importer: new LinkFileImporter(), LinkFileFormat, parseCsv };
+}
+
+const AURA_EXPORT = {
+    version: 1,
+    exportedAt: '2026-03-01T00:00:00.000Z',
+    source: 'Aura Tab',
+    pages: [
+        {
+            name: 'Page 1',
+            items: [
+                { id: 'qlink_a', title: 'A', url: 'https://a.example', icon: '', tags: ['news'] },
+                { type: 'folder', title: 'Work', children: [
+                    { title: 'B', url: 'https://b.example', icon: '' },
+                    { title: 'C', url: 'https://c.example', icon: '' }
+                ] }
+            ]
+        },
+        {
+            name: 'Page 2',
+            items: [
+                { id: 'qlink_d', title: 'D', url: 'https://d.example', icon: 'https://d.example/icon.png' },
+                { id: 'qlink_x', title: 'Bad', url: 'javascript:alert(1)', icon: '' }
+            ]
+        }
+    ],
+    dockPins: ['qlink_d']
+};
+
+describe('LinkFileImporter', () => {
+    it('round-trips an Aura Tab JSON export', async () => {
+        const { store, importer, LinkFileFormat } = await freshImporter();
+        store.settings.dockCount = 5;
+        const file = new File([JSON.stringify(AURA_EXPORT)], 'aura-links.json', { type: 'application/json' });
+
+        const parsed = await importer.parseFile(file);
+        expect(parsed.format).toBe(LinkFileFormat.AURA_JSON);
+        expect([...parsed.folders.keys()]).toEqual(['Page 1', 'Page 2']);
+        expect(parsed.stats.totalBookmarks).toBe(4);
+
+        const preview = importer.previewImport({
+            selectedFolders: new Set(parsed.folders.keys()),
+            smartCompact: false
+        });
+        expect(preview.pages.map(page => page.items.length)).toEqual([3, 1]);
+
+        const result = await importer.executeImport(preview.pages);
+        expect(result).toMatchObject({ status: 'success', success: 4, failed: 0, pages: 2 });
+
+        const all = store.getAllItems();
+        const folder = all.find(item => item.type === 'folder');
+        expect(folder.title).toBe('Work');
+        expect(folder.children.map(id => store.getItem(id).url)).toEqual(['https://b.example', 'https://c.example']);
+
+        const a = all.find(item => item.url === 'https://a.example');
+        expect(a.tags).toEqual(['news']);
+        expect(store.tags).toContain('news');
+
+        const d = all.find(item => item.url === 'https://d.example');
+        expect(d.icon).toBe('https://d.example/icon.png');
+        expect(store.dockPins).toContain(d._id);
+    });
+
+    it('parses bookmark HTML and flattens nested folders', async () => {
+        const { importer } = await freshImporter();
+        const html = `<!DOCTYPE NETSCAPE-Bookmark-file-1>
+<META HTTP-EQUIV="Content-Type" CONTENT="text/html; charset=UTF-8">
+<TITLE>Bookmarks</TITLE>
+<H1>Bookmarks</H1>
+<DL><p>
+    <DT><H3 PERSONAL_TOOLBAR_FOLDER="true">Bookmarks Toolbar</H3>
+    <DL><p>
+        <DT><A HREF="https://toolbar.example/" ICON_URI="https://toolbar.example/favicon.ico" TAGS="daily,tools">Toolbar</A>
+        <DT><H3>Dev</H3>
+        <DL><p>
+            <DT><A HREF="https://dev.example/">Dev</A>
+            <DT><H3>Docs</H3>
+            <DL><p>
+                <DT><A HREF="https://docs.example/">Docs</A>
+            </DL><p>
+        </DL><p>
+    </DL><p>
+    <DT><A HREF="https://menu.example/" ICON_URI="fake-favicon-uri:https://menu.example/">Menu</A>
+    <DT><A HREF="javascript:void(0)">Bookmarklet</A>
+</DL><p>`;
+
+        const parsed = importer.parseText(html, 'bookmarks.html');
+
+        expect(parsed.format).toBe('html');
+        expect([...parsed.folders.keys()]).toEqual(['Dev']);
+        expect(parsed.folders.get('Dev').map(b => b.url)).toEqual(['https://dev.example/', 'https://docs.example/']);
+        expect(parsed.looseBookmarks).toEqual([
+            { title: 'Toolbar', url: 'https://toolbar.example/', icon: 'https://toolbar.example/favicon.ico', tags: ['daily', 'tools'] },
+            { title: 'Menu', url: 'https://menu.example/', icon: '' }
+        ]);
+    });
+
+    it('parses CSV with a header, without one, and dedupes', async () => {
+        const { importer, parseCsv } = await freshImporter([
+            { _id: 'qlink_e', title: 'Existing', url: 'https://existing.example' }
+        ]);
+
+        expect(parseCsv('a,"b ""q"", c"\r\n\r\nd,e')).toEqual([['a', 'b "q", c'], ['d', 'e']]);
+
+        const withHeader = importer.parseText(
+            '\uFEFFPage,Title,URL\nReading,"Long, read",https://read.example\nReading,Again,https://READ.example/\n,Existing,https://existing.example/\n',
+            'links.csv'
+        );
+        expect(withHeader.format).toBe('csv');
+        expect(withHeader.folders.get('Reading')).toEqual([
+            { title: 'Long, read', url: 'https://read.example', icon: '' }
+        ]);
+        expect(withHeader.looseBookmarks).toEqual([]);
+        expect(withHeader.stats.duplicateCount).toBe(2);
+
+        const headerless = importer.parseText('Example,https://x.example\nno url here,\n', 'export.txt');
+        expect(headerless.format).toBe('csv');
+        expect(headerless.looseBookmarks).toEqual([{ title: 'Example', url: 'https://x.example', icon: '' }]);
+    });
+
+    it('restores a large export without a write per link and reports a failed folder restore', async () => {
+        const { store, importer } = await freshImporter();
+        store.settings.dockCount = 5;
+        const link = (n) => ({ id: `qlink_${n}`, title: `L${n}`, url: `https://l${n}.example`, icon: '', tags: ['bulk'], createdAt: 1000 + n });
+        const folders = [0, 1, 2].map(f => ({
+            type: 'folder',
+            title: `F${f}`,
+            children: Array.from({ length: 20 }, (_, i) => link(f * 20 + i))
+        }));
+        const data = {
+            format: 'aura-tab-quicklinks',
+            pages: [{ name: 'Page 1', items: [...folders, link(60), link(61)] }],
+            dockPins: ['qlink_60', 'qlink_61']
+        };
+
+        importer.parseText(JSON.stringify(data), 'big.json');
+        const { pages } = importer.previewImport({ selectedFolders: new Set(['Page 1']), smartCompact: false });
+        chrome.storage.sync.set.mockClear();
+        const result = await importer.executeImport(pages);
+
+        expect(result).toMatchObject({ status: 'success', success: 62 });
+        expect(result.structureFailed).toBeUndefined();
+        // One commit for the links, one for folders and pins
+        expect(chrome.storage.sync.set.mock.calls.length).toBeLessThanOrEqual(4);
+        const created = store.getAllItems().filter(item => item.type === 'folder');
+        expect(created.map(folder => folder.title)).toEqual(['F0', 'F1', 'F2']);
+        expect(created.map(folder => folder.children.length)).toEqual([20, 20, 20]);
+        const first = store.getItem(created[0].children[0]);
+        expect(first).toMatchObject({ url: 'https://l0.example', tags: ['bulk'], createdAt: 1000 });
+        expect(store.dockPins.map(id => store.getItem(id).url).filter(Boolean)).toEqual(['https://l60.example', 'https://l61.example']);
+
+        const again = await freshImporter();
+        vi.spyOn(again.store, 'arrangeItems').mockRejectedValue(new Error('MAX_WRITE_OPERATIONS_PER_MINUTE'));
+        vi.spyOn(console, 'error').mockImplementation(() => { });
+        again.importer.parseText(JSON.stringify(data), 'big.json');
+        const retry = again.importer.previewImport({ selectedFolders: new Set(['Page 1']), smartCompact: false });
+        const failed = await again.importer.executeImport(retry.pages);
+        expect(failed).toMatchObject({ status: 'success', success: 62, structureFailed: true });
+        vi.restoreAllMocks();
+    });
+
+    it('rejects files without links', async () => {
+        const { importer } = await freshImporter();
+
+        expect(() => importer.parseText('{"hello": 1}', 'x.json')).toThrow('link_import_unsupported');
+        expect(() => importer.parseText('{', 'x.json')).toThrow('link_import_invalid_json');
+        expect(() => importer.parseText('title,url\n', 'x.csv')).toThrow('link_import_no_links');
+    });
+});
@@ -0,0 +1,270 @@
+/**
+ * Dead-link health check tests
+ *
+ * Focus:
+ * - results keyed by item id and URL; broken, suspicious and (permanently) redirected badges
+ * - fresh results are skipped unless forced, deleted links are pruned
+ * - redirect fix previews before → after, rewrites the link URLs in one write and undoes
+ * - alarm armed only while the check is enabled
+ * - redirects remembered as canonical URL aliases for import dedupe, never for a shared target
+ */
+
+import { File } from 'node:buffer';
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { getStorageData, setStorageData } from './setup.js';
+
+const LINKS = [
+    { _id: 'qlink_ok', title: 'OK', url: 'https://ok.example/' },
+    { _id: 'qlink_gone', title: 'Gone', url: 'https://gone.example/' },
+    { _id: 'qlink_moved', title: 'Moved', url: 'http://moved.example/' },
+    { _id: 'qlink_login', title: 'Login', url: 'https://login.example/' }
+];
+
+const RESPONSES = {
+    'https://ok.example/': { status: 200 },
+    'https://gone.example/': { status: 404 },
+    'http://moved.example/': { status: 200, redirectedTo: 'https://moved.example/home', firstHop: 301 },
+    'https://login.example/': { status: 403 }
+};
+
+/** fetch() as seen by the validator; `redirect: 'manual'` answers with the first hop */
+function respond(responses) {
+    return async (url, { redirect } = {}) => {
+        const { status, redirectedTo, firstHop = 302 } = responses[url];
+        if (redirect === 'manual' && redirectedTo) return { type: 'basic', ok: false, status: firstHop, redirected: false, url };
+        return { ok: status < 400, status, redirected: Boolean(redirectedTo), url: redirectedTo || url };
+    };
+}
+
+async function freshHealth() {
+    const chunk = {};
+    for (const item of LINKS) {
+        chunk[item._id] = { icon: '', tags: [], createdAt: 1, ...item };
+    }
+    setStorageData({
+        storageVersion: 6,
+        quicklinksItems: LINKS.map(item => item._id),
+        quicklinksDockPins: [],
+        quicklinksTags: [],
+        quicklinksActiveSet: 'cur',
+        quicklinksChunkSet_cur_index: ['quicklinksChunkSet_cur_0'],
+        quicklinksChunkSet_cur_0: chunk
+    }, 'sync');
+    setStorageData({}, 'local');
+
+    vi.resetModules();
+    const { store } = await import('../scripts/domains/quicklinks/store.js');
+    const health = await import('../scripts/domains/quicklinks/link-health.js');
+    await store.init();
+    return { store, ...health };
+}
+
+describe('link health check', () => {
+    let originalFetch;
+
+    beforeEach(() => {
+        // The test navigator has no onLine, which reads as offline
+        navigator.onLine = true;
+        originalFetch = global.fetch;
+        global.fetch = vi.fn(respond(RESPONSES));
+    });
+
+    afterEach(() => {
+        global.fetch = originalFetch;
+        delete navigator.onLine;
+    });
+
+    it('records a badge per link and skips fresh results', async () => {
+        const { runLinkHealthCheck, getLinkHealth, getItemHealth, getLinkHealthBadge } = await freshHealth();
+
+        const summary = await runLinkHealthCheck();
+        expect(summary).toEqual({ checked: 4, invalid: 1, suspicious: 1, redirected: 1 });
+
+        const health = await getLinkHealth();
+        const badgeOf = (id) => getLinkHealthBadge(getItemHealth(health, LINKS.find(item => item._id === id)));
+        expect(badgeOf('qlink_ok')).toBeNull();
+        expect(badgeOf('qlink_gone')).toBe('invalid');
+        expect(badgeOf('qlink_login')).toBe('suspicious');
+        expect(badgeOf('qlink_moved')).toBe('redirected');
+        expect(health.qlink_moved.finalUrl).toBe('https://moved.example/home');
+
+        global.fetch.mockClear();
+        expect(await runLinkHealthCheck()).toMatchObject({ checked: 0 });
+        expect(global.fetch).not.toHaveBeenCalled();
+
+        expect(await runLinkHealthCheck({ ids: ['qlink_ok'], force: true })).toMatchObject({ checked: 1 });
+        expect(global.fetch).toHaveBeenCalledTimes(1);
+    });
+
+    it('checks the oldest results first within the batch limit', async () => {
+        const { runLinkHealthCheck } = await freshHealth();
+        setStorageData({
+            linkHealth: {
+                qlink_ok: { url: 'https://ok.example/', status: 'valid', checkedAt: 1 },
+                qlink_gone: { url: 'https://gone.example/', status: 'invalid', checkedAt: 2 },
+                qlink_deleted: { url: 'https://deleted.example/', status: 'invalid', checkedAt: 3 }
+            }
+        }, 'local');
+
+        await runLinkHealthCheck({ limit: 3 });
+
+        // Never-checked links come first, then the oldest result
+        // A redirect is asked about twice: once followed, once for its first hop
+        expect([...new Set(global.fetch.mock.calls.map(([url]) => url))].sort()).toEqual([
+            'http://moved.example/',
+            'https://login.example/',
+            'https://ok.example/'
+        ]);
+        const stored = getStorageData('local').linkHealth;
+        expect(stored.qlink_deleted).toBeUndefined();
+        expect(stored.qlink_gone.checkedAt).toBe(2);
+    });
+
+    it('treats a link with an edited URL as unchecked and applies redirects', async () => {
+        const { store, runLinkHealthCheck, applyLinkRedirects, getLinkHealth, getItemHealth } = await freshHealth();
+        await runLinkHealthCheck();
+
+        expect(await applyLinkRedirects(['qlink_moved', 'qlink_ok'])).toMatchObject({ updated: 1 });
+        const moved = store.getItem('qlink_moved');
+        expect(moved.url).toBe('https://moved.example/home');
+        expect(getItemHealth(await getLinkHealth(), moved)).toMatchObject({ status: 'valid', finalUrl: null });
+
+        await store.updateItem('qlink_gone', { url: 'https://gone.example/new' });
+        expect(getItemHealth(await getLinkHealth(), store.getItem('qlink_gone'))).toBeNull();
+    });
+
+    it('previews, applies every redirect in one write and undoes', async () => {
+        const { store, applyLinkRedirects, planLinkRedirects } = await freshHealth();
+        const redirected = (item, finalUrl) => ({ url: item.url, status: 'valid', checkedAt: 1, finalUrl });
+        setStorageData({
+            linkHealth: {
+                qlink_ok: redirected(LINKS[0], 'https://ok.example/home'),
+                qlink_gone: redirected(LINKS[1], 'https://gone.example/home'),
+                qlink_moved: redirected(LINKS[2], 'https://moved.example/home')
+            }
+        }, 'local');
+        const updateItem = vi.spyOn(store, 'updateItem');
+        const bulkEditItems = vi.spyOn(store, 'bulkEditItems');
+
+        const ids = ['qlink_ok', 'qlink_gone', 'qlink_moved', 'qlink_login'];
+        expect(await planLinkRedirects(ids)).toEqual([
+            { id: 'qlink_ok', title: 'OK', before: 'https://ok.example/', after: 'https://ok.example/home' },
+            { id: 'qlink_gone', title: 'Gone', before: 'https://gone.example/', after: 'https://gone.example/home' },
+            { id: 'qlink_moved', title: 'Moved', before: 'http://moved.example/', after: 'https://moved.example/home' }
+        ]);
+        // Planning writes nothing
+        expect(store.getItem('qlink_ok').url).toBe('https://ok.example/');
+
+        const { updated, undo } = await applyLinkRedirects(ids);
+        expect(updated).toBe(3);
+        expect(bulkEditItems).toHaveBeenCalledTimes(1);
+        expect(updateItem).not.toHaveBeenCalled();
+        expect(store.getItem('qlink_gone').url).toBe('https://gone.example/home');
+        expect(getStorageData('local').linkHealth.qlink_ok).toMatchObject({ url: 'https://ok.example/home', finalUrl: null });
+
+        await store.restoreBulkEdit(undo);
+        expect(LINKS.map(item => store.getItem(item._id).url)).toEqual(LINKS.map(item => item.url));
+        expect(await applyLinkRedirects(['qlink_login'])).toEqual({ updated: 0, undo: null });
+    });
+
+    it('remembers redirects as canonical URLs for dedupe', async () => {
+        const { applyLinkRedirects, canonicalUrlKey, getCanonicalUrlAliases, runLinkHealthCheck } = await freshHealth();
+        await runLinkHealthCheck();
+        await applyLinkRedirects(['qlink_moved']);
+
+        // The alias outlives the fix
+        const aliases = await getCanonicalUrlAliases();
+        expect(aliases.get('http://moved.example')).toBe('https://moved.example/home');
+        expect(canonicalUrlKey('HTTP://moved.example/', aliases)).toBe('https://moved.example/home');
+        expect(canonicalUrlKey('https://ok.example/', aliases)).toBe('https://ok.example');
+
+        const { LinkFileImporter } = await import('../scripts/domains/bookmarks/file-importer.js');
+        const csv = 'Title,URL\nOld address,http://moved.example/\nFresh,https://fresh.example';
+        const parsed = await new LinkFileImporter().parseFile(new File([csv], 'links.csv'));
+        expect(parsed.stats.duplicateCount).toBe(1);
+    });
+
+    it('never dedupes different links that redirect to the same sign-in page', async () => {
+        const { canonicalUrlKey, getCanonicalUrlAliases, runLinkHealthCheck } = await freshHealth();
+        const toLogin = (firstHop) => ({ status: 200, redirectedTo: 'https://sso.example/login?continue=x', firstHop });
+        global.fetch.mockImplementation(respond({
+            ...RESPONSES,
+            'https://ok.example/': toLogin(302),
+            'https://gone.example/': toLogin(302)
+        }));
+        await runLinkHealthCheck();
+        let aliases = await getCanonicalUrlAliases();
+        expect(canonicalUrlKey('https://ok.example/', aliases)).not.toBe(canonicalUrlKey('https://gone.example/', aliases));
+
+        // Even when both claim to be permanent, a shared target is no proof of identity
+        global.fetch.mockImplementation(respond({
+            ...RESPONSES,
+            'https://ok.example/': toLogin(301),
+            'https://gone.example/': toLogin(301)
+        }));
+        await runLinkHealthCheck({ force: true });
+        expect(Object.keys(getStorageData('local').linkCanonicalUrls)).toHaveLength(3);
+        aliases = await getCanonicalUrlAliases();
+        expect(canonicalUrlKey('https://ok.example/', aliases)).toBe('https://ok.example');
+        expect(canonicalUrlKey('https://gone.example/', aliases)).toBe('https://gone.example');
+        expect(canonicalUrlKey('http://moved.example/', aliases)).toBe('https://moved.example/home');
+
+        const { LinkFileImporter } = await import('../scripts/domains/bookmarks/file-importer.js');
+        const csv = 'Title,URL\nOther,https://other.example/\nLogin,https://sso.example/login';
+        const parsed = await new LinkFileImporter().parseFile(new File([csv], 'links.csv'));
+        expect(parsed.stats.duplicateCount).toBe(0);
+    });
+
+    it('ignores redirects that keep the normalized URL', async () => {
+        const { runLinkHealthCheck, getLinkHealth } = await freshHealth();
+        global.fetch.mockImplementation(async (url, { redirect } = {}) => ({
+            type: 'basic',
+            ok: redirect !== 'manual',
+            status: redirect === 'manual' ? 301 : 200,
+            redirected: redirect !== 'manual',
+            url: `${url}?utm_source=redirect`
+        }));
+
+        expect(await runLinkHealthCheck()).toMatchObject({ checked: 4, redirected: 0 });
+        expect((await getLinkHealth()).qlink_ok.finalUrl).toBeNull();
+        expect(getStorageData('local').linkCanonicalUrls).toBeUndefined();
+    });
+
+    it('flags only permanent redirects', async () => {
+        const { runLinkHealthCheck, getLinkHealth } = await freshHealth();
+        global.fetch.mockImplementation(respond({
+            ...RESPONSES,
+            // Temporary: sign-in page
+            'https://ok.example/': { status: 200, redirectedTo: 'https://sso.example/login?continue=ok' },
+            // Status hidden from the extension: the kept path decides
+            'http://moved.example/': { status: 200, redirectedTo: 'https://moved.example/', firstHop: 0 }
+        }));
+        const manual = global.fetch.getMockImplementation();
+        global.fetch.mockImplementation(async (url, init) => {
+            const response = await manual(url, init);
+            return response.status === 0 ? { ...response, type: 'opaqueredirect' } : response;
+        });
+
+        expect(await runLinkHealthCheck()).toMatchObject({ checked: 4, redirected: 1 });
+        const health = await getLinkHealth();
+        expect(health.qlink_ok.finalUrl).toBeNull();
+        expect(health.qlink_moved.finalUrl).toBe('https://moved.example/');
+    });
+
+    it('arms the alarm only while enabled', async () => {
+        const { LINK_HEALTH_ALARM, setLinkHealthCheckEnabled, syncLinkHealthAlarm } = await freshHealth();
+        global.chrome.alarms = {
+            get: vi.fn(async () => undefined),
+            create: vi.fn(async () => {}),
+            clear: vi.fn(async () => true)
+        };
+
+        await syncLinkHealthAlarm();
+        expect(chrome.alarms.clear).toHaveBeenCalledWith(LINK_HEALTH_ALARM);
+        expect(chrome.alarms.create).not.toHaveBeenCalled();
+
+        await setLinkHealthCheckEnabled(true);
+        await syncLinkHealthAlarm();
+        expect(chrome.alarms.create).toHaveBeenCalledWith(LINK_HEALTH_ALARM, { delayInMinutes: 1, periodInMinutes: 60 });
+    });
+});
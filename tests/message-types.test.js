@@ -3,6 +3,7 @@ import { MSG } from '../scripts/platform/runtime-bus.js';
 
 const EXPECTED_MSG = {
     FETCH_ICON: 'fetchIcon',
+    FETCH_SEARCH_SUGGESTIONS: 'fetchSearchSuggestions',
     REFRESH_BACKGROUND: 'refreshBackground',
     SHOW_CHANGELOG: 'showChangelog'
 };
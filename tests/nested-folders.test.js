@@ -0,0 +1,363 @@
+/**
+ * Nested folder tests
+ *
+ * Focus:
+ * - folders move into folders, never into themselves, a descendant or past MAX_FOLDER_DEPTH
+ * - stored cycles and double references are pruned on load
+ * - remove / dissolve / delete release or cascade through the nesting
+ * - JSON, HTML and CSV export, JSON and CSV import and backup merge keep subfolders
+ * - the folder overlay shows subfolders and navigates them through breadcrumbs
+ */
+
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { getStorageData, setStorageData } from './setup.js';
+
+vi.mock('../scripts/libs/sortable-loader.js', () => {
+    class FakeSortable {
+        destroy() { }
+    }
+    return {
+        getSortable: vi.fn(async () => FakeSortable)
+    };
+});
+
+vi.mock('../scripts/domains/quicklinks/context-menu.js', () => ({
+    contextMenu: {
+        close: vi.fn(),
+        show: vi.fn()
+    }
+}));
+
+vi.mock('../scripts/shared/toast.js', () => ({
+    toast: Object.assign(vi.fn(), {
+        show: vi.fn(),
+        success: vi.fn(),
+        error: vi.fn()
+    })
+}));
+
+vi.mock('../scripts/platform/i18n.js', () => ({
+    t: (key) => key
+}));
+
+vi.mock('../scripts/shared/dom.js', () => ({
+    readCssVarMs: (name, fallback) => fallback,
+    readCssVarString: (name, fallback) => fallback,
+    updateElement: (el) => el
+}));
+
+vi.mock('../scripts/shared/favicon.js', () => ({
+    getFaviconUrlCandidates: () => [],
+    setImageSrcWithFallback: vi.fn(),
+    buildIconCacheKey: vi.fn(() => 'mock-cache-key')
+}));
+
+vi.mock('../scripts/platform/modal-layer.js', () => ({
+    modalLayer: {
+        register: vi.fn(),
+        unregister: vi.fn(),
+        bringToFront: vi.fn(),
+        shouldHandleClick: vi.fn(() => true),
+        constructor: {
+            LEVEL: {
+                OVERLAY: 1,
+                DIALOG: 2
+            }
+        }
+    }
+}));
+
+// Work > Docs > Deep, plus a separate Misc folder
+const ITEMS = [
+    { _id: 'qlink_a', title: 'A', url: 'https://a.example/' },
+    { _id: 'qfolder_work', type: 'folder', title: 'Work', children: ['qlink_b', 'qfolder_docs'] },
+    { _id: 'qlink_b', title: 'B', url: 'https://b.example/' },
+    { _id: 'qfolder_docs', type: 'folder', title: 'Docs', children: ['qlink_c', 'qfolder_deep'] },
+    { _id: 'qlink_c', title: 'C', url: 'https://c.example/' },
+    { _id: 'qfolder_deep', type: 'folder', title: 'Deep', children: ['qlink_d'] },
+    { _id: 'qlink_d', title: 'D', url: 'https://d.example/' },
+    { _id: 'qfolder_misc', type: 'folder', title: 'Misc', children: ['qlink_e'] },
+    { _id: 'qlink_e', title: 'E', url: 'https://e.example/' }
+];
+
+async function freshNestedStore({ items = ITEMS, layout = ['qlink_a', 'qfolder_work', 'qfolder_misc'] } = {}) {
+    const chunk = {};
+    for (const item of items) {
+        chunk[item._id] = { icon: '', createdAt: 1, ...item };
+    }
+    setStorageData({
+        storageVersion: 6,
+        quicklinksItems: layout,
+        quicklinksDockPins: [],
+        quicklinksTags: [],
+        quicklinksActiveSet: 'cur',
+        quicklinksChunkSet_cur_index: ['quicklinksChunkSet_cur_0'],
+        quicklinksChunkSet_cur_0: chunk
+    }, 'sync');
+    setStorageData({}, 'local');
+
+    vi.resetModules();
+    const { store } = await import('../scripts/domains/quicklinks/store.js');
+    await store.init();
+    return store;
+}
+
+const layout = (store) => store.getLayoutEntries().filter(entry => !entry.startsWith('__SYSTEM_'));
+const childrenOf = (store, id) => store.getItem(id)?.children;
+
+describe('store nested folders', () => {
+    it('loads every level, resolves paths and lists links depth-first', async () => {
+        const store = await freshNestedStore();
+
+        expect(childrenOf(store, 'qfolder_deep')).toEqual(['qlink_d']);
+        expect(store.getFolderPath('qfolder_deep').map(folder => folder._id))
+            .toEqual(['qfolder_work', 'qfolder_docs', 'qfolder_deep']);
+        expect(store.getFolderForItem('qlink_d')?._id).toBe('qfolder_deep');
+        expect(store.getAllItemsFlat().map(item => item._id).filter(id => !id.startsWith('__SYSTEM_'))).toEqual([
+            'qlink_a', 'qfolder_work', 'qlink_b', 'qfolder_docs', 'qlink_c', 'qfolder_deep', 'qlink_d', 'qfolder_misc', 'qlink_e'
+        ]);
+    });
+
+    it('prunes stored cycles, double parents and smart subfolders on load', async () => {
+        const store = await freshNestedStore({
+            items: [
+                { _id: 'qfolder_x', type: 'folder', title: 'X', children: ['qlink_a', 'qfolder_y', 'qfolder_s'] },
+                { _id: 'qfolder_y', type: 'folder', title: 'Y', children: ['qlink_b', 'qfolder_x', 'qfolder_z'] },
+                { _id: 'qfolder_z', type: 'folder', title: 'Z', children: ['qlink_c'] },
+                { _id: 'qfolder_s', type: 'folder', title: 'S', children: [], smart: { type: 'tag', value: 'dev' } },
+                { _id: 'qlink_a', title: 'A', url: 'https://a.example/' },
+                { _id: 'qlink_b', title: 'B', url: 'https://b.example/' },
+                { _id: 'qlink_c', title: 'C', url: 'https://c.example/' }
+            ],
+            layout: ['qfolder_x', 'qfolder_z']
+        });
+
+        expect(childrenOf(store, 'qfolder_x')).toEqual(['qlink_a', 'qfolder_y']);
+        expect(childrenOf(store, 'qfolder_y')).toEqual(['qlink_b']);
+        expect(layout(store)).toEqual(['qfolder_x', 'qfolder_z']);
+    });
+
+    it('moves a folder into another and refuses cycles, smart targets and too deep a tree', async () => {
+        const store = await freshNestedStore();
+
+        expect(store.canMoveIntoFolder('qfolder_work', 'qfolder_deep')).toBe(false);
+        expect(store.canMoveIntoFolder('qfolder_docs', 'qfolder_docs')).toBe(false);
+        expect(await store.mergeItemsIntoFolder('qfolder_work', 'qfolder_docs')).toBeNull();
+
+        // Misc under Deep would make a fourth level, which is still allowed
+        expect(store.canMoveIntoFolder('qfolder_misc', 'qfolder_deep')).toBe(true);
+        const merged = await store.mergeItemsIntoFolder('qfolder_misc', 'qfolder_docs');
+        expect(merged?._id).toBe('qfolder_docs');
+        expect(childrenOf(store, 'qfolder_docs')).toEqual(['qlink_c', 'qfolder_deep', 'qfolder_misc']);
+        expect(layout(store)).toEqual(['qlink_a', 'qfolder_work']);
+
+        // Moving a subfolder across detaches it from its old parent
+        expect(await store.addToFolder('qfolder_deep', 'qfolder_misc')).toBe(true);
+        expect(childrenOf(store, 'qfolder_docs')).toEqual(['qlink_c', 'qfolder_deep']);
+        expect(store.getFolderPath('qfolder_misc')).toHaveLength(4);
+
+        // A fifth level is refused
+        const outer = await store.createFolder('Outer', ['qlink_a']);
+        expect(store.canMoveIntoFolder('qfolder_work', outer._id)).toBe(false);
+        expect(await store.addToFolder(outer._id, 'qfolder_work')).toBe(false);
+
+        const sync = getStorageData('sync');
+        const stored = sync[`quicklinksChunkSet_${sync.quicklinksActiveSet}_index`]
+            .map(key => sync[key]?.qfolder_deep)
+            .find(Boolean);
+        expect(stored.children).toEqual(['qlink_d', 'qfolder_misc']);
+    });
+
+    it('releases items one level up and dissolves a subfolder into its parent', async () => {
+        const store = await freshNestedStore();
+
+        expect(await store.removeFromFolder('qfolder_docs', 'qlink_c')).toBe(true);
+        expect(childrenOf(store, 'qfolder_work')).toEqual(['qlink_b', 'qfolder_docs', 'qlink_c']);
+
+        expect(await store.removeFromFolder('qfolder_work', 'qlink_b', { toTopLevel: true })).toBe(true);
+        expect(layout(store)).toEqual(['qlink_a', 'qfolder_work', 'qlink_b', 'qfolder_misc']);
+
+        // Docs now only holds Deep; ungrouping it puts Deep where Docs was
+        expect(await store.deleteFolder('qfolder_docs', false)).toBe(true);
+        expect(store.getItem('qfolder_docs')).toBeNull();
+        expect(childrenOf(store, 'qfolder_work')).toEqual(['qfolder_deep', 'qlink_c']);
+
+        // The last link leaving Deep removes it, and Work keeps going
+        expect(await store.removeFromFolder('qfolder_deep', 'qlink_d')).toBe(true);
+        expect(store.getItem('qfolder_deep')).toBeNull();
+        expect(childrenOf(store, 'qfolder_work')).toEqual(['qlink_d', 'qlink_c']);
+    });
+
+    it('deletes a folder tree and cascades emptied parents when links are deleted', async () => {
+        const store = await freshNestedStore();
+
+        // Deleting the only link in Deep empties it, and Docs still holds C
+        await store.deleteItem('qlink_d');
+        expect(store.getItem('qfolder_deep')).toBeNull();
+        expect(childrenOf(store, 'qfolder_docs')).toEqual(['qlink_c']);
+
+        await store.removeItems(['qlink_b', 'qlink_c']);
+        expect(store.getItem('qfolder_docs')).toBeNull();
+        expect(store.getItem('qfolder_work')).toBeNull();
+        expect(layout(store)).toEqual(['qlink_a', 'qfolder_misc']);
+
+        const fresh = await freshNestedStore();
+        expect(await fresh.deleteFolder('qfolder_docs', true)).toBe(true);
+        for (const id of ['qfolder_docs', 'qlink_c', 'qfolder_deep', 'qlink_d']) {
+            expect(fresh.getItem(id)).toBeNull();
+        }
+        expect(childrenOf(fresh, 'qfolder_work')).toEqual(['qlink_b']);
+    });
+});
+
+describe('nested folder export, import and backup', () => {
+    it('exports subfolders to every format and imports them back', async () => {
+        const store = await freshNestedStore();
+        const { linkExporter } = await import('../scripts/domains/bookmarks/exporter.js');
+        const { LinkFileImporter } = await import('../scripts/domains/bookmarks/file-importer.js');
+
+        const json = linkExporter.exportAsJson();
+        const work = JSON.parse(json).pages[0].items.find(item => item.id === 'qfolder_work');
+        expect(work.children.map(child => child.id)).toEqual(['qlink_b', 'qfolder_docs']);
+        expect(work.children[1].children[1]).toMatchObject({ id: 'qfolder_deep', type: 'folder', title: 'Deep' });
+        expect(work.children[1].children[1].children[0]).toMatchObject({ id: 'qlink_d', url: 'https://d.example/' });
+
+        const html = linkExporter.exportAsHtml();
+        expect(html).toMatch(/<H3[^>]*>Docs<\/H3>\n\s+<DL><p>\n\s+<DT><A HREF="https:\/\/c\.example\/"/);
+        expect(html).toContain('>Deep</H3>');
+        expect(linkExporter.exportAsCsv()).toContain('Page 1,Work / Docs / Deep,D,https://d.example/,""');
+
+        await store.deleteFolder('qfolder_work', true);
+        await store.deleteFolder('qfolder_misc', true);
+        await store.deleteItem('qlink_a');
+
+        const importer = new LinkFileImporter();
+        const parsed = importer.parseText(json, 'links.json');
+        expect(parsed.stats.totalBookmarks).toBe(5);
+        const pages = [{ pageIndex: 0, items: [...parsed.folders.values()].flat() }];
+        const result = await importer.executeImport(pages);
+        expect(result.success).toBe(5);
+
+        const folders = store.getAllItemsFlat().filter(item => item.type === 'folder');
+        const byTitle = Object.fromEntries(folders.map(folder => [folder.title, folder]));
+        const titles = (id) => childrenOf(store, id).map(childId => store.getItem(childId).title);
+        expect(titles(byTitle.Work._id)).toEqual(['B', 'Docs']);
+        expect(titles(byTitle.Docs._id)).toEqual(['C', 'Deep']);
+        expect(titles(byTitle.Deep._id)).toEqual(['D']);
+        expect(store.getFolderPath(byTitle.Deep._id).map(folder => folder.title)).toEqual(['Work', 'Docs', 'Deep']);
+    });
+
+    it('imports a CSV export back into its pages and nested folders', async () => {
+        const store = await freshNestedStore();
+        const { linkExporter } = await import('../scripts/domains/bookmarks/exporter.js');
+        const { LinkFileImporter } = await import('../scripts/domains/bookmarks/file-importer.js');
+
+        const csv = linkExporter.exportAsCsv();
+        await store.deleteFolder('qfolder_work', true);
+        await store.deleteFolder('qfolder_misc', true);
+        await store.deleteItem('qlink_a');
+
+        const importer = new LinkFileImporter();
+        const parsed = importer.parseText(csv, 'links.csv');
+        expect([...parsed.folders.keys()]).toEqual(['Page 1']);
+        const { pages } = importer.previewImport({ selectedFolders: new Set(['Page 1']), smartCompact: false });
+        const result = await importer.executeImport(pages);
+        expect(result.success).toBe(5);
+
+        const folders = store.getAllItemsFlat().filter(item => item.type === 'folder');
+        expect(folders.map(folder => folder.title).sort()).toEqual(['Deep', 'Docs', 'Misc', 'Work']);
+        const byTitle = Object.fromEntries(folders.map(folder => [folder.title, folder]));
+        const titles = (id) => childrenOf(store, id).map(childId => store.getItem(childId).title);
+        expect(titles(byTitle.Work._id)).toEqual(['B', 'Docs']);
+        expect(titles(byTitle.Docs._id)).toEqual(['C', 'Deep']);
+        expect(titles(byTitle.Deep._id)).toEqual(['D']);
+        expect(titles(byTitle.Misc._id)).toEqual(['E']);
+        const imported = layout(store).filter(id => store.getItem(id));
+        expect(imported.map(id => store.getItem(id).title)).toEqual(['A', 'Work', 'Misc']);
+    });
+
+    it('extracts subfolders from a backup and recreates them on merge', async () => {
+        const store = await freshNestedStore();
+        const { extractQuicklinks, summarizeStorage } = await import('../scripts/platform/backup-restore-plan.js');
+        const { mergeQuicklinksFromBackup } = await import('../scripts/domains/quicklinks/backup-merge.js');
+
+        const sync = structuredClone(getStorageData('sync'));
+        const entries = extractQuicklinks(sync);
+        const work = entries.find(entry => entry.title === 'Work');
+        expect(work.children[1]).toMatchObject({ type: 'folder', title: 'Docs' });
+        expect(work.children[1].children[1].children).toEqual([
+            { title: 'D', url: 'https://d.example/', icon: '', tags: [], createdAt: 1 }
+        ]);
+        expect(summarizeStorage(sync, {}).quicklinks).toMatchObject({ links: 5, folders: 4 });
+
+        await store.deleteFolder('qfolder_work', true);
+        expect(await mergeQuicklinksFromBackup(entries, store)).toEqual({ added: 3, skipped: 2, folders: 3 });
+
+        const restored = store.getAllItems().find(item => item.title === 'Work');
+        const docs = store.getItem(restored.children[1]);
+        expect(docs).toMatchObject({ type: 'folder', title: 'Docs' });
+        expect(store.getItem(docs.children[1])).toMatchObject({ type: 'folder', title: 'Deep' });
+    });
+});
+
+describe('launchpad nested folder overlay', () => {
+    beforeEach(() => {
+        vi.useFakeTimers();
+    });
+
+    afterEach(() => {
+        vi.useRealTimers();
+    });
+
+    function mountLaunchpadDom() {
+        const overlay = document.createElement('div');
+        overlay.id = 'launchpadOverlay';
+        overlay.innerHTML = `
+            <div id="launchpadContainer">
+                <div class="launchpad-search-bar"><input id="launchpadSearchInput"></div>
+                <div id="launchpadSearchResults"></div>
+                <div class="launchpad-pages-wrapper"><div id="launchpadPages"></div></div>
+                <div id="launchpadIndicator"></div>
+            </div>
+        `;
+        document.body.appendChild(overlay);
+        return () => overlay.remove();
+    }
+
+    it('shows subfolders as tiles and navigates them with breadcrumbs', async () => {
+        const cleanup = mountLaunchpadDom();
+        const store = await freshNestedStore();
+        const { launchpad } = await import('../scripts/domains/quicklinks/launchpad.js');
+        await launchpad.init();
+        await launchpad.open();
+
+        launchpad._openFolderOverlay('qfolder_work');
+        const overlay = document.querySelector('.launchpad-folder-overlay');
+        expect(overlay.querySelector('.launchpad-folder-breadcrumbs')).toBeNull();
+        const tile = overlay.querySelector('.launchpad-folder-content .launchpad-folder[data-id="qfolder_docs"]');
+        expect(tile).not.toBeNull();
+
+        tile.click();
+        expect(overlay.dataset.folderId).toBe('qfolder_docs');
+        expect(launchpad._state.openFolderId).toBe('qfolder_docs');
+        expect(overlay.querySelector('.launchpad-folder-title-input').value).toBe('Docs');
+        const crumbs = [...overlay.querySelectorAll('.launchpad-folder-crumb')];
+        expect(crumbs.map(crumb => crumb.textContent)).toEqual(['Work', 'Docs']);
+        expect(crumbs[1].getAttribute('aria-current')).toBe('location');
+
+        // Moving a subfolder out refreshes the open overlay
+        await store.removeFromFolder('qfolder_docs', 'qfolder_deep');
+        expect(overlay.querySelector('.launchpad-folder[data-id="qfolder_deep"]')).toBeNull();
+
+        overlay.querySelector('.launchpad-folder-crumb[data-id="qfolder_work"]').click();
+        expect(overlay.dataset.folderId).toBe('qfolder_work');
+        expect(overlay.querySelector('.launchpad-folder-breadcrumbs')).toBeNull();
+        expect([...overlay.querySelectorAll('.launchpad-folder-content .launchpad-item')].map(el => el.dataset.id))
+            .toEqual(['qlink_b', 'qfolder_docs', 'qfolder_deep']);
+
+        launchpad.close();
+        launchpad.destroy?.();
+        store.destroy?.();
+        cleanup();
+    });
+});
@@ -0,0 +1,157 @@
+import { beforeEach, describe, expect, it } from 'vitest';
+import { getStorageData, resetMocks, setStorageData } from './setup.js';
+import {
+    BUILTIN_SEARCH_ENGINES,
+    CUSTOM_ENGINE_LIMITS,
+    buildEngineMap,
+    buildKeywordMap,
+    buildSearchUrl,
+    createCustomEngineId,
+    getCustomEngines,
+    getEffectiveKeywords,
+    normalizeCustomEngines,
+    normalizeKeyword,
+    parseKeywordQuery,
+    saveCustomEngines,
+    saveEngineKeywordOverrides,
+    validateEngineTemplate
+} from '../scripts/domains/search-engines.js';
+
+describe('search-engines', () => {
+    beforeEach(() => {
+        resetMocks();
+    });
+
+    it('validateEngineTemplate should require an http(s) URL containing %s', () => {
+        expect(validateEngineTemplate('https://example.com/?q=%s').valid).toBe(true);
+        expect(validateEngineTemplate('http://example.com/search/%s/page').valid).toBe(true);
+        expect(validateEngineTemplate('https://example.com/?q=')).toEqual({ valid: false, error: 'searchEngineMissingPlaceholder' });
+        expect(validateEngineTemplate('javascript:alert(%s)').valid).toBe(false);
+        expect(validateEngineTemplate('not a url %s').valid).toBe(false);
+        expect(validateEngineTemplate('').valid).toBe(false);
+    });
+
+    it('buildSearchUrl should substitute every %s with the encoded query', () => {
+        const custom = { template: 'https://example.com/s?q=%s&alt=%s' };
+        expect(buildSearchUrl(custom, 'a b&c')).toBe('https://example.com/s?q=a%20b%26c&alt=a%20b%26c');
+        expect(buildSearchUrl(BUILTIN_SEARCH_ENGINES.google, 'hi there')).toBe('https://www.google.com/search?q=hi%20there');
+    });
+
+    it('normalizeCustomEngines should drop invalid entries, dedupe ids and keep order', () => {
+        const list = normalizeCustomEngines([
+            { id: 'custom_a', label: ' Wiki ', template: 'https://en.wikipedia.org/w/index.php?search=%s', icon: 'https://en.wikipedia.org/favicon.ico' },
+            { id: 'custom_a', label: 'Dup', template: 'https://dup.example/?q=%s' },
+            { id: 'google', label: 'Bad id', template: 'https://x.example/?q=%s' },
+            { id: 'custom_b', label: '', template: 'https://x.example/?q=%s' },
+            { id: 'custom_c', label: 'No placeholder', template: 'https://x.example/' },
+            { id: 'custom_d', label: 'HTTP icon', template: 'https://d.example/?q=%s', icon: 'http://d.example/icon.png' },
+            null
+        ]);
+
+        expect(list).toEqual([
+            { id: 'custom_a', label: 'Wiki', template: 'https://en.wikipedia.org/w/index.php?search=%s', icon: 'https://en.wikipedia.org/favicon.ico' },
+            { id: 'custom_d', label: 'HTTP icon', template: 'https://d.example/?q=%s', icon: '' }
+        ]);
+    });
+
+    it('normalizeCustomEngines should cap the number of engines', () => {
+        const many = Array.from({ length: CUSTOM_ENGINE_LIMITS.maxEngines + 5 }, (_, i) => ({
+            id: `custom_${i}`,
+            label: `E${i}`,
+            template: `https://e${i}.example/?q=%s`
+        }));
+        expect(normalizeCustomEngines(many)).toHaveLength(CUSTOM_ENGINE_LIMITS.maxEngines);
+    });
+
+    it('buildEngineMap should append custom engines after built-ins', () => {
+        const map = buildEngineMap([{ id: 'custom_x', label: 'X', template: 'https://x.example/?q=%s' }]);
+        const keys = Object.keys(map);
+
+        expect(keys.slice(0, Object.keys(BUILTIN_SEARCH_ENGINES).length)).toEqual(Object.keys(BUILTIN_SEARCH_ENGINES));
+        expect(keys.at(-1)).toBe('custom_x');
+        expect(map.custom_x).toMatchObject({ label: 'X', template: 'https://x.example/?q=%s', custom: true });
+    });
+
+    it('createCustomEngineId should produce prefixed unique ids', () => {
+        const a = createCustomEngineId();
+        const b = createCustomEngineId();
+        expect(a.startsWith('custom_')).toBe(true);
+        expect(a).not.toBe(b);
+    });
+
+    it('saveCustomEngines/getCustomEngines should round-trip through sync storage', async () => {
+        setStorageData({ searchCustomEngines: 'corrupted' }, 'sync');
+        expect(await getCustomEngines()).toEqual([]);
+
+        await saveCustomEngines([
+            { id: 'custom_gh', label: 'GitHub', template: 'https://github.com/search?q=%s', icon: '' },
+            { id: 'custom_bad', label: 'Bad', template: 'ftp://x/%s' }
+        ]);
+
+        expect(getStorageData('sync').searchCustomEngines).toEqual([
+            { id: 'custom_gh', label: 'GitHub', template: 'https://github.com/search?q=%s', icon: '' }
+        ]);
+        expect(await getCustomEngines()).toHaveLength(1);
+    });
+
+    describe('keywords', () => {
+        const engineMap = buildEngineMap([
+            { id: 'custom_gh', label: 'GitHub', template: 'https://github.com/search?q=%s' },
+            { id: 'custom_w', label: 'Wikipedia', template: 'https://en.wikipedia.org/w/index.php?search=%s' }
+        ]);
+        const overrides = { custom_gh: 'gh', custom_w: 'W', bing: '' };
+
+        it('normalizeKeyword should lower-case, strip ! and reject invalid input', () => {
+            expect(normalizeKeyword('!GH')).toBe('gh');
+            expect(normalizeKeyword('  ddg ')).toBe('ddg');
+            expect(normalizeKeyword('a b')).toBe('');
+            expect(normalizeKeyword('x'.repeat(17))).toBe('');
+            expect(normalizeKeyword(null)).toBe('');
+        });
+
+        it('getEffectiveKeywords should merge overrides over built-in defaults and skip the default engine', () => {
+            const keywords = getEffectiveKeywords(engineMap, overrides);
+            expect(keywords.default).toBeUndefined();
+            expect(keywords.google).toBe('g');
+            expect(keywords.bing).toBe('');
+            expect(keywords.custom_gh).toBe('gh');
+            expect(keywords.custom_w).toBe('w');
+        });
+
+        it('buildKeywordMap should keep the first engine on conflicts', () => {
+            const map = buildKeywordMap(engineMap, { custom_gh: 'g' });
+            expect(map.get('g')).toBe('google');
+            expect(map.has('b')).toBe(true);
+        });
+
+        it('parseKeywordQuery should route bang, bare and trailing keywords', () => {
+            const map = buildKeywordMap(engineMap, overrides);
+
+            expect(parseKeywordQuery('!gh react hooks', map, overrides)).toEqual({ engineId: 'custom_gh', query: 'react hooks' });
+            expect(parseKeywordQuery('w berlin', map, overrides)).toEqual({ engineId: 'custom_w', query: 'berlin' });
+            expect(parseKeywordQuery('react hooks !GH', map, overrides)).toEqual({ engineId: 'custom_gh', query: 'react hooks' });
+            expect(parseKeywordQuery('b something', map, overrides)).toBeNull();
+            expect(parseKeywordQuery('!gh', map, overrides)).toBeNull();
+            expect(parseKeywordQuery('plain query', map, overrides)).toBeNull();
+        });
+
+        it('parseKeywordQuery should leave "y combinator" to the default engine and route built-ins only with !', () => {
+            const map = buildKeywordMap(engineMap, overrides);
+
+            expect(parseKeywordQuery('y combinator', map, overrides)).toBeNull();
+            expect(parseKeywordQuery('g force', map, overrides)).toBeNull();
+            expect(parseKeywordQuery('eco friendly', map, overrides)).toBeNull();
+            expect(parseKeywordQuery('!y combinator', map, overrides)).toEqual({ engineId: 'yahoo', query: 'combinator' });
+            expect(parseKeywordQuery('combinator !y', map, overrides)).toEqual({ engineId: 'yahoo', query: 'combinator' });
+            // A keyword the user picked for a built-in engine works bare
+            expect(parseKeywordQuery('gg cats', map, { google: 'gg' })).toBeNull();
+            const custom = buildKeywordMap(engineMap, { google: 'gg' });
+            expect(parseKeywordQuery('gg cats', custom, { google: 'gg' })).toEqual({ engineId: 'google', query: 'cats' });
+        });
+
+        it('saveEngineKeywordOverrides should persist normalized keywords', async () => {
+            await saveEngineKeywordOverrides({ custom_gh: '!GH', google: 'bad key' });
+            expect(getStorageData('sync').searchEngineKeywords).toEqual({ custom_gh: 'gh', google: '' });
+        });
+    });
+});
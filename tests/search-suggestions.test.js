@@ -0,0 +1,198 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+import { getStorageData, setStorageData } from './setup.js';
+
+const mocks = vi.hoisted(() => ({
+    items: [],
+    fetchSuggestions: vi.fn(async () => [])
+}));
+
+vi.mock('../scripts/domains/quicklinks/store.js', () => ({
+    store: {
+        settings: { newTab: false },
+        search: vi.fn((query) => mocks.items.filter((item) => item.title.toLowerCase().includes(query.toLowerCase()))),
+        getSafeUrl: vi.fn((url) => (typeof url === 'string' && url.startsWith('https://') ? url : '')),
+        recordLaunch: vi.fn(async () => true)
+    }
+}));
+
+vi.mock('../scripts/domains/search-suggest.js', async (importOriginal) => ({
+    ...(await importOriginal()),
+    fetchSuggestionsViaBackground: mocks.fetchSuggestions
+}));
+
+import {
+    clearSearchHistory,
+    getSearchHistory,
+    matchSearchHistory,
+    recordSearchQuery,
+    SEARCH_HISTORY_LIMIT
+} from '../scripts/domains/search-history.js';
+import { buildSuggestUrl, parseSuggestResponse } from '../scripts/domains/search-suggest.js';
+import { SearchSuggestions } from '../scripts/domains/search-suggestions.js';
+
+function key(name) {
+    return new KeyboardEvent('keydown', { key: name, cancelable: true, bubbles: true });
+}
+
+async function flush() {
+    for (let i = 0; i < 5; i++) await Promise.resolve();
+}
+
+describe('search-history', () => {
+    it('recordSearchQuery should dedupe case-insensitively, move to front and cap', async () => {
+        await recordSearchQuery('react hooks');
+        await recordSearchQuery('vitest');
+        await recordSearchQuery('React Hooks');
+
+        const history = await getSearchHistory();
+        expect(history.map((e) => e.query)).toEqual(['React Hooks', 'vitest']);
+
+        for (let i = 0; i < SEARCH_HISTORY_LIMIT + 5; i++) {
+            await recordSearchQuery(`q${i}`);
+        }
+        expect(await getSearchHistory()).toHaveLength(SEARCH_HISTORY_LIMIT);
+    });
+
+    it('clearSearchHistory should remove the local key', async () => {
+        await recordSearchQuery('hello');
+        await clearSearchHistory();
+        expect(getStorageData('local').searchHistory).toBeUndefined();
+    });
+
+    it('matchSearchHistory should rank prefix matches before substring matches', () => {
+        const history = [{ query: 'learn react' }, { query: 'react hooks' }, { query: 'react' }, { query: 'vue' }];
+        expect(matchSearchHistory(history, 'react', 5)).toEqual(['react hooks', 'learn react']);
+        expect(matchSearchHistory(history, '', 2)).toEqual(['learn react', 'react hooks']);
+    });
+});
+
+describe('search-suggest', () => {
+    it('buildSuggestUrl should only accept known providers', () => {
+        expect(buildSuggestUrl('google', 'a b')).toBe('https://suggestqueries.google.com/complete/search?client=firefox&q=a%20b');
+        expect(buildSuggestUrl('evil', 'a')).toBe('');
+        expect(buildSuggestUrl('bing', '   ')).toBe('');
+    });
+
+    it('parseSuggestResponse should read OpenSearch arrays defensively', () => {
+        expect(parseSuggestResponse(['q', ['a', 'A', ' b ', 3, '']])).toEqual(['a', 'b']);
+        expect(parseSuggestResponse({ nope: true })).toEqual([]);
+    });
+});
+
+describe('SearchSuggestions', () => {
+    let input;
+    let anchor;
+    let onSearch;
+    let suggestions;
+
+    beforeEach(() => {
+        document.body.innerHTML = '<div id="anchor"><input id="q"></div>';
+        anchor = document.getElementById('anchor');
+        input = document.getElementById('q');
+        onSearch = vi.fn();
+        mocks.items = [
+            { _id: 'qlink_1', title: 'React Docs', url: 'https://react.dev/' },
+            { _id: '__SYSTEM_SETTINGS__', title: 'Reactive settings', url: '', isSystemItem: true }
+        ];
+        mocks.fetchSuggestions.mockReset();
+        mocks.fetchSuggestions.mockResolvedValue([]);
+
+        suggestions = new SearchSuggestions({ input, anchor, onSearch });
+        suggestions.init();
+        input.focus();
+    });
+
+    it('should expose combobox semantics on the input', () => {
+        expect(input.getAttribute('role')).toBe('combobox');
+        expect(input.getAttribute('aria-controls')).toBe('searchSuggestions');
+        expect(input.getAttribute('aria-expanded')).toBe('false');
+        expect(anchor.querySelector('#searchSuggestions').getAttribute('role')).toBe('listbox');
+    });
+
+    it('should mix quicklinks and opted-in history, skipping system items', async () => {
+        setStorageData({ searchHistory: [{ query: 'react hooks', ts: 1 }] }, 'local');
+        suggestions.setOptions({ historyEnabled: true });
+
+        input.value = 'react';
+        await suggestions.update();
+
+        const options = [...anchor.querySelectorAll('[role="option"]')];
+        expect(options.map((o) => o.querySelector('.search-suggestion-label').textContent)).toEqual(['React Docs', 'react hooks']);
+        expect(input.getAttribute('aria-expanded')).toBe('true');
+    });
+
+    it('should not show history when it is not enabled', async () => {
+        setStorageData({ searchHistory: [{ query: 'react hooks', ts: 1 }] }, 'local');
+
+        input.value = 'react';
+        await suggestions.update();
+
+        expect(suggestions.options.map((o) => o.kind)).toEqual(['quicklink']);
+    });
+
+    it('arrow keys should move aria-activedescendant and Enter should submit the active query', async () => {
+        setStorageData({ searchHistory: [{ query: 'react hooks', ts: 1 }] }, 'local');
+        suggestions.setOptions({ historyEnabled: true });
+        input.value = 'react';
+        await suggestions.update();
+
+        expect(suggestions.handleKeydown(key('ArrowDown'))).toBe(true);
+        expect(input.getAttribute('aria-activedescendant')).toBe('searchSuggestions-0');
+        suggestions.handleKeydown(key('ArrowDown'));
+        expect(input.getAttribute('aria-activedescendant')).toBe('searchSuggestions-1');
+        expect(anchor.querySelector('#searchSuggestions-1').getAttribute('aria-selected')).toBe('true');
+
+        // Wraps back to the input, then to the last option
+        suggestions.handleKeydown(key('ArrowDown'));
+        expect(input.hasAttribute('aria-activedescendant')).toBe(false);
+        suggestions.handleKeydown(key('ArrowUp'));
+        expect(input.getAttribute('aria-activedescendant')).toBe('searchSuggestions-1');
+
+        expect(suggestions.handleKeydown(key('Enter'))).toBe(true);
+        expect(onSearch).toHaveBeenCalledWith('react hooks');
+        expect(input.value).toBe('react hooks');
+        expect(input.getAttribute('aria-expanded')).toBe('false');
+    });
+
+    it('Enter without an active option should fall through to the normal search', async () => {
+        input.value = 'react';
+        await suggestions.update();
+        expect(suggestions.handleKeydown(key('Enter'))).toBe(false);
+    });
+
+    it('Escape should close the list and stop propagation', async () => {
+        input.value = 'react';
+        await suggestions.update();
+
+        const event = key('Escape');
+        const stop = vi.spyOn(event, 'stopPropagation');
+        expect(suggestions.handleKeydown(event)).toBe(true);
+        expect(stop).toHaveBeenCalled();
+        expect(anchor.querySelector('#searchSuggestions').hidden).toBe(true);
+    });
+
+    it('should append provider suggestions after the debounce, deduped against history', async () => {
+        vi.useFakeTimers();
+        try {
+            setStorageData({ searchHistory: [{ query: 'react hooks', ts: 1 }] }, 'local');
+            mocks.fetchSuggestions.mockResolvedValue(['react hooks', 'react native']);
+            suggestions.setOptions({ historyEnabled: true, provider: 'google' });
+
+            input.value = 'react';
+            await suggestions.update();
+            expect(mocks.fetchSuggestions).not.toHaveBeenCalled();
+
+            await vi.advanceTimersByTimeAsync(200);
+            await flush();
+
+            expect(mocks.fetchSuggestions).toHaveBeenCalledWith('google', 'react');
+            expect(suggestions.options.map((o) => `${o.kind}:${o.label}`)).toEqual([
+                'quicklink:React Docs',
+                'history:react hooks',
+                'suggest:react native'
+            ]);
+        } finally {
+            vi.useRealTimers();
+        }
+    });
+});
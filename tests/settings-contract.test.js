@@ -48,12 +48,17 @@ describe('settings-contract', () => {
             preferredSearchEngine: SYNC_SETTINGS_DEFAULTS.preferredSearchEngine,
             useDefaultEngine: SYNC_SETTINGS_DEFAULTS.useDefaultEngine,
             searchOpenInNewTab: SYNC_SETTINGS_DEFAULTS.searchOpenInNewTab,
+            searchCustomEngines: [],
+            searchEngineKeywords: {},
+            searchHistoryEnabled: false,
+            searchSuggestProvider: 'off',
             searchActive: SYNC_SETTINGS_DEFAULTS.searchActive,
             showSettingsBtn: SYNC_SETTINGS_DEFAULTS.showSettingsBtn,
             showSearchBtn: SYNC_SETTINGS_DEFAULTS.showSearchBtn,
             launchpadShowNames: SYNC_SETTINGS_DEFAULTS.launchpadShowNames,
             'shortcuts.focusSearch': SYNC_SETTINGS_DEFAULTS['shortcuts.focusSearch'],
             'shortcuts.openLaunchpad': SYNC_SETTINGS_DEFAULTS['shortcuts.openLaunchpad'],
+            'shortcuts.switchWorkspace': SYNC_SETTINGS_DEFAULTS['shortcuts.switchWorkspace'],
             macSettingsDismissOnOutsideClick: SYNC_SETTINGS_DEFAULTS.macSettingsDismissOnOutsideClick,
             uiTheme: SYNC_SETTINGS_DEFAULTS.uiTheme,
             interfaceLanguage: SYNC_SETTINGS_DEFAULTS.interfaceLanguage,
@@ -55,6 +55,19 @@ describe('shortcut-manager', () => {
         expect(resolved.openLaunchpad).toBe(SHORTCUT_DEFAULTS[SHORTCUT_SETTING_KEYS.openLaunchpad]);
     });
 
+    it('resets a workspace shortcut that collides with another action', () => {
+        const resolved = resolveShortcutSettings({
+            [SHORTCUT_SETTING_KEYS.focusSearch]: 'Alt+KeyL',
+            [SHORTCUT_SETTING_KEYS.openLaunchpad]: 'Alt+Period',
+            [SHORTCUT_SETTING_KEYS.switchWorkspace]: 'Alt+KeyL'
+        });
+
+        expect(resolved.switchWorkspace).toBe(SHORTCUT_DEFAULTS[SHORTCUT_SETTING_KEYS.switchWorkspace]);
+        expect(resolveShortcutSettings({
+            [SHORTCUT_SETTING_KEYS.switchWorkspace]: 'ctrl+shift+w'
+        }).switchWorkspace).toBe('Ctrl+Shift+KeyW');
+    });
+
     it('formats shortcuts for display by platform', () => {
         expect(formatShortcutForDisplay('Mod+Period', { platform: 'MacIntel' })).toBe('⌘ + .');
         expect(formatShortcutForDisplay('Mod+Period', { platform: 'Win32' })).toBe('Ctrl + .');
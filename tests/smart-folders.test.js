@@ -0,0 +1,161 @@
+/**
+ * Smart folder tests
+ *
+ * Focus:
+ * - saved queries (#tag, site:, added:, is:broken) parse, normalize and format back
+ * - members are computed from the links (folder children included) and never stored
+ * - smart folders refuse manual children
+ * - JSON export and backup merge keep the rule and recreate the folder once
+ */
+
+import { describe, expect, it, vi } from 'vitest';
+import { getStorageData, setStorageData } from './setup.js';
+
+const NOW = Date.UTC(2026, 5, 15);
+const DAY = 24 * 60 * 60 * 1000;
+
+const ITEMS = [
+    { _id: 'qlink_a', title: 'Repo', url: 'https://github.com/nil-byte/aura-tab', tags: ['dev'], createdAt: NOW - 10 * DAY },
+    { _id: 'qlink_b', title: 'Gist', url: 'https://gist.github.com/x', tags: [], createdAt: NOW - 2 * DAY },
+    { _id: 'qfolder_f', type: 'folder', title: 'Work', children: ['qlink_c'], createdAt: 1 },
+    { _id: 'qlink_c', title: 'Docs', url: 'https://www.docs.example/', tags: ['Dev'], createdAt: NOW - DAY },
+    { _id: 'qfolder_s', type: 'folder', title: 'Dev', children: ['qlink_b'], smart: { type: 'tag', value: '#dev' }, createdAt: 1 }
+];
+
+async function freshSmartStore() {
+    const chunk = {};
+    for (const item of ITEMS) {
+        chunk[item._id] = { icon: '', ...item };
+    }
+    setStorageData({
+        storageVersion: 6,
+        quicklinksItems: ['qlink_a', 'qlink_b', 'qfolder_f', 'qfolder_s'],
+        quicklinksDockPins: [],
+        quicklinksTags: ['dev'],
+        quicklinksActiveSet: 'cur',
+        quicklinksChunkSet_cur_index: ['quicklinksChunkSet_cur_0'],
+        quicklinksChunkSet_cur_0: chunk
+    }, 'sync');
+    setStorageData({}, 'local');
+
+    vi.resetModules();
+    const { store } = await import('../scripts/domains/quicklinks/store.js');
+    const smart = await import('../scripts/domains/quicklinks/smart-folders.js');
+    await store.init();
+    return { store, ...smart };
+}
+
+const ids = (items) => items.map(item => item._id);
+
+describe('smart folder queries', () => {
+    it('parses the saved query forms and formats them back', async () => {
+        const { parseSmartQuery, formatSmartQuery, normalizeSmartRule } = await freshSmartStore();
+
+        expect(parseSmartQuery(' #dev ')).toEqual({ type: 'tag', value: 'dev' });
+        expect(parseSmartQuery('site:https://www.GitHub.com/nil-byte')).toEqual({ type: 'host', value: 'github.com' });
+        expect(parseSmartQuery('added:7')).toEqual({ type: 'recent', value: 7 });
+        expect(parseSmartQuery('added:9999d')).toEqual({ type: 'recent', value: 365 });
+        expect(parseSmartQuery('is:broken')).toEqual({ type: 'broken', value: '' });
+
+        expect(parseSmartQuery('github')).toBeNull();
+        expect(parseSmartQuery('added:0d')).toBeNull();
+        expect(parseSmartQuery('is:new')).toBeNull();
+        expect(normalizeSmartRule({ type: 'host', value: '///' })).toBeNull();
+
+        for (const query of ['#dev', 'site:*.github.com', 'added:30d', 'is:broken']) {
+            expect(formatSmartQuery(parseSmartQuery(query))).toBe(query);
+        }
+    });
+});
+
+describe('store smart folders', () => {
+    it('computes members from the rule and never keeps stored children', async () => {
+        const { store } = await freshSmartStore();
+
+        expect(store.getItem('qfolder_s')).toMatchObject({ children: [], smart: { type: 'tag', value: 'dev' } });
+        expect(store.isSmartFolder('qfolder_s')).toBe(true);
+        expect(store.isSmartFolder('qfolder_f')).toBe(false);
+        expect(store.getSmartFolderChildren('qfolder_s')).toEqual(['qlink_a', 'qlink_c']);
+
+        expect(ids(store.getItemsBySmartRule({ type: 'host', value: 'github.com' }))).toEqual(['qlink_a', 'qlink_b']);
+        expect(ids(store.getItemsBySmartRule({ type: 'host', value: '*.github.com' }))).toEqual(['qlink_b']);
+        expect(ids(store.getItemsBySmartRule({ type: 'host', value: 'docs.example' }))).toEqual(['qlink_c']);
+        expect(ids(store.getItemsBySmartRule({ type: 'recent', value: 3 }, { now: NOW }))).toEqual(['qlink_c', 'qlink_b']);
+
+        const getHealthBadge = (item) => (item._id === 'qlink_b' ? 'invalid' : 'redirected');
+        expect(ids(store.getItemsBySmartRule({ type: 'broken' }, { getHealthBadge }))).toEqual(['qlink_b']);
+        expect(store.getItemsBySmartRule({ type: 'broken' })).toEqual([]);
+
+        expect(ids(store.search('site:gist.github.com'))).toEqual(['qlink_b']);
+        expect(ids(store.search('is:broken', { getHealthBadge }))).toEqual(['qlink_b']);
+    });
+
+    it('creates smart folders, updates their rule and refuses manual children', async () => {
+        const { store } = await freshSmartStore();
+
+        expect(await store.createSmartFolder('Nope', { type: 'recent', value: -1 })).toBeNull();
+
+        const folder = await store.createSmartFolder('GitHub', { type: 'host', value: 'github.com' });
+        expect(folder).toMatchObject({ type: 'folder', title: 'GitHub', children: [], smart: { type: 'host', value: 'github.com' } });
+        expect(store.getLayoutEntries()).toContain(folder._id);
+        expect(store.getSmartFolderChildren(folder._id)).toEqual(['qlink_a', 'qlink_b']);
+
+        const events = [];
+        store.subscribe((event, data) => events.push([event, data?.action]));
+        const updated = await store.updateSmartFolderRule(folder._id, { type: 'tag', value: 'dev' });
+        expect(updated.smart).toEqual({ type: 'tag', value: 'dev' });
+        expect(events).toContainEqual(['folderChanged', 'rule']);
+        expect(await store.updateSmartFolderRule('qfolder_f', { type: 'tag', value: 'dev' })).toBeNull();
+
+        expect(await store.addToFolder(folder._id, 'qlink_a')).toBe(false);
+        expect(await store.mergeItemsIntoFolder('qlink_a', folder._id)).toBeNull();
+        const moved = await store.bulkEditItems(['qlink_a'], { folderId: folder._id });
+        expect(moved.changed).toBe(0);
+        expect(store.getFolderForItem('qlink_a')).toBeNull();
+
+        const sync = getStorageData('sync');
+        const stored = sync[`quicklinksChunkSet_${sync.quicklinksActiveSet}_index`]
+            .map(key => sync[key]?.[folder._id])
+            .find(Boolean);
+        expect(stored).toMatchObject({ children: [], smart: { type: 'tag', value: 'dev' } });
+    });
+});
+
+describe('smart folder export and import', () => {
+    it('exports the rule and re-imports the folder once', async () => {
+        const { store } = await freshSmartStore();
+        const { linkExporter } = await import('../scripts/domains/bookmarks/exporter.js');
+        const { LinkFileImporter } = await import('../scripts/domains/bookmarks/file-importer.js');
+
+        const json = linkExporter.exportAsJson();
+        const entry = JSON.parse(json).pages[0].items.find(item => item.id === 'qfolder_s');
+        expect(entry).toMatchObject({ type: 'folder', title: 'Dev', children: [], smart: { type: 'tag', value: 'dev' } });
+        expect(linkExporter.exportAsHtml()).not.toContain('>Dev</H3>');
+
+        await store.deleteFolder('qfolder_s');
+        const importer = new LinkFileImporter();
+        const parsed = importer.parseText(json, 'links.json');
+        expect(parsed.stats.totalBookmarks).toBe(0);
+        await importer.executeImport([]);
+        await importer.executeImport([]);
+
+        const smartFolders = store.getAllItems().filter(item => item.smart);
+        expect(smartFolders).toHaveLength(1);
+        expect(smartFolders[0]).toMatchObject({ title: 'Dev', smart: { type: 'tag', value: 'dev' } });
+        expect(store.getSmartFolderChildren(smartFolders[0]._id)).toEqual(['qlink_a', 'qlink_c']);
+    });
+
+    it('merges smart folders from a backup unless the same rule exists', async () => {
+        const { store } = await freshSmartStore();
+        const { extractQuicklinks } = await import('../scripts/platform/backup-restore-plan.js');
+        const { mergeQuicklinksFromBackup } = await import('../scripts/domains/quicklinks/backup-merge.js');
+
+        const entries = extractQuicklinks(structuredClone(getStorageData('sync')));
+        expect(entries).toContainEqual({ type: 'folder', title: 'Dev', children: [], smart: { type: 'tag', value: '#dev' } });
+
+        expect(await mergeQuicklinksFromBackup(entries, store)).toEqual({ added: 0, skipped: 3, folders: 0 });
+        await store.deleteFolder('qfolder_s');
+        expect((await mergeQuicklinksFromBackup(entries, store)).folders).toBe(1);
+        expect(store.getAllItems().filter(item => item.smart).map(item => item.title)).toEqual(['Dev']);
+    });
+});
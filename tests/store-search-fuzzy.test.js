@@ -0,0 +1,149 @@
+/**
+ * Store fuzzy search tests
+ *
+ * Focus:
+ * - scoring tiers: prefix/substring, acronyms, pinyin initials, subsequence, typos
+ * - store.search honours fuzzyThreshold and includeScore
+ * - ranking by score, then usage, then original order
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import { setStorageData } from './setup.js';
+import {
+    getPinyinInitial,
+    getUsageBoost,
+    scoreQuery
+} from '../scripts/domains/quicklinks/fuzzy-search.js';
+
+async function freshStore() {
+    vi.resetModules();
+    const mod = await import('../scripts/domains/quicklinks/store.js');
+    return mod.store;
+}
+
+function seedItems(items) {
+    const chunk = {};
+    for (const item of items) {
+        chunk[item._id] = {
+            _id: item._id,
+            title: item.title,
+            url: item.url,
+            icon: '',
+            tags: item.tags ?? [],
+            createdAt: Date.now()
+        };
+    }
+    setStorageData({
+        storageVersion: 6,
+        quicklinksDockPins: [],
+        quicklinksItems: items.map(item => item._id),
+        quicklinksTags: [],
+        quicklinksActiveSet: 'seed_fuzzy',
+        quicklinksChunkSet_seed_fuzzy_index: ['quicklinksChunkSet_seed_fuzzy_0'],
+        quicklinksChunkSet_seed_fuzzy_0: chunk
+    }, 'sync');
+}
+
+describe('fuzzy-search scoring', () => {
+    it('should rank exact > prefix > word start > substring', () => {
+        const exact = scoreQuery('drive', 'Drive');
+        const prefix = scoreQuery('goo', 'Google Drive');
+        const wordStart = scoreQuery('dri', 'Google Drive');
+        const substring = scoreQuery('oogl', 'Google Drive');
+
+        expect(exact).toBe(1);
+        expect(prefix).toBeLessThan(exact);
+        expect(wordStart).toBeLessThan(prefix);
+        expect(substring).toBeLessThan(wordStart);
+    });
+
+    it('should match acronyms across words and camelCase', () => {
+        expect(scoreQuery('gd', 'Google Drive')).toBeGreaterThan(0.8);
+        expect(scoreQuery('yt', 'YouTube')).toBeGreaterThan(0.8);
+        expect(scoreQuery('xy', 'Google Drive')).toBe(0);
+    });
+
+    it('should match pinyin initials for Chinese titles', () => {
+        expect(getPinyinInitial('云')).toBe('y');
+        expect(getPinyinInitial('網')).toBe('w');
+        expect(getPinyinInitial('a')).toBe('');
+        expect(scoreQuery('ydyp', '云端硬盘')).toBeGreaterThan(0.8);
+        expect(scoreQuery('bd', 'Baidu 百度')).toBeGreaterThan(0);
+    });
+
+    it('should tolerate subsequences and small typos', () => {
+        expect(scoreQuery('gthb', 'GitHub')).toBeGreaterThan(0.5);
+        expect(scoreQuery('githbu', 'GitHub')).toBeGreaterThan(0.5);
+        expect(scoreQuery('gogle', 'Google')).toBeGreaterThan(0.5);
+        // Widely scattered letters are a weak match
+        expect(scoreQuery('ae', 'a long title example')).toBeLessThan(0.5);
+    });
+
+    it('should require every term of a multi-word query to match', () => {
+        expect(scoreQuery('drive goo', 'Google Drive')).toBeGreaterThan(0.8);
+        expect(scoreQuery('drive zzz', 'Google Drive')).toBe(0);
+    });
+
+    it('getUsageBoost should be small, monotonic and capped', () => {
+        expect(getUsageBoost(null)).toBe(0);
+        expect(getUsageBoost({ count: 1 })).toBeGreaterThan(0);
+        expect(getUsageBoost({ count: 10 })).toBeGreaterThan(getUsageBoost({ count: 1 }));
+        expect(getUsageBoost({ count: 1e9 })).toBe(0.1);
+    });
+});
+
+describe('Store.search fuzzy ranking', () => {
+    const items = [
+        { _id: 'qlink_001', title: 'Gmail', url: 'https://mail.google.com' },
+        { _id: 'qlink_002', title: 'Google Drive', url: 'https://drive.google.com' },
+        { _id: 'qlink_003', title: '云端硬盘', url: 'https://pan.example.cn' },
+        { _id: 'qlink_004', title: 'GitHub', url: 'https://github.com', tags: ['code'] }
+    ];
+
+    it('should find acronym, pinyin and typo matches', async () => {
+        seedItems(items);
+        const store = await freshStore();
+        await store.init();
+
+        expect(store.search('gd').map(r => r._id)[0]).toBe('qlink_002');
+        expect(store.search('ydyp').map(r => r._id)).toEqual(['qlink_003']);
+        expect(store.search('githbu').map(r => r._id)).toEqual(['qlink_004']);
+
+        store.destroy?.();
+    });
+
+    it('should honour fuzzyThreshold and includeScore', async () => {
+        seedItems(items);
+        const store = await freshStore();
+        await store.init();
+
+        const loose = store.search('gthb', { fuzzyThreshold: 0.3, includeScore: true });
+        expect(loose[0].item._id).toBe('qlink_004');
+        expect(loose[0].score).toBeGreaterThan(0.3);
+        expect(loose[0].score).toBeLessThanOrEqual(1);
+
+        expect(store.search('gthb', { fuzzyThreshold: 0.95 })).toEqual([]);
+        expect(store.search('#code', { includeScore: true })).toEqual([
+            expect.objectContaining({ score: 1, item: expect.objectContaining({ _id: 'qlink_004' }) })
+        ]);
+
+        store.destroy?.();
+    });
+
+    it('should break score ties by usage, then original order', async () => {
+        seedItems([
+            { _id: 'qlink_001', title: 'Docs One', url: 'https://one.example' },
+            { _id: 'qlink_002', title: 'Docs Two', url: 'https://two.example' },
+            { _id: 'qlink_003', title: 'Docs Three', url: 'https://three.example' }
+        ]);
+        const store = await freshStore();
+        await store.init();
+
+        expect(store.search('docs').map(r => r._id)).toEqual(['qlink_001', 'qlink_002', 'qlink_003']);
+
+        store._usageStats.set('qlink_003', { count: 12, lastUsedAt: Date.now() });
+        expect(store.search('docs').map(r => r._id)).toEqual(['qlink_003', 'qlink_001', 'qlink_002']);
+
+        store.destroy?.();
+    });
+});
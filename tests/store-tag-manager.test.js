@@ -0,0 +1,112 @@
+/**
+ * Tag manager tests
+ *
+ * Focus:
+ * - rename / merge / delete rewrite tags on every link (folder children included) in one commit
+ * - colour and emoji styles are normalized, persisted and follow renames
+ * - #tag lookups see folder children
+ */
+
+import { describe, expect, it, vi } from 'vitest';
+import { getStorageData, setStorageData, triggerStorageChange } from './setup.js';
+
+const ITEMS = [
+    { _id: 'qlink_a', title: 'A', url: 'https://a.example/', tags: ['dev', 'Docs'] },
+    { _id: 'qlink_b', title: 'B', url: 'https://b.example/', tags: ['docs'] },
+    { _id: 'qfolder_f', type: 'folder', title: 'F', children: ['qlink_c'] },
+    { _id: 'qlink_c', title: 'C', url: 'https://c.example/', tags: ['Dev', 'read'] }
+];
+
+async function freshTagStore({ styles = {} } = {}) {
+    const chunk = {};
+    for (const item of ITEMS) {
+        chunk[item._id] = { icon: '', createdAt: 1, ...item };
+    }
+    setStorageData({
+        storageVersion: 6,
+        quicklinksItems: ['qlink_a', 'qlink_b', 'qfolder_f'],
+        quicklinksDockPins: [],
+        quicklinksTags: ['dev', 'Docs', 'read', 'unused'],
+        quicklinksTagStyles: styles,
+        quicklinksActiveSet: 'cur',
+        quicklinksChunkSet_cur_index: ['quicklinksChunkSet_cur_0'],
+        quicklinksChunkSet_cur_0: chunk
+    }, 'sync');
+    setStorageData({}, 'local');
+
+    vi.resetModules();
+    const { store } = await import('../scripts/domains/quicklinks/store.js');
+    await store.init();
+    return store;
+}
+
+const tagsOf = (store, id) => store.getItem(id).tags;
+
+describe('Store tag manager', () => {
+    it('renames a tag on every link, folder children included', async () => {
+        const store = await freshTagStore({ styles: { dev: { color: 'blue', emoji: '🛠' } } });
+        const events = [];
+        store.subscribe(event => events.push(event));
+
+        const result = await store.renameTag('DEV', 'code');
+        expect(result).toEqual({ ok: true, changed: 2 });
+        expect(tagsOf(store, 'qlink_a')).toEqual(['code', 'Docs']);
+        expect(tagsOf(store, 'qlink_c')).toEqual(['code', 'read']);
+        expect(store.getTags()).toEqual(['code', 'Docs', 'read', 'unused']);
+        expect(store.getTagStyle('Code')).toEqual({ color: 'blue', emoji: '🛠' });
+        expect(store.getTagStyle('dev')).toBeNull();
+        expect(getStorageData('sync').quicklinksTagStyles).toEqual({ code: { color: 'blue', emoji: '🛠' } });
+        expect(events).toEqual(expect.arrayContaining(['tagsChanged', 'tagStylesChanged', 'reordered']));
+    });
+
+    it('merges tags without duplicating them on a link and keeps the target style', async () => {
+        const store = await freshTagStore({
+            styles: { dev: { color: 'red', emoji: '' }, docs: { color: 'green', emoji: '📘' } }
+        });
+
+        const result = await store.mergeTags(['dev'], 'Docs');
+        expect(result.changed).toBe(2);
+        expect(tagsOf(store, 'qlink_a')).toEqual(['Docs']);
+        expect(tagsOf(store, 'qlink_c')).toEqual(['Docs', 'read']);
+        expect(store.getItemsByTag('docs').map(item => item._id)).toEqual(['qlink_a', 'qlink_b', 'qlink_c']);
+        expect(store.getTags()).toEqual(['Docs', 'read', 'unused']);
+        expect(store.getTagStyle('docs')).toEqual({ color: 'green', emoji: '📘' });
+
+        expect(await store.mergeTags(['nope'], 'Docs')).toEqual({ ok: false, reason: 'not_found' });
+        expect(await store.renameTag('read', '   ')).toEqual({ ok: false, reason: 'invalid' });
+    });
+
+    it('deletes a tag, optionally moving its links to another one', async () => {
+        const store = await freshTagStore();
+
+        expect(await store.deleteTag('read', { reassignTo: 'dev' })).toEqual({ ok: true, changed: 1 });
+        expect(tagsOf(store, 'qlink_c')).toEqual(['Dev']);
+
+        expect(await store.deleteTag('docs')).toEqual({ ok: true, changed: 2 });
+        expect(tagsOf(store, 'qlink_a')).toEqual(['dev']);
+        expect(tagsOf(store, 'qlink_b')).toEqual([]);
+
+        expect(await store.deleteTag('unused')).toEqual({ ok: true, changed: 0 });
+        expect(store.getTags()).toEqual(['dev']);
+        expect(getStorageData('sync').quicklinksTags).toEqual(['dev']);
+    });
+
+    it('normalizes styles and picks up changes from other tabs', async () => {
+        const store = await freshTagStore();
+
+        await store.setTagStyle('Dev', { color: 'magenta', emoji: ' 👩‍💻 extra' });
+        expect(store.getTagStyle('dev')).toEqual({ color: '', emoji: '👩‍💻' });
+        await store.setTagStyle('dev', { color: '', emoji: '' });
+        expect(store.getTagStyle('dev')).toBeNull();
+        expect(getStorageData('sync').quicklinksTagStyles).toEqual({});
+
+        const events = [];
+        store.subscribe(event => events.push(event));
+        triggerStorageChange({
+            quicklinksTagStyles: { oldValue: {}, newValue: { READ: { color: 'teal' }, bad: 'x' } }
+        }, 'sync');
+        expect(store.getTagStyle('read')).toEqual({ color: 'teal', emoji: '' });
+        expect(store.getTagStyle('bad')).toBeNull();
+        expect(events).toContain('tagStylesChanged');
+    });
+});
@@ -0,0 +1,130 @@
+/**
+ * Store usage tracking tests
+ *
+ * Focus:
+ * - recordLaunch keeps counts/timestamps in local storage only
+ * - most used / recently used ordering
+ * - dock auto-fill after explicit pins
+ * - cross-tab updates via storage.onChanged (local)
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import { getStorageData, setStorageData, triggerStorageChange } from './setup.js';
+
+async function freshStore() {
+    vi.resetModules();
+    const mod = await import('../scripts/domains/quicklinks/store.js');
+    return mod.store;
+}
+
+function seedItems(items, extra = {}) {
+    const chunk = {};
+    for (const item of items) {
+        chunk[item._id] = { _id: item._id, title: item.title, url: item.url, icon: '', tags: [], createdAt: 1 };
+    }
+    setStorageData({
+        storageVersion: 6,
+        quicklinksDockPins: [],
+        quicklinksItems: items.map(item => item._id),
+        quicklinksTags: [],
+        quicklinksActiveSet: 'seed_usage',
+        quicklinksChunkSet_seed_usage_index: ['quicklinksChunkSet_seed_usage_0'],
+        quicklinksChunkSet_seed_usage_0: chunk,
+        ...extra
+    }, 'sync');
+}
+
+const ITEMS = [
+    { _id: 'qlink_a', title: 'A', url: 'https://a.example' },
+    { _id: 'qlink_b', title: 'B', url: 'https://b.example' },
+    { _id: 'qlink_c', title: 'C', url: 'https://c.example' },
+    { _id: 'qlink_d', title: 'D', url: 'https://d.example' }
+];
+
+describe('Store usage tracking', () => {
+    it('recordLaunch should count launches in local storage and skip system items', async () => {
+        seedItems(ITEMS, { quicklinksDockPins: ['qlink_a'] });
+        const store = await freshStore();
+        await store.init();
+        const syncBefore = JSON.stringify(getStorageData('sync'));
+
+        expect(await store.recordLaunch('qlink_b')).toBe(true);
+        expect(await store.recordLaunch('qlink_b')).toBe(true);
+        expect(await store.recordLaunch('__SYSTEM_SETTINGS__')).toBe(false);
+        expect(await store.recordLaunch('qlink_missing')).toBe(false);
+
+        const usage = getStorageData('local').quicklinksUsage;
+        expect(Object.keys(usage)).toEqual(['qlink_b']);
+        expect(usage.qlink_b.count).toBe(2);
+        expect(usage.qlink_b.lastUsedAt).toBeGreaterThan(0);
+        expect(JSON.stringify(getStorageData('sync'))).toBe(syncBefore);
+
+        store.destroy?.();
+    });
+
+    it('should order most used by count and recently used by timestamp', async () => {
+        seedItems(ITEMS, { quicklinksDockPins: ['qlink_a'] });
+        setStorageData({
+            quicklinksUsage: {
+                qlink_a: { count: 1, lastUsedAt: 300 },
+                qlink_b: { count: 9, lastUsedAt: 100 },
+                qlink_c: { count: 4, lastUsedAt: 200 },
+                qlink_gone: { count: 50, lastUsedAt: 400 },
+                qlink_bad: { count: 'x' }
+            }
+        }, 'local');
+        const store = await freshStore();
+        await store.init();
+
+        expect(store.getMostUsedItems().map(item => item._id)).toEqual(['qlink_b', 'qlink_c', 'qlink_a']);
+        expect(store.getRecentlyUsedItems(2).map(item => item._id)).toEqual(['qlink_a', 'qlink_c']);
+        expect(store.getUsage('qlink_c')).toEqual({ count: 4, lastUsedAt: 200 });
+
+        store.destroy?.();
+    });
+
+    it('getDockAutoFillItems should fill free slots after explicit pins only when enabled', async () => {
+        seedItems(ITEMS, { quicklinksDockPins: ['qlink_b'], quicklinksDockCount: 3 });
+        setStorageData({
+            quicklinksUsage: {
+                qlink_b: { count: 9, lastUsedAt: 1 },
+                qlink_d: { count: 5, lastUsedAt: 1 },
+                qlink_c: { count: 2, lastUsedAt: 1 },
+                qlink_a: { count: 1, lastUsedAt: 1 }
+            }
+        }, 'local');
+        const store = await freshStore();
+        await store.init();
+
+        expect(store.getDockAutoFillItems()).toEqual([]);
+
+        triggerStorageChange({ quicklinksDockAutoFill: { oldValue: false, newValue: true } }, 'sync');
+        expect(store.getDockItems().map(item => item._id)).toEqual(['qlink_b']);
+        expect(store.getDockAutoFillItems().map(item => item._id)).toEqual(['qlink_d', 'qlink_c']);
+        // Auto-filled slots are never persisted as pins
+        expect(getStorageData('sync').quicklinksDockPins).toEqual(['qlink_b']);
+
+        store.destroy?.();
+    });
+
+    it('should pick up usage written by another tab and clear it', async () => {
+        seedItems(ITEMS, { quicklinksDockPins: ['qlink_a'] });
+        const store = await freshStore();
+        await store.init();
+        const events = [];
+        store.subscribe((event) => events.push(event));
+
+        triggerStorageChange({
+            quicklinksUsage: { newValue: { qlink_d: { count: 3, lastUsedAt: 10 } } }
+        }, 'local');
+
+        expect(events).toContain('usageChanged');
+        expect(store.getMostUsedItems().map(item => item._id)).toEqual(['qlink_d']);
+
+        await store.clearUsage();
+        expect(store.getMostUsedItems()).toEqual([]);
+        expect(getStorageData('local').quicklinksUsage).toBeUndefined();
+
+        store.destroy?.();
+    });
+});
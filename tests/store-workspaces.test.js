@@ -0,0 +1,220 @@
+/**
+ * Store workspaces tests
+ *
+ * Focus:
+ * - switching parks the v6 keys and keeps the parked chunk set alive
+ * - switching back restores items, dock pins, tags and background (API keys stay global)
+ * - parked backgrounds live in local storage and oversized records are refused
+ * - usage stats of deleted links are dropped, parked links keep theirs
+ * - deleting a workspace reclaims its chunk set
+ * - snapshots of parked workspaces for export
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import { getStorageData, setStorageData } from './setup.js';
+
+async function freshStore() {
+    vi.resetModules();
+    const mod = await import('../scripts/domains/quicklinks/store.js');
+    return mod.store;
+}
+
+const ITEMS = [
+    { _id: 'qlink_a', title: 'A', url: 'https://a.example', tags: ['work'] },
+    { _id: 'qlink_b', title: 'B', url: 'https://b.example', tags: [] }
+];
+
+function seedItems(extra = {}) {
+    const chunk = {};
+    for (const item of ITEMS) {
+        chunk[item._id] = { ...item, icon: '', createdAt: 1 };
+    }
+    setStorageData({
+        storageVersion: 6,
+        quicklinksDockPins: ['qlink_a'],
+        quicklinksItems: ITEMS.map(item => item._id),
+        quicklinksTags: ['work'],
+        quicklinksActiveSet: 'seed_ws',
+        quicklinksChunkSet_seed_ws_index: ['quicklinksChunkSet_seed_ws_0'],
+        quicklinksChunkSet_seed_ws_0: chunk,
+        backgroundSettings: { type: 'color', color: '#112233', apiKeys: { unsplash: 'secret' } },
+        ...extra
+    }, 'sync');
+}
+
+function concreteIds(store) {
+    return store.getAllItems().map(item => item._id).filter(id => id.startsWith('qlink_'));
+}
+
+describe('Store workspaces', () => {
+    it('should start with a single default workspace', async () => {
+        seedItems();
+        const store = await freshStore();
+        await store.init();
+
+        const workspaces = store.getWorkspaces();
+        expect(workspaces).toHaveLength(1);
+        expect(workspaces[0]).toMatchObject({ id: 'default', active: true });
+        expect(workspaces[0].name).toBeTruthy();
+        expect((await store.switchToNextWorkspace()).reason).toBe('single');
+
+        store.destroy?.();
+    });
+
+    it('should park the active workspace and start a fresh one on switch', async () => {
+        seedItems();
+        const store = await freshStore();
+        await store.init();
+
+        const created = await store.createWorkspace('Personal');
+        expect(created.ok).toBe(true);
+        expect(await store.switchWorkspace(created.id)).toEqual({ ok: true });
+
+        const sync = getStorageData('sync');
+        expect(sync.quicklinksWorkspaces.activeId).toBe(created.id);
+        expect(sync.quicklinksWorkspace_default).toMatchObject({
+            activeSet: 'seed_ws',
+            dockPins: ['qlink_a'],
+            tags: ['work']
+        });
+        expect(sync.quicklinksWorkspace_default.backgroundSettings).toBeUndefined();
+        expect(getStorageData('local').quicklinksWorkspaceBackground_default).toEqual({ type: 'color', color: '#112233' });
+        expect(sync.quicklinksWorkspace_default_items).toEqual(expect.arrayContaining(['qlink_a', 'qlink_b']));
+        // The parked chunk set survives the switch
+        expect(sync.quicklinksChunkSet_seed_ws_0).toBeDefined();
+        expect(sync.quicklinksActiveSet).not.toBe('seed_ws');
+
+        expect(concreteIds(store)).toEqual([]);
+        expect(store.getTags()).toEqual([]);
+        expect(store.getActiveWorkspace().name).toBe('Personal');
+
+        store.destroy?.();
+    });
+
+    it('should restore links, pins, tags and background when switching back', async () => {
+        seedItems();
+        const store = await freshStore();
+        await store.init();
+
+        const created = await store.createWorkspace('Personal');
+        await store.switchWorkspace(created.id);
+        await store.addItem({ title: 'P', url: 'https://p.example' });
+        setStorageData({
+            ...getStorageData('sync'),
+            backgroundSettings: { type: 'unsplash', apiKeys: { unsplash: 'rotated' } }
+        }, 'sync');
+
+        const result = await store.switchToNextWorkspace();
+        expect(result).toMatchObject({ ok: true, id: 'default' });
+
+        expect(concreteIds(store)).toEqual(['qlink_a', 'qlink_b']);
+        expect(store.dockPins).toEqual(['qlink_a']);
+        expect(store.getTags()).toEqual(['work']);
+        const sync = getStorageData('sync');
+        expect(sync.backgroundSettings).toEqual({
+            type: 'color',
+            color: '#112233',
+            apiKeys: { unsplash: 'rotated' }
+        });
+        expect(sync.quicklinksWorkspace_default).toBeUndefined();
+        expect(getStorageData('local').quicklinksWorkspaceBackground_default).toBeUndefined();
+        expect(sync[`quicklinksWorkspace_${created.id}_items`].filter(id => id.startsWith('qlink_'))).toHaveLength(1);
+
+        store.destroy?.();
+    });
+
+    it('should keep parked chunk sets through commits and reclaim them on delete', async () => {
+        seedItems();
+        const store = await freshStore();
+        await store.init();
+
+        const created = await store.createWorkspace('Personal');
+        await store.switchWorkspace(created.id);
+        await store.addItem({ title: 'P', url: 'https://p.example' });
+        expect(getStorageData('sync').quicklinksChunkSet_seed_ws_0).toBeDefined();
+
+        await store.switchWorkspace('default');
+        const parkedSet = getStorageData('sync')[`quicklinksWorkspace_${created.id}`].activeSet;
+        expect(await store.deleteWorkspace('default')).toEqual({ ok: false, reason: 'active' });
+        expect(await store.deleteWorkspace(created.id)).toEqual({ ok: true });
+
+        const sync = getStorageData('sync');
+        expect(sync[`quicklinksWorkspace_${created.id}`]).toBeUndefined();
+        expect(sync[`quicklinksWorkspace_${created.id}_items`]).toBeUndefined();
+        expect(sync[`quicklinksChunkSet_${parkedSet}_index`]).toBeUndefined();
+        expect(sync.quicklinksChunkSet_seed_ws_0).toBeDefined();
+        expect(store.getWorkspaces().map(ws => ws.id)).toEqual(['default']);
+
+        store.destroy?.();
+    });
+
+    it('should snapshot a parked workspace for export', async () => {
+        seedItems();
+        const store = await freshStore();
+        await store.init();
+
+        const created = await store.createWorkspace('Personal');
+        await store.switchWorkspace(created.id);
+
+        const snapshot = await store.getWorkspaceSnapshot('default');
+        expect(snapshot.workspace).toMatchObject({ id: 'default', active: false });
+        expect(snapshot.pages.flat().map(item => item.url)).toEqual(['https://a.example', 'https://b.example']);
+        expect(snapshot.dockPins).toEqual(['qlink_a']);
+        expect(snapshot.tags).toEqual(['work']);
+        expect(snapshot.backgroundSettings).toEqual({ type: 'color', color: '#112233' });
+
+        expect(await store.getWorkspaceSnapshot('ws_missing')).toBeNull();
+
+        store.destroy?.();
+    });
+
+    it('should still restore backgrounds parked in sync by older versions', async () => {
+        seedItems({
+            quicklinksWorkspaces: { activeId: 'default', list: [{ id: 'default', name: '' }, { id: 'ws_old', name: 'Old' }] },
+            quicklinksWorkspace_ws_old: { activeSet: 'old_set', dockPins: [], tags: [], backgroundSettings: { type: 'bing' } },
+            quicklinksWorkspace_ws_old_items: [],
+            quicklinksChunkSet_old_set_index: []
+        });
+        const store = await freshStore();
+        await store.init();
+
+        expect((await store.getWorkspaceSnapshot('ws_old')).backgroundSettings).toEqual({ type: 'bing' });
+        expect(await store.switchWorkspace('ws_old')).toEqual({ ok: true });
+        expect(getStorageData('sync').backgroundSettings).toEqual({ type: 'bing', apiKeys: { unsplash: 'secret' } });
+
+        store.destroy?.();
+    });
+
+    it('should refuse a switch that would not fit in sync', async () => {
+        // Other settings already fill the 100 KB sync quota
+        seedItems({ otherSettings: 'x'.repeat(101 * 1024) });
+        const store = await freshStore();
+        await store.init();
+
+        const created = await store.createWorkspace('Personal');
+        expect(await store.switchWorkspace(created.id)).toEqual({ ok: false, reason: 'quota' });
+        expect(getStorageData('sync').quicklinksWorkspaces.activeId).toBe('default');
+
+        store.destroy?.();
+    });
+
+    it('should drop usage of deleted links but keep links parked in other workspaces', async () => {
+        seedItems();
+        setStorageData({ quicklinksUsage: { qlink_gone: { count: 3, lastUsedAt: 1 } } }, 'local');
+        const store = await freshStore();
+        await store.init();
+
+        const created = await store.createWorkspace('Personal');
+        await store.recordLaunch('qlink_a');
+        await store.switchWorkspace(created.id);
+        const added = await store.addItem({ title: 'P', url: 'https://p.example' });
+        await store.recordLaunch(added._id);
+
+        const usage = getStorageData('local').quicklinksUsage;
+        expect(usage.qlink_gone).toBeUndefined();
+        expect(usage.qlink_a.count).toBe(1);
+        expect(Object.keys(usage)).toHaveLength(2);
+
+        store.destroy?.();
+    });
+});